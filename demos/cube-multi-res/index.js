@@ -23,22 +23,13 @@ var viewer = new Marzipano.Viewer(
     document.getElementById('pano'), {stage: {progressive: true}});
 
 // Create source.
-// The tiles were generated with the krpano tools, which indexes the tiles
-// from 1 instead of 0. Hence, we cannot use ImageUrlSource.fromString()
-// and must write a custom function to convert tiles into URLs.
+// The tiles were generated with the krpano tools, which index the tiles
+// from 1 instead of 0, hence the offsets in the URL template.
 var urlPrefix = "//www.marzipano.net/media/prague";
-var previewUrl = urlPrefix + "/preview.jpg";
-var tileUrl = function(f, z, x, y) {
-  return urlPrefix + "/l" + z + "/" + f + "/" + y + "/" + x + ".jpg";
-};
-var source = new Marzipano.ImageUrlSource(function(tile) {
-  if (tile.z === 0) {
-    var mapY = 'lfrbud'.indexOf(tile.face) / 6;
-    return { url: previewUrl, rect: { x: 0, y: mapY, width: 1, height: 1/6 }};
-  } else {
-    return { url: tileUrl(tile.face, tile.z, tile.x+1, tile.y+1) };
-  }
-});
+var source = Marzipano.ImageUrlSource.fromString(
+  urlPrefix + "/l{z}/{f}/{y+1}/{x+1}.jpg",
+  { cubeMapPreviewUrl: urlPrefix + "/preview.jpg",
+    cubeMapPreviewFaceOrder: 'lfrbud' });
 
 // Create geometry.
 var geometry = new Marzipano.CubeGeometry([
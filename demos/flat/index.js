@@ -19,15 +19,10 @@
 var viewer = new Marzipano.Viewer(document.getElementById('pano'));
 
 // The tiles were generated with the krpano tools, which index the tiles
-// from 1 instead of 0. Hence, we cannot use ImageUrlSource.fromString()
-// and must write a custom function to convert tiles into URLs.
+// from 1 instead of 0, hence the offsets in the URL template.
 var urlPrefix = "//www.marzipano.net/media/lisboa";
-var tileUrl = function(z, x, y) {
-  return urlPrefix + "/l" + z + "/" + y + "/l" + z + '_' + y + '_' + x + ".jpg";
-};
-var source = new Marzipano.ImageUrlSource(function(tile) {
-  return { url: tileUrl(tile.z+1, tile.x+1, tile.y+1) };
-});
+var source = Marzipano.ImageUrlSource.fromString(
+  urlPrefix + "/l{z+1}/{y+1}/l{z+1}_{y+1}_{x+1}.jpg");
 
 // Create geometry.
 var geometry = new Marzipano.FlatGeometry([
@@ -19,8 +19,8 @@
 var viewer = new Marzipano.Viewer(document.getElementById('pano'));
 
 // Create asset and source.
-var asset = new VideoAsset();
-var source = new Marzipano.SingleAssetSource(asset);
+var asset = new Marzipano.VideoAsset();
+var source = new Marzipano.VideoSource(asset);
 
 // Create geometry.
 // This is a trivial equirectangular geometry with a single level.
@@ -73,21 +73,6 @@ function tryStart() {
 
   video.play();
 
-  waitForReadyState(video, video.HAVE_METADATA, 100, function() {
-    waitForReadyState(video, video.HAVE_ENOUGH_DATA, 100, function() {
-      asset.setVideo(video);
-    });
-  });
-}
-
-// Wait for an element to reach the given readyState by polling.
-// The HTML5 video element exposes a `readystatechange` event that could be
-// listened for instead, but it seems to be unreliable on some browsers.
-function waitForReadyState(element, readyState, interval, done) {
-  var timer = setInterval(function() {
-    if (element.readyState >= readyState) {
-      clearInterval(timer);
-      done(null, true);
-    }
-  }, interval);
+  // The asset displays the video as soon as its first frame is available.
+  asset.setVideo(video);
 }
@@ -0,0 +1,66 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var viewerElement = document.querySelector("#pano");
+var enterVrElement = document.querySelector("#enter-vr");
+var noVrElement = document.querySelector("#no-vr");
+
+// Create viewer.
+var viewer = new Marzipano.Viewer(viewerElement);
+
+// Create geometry.
+var geometry = new Marzipano.CubeGeometry([
+  { tileSize: 256, size: 256, fallbackOnly: true },
+  { tileSize: 512, size: 512 },
+  { tileSize: 512, size: 1024 },
+  { tileSize: 512, size: 2048 },
+  { tileSize: 512, size: 4096 }
+]);
+
+// Create view.
+var limiter = Marzipano.RectilinearView.limit.traditional(4096, 110*Math.PI/180);
+var view = new Marzipano.RectilinearView(null, limiter);
+
+// Create the scene, with a layer for each eye.
+// Outside of VR mode, only the left eye is displayed.
+var scene = viewer.createEmptyScene({ view: view });
+var urlPrefix = "//www.marzipano.net/media/music-room";
+scene.createStereoLayer({
+  source: Marzipano.stereoSources.cube(urlPrefix + "/{eye}/{z}/{f}/{y}/{x}.jpg",
+    { cubeMapPreviewUrl: urlPrefix + "/{eye}/preview.jpg" }),
+  geometry: geometry,
+  pinFirstLevel: true
+});
+scene.switchTo();
+
+// Check for an available VR device.
+// To try out the demo without a device, install a WebXR emulator extension.
+Marzipano.XrSession.isSupported({}, function(err, supported) {
+  enterVrElement.style.display = supported ? 'block' : 'none';
+  noVrElement.style.display = supported ? 'none' : 'block';
+});
+
+// Enter VR mode when the button is clicked.
+// VR mode is exited through the device, at which point the view is oriented
+// in the direction the device was last looking at.
+enterVrElement.addEventListener('click', function() {
+  viewer.enterXr({}, function(err) {
+    if (err) {
+      console.error('Failed to enter VR mode:', err);
+    }
+  });
+});
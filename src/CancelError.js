@@ -0,0 +1,39 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var inherits = require('./util/inherits');
+
+/**
+ * @class CancelError
+ * @extends {Error}
+ * @classdesc
+ *
+ * Signals that an asynchronous operation was interrupted before completing,
+ * either by the user interacting with the controls or by another operation
+ * superseding it. The promises returned by {@link Viewer#switchSceneAsync},
+ * {@link Scene#lookToAsync} and related methods are rejected with it.
+ *
+ * @param {string} message The error message.
+ */
+function CancelError(message) {
+  CancelError.super_.apply(this, arguments);
+  this.message = message;
+}
+
+inherits(CancelError, Error);
+
+module.exports = CancelError;
@@ -0,0 +1,37 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var inherits = require('./util/inherits');
+
+/**
+ * @class DecodeError
+ * @extends {Error}
+ * @classdesc
+ *
+ * Signals that an image was successfully fetched, but could not be decoded.
+ * Retrying the request is unlikely to succeed.
+ *
+ * @param {string} message The error message.
+ */
+function DecodeError(message) {
+  DecodeError.super_.apply(this, arguments);
+  this.message = message;
+}
+
+inherits(DecodeError, Error);
+
+module.exports = DecodeError;
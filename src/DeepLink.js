@@ -0,0 +1,363 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var Timer = require('./Timer');
+var extend = require('./util/extend');
+var global = require('./util/global');
+var clearOwnProperties = require('./util/clearOwnProperties');
+
+// The view parameters mirrored into the URL, for both RectilinearView and
+// FlatView. The roll is only included when nonzero.
+var viewKeys = ['yaw', 'pitch', 'roll', 'fov', 'x', 'y', 'zoom'];
+
+var sceneKey = 'scene';
+
+var defaultDelay = 300;
+var defaultPrecision = 4;
+
+/**
+ * @class DeepLink
+ * @classdesc
+ *
+ * A DeepLink mirrors the current {@link Scene scene} and the parameters of its
+ * view into the URL of the page, so that it can be shared or bookmarked, and
+ * restores them from the URL.
+ *
+ * The state is written into the URL hash, or optionally into the query string,
+ * as in `#scene=lobby&yaw=0.5&pitch=0.1&fov=1.2`. Other parameters in the hash
+ * or query string are preserved. The URL is updated through the History API
+ * once the view has settled for a short delay. Switching to another scene adds
+ * a new history entry, so that the browser back and forward buttons navigate
+ * between the visited scenes, each with its last view.
+ *
+ * Scenes are identified either through a {@link Tour} or through a map from
+ * identifiers to scenes. Scenes without an identifier are not mirrored.
+ *
+ * The state in the URL is not restored automatically; call
+ * {@link DeepLink#restore} once the scenes have been set up, typically in
+ * place of switching to the initial scene.
+ *
+ * @param {Viewer} viewer The viewer.
+ * @param {Object} opts
+ * @param {Tour} [opts.tour] The tour to take scene identifiers from. Scenes are
+ *     restored with {@link Tour#switchScene}.
+ * @param {Object} [opts.scenes] A map from identifiers to scenes, used when no
+ *     tour is given. Scenes are restored with {@link Viewer#switchScene}.
+ * @param {string} [opts.mode='hash'] Where to store the state; one of `'hash'`
+ *     or `'query'`.
+ * @param {number} [opts.delay=300] The time in milliseconds that the view must
+ *     remain unchanged before the URL is updated.
+ * @param {number} [opts.precision=4] The number of decimal places for the view
+ *     parameters.
+ * @param {Object} [opts.switchOpts] The options to pass when switching scenes,
+ *     such as the transition.
+ * @param {Window} [opts.window=window] The window whose location and history
+ *     are used, which may be replaced for testing.
+ */
+function DeepLink(viewer, opts) {
+  opts = opts || {};
+
+  var mode = opts.mode || 'hash';
+  if (mode !== 'hash' && mode !== 'query') {
+    throw new Error('Unknown deep link mode: ' + mode);
+  }
+
+  this._viewer = viewer;
+  this._tour = opts.tour || null;
+  this._scenes = opts.scenes || {};
+  this._mode = mode;
+  this._precision = opts.precision != null ? opts.precision : defaultPrecision;
+  this._switchOpts = opts.switchOpts || {};
+  this._window = opts.window || global;
+
+  // The identifier of the scene in the current history entry.
+  this._currentSceneId = null;
+
+  // The state to be written once the delay elapses.
+  this._pendingState = null;
+
+  this._timer = new Timer({
+    duration: opts.delay != null ? opts.delay : defaultDelay
+  });
+  this._timer.addEventListener('timeout', this._flush.bind(this));
+
+  this._sceneChangeHandler = this._handleSceneChange.bind(this);
+  this._viewChangeHandler = this._handleViewChange.bind(this);
+  this._popStateHandler = this._handlePopState.bind(this);
+
+  viewer.addEventListener('sceneChange', this._sceneChangeHandler);
+  viewer.addEventListener('viewChange', this._viewChangeHandler);
+  this._window.addEventListener('popstate', this._popStateHandler);
+}
+
+
+/**
+ * Destructor. Stops mirroring the state into the URL.
+ */
+DeepLink.prototype.destroy = function() {
+  this._timer.stop();
+  this._viewer.removeEventListener('sceneChange', this._sceneChangeHandler);
+  this._viewer.removeEventListener('viewChange', this._viewChangeHandler);
+  this._window.removeEventListener('popstate', this._popStateHandler);
+  clearOwnProperties(this);
+};
+
+
+/**
+ * Restores the scene and view parameters from the URL. If the URL names a
+ * scene, it is switched to and its view is set to the parameters in the URL;
+ * otherwise, the parameters are applied to the current scene.
+ * @return {boolean} Whether a state was found in the URL and restored. Unknown
+ *     scene identifiers are ignored.
+ */
+DeepLink.prototype.restore = function() {
+  var state = this._read();
+  if (!state) {
+    return false;
+  }
+  return this._apply(state);
+};
+
+
+/**
+ * Returns the URL for a state, to be shared as a link. The other parts of the
+ * current URL are preserved.
+ * @param {string} sceneId The scene identifier.
+ * @param {Object} [params] The view parameters.
+ * @return {string}
+ */
+DeepLink.prototype.url = function(sceneId, params) {
+  return this._url({ scene: sceneId, view: params || {} });
+};
+
+
+DeepLink.prototype._handleSceneChange = function() {
+  // Write out the last view of the previous scene before moving on.
+  this._flush();
+  this._schedule();
+};
+
+
+DeepLink.prototype._handleViewChange = function() {
+  this._schedule();
+};
+
+
+DeepLink.prototype._handlePopState = function(evt) {
+  // The history has already moved to the new entry, so a pending state must
+  // not be written into it.
+  this._timer.stop();
+  this._pendingState = null;
+
+  var state = evt && evt.state && evt.state.scene != null ?
+      evt.state : this._read();
+  if (state) {
+    this._apply(state);
+  }
+};
+
+
+// Records the current state, to be written once the delay elapses.
+DeepLink.prototype._schedule = function() {
+  var scene = this._viewer.scene();
+  var id = scene ? this._sceneId(scene) : null;
+  if (id == null) {
+    return;
+  }
+  this._pendingState = { scene: id, view: this._viewParams(scene.view()) };
+  this._timer.start();
+};
+
+
+// Writes the pending state into the URL, adding a history entry if the scene
+// has changed.
+DeepLink.prototype._flush = function() {
+  var state = this._pendingState;
+  this._timer.stop();
+  this._pendingState = null;
+  if (!state) {
+    return;
+  }
+
+  var history = this._window.history;
+  var url = this._url(state);
+  if (this._currentSceneId != null && state.scene !== this._currentSceneId) {
+    history.pushState(state, '', url);
+  } else {
+    history.replaceState(state, '', url);
+  }
+  this._currentSceneId = state.scene;
+};
+
+
+DeepLink.prototype._apply = function(state) {
+  var viewer = this._viewer;
+  var scene;
+
+  if (state.scene != null) {
+    scene = this._sceneById(state.scene);
+    if (!scene) {
+      return false;
+    }
+    // The restored scene is the one in the current history entry.
+    this._currentSceneId = state.scene;
+    if (scene !== viewer.scene()) {
+      // The view is set before switching, as the transition may animate it
+      // from its parameters at the start. The tour would otherwise reset it to
+      // the initial view parameters.
+      if (this._tour) {
+        this._tour.switchScene(state.scene, extend(
+            extend({}, this._switchOpts), { viewParameters: state.view }));
+      } else {
+        scene.view().setParameters(state.view);
+        viewer.switchScene(scene, this._switchOpts);
+      }
+      return true;
+    }
+  } else {
+    scene = viewer.scene();
+    if (!scene) {
+      return false;
+    }
+  }
+
+  scene.view().setParameters(state.view);
+  return true;
+};
+
+
+DeepLink.prototype._sceneId = function(scene) {
+  if (this._tour) {
+    var id = this._tour.currentSceneId();
+    return id != null && this._tour.scene(id) === scene ? id : null;
+  }
+  for (var key in this._scenes) {
+    if (this._scenes[key] === scene) {
+      return key;
+    }
+  }
+  return null;
+};
+
+
+DeepLink.prototype._sceneById = function(id) {
+  if (this._tour) {
+    return this._tour.sceneIds().indexOf(id) >= 0 ? this._tour.scene(id) : null;
+  }
+  return this._scenes.hasOwnProperty(id) ? this._scenes[id] : null;
+};
+
+
+DeepLink.prototype._viewParams = function(view) {
+  var params = view.parameters();
+  var factor = Math.pow(10, this._precision);
+  var result = {};
+  for (var i = 0; i < viewKeys.length; i++) {
+    var key = viewKeys[i];
+    if (params[key] == null || (key === 'roll' && params[key] === 0)) {
+      continue;
+    }
+    result[key] = Math.round(params[key] * factor) / factor;
+  }
+  return result;
+};
+
+
+// Reads the state from the URL, or returns null if there is none.
+DeepLink.prototype._read = function() {
+  var params = parseParams(this._stateString());
+  var state = { scene: null, view: {} };
+  var found = false;
+
+  if (params.hasOwnProperty(sceneKey)) {
+    state.scene = params[sceneKey];
+    found = true;
+  }
+  for (var i = 0; i < viewKeys.length; i++) {
+    var value = parseFloat(params[viewKeys[i]]);
+    if (isFinite(value)) {
+      state.view[viewKeys[i]] = value;
+      found = true;
+    }
+  }
+
+  return found ? state : null;
+};
+
+
+// Returns the part of the URL holding the state, without the leading '#' or
+// '?' character.
+DeepLink.prototype._stateString = function() {
+  var location = this._window.location;
+  var str = this._mode === 'hash' ? location.hash : location.search;
+  return str.replace(/^[#?]/, '');
+};
+
+
+DeepLink.prototype._url = function(state) {
+  var location = this._window.location;
+
+  // Replace the state parameters, keeping any others.
+  var params = parseParams(this._stateString());
+  delete params[sceneKey];
+  for (var i = 0; i < viewKeys.length; i++) {
+    delete params[viewKeys[i]];
+  }
+  params[sceneKey] = state.scene;
+  for (var key in state.view) {
+    params[key] = state.view[key];
+  }
+
+  var str = formatParams(params);
+  if (this._mode === 'hash') {
+    return location.pathname + location.search + '#' + str;
+  } else {
+    return location.pathname + '?' + str + location.hash;
+  }
+};
+
+
+function parseParams(str) {
+  var result = {};
+  var parts = str.split('&');
+  for (var i = 0; i < parts.length; i++) {
+    if (!parts[i]) {
+      continue;
+    }
+    var index = parts[i].indexOf('=');
+    var key = index >= 0 ? parts[i].substring(0, index) : parts[i];
+    var value = index >= 0 ? parts[i].substring(index + 1) : '';
+    try {
+      result[decodeURIComponent(key)] = decodeURIComponent(value);
+    } catch (e) {
+      // Ignore malformed parameters.
+    }
+  }
+  return result;
+}
+
+
+function formatParams(params) {
+  var parts = [];
+  for (var key in params) {
+    parts.push(encodeURIComponent(key) + '=' + encodeURIComponent(params[key]));
+  }
+  return parts.join('&');
+}
+
+
+module.exports = DeepLink;
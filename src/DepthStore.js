@@ -0,0 +1,398 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var Map = require('./collections/Map');
+var eventEmitter = require('minimal-event-emitter');
+var HdrAsset = require('./assets/Hdr');
+var defaults = require('./util/defaults');
+var retry = require('./util/retry');
+var inherits = require('./util/inherits');
+var clamp = require('./util/clamp');
+var global = require('./util/global');
+var clearOwnProperties = require('./util/clearOwnProperties');
+
+/**
+ * Signals that the depth map for a tile has been loaded.
+ * @param {Tile} tile The tile.
+ * @event DepthStore#depthLoad
+ */
+
+/**
+ * Signals that the depth map for a tile has failed to load. The tile is not
+ * requested again.
+ * @param {Tile} tile The tile.
+ * @param {Error} err The error.
+ * @event DepthStore#depthError
+ */
+
+var defaultOptions = {
+  near: 1,
+  far: 100,
+  encoding: 'inverse',
+  resolution: 64,
+  cacheSize: 256
+};
+
+
+// Distinguishes a cancellation from other kinds of errors.
+function CancelError() {}
+inherits(CancelError, Error);
+
+
+// Whether loading a depth map should be retried after failing with an error.
+// Sources signal that they have given up on an asset by setting the
+// `permanent` property on the error.
+function isRetryable(err) {
+  return !(err && err.permanent);
+}
+
+
+/**
+ * @class DepthStore
+ * @classdesc
+ *
+ * A DepthStore loads the depth map of a {@link Layer}, and provides the
+ * distance to the panorama surface in any direction from its center. It is
+ * created by {@link Scene#createLayer} when a depth source is given, and used
+ * to render the layer as displaced geometry, so that moving the eye away from
+ * the center, as set by {@link RectilinearView#setEyeOffset}, produces
+ * parallax.
+ *
+ * The depth map is given by a {@link Source} providing an image for each tile
+ * of the layer's {@link CubeGeometry}, {@link EquirectGeometry} or
+ * {@link CylindricalGeometry}, aligned with the color image. Depth images
+ * loaded into an {@link HdrAsset} hold the distance in their first component.
+ * Other images hold a normalized value in their red channel, white being
+ * nearest, which is mapped into the distance between `near` and `far`. The
+ * mapping is either linear in the distance, or linear in the inverse distance,
+ * which is how most 8-bit depth maps are encoded.
+ *
+ * Depth images are resampled into a grid of at most `resolution` values along
+ * each side. The depth in a given direction is taken from the highest
+ * resolution level whose depth map has been loaded.
+ *
+ * @param {Source} source The depth source.
+ * @param {Geometry} geometry The layer geometry.
+ * @param {Stage} stage The stage used to load the depth images.
+ * @param {Object} opts
+ * @param {number} [opts.near=1] The distance for the nearest value.
+ * @param {number} [opts.far=100] The distance for the farthest value.
+ * @param {string} [opts.encoding='inverse'] The mapping of normalized values
+ *     into distances; one of `'inverse'` or `'linear'`.
+ * @param {number} [opts.resolution=64] The maximum number of depth values
+ *     kept along each side of a tile.
+ * @param {number} [opts.cacheSize=256] The maximum number of tiles whose
+ *     depth maps are kept in memory.
+ */
+function DepthStore(source, geometry, stage, opts) {
+  opts = defaults(opts || {}, defaultOptions);
+
+  if (typeof geometry.tileAt !== 'function') {
+    throw new Error('Depth maps are not supported for ' + geometry.type +
+                    ' geometry');
+  }
+  if (opts.encoding !== 'inverse' && opts.encoding !== 'linear') {
+    throw new Error('Unknown depth encoding: ' + opts.encoding);
+  }
+
+  this._source = source;
+  this._geometry = geometry;
+  this._stage = stage;
+
+  this._near = opts.near;
+  this._far = opts.far;
+  this._encoding = opts.encoding;
+  this._resolution = opts.resolution;
+  this._cacheSize = opts.cacheSize;
+
+  // The depth grids for loaded tiles, the cancel functions for tiles being
+  // loaded, and the tiles that failed to load.
+  this._grids = new Map();
+  this._loading = new Map();
+  this._failed = new Map();
+
+  // The number of loaded grids in each level, to skip empty levels quickly.
+  this._levelCount = [];
+  for (var i = 0; i < geometry.levelList.length; i++) {
+    this._levelCount.push(0);
+  }
+
+  // Incremented whenever a tile is requested, to find the least recently
+  // requested grid when evicting.
+  this._requestTime = 0;
+
+  // Incremented whenever a depth map is loaded or evicted.
+  this._version = 0;
+
+  this._tmpResult = {};
+}
+
+eventEmitter(DepthStore);
+
+
+/**
+ * Destructor.
+ */
+DepthStore.prototype.destroy = function() {
+  var cancels = [];
+  this._loading.forEach(function(tile, cancel) {
+    cancels.push(cancel);
+  });
+  for (var i = 0; i < cancels.length; i++) {
+    cancels[i](new CancelError('Depth loading cancelled'));
+  }
+  clearOwnProperties(this);
+};
+
+
+/**
+ * Returns the underlying {@link Source source}.
+ * @return {Source}
+ */
+DepthStore.prototype.source = function() {
+  return this._source;
+};
+
+
+/**
+ * Returns the underlying {@link Geometry geometry}.
+ * @return {Geometry}
+ */
+DepthStore.prototype.geometry = function() {
+  return this._geometry;
+};
+
+
+/**
+ * Returns the distance of the farthest depth value, which is also assumed
+ * where the depth is unknown.
+ * @return {number}
+ */
+DepthStore.prototype.far = function() {
+  return this._far;
+};
+
+
+/**
+ * Returns a number that changes whenever a depth map is loaded or evicted, so
+ * that values derived from the depth may be cached.
+ * @return {number}
+ */
+DepthStore.prototype.version = function() {
+  return this._version;
+};
+
+
+/**
+ * Requests the depth map for a tile and its ancestors, which provide a
+ * coarser depth until it is loaded. Depth maps that are already loaded are
+ * marked as recently used, so that they are the last to be evicted.
+ * @param {Tile} tile
+ */
+DepthStore.prototype.requestTile = function(tile) {
+  var time = ++this._requestTime;
+  for (; tile; tile = tile.parent()) {
+    var grid = this._grids.get(tile);
+    if (grid) {
+      grid.requestTime = time;
+    } else if (!this._loading.has(tile) && !this._failed.has(tile)) {
+      this._load(tile);
+    }
+  }
+};
+
+
+/**
+ * Returns the distance to the panorama surface in a direction from its
+ * center, or null if no depth map covering the direction has been loaded.
+ * @param {vec3} direction
+ * @return {?number}
+ */
+DepthStore.prototype.depth = function(direction) {
+  var geometry = this._geometry;
+  var levelList = geometry.levelList;
+  var result = this._tmpResult;
+
+  for (var z = levelList.length - 1; z >= 0; z--) {
+    if (!this._levelCount[z]) {
+      continue;
+    }
+    if (!geometry.tileAt(direction, levelList[z], result)) {
+      // The direction is outside the region covered by the image.
+      return null;
+    }
+    var grid = this._grids.get(result.tile);
+    if (grid) {
+      return sampleGrid(grid, result.s, result.t);
+    }
+  }
+
+  return null;
+};
+
+
+DepthStore.prototype._load = function(tile) {
+  var self = this;
+
+  var source = this._source;
+  var loadAsset = retry(source.loadAsset.bind(source), isRetryable);
+
+  var cancel = loadAsset(this._stage, tile, function(err, _tile, asset) {
+    self._loading.del(tile);
+
+    if (err) {
+      if (!(err instanceof CancelError)) {
+        self._failed.set(tile, true);
+        self.emit('depthError', tile, err);
+      }
+      return;
+    }
+
+    var grid;
+    try {
+      grid = self._decode(asset);
+    } catch (decodeErr) {
+      self._failed.set(tile, true);
+      self.emit('depthError', tile, decodeErr);
+      return;
+    } finally {
+      asset.destroy();
+    }
+
+    grid.requestTime = self._requestTime;
+    self._grids.set(tile, grid);
+    self._levelCount[tile.z]++;
+    self._evict();
+    self._version++;
+    self.emit('depthLoad', tile);
+  });
+
+  // The callback may have been called synchronously.
+  if (!this._grids.has(tile) && !this._failed.has(tile)) {
+    this._loading.set(tile, cancel);
+  }
+};
+
+
+// Removes the least recently requested grids in excess of the cache size.
+DepthStore.prototype._evict = function() {
+  while (this._grids.size() > this._cacheSize) {
+    var tile = this._oldestTile();
+    this._grids.del(tile);
+    this._levelCount[tile.z]--;
+  }
+};
+
+
+DepthStore.prototype._oldestTile = function() {
+  var oldestTile = null;
+  var oldestTime = Infinity;
+  this._grids.forEach(function(tile, grid) {
+    if (grid.requestTime < oldestTime) {
+      oldestTile = tile;
+      oldestTime = grid.requestTime;
+    }
+  });
+  return oldestTile;
+};
+
+
+// Resamples a depth image into a grid of distances.
+DepthStore.prototype._decode = function(asset) {
+  var width = asset.width();
+  var height = asset.height();
+
+  var scale = Math.min(1, this._resolution / Math.max(width, height));
+  var gridWidth = Math.max(1, Math.round(width * scale));
+  var gridHeight = Math.max(1, Math.round(height * scale));
+  var data = new Float32Array(gridWidth * gridHeight);
+  var x, y;
+
+  if (asset instanceof HdrAsset) {
+    // Take the nearest pixel to the center of each grid cell.
+    var pixels = asset.data();
+    for (y = 0; y < gridHeight; y++) {
+      var py = Math.floor((y + 0.5) * height / gridHeight);
+      for (x = 0; x < gridWidth; x++) {
+        var px = Math.floor((x + 0.5) * width / gridWidth);
+        data[y * gridWidth + x] = pixels[(py * width + px) * 4];
+      }
+    }
+  } else {
+    var values = readPixels(asset.element(), gridWidth, gridHeight);
+    for (var i = 0; i < data.length; i++) {
+      data[i] = this._distance(values[i * 4] / 255);
+    }
+  }
+
+  return { width: gridWidth, height: gridHeight, data: data };
+};
+
+
+// Converts a normalized depth value, where 1 is nearest, into a distance.
+DepthStore.prototype._distance = function(value) {
+  var near = this._near;
+  var far = this._far;
+  if (this._encoding === 'linear') {
+    return far + value * (near - far);
+  }
+  return 1 / (1 / far + value * (1 / near - 1 / far));
+};
+
+
+// Draws an image into a canvas of the given size and returns its pixels.
+function readPixels(element, width, height) {
+  var canvas = global.document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  var ctx = canvas.getContext('2d');
+
+  if (global.ImageBitmap && element instanceof global.ImageBitmap) {
+    // Bitmaps are created upside down for uploading into a texture.
+    ctx.scale(1, -1);
+    ctx.drawImage(element, 0, -height, width, height);
+  } else {
+    ctx.drawImage(element, 0, 0, width, height);
+  }
+
+  return ctx.getImageData(0, 0, width, height).data;
+}
+
+
+// Samples a grid at the given position, counted from its top left corner, by
+// bilinear interpolation between the values at the center of each cell.
+function sampleGrid(grid, s, t) {
+  var width = grid.width;
+  var height = grid.height;
+  var data = grid.data;
+
+  var x = clamp(s * width - 0.5, 0, width - 1);
+  var y = clamp(t * height - 0.5, 0, height - 1);
+  var x0 = Math.floor(x);
+  var y0 = Math.floor(y);
+  var x1 = Math.min(x0 + 1, width - 1);
+  var y1 = Math.min(y0 + 1, height - 1);
+  var fx = x - x0;
+  var fy = y - y0;
+
+  var top = data[y0 * width + x0] * (1 - fx) + data[y0 * width + x1] * fx;
+  var bottom = data[y1 * width + x0] * (1 - fx) + data[y1 * width + x1] * fx;
+  return top * (1 - fy) + bottom * fy;
+}
+
+
+module.exports = DepthStore;
@@ -0,0 +1,40 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var inherits = require('./util/inherits');
+var NetworkError = require('./NetworkError');
+
+/**
+ * @class ForbiddenError
+ * @extends {NetworkError}
+ * @classdesc
+ *
+ * Signals that access to the requested URL was denied, i.e., the server
+ * responded with HTTP status 401 or 403. Retrying the request is unlikely to
+ * succeed.
+ *
+ * @param {string} message The error message.
+ * @param {number} [status] The HTTP status code of the response, if one was
+ *     received.
+ */
+function ForbiddenError(message, status) {
+  ForbiddenError.super_.call(this, message, status);
+}
+
+inherits(ForbiddenError, NetworkError);
+
+module.exports = ForbiddenError;
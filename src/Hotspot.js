@@ -39,6 +39,11 @@ var clearOwnProperties = require('./util/clearOwnProperties');
  * displayed at a fixed size relative to the panorama, always covering the
  * same portion of the image.
  *
+ * When the stage is in a split {@link Stage#stereoMode stereo mode}, the
+ * hotspot is displayed in both eyes by way of a copy of its DOM element, made
+ * when the mode is entered. Changes made to the element afterwards are not
+ * reflected in the copy until the mode is entered again.
+ *
  * Clients should call {@link HotspotContainer#createHotspot} instead of
  * invoking the constructor directly.
  *
@@ -82,6 +87,11 @@ function Hotspot(domElement, parentDomElement, view, coords, opts) {
 
   // The current calculated screen position.
   this._position = { x: 0, y: 0 };
+
+  // The copy of the DOM element displayed in the right eye, and its parent,
+  // when in a split stereo mode.
+  this._stereoElement = null;
+  this._stereoParentDomElement = null;
 }
 
 eventEmitter(Hotspot);
@@ -92,6 +102,7 @@ eventEmitter(Hotspot);
  * Clients should call {@link HotspotContainer#destroyHotspot} instead.
  */
 Hotspot.prototype.destroy = function() {
+  this._setStereoParent(null);
   this._parentDomElement.removeChild(this._domElement);
   clearOwnProperties(this);
 };
@@ -182,8 +193,7 @@ Hotspot.prototype._update = function() {
     if (this._perspective.radius) {
       // Hotspots that are embedded in the panorama may be visible even when
       // positioned behind the camera.
-      isVisible = true;
-      this._setEmbeddedPosition(view, params);
+      isVisible = this._setEmbeddedPosition(view, params);
     } else {
       // Regular hotspots are only visible when positioned in front of the
       // camera. Note that they may be partially visible when positioned outside
@@ -209,13 +219,40 @@ Hotspot.prototype._update = function() {
     element.style.position = '';
   }
 
+  // Keep the stereo copy in the same position as the original.
+  if (this._stereoElement) {
+    this._stereoElement.style.cssText = element.style.cssText;
+  }
+
+};
+
+
+// Sets the element into which a copy of the hotspot is placed for the right
+// eye, or removes the copy if null.
+Hotspot.prototype._setStereoParent = function(parentDomElement) {
+  if (this._stereoElement) {
+    this._stereoParentDomElement.removeChild(this._stereoElement);
+    this._stereoElement = null;
+    this._stereoParentDomElement = null;
+  }
+  if (parentDomElement) {
+    this._stereoElement = this._domElement.cloneNode(true);
+    this._stereoParentDomElement = parentDomElement;
+    parentDomElement.appendChild(this._stereoElement);
+    this._update();
+  }
 };
 
 
 Hotspot.prototype._setEmbeddedPosition = function(view, params) {
   var transform = view.coordinatesToPerspectiveTransform(
       params, this._perspective.radius, this._perspective.extraTransforms);
+  // Views with a non-linear projection may be unable to display some points.
+  if (transform == null) {
+    return false;
+  }
   setTransform(this._domElement, transform);
+  return true;
 };
 
 
@@ -18,6 +18,7 @@
 var eventEmitter = require('minimal-event-emitter');
 var Hotspot = require('./Hotspot');
 var calcRect = require('./util/calcRect');
+var stereo = require('./stereo');
 var positionAbsolutely = require('./util/positionAbsolutely');
 var setAbsolute = require('./util/dom').setAbsolute;
 var setOverflowHidden = require('./util/dom').setOverflowHidden;
@@ -39,6 +40,12 @@ var clearOwnProperties = require('./util/clearOwnProperties');
  * Creates a DOM element to hold {@link Hotspot hotspots} and updates their
  * position when necessary.
  *
+ * When the stage is in a side-by-side or over-under
+ * {@link Stage#stereoMode stereo mode}, the hotspots are displayed over the
+ * left eye, and a copy of each hotspot is displayed at the same position over
+ * the right eye, so that they appear at a consistent depth. The copies are made
+ * with `cloneNode` when the stereo mode is entered and do not receive events.
+ *
  * @param {Element} parentDomElement The DOM element inside which the container
  *     should be created.
  * @param {Stage} stage The underlying stage.
@@ -73,8 +80,12 @@ function HotspotContainer(parentDomElement, stage, view, renderLoop, opts) {
   this._stageWidth = null;
   this._stageHeight = null;
 
-  // Temporary variable to hold the calculated position and size.
+  // The last seen stage stereo mode.
+  this._stereoMode = 'mono';
+
+  // Temporary variables to hold the calculated position and size.
   this._tmpRect = {};
+  this._tmpEyeRect = {};
 
   // Wrapper element. When the rect effect is set, the wrapper will have nonzero
   // dimensions and `pointer-events: none` so that hotspots outside the rect are
@@ -92,6 +103,19 @@ function HotspotContainer(parentDomElement, stage, view, renderLoop, opts) {
   setPointerEvents(this._hotspotContainer, 'all');
   this._hotspotContainerWrapper.appendChild(this._hotspotContainer);
 
+  // Wrapper and container elements for the right eye copies of the hotspots
+  // when in a split stereo mode. The copies are not interactive, so the
+  // container keeps the `pointer-events: none` inherited from the wrapper.
+  this._stereoContainerWrapper = document.createElement('div');
+  setAbsolute(this._stereoContainerWrapper);
+  setPointerEvents(this._stereoContainerWrapper, 'none');
+  this._stereoContainerWrapper.style.display = 'none';
+  this._parentDomElement.appendChild(this._stereoContainerWrapper);
+
+  this._stereoContainer = document.createElement('div');
+  setAbsolute(this._stereoContainer);
+  this._stereoContainerWrapper.appendChild(this._stereoContainer);
+
   // Update when the hotspots change or scene is re-rendered.
   this._updateHandler = this._update.bind(this);
   this._renderLoop.addEventListener('afterRender', this._updateHandler);
@@ -109,6 +133,7 @@ HotspotContainer.prototype.destroy = function() {
   }
 
   this._parentDomElement.removeChild(this._hotspotContainerWrapper);
+  this._parentDomElement.removeChild(this._stereoContainerWrapper);
 
   this._renderLoop.removeEventListener('afterRender', this._updateHandler);
 
@@ -158,6 +183,9 @@ HotspotContainer.prototype.createHotspot = function(domElement, coords, opts) {
   var hotspot = new Hotspot(
       domElement, this._hotspotContainer, this._view, coords, opts);
   this._hotspots.push(hotspot);
+  if (stereo.isSplit(this._stereoMode)) {
+    hotspot._setStereoParent(this._stereoContainer);
+  }
   hotspot._update();
 
   this.emit('hotspotsChange');
@@ -228,22 +256,47 @@ HotspotContainer.prototype.show = function() {
 
 HotspotContainer.prototype._update = function() {
   var wrapper = this._hotspotContainerWrapper;
+  var stereoWrapper = this._stereoContainerWrapper;
   var width = this._stage.width();
   var height = this._stage.height();
   var tmpRect = this._tmpRect;
+  var tmpEyeRect = this._tmpEyeRect;
+  var i;
+
+  var stereoMode = this._stage.stereoMode();
+  if (stereoMode !== this._stereoMode) {
+    this._stereoMode = stereoMode;
+    this._visibilityOrRectChanged = true;
+    var stereoParent = stereo.isSplit(stereoMode) ? this._stereoContainer : null;
+    for (i = 0; i < this._hotspots.length; i++) {
+      this._hotspots[i]._setStereoParent(stereoParent);
+    }
+  }
+  var split = stereo.isSplit(stereoMode);
 
   // Avoid updating the wrapper DOM unless necessary.
   if (this._visibilityOrRectChanged ||
-      (this._rect && (width !== this._stageWidth || height !== this._stageHeight))) {
+      ((this._rect || split) &&
+       (width !== this._stageWidth || height !== this._stageHeight))) {
     var visible = this._visible;
     wrapper.style.display = visible ? 'block' : 'none';
+    stereoWrapper.style.display = visible && split ? 'block' : 'none';
 
     if (visible) {
       if (this._rect) {
         calcRect(width, height, this._rect, tmpRect);
-        positionAbsolutely(wrapper, width * tmpRect.x, height * tmpRect.y);
-        setPixelSize(wrapper, width * tmpRect.width, height * tmpRect.height);
-        setOverflowHidden(wrapper);
+      } else {
+        tmpRect.x = tmpRect.y = 0;
+        tmpRect.width = tmpRect.height = 1;
+      }
+      if (split) {
+        // Clip each set of hotspots to the corresponding eye.
+        stereo.eyeRect(stereoMode, 'left', tmpRect, tmpEyeRect);
+        positionWrapper(wrapper, width, height, tmpEyeRect);
+        stereo.eyeRect(stereoMode, 'right', tmpRect, tmpEyeRect);
+        positionWrapper(stereoWrapper, width, height, tmpEyeRect);
+      } else if (this._rect) {
+        positionWrapper(wrapper, width, height, tmpRect);
       } else {
         positionAbsolutely(wrapper, 0, 0);
         setNullSize(wrapper);
@@ -257,10 +310,17 @@ HotspotContainer.prototype._update = function() {
   }
 
   // Update hotspots unconditionally, as the view parameters may have changed.
-  for (var i = 0; i < this._hotspots.length; i++) {
+  for (i = 0; i < this._hotspots.length; i++) {
     this._hotspots[i]._update();
   }
 };
 
 
+function positionWrapper(wrapper, width, height, rect) {
+  positionAbsolutely(wrapper, width * rect.x, height * rect.y);
+  setPixelSize(wrapper, width * rect.width, height * rect.height);
+  setOverflowHidden(wrapper);
+}
+
+
 module.exports = HotspotContainer;
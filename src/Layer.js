@@ -17,6 +17,7 @@
 
 
 var eventEmitter = require('minimal-event-emitter');
+var vec3 = require('gl-matrix').vec3;
 var extend = require('./util/extend');
 var clearOwnProperties = require('./util/clearOwnProperties');
 
@@ -28,6 +29,17 @@ var clearOwnProperties = require('./util/clearOwnProperties');
  * @event Layer#renderComplete
  */
 
+/**
+ * Signals that the depth map of the layer has changed, as a result of more of
+ * it being loaded.
+ *
+ * @param {DepthStore} depthStore
+ * @event Layer#depthChange
+ */
+
+// The number of refinement steps taken by Layer#depthAt.
+var depthAtIterations = 8;
+
 /**
  * @class Layer
  * @classdesc
@@ -42,6 +54,12 @@ var clearOwnProperties = require('./util/clearOwnProperties');
  * @param {TextureStore} textureStore
  * @param {Object} opts
  * @param {Effects} opts.effects
+ * @param {string} [opts.eye] The eye the layer is displayed to in a stereo
+ *     pair, one of `left` or `right`. Layers not assigned to an eye are
+ *     displayed to both. See {@link stereo} for how each eye is rendered.
+ * @param {DepthStore} [opts.depthStore] The depth map of the layer. When set,
+ *     the layer is rendered as geometry displaced by the depth, which shows
+ *     parallax when the eye is moved away from the center of the panorama.
 */
 function Layer(source, geometry, view, textureStore, opts) {
   opts = opts || {};
@@ -55,6 +73,13 @@ function Layer(source, geometry, view, textureStore, opts) {
 
   this._effects = opts.effects || {};
 
+  if (opts.eye != null && opts.eye !== 'left' && opts.eye !== 'right') {
+    throw new Error('Unknown eye: ' + opts.eye);
+  }
+  this._eye = opts.eye || null;
+
+  this._depthStore = opts.depthStore || null;
+
   this._fixedLevelIndex = null;
 
   this._viewChangeHandler = function() {
@@ -73,6 +98,18 @@ function Layer(source, geometry, view, textureStore, opts) {
     this._textureStoreChangeHandler);
   this._textureStore.addEventListener('textureInvalid',
     this._textureStoreChangeHandler);
+
+  if (this._depthStore) {
+    this._depthStoreChangeHandler = function() {
+      self.emit('depthChange', self.depthStore());
+    };
+    this._depthStore.addEventListener('depthLoad',
+      this._depthStoreChangeHandler);
+  }
+
+  // Temporary variables used for calculations.
+  this._tmpCoords = {};
+  this._tmpEye = {};
 }
 
 eventEmitter(Layer);
@@ -89,6 +126,10 @@ Layer.prototype.destroy = function() {
     this._textureStoreChangeHandler);
   this._textureStore.removeEventListener('textureInvalid',
     this._textureStoreChangeHandler);
+  if (this._depthStore) {
+    this._depthStore.removeEventListener('depthLoad',
+      this._depthStoreChangeHandler);
+  }
   clearOwnProperties(this);
 };
 
@@ -129,6 +170,97 @@ Layer.prototype.textureStore = function() {
 };
 
 
+/**
+ * Returns the eye the layer is displayed to, or null if displayed to both.
+ * @return {?string}
+ */
+Layer.prototype.eye = function() {
+  return this._eye;
+};
+
+
+/**
+ * Returns the underlying {@link DepthStore depth store}, or null if the layer
+ * has no depth map.
+ * @return {?DepthStore}
+ */
+Layer.prototype.depthStore = function() {
+  return this._depthStore;
+};
+
+
+/**
+ * Returns the position of the panorama surface seen at a screen position,
+ * according to the depth map. This may be used to place a hotspot at the
+ * true distance of the point it marks, by passing the result as its
+ * coordinates.
+ *
+ * The view must be a {@link RectilinearView} or similar. When the eye is
+ * offset from the center, the returned angles are those of the point as seen
+ * from the center, which may differ from those under the screen position.
+ *
+ * @param {Coords} coords The screen coordinates.
+ * @param {RectilinearViewCoords=} result The result argument.
+ * @return {?RectilinearViewCoords} The coordinates, including the distance,
+ *     or null if the layer has no depth map or it has not yet been loaded.
+ */
+Layer.prototype.depthAt = function(coords, result) {
+  var depthStore = this._depthStore;
+  var view = this._view;
+  if (!depthStore) {
+    return null;
+  }
+
+  var viewCoords = view.screenToCoordinates(coords, this._tmpCoords);
+  if (!viewCoords) {
+    return null;
+  }
+  var eye = view.eyeOffset ? view.eyeOffset(this._tmpEye) : null;
+
+  var yaw = viewCoords.yaw;
+  var pitch = viewCoords.pitch;
+  var ray = vec3.fromValues(
+      Math.sin(yaw) * Math.cos(pitch),
+      -Math.sin(pitch),
+      -Math.cos(yaw) * Math.cos(pitch));
+  var origin = vec3.fromValues(eye ? eye.x : 0, eye ? eye.y : 0, eye ? eye.z : 0);
+  var point = vec3.create();
+
+  // Find the distance along the ray at which it meets the surface. The depth
+  // is measured from the center, so the depth in the direction of the ray is
+  // a good first guess for an eye near the center, which each step improves.
+  var t = depthStore.depth(ray);
+  for (var i = 0; i < depthAtIterations && t != null; i++) {
+    vec3.scaleAndAdd(point, origin, ray, t);
+    var depth = depthStore.depth(point);
+    if (depth == null) {
+      return null;
+    }
+    t = Math.max(0, t + depth - vec3.length(point));
+  }
+  if (t == null) {
+    return null;
+  }
+  vec3.scaleAndAdd(point, origin, ray, t);
+
+  result = result || {};
+  result.yaw = Math.atan2(point[0], -point[2]);
+  result.pitch = Math.asin(-point[1] / vec3.length(point));
+  result.distance = vec3.length(point);
+  return result;
+};
+
+
+// Returns an object behaving as this layer, except for being seen through
+// another view. It shares all other state with this layer. Used to render the
+// layer through views other than its own; see Stage#renderViews.
+Layer.prototype._withView = function(view) {
+  var layer = Object.create(this);
+  layer._view = view;
+  return layer;
+};
+
+
 /**
  * Returns the currently set {@link Effects effects}.
  * @return {Effects}
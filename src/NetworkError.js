@@ -24,11 +24,25 @@ var inherits = require('./util/inherits');
  *
  * Signals an error that occurred while fetching a URL. This is used by
  * {@link Loader loaders} to distinguish network failures from other errors.
+ *
+ * @param {string} message The error message.
+ * @param {number} [status] The HTTP status code of the response, if one was
+ *     received.
  */
-function NetworkError(message) {
+function NetworkError(message, status) {
   // See: https://stackoverflow.com/questions/1382107/whats-a-good-way-to-extend-error-in-javascript
-  this.constructor.super_.apply(this, arguments);
+  // Refer to the superclass by name rather than through this.constructor, so
+  // that subclasses may call this constructor.
+  NetworkError.super_.apply(this, arguments);
   this.message = message;
+
+  /**
+   * The HTTP status code of the failed response, or null if it is not known
+   * (e.g. the request did not reach the server, or the loader is unable to
+   * observe the status).
+   * @type {?number}
+   */
+  this.status = status != null ? status : null;
 }
 
 inherits(NetworkError, Error);
@@ -0,0 +1,39 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var inherits = require('./util/inherits');
+var NetworkError = require('./NetworkError');
+
+/**
+ * @class NotFoundError
+ * @extends {NetworkError}
+ * @classdesc
+ *
+ * Signals that the requested URL does not exist, i.e., the server responded
+ * with HTTP status 404 or 410. Retrying the request is unlikely to succeed.
+ *
+ * @param {string} message The error message.
+ * @param {number} [status] The HTTP status code of the response, if one was
+ *     received.
+ */
+function NotFoundError(message, status) {
+  NotFoundError.super_.call(this, message, status);
+}
+
+inherits(NotFoundError, NetworkError);
+
+module.exports = NotFoundError;
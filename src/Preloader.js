@@ -0,0 +1,262 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var eventEmitter = require('minimal-event-emitter');
+var Timer = require('./Timer');
+var Map = require('./collections/Map');
+var clearOwnProperties = require('./util/clearOwnProperties');
+
+/**
+ * Signals that the texture for one of the tiles has been loaded or has failed
+ * to load.
+ * @param {number} settled The number of tiles that have been loaded or have
+ *     failed to load.
+ * @param {number} total The number of tiles.
+ * @event Preloader#progress
+ */
+
+/**
+ * Signals that the textures for all of the tiles have been loaded or have
+ * failed to load, or that the timeout has passed, whichever happens first.
+ * Emitted at most once, and not at all if loading is already complete on
+ * construction; see {@link Preloader#isComplete}.
+ * @param {boolean} resident Whether the textures for all of the tiles are
+ *     present.
+ * @event Preloader#complete
+ */
+
+/**
+ * @class Preloader
+ * @classdesc
+ *
+ * A Preloader loads the textures for the tiles of a set of {@link Layer layers}
+ * that are visible from their current views, so that they can be displayed
+ * without waiting for them to load. It is used by {@link Viewer#preloadScene}
+ * and most clients will not need to create one directly.
+ *
+ * Loading starts on construction. The tiles are pinned into the
+ * {@link TextureStore texture store} of their layer, so that they are not
+ * evicted before being displayed, until {@link Preloader#release} is called.
+ * Until then, they are also given a loading priority by the stage as if they
+ * were visible; see {@link Stage#prioritizeTile}.
+ *
+ * @param {Layer[]} layers The layers.
+ * @param {Object} opts
+ * @param {?number} [opts.level=null] The index of the level to load in the
+ *     geometry of each layer, which is capped to the last level. If null, the
+ *     level that the view would currently be rendered at is loaded.
+ * @param {number} [opts.timeout=Infinity] The time in milliseconds after which
+ *     loading is considered complete, even if some tiles are still missing.
+ */
+function Preloader(layers, opts) {
+  var self = this;
+
+  opts = opts || {};
+
+  var level = opts.level != null ? opts.level : null;
+  var timeout = opts.timeout != null ? opts.timeout : Infinity;
+
+  // The pinned tiles, as a list of texture stores and the tiles pinned into
+  // each one of them.
+  this._pins = [];
+
+  // The tiles whose textures are yet to be loaded into each texture store.
+  this._pending = [];
+
+  this._total = 0;
+  this._settled = 0;
+  this._complete = false;
+
+  for (var i = 0; i < layers.length; i++) {
+    this._pinLayer(layers[i], level);
+  }
+
+  this._timer = new Timer({ duration: timeout });
+  this._timer.addEventListener('timeout', function() {
+    self._finish();
+  });
+  this._timer.start();
+
+  if (this._settled === this._total) {
+    this._finish();
+  }
+}
+
+eventEmitter(Preloader);
+
+
+/**
+ * Destructor. Stops loading and releases the tiles.
+ */
+Preloader.prototype.destroy = function() {
+  this._stop();
+  this.release();
+  clearOwnProperties(this);
+};
+
+
+/**
+ * Returns the number of tiles that have been loaded or have failed to load.
+ * @return {number}
+ */
+Preloader.prototype.settled = function() {
+  return this._settled;
+};
+
+
+/**
+ * Returns the number of tiles.
+ * @return {number}
+ */
+Preloader.prototype.total = function() {
+  return this._total;
+};
+
+
+/**
+ * Returns whether loading is complete. See {@link Preloader#event:complete}.
+ * @return {boolean}
+ */
+Preloader.prototype.isComplete = function() {
+  return this._complete;
+};
+
+
+/**
+ * Returns whether the textures for all of the tiles are present.
+ * @return {boolean}
+ */
+Preloader.prototype.isResident = function() {
+  var pins = this._pins;
+  for (var i = 0; i < pins.length; i++) {
+    for (var j = 0; j < pins[i].tiles.length; j++) {
+      if (!pins[i].textureStore.query(pins[i].tiles[j]).hasTexture) {
+        return false;
+      }
+    }
+  }
+  return true;
+};
+
+
+/**
+ * Unpins the tiles from their texture stores, after which they are subject to
+ * the usual eviction rules. The textures for tiles that are neither visible
+ * nor previously visible are unloaded, so this should only be called once the
+ * layers have been rendered. Calling this more than once has no effect.
+ */
+Preloader.prototype.release = function() {
+  var pins = this._pins;
+  for (var i = 0; i < pins.length; i++) {
+    var stage = pins[i].textureStore.stage();
+    for (var j = 0; j < pins[i].tiles.length; j++) {
+      pins[i].textureStore.unpin(pins[i].tiles[j]);
+      if (stage.unprioritizeTile) {
+        stage.unprioritizeTile(pins[i].tiles[j]);
+      }
+    }
+  }
+  this._pins = [];
+};
+
+
+Preloader.prototype._pinLayer = function(layer, levelIndex) {
+  var textureStore = layer.textureStore();
+  var tiles;
+
+  if (levelIndex != null) {
+    var geometry = layer.geometry();
+    var levelList = geometry.levelList;
+    var level = levelList[Math.min(levelIndex, levelList.length - 1)];
+    tiles = geometry.visibleTiles(layer.view(), level, []);
+  } else {
+    tiles = layer.visibleTiles([]);
+  }
+
+  // Give the tiles a loading priority before they start loading.
+  var stage = textureStore.stage();
+  if (stage.prioritizeTile) {
+    for (var j = 0; j < tiles.length; j++) {
+      stage.prioritizeTile(tiles[j], layer.view());
+    }
+  }
+
+  var pending = new Map();
+  for (var i = 0; i < tiles.length; i++) {
+    textureStore.pin(tiles[i]);
+    if (!textureStore.query(tiles[i]).hasTexture) {
+      pending.set(tiles[i], true);
+    }
+  }
+
+  this._pins.push({ textureStore: textureStore, tiles: tiles });
+  this._total += tiles.length;
+  this._settled += tiles.length - pending.size();
+
+  if (pending.size()) {
+    var self = this;
+    var entry = { textureStore: textureStore, tiles: pending };
+    entry.handler = function(tile) {
+      self._settle(entry, tile);
+    };
+    textureStore.addEventListener('textureLoad', entry.handler);
+    textureStore.addEventListener('textureError', entry.handler);
+    textureStore.addEventListener('textureCancel', entry.handler);
+    this._pending.push(entry);
+  }
+};
+
+
+// Marks a tile as settled after its texture has been loaded or has failed to
+// load, unless it is not one of the pending tiles.
+Preloader.prototype._settle = function(entry, tile) {
+  if (!entry.tiles.del(tile)) {
+    return;
+  }
+  this._settled++;
+  this.emit('progress', this._settled, this._total);
+  if (this._settled === this._total) {
+    this._finish();
+  }
+};
+
+
+Preloader.prototype._finish = function() {
+  if (this._complete) {
+    return;
+  }
+  this._complete = true;
+  this._stop();
+  this.emit('complete', this.isResident());
+};
+
+
+// Stops listening for texture events and for the timeout.
+Preloader.prototype._stop = function() {
+  var pending = this._pending;
+  for (var i = 0; i < pending.length; i++) {
+    var textureStore = pending[i].textureStore;
+    textureStore.removeEventListener('textureLoad', pending[i].handler);
+    textureStore.removeEventListener('textureError', pending[i].handler);
+    textureStore.removeEventListener('textureCancel', pending[i].handler);
+  }
+  this._pending = [];
+  this._timer.stop();
+};
+
+
+module.exports = Preloader;
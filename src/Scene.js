@@ -17,10 +17,13 @@
 
 var Layer = require('./Layer');
 var TextureStore = require('./TextureStore');
+var DepthStore = require('./DepthStore');
 var HotspotContainer = require('./HotspotContainer');
+var CancelError = require('./CancelError');
 var eventEmitter = require('minimal-event-emitter');
 var now = require('./util/now');
 var noop = require('./util/noop');
+var global = require('./util/global');
 var type = require('./util/type');
 var defaults = require('./util/defaults');
 var clearOwnProperties = require('./util/clearOwnProperties');
@@ -95,7 +98,7 @@ Scene.prototype.destroy = function() {
   this._viewer.removeEventListener('sceneChange', this._updateHotspotContainerHandler);
 
   if (this._movement) {
-    this.stopMovement();
+    this._stopMovement(new CancelError('Scene destroyed'));
   }
 
   this._hotspotContainer.destroy();
@@ -176,6 +179,11 @@ Scene.prototype.visible = function() {
  *     provide a fallback of last resort, at the cost of memory consumption.
  * @param {Object} [opts.textureStoreOpts={}] Options to pass to the
  *     {@link TextureStore} constructor.
+ * @param {Source} [opts.depthSource] The {@link Source} for a depth map aligned
+ *     with the layer's source. When given, the layer is rendered with parallax
+ *     as the eye moves. See {@link DepthStore}.
+ * @param {Object} [opts.depthStoreOpts={}] Options to pass to the
+ *     {@link DepthStore} constructor.
  * @param {Object} [opts.layerOpts={}] Options to pass to the {@link Layer}
  *     constructor.
  * @return {Layer}
@@ -183,25 +191,89 @@ Scene.prototype.visible = function() {
 Scene.prototype.createLayer = function(opts) {
   opts = opts || {};
 
-  var textureStoreOpts = opts.textureStoreOpts || {};
+  var layer = this._makeLayer(opts.source, opts, opts.layerOpts || {});
+
+  this._layers.push(layer);
+
+  // Signal that the layers have changed.
+  this.emit('layerChange');
+
+  return layer;
+};
+
+
+/**
+ * Creates a pair of {@link Layer layers} displaying the left and right eye
+ * images of a stereo panorama, and adds them into the scene in the foreground
+ * position.
+ *
+ * The layers share the same geometry and view, and are displayed according to
+ * the {@link Stage#stereoMode stereo mode} of the stage. Sources for common
+ * stereo image layouts may be obtained from {@link stereoSources}.
+ *
+ * @param {Object} opts Layer creation options.
+ * @param {Object} opts.source The underlying sources for each eye.
+ * @param {Source} opts.source.left The {@link Source} for the left eye.
+ * @param {Source} opts.source.right The {@link Source} for the right eye.
+ * @param {Source} opts.geometry The layers' underlying {@link Geometry}.
+ * @param {boolean} [opts.pinFirstLevel=false] Whether to pin the first level to
+ *     provide a fallback of last resort, at the cost of memory consumption.
+ * @param {Object} [opts.textureStoreOpts={}] Options to pass to the
+ *     {@link TextureStore} constructors.
+ * @param {Source} [opts.depthSource] The {@link Source} for a depth map aligned
+ *     with the sources of both eyes. See {@link Scene#createLayer}.
+ * @param {Object} [opts.depthStoreOpts={}] Options to pass to the
+ *     {@link DepthStore} constructors.
+ * @param {Object} [opts.layerOpts={}] Options to pass to the {@link Layer}
+ *     constructors. The `eye` option is set automatically.
+ * @return {{left: Layer, right: Layer}}
+ */
+Scene.prototype.createStereoLayer = function(opts) {
+  opts = opts || {};
+
+  var source = opts.source || {};
+  if (!source.left || !source.right) {
+    throw new Error('Stereo layer requires a source for each eye');
+  }
+
   var layerOpts = opts.layerOpts || {};
+  var left = this._makeLayer(source.left, opts,
+      defaults({ eye: 'left' }, layerOpts));
+  var right = this._makeLayer(source.right, opts,
+      defaults({ eye: 'right' }, layerOpts));
+
+  // In the anaglyph modes, the left eye is composited over the right eye, so
+  // it must be in front.
+  this._layers.push(right);
+  this._layers.push(left);
+
+  // Signal that the layers have changed.
+  this.emit('layerChange');
+
+  return { left: left, right: right };
+};
+
+
+Scene.prototype._makeLayer = function(source, opts, layerOpts) {
+  var textureStoreOpts = opts.textureStoreOpts || {};
 
-  var source = opts.source;
   var geometry = opts.geometry;
   var view = this._view;
   var stage = this._viewer.stage();
   var textureStore = new TextureStore(source, stage, textureStoreOpts);
-  var layer = new Layer(source, geometry, view, textureStore, layerOpts);
 
-  this._layers.push(layer);
+  if (opts.depthSource) {
+    var depthStore = new DepthStore(opts.depthSource, geometry, stage,
+        opts.depthStoreOpts || {});
+    layerOpts = defaults({ depthStore: depthStore }, layerOpts);
+  }
+
+  var layer = new Layer(source, geometry, view, textureStore, layerOpts);
 
   if (opts.pinFirstLevel) {
     layer.pinFirstLevel();
   }
 
-  // Signal that the layers have changed.
-  this.emit('layerChange');
-
   return layer;
 };
 
@@ -222,8 +294,13 @@ Scene.prototype.destroyLayer = function(layer) {
   // Signal that the layers have changed.
   this.emit('layerChange');
 
+  var depthStore = layer.depthStore();
+
   layer.textureStore().destroy();
   layer.destroy();
+  if (depthStore) {
+    depthStore.destroy();
+  }
 };
 
 
@@ -250,6 +327,20 @@ Scene.prototype.switchTo = function(opts, done) {
 };
 
 
+/**
+ * Switches to the scene, returning a promise.
+ *
+ * This is equivalent to calling {@link Viewer#switchSceneAsync} on this scene.
+ *
+ * @param {Object} opts Options to pass into {@link Viewer#switchScene}.
+ * @return {Promise} A promise resolved when the switch is complete, or rejected
+ *     with a {@link CancelError} if it is interrupted.
+ */
+Scene.prototype.switchToAsync = function(opts) {
+  return this._viewer.switchSceneAsync(this, opts);
+};
+
+
 /**
  * Tweens the scene's underlying {@link View view}.
  *
@@ -268,10 +359,45 @@ Scene.prototype.switchTo = function(opts, done) {
  *    interrupted.
  */
 Scene.prototype.lookTo = function(params, opts, done) {
+  done = done || noop;
+  this._lookTo(params, opts, function() {
+    done();
+  });
+};
+
+
+/**
+ * Tweens the scene's underlying {@link View view}, returning a promise.
+ *
+ * Unlike with {@link Scene#lookTo}, completion and interruption can be told
+ * apart, which allows movements to be sequenced with `await`.
+ *
+ * @param {Object} params Target view parameters.
+ * @param {Object} opts Transition options, as for {@link Scene#lookTo}.
+ * @return {Promise} A promise resolved when the tween finishes, or rejected
+ *     with a {@link CancelError} if it is interrupted by the controls or by
+ *     another movement, or if the scene is destroyed.
+ */
+Scene.prototype.lookToAsync = function(params, opts) {
+  var self = this;
+  return new global.Promise(function(resolve, reject) {
+    self._lookTo(params, opts, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+};
+
+
+// Implements lookTo. The callback receives a CancelError if the tween is
+// interrupted.
+Scene.prototype._lookTo = function(params, opts, done) {
   var self = this;
 
   opts = opts || {};
-  done = done || noop;
 
   if (type(params) !== 'object') {
     throw new Error("Target view parameters must be an object");
@@ -335,11 +461,11 @@ Scene.prototype.lookTo = function(params, opts, done) {
     this._viewer.controls().disable();
   }
 
-  this.startMovement(movement, function() {
+  this._startMovement(movement, function(err) {
     if (reenableControls) {
       self._viewer.controls().enable();
     }
-    done();
+    done(err);
   });
 
 };
@@ -353,11 +479,20 @@ Scene.prototype.lookTo = function(params, opts, done) {
  *     interrupted.
  */
 Scene.prototype.startMovement = function(fn, done) {
+  this._startMovement(fn, done && function() {
+    done();
+  });
+};
+
+
+// Implements startMovement. The callback receives a CancelError if the
+// movement is interrupted.
+Scene.prototype._startMovement = function(fn, done) {
 
   var renderLoop = this._viewer.renderLoop();
 
   if (this._movement) {
-    this.stopMovement();
+    this._stopMovement(new CancelError('Movement superseded'));
   }
 
   var step = fn();
@@ -380,6 +515,13 @@ Scene.prototype.startMovement = function(fn, done) {
  * Stops the current movement.
  */
 Scene.prototype.stopMovement = function() {
+  this._stopMovement(new CancelError('Movement interrupted'));
+};
+
+
+// Stops the current movement, passing an error to its callback if the movement
+// was interrupted rather than finished.
+Scene.prototype._stopMovement = function(err) {
 
   var done = this._movementCallback;
   var renderLoop = this._viewer.renderLoop();
@@ -399,7 +541,7 @@ Scene.prototype.stopMovement = function() {
   renderLoop.removeEventListener('beforeRender', this._updateMovementHandler);
 
   if (done) {
-    done();
+    done(err);
   }
 };
 
@@ -429,7 +571,7 @@ Scene.prototype._updateMovement = function() {
   params = view.parameters(params);
   params = step(params, elapsed);
   if (params == null) {
-    this.stopMovement();
+    this._stopMovement(null);
   } else {
     view.setParameters(params);
     renderLoop.renderOnNextFrame();
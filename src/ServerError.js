@@ -0,0 +1,39 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var inherits = require('./util/inherits');
+var NetworkError = require('./NetworkError');
+
+/**
+ * @class ServerError
+ * @extends {NetworkError}
+ * @classdesc
+ *
+ * Signals that the server failed to fulfill a request, i.e., it responded with
+ * an HTTP status in the 5xx range. The failure may be transient.
+ *
+ * @param {string} message The error message.
+ * @param {number} [status] The HTTP status code of the response, if one was
+ *     received.
+ */
+function ServerError(message, status) {
+  ServerError.super_.call(this, message, status);
+}
+
+inherits(ServerError, NetworkError);
+
+module.exports = ServerError;
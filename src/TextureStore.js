@@ -61,11 +61,24 @@ var defaultOptions = {
 var nextId = 0;
 
 
+// Incremented every time a tile stops being visible, to order the previously
+// visible tiles of all stores by how recently they were visible.
+var nextVisibleTime = 0;
+
+
 // Distinguishes a cancellation from other kinds of errors.
 function CancelError() {}
 inherits(CancelError, Error);
 
 
+// Whether loading an asset should be retried after failing with an error.
+// Sources signal that they have given up on an asset by setting the
+// `permanent` property on the error.
+function isRetryable(err) {
+  return !(err && err.permanent);
+}
+
+
 /**
  * @class TextureStoreItem
  * @classdesc
@@ -92,6 +105,10 @@ function TextureStoreItem(store, tile) {
   self._asset = null;
   self._texture = null;
 
+  // The time at which the tile was last visible, as a value comparable across
+  // stores. Only set while the tile is in the previously visible set.
+  self._lastVisible = null;
+
   self._changeHandler = function() {
     store.emit('textureInvalid', tile);
   };
@@ -102,9 +119,10 @@ function TextureStoreItem(store, tile) {
   var loadAsset = source.loadAsset.bind(source);
   var createTexture = stage.createTexture.bind(stage);
 
-  // Retry loading the asset until it succeeds, then create the texture from it.
-  // This process may be canceled at any point by calling the destroy() method.
-  var fn = chain(retry(loadAsset), createTexture);
+  // Retry loading the asset until it succeeds or the source gives up, then
+  // create the texture from it. This process may be canceled at any point by
+  // calling the destroy() method.
+  var fn = chain(retry(loadAsset, isRetryable), createTexture);
 
   store.emit('textureStartLoad', tile);
   if (debug) {
@@ -168,6 +186,51 @@ function TextureStoreItem(store, tile) {
 }
 
 
+// Creates the texture anew from the retained asset, after the previous texture
+// became unusable, e.g. due to the loss of the WebGL context. Only applicable to
+// items with a dynamic asset, since the assets of other items are not retained.
+TextureStoreItem.prototype.recreateTexture = function() {
+  var self = this;
+
+  var store = self._store;
+  var tile = self._tile;
+  var asset = self._asset;
+
+  if (self._texture) {
+    self._texture.destroy();
+    self._texture = null;
+  }
+
+  store.emit('textureStartLoad', tile);
+
+  self._cancel = store.stage().createTexture(tile, asset, function(err, _tile, _asset, texture) {
+
+    // Make sure we do not call cancel after the operation is complete.
+    self._cancel = null;
+
+    if (err) {
+      // Give up on the asset, as if loading it had failed.
+      asset.removeEventListener('change', self._changeHandler);
+      asset.destroy();
+      self._asset = null;
+      if (texture) {
+        texture.destroy();
+      }
+      if (err instanceof CancelError) {
+        store.emit('textureCancel', tile);
+      } else {
+        store.emit('textureError', tile, err);
+      }
+      return;
+    }
+
+    self._texture = texture;
+
+    store.emit('textureLoad', tile);
+  });
+};
+
+
 TextureStoreItem.prototype.asset = function() {
   return this._asset;
 };
@@ -263,10 +326,13 @@ eventEmitter(TextureStoreItem);
  * Signals that loading a texture has failed.
  *
  * This event may follow {@link TextureStore#textureStartLoad} if the texture
- * fails to load.
+ * fails to load. Failures to load the asset are retried, unless the
+ * {@link Source} gives up on it, in which case the tile is rendered using
+ * the fallback from other levels.
  *
  * @event TextureStore#textureError
  * @param {Tile} tile The tile for which the texture loading has failed.
+ * @param {Error} err The error.
  */
 
 /**
@@ -283,6 +349,10 @@ eventEmitter(TextureStoreItem);
  * may be pinned to keep their respective textures cached even when they are
  * invisible; these textures do not count towards the previously visible limit.
  *
+ * Additionally, the {@link Stage} may unload the textures for previously
+ * visible tiles to stay within its texture memory budget. See the
+ * `textureMemoryBudget` option to {@link Stage}.
+ *
  * Multiple layers belonging to the same underlying {@link WebGlStage} may
  * share the same TextureStore. Layers belonging to distinct {@link WebGlStage}
  * instances may not do so due to restrictions on the use of textures across
@@ -515,6 +585,7 @@ TextureStore.prototype._update = function() {
     var item = self._itemMap.get(tile);
     var texture = item && item.texture();
     if (texture) {
+      item._lastVisible = nextVisibleTime++;
       var otherTile = self._previouslyVisible.add(tile);
       if (otherTile != null) {
         self._evicted.push(otherTile);
@@ -540,6 +611,12 @@ TextureStore.prototype._update = function() {
     }
   });
 
+  // Give the source a chance to reorder its pending loads, since their
+  // priorities may have changed since the previous frame.
+  if (self._source.reprioritize) {
+    self._source.reprioritize();
+  }
+
   // Swap the old visible set with the new one.
   var tmp = self._visible;
   self._visible = self._newVisible;
@@ -555,6 +632,91 @@ TextureStore.prototype._update = function() {
 };
 
 
+/**
+ * Reload all textures, after the existing ones became unusable, e.g. due to
+ * the loss of the WebGL context. Called from {@link Stage}.
+ *
+ * Textures for visible and pinned tiles are recreated from the retained asset,
+ * if any, or otherwise reloaded from the source. Textures for previously
+ * visible tiles are discarded.
+ */
+TextureStore.prototype.reloadTextures = function() {
+  var self = this;
+
+  // Discard previously visible tiles, unless they are pinned.
+  self._evicted.length = 0;
+  self._previouslyVisible.forEach(function(tile) {
+    if (!self._pinMap.has(tile)) {
+      self._evicted.push(tile);
+    }
+  });
+  self._previouslyVisible.clear();
+  self._evicted.forEach(function(tile) {
+    self._unloadTile(tile);
+  });
+
+  // Rebuild the remaining textures.
+  self._evicted.length = 0;
+  self._itemMap.forEach(function(tile) {
+    self._evicted.push(tile);
+  });
+  self._evicted.forEach(function(tile) {
+    var item = self._itemMap.get(tile);
+    if (item.asset() && item.texture()) {
+      item.recreateTexture();
+    } else {
+      self._unloadTile(tile);
+      self._loadTile(tile);
+    }
+  });
+
+  // Clear temporary variables.
+  self._evicted.length = 0;
+};
+
+
+/**
+ * Collect the tiles whose textures may be unloaded to free up memory, i.e.,
+ * the previously visible tiles that are not pinned. Called from {@link Stage}.
+ *
+ * For each tile, an object with `textureStore`, `tile` and `lastVisible`
+ * properties is appended to the result. Tiles with a lower `lastVisible`
+ * value were visible less recently, including across texture stores.
+ *
+ * @param {Object[]} result The array to append to.
+ * @return {Object[]} The result array.
+ */
+TextureStore.prototype.collectEvictable = function(result) {
+  var self = this;
+  self._previouslyVisible.forEach(function(tile) {
+    if (!self._pinMap.has(tile)) {
+      result.push({
+        textureStore: self,
+        tile: tile,
+        lastVisible: self._itemMap.get(tile)._lastVisible
+      });
+    }
+  });
+  return result;
+};
+
+
+/**
+ * Unload the texture for a previously visible tile. Called from {@link Stage}.
+ * Visible and pinned tiles are left untouched.
+ * @param {Tile} tile The tile to evict.
+ * @return {boolean} Whether the texture was unloaded.
+ */
+TextureStore.prototype.evict = function(tile) {
+  if (this._pinMap.has(tile) || !this._previouslyVisible.has(tile)) {
+    return false;
+  }
+  this._previouslyVisible.remove(tile);
+  this._unloadTile(tile);
+  return true;
+};
+
+
 TextureStore.prototype._loadTile = function(tile) {
   if (this._itemMap.has(tile)) {
     throw new Error('TextureStore: loading texture already in cache');
@@ -0,0 +1,485 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var LruMap = require('./collections/LruMap');
+var WorkPool = require('./collections/WorkPool');
+var CacheApiStorage = require('./storage/CacheApi');
+var IndexedDbStorage = require('./storage/IndexedDb');
+var MemoryStorage = require('./storage/Memory');
+var hash = require('./util/hash');
+var once = require('./util/once');
+var noop = require('./util/noop');
+
+var defaultName = 'marzipano-tiles';
+var defaultVersion = 1;
+var defaultMaxSize = 100 * 1024 * 1024;
+var defaultMaxEntries = 4096;
+var defaultPrefetchConcurrency = 4;
+
+
+// Wraps a string key so that it can be stored in an LruMap.
+function CacheKey(key) {
+  this._key = key;
+}
+
+CacheKey.prototype.hash = function() {
+  var codes = [];
+  for (var i = 0; i < this._key.length; i++) {
+    codes.push(this._key.charCodeAt(i));
+  }
+  return hash.apply(null, codes);
+};
+
+CacheKey.prototype.equals = function(that) {
+  return this._key === that._key;
+};
+
+
+/**
+ * @class TileCache
+ * @classdesc
+ *
+ * A persistent cache for tile images, used by {@link CachedSource} to avoid
+ * reloading tiles across page loads.
+ *
+ * Entries are evicted in least recently used order when either the total size
+ * or the number of entries exceeds the configured limit. An in-memory index of
+ * the entries is rebuilt from the storage when the cache is created.
+ *
+ * Changing the version discards all entries stored with a different version.
+ * Use it to invalidate the cache when the underlying images change.
+ *
+ * @param {Object} opts
+ * @param {string} [opts.name='marzipano-tiles'] The name of the underlying
+ *     database or cache.
+ * @param {number} [opts.version=1] The cache version; must be a positive
+ *     integer.
+ * @param {number} [opts.maxSize=104857600] The maximum total size of the
+ *     entries, in bytes.
+ * @param {number} [opts.maxEntries=4096] The maximum number of entries.
+ * @param {string|TileStorage} [opts.storage] The storage backend: either
+ *     `'indexeddb'`, `'cache'` or a {@link TileStorage} implementation. By
+ *     default, IndexedDB is used when available, then the Cache Storage API.
+ *     When neither is available, entries are only kept in memory.
+ */
+function TileCache(opts) {
+  opts = opts || {};
+
+  var name = opts.name || defaultName;
+  var version = opts.version != null ? opts.version : defaultVersion;
+
+  if (Math.floor(version) !== version || version < 1) {
+    throw new Error('TileCache: version must be a positive integer');
+  }
+
+  this._maxSize = opts.maxSize != null ? opts.maxSize : defaultMaxSize;
+  this._maxEntries = opts.maxEntries != null ? opts.maxEntries : defaultMaxEntries;
+
+  this._storage = createStorage(opts.storage, name, version);
+
+  // Map from key to entry size, ordered by time of last access.
+  this._index = new LruMap(this._maxEntries);
+  this._size = 0;
+
+  // Operations requested before the storage is opened are queued.
+  this._opened = false;
+  this._openError = null;
+  this._pending = [];
+
+  this._open();
+}
+
+
+function createStorage(storage, name, version) {
+  if (storage && typeof storage === 'object') {
+    return storage;
+  }
+  if (storage === 'indexeddb') {
+    return new IndexedDbStorage(name, version);
+  }
+  if (storage === 'cache') {
+    return new CacheApiStorage(name, version);
+  }
+  if (storage != null) {
+    throw new Error('TileCache: unknown storage: ' + storage);
+  }
+  if (IndexedDbStorage.supported()) {
+    return new IndexedDbStorage(name, version);
+  }
+  if (CacheApiStorage.supported()) {
+    return new CacheApiStorage(name, version);
+  }
+  return new MemoryStorage();
+}
+
+
+TileCache.prototype._open = function() {
+  var self = this;
+  var storage = this._storage;
+
+  storage.open(function(err) {
+    if (err) {
+      self._finishOpen(err);
+      return;
+    }
+    storage.list(function(err, entries) {
+      if (err) {
+        self._finishOpen(err);
+        return;
+      }
+      // Insert from least to most recently used, so that the index ends up in
+      // the right order. Entries that do not fit are removed from the storage.
+      entries.sort(function(a, b) { return a.time - b.time; });
+      for (var i = 0; i < entries.length; i++) {
+        var entry = entries[i];
+        if (self._fits(entry.size)) {
+          self._deleteFromStorage(self._insert(entry.key, entry.size));
+        } else {
+          storage.del(entry.key, noop);
+        }
+      }
+      self._finishOpen(null);
+    });
+  });
+};
+
+
+TileCache.prototype._finishOpen = function(err) {
+  this._opened = true;
+  this._openError = err;
+  var pending = this._pending;
+  this._pending = [];
+  for (var i = 0; i < pending.length; i++) {
+    pending[i](err);
+  }
+};
+
+
+// Calls fn(err) once the storage has been opened.
+TileCache.prototype._whenOpen = function(fn) {
+  if (this._opened) {
+    fn(this._openError);
+  } else {
+    this._pending.push(fn);
+  }
+};
+
+
+TileCache.prototype._fits = function(size) {
+  return this._maxEntries > 0 && size <= this._maxSize;
+};
+
+
+// Adds or replaces an entry in the index, evicting the least recently used
+// entries as needed to stay within the limits. Returns the evicted keys.
+TileCache.prototype._insert = function(key, size) {
+  var index = this._index;
+  var evicted = [];
+
+  this._remove(key);
+
+  while (index.size() > 0 &&
+      (index.size() >= this._maxEntries || this._size + size > this._maxSize)) {
+    var oldestKey = index.oldestKey();
+    this._size -= index.del(oldestKey);
+    evicted.push(oldestKey._key);
+  }
+
+  index.set(new CacheKey(key), size);
+  this._size += size;
+
+  return evicted;
+};
+
+
+// Removes an entry from the index. Returns whether it was present.
+TileCache.prototype._remove = function(key) {
+  var size = this._index.del(new CacheKey(key));
+  if (size != null) {
+    this._size -= size;
+    return true;
+  }
+  return false;
+};
+
+
+TileCache.prototype._deleteFromStorage = function(keys) {
+  for (var i = 0; i < keys.length; i++) {
+    this._storage.del(keys[i], noop);
+  }
+};
+
+
+/**
+ * Retrieves an entry from the cache.
+ * @param {string} key The entry key.
+ * @param {function(?Error, ?Blob)} done The callback, called with null if the
+ *     entry is not in the cache.
+ * @return {function()} A function to cancel the operation.
+ */
+TileCache.prototype.get = function(key, done) {
+  var self = this;
+  var cancelled = false;
+
+  done = once(done);
+
+  this._whenOpen(function(err) {
+    if (cancelled) {
+      return;
+    }
+    if (err) {
+      done(err);
+      return;
+    }
+    var size = self._index.get(new CacheKey(key));
+    if (size == null) {
+      done(null, null);
+      return;
+    }
+    self._storage.get(key, function(err, blob) {
+      if (cancelled) {
+        return;
+      }
+      if (err) {
+        done(err);
+        return;
+      }
+      if (!blob) {
+        // The entry has been removed from the storage behind our back.
+        self._remove(key);
+        done(null, null);
+        return;
+      }
+      // Mark as most recently used, unless it was removed in the meantime.
+      if (self._remove(key)) {
+        self._index.set(new CacheKey(key), size);
+        self._size += size;
+        self._storage.touch(key, Date.now(), noop);
+      }
+      done(null, blob);
+    });
+  });
+
+  return function cancel() {
+    cancelled = true;
+    done.apply(null, arguments);
+  };
+};
+
+
+/**
+ * Checks whether an entry is in the cache.
+ * @param {string} key The entry key.
+ * @param {function(?Error, boolean)} done The callback.
+ */
+TileCache.prototype.has = function(key, done) {
+  var self = this;
+  this._whenOpen(function(err) {
+    if (err) {
+      done(err);
+      return;
+    }
+    done(null, self._index.has(new CacheKey(key)));
+  });
+};
+
+
+/**
+ * Stores an entry into the cache, evicting the least recently used entries as
+ * needed. Entries larger than the maximum size are silently dropped.
+ * @param {string} key The entry key.
+ * @param {Blob} blob The entry contents.
+ * @param {function(?Error)} [done] The callback.
+ */
+TileCache.prototype.put = function(key, blob, done) {
+  var self = this;
+
+  done = done || noop;
+
+  this._whenOpen(function(err) {
+    if (err) {
+      done(err);
+      return;
+    }
+    if (!self._fits(blob.size)) {
+      done(null);
+      return;
+    }
+    self._deleteFromStorage(self._insert(key, blob.size));
+    self._storage.put(key, blob, Date.now(), function(err) {
+      if (err) {
+        // Most likely, the browser storage quota has been exceeded.
+        self._remove(key);
+      }
+      done(err);
+    });
+  });
+};
+
+
+/**
+ * Removes an entry from the cache.
+ * @param {string} key The entry key.
+ * @param {function(?Error)} [done] The callback.
+ */
+TileCache.prototype.del = function(key, done) {
+  var self = this;
+
+  done = done || noop;
+
+  this._whenOpen(function(err) {
+    if (err) {
+      done(err);
+      return;
+    }
+    self._remove(key);
+    self._storage.del(key, done);
+  });
+};
+
+
+/**
+ * Removes all entries from the cache.
+ * @param {function(?Error)} [done] The callback.
+ */
+TileCache.prototype.clear = function(done) {
+  var self = this;
+
+  done = done || noop;
+
+  this._whenOpen(function(err) {
+    if (err) {
+      done(err);
+      return;
+    }
+    self._index.clear();
+    self._size = 0;
+    self._storage.clear(done);
+  });
+};
+
+
+/**
+ * Returns the total size of the entries in the cache, in bytes.
+ * @return {number}
+ */
+TileCache.prototype.byteSize = function() {
+  return this._size;
+};
+
+
+/**
+ * Returns the number of entries in the cache.
+ * @return {number}
+ */
+TileCache.prototype.entryCount = function() {
+  return this._index.size();
+};
+
+
+/**
+ * Loads the tiles of a scene into the cache, so that they are available
+ * offline. Only the layers whose source is a {@link CachedSource} backed by
+ * this cache are prefetched. Tiles already in the cache are skipped.
+ *
+ * Prefetching continues past failed tiles; the callback receives the first
+ * error encountered, if any, once every tile has been attempted.
+ *
+ * @param {Scene} scene The scene to prefetch.
+ * @param {?number} levels The number of levels to prefetch, starting from the
+ *     lowest resolution one, or null to prefetch all levels.
+ * @param {Object} [opts]
+ * @param {number} [opts.concurrency=4] The maximum number of tiles to load
+ *     concurrently.
+ * @param {function(number, number)} [opts.progress] Called after each tile
+ *     with the number of processed tiles and the total number of tiles.
+ * @param {function(?Error)} [done] The callback.
+ * @return {function()} A function to cancel prefetching.
+ */
+TileCache.prototype.prefetchScene = function(scene, levels, opts, done) {
+  var self = this;
+
+  opts = opts || {};
+  done = once(done || noop);
+
+  var progress = opts.progress || noop;
+  var pool = new WorkPool({
+    concurrency: opts.concurrency || defaultPrefetchConcurrency
+  });
+  var stage = scene.viewer().stage();
+
+  var tasks = [];
+  var layers = scene.listLayers();
+  for (var i = 0; i < layers.length; i++) {
+    var source = layers[i].source();
+    if (!source.cache || source.cache() !== self) {
+      continue;
+    }
+    var geometry = layers[i].geometry();
+    var levelList = geometry.levelList;
+    var numLevels = levels != null ? Math.min(levels, levelList.length) : levelList.length;
+    for (var j = 0; j < numLevels; j++) {
+      var tiles = geometry.levelTiles(levelList[j]);
+      for (var k = 0; k < tiles.length; k++) {
+        tasks.push({ source: source, tile: tiles[k] });
+      }
+    }
+  }
+
+  var total = tasks.length;
+  var completed = 0;
+  var firstError = null;
+  var cancelled = false;
+  var cancelFns = [];
+
+  if (total === 0) {
+    done(null);
+  }
+
+  tasks.forEach(function(task) {
+    cancelFns.push(pool.push(function(taskDone) {
+      return task.source.prefetchTile(stage, task.tile, taskDone);
+    }, function(err) {
+      if (cancelled) {
+        return;
+      }
+      if (err && !firstError) {
+        firstError = err;
+      }
+      completed++;
+      progress(completed, total);
+      if (completed === total) {
+        done(firstError);
+      }
+    }));
+  });
+
+  function cancel() {
+    cancelled = true;
+    // Cancel in reverse order, so that queued tasks are removed before the
+    // running ones, whose cancellation would start the next queued task.
+    for (var i = cancelFns.length - 1; i >= 0; i--) {
+      cancelFns[i]();
+    }
+    done.apply(null, arguments);
+  }
+
+  return cancel;
+};
+
+
+module.exports = TileCache;
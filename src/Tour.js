@@ -0,0 +1,685 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var eventEmitter = require('minimal-event-emitter');
+var CubeGeometry = require('./geometries/Cube');
+var RectilinearView = require('./views/Rectilinear');
+var ImageUrlSource = require('./sources/ImageUrl');
+var TourDataError = require('./TourDataError');
+var autorotate = require('./autorotate');
+var degToRad = require('./util/degToRad');
+var extend = require('./util/extend');
+var type = require('./util/type');
+var noop = require('./util/noop');
+var clearOwnProperties = require('./util/clearOwnProperties');
+
+// The version of the tour description format.
+var formatVersion = 1;
+
+var defaultMaxVFov = degToRad(100);
+var defaultMaxHFov = degToRad(120);
+var defaultIdleTimeout = 3000;
+
+var defaultAutorotate = {
+  yawSpeed: 0.03,
+  targetPitch: 0,
+  targetFov: Math.PI / 2
+};
+
+var mouseViewModes = ['drag', 'qtvr'];
+
+var booleanSettings = [
+  'autorotateEnabled', 'fullscreenButton', 'viewControlButtons'
+];
+
+/**
+ * Signals that the current scene has changed.
+ * @param {string} id The identifier of the new current scene.
+ * @event Tour#sceneChange
+ */
+
+/**
+ * @class Tour
+ * @classdesc
+ *
+ * A Tour creates the {@link Scene scenes} of a multi-scene project from a
+ * declarative description, and provides navigation between them.
+ *
+ * The description is a JSON-compatible object in the format exported by the
+ * Marzipano Tool, with an optional `version` number (currently 1). It has the
+ * following properties:
+ *
+ *   - `scenes`: a non-empty list of scenes, each with:
+ *     - `id`: a unique identifier;
+ *     - `name`: a display name, defaulting to the identifier;
+ *     - `levels`: the {@link CubeGeometry} levels, with `tileSize`, `size` and
+ *       optionally `fallbackOnly`;
+ *     - `faceSize`: the cube face width in pixels;
+ *     - `initialViewParameters`: the `yaw`, `pitch` and `fov` to display the
+ *       scene with;
+ *     - `linkHotspots`: a list of hotspots with `yaw`, `pitch`, an optional
+ *       `rotation` and the `target` scene identifier;
+ *     - `infoHotspots`: a list of hotspots with `yaw`, `pitch`, `title` and
+ *       `text`;
+ *     - `limits`: optionally, the `maxVFov` and `maxHFov` of the view, in
+ *       radians, defaulting to 100° and 120°.
+ *   - `initialScene`: optionally, the identifier of the scene to start with,
+ *     defaulting to the first one.
+ *   - `viewParameters`: optionally, the `yaw`, `pitch` and `fov` to start
+ *     with, in place of the initial view parameters of the initial scene.
+ *   - `settings`: optionally, the `mouseViewMode`, `autorotateEnabled`,
+ *     `fullscreenButton` and `viewControlButtons` settings, and the
+ *     `autorotate` movement, with the `yawSpeed`, `targetPitch` and
+ *     `targetFov` options of {@link autorotate} and the `idleTimeout` after
+ *     which it starts.
+ *
+ * The description is validated on construction. Scenes are created through
+ * {@link Viewer#createScene} when first needed. Link hotspots switch to their
+ * target scene when clicked.
+ *
+ * The `mouseViewMode` setting must be applied when creating the viewer, as
+ * the `controls.mouseViewMode` option. The `fullscreenButton` and
+ * `viewControlButtons` settings are not interpreted by the tour, and are
+ * available to the application through {@link Tour#settings}.
+ *
+ * @param {Viewer} viewer The viewer to create the scenes in.
+ * @param {Object} data The tour description.
+ * @param {Object} opts
+ * @param {string} [opts.urlPrefix='tiles'] The location of the tiles for the
+ *     default source, which loads `{urlPrefix}/{id}/{z}/{f}/{y}/{x}.jpg` with
+ *     the cube map preview at `{urlPrefix}/{id}/preview.jpg`.
+ * @param {function(Object): Source} [opts.createSource] A function creating
+ *     the {@link Source} for a scene description, in place of the default one.
+ * @param {function(Object, Tour): Element} [opts.createLinkHotspotElement] A
+ *     function creating the DOM element for a link hotspot description.
+ * @param {function(Object, Tour): Element} [opts.createInfoHotspotElement] A
+ *     function creating the DOM element for an info hotspot description.
+ * @param {Object} [opts.switchOpts] The options to pass to
+ *     {@link Viewer#switchScene} when switching scenes, such as the transition.
+ * @throws {TourDataError} If the description is invalid.
+ */
+function Tour(viewer, data, opts) {
+  opts = opts || {};
+
+  this._viewer = viewer;
+  this._data = Tour.validate(data);
+
+  var urlPrefix = opts.urlPrefix != null ? opts.urlPrefix : 'tiles';
+  this._createSource = opts.createSource || function(sceneData) {
+    return defaultCreateSource(urlPrefix, sceneData);
+  };
+  this._createLinkHotspotElement =
+      opts.createLinkHotspotElement || defaultCreateLinkHotspotElement;
+  this._createInfoHotspotElement =
+      opts.createInfoHotspotElement || defaultCreateInfoHotspotElement;
+  this._switchOpts = opts.switchOpts || {};
+
+  // The scenes created so far, keyed by identifier.
+  this._scenes = {};
+
+  this._currentSceneId = null;
+
+  var settings = this._data.settings;
+  this._autorotateEnabled = settings.autorotateEnabled;
+  // Pass a copy, as the autorotate options are filled in with defaults.
+  this._autorotate = autorotate(extend({}, settings.autorotate));
+}
+
+eventEmitter(Tour);
+
+
+/**
+ * The version of the tour description format.
+ * @type {number}
+ */
+Tour.formatVersion = formatVersion;
+
+
+/**
+ * Destructor. Destroys the scenes created by the tour.
+ */
+Tour.prototype.destroy = function() {
+  if (this._currentSceneId != null && this._autorotateEnabled) {
+    this._stopAutorotate();
+  }
+  for (var id in this._scenes) {
+    this._viewer.destroyScene(this._scenes[id]);
+  }
+  clearOwnProperties(this);
+};
+
+
+/**
+ * Returns the scene identifiers, in the order of the description.
+ * @return {string[]}
+ */
+Tour.prototype.sceneIds = function() {
+  return this._data.scenes.map(function(sceneData) {
+    return sceneData.id;
+  });
+};
+
+
+/**
+ * Returns the display name of a scene.
+ * @param {string} id The scene identifier.
+ * @return {string}
+ */
+Tour.prototype.sceneName = function(id) {
+  return this._sceneData(id).name;
+};
+
+
+/**
+ * Returns the {@link Scene scene} with the given identifier, creating it if
+ * necessary.
+ * @param {string} id The scene identifier.
+ * @return {Scene}
+ */
+Tour.prototype.scene = function(id) {
+  var sceneData = this._sceneData(id);
+  if (!this._scenes.hasOwnProperty(id)) {
+    this._scenes[id] = this._createScene(sceneData);
+  }
+  return this._scenes[id];
+};
+
+
+/**
+ * Returns the identifier of the current scene, or null if the tour has not
+ * been started.
+ * @return {?string}
+ */
+Tour.prototype.currentSceneId = function() {
+  return this._currentSceneId;
+};
+
+
+/**
+ * Returns the settings of the tour description.
+ * @return {Object}
+ */
+Tour.prototype.settings = function() {
+  return extend({}, this._data.settings);
+};
+
+
+/**
+ * Switches to the initial scene, displaying it with the view parameters of the
+ * description if present.
+ * @param {function} done Function to call when the transition finishes.
+ */
+Tour.prototype.start = function(done) {
+  var id = this._data.initialScene != null ?
+      this._data.initialScene : this._data.scenes[0].id;
+  this.switchScene(id, {
+    transitionDuration: 0,
+    viewParameters: this._data.viewParameters
+  }, done);
+};
+
+
+/**
+ * Switches to a scene, displaying it with its initial view parameters.
+ * @param {string} id The scene identifier.
+ * @param {Object} [opts] Options to pass to {@link Viewer#switchScene}, which
+ *     override those given on construction, and:
+ * @param {Object} [opts.viewParameters] View parameters to display the scene
+ *     with, which override its initial view parameters. They are applied
+ *     before the transition starts, and are not passed to the viewer.
+ * @param {function} done Function to call when the transition finishes.
+ */
+Tour.prototype.switchScene = function(id, opts, done) {
+  var sceneData = this._sceneData(id);
+  var scene = this.scene(id);
+
+  if (this._autorotateEnabled) {
+    this._stopAutorotate();
+  }
+
+  var switchOpts = extend(extend({}, this._switchOpts), opts || {});
+  var viewParams = extend(extend({}, sceneData.initialViewParameters),
+      switchOpts.viewParameters || {});
+  delete switchOpts.viewParameters;
+
+  scene.view().setParameters(viewParams);
+  this._viewer.switchScene(scene, switchOpts, done || noop);
+  this._currentSceneId = id;
+
+  if (this._autorotateEnabled) {
+    this._startAutorotate();
+  }
+
+  this.emit('sceneChange', id);
+};
+
+
+/**
+ * Returns whether the autorotate movement is enabled.
+ * @return {boolean}
+ */
+Tour.prototype.autorotateEnabled = function() {
+  return this._autorotateEnabled;
+};
+
+
+/**
+ * Enables or disables the autorotate movement. When enabled, it starts
+ * immediately and again after the view has been idle for the `idleTimeout`
+ * given in the autorotate settings.
+ * @param {boolean} enabled
+ */
+Tour.prototype.setAutorotateEnabled = function(enabled) {
+  enabled = !!enabled;
+  if (enabled === this._autorotateEnabled) {
+    return;
+  }
+  this._autorotateEnabled = enabled;
+  if (this._currentSceneId == null) {
+    return;
+  }
+  if (enabled) {
+    this._startAutorotate();
+  } else {
+    this._stopAutorotate();
+  }
+};
+
+
+/**
+ * Sets the initial view parameters of a scene, which are used when switching
+ * to it and are included in the serialized description.
+ * @param {string} id The scene identifier.
+ * @param {Object} [params] The `yaw`, `pitch` and `fov` parameters. If
+ *     omitted, the current parameters of the scene's view are used.
+ */
+Tour.prototype.setInitialViewParameters = function(id, params) {
+  var sceneData = this._sceneData(id);
+  params = params || this.scene(id).view().parameters();
+  sceneData.initialViewParameters = validateViewParameters(
+      params, 'initialViewParameters');
+};
+
+
+/**
+ * Serializes the tour into a description in the format accepted by the
+ * constructor, with the current scene and view parameters as the initial ones
+ * and the current autorotate setting.
+ * @return {Object}
+ */
+Tour.prototype.toJSON = function() {
+  var result = JSON.parse(JSON.stringify(this._data));
+  if (this._currentSceneId != null) {
+    result.initialScene = this._currentSceneId;
+    result.viewParameters = validateViewParameters(
+        this.scene(this._currentSceneId).view().parameters(),
+        'viewParameters');
+  }
+  result.settings.autorotateEnabled = this._autorotateEnabled;
+  return result;
+};
+
+
+Tour.prototype._sceneData = function(id) {
+  var scenes = this._data.scenes;
+  for (var i = 0; i < scenes.length; i++) {
+    if (scenes[i].id === id) {
+      return scenes[i];
+    }
+  }
+  throw new Error('No such scene in tour: ' + id);
+};
+
+
+Tour.prototype._createScene = function(sceneData) {
+  var self = this;
+
+  var geometry = new CubeGeometry(sceneData.levels);
+  var limiter = RectilinearView.limit.traditional(
+      sceneData.faceSize, sceneData.limits.maxVFov, sceneData.limits.maxHFov);
+  var view = new RectilinearView(sceneData.initialViewParameters, limiter);
+
+  var scene = this._viewer.createScene({
+    source: this._createSource(sceneData),
+    geometry: geometry,
+    view: view,
+    pinFirstLevel: true
+  });
+
+  var container = scene.hotspotContainer();
+
+  sceneData.linkHotspots.forEach(function(hotspot) {
+    var element = self._createLinkHotspotElement(hotspot, self);
+    element.addEventListener('click', function() {
+      self.switchScene(hotspot.target);
+    });
+    container.createHotspot(element, { yaw: hotspot.yaw, pitch: hotspot.pitch });
+  });
+
+  sceneData.infoHotspots.forEach(function(hotspot) {
+    var element = self._createInfoHotspotElement(hotspot, self);
+    container.createHotspot(element, { yaw: hotspot.yaw, pitch: hotspot.pitch });
+  });
+
+  return scene;
+};
+
+
+Tour.prototype._startAutorotate = function() {
+  var settings = this._data.settings;
+  this._viewer.startMovement(this._autorotate);
+  this._viewer.setIdleMovement(settings.autorotate.idleTimeout, this._autorotate);
+};
+
+
+Tour.prototype._stopAutorotate = function() {
+  this._viewer.stopMovement();
+  this._viewer.setIdleMovement(Infinity);
+};
+
+
+function defaultCreateSource(urlPrefix, sceneData) {
+  var prefix = urlPrefix + '/' + sceneData.id;
+  return ImageUrlSource.fromString(prefix + '/{z}/{f}/{y}/{x}.jpg', {
+    cubeMapPreviewUrl: prefix + '/preview.jpg'
+  });
+}
+
+
+function defaultCreateLinkHotspotElement(hotspot, tour) {
+  var element = document.createElement('div');
+  element.classList.add('hotspot');
+  element.classList.add('link-hotspot');
+  element.title = tour.sceneName(hotspot.target);
+  element.style.transform = 'rotate(' + hotspot.rotation + 'rad)';
+  return element;
+}
+
+
+function defaultCreateInfoHotspotElement(hotspot) {
+  var element = document.createElement('div');
+  element.classList.add('hotspot');
+  element.classList.add('info-hotspot');
+
+  var title = document.createElement('div');
+  title.classList.add('info-hotspot-title');
+  title.textContent = hotspot.title;
+  element.appendChild(title);
+
+  var text = document.createElement('div');
+  text.classList.add('info-hotspot-text');
+  text.textContent = hotspot.text;
+  element.appendChild(text);
+
+  return element;
+}
+
+
+/**
+ * Validates a tour description. See {@link Tour} for the format.
+ * @param {Object} data The tour description.
+ * @return {Object} A copy of the description, with the default values of
+ *     optional properties filled in.
+ * @throws {TourDataError} If the description is invalid.
+ */
+Tour.validate = function(data) {
+  if (type(data) !== 'object') {
+    throw new TourDataError('Tour description must be an object', '');
+  }
+
+  var version = data.version != null ? data.version : formatVersion;
+  if (version !== formatVersion) {
+    throw new TourDataError('Unsupported version: ' + version, 'version');
+  }
+
+  var scenes = data.scenes;
+  if (type(scenes) !== 'array' || scenes.length === 0) {
+    throw new TourDataError('Must be a non-empty array', 'scenes');
+  }
+
+  var result = { version: formatVersion, scenes: [] };
+  var ids = {};
+
+  var i;
+  for (i = 0; i < scenes.length; i++) {
+    var sceneData = validateScene(scenes[i], 'scenes[' + i + ']');
+    if (ids.hasOwnProperty(sceneData.id)) {
+      throw new TourDataError('Duplicate scene id: ' + sceneData.id,
+          'scenes[' + i + '].id');
+    }
+    ids[sceneData.id] = true;
+    result.scenes.push(sceneData);
+  }
+
+  // Link hotspot targets can only be checked once all ids are known.
+  for (i = 0; i < result.scenes.length; i++) {
+    var linkHotspots = result.scenes[i].linkHotspots;
+    for (var j = 0; j < linkHotspots.length; j++) {
+      if (!ids.hasOwnProperty(linkHotspots[j].target)) {
+        throw new TourDataError('No such scene: ' + linkHotspots[j].target,
+            'scenes[' + i + '].linkHotspots[' + j + '].target');
+      }
+    }
+  }
+
+  if (data.initialScene != null) {
+    if (!ids.hasOwnProperty(data.initialScene)) {
+      throw new TourDataError('No such scene: ' + data.initialScene,
+          'initialScene');
+    }
+    result.initialScene = data.initialScene;
+  }
+
+  if (data.viewParameters != null) {
+    result.viewParameters = validateViewParameters(
+        data.viewParameters, 'viewParameters');
+  }
+
+  result.settings = validateSettings(data.settings, 'settings');
+
+  return result;
+};
+
+
+function validateScene(sceneData, path) {
+  checkType(sceneData, 'object', path);
+  checkType(sceneData.id, 'string', path + '.id');
+  if (sceneData.id === '') {
+    throw new TourDataError('Must not be empty', path + '.id');
+  }
+
+  var name = sceneData.name != null ? sceneData.name : sceneData.id;
+  checkType(name, 'string', path + '.name');
+
+  var levels = sceneData.levels;
+  if (type(levels) !== 'array' || levels.length === 0) {
+    throw new TourDataError('Must be a non-empty array', path + '.levels');
+  }
+
+  checkPositive(sceneData.faceSize, path + '.faceSize');
+
+  var limits = sceneData.limits || {};
+  checkType(limits, 'object', path + '.limits');
+
+  return {
+    id: sceneData.id,
+    name: name,
+    levels: levels.map(function(level, i) {
+      return validateLevel(level, path + '.levels[' + i + ']');
+    }),
+    faceSize: sceneData.faceSize,
+    initialViewParameters: validateViewParameters(
+        sceneData.initialViewParameters || {},
+        path + '.initialViewParameters'),
+    linkHotspots: validateList(sceneData.linkHotspots,
+        path + '.linkHotspots', validateLinkHotspot),
+    infoHotspots: validateList(sceneData.infoHotspots,
+        path + '.infoHotspots', validateInfoHotspot),
+    limits: {
+      maxVFov: optionalPositive(limits.maxVFov, defaultMaxVFov,
+          path + '.limits.maxVFov'),
+      maxHFov: optionalPositive(limits.maxHFov, defaultMaxHFov,
+          path + '.limits.maxHFov')
+    }
+  };
+}
+
+
+function validateLevel(level, path) {
+  checkType(level, 'object', path);
+  checkPositive(level.tileSize, path + '.tileSize');
+  checkPositive(level.size, path + '.size');
+  var result = { tileSize: level.tileSize, size: level.size };
+  if (level.fallbackOnly != null) {
+    checkType(level.fallbackOnly, 'boolean', path + '.fallbackOnly');
+    result.fallbackOnly = level.fallbackOnly;
+  }
+  return result;
+}
+
+
+function validateViewParameters(params, path) {
+  checkType(params, 'object', path);
+  return {
+    yaw: optionalNumber(params.yaw, 0, path + '.yaw'),
+    pitch: optionalNumber(params.pitch, 0, path + '.pitch'),
+    fov: optionalPositive(params.fov, Math.PI / 2, path + '.fov')
+  };
+}
+
+
+function validateLinkHotspot(hotspot, path) {
+  checkType(hotspot, 'object', path);
+  checkNumber(hotspot.yaw, path + '.yaw');
+  checkNumber(hotspot.pitch, path + '.pitch');
+  checkType(hotspot.target, 'string', path + '.target');
+  return {
+    yaw: hotspot.yaw,
+    pitch: hotspot.pitch,
+    rotation: optionalNumber(hotspot.rotation, 0, path + '.rotation'),
+    target: hotspot.target
+  };
+}
+
+
+function validateInfoHotspot(hotspot, path) {
+  checkType(hotspot, 'object', path);
+  checkNumber(hotspot.yaw, path + '.yaw');
+  checkNumber(hotspot.pitch, path + '.pitch');
+  checkType(hotspot.title, 'string', path + '.title');
+  checkType(hotspot.text, 'string', path + '.text');
+  return {
+    yaw: hotspot.yaw,
+    pitch: hotspot.pitch,
+    title: hotspot.title,
+    text: hotspot.text
+  };
+}
+
+
+function validateSettings(settings, path) {
+  settings = settings || {};
+  checkType(settings, 'object', path);
+
+  var result = extend({}, settings);
+
+  var mouseViewMode = settings.mouseViewMode != null ?
+      settings.mouseViewMode : 'drag';
+  if (mouseViewModes.indexOf(mouseViewMode) < 0) {
+    throw new TourDataError('Unknown mouse view mode: ' + mouseViewMode,
+        path + '.mouseViewMode');
+  }
+  result.mouseViewMode = mouseViewMode;
+
+  for (var i = 0; i < booleanSettings.length; i++) {
+    var key = booleanSettings[i];
+    var value = settings[key] != null ? settings[key] : false;
+    checkType(value, 'boolean', path + '.' + key);
+    result[key] = value;
+  }
+
+  var rotate = settings.autorotate || {};
+  checkType(rotate, 'object', path + '.autorotate');
+  result.autorotate = {
+    yawSpeed: optionalNumber(rotate.yawSpeed, defaultAutorotate.yawSpeed,
+        path + '.autorotate.yawSpeed'),
+    targetPitch: optionalNumber(rotate.targetPitch,
+        defaultAutorotate.targetPitch, path + '.autorotate.targetPitch'),
+    // A null target means that the field of view does not change.
+    targetFov: rotate.targetFov === null ? null :
+        optionalPositive(rotate.targetFov, defaultAutorotate.targetFov,
+            path + '.autorotate.targetFov'),
+    idleTimeout: optionalPositive(rotate.idleTimeout, defaultIdleTimeout,
+        path + '.autorotate.idleTimeout')
+  };
+
+  return result;
+}
+
+
+function validateList(list, path, validateItem) {
+  if (list == null) {
+    return [];
+  }
+  checkType(list, 'array', path);
+  return list.map(function(item, i) {
+    return validateItem(item, path + '[' + i + ']');
+  });
+}
+
+
+function checkType(value, expected, path) {
+  if (type(value) !== expected) {
+    throw new TourDataError('Must be of type ' + expected, path);
+  }
+}
+
+
+function checkNumber(value, path) {
+  if (type(value) !== 'number' || !isFinite(value)) {
+    throw new TourDataError('Must be a finite number', path);
+  }
+}
+
+
+function checkPositive(value, path) {
+  checkNumber(value, path);
+  if (value <= 0) {
+    throw new TourDataError('Must be positive', path);
+  }
+}
+
+
+function optionalNumber(value, defaultValue, path) {
+  if (value == null) {
+    return defaultValue;
+  }
+  checkNumber(value, path);
+  return value;
+}
+
+
+function optionalPositive(value, defaultValue, path) {
+  if (value == null) {
+    return defaultValue;
+  }
+  checkPositive(value, path);
+  return value;
+}
+
+
+module.exports = Tour;
@@ -0,0 +1,44 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var inherits = require('./util/inherits');
+
+/**
+ * @class TourDataError
+ * @extends {Error}
+ * @classdesc
+ *
+ * Signals that a tour description given to {@link Tour} is invalid.
+ *
+ * @param {string} message The error message.
+ * @param {string} path The location of the invalid value within the
+ *     description, such as `scenes[2].levels`.
+ */
+function TourDataError(message, path) {
+  TourDataError.super_.call(this, message);
+  this.message = path ? path + ': ' + message : message;
+
+  /**
+   * The location of the invalid value within the description.
+   * @type {string}
+   */
+  this.path = path;
+}
+
+inherits(TourDataError, Error);
+
+module.exports = TourDataError;
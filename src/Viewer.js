@@ -21,6 +21,9 @@ var RenderLoop = require('./RenderLoop');
 var Controls = require('./controls/Controls');
 var Scene = require('./Scene');
 var Timer = require('./Timer');
+var XrSession = require('./XrSession');
+var Preloader = require('./Preloader');
+var CancelError = require('./CancelError');
 
 var WebGlStage = require('./stages/WebGl');
 
@@ -34,8 +37,12 @@ var setOverflowHidden = require('./util/dom').setOverflowHidden;
 var setAbsolute = require('./util/dom').setAbsolute;
 var setFullSize = require('./util/dom').setFullSize;
 
+var transitions = require('./transitions');
+
 var tween = require('./util/tween');
 var noop = require('./util/noop');
+var global = require('./util/global');
+var once = require('./util/once');
 var clearOwnProperties = require('./util/clearOwnProperties');
 
 /**
@@ -49,6 +56,12 @@ var clearOwnProperties = require('./util/clearOwnProperties');
  * @event Viewer#viewChange
  */
 
+/**
+ * Signals that a WebXR session has started or ended. See
+ * {@link Viewer#enterXr}.
+ * @event Viewer#xrSessionChange
+ */
+
 /**
  * @class Viewer
  * @classdesc
@@ -165,6 +178,18 @@ function Viewer(domElement, opts) {
 
   // The currently programmed idle movement.
   this._idleMovement = null;
+
+  // The active WebXR session, if any.
+  this._xrSession = null;
+
+  // The ongoing and completed scene preloads, as a list of scenes and their
+  // preloaders, whose tiles are released once the scene has been rendered.
+  this._preloads = [];
+  this._releasePreloadsHandler = this._releasePreloads.bind(this);
+  this._stage.addEventListener('renderComplete', this._releasePreloadsHandler);
+
+  // The cancelable for a scene switch waiting for the scene to be preloaded.
+  this._cancelPendingSwitch = null;
 }
 
 eventEmitter(Viewer);
@@ -177,6 +202,18 @@ Viewer.prototype.destroy = function() {
 
   window.removeEventListener('resize', this._updateSizeListener);
 
+  if (this._xrSession) {
+    this._xrSession.destroy();
+    this._xrSession = null;
+  }
+
+  if (this._cancelPendingSwitch) {
+    this._cancelPendingSwitch(new CancelError('Viewer destroyed'));
+    this._cancelPendingSwitch = null;
+  }
+
+  this._stage.removeEventListener('renderComplete', this._releasePreloadsHandler);
+
   if (this._currentScene) {
     this._removeSceneEventListeners(this._currentScene);
   }
@@ -203,7 +240,7 @@ Viewer.prototype.destroy = function() {
   this._controls = null;
 
   if (this._cancelCurrentTween) {
-    this._cancelCurrentTween();
+    this._cancelCurrentTween(new CancelError('Viewer destroyed'));
   }
 
   clearOwnProperties(this);
@@ -421,7 +458,7 @@ Viewer.prototype.destroyScene = function(scene) {
       this._removeLayerFromStage(layers[j]);
     }
     if (this._cancelCurrentTween) {
-      this._cancelCurrentTween();
+      this._cancelCurrentTween(new CancelError('Scene destroyed'));
       this._cancelCurrentTween = null;
     }
     this._currentScene = null;
@@ -439,6 +476,8 @@ Viewer.prototype.destroyScene = function(scene) {
     this._replacedScene = null;
   }
 
+  this._destroyPreloads(scene);
+
   this._scenes.splice(i, 1);
 
   scene.destroy();
@@ -518,6 +557,28 @@ Viewer.prototype.lookTo = function(params, opts, done) {
 };
 
 
+/**
+ * Tweens the {@link View view} for the current {@link Scene scene}, returning
+ * a promise.
+ *
+ * This method is equivalent to calling {@link Scene#lookToAsync} on the
+ * current scene.
+ *
+ * @param {Object} params Target view parameters.
+ * @param {Object} opts Options to pass into {@link Scene#lookTo}.
+ * @return {Promise} A promise resolved when the tween is complete, or rejected
+ *     with a {@link CancelError} if it is interrupted. The promise is rejected
+ *     with an error if there is no current scene.
+ */
+Viewer.prototype.lookToAsync = function(params, opts) {
+  var scene = this._currentScene;
+  if (!scene) {
+    return global.Promise.reject(new Error('No current scene'));
+  }
+  return scene.lookToAsync(params, opts);
+};
+
+
 /**
  * Starts a movement, possibly replacing the current movement.
  *
@@ -610,16 +671,112 @@ Viewer.prototype._triggerIdleTimer = function() {
 };
 
 
-var defaultSwitchDuration = 1000;
+/**
+ * Preloads a {@link Scene scene}, so that it can be switched to without
+ * waiting for its tiles to load.
+ *
+ * The tiles visible from the current view of each layer in the scene are
+ * loaded into the layer's {@link TextureStore texture store}, where they are
+ * kept until the scene has been rendered, or until the scene is destroyed. See
+ * {@link Preloader} for the details.
+ *
+ * The `switchScene()` method performs a preload before starting the transition
+ * when called with the `waitForLevel` option.
+ *
+ * @param {Scene} scene The scene to preload.
+ * @param {Object} opts Preload options.
+ * @param {?number} [opts.level=null] The index of the level to preload in the
+ *     geometry of each layer. If null, the level that the view would be
+ *     rendered at is preloaded.
+ * @param {number} [opts.timeout=Infinity] The maximum time to wait for the
+ *     tiles to load, in milliseconds.
+ * @param {function(number, number)} [opts.progress] Function to call each time
+ *     a tile is loaded or fails to load, with the number of tiles loaded so far
+ *     and the total number of tiles.
+ * @param {function(?Error, boolean)} done Function to call when the preload is
+ *     complete, with whether all of the tiles have been loaded. If the preload
+ *     is cancelled, the arguments passed to the cancelable are forwarded.
+ * @return {function()} A function to cancel the preload.
+ */
+Viewer.prototype.preloadScene = function(scene, opts, done) {
+  var self = this;
 
-function defaultTransitionUpdate(val, newScene, oldScene) {
-  var layers = newScene.listLayers();
-  layers.forEach(function(layer) {
-    layer.mergeEffects({ opacity: val });
+  opts = opts || {};
+  done = once(done || noop);
+
+  if (this._scenes.indexOf(scene) < 0) {
+    throw new Error('No such scene in viewer');
+  }
+
+  // The view of a scene that has never been displayed has an empty viewport,
+  // from which no tiles are visible.
+  var view = scene.view();
+  var viewSize = view.size();
+  if (viewSize.width === 0 || viewSize.height === 0) {
+    view.setSize(this._stage.size());
+  }
+
+  var preloader = new Preloader(scene.listLayers(), {
+    level: opts.level,
+    timeout: opts.timeout
   });
 
-  newScene._hotspotContainer.domElement().style.opacity = val;
-}
+  var entry = { scene: scene, preloader: preloader, cancel: cancel };
+  this._preloads.push(entry);
+
+  if (opts.progress) {
+    preloader.addEventListener('progress', opts.progress);
+  }
+
+  if (preloader.isComplete()) {
+    done(null, preloader.isResident());
+  } else {
+    preloader.addEventListener('complete', function(resident) {
+      done(null, resident);
+    });
+  }
+
+  function cancel() {
+    var i = self._preloads.indexOf(entry);
+    if (i >= 0) {
+      self._preloads.splice(i, 1);
+      preloader.destroy();
+    }
+    done.apply(null, arguments);
+  }
+
+  return cancel;
+};
+
+
+// Releases the tiles of completed preloads once their scene has been rendered.
+Viewer.prototype._releasePreloads = function() {
+  var preloads = this._preloads;
+  for (var i = preloads.length - 1; i >= 0; i--) {
+    if (preloads[i].scene === this._currentScene &&
+        preloads[i].preloader.isComplete()) {
+      preloads[i].preloader.destroy();
+      preloads.splice(i, 1);
+    }
+  }
+};
+
+
+// Cancels the preloads for a scene about to be destroyed.
+Viewer.prototype._destroyPreloads = function(scene) {
+  var preloads = this._preloads.slice();
+  for (var i = 0; i < preloads.length; i++) {
+    if (preloads[i].scene === scene) {
+      preloads[i].cancel(new CancelError('Scene destroyed during preload'));
+    }
+  }
+};
+
+
+var defaultSwitchDuration = 1000;
+var defaultWaitTimeout = 5000;
+
+var defaultTransitionUpdate = transitions.crossfade();
 
 
 /**
@@ -636,13 +793,126 @@ function defaultTransitionUpdate(val, newScene, oldScene) {
  * @param {number} [opts.transitionUpdate=defaultTransitionUpdate]
  *     Transition update function, with signature `f(t, newScene, oldScene)`.
  *     This function is called on each frame with `t` increasing from 0 to 1.
- *     An initial call with `t=0` and a final call with `t=1` are guaranteed.
- *     The default function sets the opacity of the new scene to `t`.
+ *     An initial call with `t=0` and a final call with `t=1` are guaranteed,
+ *     unless the transition is interrupted. If the function has a `cleanup`
+ *     method, it is called with `(newScene, oldScene)` when the transition is
+ *     interrupted.
+ *     The default function sets the opacity of the new scene to `t`. See
+ *     {@link transitions} for other built-in transitions.
+ * @param {(boolean|number)} [opts.waitForLevel] Whether to wait for the new
+ *     scene to be preloaded before starting the transition, as with
+ *     {@link Viewer#preloadScene}. If a number, it is the index of the level to
+ *     preload; if true, the level that the view would be rendered at is
+ *     preloaded. The scene only becomes the current one once the transition
+ *     starts. A later call to this method cancels the switch.
+ * @param {number} [opts.waitTimeout=5000] The maximum time to wait for the new
+ *     scene to be preloaded, in milliseconds.
+ * @param {function(number, number)} [opts.waitProgress] Function to call
+ *     while waiting, with the number of tiles loaded so far and the total
+ *     number of tiles.
  * @param {function} done Function to call when the transition finishes or is
  *     interrupted. If the new scene is equal to the old one, no transition
  *     takes place, but this function is still called.
  */
 Viewer.prototype.switchScene = function(newScene, opts, done) {
+  done = done || noop;
+  this._startSwitch(newScene, opts, function(err) {
+    if (err && !(err instanceof CancelError)) {
+      done(err);
+    } else {
+      done();
+    }
+  });
+};
+
+
+/**
+ * Switches to another {@link Scene scene}, returning a promise.
+ *
+ * This method takes the same options as {@link Viewer#switchScene}, but
+ * distinguishes a transition that completes from one that does not.
+ *
+ * @param {Scene} newScene The scene to switch to.
+ * @param {Object} opts Transition options, as for {@link Viewer#switchScene}.
+ * @return {Promise} A promise resolved when the transition is complete. It is
+ *     rejected with a {@link CancelError} if the switch is superseded by
+ *     another one or if either scene or the viewer is destroyed, and with an
+ *     error if the new scene cannot be preloaded because it does not belong to
+ *     the viewer.
+ */
+Viewer.prototype.switchSceneAsync = function(newScene, opts) {
+  var self = this;
+  return new global.Promise(function(resolve, reject) {
+    self._startSwitch(newScene, opts, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+};
+
+
+// Implements switchScene. The callback receives a CancelError if the switch is
+// interrupted.
+Viewer.prototype._startSwitch = function(newScene, opts, done) {
+  var self = this;
+
+  opts = opts || {};
+  done = done || noop;
+
+  // A pending switch is superseded by this one.
+  if (this._cancelPendingSwitch) {
+    this._cancelPendingSwitch(new CancelError('Scene switch superseded'));
+    this._cancelPendingSwitch = null;
+  }
+
+  if (opts.waitForLevel == null || opts.waitForLevel === false ||
+      newScene === this._currentScene) {
+    this._switchScene(newScene, opts, done);
+    return;
+  }
+
+  if (this._scenes.indexOf(newScene) < 0) {
+    throw new Error('No such scene in viewer');
+  }
+
+  var preloadOpts = {
+    level: opts.waitForLevel === true ? null : opts.waitForLevel,
+    timeout: opts.waitTimeout != null ? opts.waitTimeout : defaultWaitTimeout,
+    progress: opts.waitProgress
+  };
+
+  var cancelled = false;
+  var preloaded = false;
+
+  var cancelPreload = this.preloadScene(newScene, preloadOpts, function(err) {
+    if (cancelled) {
+      return;
+    }
+    preloaded = true;
+    self._cancelPendingSwitch = null;
+    if (err) {
+      done(err);
+      return;
+    }
+    self._switchScene(newScene, opts, done);
+  });
+
+  // The preload may have completed synchronously, in which case the switch has
+  // already taken place.
+  if (!preloaded) {
+    this._cancelPendingSwitch = function() {
+      cancelled = true;
+      cancelPreload();
+      done.apply(null, arguments);
+    };
+  }
+};
+
+
+Viewer.prototype._switchScene = function(newScene, opts, done) {
   var self = this;
 
   opts = opts || {};
@@ -665,7 +935,7 @@ Viewer.prototype.switchScene = function(newScene, opts, done) {
   // Cancel an already ongoing transition. This ensures that the stage contains
   // layers from exactly one scene before the transition begins.
   if (this._cancelCurrentTween) {
-    this._cancelCurrentTween();
+    this._cancelCurrentTween(new CancelError('Scene switch superseded'));
     this._cancelCurrentTween = null;
   }
 
@@ -692,17 +962,23 @@ Viewer.prototype.switchScene = function(newScene, opts, done) {
     this._addLayerToStage(newSceneLayers[i]);
   }
 
-  // Update function to be called on every frame.
+  // Update function to be called on every frame. The old scene is no longer
+  // passed in once it has been destroyed.
   function tweenUpdate(val) {
-    update(val, newScene, oldScene);
+    update(val, newScene, oldScene === self._replacedScene ? oldScene : null);
   }
 
   // Once the transition is complete, remove old scene layers from the stage and
   // remove the event listeners. If the old scene was destroyed during the
   // transition, this has already been taken care of. Otherwise, we still need
   // to get a fresh copy of the scene's layers, since they might have changed
-  // during the transition.
-  function tweenDone() {
+  // during the transition. An error is received if the transition was
+  // interrupted, in which case the transition may undo its changes.
+  function tweenDone(err) {
+    if (err && update.cleanup) {
+      update.cleanup(newScene,
+          oldScene === self._replacedScene ? oldScene : null);
+    }
     if (self._replacedScene) {
       self._removeSceneEventListeners(self._replacedScene);
       oldSceneLayers = self._replacedScene.listLayers();
@@ -712,16 +988,17 @@ Viewer.prototype.switchScene = function(newScene, opts, done) {
       self._replacedScene = null;
     }
     self._cancelCurrentTween = null;
-    done();
+    done(err);
   }
 
-  // Store the cancelable for the transition.
-  this._cancelCurrentTween = tween(duration, tweenUpdate, tweenDone);
-
-  // Update the current and replaced scene.
+  // Update the current and replaced scene. This must precede the start of the
+  // transition, which makes its initial update at once.
   this._currentScene = newScene;
   this._replacedScene = oldScene;
 
+  // Store the cancelable for the transition.
+  this._cancelCurrentTween = tween(duration, tweenUpdate, tweenDone);
+
   // Emit scene and view change events.
   this.emit('sceneChange');
   this.emit('viewChange');
@@ -734,4 +1011,62 @@ Viewer.prototype.switchScene = function(newScene, opts, done) {
 };
 
 
+/**
+ * Starts presenting the viewer on a WebXR device, such as a VR headset. See
+ * {@link XrSession} for details.
+ *
+ * Browsers only grant a session in response to a user action, so this method
+ * should be called from an event handler such as a click handler.
+ *
+ * @param {Object} opts Options to be passed to {@link XrSession.start}.
+ * @param {function(?Error, XrSession)} done Function to call when the session
+ *     has started or has failed to start.
+ * @return {function()} A function to cancel the request.
+ */
+Viewer.prototype.enterXr = function(opts, done) {
+  var self = this;
+
+  done = done || noop;
+
+  if (this._xrSession) {
+    done(new Error('Viewer is already presenting on a WebXR device'));
+    return noop;
+  }
+
+  return XrSession.start(this, opts, function(err, xrSession) {
+    if (err) {
+      done(err);
+      return;
+    }
+    self._xrSession = xrSession;
+    xrSession.addEventListener('end', function() {
+      self._xrSession = null;
+      self.emit('xrSessionChange');
+    });
+    self.emit('xrSessionChange');
+    done(null, xrSession);
+  });
+};
+
+
+/**
+ * Ends the active WebXR session, if any, and returns to presenting the viewer
+ * on the page.
+ */
+Viewer.prototype.exitXr = function() {
+  if (this._xrSession) {
+    this._xrSession.end();
+  }
+};
+
+
+/**
+ * Returns the active WebXR session, or null if none.
+ * @return {?XrSession}
+ */
+Viewer.prototype.xrSession = function() {
+  return this._xrSession;
+};
+
+
 module.exports = Viewer;
@@ -0,0 +1,513 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var eventEmitter = require('minimal-event-emitter');
+var quat = require('gl-matrix').quat;
+var vec3 = require('gl-matrix').vec3;
+var XrView = require('./views/Xr');
+var global = require('./util/global');
+var clamp = require('./util/clamp');
+var degToRad = require('./util/degToRad');
+var once = require('./util/once');
+var clearOwnProperties = require('./util/clearOwnProperties');
+
+var defaultMode = 'immersive-vr';
+var defaultReferenceSpaceType = 'local';
+var defaultHotspotRadius = degToRad(5);
+
+/**
+ * Signals that the hotspot pointed at by the controller, or by the gaze when
+ * no controller is available, has changed.
+ * @event XrSession#hotspotHover
+ * @param {?Hotspot} hotspot The hotspot pointed at, or null if none.
+ */
+
+/**
+ * Signals that a hotspot has been selected, by pressing the primary button of
+ * a controller or by an equivalent action.
+ * @event XrSession#hotspotSelect
+ * @param {Hotspot} hotspot The selected hotspot.
+ * @param {XRInputSource} inputSource The input source used for selection.
+ */
+
+/**
+ * Signals that the session has ended, and that the viewer has returned to
+ * rendering into the page.
+ * @event XrSession#end
+ */
+
+/**
+ * @class XrSession
+ * @classdesc
+ *
+ * Presents the current scene of a {@link Viewer} on a WebXR device.
+ *
+ * While the session is active, the render loop of the viewer is stopped, and
+ * the stage instead renders once for every frame of the device, through an
+ * {@link XrView} for each of its eyes. Layers created with
+ * {@link Scene#createStereoLayer} are only shown to the respective eye.
+ * Switching scenes during the session works as usual.
+ *
+ * The device is initially oriented in the direction of the current view, and
+ * when the session ends, the view is oriented in the last direction of the
+ * device. Hotspots cannot be displayed on the device, but the controller (or
+ * gaze, if there is no controller) is tested against the hotspots of the
+ * current scene, which may be used to implement interaction.
+ *
+ * Clients should not call the constructor directly. Use
+ * {@link Viewer#enterXr} instead.
+ *
+ * @param {Viewer} viewer
+ * @param {XRSession} session
+ * @param {XRReferenceSpace} referenceSpace
+ * @param {Object} opts
+ * @param {number} [opts.hotspotRadius=5°] The maximum angle, in radians,
+ *     between a ray and a hotspot for the hotspot to be hit.
+ * @param {boolean} [opts.syncView=true] Whether to set the orientation of the
+ *     view to that of the device when the session ends.
+ */
+function XrSession(viewer, session, referenceSpace, opts) {
+  opts = opts || {};
+
+  this._viewer = viewer;
+  this._stage = viewer.stage();
+  this._session = session;
+  this._referenceSpace = referenceSpace;
+
+  this._hotspotRadius = opts.hotspotRadius != null ?
+      opts.hotspotRadius : defaultHotspotRadius;
+  this._syncView = opts.syncView !== false;
+
+  // The device yaw is measured relative to the direction of the view when the
+  // session started, so that the device initially looks in that direction.
+  var view = viewer.view();
+  this._yawOffset = view && view.yaw ? view.yaw() : 0;
+  this._offsetQuat = quat.create();
+  quat.setAxisAngle(this._offsetQuat, [0, 1, 0], -this._yawOffset);
+
+  // The views and the render passes for the eyes of the device.
+  this._views = [];
+  this._passes = [];
+  this._framebufferSize = { width: 0, height: 0 };
+
+  // The direction of the device in the most recent frame.
+  this._gaze = { yaw: this._yawOffset, pitch: 0 };
+
+  // The hotspot currently pointed at.
+  this._hoveredHotspot = null;
+
+  // The current animation frame handle.
+  this._requestHandle = null;
+
+  // Whether the session has been ended.
+  this._ended = false;
+
+  // Temporary variables used for calculations.
+  this._tmpQuat = quat.create();
+  this._tmpVec = vec3.create();
+  this._tmpPosition = vec3.create();
+  this._tmpCoords = { yaw: 0, pitch: 0 };
+
+  this._boundFrame = this._frame.bind(this);
+  this._selectHandler = this._handleSelect.bind(this);
+  this._endHandler = this._handleEnd.bind(this);
+
+  session.addEventListener('select', this._selectHandler);
+  session.addEventListener('end', this._endHandler);
+
+  // Render on the device frames instead of the page frames.
+  viewer.renderLoop().stop();
+  this._requestHandle = session.requestAnimationFrame(this._boundFrame);
+}
+
+eventEmitter(XrSession);
+
+
+/**
+ * Checks whether the browser is able to start a session.
+ *
+ * @param {Object} opts
+ * @param {string} [opts.mode='immersive-vr'] The session mode.
+ * @param {XRSystem} [opts.xr=navigator.xr] The WebXR implementation, which may
+ *     be provided by a polyfill or an emulator.
+ * @param {function(?Error, boolean)} done The callback.
+ */
+XrSession.isSupported = function(opts, done) {
+  opts = opts || {};
+
+  var xr = getXrSystem(opts);
+  if (!xr) {
+    done(null, false);
+    return;
+  }
+
+  xr.isSessionSupported(opts.mode || defaultMode).then(function(supported) {
+    done(null, supported);
+  }, function(err) {
+    done(err);
+  });
+};
+
+
+/**
+ * Requests a WebXR session and starts presenting a viewer on it.
+ *
+ * Clients should call {@link Viewer#enterXr} instead. Browsers only grant a
+ * session in response to a user action, such as a click.
+ *
+ * @param {Viewer} viewer
+ * @param {Object} opts Options to be passed to the {@link XrSession}
+ *     constructor, and:
+ * @param {string} [opts.mode='immersive-vr'] The session mode.
+ * @param {Object} [opts.sessionInit] Features to request for the session,
+ *     as accepted by `XRSystem#requestSession`.
+ * @param {string} [opts.referenceSpaceType='local'] The reference space type.
+ * @param {XRSystem} [opts.xr=navigator.xr] The WebXR implementation, which may
+ *     be provided by a polyfill or an emulator.
+ * @param {function(?Error, XrSession)} done The callback.
+ * @return {function()} A function to cancel the request.
+ */
+XrSession.start = function(viewer, opts, done) {
+  opts = opts || {};
+  done = once(done);
+
+  var cancelled = false;
+
+  var xr = getXrSystem(opts);
+  if (!xr) {
+    done(new Error('WebXR is not supported'));
+    return cancel;
+  }
+
+  var gl = viewer.stage().webGlContext();
+
+  xr.requestSession(opts.mode || defaultMode, opts.sessionInit).then(function(session) {
+    if (cancelled) {
+      session.end();
+      return;
+    }
+    return makeXrCompatible(gl).then(function() {
+      var baseLayer = new global.XRWebGLLayer(session, gl);
+      session.updateRenderState({ baseLayer: baseLayer });
+      return session.requestReferenceSpace(
+          opts.referenceSpaceType || defaultReferenceSpaceType);
+    }).then(function(referenceSpace) {
+      if (cancelled) {
+        session.end();
+        return;
+      }
+      done(null, new XrSession(viewer, session, referenceSpace, opts));
+    }, function(err) {
+      session.end();
+      throw err;
+    });
+  }).then(null, function(err) {
+    if (!cancelled) {
+      done(err);
+    }
+  });
+
+  function cancel() {
+    cancelled = true;
+    done.apply(null, arguments);
+  }
+
+  return cancel;
+};
+
+
+/**
+ * Destructor. Ends the session immediately, without waiting for the device.
+ * Clients should call {@link XrSession#end} instead.
+ */
+XrSession.prototype.destroy = function() {
+  if (!this._ended) {
+    this._detach();
+    this._session.end();
+  }
+  this._destroyViews();
+  clearOwnProperties(this);
+};
+
+
+/**
+ * Returns the underlying WebXR session.
+ * @return {XRSession}
+ */
+XrSession.prototype.session = function() {
+  return this._session;
+};
+
+
+/**
+ * Returns whether the session has ended.
+ * @return {boolean}
+ */
+XrSession.prototype.ended = function() {
+  return this._ended;
+};
+
+
+/**
+ * Returns the direction the device was pointing at in the most recent frame.
+ * @return {Object} The `yaw` and `pitch` of the direction.
+ */
+XrSession.prototype.gaze = function() {
+  return { yaw: this._gaze.yaw, pitch: this._gaze.pitch };
+};
+
+
+/**
+ * Returns the hotspot currently pointed at, or null if none.
+ * @return {?Hotspot}
+ */
+XrSession.prototype.hoveredHotspot = function() {
+  return this._hoveredHotspot;
+};
+
+
+/**
+ * Ends the session. The {@link XrSession#event:end} event is emitted once the
+ * device has stopped presenting.
+ */
+XrSession.prototype.end = function() {
+  if (!this._ended) {
+    this._session.end();
+  }
+};
+
+
+XrSession.prototype._frame = function(time, frame) {
+  var session = this._session;
+  var stage = this._stage;
+  var framebufferSize = this._framebufferSize;
+  var orientation = this._tmpQuat;
+  var position = this._tmpPosition;
+
+  this._requestHandle = session.requestAnimationFrame(this._boundFrame);
+
+  var pose = frame.getViewerPose(this._referenceSpace);
+  if (!pose) {
+    // Tracking has been lost.
+    return;
+  }
+
+  var baseLayer = session.renderState.baseLayer;
+  framebufferSize.width = baseLayer.framebufferWidth;
+  framebufferSize.height = baseLayer.framebufferHeight;
+  stage.setFramebuffer(baseLayer.framebuffer, framebufferSize);
+
+  for (var i = 0; i < pose.views.length; i++) {
+    var xrView = pose.views[i];
+    var viewport = baseLayer.getViewport(xrView);
+    var view = this._views[i] || (this._views[i] = new XrView());
+    var pass = this._passes[i] || (this._passes[i] = { rect: {} });
+
+    this._worldOrientation(xrView.transform.orientation, orientation);
+    this._worldPosition(xrView.transform.position, position);
+    view.setPose(xrView.projectionMatrix, orientation, position);
+
+    // The viewport origin is at the bottom left corner, while the rect origin
+    // is at the top left corner.
+    pass.view = view;
+    pass.eye = xrView.eye === 'left' || xrView.eye === 'right' ? xrView.eye : null;
+    pass.rect.x = viewport.x / framebufferSize.width;
+    pass.rect.y = 1 - (viewport.y + viewport.height) / framebufferSize.height;
+    pass.rect.width = viewport.width / framebufferSize.width;
+    pass.rect.height = viewport.height / framebufferSize.height;
+  }
+  this._passes.length = pose.views.length;
+
+  stage.renderViews(this._passes, framebufferSize);
+
+  // Update the gaze and the hovered hotspot.
+  this._worldOrientation(pose.transform.orientation, orientation);
+  orientationToCoords(orientation, this._tmpVec, this._gaze);
+
+  var coords = this._pointerCoords(frame, this._tmpCoords) || this._gaze;
+  var hotspot = this._hotspotAt(coords);
+  if (hotspot !== this._hoveredHotspot) {
+    this._hoveredHotspot = hotspot;
+    this.emit('hotspotHover', hotspot);
+  }
+};
+
+
+// Computes the coordinates pointed at by the first input source with a
+// pointing ray in the given frame. Returns null if there is none.
+XrSession.prototype._pointerCoords = function(frame, result) {
+  var inputSources = this._session.inputSources || [];
+  for (var i = 0; i < inputSources.length; i++) {
+    if (inputSources[i].targetRayMode !== 'screen' &&
+        this._inputCoords(frame, inputSources[i], result)) {
+      return result;
+    }
+  }
+  return null;
+};
+
+
+// Computes the coordinates pointed at by an input source in the given frame.
+// Returns null if its pose is unknown.
+XrSession.prototype._inputCoords = function(frame, inputSource, result) {
+  var pose = frame.getPose(inputSource.targetRaySpace, this._referenceSpace);
+  if (!pose) {
+    return null;
+  }
+  var orientation = this._worldOrientation(pose.transform.orientation, this._tmpQuat);
+  return orientationToCoords(orientation, this._tmpVec, result);
+};
+
+
+// Converts an orientation in the reference space into the orientation in the
+// panorama, taking the initial yaw into account.
+XrSession.prototype._worldOrientation = function(orientation, result) {
+  quat.set(result, orientation.x, orientation.y, orientation.z, orientation.w);
+  return quat.multiply(result, this._offsetQuat, result);
+};
+
+
+// Converts a position in the reference space into the position in the
+// panorama, taking the initial yaw into account.
+XrSession.prototype._worldPosition = function(position, result) {
+  vec3.set(result, position.x, position.y, position.z);
+  return vec3.transformQuat(result, result, this._offsetQuat);
+};
+
+
+// Returns the closest visible hotspot of the current scene within the hotspot
+// radius of the given coordinates, or null if none.
+XrSession.prototype._hotspotAt = function(coords) {
+  var scene = this._viewer.scene();
+  if (!scene) {
+    return null;
+  }
+
+  var hotspots = scene.hotspotContainer().listHotspots();
+
+  var closest = null;
+  var closestAngle = this._hotspotRadius;
+
+  for (var i = 0; i < hotspots.length; i++) {
+    var hotspot = hotspots[i];
+    var position = hotspot.position();
+    if (!hotspot._visible || position.yaw == null || position.pitch == null) {
+      continue;
+    }
+    var angle = angleBetween(coords, position);
+    if (angle <= closestAngle) {
+      closest = hotspot;
+      closestAngle = angle;
+    }
+  }
+
+  return closest;
+};
+
+
+XrSession.prototype._handleSelect = function(event) {
+  var coords = this._inputCoords(event.frame, event.inputSource, this._tmpCoords);
+  var hotspot = coords && this._hotspotAt(coords);
+  if (hotspot) {
+    this.emit('hotspotSelect', hotspot, event.inputSource);
+  }
+};
+
+
+XrSession.prototype._handleEnd = function() {
+  var viewer = this._viewer;
+  var view = viewer.view();
+
+  this._detach();
+
+  if (this._syncView && view && view.setParameters && view.yaw) {
+    view.setParameters({ yaw: this._gaze.yaw, pitch: this._gaze.pitch });
+  }
+
+  viewer.renderLoop().start();
+
+  this.emit('end');
+};
+
+
+// Stops rendering on the device and restores rendering into the page.
+XrSession.prototype._detach = function() {
+  var session = this._session;
+
+  this._ended = true;
+
+  session.removeEventListener('select', this._selectHandler);
+  session.removeEventListener('end', this._endHandler);
+
+  if (this._requestHandle != null) {
+    session.cancelAnimationFrame(this._requestHandle);
+    this._requestHandle = null;
+  }
+
+  this._stage.setFramebuffer(null);
+
+  if (this._hoveredHotspot) {
+    this._hoveredHotspot = null;
+    this.emit('hotspotHover', null);
+  }
+};
+
+
+XrSession.prototype._destroyViews = function() {
+  for (var i = 0; i < this._views.length; i++) {
+    this._views[i].destroy();
+  }
+  this._views = [];
+  this._passes = [];
+};
+
+
+function getXrSystem(opts) {
+  return opts.xr || (global.navigator && global.navigator.xr) || null;
+}
+
+
+function makeXrCompatible(gl) {
+  if (gl.makeXRCompatible) {
+    return gl.makeXRCompatible();
+  }
+  return global.Promise.resolve();
+}
+
+
+// Converts an orientation into the yaw and pitch of its forward direction.
+// In both the WebXR reference spaces and the panorama, the y axis points up
+// and the negative z axis points forward.
+function orientationToCoords(orientation, vec, result) {
+  vec3.set(vec, 0, 0, -1);
+  vec3.transformQuat(vec, vec, orientation);
+  result.yaw = Math.atan2(vec[0], -vec[2]);
+  result.pitch = -Math.asin(clamp(vec[1], -1, 1));
+  return result;
+}
+
+
+// Returns the angle between the directions given by two sets of coordinates.
+function angleBetween(coords1, coords2) {
+  var cos = Math.sin(coords1.pitch) * Math.sin(coords2.pitch) +
+      Math.cos(coords1.pitch) * Math.cos(coords2.pitch) *
+      Math.cos(coords1.yaw - coords2.yaw);
+  return Math.acos(clamp(cos, -1, 1));
+}
+
+
+module.exports = XrSession;
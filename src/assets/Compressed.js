@@ -0,0 +1,120 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var eventEmitter = require('minimal-event-emitter');
+var clearOwnProperties = require('../util/clearOwnProperties');
+
+/**
+ * @class CompressedAsset
+ * @implements Asset
+ * @classdesc
+ *
+ * An {@link Asset} holding compressed texture data, such as that loaded from a
+ * KTX2 file by a {@link Ktx2Loader}.
+ *
+ * A compressed asset has no underlying pixel source; its {@link
+ * CompressedAsset#element} method returns null. It may only be rendered by a
+ * {@link WebGlStage} supporting the respective compressed texture format.
+ *
+ * @param {Object} opts
+ * @param {number} opts.format The WebGL compressed texture format.
+ * @param {Object[]} opts.levels The mipmap levels, from largest to smallest,
+ *     each with `width`, `height` and `data` properties. The data is an
+ *     `ArrayBufferView` with the compressed contents of the level.
+ * @param {boolean} [opts.flipY=true] Whether the rows are stored from top to
+ *     bottom. Unlike images, compressed data cannot be flipped on upload, so
+ *     the flip is applied when rendering.
+ */
+function CompressedAsset(opts) {
+  if (!opts || !opts.levels || !opts.levels.length) {
+    throw new Error('CompressedAsset: at least one level is required');
+  }
+  this._format = opts.format;
+  this._levels = opts.levels;
+  this._flipY = opts.flipY != null ? !!opts.flipY : true;
+}
+
+eventEmitter(CompressedAsset);
+
+/**
+ * Destructor.
+ */
+CompressedAsset.prototype.destroy = function() {
+  clearOwnProperties(this);
+};
+
+/**
+ * Returns null, as there is no underlying pixel source.
+ * @return {null}
+ */
+CompressedAsset.prototype.element = function() {
+  return null;
+};
+
+CompressedAsset.prototype.width = function() {
+  return this._levels[0].width;
+};
+
+CompressedAsset.prototype.height = function() {
+  return this._levels[0].height;
+};
+
+CompressedAsset.prototype.timestamp = function() {
+  return 0;
+};
+
+CompressedAsset.prototype.isDynamic = function() {
+  return false;
+};
+
+/**
+ * Returns the WebGL compressed texture format.
+ * @return {number}
+ */
+CompressedAsset.prototype.format = function() {
+  return this._format;
+};
+
+/**
+ * Returns the mipmap levels, from largest to smallest.
+ * @return {Object[]}
+ */
+CompressedAsset.prototype.levels = function() {
+  return this._levels;
+};
+
+/**
+ * Returns whether the texture must be flipped vertically when rendered.
+ * @return {boolean}
+ */
+CompressedAsset.prototype.flipY = function() {
+  return this._flipY;
+};
+
+/**
+ * Returns the total size of the compressed data, in bytes.
+ * @return {number}
+ */
+CompressedAsset.prototype.byteLength = function() {
+  var total = 0;
+  for (var i = 0; i < this._levels.length; i++) {
+    total += this._levels[i].data.byteLength;
+  }
+  return total;
+};
+
+module.exports = CompressedAsset;
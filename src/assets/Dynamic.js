@@ -33,7 +33,7 @@ var clearOwnProperties = require('../util/clearOwnProperties');
  * @throws If the pixel source is unsupported.
  */
 function DynamicAsset(element) {
-  this.constructor.super_.call(this, element);
+  DynamicAsset.super_.call(this, element);
   this._timestamp = 0;
 }
 
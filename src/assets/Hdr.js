@@ -0,0 +1,113 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var eventEmitter = require('minimal-event-emitter');
+var clearOwnProperties = require('../util/clearOwnProperties');
+
+/**
+ * @class HdrAsset
+ * @implements Asset
+ * @classdesc
+ *
+ * An {@link Asset} holding high dynamic range pixel data, such as that loaded
+ * from a Radiance or OpenEXR file by an {@link HdrLoader}.
+ *
+ * An HDR asset has no underlying pixel source; its {@link HdrAsset#element}
+ * method returns null. It is uploaded by a {@link WebGlStage} into a floating
+ * point texture, or RGBE encoded if the device does not support them; see
+ * {@link WebGlStage#hdrTextureFormat}. Its colors are linear, and are mapped
+ * into the displayable range through the `exposure`, `gamma` and `toneMapping`
+ * {@link Effects effects}.
+ *
+ * @param {Object} opts
+ * @param {number} opts.width The width in pixels.
+ * @param {number} opts.height The height in pixels.
+ * @param {Float32Array} opts.data The linear RGBA components for each pixel,
+ *     with the rows stored from top to bottom.
+ */
+function HdrAsset(opts) {
+  if (!opts || !opts.data || opts.data.length !== opts.width * opts.height * 4) {
+    throw new Error('HdrAsset: data must hold four components per pixel');
+  }
+  this._width = opts.width;
+  this._height = opts.height;
+  this._data = opts.data;
+}
+
+eventEmitter(HdrAsset);
+
+/**
+ * Destructor.
+ */
+HdrAsset.prototype.destroy = function() {
+  clearOwnProperties(this);
+};
+
+/**
+ * Returns null, as there is no underlying pixel source.
+ * @return {null}
+ */
+HdrAsset.prototype.element = function() {
+  return null;
+};
+
+HdrAsset.prototype.width = function() {
+  return this._width;
+};
+
+HdrAsset.prototype.height = function() {
+  return this._height;
+};
+
+HdrAsset.prototype.timestamp = function() {
+  return 0;
+};
+
+HdrAsset.prototype.isDynamic = function() {
+  return false;
+};
+
+/**
+ * Returns the linear RGBA components for each pixel, with the rows stored from
+ * top to bottom.
+ * @return {Float32Array}
+ */
+HdrAsset.prototype.data = function() {
+  return this._data;
+};
+
+/**
+ * Returns a new asset holding a portion of this one.
+ * @param {Rect} rect The portion to keep, relative to the asset dimensions.
+ * @return {HdrAsset}
+ */
+HdrAsset.prototype.crop = function(rect) {
+  var x = Math.round(rect.x * this._width);
+  var y = Math.round(rect.y * this._height);
+  var width = Math.round(rect.width * this._width);
+  var height = Math.round(rect.height * this._height);
+
+  var data = new Float32Array(width * height * 4);
+  for (var row = 0; row < height; row++) {
+    var start = ((y + row) * this._width + x) * 4;
+    data.set(this._data.subarray(start, start + width * 4), row * width * 4);
+  }
+
+  return new HdrAsset({ width: width, height: height, data: data });
+};
+
+module.exports = HdrAsset;
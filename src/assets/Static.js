@@ -34,9 +34,14 @@ var propertyMap = {
  *
  * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} element The
  *     underlying pixel source.
+ * @param {Object} opts
+ * @param {Blob} [opts.blob] The encoded image from which the pixel source was
+ *     decoded, when known.
+ * @param {Rect} [opts.rect] The portion of the encoded image held by the pixel
+ *     source, in normalized coordinates, when it is not the full image.
  * @throws If the pixel source is unsupported.
  */
-function StaticAsset(element) {
+function StaticAsset(element, opts) {
   var supported = false;
   for (var type in propertyMap) {
     if (global[type] && element instanceof global[type]) {
@@ -51,6 +56,8 @@ function StaticAsset(element) {
   }
 
   this._element = element;
+  this._blob = opts && opts.blob || null;
+  this._rect = opts && opts.rect || null;
 }
 
 eventEmitter(StaticAsset);
@@ -74,6 +81,24 @@ StaticAsset.prototype.height = function() {
   return this._element[this._heightProp];
 };
 
+/**
+ * Returns the encoded image from which the pixel source was decoded, or null
+ * if unknown.
+ * @return {?Blob}
+ */
+StaticAsset.prototype.blob = function() {
+  return this._blob;
+};
+
+/**
+ * Returns the portion of the encoded image held by the pixel source, or null
+ * if it holds the full image.
+ * @return {?Rect}
+ */
+StaticAsset.prototype.rect = function() {
+  return this._rect;
+};
+
 StaticAsset.prototype.timestamp = function() {
   return 0;
 };
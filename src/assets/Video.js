@@ -0,0 +1,460 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var global = require('../util/global');
+var eventEmitter = require('minimal-event-emitter');
+var clearOwnProperties = require('../util/clearOwnProperties');
+var once = require('../util/once');
+
+// Ready states defined by HTMLMediaElement.
+var HAVE_CURRENT_DATA = 2;
+var HAVE_FUTURE_DATA = 3;
+
+// Events forwarded from the current video element, mapped to the name under
+// which they are emitted by the asset.
+var forwardedEvents = {
+  play: 'play',
+  pause: 'pause',
+  seeked: 'seek',
+  timeupdate: 'timeUpdate',
+  ended: 'ended'
+};
+
+// Default number of seconds by which a new video being switched to is started
+// ahead of the current one, to allow time for it to buffer.
+var defaultSyncLead = 2;
+
+
+/**
+ * @class VideoAsset
+ * @implements Asset
+ * @classdesc
+ *
+ * A dynamic {@link Asset} backed by an `HTMLVideoElement`, suitable for
+ * displaying 360° video in conjunction with a {@link VideoSource} and an
+ * {@link EquirectGeometry} or {@link CubeGeometry} with a single level.
+ *
+ * The asset timestamp only changes when a new video frame is decoded, so the
+ * texture is uploaded once per video frame rather than once per rendered
+ * frame. Where available, `requestVideoFrameCallback` is used to detect new
+ * frames; otherwise, the current playback time is polled on every animation
+ * frame.
+ *
+ * Until the video has a frame available, the asset is backed by an empty
+ * canvas.
+ *
+ * The `play`, `pause`, `seek`, `timeUpdate` and `ended` events of the current
+ * video element are forwarded by the asset, so that listeners need not be
+ * updated when the video element changes. A `videoChange` event is emitted
+ * when the video element changes.
+ *
+ * @param {HTMLVideoElement} [video] The video element.
+ * @param {Object} opts
+ * @param {number} [opts.syncLead=2] The number of seconds by which a video
+ *     being switched to with {@link VideoAsset#switchVideo} is started ahead
+ *     of the current one while the latter is playing.
+ */
+function VideoAsset(video, opts) {
+  opts = opts || {};
+
+  this._video = null;
+  this._timestamp = 0;
+  this._lastTime = null;
+  this._emptyCanvas = null;
+
+  this._syncLead = opts.syncLead != null ? opts.syncLead : defaultSyncLead;
+
+  // The handle for the pending frame callback, and the function to cancel it.
+  this._frameHandle = null;
+  this._cancelFrame = null;
+
+  // The function to cancel an ongoing switch, if any.
+  this._cancelSwitch = null;
+
+  this._forwarders = {};
+  for (var name in forwardedEvents) {
+    this._forwarders[name] = this.emit.bind(this, forwardedEvents[name]);
+  }
+
+  if (video) {
+    this.setVideo(video);
+  }
+}
+
+eventEmitter(VideoAsset);
+
+
+/**
+ * Destructor.
+ */
+VideoAsset.prototype.destroy = function() {
+  if (this._cancelSwitch) {
+    this._cancelSwitch();
+  }
+  this._detach();
+  clearOwnProperties(this);
+};
+
+
+/**
+ * Returns the current video element.
+ * @return {?HTMLVideoElement}
+ */
+VideoAsset.prototype.video = function() {
+  return this._video;
+};
+
+
+/**
+ * Returns the underlying pixel source. This is the video element, if it has a
+ * frame available, or an empty canvas otherwise.
+ * @return {HTMLVideoElement|HTMLCanvasElement}
+ */
+VideoAsset.prototype.element = function() {
+  if (this._hasFrame()) {
+    return this._video;
+  }
+  if (!this._emptyCanvas) {
+    this._emptyCanvas = global.document.createElement('canvas');
+    this._emptyCanvas.width = 1;
+    this._emptyCanvas.height = 1;
+  }
+  return this._emptyCanvas;
+};
+
+
+VideoAsset.prototype.width = function() {
+  return this._hasFrame() ? this._video.videoWidth : 1;
+};
+
+
+VideoAsset.prototype.height = function() {
+  return this._hasFrame() ? this._video.videoHeight : 1;
+};
+
+
+VideoAsset.prototype.timestamp = function() {
+  return this._timestamp;
+};
+
+
+VideoAsset.prototype.isDynamic = function() {
+  return true;
+};
+
+
+/**
+ * Sets the video element, replacing the current one immediately. Any ongoing
+ * switch started by {@link VideoAsset#switchVideo} is cancelled.
+ *
+ * @param {?HTMLVideoElement} video The new video element, or null to clear.
+ */
+VideoAsset.prototype.setVideo = function(video) {
+  if (this._cancelSwitch) {
+    this._cancelSwitch();
+  }
+  this._setVideo(video);
+};
+
+
+/**
+ * Switches to a different video element, such as one with the same content at
+ * a different resolution, without a visible interruption.
+ *
+ * The current video element keeps being displayed until the new one has been
+ * seeked to the same playback position and has a frame ready to display. If
+ * the current video is playing, the new one is seeked ahead of it by the
+ * `syncLead` passed into the constructor and started when the current one
+ * catches up.
+ *
+ * The playback rate, volume and muted state are carried over to the new
+ * video element. The previous video element is paused once the switch
+ * completes.
+ *
+ * Starting another switch, or calling {@link VideoAsset#setVideo}, cancels
+ * the ongoing switch.
+ *
+ * @param {HTMLVideoElement} video The new video element.
+ * @param {function(?Error)} [done] Called when the switch completes or fails.
+ * @return {function()} A function to cancel the switch.
+ */
+VideoAsset.prototype.switchVideo = function(video, done) {
+  var self = this;
+
+  done = done || function() {};
+
+  if (this._cancelSwitch) {
+    this._cancelSwitch();
+  }
+
+  var previous = this._video;
+  if (!previous) {
+    this._setVideo(video);
+    done(null);
+    return function() {};
+  }
+
+  video.playbackRate = previous.playbackRate;
+  video.volume = previous.volume;
+  video.muted = previous.muted;
+
+  var listeners = [];
+  var timer = null;
+  var finished = false;
+
+  function listen(name, fn) {
+    video.addEventListener(name, fn);
+    listeners.push({ name: name, fn: fn });
+  }
+
+  function cleanup() {
+    finished = true;
+    for (var i = 0; i < listeners.length; i++) {
+      video.removeEventListener(listeners[i].name, listeners[i].fn);
+    }
+    if (timer != null) {
+      clearTimeout(timer);
+    }
+    self._cancelSwitch = null;
+  }
+
+  function finish(err) {
+    if (finished) {
+      return;
+    }
+    cleanup();
+    if (!err) {
+      previous.pause();
+      self._setVideo(video);
+    }
+    done(err || null);
+  }
+
+  function whenReady(readyState, eventName, fn) {
+    if (video.readyState >= readyState) {
+      fn();
+      return;
+    }
+    listen(eventName, function handler() {
+      if (!finished && video.readyState >= readyState) {
+        video.removeEventListener(eventName, handler);
+        fn();
+      }
+    });
+  }
+
+  function seek() {
+    var target = previous.currentTime;
+    if (!previous.paused) {
+      target += self._syncLead;
+    }
+    if (video.duration && target > video.duration) {
+      target = previous.currentTime;
+    }
+    video.currentTime = target;
+    listen('seeked', once(function() {
+      whenReady(HAVE_FUTURE_DATA, 'canplay', start);
+    }));
+  }
+
+  function start() {
+    if (finished) {
+      return;
+    }
+    if (previous.paused) {
+      finish(null);
+      return;
+    }
+    // Wait for the current video to catch up before starting the new one. If
+    // it has already caught up, start right away and accept being slightly
+    // out of sync.
+    var wait = (video.currentTime - previous.currentTime) / previous.playbackRate;
+    if (wait > 0) {
+      timer = setTimeout(play, wait * 1000);
+    } else {
+      play();
+    }
+  }
+
+  function play() {
+    timer = null;
+    listen('playing', function() {
+      finish(null);
+    });
+    var result = video.play();
+    if (result && result.then) {
+      result.then(null, finish);
+    }
+  }
+
+  listen('error', function() {
+    finish(video.error || new Error('Failed to load video'));
+  });
+
+  this._cancelSwitch = function() {
+    if (!finished) {
+      cleanup();
+      done.apply(null, arguments);
+    }
+  };
+
+  whenReady(HAVE_CURRENT_DATA, 'loadeddata', seek);
+
+  return this._cancelSwitch;
+};
+
+
+/**
+ * Starts playback of the current video element.
+ * @return {Promise|undefined} The value returned by the `play` method of the
+ *     video element.
+ */
+VideoAsset.prototype.play = function() {
+  return this._video && this._video.play();
+};
+
+
+/**
+ * Pauses playback of the current video element.
+ */
+VideoAsset.prototype.pause = function() {
+  if (this._video) {
+    this._video.pause();
+  }
+};
+
+
+/**
+ * Seeks the current video element to the given time.
+ * @param {number} time The time in seconds.
+ */
+VideoAsset.prototype.seek = function(time) {
+  if (this._video) {
+    this._video.currentTime = time;
+  }
+};
+
+
+/**
+ * Returns whether the current video element is paused. Also returns true if
+ * there is no video element.
+ * @return {boolean}
+ */
+VideoAsset.prototype.paused = function() {
+  return this._video ? this._video.paused : true;
+};
+
+
+/**
+ * Returns the playback position of the current video element, in seconds.
+ * @return {number}
+ */
+VideoAsset.prototype.currentTime = function() {
+  return this._video ? this._video.currentTime : 0;
+};
+
+
+/**
+ * Returns the duration of the current video element, in seconds. This is NaN
+ * if the duration is not yet known.
+ * @return {number}
+ */
+VideoAsset.prototype.duration = function() {
+  return this._video ? this._video.duration : NaN;
+};
+
+
+VideoAsset.prototype._hasFrame = function() {
+  return !!this._video && this._video.readyState >= HAVE_CURRENT_DATA;
+};
+
+
+VideoAsset.prototype._setVideo = function(video) {
+  this._detach();
+  this._video = video;
+  this._attach();
+  this._markFrame();
+  this.emit('videoChange', video);
+};
+
+
+VideoAsset.prototype._attach = function() {
+  var video = this._video;
+  if (!video) {
+    return;
+  }
+  for (var name in this._forwarders) {
+    video.addEventListener(name, this._forwarders[name]);
+  }
+  this._lastTime = video.currentTime;
+  this._requestFrame();
+};
+
+
+VideoAsset.prototype._detach = function() {
+  var video = this._video;
+  if (!video) {
+    return;
+  }
+  for (var name in this._forwarders) {
+    video.removeEventListener(name, this._forwarders[name]);
+  }
+  if (this._cancelFrame) {
+    this._cancelFrame(this._frameHandle);
+  }
+  this._frameHandle = null;
+  this._cancelFrame = null;
+  this._video = null;
+};
+
+
+// Schedules a check for a new video frame.
+VideoAsset.prototype._requestFrame = function() {
+  var self = this;
+  var video = this._video;
+
+  if (video.requestVideoFrameCallback) {
+    // Called by the browser once for each new frame presented.
+    this._frameHandle = video.requestVideoFrameCallback(function() {
+      self._markFrame();
+      self._requestFrame();
+    });
+    this._cancelFrame = video.cancelVideoFrameCallback.bind(video);
+  } else {
+    // Poll for a change in the playback position. A frame may also become
+    // available without the position changing, e.g. when the video loads.
+    var hadFrame = this._hasFrame();
+    this._frameHandle = global.requestAnimationFrame(function() {
+      if (self._video.currentTime !== self._lastTime ||
+          self._hasFrame() !== hadFrame) {
+        self._lastTime = self._video.currentTime;
+        self._markFrame();
+      }
+      self._requestFrame();
+    });
+    this._cancelFrame = global.cancelAnimationFrame.bind(global);
+  }
+};
+
+
+VideoAsset.prototype._markFrame = function() {
+  this._timestamp++;
+  this.emit('change');
+};
+
+
+module.exports = VideoAsset;
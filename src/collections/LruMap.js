@@ -109,6 +109,11 @@ LruMap.prototype.size = function() {
   return this._size;
 };
 
+// Returns the oldest key in the map, or null if the map is empty.
+LruMap.prototype.oldestKey = function() {
+  return this._size > 0 ? this._keys[this._index(0)] : null;
+};
+
 // Removes all key-value pairs from the map.
 LruMap.prototype.clear = function() {
   this._keys.length = 0;
@@ -0,0 +1,255 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+
+// Tasks in the same priority class never preempt each other, to avoid
+// thrashing when the priorities of tasks change slightly from frame to frame.
+// Priorities are compared in classes of this size.
+var defaultPreemptionThreshold = 1;
+
+
+function PriorityTask(fn, cb, priority, seq) {
+  this.fn = fn;
+  this.cb = cb;
+  this.priority = priority;
+  this.seq = seq;
+  this.cfn = null;
+  this.demoted = false;
+}
+
+
+// A work pool that runs up to `concurrency` tasks at a time, always starting
+// the pending task with the lowest priority value next. Ties are broken in
+// insertion order, so tasks with the same priority run in FIFO order.
+//
+// Priorities are obtained by calling the function supplied with each task,
+// and are evaluated anew every time a task is to be started, so that they may
+// change while the task is waiting.
+//
+// When every slot is taken and a pending task outranks a running one by at
+// least `preemptionThreshold`, the running task is demoted: it is cancelled
+// without calling back, and returned to the pending set to be restarted later.
+// Tasks must therefore be restartable, and their cancel functions must cause
+// them to finish.
+function PriorityWorkPool(opts) {
+  this._concurrency = opts && opts.concurrency || 1;
+  this._preemptionThreshold = opts && opts.preemptionThreshold != null ?
+    opts.preemptionThreshold : defaultPreemptionThreshold;
+  this._paused = opts && !!opts.paused || false;
+
+  this._pending = [];
+  this._running = [];
+
+  this._nextSeq = 0;
+}
+
+
+PriorityWorkPool.prototype.length = function() {
+  return this._pending.length + this._running.length;
+};
+
+
+PriorityWorkPool.prototype.push = function(fn, cb, priority) {
+
+  var task = new PriorityTask(fn, cb, priority || zeroPriority, this._nextSeq++);
+
+  var cancel = this._cancel.bind(this, task);
+
+  this._pending.push(task);
+
+  // Run the task if a slot is available, or make room for it if it outranks
+  // a running task.
+  this._next();
+  this._preempt();
+
+  return cancel;
+
+};
+
+
+// Reevaluates priorities, demoting running tasks that are outranked by pending
+// ones. Should be called whenever priorities may have changed.
+PriorityWorkPool.prototype.reprioritize = function() {
+  this._preempt();
+};
+
+
+PriorityWorkPool.prototype.pause = function() {
+  if (!this._paused) {
+    this._paused = true;
+  }
+};
+
+
+PriorityWorkPool.prototype.resume = function() {
+  if (this._paused) {
+    this._paused = false;
+    this._next();
+  }
+};
+
+
+PriorityWorkPool.prototype._start = function(task) {
+
+  this._running.push(task);
+
+  var finish = this._finish.bind(this, task);
+  task.cfn = task.fn(finish);
+
+  // Detect when a non-cancellable function has been queued.
+  if (typeof task.cfn !== 'function') {
+    throw new Error('PriorityWorkPool: function is not cancellable');
+  }
+
+};
+
+
+PriorityWorkPool.prototype._finish = function(task) {
+
+  var args = Array.prototype.slice.call(arguments, 1);
+
+  var pos = this._running.indexOf(task);
+
+  // Consistency check.
+  if (pos < 0) {
+    throw new Error('PriorityWorkPool: called finish on task not running');
+  }
+
+  this._running.splice(pos, 1);
+
+  if (task.demoted) {
+    // Return a demoted task to the pending set instead of calling back.
+    task.demoted = false;
+    task.cfn = null;
+    this._pending.push(task);
+  } else {
+    task.cb.apply(null, args);
+  }
+
+  this._next();
+
+};
+
+
+PriorityWorkPool.prototype._cancel = function(task) {
+
+  var args = Array.prototype.slice.call(arguments, 1);
+
+  if (this._running.indexOf(task) >= 0) {
+
+    // Cancel running task. Because cancel passes control to the _finish
+    // callback we passed into fn, the cleanup logic will be handled there.
+    task.demoted = false;
+    task.cfn.apply(null, args);
+
+  } else {
+
+    // Remove task from the pending set.
+    var pos = this._pending.indexOf(task);
+    if (pos >= 0) {
+      this._pending.splice(pos, 1);
+      task.cb.apply(null, args);
+    }
+
+  }
+
+};
+
+
+PriorityWorkPool.prototype._next = function() {
+  if (this._paused) {
+    // Do not start tasks while paused.
+    return;
+  }
+  while (this._running.length < this._concurrency && this._pending.length) {
+    var pos = bestTaskIndex(this._pending);
+    var task = this._pending[pos];
+    this._pending.splice(pos, 1);
+    this._start(task);
+  }
+};
+
+
+PriorityWorkPool.prototype._preempt = function() {
+  var threshold = this._preemptionThreshold;
+
+  while (this._pending.length && this._running.length >= this._concurrency) {
+    var worstPos = worstTaskIndex(this._running);
+    if (worstPos < 0) {
+      // Every running task is already being demoted.
+      return;
+    }
+    var bestPriority = this._pending[bestTaskIndex(this._pending)].priority();
+    var worst = this._running[worstPos];
+    var worstPriority = worst.priority();
+    // Beware that equal infinite priorities have an infinite difference.
+    if (!(bestPriority < worstPriority &&
+          worstPriority - bestPriority >= threshold)) {
+      return;
+    }
+    // Demote the running task; its slot goes to the best pending task once
+    // the cancellation causes it to finish.
+    worst.demoted = true;
+    worst.cfn();
+    if (this._running.indexOf(worst) >= 0) {
+      // The task will finish asynchronously.
+      return;
+    }
+  }
+};
+
+
+function zeroPriority() {
+  return 0;
+}
+
+
+function compareTasks(t1, t2) {
+  var p1 = t1.priority();
+  var p2 = t2.priority();
+  if (p1 !== p2) {
+    return p1 < p2 ? -1 : 1;
+  }
+  return t1.seq - t2.seq;
+}
+
+
+function bestTaskIndex(tasks) {
+  var best = 0;
+  for (var i = 1; i < tasks.length; i++) {
+    if (compareTasks(tasks[i], tasks[best]) < 0) {
+      best = i;
+    }
+  }
+  return best;
+}
+
+
+// Tasks already being demoted are not considered.
+function worstTaskIndex(tasks) {
+  var worst = -1;
+  for (var i = 0; i < tasks.length; i++) {
+    if (!tasks[i].demoted &&
+        (worst < 0 || compareTasks(tasks[i], tasks[worst]) > 0)) {
+      worst = i;
+    }
+  }
+  return worst;
+}
+
+
+module.exports = PriorityWorkPool;
@@ -162,6 +162,23 @@ CubeTile.prototype.vertices = function(result) {
 };
 
 
+// Returns the normalized direction of the point at the given position within
+// the tile, counted from its top left corner. Used to build the displaced
+// geometry of layers with a depth map.
+CubeTile.prototype.direction = function(s, t, result) {
+  result = result || vec3.create();
+
+  var rot = faceRotation[this.face];
+
+  var x = this.centerX() + (s - 0.5) * this.scaleX();
+  var y = this.centerY() + (0.5 - t) * this.scaleY();
+  vec3.set(result, x, y, -0.5);
+  rotateVector(result, 0, rot.x, rot.y);
+
+  return vec3.normalize(result, result);
+};
+
+
 CubeTile.prototype.parent = function() {
 
   if (this.z === 0) {
@@ -451,6 +468,7 @@ function CubeGeometry(levelPropertiesList) {
   this._neighborsCache = new LruMap(neighborsCacheSize);
 
   this._vec = vec4.create();
+  this._tileVec = vec3.create();
 
   this._viewSize = {};
 }
@@ -534,6 +552,51 @@ CubeGeometry.prototype._closestTile = function(view, level) {
 };
 
 
+/**
+ * Returns the tile of a level into which a direction points, and the position
+ * of the direction within the tile, counted from its top left corner. Used to
+ * look up the depth of layers with a depth map.
+ *
+ * @param {vec3} direction
+ * @param {Level} level
+ * @param {Object} [result] An object to fill in and return.
+ * @return {{tile: CubeTile, s: number, t: number}}
+ */
+CubeGeometry.prototype.tileAt = function(direction, level, result) {
+  var vec = this._tileVec;
+
+  // The face into which the direction points is the one along whose axis the
+  // direction has the largest component.
+  var maxDot = -Infinity;
+  var face = null;
+  for (var f in faceVectors) {
+    var dot = vec3.dot(faceVectors[f], direction);
+    if (dot > maxDot) {
+      maxDot = dot;
+      face = f;
+    }
+  }
+
+  // Project the direction onto the face and rotate it into the front face.
+  vec3.scale(vec, direction, 0.5 / maxDot);
+  var rot = faceRotation[face];
+  rotateVector(vec, 0, -rot.x, -rot.y);
+
+  var numX = level.numHorizontalTiles();
+  var numY = level.numVerticalTiles();
+  var x = (0.5 + vec[0]) * numX;
+  var y = (0.5 - vec[1]) * numY;
+  var tileX = clamp(Math.floor(x), 0, numX - 1);
+  var tileY = clamp(Math.floor(y), 0, numY - 1);
+
+  result = result || {};
+  result.tile = new CubeTile(face, tileX, tileY, this.levelList.indexOf(level), this);
+  result.s = x - tileX;
+  result.t = y - tileY;
+  return result;
+};
+
+
 CubeGeometry.prototype.visibleTiles = function(view, level, result) {
   var viewSize = this._viewSize;
   var tileSearcher = this._tileSearcher;
@@ -0,0 +1,86 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var inherits = require('../util/inherits');
+var EquirectGeometry = require('./Equirect');
+
+
+/**
+ * @class CylindricalGeometry
+ * @extends EquirectGeometry
+ * @classdesc
+ *
+ * A {@link Geometry} implementation suitable for cylindrical panoramas, where
+ * the image is projected onto a vertical cylinder around the viewer. The
+ * horizontal image axis is linear in yaw, as for {@link EquirectGeometry},
+ * while the vertical axis is linear in the tangent of the pitch.
+ *
+ * Since a cylinder cannot reach the poles, the covered vertical angle must be
+ * less than π. The region outside the image is left transparent.
+ *
+ * Levels may be split into tiles in the same way as for
+ * {@link EquirectGeometry}.
+ *
+ * @param {Object[]} levelPropertiesList Level description; see
+ *     {@link EquirectGeometry}.
+ * @param {Object} [opts]
+ * @param {number} [opts.hfov=2*Math.PI] The horizontal angle covered by the
+ *     image.
+ * @param {number} [opts.vfov=Math.PI/2] The vertical angle covered by the
+ *     image.
+ * @param {number} [opts.yawOffset=0] The yaw of the center of the image.
+ * @param {number} [opts.pitchOffset=0] The pitch of the center of the
+ *     vertical angle covered by the image.
+ */
+function CylindricalGeometry(levelPropertiesList, opts) {
+  opts = opts || {};
+
+  CylindricalGeometry.super_.call(this, levelPropertiesList, {
+    hfov: opts.hfov,
+    vfov: opts.vfov != null ? opts.vfov : Math.PI / 2,
+    yawOffset: opts.yawOffset,
+    pitchOffset: opts.pitchOffset
+  });
+}
+
+inherits(CylindricalGeometry, EquirectGeometry);
+
+
+CylindricalGeometry.prototype._validateCoverage = function() {
+  CylindricalGeometry.super_.prototype._validateCoverage.call(this);
+  if (Math.abs(this._pitchOffset) + this._vfov / 2 >= Math.PI / 2) {
+    throw new Error('Vertical coverage must not reach the poles');
+  }
+};
+
+
+// The image is linear in the height along a cylinder of unit radius.
+CylindricalGeometry.prototype._verticalPosition = function(pitch) {
+  return Math.tan(pitch);
+};
+
+
+CylindricalGeometry.prototype._pitchFromVerticalPosition = function(position) {
+  return Math.atan(position);
+};
+
+
+CylindricalGeometry.Tile = CylindricalGeometry.prototype.Tile = EquirectGeometry.Tile;
+CylindricalGeometry.type = CylindricalGeometry.prototype.type = 'cylindrical';
+
+
+module.exports = CylindricalGeometry;
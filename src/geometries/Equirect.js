@@ -18,9 +18,22 @@
 var inherits = require('../util/inherits');
 var hash = require('../util/hash');
 var cmp = require('../util/cmp');
+var clamp = require('../util/clamp');
+var mod = require('../util/mod');
+var defaults = require('../util/defaults');
 var common = require('./common');
 var Level = require('./Level');
+var TileSearcher = require('../TileSearcher');
 var type = require('../util/type');
+var vec3 = require('gl-matrix').vec3;
+var vec4 = require('gl-matrix').vec4;
+
+// The maximum angular distance between the points sampled along the boundary
+// and interior of a tile for the visibility test.
+var vertexSpacing = Math.PI / 8;
+
+// Tolerance for comparing tile boundaries in normalized image coordinates.
+var epsilon = 1e-9;
 
 
 /**
@@ -29,8 +42,13 @@ var type = require('../util/type');
  * @classdesc
  *
  * A tile in an @{EquirectGeometry}.
+ *
+ * Levels with a single tile are addressed by `z` alone; the `x` and `y`
+ * coordinates default to zero.
  */
-function EquirectTile(z, geometry) {
+function EquirectTile(z, geometry, x, y) {
+  this.x = x || 0;
+  this.y = y || 0;
   this.z = z;
   this._geometry = geometry;
   this._level = geometry.levelList[z];
@@ -48,22 +66,112 @@ EquirectTile.prototype.rotY = function() {
 
 
 EquirectTile.prototype.centerX = function() {
-  return 0.5;
+  var levelWidth = this._level.width();
+  var tileWidth = this._level.tileWidth();
+  return (this.x * tileWidth + 0.5 * this.width()) / levelWidth;
 };
 
 
 EquirectTile.prototype.centerY = function() {
-  return 0.5;
+  var levelHeight = this._level.height();
+  var tileHeight = this._level.tileHeight();
+  return 1 - (this.y * tileHeight + 0.5 * this.height()) / levelHeight;
 };
 
 
 EquirectTile.prototype.scaleX = function() {
-  return 1;
+  return this.width() / this._level.width();
 };
 
 
 EquirectTile.prototype.scaleY = function() {
-  return 1;
+  return this.height() / this._level.height();
+};
+
+
+EquirectTile.prototype.width = function() {
+  var levelWidth = this._level.width();
+  var tileWidth = this._level.tileWidth();
+  if (this.x === this._level.numHorizontalTiles() - 1) {
+    return levelWidth - this.x * tileWidth;
+  } else {
+    return tileWidth;
+  }
+};
+
+
+EquirectTile.prototype.height = function() {
+  var levelHeight = this._level.height();
+  var tileHeight = this._level.tileHeight();
+  if (this.y === this._level.numVerticalTiles() - 1) {
+    return levelHeight - this.y * tileHeight;
+  } else {
+    return tileHeight;
+  }
+};
+
+
+EquirectTile.prototype.levelWidth = function() {
+  return this._level.width();
+};
+
+
+EquirectTile.prototype.levelHeight = function() {
+  return this._level.height();
+};
+
+
+EquirectTile.prototype.vertices = function(result) {
+  // A tile covers a curved region of the sphere, so sample a grid of points
+  // over it that is dense enough for the polygon they form to approximate
+  // the region. The grid size depends only on the level, so that the result
+  // array may be reused for every tile in the level.
+  var geometry = this._geometry;
+  var level = this._level;
+  var numX = Math.ceil(geometry._hfov * level.tileWidth() / level.width() / vertexSpacing) + 1;
+  var numY = Math.ceil(geometry._vfov * level.tileHeight() / level.height() / vertexSpacing) + 1;
+
+  if (!result || result.length !== numX * numY) {
+    result = [];
+    for (var k = 0; k < numX * numY; k++) {
+      result.push(vec3.create());
+    }
+  }
+
+  var left = this.centerX() - this.scaleX() / 2;
+  var top = 1 - this.centerY() - this.scaleY() / 2;
+
+  for (var i = 0; i < numY; i++) {
+    var pitch = geometry._pitchAt(top + this.scaleY() * i / (numY - 1));
+    for (var j = 0; j < numX; j++) {
+      var yaw = geometry._yawAt(left + this.scaleX() * j / (numX - 1));
+      vec3.set(result[i * numX + j],
+          Math.sin(yaw) * Math.cos(pitch),
+          -Math.sin(pitch),
+          -Math.cos(yaw) * Math.cos(pitch));
+    }
+  }
+
+  return result;
+};
+
+
+// Returns the normalized direction of the point at the given position within
+// the tile, counted from its top left corner. Used to build the displaced
+// geometry of layers with a depth map.
+EquirectTile.prototype.direction = function(s, t, result) {
+  result = result || vec3.create();
+
+  var geometry = this._geometry;
+  var left = this.centerX() - this.scaleX() / 2;
+  var top = 1 - this.centerY() - this.scaleY() / 2;
+  var yaw = geometry._yawAt(left + s * this.scaleX());
+  var pitch = geometry._pitchAt(top + t * this.scaleY());
+
+  return vec3.set(result,
+      Math.sin(yaw) * Math.cos(pitch),
+      -Math.sin(pitch),
+      -Math.cos(yaw) * Math.cos(pitch));
 };
 
 
@@ -71,7 +179,18 @@ EquirectTile.prototype.parent = function() {
   if (this.z === 0) {
     return null;
   }
-  return new EquirectTile(this.z - 1, this._geometry);
+
+  var geometry = this._geometry;
+  var z = this.z - 1;
+  var level = geometry.levelList[z];
+
+  // Return the tile containing the center of this tile.
+  var x = tileIndex(this.centerX(), level.width(), level.tileWidth(),
+      level.numHorizontalTiles());
+  var y = tileIndex(1 - this.centerY(), level.height(), level.tileHeight(),
+      level.numVerticalTiles());
+
+  return new EquirectTile(z, geometry, x, y);
 };
 
 
@@ -79,40 +198,105 @@ EquirectTile.prototype.children = function(result) {
   if (this.z === this._geometry.levelList.length - 1) {
     return null;
   }
+
+  var geometry = this._geometry;
+  var z = this.z + 1;
+  var level = geometry.levelList[z];
+
+  var left = this.centerX() - this.scaleX() / 2;
+  var right = this.centerX() + this.scaleX() / 2;
+  var top = 1 - this.centerY() - this.scaleY() / 2;
+  var bottom = 1 - this.centerY() + this.scaleY() / 2;
+
+  // Return all tiles overlapping this tile.
+  var minX = tileIndex(left + epsilon, level.width(), level.tileWidth(),
+      level.numHorizontalTiles());
+  var maxX = tileIndex(right - epsilon, level.width(), level.tileWidth(),
+      level.numHorizontalTiles());
+  var minY = tileIndex(top + epsilon, level.height(), level.tileHeight(),
+      level.numVerticalTiles());
+  var maxY = tileIndex(bottom - epsilon, level.height(), level.tileHeight(),
+      level.numVerticalTiles());
+
   result = result || [];
-  result.push(new EquirectTile(this.z + 1, this._geometry));
+
+  for (var x = minX; x <= maxX; x++) {
+    for (var y = minY; y <= maxY; y++) {
+      result.push(new EquirectTile(z, geometry, x, y));
+    }
+  }
+
   return result;
 };
 
 
 EquirectTile.prototype.neighbors = function() {
-  return [];
+  var geometry = this._geometry;
+  var level = this._level;
+
+  var x = this.x;
+  var y = this.y;
+  var z = this.z;
+
+  var numX = level.numHorizontalTiles();
+  var numY = level.numVerticalTiles();
+
+  var result = [];
+
+  // Horizontal neighbors wrap around the 360 degree seam.
+  if (numX > 1) {
+    result.push(new EquirectTile(z, geometry, (x + 1) % numX, y));
+    if (numX > 2) {
+      result.push(new EquirectTile(z, geometry, (x + numX - 1) % numX, y));
+    }
+  }
+
+  if (y > 0) {
+    result.push(new EquirectTile(z, geometry, x, y - 1));
+  }
+  if (y < numY - 1) {
+    result.push(new EquirectTile(z, geometry, x, y + 1));
+  }
+
+  return result;
 };
 
 
 EquirectTile.prototype.hash = function() {
-  return hash(this.z);
+  return hash(this.z, this.y, this.x);
 };
 
 
 EquirectTile.prototype.equals = function(that) {
-  return this._geometry === that._geometry && this.z === that.z;
+  return (this._geometry === that._geometry &&
+      this.z === that.z && this.y === that.y && this.x === that.x);
 };
 
 
 EquirectTile.prototype.cmp = function(that) {
-  return cmp(this.z, that.z);
+  return (cmp(this.z, that.z) || cmp(this.y, that.y) || cmp(this.x, that.x));
 };
 
 
 EquirectTile.prototype.str = function() {
-  return 'EquirectTile(' + tile.z + ')';
+  return 'EquirectTile(' + this.x + ', ' + this.y + ', ' + this.z + ')';
 };
 
 
+// Returns the index of the tile containing the given normalized coordinate
+// along one of the level axes.
+function tileIndex(coord, levelSize, tileSize, numTiles) {
+  return clamp(Math.floor(coord * levelSize / tileSize), 0, numTiles - 1);
+}
+
+
 function EquirectLevel(levelProperties) {
   this.constructor.super_.call(this, levelProperties);
   this._width = levelProperties.width;
+  this._height = levelProperties.height;
+  this._tileWidth = levelProperties.tileWidth || this._width;
+  this._tileHeight = levelProperties.tileHeight ||
+      (levelProperties.tileWidth ? this._tileWidth : this._height);
 }
 
 inherits(EquirectLevel, Level);
@@ -124,17 +308,17 @@ EquirectLevel.prototype.width = function() {
 
 
 EquirectLevel.prototype.height = function() {
-  return this._width/2;
+  return this._height;
 };
 
 
 EquirectLevel.prototype.tileWidth = function() {
-  return this._width;
+  return Math.min(this._tileWidth, this._width);
 };
 
 
 EquirectLevel.prototype.tileHeight = function() {
-  return this._width/2;
+  return Math.min(this._tileHeight, this._height);
 };
 
 
@@ -143,22 +327,143 @@ EquirectLevel.prototype.tileHeight = function() {
  * @implements Geometry
  * @classdesc
  *
- * A {@link Geometry} implementation suitable for equirectangular images with a
- * 2:1 aspect ratio.
+ * A {@link Geometry} implementation suitable for equirectangular images.
+ *
+ * By default, the image is expected to cover the whole sphere and have a 2:1
+ * aspect ratio. Partial panoramas covering a smaller region may be described
+ * through the `opts` argument, in which case the uncovered region is left
+ * transparent. Use {@link RectilinearView.limit.coverage} to keep the view
+ * inside the covered region.
+ *
+ * By default, each level consists of a single tile covering the whole image.
+ * Larger levels may be split into a grid of tiles by specifying a tile size,
+ * in which case the tiles are addressed by their `x` and `y` coordinates,
+ * counted from the top left corner of the image. Tiles in the last row or
+ * column may be smaller than the others.
  *
  * @param {Object[]} levelPropertiesList Level description
  * @param {number} levelPropertiesList[].width Level width in pixels
+ * @param {number} [levelPropertiesList[].tileWidth] Tile width in pixels;
+ *     defaults to the level width
+ * @param {number} [levelPropertiesList[].tileHeight] Tile height in pixels;
+ *     defaults to the tile width if one is given, or else to the level height
+ * @param {number} [levelPropertiesList[].height] Level height in pixels;
+ *     defaults to the height matching the level width and the covered region
+ * @param {Object} [opts]
+ * @param {number} [opts.hfov=2*Math.PI] The horizontal angle covered by the
+ *     image.
+ * @param {number} [opts.vfov=Math.PI] The vertical angle covered by the image.
+ * @param {number} [opts.yawOffset=0] The yaw of the center of the image.
+ * @param {number} [opts.pitchOffset=0] The pitch of the center of the image.
 */
-function EquirectGeometry(levelPropertiesList) {
+function EquirectGeometry(levelPropertiesList, opts) {
   if (type(levelPropertiesList) !== 'array') {
     throw new Error('Level list must be an array');
   }
 
-  this.levelList = common.makeLevelList(levelPropertiesList, EquirectLevel);
+  opts = opts || {};
+
+  this._hfov = opts.hfov != null ? opts.hfov : 2 * Math.PI;
+  this._vfov = opts.vfov != null ? opts.vfov : Math.PI;
+  this._yawOffset = opts.yawOffset || 0;
+  this._pitchOffset = opts.pitchOffset || 0;
+
+  this._validateCoverage();
+
+  var heightRatio = (this._verticalPosition(this._pitchOffset + this._vfov / 2) -
+      this._verticalPosition(this._pitchOffset - this._vfov / 2)) / this._hfov;
+  this.levelList = common.makeLevelList(
+      levelListWithHeight(levelPropertiesList, heightRatio), EquirectLevel);
   this.selectableLevelList = common.makeSelectableLevelList(this.levelList);
+
+  this._tileSearcher = new TileSearcher(this);
+
+  this._vec = vec4.create();
+
+  this._viewSize = {};
+}
+
+
+// Returns a copy of the level list where the height of each level defaults to
+// the given fraction of its width.
+function levelListWithHeight(levelPropertiesList, heightRatio) {
+  var result = [];
+  for (var i = 0; i < levelPropertiesList.length; i++) {
+    var levelProperties = defaults({}, levelPropertiesList[i]);
+    if (levelProperties.height == null) {
+      levelProperties.height = levelProperties.width * heightRatio;
+    }
+    result.push(levelProperties);
+  }
+  return result;
 }
 
 
+EquirectGeometry.prototype._validateCoverage = function() {
+  if (!(this._hfov > 0 && this._hfov <= 2 * Math.PI)) {
+    throw new Error('Horizontal coverage must be in ]0, 2π]: ' + this._hfov);
+  }
+  if (!(this._vfov > 0 && this._vfov <= Math.PI)) {
+    throw new Error('Vertical coverage must be in ]0, π]: ' + this._vfov);
+  }
+  if (Math.abs(this._pitchOffset) + this._vfov / 2 > Math.PI / 2 + epsilon) {
+    throw new Error('Vertical coverage must not extend past the poles');
+  }
+};
+
+
+// Returns the position along the vertical axis of the image, in units of the
+// horizontal angle, of the given pitch. The image is linear in pitch.
+// Overridden by CylindricalGeometry.
+EquirectGeometry.prototype._verticalPosition = function(pitch) {
+  return pitch;
+};
+
+
+// Inverse of _verticalPosition().
+EquirectGeometry.prototype._pitchFromVerticalPosition = function(position) {
+  return position;
+};
+
+
+// Returns the yaw at the given horizontal image coordinate.
+EquirectGeometry.prototype._yawAt = function(x) {
+  return this._yawOffset + (x - 0.5) * this._hfov;
+};
+
+
+// Returns the pitch at the given vertical image coordinate, counted from the
+// top of the image.
+EquirectGeometry.prototype._pitchAt = function(y) {
+  var top = this._verticalPosition(this._pitchOffset - this._vfov / 2);
+  var bottom = this._verticalPosition(this._pitchOffset + this._vfov / 2);
+  return this._pitchFromVerticalPosition(top + y * (bottom - top));
+};
+
+
+// Returns the vertical image coordinate, counted from the top of the image, at
+// the given pitch.
+EquirectGeometry.prototype._yAt = function(pitch) {
+  var top = this._verticalPosition(this._pitchOffset - this._vfov / 2);
+  var bottom = this._verticalPosition(this._pitchOffset + this._vfov / 2);
+  return (this._verticalPosition(pitch) - top) / (bottom - top);
+};
+
+
+/**
+ * Returns the region of the sphere covered by the image.
+ * @return {{hfov: number, vfov: number, yawOffset: number, pitchOffset: number}}
+ */
+EquirectGeometry.prototype.coverage = function() {
+  return {
+    hfov: this._hfov,
+    vfov: this._vfov,
+    yawOffset: this._yawOffset,
+    pitchOffset: this._pitchOffset
+  };
+};
+
+
 EquirectGeometry.prototype.maxTileSize = function() {
   var maxTileSize = 0;
   for (var i = 0; i < this.levelList.length; i++) {
@@ -171,17 +476,110 @@ EquirectGeometry.prototype.maxTileSize = function() {
 
 EquirectGeometry.prototype.levelTiles = function(level, result) {
   var levelIndex = this.levelList.indexOf(level);
+  var maxX = level.numHorizontalTiles() - 1;
+  var maxY = level.numVerticalTiles() - 1;
+
   result = result || [];
-  result.push(new EquirectTile(levelIndex, this));
+
+  for (var x = 0; x <= maxX; x++) {
+    for (var y = 0; y <= maxY; y++) {
+      result.push(new EquirectTile(levelIndex, this, x, y));
+    }
+  }
+
+  return result;
+};
+
+
+EquirectGeometry.prototype._closestTile = function(view, level) {
+  var ray = this._vec;
+
+  // Compute a view ray into the central screen point.
+  vec4.set(ray, 0, 0, 1, 1);
+  vec4.transformMat4(ray, ray, view.inverseProjection());
+
+  // Compute the image coordinates that the view ray points into.
+  var r = Math.sqrt(ray[0] * ray[0] + ray[1] * ray[1] + ray[2] * ray[2]);
+  var yaw = Math.atan2(ray[0], -ray[2]);
+  var pitch = Math.asin(clamp(-ray[1] / r, -1, 1));
+  var x = 0.5 + (mod(yaw - this._yawOffset + Math.PI, 2 * Math.PI) - Math.PI) / this._hfov;
+  var y = this._yAt(pitch);
+
+  var tileX = tileIndex(x, level.width(), level.tileWidth(),
+      level.numHorizontalTiles());
+  var tileY = tileIndex(y, level.height(), level.tileHeight(),
+      level.numVerticalTiles());
+
+  return new EquirectTile(this.levelList.indexOf(level), this, tileX, tileY);
+};
+
+
+/**
+ * Returns the tile of a level into which a direction points, and the position
+ * of the direction within the tile, counted from its top left corner. Used to
+ * look up the depth of layers with a depth map.
+ *
+ * @param {vec3} direction
+ * @param {Level} level
+ * @param {Object} [result] An object to fill in and return.
+ * @return {?{tile: EquirectTile, s: number, t: number}} The result, or null if
+ *     the direction lies outside the region covered by the image.
+ */
+EquirectGeometry.prototype.tileAt = function(direction, level, result) {
+  var r = vec3.length(direction);
+  var yaw = Math.atan2(direction[0], -direction[2]);
+  var pitch = Math.asin(clamp(-direction[1] / r, -1, 1));
+  var x = 0.5 + (mod(yaw - this._yawOffset + Math.PI, 2 * Math.PI) - Math.PI) / this._hfov;
+  var y = this._yAt(pitch);
+
+  if (x < 0 || x > 1 || y < 0 || y > 1) {
+    return null;
+  }
+
+  var tileX = tileIndex(x, level.width(), level.tileWidth(),
+      level.numHorizontalTiles());
+  var tileY = tileIndex(y, level.height(), level.tileHeight(),
+      level.numVerticalTiles());
+  var tile = new EquirectTile(this.levelList.indexOf(level), this, tileX, tileY);
+
+  result = result || {};
+  result.tile = tile;
+  result.s = (x - tile.centerX() + tile.scaleX() / 2) / tile.scaleX();
+  result.t = (y - 1 + tile.centerY() + tile.scaleY() / 2) / tile.scaleY();
   return result;
 };
 
 
 EquirectGeometry.prototype.visibleTiles = function(view, level, result) {
-  var tile = new EquirectTile(this.levelList.indexOf(level), this);
+  var viewSize = this._viewSize;
+  var tileSearcher = this._tileSearcher;
+
   result = result || [];
-  result.length = 0;
-  result.push(tile);
+
+  if (level.numHorizontalTiles() === 1 && level.numVerticalTiles() === 1) {
+    // A single tile covers the whole image and is always rendered; any
+    // region outside the image is left transparent by the renderer.
+    result.length = 0;
+    result.push(new EquirectTile(this.levelList.indexOf(level), this));
+    return result;
+  }
+
+  view.size(viewSize);
+  if (viewSize.width === 0 || viewSize.height === 0) {
+    // No tiles are visible if the viewport is empty.
+    return result;
+  }
+
+  var startingTile = this._closestTile(view, level);
+  var count = tileSearcher.search(view, startingTile, result);
+  if (!count) {
+    // The sampled vertices may all fall outside a view much smaller than the
+    // tile, but the tile is known to be visible as it contains the central
+    // screen point.
+    result.push(startingTile);
+  }
+
+  return result;
 };
 
 
@@ -24,27 +24,64 @@ module.exports = {
   WebGlCubeRenderer: require('./renderers/WebGlCube'),
   WebGlFlatRenderer: require('./renderers/WebGlFlat'),
   WebGlEquirectRenderer: require('./renderers/WebGlEquirect'),
+  WebGlCurvilinearCubeRenderer: require('./renderers/WebGlCurvilinearCube'),
+  WebGlCurvilinearEquirectRenderer: require('./renderers/WebGlCurvilinearEquirect'),
+  WebGlDepthRenderer: require('./renderers/WebGlDepth'),
   registerDefaultRenderers: require('./renderers/registerDefaultRenderers'),
 
   // Geometries.
   CubeGeometry: require('./geometries/Cube'),
   FlatGeometry: require('./geometries/Flat'),
   EquirectGeometry: require('./geometries/Equirect'),
+  CylindricalGeometry: require('./geometries/Cylindrical'),
 
   // Views.
   RectilinearView: require('./views/Rectilinear'),
+  CurvilinearView: require('./views/Curvilinear'),
   FlatView: require('./views/Flat'),
+  XrView: require('./views/Xr'),
 
   // Sources.
   ImageUrlSource: require('./sources/ImageUrl'),
   SingleAssetSource: require('./sources/SingleAsset'),
+  VideoSource: require('./sources/Video'),
+  ProceduralSource: require('./sources/Procedural'),
+  CachedSource: require('./sources/Cached'),
+  imagePyramids: require('./sources/imagePyramids'),
+  stereoSources: require('./sources/stereoSources'),
+
+  // Loaders.
+  HtmlImageLoader: require('./loaders/HtmlImage'),
+  FetchImageLoader: require('./loaders/FetchImage'),
+  WorkerImageLoader: require('./loaders/WorkerImage'),
+  Ktx2Loader: require('./loaders/Ktx2'),
+  HdrLoader: require('./loaders/Hdr'),
+  NetworkError: require('./NetworkError'),
+  NotFoundError: require('./NotFoundError'),
+  ForbiddenError: require('./ForbiddenError'),
+  ServerError: require('./ServerError'),
+  OfflineError: require('./OfflineError'),
+  DecodeError: require('./DecodeError'),
+  TourDataError: require('./TourDataError'),
+  CancelError: require('./CancelError'),
 
   // Assets.
   StaticAsset: require('./assets/Static'),
   DynamicAsset: require('./assets/Dynamic'),
+  CompressedAsset: require('./assets/Compressed'),
+  HdrAsset: require('./assets/Hdr'),
+  VideoAsset: require('./assets/Video'),
 
   // Texture store.
   TextureStore: require('./TextureStore'),
+  DepthStore: require('./DepthStore'),
+  Preloader: require('./Preloader'),
+
+  // Tile cache.
+  TileCache: require('./TileCache'),
+  IndexedDbStorage: require('./storage/IndexedDb'),
+  CacheApiStorage: require('./storage/CacheApi'),
+  MemoryStorage: require('./storage/Memory'),
 
   // Layer.
   Layer: require('./Layer'),
@@ -66,6 +103,9 @@ module.exports = {
   // High-level API.
   Viewer: require('./Viewer'),
   Scene: require('./Scene'),
+  XrSession: require('./XrSession'),
+  Tour: require('./Tour'),
+  DeepLink: require('./DeepLink'),
 
   // Hotspots.
   Hotspot: require('./Hotspot'),
@@ -73,6 +113,8 @@ module.exports = {
 
   // Effects.
   colorEffects: require('./colorEffects'),
+  transitions: require('./transitions'),
+  stereo: require('./stereo'),
 
   // Miscellaneous functions.
   registerDefaultControls: require('./controls/registerDefaultControls'),
@@ -95,6 +137,7 @@ module.exports = {
     delay: require('./util/delay'),
     dom: require('./util/dom'),
     extend: require('./util/extend'),
+    halfFloat: require('./util/halfFloat'),
     hash: require('./util/hash'),
     inherits: require('./util/inherits'),
     mod: require('./util/mod'),
@@ -81,7 +81,7 @@
  * The view type, used by the {@link Stage} to determine the appropriate
  * renderer for a given geometry and view.
  *
- * Known values are `"rectilinear"` and `"flat"`.
+ * Known values are `"rectilinear"`, `"curvilinear"` and `"flat"`.
  *
  * See also {@link Stage#registerRenderer}.
  *
@@ -129,6 +129,11 @@
 
 /**
  * Loads an {@link Asset} from the source.
+ *
+ * A failed load is retried by the {@link TextureStore} until it succeeds. To
+ * give up on an asset, call back with an error whose `permanent` property is
+ * set to true.
+ *
  * @function
  * @name Source.prototype.loadAsset
  * @param {Stage} stage
@@ -137,6 +142,80 @@
  * @returns {Function} Function that cancels the loading when called.
  */
 
+/**
+ * Reorders pending loads according to the current tile priorities, as given by
+ * {@link Stage#tilePriority}. This method is optional; if present, it is
+ * called by the {@link TextureStore} on every frame.
+ * @function
+ * @name Source.prototype.reprioritize
+ */
+
+/**
+ * @interface TileStorage
+ * @classdesc A storage backend for a {@link TileCache}.
+ *
+ * All methods take a Node-style callback as their last argument. Entries are
+ * described by objects with `key`, `size` (in bytes) and `time` (the time of
+ * last access, in milliseconds since the epoch) properties.
+ */
+
+/**
+ * Opens the storage. No other method is called before this one completes.
+ * @function
+ * @name TileStorage.prototype.open
+ * @param {function(?Error)} done
+ */
+
+/**
+ * Lists the stored entries.
+ * @function
+ * @name TileStorage.prototype.list
+ * @param {function(?Error, Object[])} done
+ */
+
+/**
+ * Retrieves the contents of an entry, or null if it does not exist.
+ * @function
+ * @name TileStorage.prototype.get
+ * @param {string} key
+ * @param {function(?Error, ?Blob)} done
+ */
+
+/**
+ * Stores an entry, replacing any existing entry with the same key.
+ * @function
+ * @name TileStorage.prototype.put
+ * @param {string} key
+ * @param {Blob} blob
+ * @param {number} time
+ * @param {function(?Error)} done
+ */
+
+/**
+ * Updates the access time of an entry. Storages unable to do so efficiently
+ * may ignore the call.
+ * @function
+ * @name TileStorage.prototype.touch
+ * @param {string} key
+ * @param {number} time
+ * @param {function(?Error)} done
+ */
+
+/**
+ * Removes an entry.
+ * @function
+ * @name TileStorage.prototype.del
+ * @param {string} key
+ * @param {function(?Error)} done
+ */
+
+/**
+ * Removes all entries.
+ * @function
+ * @name TileStorage.prototype.clear
+ * @param {function(?Error)} done
+ */
+
 /**
  * @interface Asset
  * @classdesc A rectangular pixel source from which a {@link Texture} may be
@@ -196,8 +275,34 @@
  * @property {vec4} colorOffset
  * @property {mat4} colorMatrix
  * @property {Rect} textureCrop Use only a portion of the texture when
- *     rendering. Only supported on {@link WebGlEquirectRenderer}. Useful for
- *     rendering stereoscopic 360° video.
+ *     rendering. Only supported on {@link WebGlEquirectRenderer},
+ *     {@link WebGlCurvilinearEquirectRenderer} and, for equirect and
+ *     cylindrical geometries, {@link WebGlDepthRenderer}. Useful for rendering
+ *     stereoscopic 360° video.
+ * @property {Number} exposure The exposure adjustment in stops, where each
+ *     stop doubles the brightness. Defaults to 0.
+ * @property {Number} gamma The display gamma, used to linearize regular
+ *     images and to encode the tone mapped colors. Defaults to 2.2.
+ * @property {string} toneMapping The operator mapping high dynamic range
+ *     colors into the displayable range; one of `'none'`, `'reinhard'` or
+ *     `'aces'`. Defaults to `'none'`, which clips the colors. The exposure,
+ *     gamma and tone mapping are applied before the color matrix and offset.
+ *     See {@link HdrLoader}.
+ * @property {Number} blur The amount of blur. Each texel is averaged with
+ *     those up to `2^blur - 1` texels away, so that each unit of blur doubles
+ *     the extent of the blur. Defaults to 0.
+ * @property {Object} mask A circle outside of which the layer is transparent,
+ *     or null for no mask.
+ * @property {Number} [mask.x=0.5] The horizontal position of the center,
+ *     relative to the width of the rect.
+ * @property {Number} [mask.y=0.5] The vertical position of the center,
+ *     relative to the height of the rect.
+ * @property {Number} [mask.radius=1] The radius, relative to the diagonal of
+ *     the rect.
+ * @property {Number} [mask.softness=0] The width of the edge, across which the
+ *     layer fades out, relative to the diagonal of the rect.
+ * @property {boolean} [mask.invert=false] Whether to make the layer
+ *     transparent inside the circle instead.
  */
 
 /**
@@ -208,14 +313,15 @@
  * {@link Tile tiles}.
  *
  * This is an abstract interface; the concrete implementations are
- * {@link CubeGeometry}, {@link EquirectGeometry} and {@link FlatGeometry}.
+ * {@link CubeGeometry}, {@link EquirectGeometry}, {@link CylindricalGeometry}
+ * and {@link FlatGeometry}.
  */
 
 /**
  * The geometry type, used by the {@link Stage} to determine the appropriate
  * renderer for a given geometry and view.
  *
- * Known values are `"cube"`, `"equirect"` and `"flat"`.
+ * Known values are `"cube"`, `"equirect"`, `"cylindrical"` and `"flat"`.
  *
  * See also {@link Stage#registerRenderer}.
  *
@@ -287,6 +393,11 @@
  * @name Renderer#startLayer
  * @param {Layer} layer The layer onto which to render.
  * @param {Rect} rect The rectangular region into which to render.
+ * @param {Effects} [effects] The effects to render with, in place of those of
+ *     the layer, such as when rendering an eye in a stereo mode.
+ * @param {Size} [framebufferSize] The size in pixels of the framebuffer to
+ *     which the rect is relative, when not the drawing buffer of the canvas,
+ *     such as when rendering into a WebXR framebuffer.
  */
 
 /**
@@ -0,0 +1,200 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var StaticAsset = require('../assets/Static');
+var DecodeError = require('../DecodeError');
+var loadErrors = require('./loadErrors');
+var global = require('../util/global');
+var once = require('../util/once');
+
+// Options for createImageBitmap when producing the final bitmap.
+var createImageBitmapOpts = {
+  imageOrientation: 'flipY',
+  premultiplyAlpha: 'premultiply'
+};
+
+/**
+ * @class FetchImageLoader
+ * @implements ImageLoader
+ * @classdesc
+ *
+ * A {@link Loader} that fetches images with the Fetch API and decodes them
+ * with `createImageBitmap`.
+ *
+ * Compared to {@link HtmlImageLoader}, this loader is able to abort in-flight
+ * requests when they are cancelled, to send credentials and custom headers,
+ * and to report the HTTP status of a failed request through the `status`
+ * property of the resulting {@link NetworkError}. Failures are further
+ * classified into {@link NotFoundError}, {@link ForbiddenError},
+ * {@link ServerError}, {@link OfflineError} and {@link DecodeError}.
+ *
+ * Use {@link FetchImageLoader.supported} to check whether the required browser
+ * APIs are available.
+ *
+ * @param {Stage} stage The stage which is going to request images to be loaded.
+ * @param {Object} opts
+ * @param {string} [opts.credentials='same-origin'] The credentials mode for
+ *     the request; one of `'omit'`, `'same-origin'` or `'include'`.
+ * @param {string} [opts.mode='cors'] The request mode.
+ * @param {Object} [opts.headers] Additional headers to send with each request,
+ *     as a map from header name to value.
+ */
+function FetchImageLoader(stage, opts) {
+  opts = opts || {};
+
+  this._stage = stage;
+
+  this._credentials = opts.credentials || 'same-origin';
+  this._mode = opts.mode || 'cors';
+  this._headers = opts.headers || {};
+}
+
+
+/**
+ * Returns whether the browser APIs required by this loader are available.
+ * @return {boolean}
+ */
+FetchImageLoader.supported = function() {
+  return !!(global.fetch && global.AbortController && global.createImageBitmap);
+};
+
+
+/**
+ * Loads an {@link Asset} from an image.
+ * @param {string} url The image URL.
+ * @param {?Rect} rect A {@link Rect} describing a portion of the image, or null
+ *     to use the full image.
+ * @param {function(?Error, Asset)} done The callback.
+ * @return {function()} A function to cancel loading.
+ */
+FetchImageLoader.prototype.loadImage = function(url, rect, done) {
+  var self = this;
+
+  var controller = new global.AbortController();
+  var cancelled = false;
+
+  var x = rect && rect.x || 0;
+  var y = rect && rect.y || 0;
+  var width = rect && rect.width || 1;
+  var height = rect && rect.height || 1;
+
+  done = once(done);
+
+  global.fetch(url, {
+    credentials: this._credentials,
+    mode: this._mode,
+    headers: this._headers,
+    signal: controller.signal
+  }).then(function(response) {
+    if (cancelled) {
+      return;
+    }
+    if (!response.ok) {
+      done(loadErrors.fromStatus(url, response.status));
+      return;
+    }
+    return self._readBody(response).then(function(body) {
+      if (cancelled) {
+        return;
+      }
+      self._handleBody(url, body, x, y, width, height, isCancelled, done);
+    });
+  }).then(null, function() {
+    // The request failed before a response was received. This is also the
+    // path taken by requests aborted on cancellation, in which case the
+    // callback has already been called.
+    if (!cancelled) {
+      done(loadErrors.fromFailure(url));
+    }
+  });
+
+  function isCancelled() {
+    return cancelled;
+  }
+
+  function cancel() {
+    cancelled = true;
+    controller.abort();
+    done.apply(null, arguments);
+  }
+
+  return cancel;
+};
+
+
+// Reads the body of a successful response. Overridden by subclasses loading
+// other kinds of content.
+FetchImageLoader.prototype._readBody = function(response) {
+  return response.blob();
+};
+
+
+FetchImageLoader.prototype._handleBody = function(url, blob, x, y, width, height, isCancelled, done) {
+  var createImageBitmap = global.createImageBitmap;
+
+  var full = x === 0 && y === 0 && width === 1 && height === 1;
+
+  // Keep the response body, so that the tile can be cached without encoding it
+  // anew; see CachedSource.
+  var assetOpts = {
+    blob: blob,
+    rect: full ? null : { x: x, y: y, width: width, height: height }
+  };
+
+  function handleBitmap(bitmap) {
+    if (isCancelled()) {
+      bitmap.close();
+      return;
+    }
+    done(null, new StaticAsset(bitmap, assetOpts));
+  }
+
+  function handleDecodeError() {
+    if (!isCancelled()) {
+      done(new DecodeError('Failed to decode image: ' + url));
+    }
+  }
+
+  if (full) {
+    // Fast path for when cropping is not needed.
+    createImageBitmap(blob, createImageBitmapOpts)
+      .then(handleBitmap, handleDecodeError);
+    return;
+  }
+
+  // The image size is not known until it has been decoded, so decode the full
+  // image first and then crop the decoded bitmap. The orientation flip is only
+  // applied in the second step, as it would otherwise be applied twice.
+  createImageBitmap(blob).then(function(full) {
+    if (isCancelled()) {
+      full.close();
+      return;
+    }
+    var sx = x * full.width;
+    var sy = y * full.height;
+    var sw = width * full.width;
+    var sh = height * full.height;
+    return createImageBitmap(full, sx, sy, sw, sh, createImageBitmapOpts)
+      .then(function(bitmap) {
+        full.close();
+        handleBitmap(bitmap);
+      });
+  }).then(null, handleDecodeError);
+};
+
+
+module.exports = FetchImageLoader;
@@ -0,0 +1,114 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var FetchImageLoader = require('./FetchImage');
+var HdrAsset = require('../assets/Hdr');
+var DecodeError = require('../DecodeError');
+var radianceFormat = require('./radianceFormat');
+var exrFormat = require('./exrFormat');
+var inherits = require('../util/inherits');
+var global = require('../util/global');
+
+/**
+ * @class HdrLoader
+ * @implements ImageLoader
+ * @extends FetchImageLoader
+ * @classdesc
+ *
+ * A {@link Loader} that fetches high dynamic range images and creates an
+ * {@link HdrAsset} from them.
+ *
+ * Radiance (`.hdr`) files and scanline OpenEXR (`.exr`) files are supported.
+ * The format is determined from the file contents. OpenEXR files may be
+ * uncompressed or use the RLE, ZIPS or ZIP compression methods, the latter two
+ * requiring the `DecompressionStream` browser API.
+ *
+ * @param {Stage} stage The stage which is going to request images to be loaded.
+ * @param {Object} opts The {@link FetchImageLoader} options.
+ */
+function HdrLoader(stage, opts) {
+  HdrLoader.super_.call(this, stage, opts);
+}
+
+inherits(HdrLoader, FetchImageLoader);
+
+
+/**
+ * Returns whether the browser APIs required by this loader are available.
+ * @return {boolean}
+ */
+HdrLoader.supported = function() {
+  return !!(global.fetch && global.AbortController);
+};
+
+
+/**
+ * Returns whether a URL refers to a Radiance or OpenEXR file, judging by its
+ * extension.
+ * @param {string} url
+ * @return {boolean}
+ */
+HdrLoader.isHdrUrl = function(url) {
+  return /\.(hdr|exr)($|[?#])/i.test(url);
+};
+
+
+HdrLoader.prototype._readBody = function(response) {
+  return response.arrayBuffer();
+};
+
+
+HdrLoader.prototype._handleBody = function(url, buffer, x, y, width, height, isCancelled, done) {
+  function handleImage(image) {
+    var asset = new HdrAsset(image);
+    if (x !== 0 || y !== 0 || width !== 1 || height !== 1) {
+      asset = asset.crop({ x: x, y: y, width: width, height: height });
+    }
+    done(null, asset);
+  }
+
+  if (exrFormat.isExr(buffer)) {
+    exrFormat.parse(buffer, function(err, image) {
+      if (isCancelled()) {
+        return;
+      }
+      if (err) {
+        done(new DecodeError('Failed to decode OpenEXR file: ' + url + ': ' + err.message));
+        return;
+      }
+      handleImage(image);
+    });
+    return;
+  }
+
+  if (radianceFormat.isRadiance(buffer)) {
+    var image;
+    try {
+      image = radianceFormat.parse(buffer);
+    } catch (err) {
+      done(new DecodeError('Failed to decode Radiance file: ' + url + ': ' + err.message));
+      return;
+    }
+    handleImage(image);
+    return;
+  }
+
+  done(new DecodeError('Not a Radiance or OpenEXR file: ' + url));
+};
+
+
+module.exports = HdrLoader;
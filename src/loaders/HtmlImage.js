@@ -16,7 +16,7 @@
 'use strict';
 
 var StaticAsset = require('../assets/Static');
-var NetworkError = require('../NetworkError');
+var loadErrors = require('./loadErrors');
 var browser = require('bowser');
 var global = require('../util/global');
 var once = require('../util/once');
@@ -130,10 +130,11 @@ HtmlImageLoader.prototype._handleLoad = function(img, x, y, width, height, done)
 };
 
 HtmlImageLoader.prototype._handleError = function(url, done) {
-  // TODO: is there any way to distinguish a network error from other
-  // kinds of errors? For now we always return NetworkError since this
-  // prevents images to be retried continuously while we are offline.
-  done(new NetworkError('Network error: ' + url));
+  // An image element does not expose the HTTP status, and fires the same error
+  // event for failed requests and undecodable images. Report an OfflineError
+  // when the browser knows it is offline, and a generic NetworkError otherwise.
+  // Use a FetchImageLoader to obtain a finer classification.
+  done(loadErrors.fromFailure(url));
 };
 
 module.exports = HtmlImageLoader;
@@ -0,0 +1,148 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var FetchImageLoader = require('./FetchImage');
+var CompressedAsset = require('../assets/Compressed');
+var DecodeError = require('../DecodeError');
+var ktx2Format = require('./ktx2Format');
+var inherits = require('../util/inherits');
+var global = require('../util/global');
+
+/**
+ * @class Ktx2Loader
+ * @implements ImageLoader
+ * @extends FetchImageLoader
+ * @classdesc
+ *
+ * A {@link Loader} that fetches KTX2 files and creates a
+ * {@link CompressedAsset} from them.
+ *
+ * The texture must be in a compressed format supported by the stage, as given
+ * by {@link WebGlStage#compressedTextureFormats}. The supported formats are the
+ * BC1, BC2, BC3 and BC7 formats, the ETC2 formats, and the 4x4, 6x6 and 8x8
+ * ASTC formats.
+ *
+ * Basis Universal textures must be transcoded into one of the supported
+ * formats before they are uploaded. Since a transcoder is not included in this
+ * library, one must be provided through the `transcoder` option. It receives
+ * the contents of the file, the list of format families supported by the
+ * stage and a callback, which must be called with an error or an object
+ * suitable as the `opts` argument to the {@link CompressedAsset} constructor.
+ *
+ * Cropping is not supported; the image must be requested without a rect.
+ *
+ * @param {Stage} stage The stage which is going to request images to be loaded.
+ * @param {Object} opts The {@link FetchImageLoader} options, and:
+ * @param {function(ArrayBuffer, string[], Function)} [opts.transcoder] The
+ *     Basis Universal transcoder.
+ */
+function Ktx2Loader(stage, opts) {
+  opts = opts || {};
+  Ktx2Loader.super_.call(this, stage, opts);
+  this._transcoder = opts.transcoder || null;
+}
+
+inherits(Ktx2Loader, FetchImageLoader);
+
+
+/**
+ * Returns whether the browser APIs required by this loader are available.
+ * @return {boolean}
+ */
+Ktx2Loader.supported = function() {
+  return !!(global.fetch && global.AbortController);
+};
+
+
+/**
+ * Returns whether a URL refers to a KTX2 file, judging by its extension.
+ * @param {string} url
+ * @return {boolean}
+ */
+Ktx2Loader.isKtx2Url = function(url) {
+  return /\.ktx2($|[?#])/i.test(url);
+};
+
+
+Ktx2Loader.prototype._readBody = function(response) {
+  return response.arrayBuffer();
+};
+
+
+Ktx2Loader.prototype._handleBody = function(url, buffer, x, y, width, height, isCancelled, done) {
+  if (x !== 0 || y !== 0 || width !== 1 || height !== 1) {
+    done(new DecodeError('Cannot crop compressed texture: ' + url));
+    return;
+  }
+
+  var texture;
+  try {
+    texture = ktx2Format.parse(buffer);
+  } catch (err) {
+    done(new DecodeError('Failed to parse KTX2 file: ' + url + ': ' + err.message));
+    return;
+  }
+
+  var formats = this._stage.compressedTextureFormats();
+
+  if (ktx2Format.isBasis(texture.vkFormat)) {
+    if (!this._transcoder) {
+      done(new DecodeError('No transcoder for Basis Universal texture: ' + url));
+      return;
+    }
+    this._transcoder(buffer, formats, function(err, result) {
+      if (isCancelled()) {
+        return;
+      }
+      if (err) {
+        done(new DecodeError('Failed to transcode texture: ' + url));
+        return;
+      }
+      done(null, new CompressedAsset({
+        format: result.format,
+        levels: result.levels,
+        flipY: result.flipY != null ? result.flipY : texture.flipY
+      }));
+    });
+    return;
+  }
+
+  var info = ktx2Format.formatInfo(texture.vkFormat);
+  if (!info) {
+    done(new DecodeError('Unsupported KTX2 format ' + texture.vkFormat + ': ' + url));
+    return;
+  }
+  if (formats.indexOf(info.family) < 0) {
+    done(new DecodeError('Compressed texture format ' + info.family +
+        ' not supported by the device: ' + url));
+    return;
+  }
+  if (texture.supercompressionScheme !== 0) {
+    done(new DecodeError('Unsupported KTX2 supercompression scheme ' +
+        texture.supercompressionScheme + ': ' + url));
+    return;
+  }
+
+  done(null, new CompressedAsset({
+    format: info.glFormat,
+    levels: texture.levels,
+    flipY: texture.flipY
+  }));
+};
+
+
+module.exports = Ktx2Loader;
@@ -0,0 +1,213 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var StaticAsset = require('../assets/Static');
+var DecodeError = require('../DecodeError');
+var FetchImageLoader = require('./FetchImage');
+var imageWorker = require('./imageWorker');
+var loadErrors = require('./loadErrors');
+var global = require('../util/global');
+var once = require('../util/once');
+var clearOwnProperties = require('../util/clearOwnProperties');
+
+/**
+ * @class WorkerImageLoader
+ * @implements ImageLoader
+ * @classdesc
+ *
+ * A {@link Loader} that fetches, decodes and crops images in a Web Worker,
+ * keeping this work off the main thread.
+ *
+ * The images are delivered as an `ImageBitmap` which has already been
+ * decoded, so that creating a texture from it does not incur a decoding
+ * delay. Texture creation itself still happens on the main thread, at the
+ * pace set by the `textureUploadDelay` option to {@link Stage}.
+ *
+ * Requests are made with the Fetch API and accept the same options as a
+ * {@link FetchImageLoader}. Cancelled requests are aborted, and failures are
+ * classified in the same way.
+ *
+ * The worker is started when the first image is requested, and stopped when
+ * the loader is destroyed. It is created from a `blob:` URL, which must be
+ * allowed by the Content Security Policy of the page, if any.
+ *
+ * Use {@link WorkerImageLoader.supported} to check whether the required browser
+ * APIs are available.
+ *
+ * @param {Stage} stage The stage which is going to request images to be loaded.
+ * @param {Object} opts The {@link FetchImageLoader} options.
+ */
+function WorkerImageLoader(stage, opts) {
+  opts = opts || {};
+
+  this._stage = stage;
+
+  this._credentials = opts.credentials || 'same-origin';
+  this._mode = opts.mode || 'cors';
+  this._headers = opts.headers || {};
+
+  this._worker = null;
+  this._workerUrl = null;
+
+  // Map from request id into the { url, rect, done } object for pending
+  // requests.
+  this._requests = {};
+  this._nextId = 1;
+
+  this._handleMessage = this._handleMessage.bind(this);
+  this._handleError = this._handleError.bind(this);
+}
+
+
+/**
+ * Returns whether the browser APIs required by this loader are available.
+ * @return {boolean}
+ */
+WorkerImageLoader.supported = function() {
+  var URL = global.URL;
+  return !!(global.Worker && global.Blob && URL && URL.createObjectURL &&
+            FetchImageLoader.supported());
+};
+
+
+/**
+ * Destructor. Stops the worker; pending requests are not called back.
+ */
+WorkerImageLoader.prototype.destroy = function() {
+  if (this._worker) {
+    this._worker.terminate();
+    global.URL.revokeObjectURL(this._workerUrl);
+  }
+  clearOwnProperties(this);
+};
+
+
+/**
+ * Loads an {@link Asset} from an image.
+ * @param {string} url The image URL.
+ * @param {?Rect} rect A {@link Rect} describing a portion of the image, or null
+ *     to use the full image.
+ * @param {function(?Error, Asset)} done The callback.
+ * @return {function()} A function to cancel loading.
+ */
+WorkerImageLoader.prototype.loadImage = function(url, rect, done) {
+  var worker = this._ensureWorker();
+  var requests = this._requests;
+  var id = this._nextId++;
+
+  var x = rect && rect.x || 0;
+  var y = rect && rect.y || 0;
+  var width = rect && rect.width || 1;
+  var height = rect && rect.height || 1;
+  var cropRect = (x === 0 && y === 0 && width === 1 && height === 1) ? null :
+      { x: x, y: y, width: width, height: height };
+
+  done = once(done);
+
+  requests[id] = { url: url, rect: cropRect, done: done };
+
+  worker.postMessage({
+    type: 'load',
+    id: id,
+    url: resolveUrl(url),
+    rect: cropRect,
+    init: {
+      credentials: this._credentials,
+      mode: this._mode,
+      headers: this._headers
+    }
+  });
+
+  function cancel() {
+    if (requests[id]) {
+      delete requests[id];
+      worker.postMessage({ type: 'cancel', id: id });
+    }
+    done.apply(null, arguments);
+  }
+
+  return cancel;
+};
+
+
+// Resolves a URL against the document base URL. This must happen on the main
+// thread, since the worker is created from a `blob:` URL against which relative
+// URLs cannot be resolved.
+function resolveUrl(url) {
+  var document = global.document;
+  if (!document || !document.baseURI) {
+    return url;
+  }
+  return new global.URL(url, document.baseURI).href;
+}
+
+
+WorkerImageLoader.prototype._ensureWorker = function() {
+  if (!this._worker) {
+    var source = '(' + imageWorker.toString() + ')(self);';
+    var blob = new global.Blob([source], { type: 'application/javascript' });
+    this._workerUrl = global.URL.createObjectURL(blob);
+    this._worker = new global.Worker(this._workerUrl);
+    this._worker.addEventListener('message', this._handleMessage);
+    this._worker.addEventListener('error', this._handleError);
+  }
+  return this._worker;
+};
+
+
+WorkerImageLoader.prototype._handleMessage = function(evt) {
+  var msg = evt.data;
+  var request = this._requests[msg.id];
+
+  if (!request) {
+    // The request has been cancelled after the worker replied.
+    if (msg.bitmap) {
+      msg.bitmap.close();
+    }
+    return;
+  }
+
+  delete this._requests[msg.id];
+
+  if (msg.bitmap) {
+    request.done(null, new StaticAsset(msg.bitmap, {
+      blob: msg.blob,
+      rect: request.rect
+    }));
+  } else if (msg.error === 'status') {
+    request.done(loadErrors.fromStatus(request.url, msg.status));
+  } else if (msg.error === 'decode') {
+    request.done(new DecodeError('Failed to decode image: ' + request.url));
+  } else {
+    request.done(loadErrors.fromFailure(request.url));
+  }
+};
+
+
+WorkerImageLoader.prototype._handleError = function() {
+  // An uncaught error in the worker, such as a failure to start it, leaves
+  // the pending requests without a reply. Fail them so they may be retried.
+  var requests = this._requests;
+  for (var id in requests) {
+    var request = requests[id];
+    delete requests[id];
+    request.done(loadErrors.fromFailure(request.url));
+  }
+};
+
+
+module.exports = WorkerImageLoader;
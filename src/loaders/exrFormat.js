@@ -0,0 +1,409 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Parser for the OpenEXR image format. Only single-part scanline images are
+// supported, with half, float or unsigned integer channels, and either no
+// compression or the RLE, ZIPS or ZIP compression methods.
+// See https://openexr.com/en/latest/OpenEXRFileLayout.html
+
+var global = require('../util/global');
+var fromHalf = require('../util/halfFloat').fromHalf;
+
+var magic = 20000630;
+
+// Flags in the version field.
+var TILED_FLAG = 0x200;
+var NON_IMAGE_FLAG = 0x800;
+var MULTIPART_FLAG = 0x1000;
+
+// Pixel types.
+var UINT = 0;
+var HALF = 1;
+var FLOAT = 2;
+
+var bytesPerSample = [4, 2, 4];
+
+// The channels extracted into the RGBA components, in component order. The
+// luminance channel is copied into the red, green and blue components, and
+// other channels are ignored.
+var channelNames = ['R', 'G', 'B', 'A', 'Y'];
+
+// The number of scanlines in each chunk, for each supported compression
+// method.
+var compressionScanlines = {
+  0: 1,  // NO_COMPRESSION
+  1: 1,  // RLE_COMPRESSION
+  2: 1,  // ZIPS_COMPRESSION
+  3: 16  // ZIP_COMPRESSION
+};
+
+
+/**
+ * Returns whether a file is in the OpenEXR format, judging by its signature.
+ * @param {ArrayBuffer} buffer The file contents.
+ * @return {boolean}
+ */
+function isExr(buffer) {
+  return buffer.byteLength >= 4 &&
+      new DataView(buffer).getUint32(0, true) === magic;
+}
+
+
+// Reads a null-terminated string, returning it and the offset following it.
+function readString(bytes, offset) {
+  var str = '';
+  while (offset < bytes.length && bytes[offset] !== 0) {
+    str += String.fromCharCode(bytes[offset++]);
+  }
+  if (offset >= bytes.length) {
+    throw new Error('Truncated OpenEXR file');
+  }
+  return { value: str, next: offset + 1 };
+}
+
+
+// Reads a channel list attribute.
+function readChannels(bytes, view, offset) {
+  var channels = [];
+  while (bytes[offset] !== 0) {
+    var name = readString(bytes, offset);
+    offset = name.next;
+    channels.push({
+      name: name.value,
+      pixelType: view.getInt32(offset, true),
+      xSampling: view.getInt32(offset + 8, true),
+      ySampling: view.getInt32(offset + 12, true)
+    });
+    offset += 16;
+  }
+  return channels;
+}
+
+
+// Reads the header attributes that are relevant for decoding.
+function readHeader(bytes, view) {
+  var header = {};
+  var offset = 8;
+
+  while (true) {
+    if (offset >= bytes.length) {
+      throw new Error('Truncated OpenEXR file');
+    }
+    if (bytes[offset] === 0) {
+      header.offset = offset + 1;
+      break;
+    }
+    var name = readString(bytes, offset);
+    var type = readString(bytes, name.next);
+    var size = view.getInt32(type.next, true);
+    var valueOffset = type.next + 4;
+    if (valueOffset + size > bytes.length) {
+      throw new Error('Truncated OpenEXR file');
+    }
+    switch (name.value) {
+      case 'channels':
+        header.channels = readChannels(bytes, view, valueOffset);
+        break;
+      case 'compression':
+        header.compression = bytes[valueOffset];
+        break;
+      case 'dataWindow':
+        header.xMin = view.getInt32(valueOffset, true);
+        header.yMin = view.getInt32(valueOffset + 4, true);
+        header.xMax = view.getInt32(valueOffset + 8, true);
+        header.yMax = view.getInt32(valueOffset + 12, true);
+        break;
+    }
+    offset = valueOffset + size;
+  }
+
+  if (!header.channels || header.compression == null || header.xMin == null) {
+    throw new Error('Missing required OpenEXR attributes');
+  }
+
+  return header;
+}
+
+
+// Reverts the transformations applied to the data before RLE or ZIP
+// compression: a delta encoding, and the separation of the odd and even bytes.
+function reorder(bytes) {
+  var length = bytes.length;
+  var i;
+
+  for (i = 1; i < length; i++) {
+    bytes[i] = (bytes[i - 1] + bytes[i] - 128) & 0xFF;
+  }
+
+  var result = new Uint8Array(length);
+  var half = (length + 1) >> 1;
+  for (i = 0; i < length; i++) {
+    result[i] = i % 2 ? bytes[half + (i >> 1)] : bytes[i >> 1];
+  }
+  return result;
+}
+
+
+// Decompresses RLE compressed data.
+function decompressRle(data, length) {
+  var result = new Uint8Array(length);
+  var inPos = 0;
+  var outPos = 0;
+  while (inPos < data.length) {
+    var count = data[inPos++];
+    if (count > 127) {
+      // A sequence of distinct values.
+      count = 256 - count;
+      if (outPos + count > length || inPos + count > data.length) {
+        throw new Error('Invalid OpenEXR RLE data');
+      }
+      result.set(data.subarray(inPos, inPos + count), outPos);
+      inPos += count;
+      outPos += count;
+    } else {
+      // A run of the same value.
+      count += 1;
+      if (outPos + count > length || inPos >= data.length) {
+        throw new Error('Invalid OpenEXR RLE data');
+      }
+      var value = data[inPos++];
+      for (var i = 0; i < count; i++) {
+        result[outPos++] = value;
+      }
+    }
+  }
+  if (outPos !== length) {
+    throw new Error('Invalid OpenEXR RLE data');
+  }
+  return reorder(result);
+}
+
+
+// Decompresses zlib compressed data with the browser's DecompressionStream.
+function inflate(data, done) {
+  if (!global.DecompressionStream || !global.Response || !global.Blob) {
+    done(new Error('ZIP compressed OpenEXR files are not supported by the browser'));
+    return;
+  }
+  var stream = new global.Blob([data]).stream()
+      .pipeThrough(new global.DecompressionStream('deflate'));
+  new global.Response(stream).arrayBuffer().then(function(result) {
+    done(null, new Uint8Array(result));
+  }, function() {
+    done(new Error('Invalid OpenEXR ZIP data'));
+  });
+}
+
+
+// Decompresses a chunk holding the given length of uncompressed data.
+// Chunks whose compressed size would be no smaller are stored uncompressed.
+function decompress(compression, data, length, done) {
+  if (compression === 0 || data.length === length) {
+    done(null, data);
+    return;
+  }
+  if (compression === 1) {
+    var result;
+    try {
+      result = decompressRle(data, length);
+    } catch (err) {
+      done(err);
+      return;
+    }
+    done(null, result);
+    return;
+  }
+  inflate(data, function(err, result) {
+    if (err) {
+      done(err);
+      return;
+    }
+    if (result.length !== length) {
+      done(new Error('Invalid OpenEXR ZIP data'));
+      return;
+    }
+    done(null, reorder(result));
+  });
+}
+
+
+// Copies the scanlines within a decompressed chunk into the result.
+function copyScanlines(bytes, header, width, firstLine, lineCount, data) {
+  var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  var channels = header.channels;
+  var offset = 0;
+
+  for (var line = 0; line < lineCount; line++) {
+    var rowIndex = (firstLine + line) * width * 4;
+    for (var c = 0; c < channels.length; c++) {
+      var channel = channels[c];
+      var component = channelNames.indexOf(channel.name);
+      var sampleSize = bytesPerSample[channel.pixelType];
+      if (component < 0) {
+        offset += width * sampleSize;
+        continue;
+      }
+      for (var x = 0; x < width; x++, offset += sampleSize) {
+        var value;
+        if (channel.pixelType === HALF) {
+          value = fromHalf(view.getUint16(offset, true));
+        } else if (channel.pixelType === FLOAT) {
+          value = view.getFloat32(offset, true);
+        } else {
+          value = view.getUint32(offset, true);
+        }
+        var index = rowIndex + x * 4;
+        if (component === 4) {
+          data[index] = data[index + 1] = data[index + 2] = value;
+        } else {
+          data[index + component] = value;
+        }
+      }
+    }
+  }
+}
+
+
+/**
+ * Parses an OpenEXR file.
+ *
+ * The red, green, blue and alpha channels are extracted, or the luminance
+ * channel for grayscale images. Other channels are ignored. As ZIP compression
+ * relies on the `DecompressionStream` browser API, decoding is asynchronous.
+ *
+ * @param {ArrayBuffer} buffer The file contents.
+ * @param {function(?Error, Object)} done The callback, receiving an object
+ *     with `width`, `height` and `data` properties. The data is a
+ *     `Float32Array` with the linear RGBA components for each pixel, with the
+ *     rows stored from top to bottom.
+ */
+function parse(buffer, done) {
+  var bytes = new Uint8Array(buffer);
+  var view = new DataView(buffer);
+  var header, width, height, linesPerChunk, chunkCount, lineLength;
+
+  try {
+    if (!isExr(buffer) || bytes.length < 8) {
+      throw new Error('Not an OpenEXR file');
+    }
+    var version = view.getUint32(4, true);
+    if (version & (TILED_FLAG | NON_IMAGE_FLAG | MULTIPART_FLAG)) {
+      throw new Error('Only single-part scanline OpenEXR files are supported');
+    }
+
+    header = readHeader(bytes, view);
+
+    var lines = compressionScanlines[header.compression];
+    if (!lines) {
+      throw new Error('Unsupported OpenEXR compression method ' + header.compression);
+    }
+    linesPerChunk = lines;
+
+    lineLength = 0;
+    for (var i = 0; i < header.channels.length; i++) {
+      var channel = header.channels[i];
+      if (channel.pixelType !== UINT && channel.pixelType !== HALF &&
+          channel.pixelType !== FLOAT) {
+        throw new Error('Invalid OpenEXR pixel type ' + channel.pixelType);
+      }
+      if (channel.xSampling !== 1 || channel.ySampling !== 1) {
+        throw new Error('Subsampled OpenEXR channels are not supported');
+      }
+      lineLength += bytesPerSample[channel.pixelType];
+    }
+
+    width = header.xMax - header.xMin + 1;
+    height = header.yMax - header.yMin + 1;
+    lineLength *= width;
+    chunkCount = Math.ceil(height / linesPerChunk);
+
+    if (width <= 0 || height <= 0) {
+      throw new Error('Invalid OpenEXR data window');
+    }
+    if (header.offset + chunkCount * 8 > bytes.length) {
+      throw new Error('Truncated OpenEXR file');
+    }
+  } catch (err) {
+    done(err);
+    return;
+  }
+
+  var data = new Float32Array(width * height * 4);
+  var hasAlpha = false;
+  for (var c = 0; c < header.channels.length; c++) {
+    if (header.channels[c].name === 'A') {
+      hasAlpha = true;
+    }
+  }
+  if (!hasAlpha) {
+    for (var p = 3; p < data.length; p += 4) {
+      data[p] = 1;
+    }
+  }
+
+  var remaining = chunkCount;
+  var failed = false;
+
+  function fail(err) {
+    if (!failed) {
+      failed = true;
+      done(err);
+    }
+  }
+
+  // Decompress the chunks, which may complete asynchronously and in any order.
+  for (var chunk = 0; chunk < chunkCount && !failed; chunk++) {
+    var entry = header.offset + chunk * 8;
+    // Offsets are 64-bit integers, but files larger than 4GB are not
+    // supported anyway.
+    var chunkOffset = view.getUint32(entry, true);
+    if (chunkOffset + 8 > bytes.length) {
+      fail(new Error('Truncated OpenEXR file'));
+      return;
+    }
+    var firstLine = view.getInt32(chunkOffset, true) - header.yMin;
+    var dataSize = view.getUint32(chunkOffset + 4, true);
+    var lineCount = Math.min(linesPerChunk, height - firstLine);
+    if (firstLine < 0 || lineCount <= 0 || chunkOffset + 8 + dataSize > bytes.length) {
+      fail(new Error('Invalid OpenEXR chunk'));
+      return;
+    }
+    var chunkData = bytes.subarray(chunkOffset + 8, chunkOffset + 8 + dataSize);
+    decompress(header.compression, chunkData, lineCount * lineLength,
+        chunkDone.bind(null, firstLine, lineCount));
+  }
+
+  function chunkDone(firstLine, lineCount, err, chunkBytes) {
+    if (failed) {
+      return;
+    }
+    if (err) {
+      fail(err);
+      return;
+    }
+    copyScanlines(chunkBytes, header, width, firstLine, lineCount, data);
+    if (--remaining === 0) {
+      done(null, { width: width, height: height, data: data });
+    }
+  }
+}
+
+
+module.exports = {
+  isExr: isExr,
+  parse: parse
+};
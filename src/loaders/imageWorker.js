@@ -0,0 +1,129 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// The body of the worker used by WorkerImageLoader to fetch, decode and crop
+// images off the main thread.
+//
+// The worker is created from the source text of this function, so it must be
+// self-contained: it may not refer to any variables outside of it, nor require
+// other modules. It receives the global scope of the worker as its argument.
+//
+// Messages received by the worker:
+//   { type: 'load', id, url, rect, init } to load an image, where rect is null
+//     or an { x, y, width, height } object in normalized coordinates, and init
+//     holds the options for the fetch call;
+//   { type: 'cancel', id } to cancel loading an image.
+//
+// Messages sent by the worker, exactly once for each request not cancelled:
+//   { id, bitmap, blob } when the image has been loaded, transferring the
+//     bitmap and copying the response body;
+//   { id, error: 'status', status } when the request received an unsuccessful
+//     HTTP status;
+//   { id, error: 'failure' } when the request failed without a response;
+//   { id, error: 'decode' } when the image could not be decoded.
+function imageWorker(scope) {
+  // Bitmaps are created upside down for uploading into a texture; see
+  // FetchImageLoader.
+  var createImageBitmapOpts = {
+    imageOrientation: 'flipY',
+    premultiplyAlpha: 'premultiply'
+  };
+
+  // Map from request id into the AbortController for in-flight requests.
+  var controllers = {};
+
+  function isActive(id, controller) {
+    return controllers[id] === controller;
+  }
+
+  function reply(id, controller, msg) {
+    if (!isActive(id, controller)) {
+      // The request has been cancelled or already replied to.
+      if (msg.bitmap) {
+        msg.bitmap.close();
+      }
+      return;
+    }
+    delete controllers[id];
+    msg.id = id;
+    scope.postMessage(msg, msg.bitmap ? [msg.bitmap] : []);
+  }
+
+  function decode(blob, rect) {
+    if (!rect) {
+      return scope.createImageBitmap(blob, createImageBitmapOpts);
+    }
+    // The image size is not known until it has been decoded, so decode the
+    // full image first and then crop the decoded bitmap.
+    return scope.createImageBitmap(blob).then(function(full) {
+      return scope.createImageBitmap(full,
+          rect.x * full.width, rect.y * full.height,
+          rect.width * full.width, rect.height * full.height,
+          createImageBitmapOpts).then(function(bitmap) {
+        full.close();
+        return bitmap;
+      }, function(err) {
+        full.close();
+        throw err;
+      });
+    });
+  }
+
+  function load(id, url, rect, init) {
+    var controller = new scope.AbortController();
+    controllers[id] = controller;
+    init.signal = controller.signal;
+
+    scope.fetch(url, init).then(function(response) {
+      if (!response.ok) {
+        reply(id, controller, { error: 'status', status: response.status });
+        return;
+      }
+      return response.blob().then(function(blob) {
+        if (!isActive(id, controller)) {
+          return;
+        }
+        return decode(blob, rect).then(function(bitmap) {
+          reply(id, controller, { bitmap: bitmap, blob: blob });
+        }, function() {
+          reply(id, controller, { error: 'decode' });
+        });
+      });
+    }).then(null, function() {
+      reply(id, controller, { error: 'failure' });
+    });
+  }
+
+  function cancel(id) {
+    var controller = controllers[id];
+    if (controller) {
+      delete controllers[id];
+      controller.abort();
+    }
+  }
+
+  scope.onmessage = function(evt) {
+    var msg = evt.data;
+    if (msg.type === 'load') {
+      load(msg.id, msg.url, msg.rect, msg.init);
+    } else if (msg.type === 'cancel') {
+      cancel(msg.id);
+    }
+  };
+}
+
+module.exports = imageWorker;
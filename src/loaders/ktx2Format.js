@@ -0,0 +1,187 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Parser for the KTX2 texture container format.
+// See https://registry.khronos.org/KTX/specs/2.0/ktxspec.v2.html
+
+var identifier = [
+  0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A
+];
+
+var headerLength = 80;
+var levelIndexEntryLength = 24;
+
+// The Vulkan format used for Basis Universal supercompressed data, which must
+// be transcoded before uploading.
+var VK_FORMAT_UNDEFINED = 0;
+
+// Map supported Vulkan formats into the corresponding WebGL compressed format
+// and the family of formats it belongs to. A family is supported by a device
+// when the respective extension is available; see WebGlStage.
+var formatTable = {
+  131: { family: 's3tc', glFormat: 0x83F0 }, // BC1_RGB_UNORM
+  133: { family: 's3tc', glFormat: 0x83F1 }, // BC1_RGBA_UNORM
+  135: { family: 's3tc', glFormat: 0x83F2 }, // BC2_UNORM
+  137: { family: 's3tc', glFormat: 0x83F3 }, // BC3_UNORM
+  145: { family: 'bc7', glFormat: 0x8E8C }, // BC7_UNORM
+  146: { family: 'bc7', glFormat: 0x8E8D }, // BC7_SRGB
+  147: { family: 'etc2', glFormat: 0x9274 }, // ETC2_R8G8B8_UNORM
+  148: { family: 'etc2', glFormat: 0x9275 }, // ETC2_R8G8B8_SRGB
+  149: { family: 'etc2', glFormat: 0x9276 }, // ETC2_R8G8B8A1_UNORM
+  150: { family: 'etc2', glFormat: 0x9277 }, // ETC2_R8G8B8A1_SRGB
+  151: { family: 'etc2', glFormat: 0x9278 }, // ETC2_R8G8B8A8_UNORM
+  152: { family: 'etc2', glFormat: 0x9279 }, // ETC2_R8G8B8A8_SRGB
+  157: { family: 'astc', glFormat: 0x93B0 }, // ASTC_4x4_UNORM
+  158: { family: 'astc', glFormat: 0x93D0 }, // ASTC_4x4_SRGB
+  165: { family: 'astc', glFormat: 0x93B4 }, // ASTC_6x6_UNORM
+  166: { family: 'astc', glFormat: 0x93D4 }, // ASTC_6x6_SRGB
+  171: { family: 'astc', glFormat: 0x93B7 }, // ASTC_8x8_UNORM
+  172: { family: 'astc', glFormat: 0x93D7 }  // ASTC_8x8_SRGB
+};
+
+
+// Reads an unsigned 64-bit integer, assuming it fits into a double.
+function getUint64(view, offset) {
+  var low = view.getUint32(offset, true);
+  var high = view.getUint32(offset + 4, true);
+  return high * 0x100000000 + low;
+}
+
+
+// Returns the value of the KTXorientation key, or null if absent.
+function readOrientation(bytes, offset, length) {
+  var end = offset + length;
+  var view = new DataView(bytes.buffer, bytes.byteOffset);
+  while (offset + 4 <= end) {
+    var entryLength = view.getUint32(offset, true);
+    var entryStart = offset + 4;
+    var entryEnd = entryStart + entryLength;
+    var str = '';
+    for (var i = entryStart; i < entryEnd && i < end; i++) {
+      str += String.fromCharCode(bytes[i]);
+    }
+    var separator = str.indexOf('\0');
+    if (separator >= 0 && str.substring(0, separator) === 'KTXorientation') {
+      return str.substring(separator + 1).replace(/\0+$/, '');
+    }
+    // Entries are padded to a multiple of 4 bytes.
+    offset = entryEnd + (4 - entryLength % 4) % 4;
+  }
+  return null;
+}
+
+
+/**
+ * Parses a KTX2 file.
+ *
+ * Only 2D textures are supported, i.e., not arrays, cube maps or 3D textures.
+ *
+ * @param {ArrayBuffer} buffer The file contents.
+ * @return {Object} An object with `vkFormat`, `width`, `height`,
+ *     `supercompressionScheme`, `flipY` and `levels` properties. The levels
+ *     are ordered from largest to smallest, and each has `width`, `height` and
+ *     `data` properties, the latter being a `Uint8Array`. The `flipY` property
+ *     is true unless the file declares that its rows are stored bottom to top.
+ * @throws {Error} If the file is invalid or unsupported.
+ */
+function parse(buffer) {
+  var bytes = new Uint8Array(buffer);
+  var view = new DataView(buffer);
+
+  if (bytes.length < headerLength) {
+    throw new Error('Not a KTX2 file');
+  }
+  for (var i = 0; i < identifier.length; i++) {
+    if (bytes[i] !== identifier[i]) {
+      throw new Error('Not a KTX2 file');
+    }
+  }
+
+  var vkFormat = view.getUint32(12, true);
+  var width = view.getUint32(20, true);
+  var height = view.getUint32(24, true);
+  var depth = view.getUint32(28, true);
+  var layerCount = view.getUint32(32, true);
+  var faceCount = view.getUint32(36, true);
+  var levelCount = Math.max(1, view.getUint32(40, true));
+  var supercompressionScheme = view.getUint32(44, true);
+  var kvdByteOffset = view.getUint32(56, true);
+  var kvdByteLength = view.getUint32(60, true);
+
+  if (depth > 0 || layerCount > 0 || faceCount !== 1) {
+    throw new Error('Only 2D KTX2 textures are supported');
+  }
+
+  if (bytes.length < headerLength + levelCount * levelIndexEntryLength) {
+    throw new Error('Truncated KTX2 file');
+  }
+
+  var levels = [];
+  for (var level = 0; level < levelCount; level++) {
+    var entry = headerLength + level * levelIndexEntryLength;
+    var byteOffset = getUint64(view, entry);
+    var byteLength = getUint64(view, entry + 8);
+    if (byteOffset + byteLength > bytes.length) {
+      throw new Error('Truncated KTX2 file');
+    }
+    levels.push({
+      width: Math.max(1, width >> level),
+      height: Math.max(1, height >> level),
+      data: new Uint8Array(buffer, byteOffset, byteLength)
+    });
+  }
+
+  var orientation = kvdByteLength > 0 ?
+      readOrientation(bytes, kvdByteOffset, kvdByteLength) : null;
+
+  return {
+    vkFormat: vkFormat,
+    width: width,
+    height: height,
+    supercompressionScheme: supercompressionScheme,
+    flipY: !(orientation && orientation.charAt(1) === 'u'),
+    levels: levels
+  };
+}
+
+
+/**
+ * Returns the WebGL format and format family for a Vulkan format, or null if
+ * the format is not supported.
+ * @param {number} vkFormat
+ * @return {?{family: string, glFormat: number}}
+ */
+function formatInfo(vkFormat) {
+  return formatTable[vkFormat] || null;
+}
+
+
+/**
+ * Returns whether a Vulkan format denotes Basis Universal data.
+ * @param {number} vkFormat
+ * @return {boolean}
+ */
+function isBasis(vkFormat) {
+  return vkFormat === VK_FORMAT_UNDEFINED;
+}
+
+
+module.exports = {
+  parse: parse,
+  formatInfo: formatInfo,
+  isBasis: isBasis
+};
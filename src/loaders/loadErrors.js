@@ -0,0 +1,57 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var NetworkError = require('../NetworkError');
+var NotFoundError = require('../NotFoundError');
+var ForbiddenError = require('../ForbiddenError');
+var ServerError = require('../ServerError');
+var OfflineError = require('../OfflineError');
+var global = require('../util/global');
+
+// Helpers for loaders to classify failed requests into NetworkError subclasses.
+
+
+// Returns the error for a request that received an unsuccessful HTTP status.
+function fromStatus(url, status) {
+  var message = 'HTTP error ' + status + ': ' + url;
+  if (status === 404 || status === 410) {
+    return new NotFoundError(message, status);
+  }
+  if (status === 401 || status === 403) {
+    return new ForbiddenError(message, status);
+  }
+  if (status >= 500 && status < 600) {
+    return new ServerError(message, status);
+  }
+  return new NetworkError(message, status);
+}
+
+
+// Returns the error for a request that failed without receiving a response.
+function fromFailure(url) {
+  var navigator = global.navigator;
+  if (navigator && navigator.onLine === false) {
+    return new OfflineError('Offline: ' + url);
+  }
+  return new NetworkError('Network error: ' + url);
+}
+
+
+module.exports = {
+  fromStatus: fromStatus,
+  fromFailure: fromFailure
+};
@@ -0,0 +1,233 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Parser for the Radiance RGBE image format, commonly known by its `.hdr`
+// extension. Each pixel is stored as an 8-bit mantissa for each of the red,
+// green and blue channels, plus a shared 8-bit exponent.
+// See https://radsite.lbl.gov/radiance/refer/filefmts.pdf
+
+var maxHeaderLength = 4096;
+
+
+/**
+ * Returns whether a file is in the Radiance format, judging by its signature.
+ * @param {ArrayBuffer} buffer The file contents.
+ * @return {boolean}
+ */
+function isRadiance(buffer) {
+  var bytes = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+  return bytes.length === 2 && bytes[0] === 0x23 && bytes[1] === 0x3F; // '#?'
+}
+
+
+// Reads a line of text starting at the given offset. Returns null if no line
+// terminator is found within the header.
+function readLine(bytes, offset) {
+  var str = '';
+  var end = Math.min(bytes.length, offset + maxHeaderLength);
+  for (var i = offset; i < end; i++) {
+    if (bytes[i] === 0x0A) {
+      return { text: str, next: i + 1 };
+    }
+    str += String.fromCharCode(bytes[i]);
+  }
+  return null;
+}
+
+
+// Reads the header and resolution string, returning the image dimensions, the
+// row order and the offset of the pixel data.
+function readHeader(bytes) {
+  var line = readLine(bytes, 0);
+  if (!line || !/^#\?(RADIANCE|RGBE)/.test(line.text)) {
+    throw new Error('Not a Radiance file');
+  }
+
+  // The header is a list of variables terminated by an empty line.
+  while (true) {
+    line = readLine(bytes, line.next);
+    if (!line) {
+      throw new Error('Truncated Radiance file');
+    }
+    if (line.text === '') {
+      break;
+    }
+    var format = /^FORMAT=(.*)$/.exec(line.text);
+    if (format && format[1] !== '32-bit_rle_rgbe') {
+      throw new Error('Unsupported Radiance pixel format ' + format[1]);
+    }
+  }
+
+  // The resolution string gives the image orientation. Only the usual one, with
+  // rows stored either top to bottom or bottom to top, is supported.
+  line = readLine(bytes, line.next);
+  var resolution = line && /^([-+])Y (\d+) \+X (\d+)$/.exec(line.text);
+  if (!resolution) {
+    throw new Error('Unsupported Radiance image orientation');
+  }
+
+  return {
+    width: parseInt(resolution[3], 10),
+    height: parseInt(resolution[2], 10),
+    topToBottom: resolution[1] === '-',
+    offset: line.next
+  };
+}
+
+
+// Reads a run-length encoded scanline into `scanline`, which holds the red,
+// green, blue and exponent components for the scanline one after the other.
+// Returns the offset following the scanline.
+function readRleScanline(bytes, offset, width, scanline) {
+  for (var channel = 0; channel < 4; channel++) {
+    var pos = channel * width;
+    var end = pos + width;
+    while (pos < end) {
+      if (offset >= bytes.length) {
+        throw new Error('Truncated Radiance file');
+      }
+      var count = bytes[offset++];
+      if (count > 128) {
+        // A run of the same value.
+        count -= 128;
+        if (count > end - pos) {
+          throw new Error('Invalid Radiance scanline');
+        }
+        var value = bytes[offset++];
+        for (var i = 0; i < count; i++) {
+          scanline[pos++] = value;
+        }
+      } else {
+        // A sequence of distinct values.
+        if (count === 0 || count > end - pos) {
+          throw new Error('Invalid Radiance scanline');
+        }
+        if (offset + count > bytes.length) {
+          throw new Error('Truncated Radiance file');
+        }
+        for (var j = 0; j < count; j++) {
+          scanline[pos++] = bytes[offset++];
+        }
+      }
+    }
+  }
+  return offset;
+}
+
+
+// Converts an RGBE pixel into floating point RGBA.
+function decodePixel(r, g, b, e, data, index) {
+  if (e === 0) {
+    data[index] = data[index + 1] = data[index + 2] = 0;
+  } else {
+    var scale = Math.pow(2, e - 136);
+    data[index] = (r + 0.5) * scale;
+    data[index + 1] = (g + 0.5) * scale;
+    data[index + 2] = (b + 0.5) * scale;
+  }
+  data[index + 3] = 1;
+}
+
+
+/**
+ * Parses a Radiance file.
+ *
+ * Both run-length encoded and flat scanlines are supported, but only the
+ * standard image orientation is.
+ *
+ * @param {ArrayBuffer} buffer The file contents.
+ * @return {Object} An object with `width`, `height` and `data` properties. The
+ *     data is a `Float32Array` with the linear RGBA components for each pixel,
+ *     with the rows stored from top to bottom.
+ * @throws {Error} If the file is invalid or unsupported.
+ */
+function parse(buffer) {
+  var bytes = new Uint8Array(buffer);
+  var header = readHeader(bytes);
+  var width = header.width;
+  var height = header.height;
+  var offset = header.offset;
+
+  var data = new Float32Array(width * height * 4);
+  var scanline = new Uint8Array(width * 4);
+
+  for (var y = 0; y < height; y++) {
+    var row = header.topToBottom ? y : height - y - 1;
+    var index = row * width * 4;
+    var x;
+
+    // Run-length encoded scanlines start with two bytes of value 2 followed by
+    // the scanline width, which may not be confused with a valid flat pixel.
+    if (width >= 8 && width < 0x8000 && bytes[offset] === 2 &&
+        bytes[offset + 1] === 2 && !(bytes[offset + 2] & 0x80)) {
+      if (((bytes[offset + 2] << 8) | bytes[offset + 3]) !== width) {
+        throw new Error('Invalid Radiance scanline');
+      }
+      offset = readRleScanline(bytes, offset + 4, width, scanline);
+      for (x = 0; x < width; x++, index += 4) {
+        decodePixel(scanline[x], scanline[x + width], scanline[x + 2 * width],
+            scanline[x + 3 * width], data, index);
+      }
+    } else {
+      if (offset + width * 4 > bytes.length) {
+        throw new Error('Truncated Radiance file');
+      }
+      for (x = 0; x < width; x++, index += 4, offset += 4) {
+        decodePixel(bytes[offset], bytes[offset + 1], bytes[offset + 2],
+            bytes[offset + 3], data, index);
+      }
+    }
+  }
+
+  return { width: width, height: height, data: data };
+}
+
+
+/**
+ * Encodes floating point RGBA pixels into RGBE, with the exponent stored in
+ * place of the alpha component. Used to upload HDR textures on devices not
+ * supporting floating point textures.
+ *
+ * @param {Float32Array} data The RGBA components for each pixel.
+ * @param {Uint8Array} [result] The array to encode into.
+ * @return {Uint8Array}
+ */
+function encodeRgbe(data, result) {
+  result = result || new Uint8Array(data.length);
+  for (var i = 0; i < data.length; i += 4) {
+    var max = Math.max(data[i], data[i + 1], data[i + 2]);
+    if (isNaN(max) || max <= 1e-32) {
+      result[i] = result[i + 1] = result[i + 2] = result[i + 3] = 0;
+      continue;
+    }
+    // Choose the exponent such that the largest mantissa is in [128, 256).
+    var exponent = Math.floor(Math.log(max) / Math.LN2) + 1;
+    var scale = 256 / Math.pow(2, exponent);
+    result[i] = Math.min(255, Math.floor(data[i] * scale));
+    result[i + 1] = Math.min(255, Math.floor(data[i + 1] * scale));
+    result[i + 2] = Math.min(255, Math.floor(data[i + 2] * scale));
+    result[i + 3] = Math.max(0, Math.min(255, exponent + 128));
+  }
+  return result;
+}
+
+
+module.exports = {
+  isRadiance: isRadiance,
+  parse: parse,
+  encodeRgbe: encodeRgbe
+};
@@ -28,6 +28,7 @@ var enableAttributes = WebGlCommon.enableAttributes;
 var disableAttributes = WebGlCommon.disableAttributes;
 var setViewport = WebGlCommon.setViewport;
 var setupPixelEffectUniforms = WebGlCommon.setupPixelEffectUniforms;
+var setupMaskUniforms = WebGlCommon.setupMaskUniforms;
 
 var setDepth = WebGlCommon.setDepth;
 var setTexture = WebGlCommon.setTexture;
@@ -42,7 +43,9 @@ var textureCoords = [0.0, 0.0, 1.0, 0.0, 1.0, 1.0, 0.0, 1.0];
 var attribList = ['aVertexPosition', 'aTextureCoord'];
 var uniformList = [
   'uDepth', 'uOpacity', 'uSampler', 'uProjMatrix', 'uViewportMatrix',
-  'uColorOffset', 'uColorMatrix'
+  'uColorOffset', 'uColorMatrix', 'uTextureFlipY', 'uTextureRect',
+  'uTextureEncoding', 'uExposure', 'uGamma', 'uToneMapping',
+  'uBlur', 'uTexelSize', 'uMask', 'uMaskInvert', 'uMaskRect'
 ];
 
 
@@ -73,7 +76,9 @@ WebGlBaseRenderer.prototype.destroy = function() {
   clearOwnProperties(this);
 };
 
-WebGlBaseRenderer.prototype.startLayer = function(layer, rect) {
+WebGlBaseRenderer.prototype.startLayer = function(layer, rect, effects, framebufferSize) {
+  effects = effects || layer.effects();
+
   var gl = this.gl;
   var shaderProgram = this.shaderProgram;
   var constantBuffers = this.constantBuffers;
@@ -83,7 +88,7 @@ WebGlBaseRenderer.prototype.startLayer = function(layer, rect) {
 
   enableAttributes(gl, shaderProgram);
 
-  setViewport(gl, layer, rect, viewportMatrix);
+  setViewport(gl, layer, rect, viewportMatrix, framebufferSize);
   gl.uniformMatrix4fv(shaderProgram.uViewportMatrix, false, viewportMatrix);
 
   gl.bindBuffer(gl.ARRAY_BUFFER, constantBuffers.vertexPositions);
@@ -91,10 +96,20 @@ WebGlBaseRenderer.prototype.startLayer = function(layer, rect) {
   gl.bindBuffer(gl.ARRAY_BUFFER, constantBuffers.textureCoords);
   gl.vertexAttribPointer(shaderProgram.aTextureCoord, 2, gl.FLOAT, gl.FALSE, 0, 0);
 
-  setupPixelEffectUniforms(gl, layer.effects(), {
+  setupPixelEffectUniforms(gl, effects, {
     opacity: shaderProgram.uOpacity,
     colorOffset: shaderProgram.uColorOffset,
-    colorMatrix: shaderProgram.uColorMatrix
+    colorMatrix: shaderProgram.uColorMatrix,
+    exposure: shaderProgram.uExposure,
+    gamma: shaderProgram.uGamma,
+    toneMapping: shaderProgram.uToneMapping,
+    blur: shaderProgram.uBlur
+  });
+
+  setupMaskUniforms(gl, effects, rect, framebufferSize, {
+    mask: shaderProgram.uMask,
+    maskInvert: shaderProgram.uMaskInvert,
+    maskRect: shaderProgram.uMaskRect
   });
 };
 
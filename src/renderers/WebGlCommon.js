@@ -126,6 +126,25 @@ function setTexture(gl, shaderProgram, texture) {
   gl.activeTexture(gl.TEXTURE0);
   gl.bindTexture(gl.TEXTURE_2D, texture._texture);
   gl.uniform1i(shaderProgram.uSampler, 0);
+  // Textures whose rows are stored top to bottom, such as compressed textures
+  // which cannot be flipped on upload, are flipped when sampled.
+  gl.uniform1f(shaderProgram.uTextureFlipY, texture._flipY ? 1.0 : 0.0);
+  // HDR textures hold linear colors, which are decoded by the shaders.
+  gl.uniform1f(shaderProgram.uTextureEncoding, texture._encoding || 0.0);
+  // The blur effect is measured in texels.
+  gl.uniform2f(shaderProgram.uTexelSize, 1 / texture._width, 1 / texture._height);
+  // A texture shared between tiles is sampled within the portion shown by the
+  // tile. The rect is given from the top left corner, and converted into the
+  // texture coordinates, which start at the bottom unless the texture is
+  // flipped when sampled.
+  var rect = texture._rect;
+  if (rect) {
+    gl.uniform4f(shaderProgram.uTextureRect,
+        rect.x, texture._flipY ? rect.y : 1 - rect.y - rect.height,
+        rect.width, rect.height);
+  } else {
+    gl.uniform4f(shaderProgram.uTextureRect, 0, 0, 1, 1);
+  }
 }
 
 
@@ -139,6 +158,16 @@ var defaultOpacity = 1.0;
 var defaultColorOffset = vec4.create();
 var defaultColorMatrix = mat4.create();
 mat4.identity(defaultColorMatrix);
+var defaultExposure = 0;
+var defaultGamma = 2.2;
+
+// The value of the uToneMapping uniform for each tone mapping operator.
+// Unknown operators are treated as 'none'.
+var toneMappingIndex = {
+  none: 0,
+  reinhard: 1,
+  aces: 2
+};
 
 function setupPixelEffectUniforms(gl, effects, uniforms) {
   var opacity = defaultOpacity;
@@ -158,6 +187,112 @@ function setupPixelEffectUniforms(gl, effects, uniforms) {
     colorMatrix = effects.colorMatrix;
   }
   gl.uniformMatrix4fv(uniforms.colorMatrix, false, colorMatrix);
+
+  // The exposure is given in stops, and applied as a multiplier.
+  var exposure = defaultExposure;
+  if (effects && effects.exposure != null) {
+    exposure = effects.exposure;
+  }
+  gl.uniform1f(uniforms.exposure, Math.pow(2, exposure));
+
+  var gamma = defaultGamma;
+  if (effects && effects.gamma != null) {
+    gamma = effects.gamma;
+  }
+  gl.uniform1f(uniforms.gamma, gamma);
+
+  var toneMapping = 0;
+  if (effects && toneMappingIndex.hasOwnProperty(effects.toneMapping)) {
+    toneMapping = toneMappingIndex[effects.toneMapping];
+  }
+  gl.uniform1f(uniforms.toneMapping, toneMapping);
+
+  var blur = 0;
+  if (effects && effects.blur != null) {
+    blur = effects.blur;
+  }
+  gl.uniform1f(uniforms.blur, blur);
+}
+
+
+// Sets the uniforms for the mask effect. The mask is positioned relative to the
+// rect, which is converted into framebuffer pixels as gl_FragCoord is. A
+// negative radius disables the mask.
+function setupMaskUniforms(gl, effects, rect, framebufferSize, uniforms) {
+  var mask = effects && effects.mask;
+  if (!mask) {
+    gl.uniform4f(uniforms.mask, 0, 0, -1, 0);
+    return;
+  }
+
+  gl.uniform4f(uniforms.mask,
+      mask.x != null ? mask.x : 0.5,
+      mask.y != null ? mask.y : 0.5,
+      mask.radius != null ? mask.radius : 1,
+      mask.softness != null ? mask.softness : 0);
+  gl.uniform1f(uniforms.maskInvert, mask.invert ? 1 : 0);
+
+  var width = framebufferSize ? framebufferSize.width : gl.drawingBufferWidth;
+  var height = framebufferSize ? framebufferSize.height : gl.drawingBufferHeight;
+  gl.uniform4f(uniforms.maskRect,
+      rect.x * width,
+      (1 - rect.y - rect.height) * height,
+      rect.width * width,
+      rect.height * height);
+}
+
+
+// Sets the uniforms declared by the equirectCommon shader, describing the
+// region of the sphere covered by an EquirectGeometry or CylindricalGeometry.
+function setupCoverageUniforms(gl, shaderProgram, geometry) {
+  var coverage = geometry.coverage();
+  var verticalStart = geometry._verticalPosition(coverage.pitchOffset - coverage.vfov / 2);
+  var verticalEnd = geometry._verticalPosition(coverage.pitchOffset + coverage.vfov / 2);
+
+  gl.uniform1f(shaderProgram.uHfov, coverage.hfov);
+  gl.uniform1f(shaderProgram.uYawOffset, coverage.yawOffset);
+  gl.uniform1f(shaderProgram.uVerticalStart, verticalStart);
+  gl.uniform1f(shaderProgram.uVerticalRange, verticalEnd - verticalStart);
+  gl.uniform1f(shaderProgram.uCylindrical, geometry.type === 'cylindrical' ? 1.0 : 0.0);
+}
+
+
+// Temporary variables for setupTileBoundsUniform.
+var tileVertices = null;
+var tilePoint = vec4.create();
+
+// Sets the uTileBounds uniform to the region of the viewport covered by the
+// tile, as [minX, minY, maxX, maxY] in normalized device coordinates, so that
+// the quad drawn for it does not cover the whole viewport.
+//
+// The project function is called with each of the tile vertices and a vec4
+// to fill in with its normalized device coordinates, and must return false if
+// the vertex cannot be projected; the whole viewport is then used instead.
+//
+// The vertices only sample the tile, whose edges may bulge out between them
+// once projected. Since the fragment shader still discards the pixels outside
+// the tile, the bounds are padded generously on every side.
+function setupTileBoundsUniform(gl, shaderProgram, tile, project) {
+  tileVertices = tile.vertices(tileVertices);
+
+  var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (var i = 0; i < tileVertices.length; i++) {
+    if (!project(tileVertices[i], tilePoint) ||
+        !isFinite(tilePoint[0]) || !isFinite(tilePoint[1])) {
+      gl.uniform4f(shaderProgram.uTileBounds, -1, -1, 1, 1);
+      return;
+    }
+    minX = Math.min(minX, tilePoint[0]);
+    minY = Math.min(minY, tilePoint[1]);
+    maxX = Math.max(maxX, tilePoint[0]);
+    maxY = Math.max(maxY, tilePoint[1]);
+  }
+
+  var padX = (maxX - minX) / 4;
+  var padY = (maxY - minY) / 4;
+  gl.uniform4f(shaderProgram.uTileBounds,
+      clamp(minX - padX, -1, 1), clamp(minY - padY, -1, 1),
+      clamp(maxX + padX, -1, 1), clamp(maxY + padY, -1, 1));
 }
 
 
@@ -174,10 +309,16 @@ var scaleVector = vec3.create();
 // Therefore, when the scene's rect is not fully contained in the rendering
 // area, we clamp the viewport to the rendering area, and return a compensation
 // matrix to scale and translate vertices accordingly.
-function setViewport(gl, layer, rect, viewportMatrix) {
+//
+// The rect is relative to the framebuffer being rendered into, whose size in
+// pixels may be given when it is not the drawing buffer of the canvas.
+function setViewport(gl, layer, rect, viewportMatrix, framebufferSize) {
+  var width = framebufferSize ? framebufferSize.width : gl.drawingBufferWidth;
+  var height = framebufferSize ? framebufferSize.height : gl.drawingBufferHeight;
+
   if (rect.x === 0 && rect.width === 1 && rect.y === 0 && rect.height === 1) {
     // Fast path for full rect.
-    gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+    gl.viewport(0, 0, width, height);
     mat4.identity(viewportMatrix);
     return;
   }
@@ -212,10 +353,10 @@ function setViewport(gl, layer, rect, viewportMatrix) {
   mat4.translate(viewportMatrix, viewportMatrix, translateVector);
   mat4.scale(viewportMatrix, viewportMatrix, scaleVector);
 
-  gl.viewport(gl.drawingBufferWidth * clampedOffsetX,
-              gl.drawingBufferHeight * clampedOffsetY,
-              gl.drawingBufferWidth * clampedWidth,
-              gl.drawingBufferHeight * clampedHeight);
+  gl.viewport(width * clampedOffsetX,
+              height * clampedOffsetY,
+              width * clampedWidth,
+              height * clampedHeight);
 }
 
 module.exports = {
@@ -228,5 +369,8 @@ module.exports = {
   setTexture: setTexture,
   setDepth: setDepth,
   setViewport: setViewport,
-  setupPixelEffectUniforms: setupPixelEffectUniforms
+  setupPixelEffectUniforms: setupPixelEffectUniforms,
+  setupMaskUniforms: setupMaskUniforms,
+  setupCoverageUniforms: setupCoverageUniforms,
+  setupTileBoundsUniform: setupTileBoundsUniform
 };
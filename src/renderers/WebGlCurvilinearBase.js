@@ -0,0 +1,151 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var mat4 = require('gl-matrix').mat4;
+var clearOwnProperties = require('../util/clearOwnProperties');
+
+var WebGlCommon = require('./WebGlCommon');
+var createConstantBuffers = WebGlCommon.createConstantBuffers;
+var destroyConstantBuffers = WebGlCommon.destroyConstantBuffers;
+var createShaderProgram = WebGlCommon.createShaderProgram;
+var destroyShaderProgram = WebGlCommon.destroyShaderProgram;
+var enableAttributes = WebGlCommon.enableAttributes;
+var disableAttributes = WebGlCommon.disableAttributes;
+var setViewport = WebGlCommon.setViewport;
+var setupPixelEffectUniforms = WebGlCommon.setupPixelEffectUniforms;
+var setupMaskUniforms = WebGlCommon.setupMaskUniforms;
+
+var setDepth = WebGlCommon.setDepth;
+var setTexture = WebGlCommon.setTexture;
+
+var vertexSrc = require('../shaders/vertexCurvilinear');
+
+var vertexIndices = [0, 1, 2, 0, 2, 3];
+var vertexPositions = [-1.0, -1.0, 0.0, 1.0, -1.0, 0.0, 1.0, 1.0, 0.0, -1.0, 1.0, 0.0];
+var textureCoords = [0.0, 0.0, 1.0, 0.0, 1.0, 1.0, 0.0, 1.0];
+
+var attribList = ['aVertexPosition'];
+var baseUniformList = [
+  'uDepth', 'uOpacity', 'uSampler', 'uViewportMatrix', 'uColorOffset',
+  'uColorMatrix', 'uTextureFlipY', 'uTextureRect', 'uProjectionType',
+  'uProjectionScale', 'uAspect', 'uTextureEncoding', 'uExposure', 'uGamma',
+  'uToneMapping', 'uBlur', 'uTexelSize', 'uMask', 'uMaskInvert', 'uMaskRect', 'uTileBounds'
+];
+
+// The value of the uProjectionType uniform for each projection type.
+var projectionTypeIndex = {
+  stereographic: 0,
+  equisolid: 1,
+  pannini: 2
+};
+
+
+// Base class for the renderers for CurvilinearView.
+//
+// Since the projection cannot be expressed as a matrix, each tile is drawn as
+// a quad covering the whole viewport, and the fragment shader computes the
+// view ray for each pixel and samples the tile at the point where it is hit.
+// Subclasses provide the fragment shader and set its additional uniforms in
+// startLayer() and renderTile(), where they may also narrow the quad to the
+// tile through the uTileBounds uniform.
+function WebGlCurvilinearBaseRenderer(gl, fragmentSrc, uniformList) {
+  this.gl = gl;
+
+  // The viewport matrix responsible for viewport clamping.
+  // See setViewport() for an explanation of how it works.
+  this.viewportMatrix = mat4.create();
+
+  this.constantBuffers = createConstantBuffers(gl, vertexIndices, vertexPositions, textureCoords);
+
+  this.shaderProgram = createShaderProgram(gl, vertexSrc, fragmentSrc,
+      attribList, baseUniformList.concat(uniformList));
+}
+
+
+WebGlCurvilinearBaseRenderer.prototype.destroy = function() {
+  destroyConstantBuffers(this.gl, this.constantBuffers);
+  destroyShaderProgram(this.gl, this.shaderProgram);
+  clearOwnProperties(this);
+};
+
+
+WebGlCurvilinearBaseRenderer.prototype.startLayer = function(layer, rect, effects, framebufferSize) {
+  effects = effects || layer.effects();
+
+  var gl = this.gl;
+  var shaderProgram = this.shaderProgram;
+  var constantBuffers = this.constantBuffers;
+  var viewportMatrix = this.viewportMatrix;
+  var view = layer.view();
+
+  gl.useProgram(shaderProgram);
+
+  enableAttributes(gl, shaderProgram);
+
+  setViewport(gl, layer, rect, viewportMatrix, framebufferSize);
+  gl.uniformMatrix4fv(shaderProgram.uViewportMatrix, false, viewportMatrix);
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, constantBuffers.vertexPositions);
+  gl.vertexAttribPointer(shaderProgram.aVertexPosition, 3, gl.FLOAT, gl.FALSE, 0, 0);
+
+  var width = view.width();
+  var height = view.height();
+  gl.uniform1f(shaderProgram.uProjectionType, projectionTypeIndex[view.projectionType()]);
+  gl.uniform1f(shaderProgram.uProjectionScale, view.projectionScale());
+  gl.uniform1f(shaderProgram.uAspect, height > 0 ? width / height : 1);
+  gl.uniform4f(shaderProgram.uTileBounds, -1, -1, 1, 1);
+
+  setupPixelEffectUniforms(gl, effects, {
+    opacity: shaderProgram.uOpacity,
+    colorOffset: shaderProgram.uColorOffset,
+    colorMatrix: shaderProgram.uColorMatrix,
+    exposure: shaderProgram.uExposure,
+    gamma: shaderProgram.uGamma,
+    toneMapping: shaderProgram.uToneMapping,
+    blur: shaderProgram.uBlur
+  });
+
+  setupMaskUniforms(gl, effects, rect, framebufferSize, {
+    mask: shaderProgram.uMask,
+    maskInvert: shaderProgram.uMaskInvert,
+    maskRect: shaderProgram.uMaskRect
+  });
+};
+
+
+WebGlCurvilinearBaseRenderer.prototype.endLayer = function() {
+  var gl = this.gl;
+  var shaderProgram = this.shaderProgram;
+  disableAttributes(gl, shaderProgram);
+};
+
+
+WebGlCurvilinearBaseRenderer.prototype.renderTile = function(tile, texture, layer, layerZ) {
+  var gl = this.gl;
+  var shaderProgram = this.shaderProgram;
+  var constantBuffers = this.constantBuffers;
+
+  setDepth(gl, shaderProgram, layerZ, tile.z);
+
+  setTexture(gl, shaderProgram, texture);
+
+  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, constantBuffers.vertexIndices);
+  gl.drawElements(gl.TRIANGLES, vertexIndices.length, gl.UNSIGNED_SHORT, 0);
+};
+
+
+module.exports = WebGlCurvilinearBaseRenderer;
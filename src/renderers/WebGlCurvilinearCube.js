@@ -0,0 +1,69 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var mat4 = require('gl-matrix').mat4;
+var WebGlCurvilinearBaseRenderer = require('./WebGlCurvilinearBase');
+var inherits = require('../util/inherits');
+
+var fragmentSrc = require('../shaders/fragmentCurvilinearCube');
+
+var uniformList = ['uTileMatrix', 'uTileCenter', 'uTileScale'];
+
+/**
+ * @class WebGlCurvilinearCubeRenderer
+ * @implements Renderer
+ * @classdesc
+ *
+ * A renderer for {@link CubeGeometry} and {@link CurvilinearView},
+ * appropriate for a {@link WebGlStage}.
+ *
+ * Most users do not need to instantiate this class. Renderers are created and
+ * destroyed by {@link Stage} as necessary.
+ */
+function WebGlCurvilinearCubeRenderer(gl) {
+  WebGlCurvilinearCubeRenderer.super_.call(this, gl, fragmentSrc, uniformList);
+
+  // The rotation from camera space into the space of the tile face.
+  this.tileMatrix = mat4.create();
+}
+
+inherits(WebGlCurvilinearCubeRenderer, WebGlCurvilinearBaseRenderer);
+
+
+WebGlCurvilinearCubeRenderer.prototype.renderTile = function(tile, texture, layer, layerZ) {
+  var gl = this.gl;
+  var shaderProgram = this.shaderProgram;
+  var tileMatrix = this.tileMatrix;
+
+  // Tiles are positioned in world space in the same way as by
+  // WebGlCubeRenderer. Invert the combined rotation to bring view rays into
+  // the space of the face.
+  mat4.copy(tileMatrix, layer.view().rotation());
+  mat4.rotateX(tileMatrix, tileMatrix, tile.rotX());
+  mat4.rotateY(tileMatrix, tileMatrix, tile.rotY());
+  mat4.invert(tileMatrix, tileMatrix);
+
+  gl.uniformMatrix4fv(shaderProgram.uTileMatrix, false, tileMatrix);
+  gl.uniform2f(shaderProgram.uTileCenter, tile.centerX(), tile.centerY());
+  gl.uniform2f(shaderProgram.uTileScale, tile.scaleX(), tile.scaleY());
+
+  WebGlCurvilinearCubeRenderer.super_.prototype.renderTile.call(
+      this, tile, texture, layer, layerZ);
+};
+
+
+module.exports = WebGlCurvilinearCubeRenderer;
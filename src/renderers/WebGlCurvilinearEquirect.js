@@ -0,0 +1,113 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var WebGlCurvilinearBaseRenderer = require('./WebGlCurvilinearBase');
+var inherits = require('../util/inherits');
+var setupCoverageUniforms = require('./WebGlCommon').setupCoverageUniforms;
+var setupTileBoundsUniform = require('./WebGlCommon').setupTileBoundsUniform;
+
+var fragmentSrc = require('../shaders/fragmentCurvilinearEquirect');
+
+var uniformList = [
+  'uInvRotation', 'uTextureX', 'uTextureY', 'uTextureWidth', 'uTextureHeight',
+  'uTileX', 'uTileY', 'uTileWidth', 'uTileHeight', 'uHfov', 'uYawOffset',
+  'uVerticalStart', 'uVerticalRange', 'uCylindrical'
+];
+
+/**
+ * @class WebGlCurvilinearEquirectRenderer
+ * @implements Renderer
+ * @classdesc
+ *
+ * A renderer for {@link EquirectGeometry} or {@link CylindricalGeometry} and
+ * {@link CurvilinearView}, appropriate for a {@link WebGlStage}.
+ *
+ * Most users do not need to instantiate this class. Renderers are created and
+ * destroyed by {@link Stage} as necessary.
+ */
+function WebGlCurvilinearEquirectRenderer(gl) {
+  WebGlCurvilinearEquirectRenderer.super_.call(this, gl, fragmentSrc, uniformList);
+
+  // The view of the current layer.
+  this.view = null;
+
+  // Projects a tile vertex into normalized device coordinates.
+  var self = this;
+  var coords = {};
+  var screen = {};
+  this.projectVertex = function(vertex, result) {
+    var view = self.view;
+    coords.yaw = Math.atan2(vertex[0], -vertex[2]);
+    coords.pitch = Math.asin(-vertex[1]);
+    if (!view.coordinatesToScreen(coords, screen)) {
+      return false;
+    }
+    result[0] = 2 * screen.x / view.width() - 1;
+    result[1] = 1 - 2 * screen.y / view.height();
+    return true;
+  };
+}
+
+inherits(WebGlCurvilinearEquirectRenderer, WebGlCurvilinearBaseRenderer);
+
+
+WebGlCurvilinearEquirectRenderer.prototype.startLayer = function(layer, rect, effects, framebufferSize) {
+  WebGlCurvilinearEquirectRenderer.super_.prototype.startLayer.call(this, layer, rect, effects,
+      framebufferSize);
+
+  var gl = this.gl;
+  var shaderProgram = this.shaderProgram;
+
+  this.view = layer.view();
+
+  var invRotation = layer.view().inverseRotation();
+  gl.uniformMatrix4fv(shaderProgram.uInvRotation, false, invRotation);
+
+  // Compute and set the texture scale and crop offsets.
+  var textureCrop = layer.effects().textureCrop || {};
+  var textureX = textureCrop.x != null ? textureCrop.x : 0;
+  var textureY = textureCrop.y != null ? textureCrop.y : 0;
+  var textureWidth = textureCrop.width != null ? textureCrop.width : 1;
+  var textureHeight = textureCrop.height != null ? textureCrop.height : 1;
+
+  gl.uniform1f(shaderProgram.uTextureX, textureX);
+  gl.uniform1f(shaderProgram.uTextureY, textureY);
+  gl.uniform1f(shaderProgram.uTextureWidth, textureWidth);
+  gl.uniform1f(shaderProgram.uTextureHeight, textureHeight);
+
+  setupCoverageUniforms(gl, shaderProgram, layer.geometry());
+};
+
+
+WebGlCurvilinearEquirectRenderer.prototype.renderTile = function(tile, texture, layer, layerZ) {
+  var gl = this.gl;
+  var shaderProgram = this.shaderProgram;
+
+  // Set the portion of the image covered by the tile.
+  gl.uniform1f(shaderProgram.uTileX, tile.centerX() - tile.scaleX() / 2);
+  gl.uniform1f(shaderProgram.uTileY, tile.centerY() - tile.scaleY() / 2);
+  gl.uniform1f(shaderProgram.uTileWidth, tile.scaleX());
+  gl.uniform1f(shaderProgram.uTileHeight, tile.scaleY());
+
+  // Only draw the region of the viewport covered by the tile.
+  setupTileBoundsUniform(gl, shaderProgram, tile, this.projectVertex);
+
+  WebGlCurvilinearEquirectRenderer.super_.prototype.renderTile.call(this, tile, texture, layer, layerZ);
+};
+
+
+module.exports = WebGlCurvilinearEquirectRenderer;
@@ -0,0 +1,437 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var mat4 = require('gl-matrix').mat4;
+var vec3 = require('gl-matrix').vec3;
+var vec4 = require('gl-matrix').vec4;
+var Map = require('../collections/Map');
+var clamp = require('../util/clamp');
+var clearOwnProperties = require('../util/clearOwnProperties');
+
+var WebGlCommon = require('./WebGlCommon');
+var createShaderProgram = WebGlCommon.createShaderProgram;
+var destroyShaderProgram = WebGlCommon.destroyShaderProgram;
+var enableAttributes = WebGlCommon.enableAttributes;
+var disableAttributes = WebGlCommon.disableAttributes;
+var setViewport = WebGlCommon.setViewport;
+var setupPixelEffectUniforms = WebGlCommon.setupPixelEffectUniforms;
+var setupMaskUniforms = WebGlCommon.setupMaskUniforms;
+
+var setDepth = WebGlCommon.setDepth;
+var setTexture = WebGlCommon.setTexture;
+
+var vertexSrc = require('../shaders/vertexDepth');
+var fragmentSrc = require('../shaders/fragmentNormal');
+
+var attribList = ['aVertexPosition', 'aTextureCoord'];
+var uniformList = [
+  'uDepth', 'uOpacity', 'uSampler', 'uProjMatrix', 'uViewportMatrix',
+  'uColorOffset', 'uColorMatrix', 'uTextureTransform', 'uTextureFlipY',
+  'uTextureRect', 'uTextureEncoding', 'uExposure', 'uGamma', 'uToneMapping',
+  'uBlur', 'uTexelSize', 'uMask', 'uMaskInvert', 'uMaskRect'
+];
+
+// The angle between adjacent vertices of a tile mesh, and the maximum number of
+// segments along each side of a tile.
+var segmentAngle = Math.PI / 96;
+var maxSegments = 64;
+
+// The number of points at which the angle spanned by a tile is measured.
+var extentSamples = 8;
+
+// The number of times a depth store is rendered after which its unused meshes
+// are destroyed, and the number of layers rendered after which all meshes of a
+// depth store that is no longer rendered are destroyed.
+var meshLifetime = 32;
+var meshCacheLifetime = 256;
+
+
+/**
+ * @class WebGlDepthRenderer
+ * @implements Renderer
+ * @classdesc
+ *
+ * A renderer for layers with a {@link DepthStore depth map}, with a
+ * {@link CubeGeometry}, {@link EquirectGeometry} or {@link CylindricalGeometry}
+ * and a {@link RectilinearView}, appropriate for {@link WebGlStage}.
+ *
+ * Each tile is rendered as a mesh whose vertices are displaced to the distance
+ * given by the depth map, and which is seen from the eye offset of the view.
+ * Where the depth map has not yet been loaded, the vertices are placed at the
+ * farthest distance.
+ *
+ * Most users do not need to instantiate this class. Renderers are created and
+ * destroyed by {@link Stage} as necessary.
+ */
+function WebGlDepthRenderer(gl) {
+  this.gl = gl;
+
+  // The projection matrix, including the translation for the eye offset.
+  this.projMatrix = mat4.create();
+
+  // The viewport matrix responsible for viewport clamping.
+  // See setViewport() for an explanation of how it works.
+  this.viewportMatrix = mat4.create();
+
+  // The mapping from mesh texture coordinates into texture coordinates.
+  this.textureTransform = vec4.create();
+
+  this.shaderProgram = createShaderProgram(gl, vertexSrc, fragmentSrc, attribList, uniformList);
+
+  // The index buffers shared by meshes with the same number of segments.
+  this._indexBuffers = {};
+
+  // The meshes for the tiles of each depth store, and the layer being rendered.
+  this._meshCaches = [];
+  this._meshCache = null;
+  this._textureCrop = null;
+
+  // Incremented for every layer rendered, to find meshes that are not in use.
+  this._layerCount = 0;
+
+  // Temporary variables used for calculations.
+  this._eye = {};
+  this._eyeVector = vec3.create();
+  this._direction = vec3.create();
+  this._otherDirection = vec3.create();
+}
+
+WebGlDepthRenderer.prototype.destroy = function() {
+  var gl = this.gl;
+  for (var key in this._indexBuffers) {
+    gl.deleteBuffer(this._indexBuffers[key].buffer);
+  }
+  for (var i = 0; i < this._meshCaches.length; i++) {
+    this._meshCaches[i].meshes.forEach(destroyMesh.bind(null, gl));
+  }
+  destroyShaderProgram(gl, this.shaderProgram);
+  clearOwnProperties(this);
+};
+
+
+WebGlDepthRenderer.prototype.startLayer = function(layer, rect, effects, framebufferSize) {
+  effects = effects || layer.effects();
+
+  var gl = this.gl;
+  var shaderProgram = this.shaderProgram;
+  var projMatrix = this.projMatrix;
+  var viewportMatrix = this.viewportMatrix;
+  var view = layer.view();
+
+  gl.useProgram(shaderProgram);
+
+  enableAttributes(gl, shaderProgram);
+
+  setViewport(gl, layer, rect, viewportMatrix, framebufferSize);
+  gl.uniformMatrix4fv(shaderProgram.uViewportMatrix, false, viewportMatrix);
+
+  // Move the world away from the eye, rather than the eye into the world.
+  mat4.copy(projMatrix, view.projection());
+  if (view.eyeOffset) {
+    var eye = view.eyeOffset(this._eye);
+    vec3.set(this._eyeVector, -eye.x, -eye.y, -eye.z);
+    mat4.translate(projMatrix, projMatrix, this._eyeVector);
+  }
+  gl.uniformMatrix4fv(shaderProgram.uProjMatrix, false, projMatrix);
+
+  // The texture crop is given in the coordinates of the full image, which only
+  // exist for geometries where the tiles are regions of a single image.
+  this._textureCrop = layer.geometry().type !== 'cube' && effects.textureCrop || null;
+
+  this._layerCount++;
+  this._meshCache = this._meshCacheFor(layer.depthStore());
+  this._meshCache.layerCount = this._layerCount;
+  this._meshCache.renderCount++;
+  this._evictMeshes();
+
+  setupPixelEffectUniforms(gl, effects, {
+    opacity: shaderProgram.uOpacity,
+    colorOffset: shaderProgram.uColorOffset,
+    colorMatrix: shaderProgram.uColorMatrix,
+    exposure: shaderProgram.uExposure,
+    gamma: shaderProgram.uGamma,
+    toneMapping: shaderProgram.uToneMapping,
+    blur: shaderProgram.uBlur
+  });
+
+  setupMaskUniforms(gl, effects, rect, framebufferSize, {
+    mask: shaderProgram.uMask,
+    maskInvert: shaderProgram.uMaskInvert,
+    maskRect: shaderProgram.uMaskRect
+  });
+};
+
+
+WebGlDepthRenderer.prototype.endLayer = function() {
+  var gl = this.gl;
+  var shaderProgram = this.shaderProgram;
+  disableAttributes(gl, shaderProgram);
+  this._meshCache = null;
+};
+
+
+WebGlDepthRenderer.prototype.renderTile = function(tile, texture, layer, layerZ) {
+  var gl = this.gl;
+  var shaderProgram = this.shaderProgram;
+  var depthStore = layer.depthStore();
+
+  depthStore.requestTile(tile);
+
+  var mesh = this._mesh(tile, depthStore);
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, mesh.vertexPositions);
+  gl.vertexAttribPointer(shaderProgram.aVertexPosition, 3, gl.FLOAT, gl.FALSE, 0, 0);
+  gl.bindBuffer(gl.ARRAY_BUFFER, mesh.textureCoords);
+  gl.vertexAttribPointer(shaderProgram.aTextureCoord, 2, gl.FLOAT, gl.FALSE, 0, 0);
+
+  this._setTextureTransform(tile);
+  gl.uniform4fv(shaderProgram.uTextureTransform, this.textureTransform);
+
+  setDepth(gl, shaderProgram, layerZ, tile.z);
+
+  setTexture(gl, shaderProgram, texture);
+
+  var indices = this._indexBuffer(mesh.segmentsX, mesh.segmentsY);
+  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indices.buffer);
+  gl.drawElements(gl.TRIANGLES, indices.count, gl.UNSIGNED_SHORT, 0);
+};
+
+
+// Sets the mapping from the mesh texture coordinates, which span the tile,
+// into the texture coordinates, taking the texture crop into account.
+WebGlDepthRenderer.prototype._setTextureTransform = function(tile) {
+  var textureCrop = this._textureCrop;
+  if (!textureCrop) {
+    vec4.set(this.textureTransform, 1, 1, 0, 0);
+    return;
+  }
+
+  var cropX = textureCrop.x != null ? textureCrop.x : 0;
+  var cropY = textureCrop.y != null ? textureCrop.y : 0;
+  var cropWidth = textureCrop.width != null ? textureCrop.width : 1;
+  var cropHeight = textureCrop.height != null ? textureCrop.height : 1;
+
+  // As in the equirect shaders, map the position in the tile into the image,
+  // then into the cropped image, then back into the tile.
+  var tileX = tile.centerX() - tile.scaleX() / 2;
+  var tileY = tile.centerY() - tile.scaleY() / 2;
+  vec4.set(this.textureTransform,
+      cropWidth,
+      cropHeight,
+      (tileX * (cropWidth - 1) + cropX) / tile.scaleX(),
+      (tileY * (cropHeight - 1) + cropY) / tile.scaleY());
+};
+
+
+// Returns the mesh cache for a depth store, creating it if necessary.
+WebGlDepthRenderer.prototype._meshCacheFor = function(depthStore) {
+  var meshCaches = this._meshCaches;
+  for (var i = 0; i < meshCaches.length; i++) {
+    if (meshCaches[i].depthStore === depthStore) {
+      return meshCaches[i];
+    }
+  }
+  var meshCache = {
+    depthStore: depthStore,
+    meshes: new Map(),
+    layerCount: 0,
+    renderCount: 0
+  };
+  meshCaches.push(meshCache);
+  return meshCache;
+};
+
+
+// Destroys the meshes that have not been rendered recently, including those
+// of depth stores that are no longer rendered.
+WebGlDepthRenderer.prototype._evictMeshes = function() {
+  var gl = this.gl;
+  var meshCaches = this._meshCaches;
+  var minRenderCount;
+  var stale = [];
+
+  for (var i = meshCaches.length - 1; i >= 0; i--) {
+    var meshCache = meshCaches[i];
+    var meshes = meshCache.meshes;
+    if (meshCache.layerCount < this._layerCount - meshCacheLifetime) {
+      meshes.forEach(destroyMesh.bind(null, gl));
+      meshCaches.splice(i, 1);
+      continue;
+    }
+    minRenderCount = meshCache.renderCount - meshLifetime;
+    stale.length = 0;
+    meshes.forEach(collectStale);
+    for (var j = 0; j < stale.length; j++) {
+      destroyMesh(gl, stale[j], meshes.get(stale[j]));
+      meshes.del(stale[j]);
+    }
+  }
+
+  function collectStale(tile, mesh) {
+    if (mesh.renderCount < minRenderCount) {
+      stale.push(tile);
+    }
+  }
+};
+
+
+// Returns the mesh for a tile, creating or updating it as necessary.
+WebGlDepthRenderer.prototype._mesh = function(tile, depthStore) {
+  var gl = this.gl;
+  var meshes = this._meshCache.meshes;
+  var version = depthStore.version();
+
+  var mesh = meshes.get(tile);
+  if (!mesh) {
+    mesh = this._createMesh(tile);
+    meshes.set(tile, mesh);
+  }
+  mesh.renderCount = this._meshCache.renderCount;
+
+  if (mesh.version !== version) {
+    var positions = this._meshPositions(tile, depthStore, mesh);
+    gl.bindBuffer(gl.ARRAY_BUFFER, mesh.vertexPositions);
+    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.DYNAMIC_DRAW);
+    mesh.version = version;
+  }
+
+  return mesh;
+};
+
+
+WebGlDepthRenderer.prototype._createMesh = function(tile) {
+  var gl = this.gl;
+
+  // Choose the number of segments from the angle spanned by the tile.
+  var segmentsX = this._segments(tile, true);
+  var segmentsY = this._segments(tile, false);
+
+  // The texture coordinates increase from the bottom left corner.
+  var textureCoords = new Float32Array((segmentsX + 1) * (segmentsY + 1) * 2);
+  var k = 0;
+  for (var y = 0; y <= segmentsY; y++) {
+    for (var x = 0; x <= segmentsX; x++) {
+      textureCoords[k++] = x / segmentsX;
+      textureCoords[k++] = 1 - y / segmentsY;
+    }
+  }
+
+  var mesh = {
+    segmentsX: segmentsX,
+    segmentsY: segmentsY,
+    vertexPositions: gl.createBuffer(),
+    textureCoords: gl.createBuffer(),
+    version: null,
+    renderCount: 0
+  };
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, mesh.textureCoords);
+  gl.bufferData(gl.ARRAY_BUFFER, textureCoords, gl.STATIC_DRAW);
+
+  return mesh;
+};
+
+
+// Computes the vertex positions for a tile mesh, by displacing the direction
+// of each vertex to the distance given by the depth map.
+WebGlDepthRenderer.prototype._meshPositions = function(tile, depthStore, mesh) {
+  var direction = this._direction;
+  var segmentsX = mesh.segmentsX;
+  var segmentsY = mesh.segmentsY;
+  var far = depthStore.far();
+
+  var positions = new Float32Array((segmentsX + 1) * (segmentsY + 1) * 3);
+  var k = 0;
+  for (var y = 0; y <= segmentsY; y++) {
+    for (var x = 0; x <= segmentsX; x++) {
+      tile.direction(x / segmentsX, y / segmentsY, direction);
+      var depth = depthStore.depth(direction);
+      vec3.scale(direction, direction, depth != null ? depth : far);
+      positions[k++] = direction[0];
+      positions[k++] = direction[1];
+      positions[k++] = direction[2];
+    }
+  }
+
+  return positions;
+};
+
+
+// Returns the index buffer for a mesh with the given number of segments,
+// creating it if necessary.
+WebGlDepthRenderer.prototype._indexBuffer = function(segmentsX, segmentsY) {
+  var gl = this.gl;
+  var key = segmentsX + 'x' + segmentsY;
+
+  var indexBuffer = this._indexBuffers[key];
+  if (indexBuffer) {
+    return indexBuffer;
+  }
+
+  var indices = new Uint16Array(segmentsX * segmentsY * 6);
+  var rowLength = segmentsX + 1;
+  var k = 0;
+  for (var y = 0; y < segmentsY; y++) {
+    for (var x = 0; x < segmentsX; x++) {
+      var topLeft = y * rowLength + x;
+      var bottomLeft = topLeft + rowLength;
+      indices[k++] = bottomLeft;
+      indices[k++] = bottomLeft + 1;
+      indices[k++] = topLeft + 1;
+      indices[k++] = bottomLeft;
+      indices[k++] = topLeft + 1;
+      indices[k++] = topLeft;
+    }
+  }
+
+  indexBuffer = { buffer: gl.createBuffer(), count: indices.length };
+  gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer.buffer);
+  gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+
+  this._indexBuffers[key] = indexBuffer;
+  return indexBuffer;
+};
+
+
+// Returns the number of segments along a side of a tile, from the angle it
+// spans through its middle. The angle is measured in several steps, as a tile
+// may span half a turn or more.
+WebGlDepthRenderer.prototype._segments = function(tile, horizontal) {
+  var direction = this._direction;
+  var otherDirection = this._otherDirection;
+
+  var angle = 0;
+  tile.direction(horizontal ? 0 : 0.5, horizontal ? 0.5 : 0, direction);
+  for (var i = 1; i <= extentSamples; i++) {
+    var position = i / extentSamples;
+    tile.direction(horizontal ? position : 0.5, horizontal ? 0.5 : position,
+        otherDirection);
+    angle += Math.acos(clamp(vec3.dot(direction, otherDirection), -1, 1));
+    vec3.copy(direction, otherDirection);
+  }
+
+  return clamp(Math.ceil(angle / segmentAngle), 1, maxSegments);
+};
+
+
+function destroyMesh(gl, tile, mesh) {
+  gl.deleteBuffer(mesh.vertexPositions);
+  gl.deleteBuffer(mesh.textureCoords);
+}
+
+
+module.exports = WebGlDepthRenderer;
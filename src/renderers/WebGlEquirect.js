@@ -16,6 +16,7 @@
 'use strict';
 
 var mat4 = require('gl-matrix').mat4;
+var vec4 = require('gl-matrix').vec4;
 var clearOwnProperties = require('../util/clearOwnProperties');
 
 var WebGlCommon = require('./WebGlCommon');
@@ -27,6 +28,9 @@ var enableAttributes = WebGlCommon.enableAttributes;
 var disableAttributes = WebGlCommon.disableAttributes;
 var setViewport = WebGlCommon.setViewport;
 var setupPixelEffectUniforms = WebGlCommon.setupPixelEffectUniforms;
+var setupMaskUniforms = WebGlCommon.setupMaskUniforms;
+var setupCoverageUniforms = WebGlCommon.setupCoverageUniforms;
+var setupTileBoundsUniform = WebGlCommon.setupTileBoundsUniform;
 
 var setDepth = WebGlCommon.setDepth;
 var setTexture = WebGlCommon.setTexture;
@@ -42,7 +46,10 @@ var attribList = ['aVertexPosition'];
 var uniformList = [
   'uDepth', 'uOpacity', 'uSampler', 'uInvProjMatrix', 'uViewportMatrix',
   'uColorOffset', 'uColorMatrix', 'uTextureX', 'uTextureY', 'uTextureWidth',
-  'uTextureHeight'
+  'uTextureHeight', 'uTextureFlipY', 'uTileX', 'uTileY', 'uTileWidth',
+  'uTileHeight', 'uHfov', 'uYawOffset', 'uVerticalStart', 'uVerticalRange',
+  'uCylindrical', 'uTextureEncoding', 'uExposure', 'uGamma', 'uToneMapping',
+  'uBlur', 'uTexelSize', 'uMask', 'uMaskInvert', 'uMaskRect', 'uTileBounds'
 ];
 
 
@@ -51,8 +58,8 @@ var uniformList = [
  * @implements Renderer
  * @classdesc
  *
- * A renderer for {@link EquirectGeometry} and {@link RectilinearView},
- * appropriate for {@link WebGlStage}.
+ * A renderer for {@link EquirectGeometry} or {@link CylindricalGeometry} and
+ * {@link RectilinearView}, appropriate for {@link WebGlStage}.
  *
  * Most users do not need to instantiate this class. Renderers are created and
  * destroyed by {@link Stage} as necessary.
@@ -63,6 +70,23 @@ function WebGlEquirectRenderer(gl) {
   // The inverse projection matrix.
   this.invProjMatrix = mat4.create();
 
+  // The projection matrix of the current layer.
+  this.projMatrix = mat4.create();
+
+  // Projects a tile vertex into normalized device coordinates.
+  var projMatrix = this.projMatrix;
+  this.projectVertex = function(vertex, result) {
+    vec4.set(result, vertex[0], vertex[1], vertex[2], 1);
+    vec4.transformMat4(result, result, projMatrix);
+    if (result[3] <= 0) {
+      // The vertex is behind the camera.
+      return false;
+    }
+    result[0] /= result[3];
+    result[1] /= result[3];
+    return true;
+  };
+
   // The viewport matrix responsible for viewport clamping.
   // See setViewport() for an explanation of how it works.
   this.viewportMatrix = mat4.create();
@@ -79,7 +103,9 @@ WebGlEquirectRenderer.prototype.destroy = function() {
 };
 
 
-WebGlEquirectRenderer.prototype.startLayer = function(layer, rect) {
+WebGlEquirectRenderer.prototype.startLayer = function(layer, rect, effects, framebufferSize) {
+  effects = effects || layer.effects();
+
   var gl = this.gl;
   var shaderProgram = this.shaderProgram;
   var constantBuffers = this.constantBuffers;
@@ -90,7 +116,7 @@ WebGlEquirectRenderer.prototype.startLayer = function(layer, rect) {
 
   enableAttributes(gl, shaderProgram);
 
-  setViewport(gl, layer, rect, viewportMatrix);
+  setViewport(gl, layer, rect, viewportMatrix, framebufferSize);
   gl.uniformMatrix4fv(shaderProgram.uViewportMatrix, false, viewportMatrix);
 
   gl.bindBuffer(gl.ARRAY_BUFFER, constantBuffers.vertexPositions);
@@ -98,6 +124,7 @@ WebGlEquirectRenderer.prototype.startLayer = function(layer, rect) {
   gl.bindBuffer(gl.ARRAY_BUFFER, constantBuffers.textureCoords);
 
   // Compute and set the inverse projection matrix.
+  mat4.copy(this.projMatrix, layer.view().projection());
   mat4.copy(invProjMatrix, layer.view().projection());
   mat4.invert(invProjMatrix, invProjMatrix);
 
@@ -115,10 +142,22 @@ WebGlEquirectRenderer.prototype.startLayer = function(layer, rect) {
   gl.uniform1f(shaderProgram.uTextureWidth, textureWidth);
   gl.uniform1f(shaderProgram.uTextureHeight, textureHeight);
 
-  setupPixelEffectUniforms(gl, layer.effects(), {
+  setupCoverageUniforms(gl, shaderProgram, layer.geometry());
+
+  setupPixelEffectUniforms(gl, effects, {
     opacity: shaderProgram.uOpacity,
     colorOffset: shaderProgram.uColorOffset,
-    colorMatrix: shaderProgram.uColorMatrix
+    colorMatrix: shaderProgram.uColorMatrix,
+    exposure: shaderProgram.uExposure,
+    gamma: shaderProgram.uGamma,
+    toneMapping: shaderProgram.uToneMapping,
+    blur: shaderProgram.uBlur
+  });
+
+  setupMaskUniforms(gl, effects, rect, framebufferSize, {
+    mask: shaderProgram.uMask,
+    maskInvert: shaderProgram.uMaskInvert,
+    maskRect: shaderProgram.uMaskRect
   });
 };
 
@@ -139,6 +178,15 @@ WebGlEquirectRenderer.prototype.renderTile = function(tile, texture, layer, laye
 
   setTexture(gl, shaderProgram, texture);
 
+  // Set the portion of the image covered by the tile.
+  gl.uniform1f(shaderProgram.uTileX, tile.centerX() - tile.scaleX() / 2);
+  gl.uniform1f(shaderProgram.uTileY, tile.centerY() - tile.scaleY() / 2);
+  gl.uniform1f(shaderProgram.uTileWidth, tile.scaleX());
+  gl.uniform1f(shaderProgram.uTileHeight, tile.scaleY());
+
+  // Only draw the region of the viewport covered by the tile.
+  setupTileBoundsUniform(gl, shaderProgram, tile, this.projectVertex);
+
   gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, constantBuffers.vertexIndices);
   gl.drawElements(gl.TRIANGLES, vertexIndices.length, gl.UNSIGNED_SHORT, 0);
 };
@@ -18,6 +18,9 @@
 var WebGlCube = require('./WebGlCube');
 var WebGlFlat = require('./WebGlFlat');
 var WebGlEquirect = require('./WebGlEquirect');
+var WebGlCurvilinearCube = require('./WebGlCurvilinearCube');
+var WebGlCurvilinearEquirect = require('./WebGlCurvilinearEquirect');
+var WebGlDepth = require('./WebGlDepth');
 
 /**
  * Registers all known renderers for the given stage type into that stage.
@@ -33,6 +36,13 @@ function registerDefaultRenderers(stage) {
       stage.registerRenderer('flat', 'flat', WebGlFlat);
       stage.registerRenderer('cube', 'rectilinear', WebGlCube);
       stage.registerRenderer('equirect', 'rectilinear', WebGlEquirect);
+      stage.registerRenderer('cylindrical', 'rectilinear', WebGlEquirect);
+      stage.registerRenderer('cube', 'curvilinear', WebGlCurvilinearCube);
+      stage.registerRenderer('equirect', 'curvilinear', WebGlCurvilinearEquirect);
+      stage.registerRenderer('cylindrical', 'curvilinear', WebGlCurvilinearEquirect);
+      stage.registerRenderer('depth:cube', 'rectilinear', WebGlDepth);
+      stage.registerRenderer('depth:equirect', 'rectilinear', WebGlDepth);
+      stage.registerRenderer('depth:cylindrical', 'rectilinear', WebGlDepth);
       break;
     default:
       throw new Error('Unknown stage type: ' + stage.type);
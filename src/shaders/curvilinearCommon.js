@@ -0,0 +1,62 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Declarations shared by the curvilinear fragment shaders, computing the view
+// ray for a fragment. See CurvilinearView for the projection formulas.
+module.exports = [
+'#ifdef GL_FRAGMENT_PRECISION_HIGH',
+'precision highp float;',
+'#else',
+'precision mediump float;',
+'#endif',
+
+'uniform float uProjectionType;',
+'uniform float uProjectionScale;',
+'uniform float uAspect;',
+
+'varying vec2 vScreen;',
+
+// Returns the view ray in camera space, or a zero vector if the fragment does
+// not correspond to any ray.
+'vec3 cameraRay() {',
+'  float x = vScreen.x * uProjectionScale * uAspect;',
+'  float y = vScreen.y * uProjectionScale;',
+'  if (uProjectionType > 1.5) {',
+     // Pannini.
+'    float phi = 2.0 * atan(0.5 * x);',
+'    float s = 2.0 / (1.0 + cos(phi));',
+'    return normalize(vec3(sin(phi), y / s, -cos(phi)));',
+'  }',
+'  float rho = length(vec2(x, y));',
+'  if (rho < 0.000001) {',
+'    return vec3(0.0, 0.0, -1.0);',
+'  }',
+'  float theta;',
+'  if (uProjectionType > 0.5) {',
+     // Equisolid.
+'    if (rho > 2.0) {',
+'      return vec3(0.0);',
+'    }',
+'    theta = 2.0 * asin(0.5 * rho);',
+'  } else {',
+     // Stereographic.
+'    theta = 2.0 * atan(0.5 * rho);',
+'  }',
+'  float sinTheta = sin(theta);',
+'  return vec3(sinTheta * x / rho, sinTheta * y / rho, -cos(theta));',
+'}'
+].join('\n');
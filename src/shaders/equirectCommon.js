@@ -0,0 +1,46 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Declarations shared by the equirect fragment shaders, computing the image
+// coordinates that a view ray points into. See EquirectGeometry and
+// CylindricalGeometry for the image layout.
+module.exports = [
+'uniform float uHfov;',
+'uniform float uYawOffset;',
+'uniform float uVerticalStart;',
+'uniform float uVerticalRange;',
+'uniform float uCylindrical;',
+
+'const float PI = 3.14159265358979323846264;',
+
+// Returns the image coordinates, with t increasing upwards, for the given ray.
+// Rays outside the region covered by the image yield coordinates outside of
+// the [0, 1] range.
+'vec2 equirectCoords(vec3 ray) {',
+'  float r = inversesqrt(ray.x * ray.x + ray.y * ray.y + ray.z * ray.z);',
+'  float pitch = acos(ray.y * r) - 0.5 * PI;',
+'  float yaw = atan(ray.x, -1.0*ray.z) - uYawOffset;',
+'  yaw = mod(yaw + PI, 2.0 * PI) - PI;',
+'  float vertical = pitch;',
+'  if (uCylindrical > 0.5) {',
+'    vertical = tan(pitch);',
+'  }',
+'  float s = 0.5 + yaw / uHfov;',
+'  float t = 1.0 - (vertical - uVerticalStart) / uVerticalRange;',
+'  return vec2(s, t);',
+'}'
+].join('\n');
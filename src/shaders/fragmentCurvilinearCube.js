@@ -0,0 +1,59 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var common = require('./curvilinearCommon');
+var toneMapping = require('./toneMapping');
+var layerEffects = require('./layerEffects');
+
+module.exports = [
+common,
+toneMapping,
+layerEffects,
+
+'uniform sampler2D uSampler;',
+'uniform float uOpacity;',
+'uniform vec4 uColorOffset;',
+'uniform mat4 uColorMatrix;',
+'uniform float uTextureFlipY;',
+'uniform vec4 uTextureRect;',
+
+// The rotation from camera space into the space of the tile face, and the
+// center and size of the tile within the face.
+'uniform mat4 uTileMatrix;',
+'uniform vec2 uTileCenter;',
+'uniform vec2 uTileScale;',
+
+'void main(void) {',
+'  vec3 ray = cameraRay();',
+'  vec4 faceRay = uTileMatrix * vec4(ray, 0.0);',
+
+   // Intersect the ray with the plane of the face.
+'  if (faceRay.z >= 0.0) {',
+'    discard;',
+'  }',
+'  vec2 point = faceRay.xy * (-0.5 / faceRay.z);',
+'  vec2 t = (point - uTileCenter) / uTileScale + 0.5;',
+'  if (t.x < 0.0 || t.x > 1.0 || t.y < 0.0 || t.y > 1.0) {',
+'    discard;',
+'  }',
+'  t.y = mix(t.y, 1.0 - t.y, uTextureFlipY);',
+'  t = t * uTextureRect.zw + uTextureRect.xy;',
+
+'  vec4 color = toneMap(sampleTexture(uSampler, t)) * uColorMatrix + uColorOffset;',
+'  gl_FragColor = vec4(color.rgba * uOpacity * maskOpacity());',
+'}'
+].join('\n');
@@ -0,0 +1,76 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var curvilinearCommon = require('./curvilinearCommon');
+var equirectCommon = require('./equirectCommon');
+var toneMapping = require('./toneMapping');
+var layerEffects = require('./layerEffects');
+
+module.exports = [
+curvilinearCommon,
+equirectCommon,
+toneMapping,
+layerEffects,
+
+'uniform sampler2D uSampler;',
+'uniform float uOpacity;',
+'uniform float uTextureX;',
+'uniform float uTextureY;',
+'uniform float uTextureWidth;',
+'uniform float uTextureHeight;',
+'uniform float uTextureFlipY;',
+'uniform float uTileX;',
+'uniform float uTileY;',
+'uniform float uTileWidth;',
+'uniform float uTileHeight;',
+'uniform vec4 uColorOffset;',
+'uniform mat4 uColorMatrix;',
+
+// The rotation from camera space into world space.
+'uniform mat4 uInvRotation;',
+
+'void main(void) {',
+'  vec3 cameraDir = cameraRay();',
+'  if (cameraDir == vec3(0.0)) {',
+'    discard;',
+'  }',
+'  vec4 ray = uInvRotation * vec4(cameraDir, 0.0);',
+
+'  vec2 coords = equirectCoords(ray.xyz);',
+'  float s = coords.s;',
+'  float t = coords.t;',
+
+// Skip pixels outside the region covered by the image.
+'  if (s < 0.0 || s > 1.0 || t < 0.0 || t > 1.0) {',
+'    discard;',
+'  }',
+
+'  s = s * uTextureWidth + uTextureX;',
+'  t = t * uTextureHeight + uTextureY;',
+
+// Map into the coordinates of the tile and skip pixels outside of it.
+'  s = (s - uTileX) / uTileWidth;',
+'  t = (t - uTileY) / uTileHeight;',
+'  if (s < 0.0 || s > 1.0 || t < 0.0 || t > 1.0) {',
+'    discard;',
+'  }',
+'  t = mix(t, 1.0 - t, uTextureFlipY);',
+
+'  vec4 color = toneMap(sampleTexture(uSampler, vec2(s, t))) * uColorMatrix + uColorOffset;',
+'  gl_FragColor = vec4(color.rgba * uOpacity * maskOpacity());',
+'}'
+].join('\n');
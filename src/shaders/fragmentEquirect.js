@@ -15,6 +15,10 @@
  */
 'use strict';
 
+var common = require('./equirectCommon');
+var toneMapping = require('./toneMapping');
+var layerEffects = require('./layerEffects');
+
 module.exports = [
 '#ifdef GL_FRAGMENT_PRECISION_HIGH',
 'precision highp float;',
@@ -22,30 +26,48 @@ module.exports = [
 'precision mediump float',
 '#endif',
 
+common,
+toneMapping,
+layerEffects,
+
 'uniform sampler2D uSampler;',
 'uniform float uOpacity;',
 'uniform float uTextureX;',
 'uniform float uTextureY;',
 'uniform float uTextureWidth;',
 'uniform float uTextureHeight;',
+'uniform float uTextureFlipY;',
+'uniform float uTileX;',
+'uniform float uTileY;',
+'uniform float uTileWidth;',
+'uniform float uTileHeight;',
 'uniform vec4 uColorOffset;',
 'uniform mat4 uColorMatrix;',
 
 'varying vec4 vRay;',
 
-'const float PI = 3.14159265358979323846264;',
-
 'void main(void) {',
-'  float r = inversesqrt(vRay.x * vRay.x + vRay.y * vRay.y + vRay.z * vRay.z);',
-'  float phi  = acos(vRay.y * r);',
-'  float theta = atan(vRay.x, -1.0*vRay.z);',
-'  float s = 0.5 + 0.5 * theta / PI;',
-'  float t = 1.0 - phi / PI;',
+'  vec2 coords = equirectCoords(vRay.xyz);',
+'  float s = coords.s;',
+'  float t = coords.t;',
+
+// Skip pixels outside the region covered by the image.
+'  if (s < 0.0 || s > 1.0 || t < 0.0 || t > 1.0) {',
+'    discard;',
+'  }',
 
 '  s = s * uTextureWidth + uTextureX;',
 '  t = t * uTextureHeight + uTextureY;',
 
-'  vec4 color = texture2D(uSampler, vec2(s, t)) * uColorMatrix + uColorOffset;',
-'  gl_FragColor = vec4(color.rgba * uOpacity);',
+// Map into the coordinates of the tile and skip pixels outside of it.
+'  s = (s - uTileX) / uTileWidth;',
+'  t = (t - uTileY) / uTileHeight;',
+'  if (s < 0.0 || s > 1.0 || t < 0.0 || t > 1.0) {',
+'    discard;',
+'  }',
+'  t = mix(t, 1.0 - t, uTextureFlipY);',
+
+'  vec4 color = toneMap(sampleTexture(uSampler, vec2(s, t))) * uColorMatrix + uColorOffset;',
+'  gl_FragColor = vec4(color.rgba * uOpacity * maskOpacity());',
 '}'
 ].join('\n');
@@ -15,6 +15,9 @@
  */
 'use strict';
 
+var toneMapping = require('./toneMapping');
+var layerEffects = require('./layerEffects');
+
 module.exports = [
 '#ifdef GL_FRAGMENT_PRECISION_HIGH',
 'precision highp float;',
@@ -22,6 +25,9 @@ module.exports = [
 'precision mediump float;',
 '#endif',
 
+toneMapping,
+layerEffects,
+
 'uniform sampler2D uSampler;',
 'uniform float uOpacity;',
 'uniform vec4 uColorOffset;',
@@ -30,7 +36,7 @@ module.exports = [
 'varying vec2 vTextureCoord;',
 
 'void main(void) {',
-'  vec4 color = texture2D(uSampler, vTextureCoord) * uColorMatrix + uColorOffset;',
-'  gl_FragColor = vec4(color.rgba * uOpacity);',
+'  vec4 color = toneMap(sampleTexture(uSampler, vTextureCoord)) * uColorMatrix + uColorOffset;',
+'  gl_FragColor = vec4(color.rgba * uOpacity * maskOpacity());',
 '}'
 ].join('\n');
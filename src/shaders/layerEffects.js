@@ -0,0 +1,58 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Declarations shared by the fragment shaders, applying the blur and mask
+// effects. The blur averages two rings of taps around each sample, out to a
+// radius of 2^uBlur - 1 texels, so that each unit of blur doubles the extent of
+// the kernel as a mipmap level would. On mipmapped textures, the level of
+// detail is biased as well, which fills in between the taps. The mask is a
+// circle positioned relative to the layer rect, given in framebuffer pixels,
+// whose radius is relative to the diagonal of the rect.
+module.exports = [
+'uniform float uBlur;',
+'uniform vec2 uTexelSize;',
+'uniform vec4 uMask;',
+'uniform float uMaskInvert;',
+'uniform vec4 uMaskRect;',
+
+'vec4 sampleTexture(sampler2D sampler, vec2 coords) {',
+'  if (uBlur <= 0.0) {',
+'    return texture2D(sampler, coords);',
+'  }',
+'  vec2 radius = (exp2(uBlur) - 1.0) * uTexelSize;',
+'  vec4 sum = texture2D(sampler, coords, uBlur);',
+'  for (int i = 0; i < 8; i++) {',
+'    float angle = float(i) * 0.7853982;',
+'    vec2 offset = vec2(cos(angle), sin(angle)) * radius;',
+'    sum += texture2D(sampler, coords + offset * 0.5, uBlur) * 0.75;',
+'    sum += texture2D(sampler, coords + offset, uBlur) * 0.5;',
+'  }',
+'  return sum / 11.0;',
+'}',
+
+// Returns the opacity of the mask at the current fragment.
+'float maskOpacity() {',
+'  if (uMask.z < 0.0) {',
+'    return 1.0;',
+'  }',
+'  vec2 point = (gl_FragCoord.xy - uMaskRect.xy) / uMaskRect.zw;',
+'  point.y = 1.0 - point.y;',
+'  float dist = length((point - uMask.xy) * uMaskRect.zw) / length(uMaskRect.zw);',
+'  float opacity = 1.0 - smoothstep(uMask.z - max(uMask.w, 0.0001), uMask.z, dist);',
+'  return mix(opacity, 1.0 - opacity, uMaskInvert);',
+'}'
+].join('\n');
@@ -0,0 +1,63 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Declarations shared by the fragment shaders, decoding the texture color and
+// applying the exposure, gamma and tone mapping effects. Regular textures hold
+// gamma-encoded colors with premultiplied alpha; HDR textures hold linear
+// colors, either as floating point values or RGBE encoded.
+module.exports = [
+'uniform float uTextureEncoding;',
+'uniform float uExposure;',
+'uniform float uGamma;',
+'uniform float uToneMapping;',
+
+// The ACES filmic curve, as fitted by Krzysztof Narkowicz.
+'vec3 acesFilmic(vec3 c) {',
+'  return clamp((c * (2.51 * c + 0.03)) / (c * (2.43 * c + 0.59) + 0.14), 0.0, 1.0);',
+'}',
+
+// Returns the displayable color, with premultiplied alpha, for a texel.
+'vec4 toneMap(vec4 texel) {',
+'  if (uTextureEncoding < 0.5 && uExposure == 1.0 && uToneMapping < 0.5) {',
+'    return texel;',
+'  }',
+'  vec3 rgb;',
+'  float alpha = texel.a;',
+'  if (uTextureEncoding > 1.5) {',
+     // RGBE: the exponent is stored in the alpha component.
+'    rgb = texel.rgb * (255.0 / 256.0) * exp2(texel.a * 255.0 - 128.0);',
+'    alpha = 1.0;',
+'  } else if (uTextureEncoding > 0.5) {',
+'    rgb = max(texel.rgb, 0.0);',
+'  } else {',
+'    if (alpha <= 0.0) {',
+'      return texel;',
+'    }',
+'    rgb = pow(texel.rgb / alpha, vec3(uGamma));',
+'  }',
+'  rgb *= uExposure;',
+'  if (uToneMapping > 1.5) {',
+'    rgb = acesFilmic(rgb);',
+'  } else if (uToneMapping > 0.5) {',
+'    rgb = rgb / (1.0 + rgb);',
+'  } else {',
+'    rgb = clamp(rgb, 0.0, 1.0);',
+'  }',
+'  rgb = pow(rgb, vec3(1.0 / uGamma));',
+'  return vec4(rgb * alpha, alpha);',
+'}'
+].join('\n');
@@ -0,0 +1,31 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+module.exports = [
+'attribute vec3 aVertexPosition;',
+
+'uniform float uDepth;',
+'uniform mat4 uViewportMatrix;',
+'uniform vec4 uTileBounds;',
+
+'varying vec2 vScreen;',
+
+'void main(void) {',
+'  vScreen = mix(uTileBounds.xy, uTileBounds.zw, aVertexPosition.xy * 0.5 + 0.5);',
+'  gl_Position = uViewportMatrix * vec4(vScreen, uDepth, 1.0);',
+'}'
+].join('\n');
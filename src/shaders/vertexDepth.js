@@ -0,0 +1,38 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+module.exports = [
+'attribute vec3 aVertexPosition;',
+'attribute vec2 aTextureCoord;',
+
+'uniform float uDepth;',
+'uniform mat4 uViewportMatrix;',
+'uniform mat4 uProjMatrix;',
+'uniform vec4 uTextureTransform;',
+'uniform float uTextureFlipY;',
+'uniform vec4 uTextureRect;',
+
+'varying vec2 vTextureCoord;',
+
+'void main(void) {',
+'  gl_Position = uViewportMatrix * uProjMatrix * vec4(aVertexPosition, 1.0);',
+'  gl_Position.z = uDepth * gl_Position.w;',
+'  vec2 coord = aTextureCoord * uTextureTransform.xy + uTextureTransform.zw;',
+'  coord = vec2(coord.x, mix(coord.y, 1.0 - coord.y, uTextureFlipY));',
+'  vTextureCoord = coord * uTextureRect.zw + uTextureRect.xy;',
+'}'
+].join('\n');
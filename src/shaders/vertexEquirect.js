@@ -21,11 +21,13 @@ module.exports = [
 'uniform float uDepth;',
 'uniform mat4 uViewportMatrix;',
 'uniform mat4 uInvProjMatrix;',
+'uniform vec4 uTileBounds;',
 
 'varying vec4 vRay;',
 
 'void main(void) {',
-'  vRay = uInvProjMatrix * vec4(aVertexPosition.xy, 1.0, 1.0);',
-'  gl_Position = uViewportMatrix * vec4(aVertexPosition.xy, uDepth, 1.0);',
+'  vec2 position = mix(uTileBounds.xy, uTileBounds.zw, aVertexPosition.xy * 0.5 + 0.5);',
+'  vRay = uInvProjMatrix * vec4(position, 1.0, 1.0);',
+'  gl_Position = uViewportMatrix * vec4(position, uDepth, 1.0);',
 '}'
 ].join('\n');
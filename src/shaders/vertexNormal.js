@@ -22,12 +22,15 @@ module.exports = [
 'uniform float uDepth;',
 'uniform mat4 uViewportMatrix;',
 'uniform mat4 uProjMatrix;',
+'uniform float uTextureFlipY;',
+'uniform vec4 uTextureRect;',
 
 'varying vec2 vTextureCoord;',
 
 'void main(void) {',
 '  gl_Position = uViewportMatrix * uProjMatrix * vec4(aVertexPosition.xy, 0.0, 1.0);',
 '  gl_Position.z = uDepth * gl_Position.w;',
-'  vTextureCoord = aTextureCoord;',
+'  vec2 coord = vec2(aTextureCoord.x, mix(aTextureCoord.y, 1.0 - aTextureCoord.y, uTextureFlipY));',
+'  vTextureCoord = coord * uTextureRect.zw + uTextureRect.xy;',
 '}'
 ].join('\n');
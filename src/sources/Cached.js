@@ -0,0 +1,316 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var eventEmitter = require('minimal-event-emitter');
+var StaticAsset = require('../assets/Static');
+var global = require('../util/global');
+var once = require('../util/once');
+var noop = require('../util/noop');
+
+// Media type parameter recording the portion of a cached image used by a tile.
+var rectParam = 'x-marzipano-rect';
+var rectRegExp = new RegExp(';\\s*' + rectParam + '=([^;]*)');
+
+// Options for createImageBitmap when decoding a cached tile. The result has
+// the same orientation as the bitmaps produced by the image loaders.
+var createImageBitmapOpts = {
+  imageOrientation: 'flipY',
+  premultiplyAlpha: 'premultiply'
+};
+
+/**
+ * @class CachedSource
+ * @implements Source
+ * @classdesc
+ *
+ * A {@link Source} that stores the assets loaded by another source into a
+ * {@link TileCache}, and loads them from the cache when available.
+ *
+ * Tiles are cached as the image data received from the network, so that they
+ * are stored without loss and without the cost of encoding them anew. This
+ * data is only kept by the `'fetch'` and `'worker'` image loaders; see the
+ * `imageLoader` option to {@link WebGlStage}. Tiles loaded otherwise, as well
+ * as dynamic assets, are passed through without being cached.
+ *
+ * Each tile is stored under a key given by the `keyFromTile` option. If it is
+ * not provided, the key is formed from the `prefix` option and the tile
+ * coordinates. When several sources share the same cache, they must be given
+ * distinct prefixes.
+ *
+ * @param {Source} source The wrapped source.
+ * @param {TileCache} cache The cache.
+ * @param {Object} opts
+ * @param {string} [opts.prefix] A prefix for the default cache keys.
+ * @param {function(Tile): string} [opts.keyFromTile] A function returning the
+ *     cache key for a tile. Either this or `prefix` must be given.
+ */
+function CachedSource(source, cache, opts) {
+  opts = opts || {};
+
+  if (!opts.keyFromTile && opts.prefix == null) {
+    throw new Error('CachedSource: either prefix or keyFromTile is required');
+  }
+
+  this._source = source;
+  this._cache = cache;
+  this._keyFromTile = opts.keyFromTile || defaultKeyFromTile(opts.prefix);
+
+  // Forward the network errors emitted by the wrapped source.
+  var self = this;
+  if (source.addEventListener) {
+    source.addEventListener('networkError', function(err, tile) {
+      self.emit('networkError', err, tile);
+    });
+  }
+}
+
+eventEmitter(CachedSource);
+
+
+function defaultKeyFromTile(prefix) {
+  return function(tile) {
+    var coords = [ tile.z, tile.x, tile.y ];
+    if (tile.face != null) {
+      coords.unshift(tile.face);
+    }
+    return prefix + coords.join('/');
+  };
+}
+
+
+/**
+ * Returns whether the browser APIs required to cache tiles are available.
+ * When they are not, the source passes all requests through to the wrapped
+ * source.
+ * @return {boolean}
+ */
+CachedSource.supported = function() {
+  return !!(global.createImageBitmap && global.Blob);
+};
+
+
+/**
+ * Returns the wrapped source.
+ * @return {Source}
+ */
+CachedSource.prototype.source = function() {
+  return this._source;
+};
+
+
+/**
+ * Returns the cache.
+ * @return {TileCache}
+ */
+CachedSource.prototype.cache = function() {
+  return this._cache;
+};
+
+
+CachedSource.prototype.loadAsset = function(stage, tile, done) {
+  var self = this;
+  var key = this._keyFromTile(tile);
+  var cancelled = false;
+  var cancelLoad = noop;
+
+  done = once(done);
+
+  if (!CachedSource.supported()) {
+    return this._source.loadAsset(stage, tile, done);
+  }
+
+  var cancelGet = this._cache.get(key, function(err, blob) {
+    if (cancelled) {
+      return;
+    }
+    if (err || !blob) {
+      loadFromSource();
+      return;
+    }
+    self._decode(blob, function(err, asset) {
+      if (cancelled) {
+        if (asset) {
+          asset.destroy();
+        }
+        return;
+      }
+      if (err) {
+        // The entry is unusable; drop it and fall back to the wrapped source.
+        self._cache.del(key);
+        loadFromSource();
+        return;
+      }
+      done(null, tile, asset);
+    });
+  });
+
+  function loadFromSource() {
+    cancelLoad = self._source.loadAsset(stage, tile, function(err, tile, asset) {
+      if (cancelled) {
+        return;
+      }
+      if (!err && !asset.isDynamic()) {
+        self._store(key, asset, noop);
+      }
+      done.apply(null, arguments);
+    });
+  }
+
+  function cancel() {
+    cancelled = true;
+    cancelGet();
+    cancelLoad();
+    done.apply(null, arguments);
+  }
+
+  return cancel;
+};
+
+
+/**
+ * Loads a tile from the wrapped source into the cache, unless it is already
+ * cached.
+ * @param {Stage} stage
+ * @param {Tile} tile
+ * @param {function(?Error)} done The callback.
+ * @return {function()} A function to cancel the operation.
+ */
+CachedSource.prototype.prefetchTile = function(stage, tile, done) {
+  var self = this;
+  var key = this._keyFromTile(tile);
+  var cancelled = false;
+  var cancelLoad = noop;
+
+  done = once(done);
+
+  if (!CachedSource.supported()) {
+    done(new Error('CachedSource: caching is not supported by the browser'));
+    return noop;
+  }
+
+  this._cache.has(key, function(err, has) {
+    if (cancelled) {
+      return;
+    }
+    if (!err && has) {
+      done(null);
+      return;
+    }
+    cancelLoad = self._source.loadAsset(stage, tile, function(err, tile, asset) {
+      if (cancelled) {
+        return;
+      }
+      if (err) {
+        done(err);
+        return;
+      }
+      if (asset.isDynamic()) {
+        asset.destroy();
+        done(null);
+        return;
+      }
+      self._store(key, asset, done);
+      asset.destroy();
+    });
+  });
+
+  function cancel() {
+    cancelled = true;
+    cancelLoad();
+    done.apply(null, arguments);
+  }
+
+  return cancel;
+};
+
+
+CachedSource.prototype.reprioritize = function() {
+  if (this._source.reprioritize) {
+    this._source.reprioritize();
+  }
+};
+
+
+// Stores the encoded image of an asset in the cache. The image is retrieved
+// synchronously, so the asset may be destroyed as soon as this returns.
+CachedSource.prototype._store = function(key, asset, done) {
+  var blob = cachedBlob(asset);
+  if (!blob) {
+    done(new Error('CachedSource: the tile image data is not available'));
+    return;
+  }
+  this._cache.put(key, blob, done);
+};
+
+
+CachedSource.prototype._decode = function(blob, done) {
+  var createImageBitmap = global.createImageBitmap;
+  var rect = parseRect(blob.type);
+
+  function handleBitmap(bitmap) {
+    done(null, new StaticAsset(bitmap));
+  }
+
+  if (!rect) {
+    createImageBitmap(blob, createImageBitmapOpts).then(handleBitmap, done);
+    return;
+  }
+
+  // Decode the full image, then crop it; see FetchImageLoader.
+  createImageBitmap(blob).then(function(full) {
+    return createImageBitmap(full,
+        rect.x * full.width, rect.y * full.height,
+        rect.width * full.width, rect.height * full.height,
+        createImageBitmapOpts).then(function(bitmap) {
+      full.close();
+      handleBitmap(bitmap);
+    });
+  }).then(null, done);
+};
+
+
+// Returns the blob to store in the cache for an asset, or null if the encoded
+// image it was decoded from is unknown. When the asset holds a portion of the
+// image, the rect is recorded as a parameter of the blob media type, which is
+// preserved by every storage backend.
+function cachedBlob(asset) {
+  var blob = asset.blob ? asset.blob() : null;
+  if (!blob) {
+    return null;
+  }
+  var rect = asset.rect ? asset.rect() : null;
+  if (!rect) {
+    return blob;
+  }
+  var type = blob.type + ';' + rectParam + '=' +
+      [ rect.x, rect.y, rect.width, rect.height ].join(',');
+  return new global.Blob([ blob ], { type: type });
+}
+
+
+// Returns the rect recorded in a blob media type, or null if none.
+function parseRect(type) {
+  var match = rectRegExp.exec(type || '');
+  if (!match) {
+    return null;
+  }
+  var values = match[1].split(',').map(Number);
+  return { x: values[0], y: values[1], width: values[2], height: values[3] };
+}
+
+
+module.exports = CachedSource;
@@ -17,10 +17,15 @@
 
 var eventEmitter = require('minimal-event-emitter');
 var NetworkError = require('../NetworkError');
-var WorkPool = require('../collections/WorkPool');
+var NotFoundError = require('../NotFoundError');
+var ForbiddenError = require('../ForbiddenError');
+var DecodeError = require('../DecodeError');
+var StaticAsset = require('../assets/Static');
+var PriorityWorkPool = require('../collections/PriorityWorkPool');
 var chain = require('../util/chain');
 var delay = require('../util/delay');
 var now = require('../util/now');
+var global = require('../util/global');
 
 
 // Map template properties to their corresponding tile properties.
@@ -31,6 +36,23 @@ var templateProperties = {
   f: 'face'
 };
 
+// Template properties that accept an offset and a zero-padded width.
+var numericTemplateProperties = {
+  x: true,
+  y: true,
+  z: true
+};
+
+// Map template properties to the fromString options providing their values.
+var templateOptions = {
+  l: 'levelNames',
+  s: 'shards'
+};
+
+// Matches the contents of a template placeholder: a property name, followed
+// by an optional offset and an optional zero-padded width, as in {x+1:03}.
+var placeholderRegExp = /^([a-z]+)([+-]\d+)?(?::(\d+))?$/;
+
 // Default face order for cube maps.
 var defaultCubeMapFaceOrder = 'bdflru';
 
@@ -40,6 +62,34 @@ var defaultConcurrency = 4;
 // Default milliseconds to wait before retrying failed requests.
 var defaultRetryDelay = 10000;
 
+// Default factor by which the retry delay grows after each consecutive failure.
+var defaultRetryBackoff = 1;
+
+// Default upper bound for the retry delay.
+var defaultMaxRetryDelay = Infinity;
+
+// Default fraction of the retry delay that is randomized.
+var defaultRetryJitter = 0;
+
+// Default maximum number of attempts to make before giving up on a request.
+var defaultMaxAttempts = Infinity;
+
+// Options for createImageBitmap when cropping an image which is not already an
+// image bitmap. The result is stored upside down, as for the image loaders.
+var createImageBitmapOpts = {
+  imageOrientation: 'flipY',
+  premultiplyAlpha: 'premultiply'
+};
+
+
+// Default predicate deciding whether a failed request should be retried.
+// Missing or forbidden resources and undecodable images are not expected to
+// become available by retrying.
+function defaultShouldRetry(err) {
+  return !(err instanceof NotFoundError || err instanceof ForbiddenError ||
+           err instanceof DecodeError);
+}
+
 
 /**
  * @class ImageUrlSource
@@ -56,20 +106,65 @@ var defaultRetryDelay = 10000;
  * @param {Object} opts
  * @param {number} [opts.concurrency=4] Maximum number of tiles to request at
  *     the same time. The limit is per {@link ImageSourceUrl} instance.
+ *     Concurrent requests for tiles sharing the same URL, such as the faces of
+ *     a cube map preview image, count as a single request: the image is
+ *     loaded once and cropped for each tile with `createImageBitmap`. Where
+ *     `createImageBitmap` is unavailable, only requests for the same portion
+ *     of the image are combined.
  * @param {number} [opts.retryDelay=10000] Time in milliseconds to wait before
  *     retrying a failed request.
+ * @param {number} [opts.retryBackoff=1] Factor by which the retry delay is
+ *     multiplied after each consecutive failure of the same request.
+ * @param {number} [opts.maxRetryDelay=Infinity] Maximum time in milliseconds to
+ *     wait before retrying a failed request.
+ * @param {number} [opts.retryJitter=0] Fraction between 0 and 1 by which the
+ *     retry delay is randomly reduced, so that requests that failed together
+ *     are not retried together.
+ * @param {number} [opts.maxAttempts=Infinity] Maximum number of consecutive
+ *     failed attempts to make before giving up on a request.
+ * @param {function(Error): boolean} [opts.shouldRetry] Function that decides
+ *     whether a failed request should be retried. By default, requests failing
+ *     with a {@link NotFoundError}, {@link ForbiddenError} or
+ *     {@link DecodeError} are not retried.
+ *
+ * Pending requests are started in the order given by
+ * {@link Stage#tilePriority}, so that lower resolution levels and tiles closer
+ * to the center of the view are loaded first. When every request slot is
+ * taken, a request in progress that is outranked by a pending request for a
+ * lower resolution level is cancelled and returned to the queue.
+ *
+ * Only requests failing with a {@link NetworkError} or a {@link DecodeError}
+ * are subject to the retry policy above. When the source gives up on a
+ * request, the {@link TextureStore} stops retrying it and the tile is rendered
+ * using the fallback from other levels.
+ *
+ * On a {@link WebGlStage}, URLs with a `.ktx2` extension are loaded as
+ * compressed textures; see {@link Ktx2Loader}. Such URLs must not be given a
+ * crop rectangle.
  */
 function ImageUrlSource(sourceFromTile, opts) {
 
   opts = opts ? opts : {};
 
-  this._loadPool = new WorkPool({
+  this._loadPool = new PriorityWorkPool({
     concurrency: opts.concurrency || defaultConcurrency
   });
 
   this._retryDelay = opts.retryDelay || defaultRetryDelay;
+  this._retryBackoff = opts.retryBackoff || defaultRetryBackoff;
+  this._maxRetryDelay = opts.maxRetryDelay || defaultMaxRetryDelay;
+  this._retryJitter = opts.retryJitter || defaultRetryJitter;
+  this._maxAttempts = opts.maxAttempts || defaultMaxAttempts;
+  this._shouldRetry = opts.shouldRetry || defaultShouldRetry;
+
+  // Map the URLs of failed requests into the time of the last failure, the
+  // delay to wait before retrying and the number of consecutive failures.
   this._retryMap = {};
 
+  // Map the URLs of pending requests into the group of concurrent requests for
+  // that URL, which share a single slot in the load pool.
+  this._groupMap = {};
+
   this._sourceFromTile = sourceFromTile;
 }
 
@@ -80,25 +175,34 @@ ImageUrlSource.prototype.loadAsset = function(stage, tile, done) {
 
   var self = this;
 
-  var retryDelay = this._retryDelay;
   var retryMap = this._retryMap;
 
   var tileSource = this._sourceFromTile(tile);
   var url = tileSource.url;
   var rect = tileSource.rect;
 
-  var loadImage = stage.loadImage.bind(stage, url, rect);
-
   var loadFn = function(done) {
-    // TODO: Deduplicate load requests for the same URL. Although the browser
-    // might be smart enough to avoid duplicate requests, they are still unduly
-    // impacted by the concurrency parameter.
-    return self._loadPool.push(loadImage, function(err, asset) {
+    // Concurrent requests for the same URL fail together, and must count as a
+    // single failed attempt.
+    var failures = retryMap[url] ? retryMap[url].failures + 1 : 1;
+    return self._loadImage(stage, tile, url, rect, function(err, asset) {
       if (err) {
-        if (err instanceof NetworkError) {
-          // If a network error occurred, wait before retrying.
-          retryMap[url] = now();
-          self.emit('networkError', err, tile);
+        if (err instanceof NetworkError || err instanceof DecodeError) {
+          if (failures >= self._maxAttempts || !self._shouldRetry(err)) {
+            // Give up on the request.
+            delete retryMap[url];
+            err.permanent = true;
+          } else {
+            // Wait before retrying.
+            retryMap[url] = {
+              time: now(),
+              delay: self._retryDelayAfter(failures),
+              failures: failures
+            };
+          }
+          if (err instanceof NetworkError) {
+            self.emit('networkError', err, tile);
+          }
         }
         done(err, tile);
       } else {
@@ -111,17 +215,16 @@ ImageUrlSource.prototype.loadAsset = function(stage, tile, done) {
 
   // Check whether we are retrying a failed request.
   var delayAmount;
-  var lastTime = retryMap[url];
-  if (lastTime != null) {
+  var retryEntry = retryMap[url];
+  if (retryEntry != null) {
     var currentTime = now();
-    var elapsed = currentTime - lastTime;
-    if (elapsed < retryDelay) {
+    var elapsed = currentTime - retryEntry.time;
+    if (elapsed < retryEntry.delay) {
       // Wait before retrying.
-      delayAmount = retryDelay - elapsed;
+      delayAmount = retryEntry.delay - elapsed;
     } else {
       // Retry timeout expired; perform the request at once.
       delayAmount = 0;
-      delete retryMap[url];
     }
   }
 
@@ -131,15 +234,411 @@ ImageUrlSource.prototype.loadAsset = function(stage, tile, done) {
 };
 
 
+// Loads an image through the stage, coalescing concurrent requests for the same
+// URL into a single load, which takes a single slot in the load pool. When
+// every request in the group is for the same rect, the rect is passed on to
+// the stage, so that the loader crops the image. Otherwise, the full image is
+// loaded and cropped for each request. Requests may be cancelled individually;
+// the load itself is only cancelled, and the slot released, once every request
+// in the group has been cancelled.
+//
+// The group is prioritized according to its most urgent tile. If the pool
+// demotes the group to make room for a more urgent one, the load is cancelled
+// and later restarted.
+ImageUrlSource.prototype._loadImage = function(stage, tile, url, rect, done) {
+  var groupMap = this._groupMap;
+
+  rect = normalizeRect(rect);
+
+  var request = { stage: stage, tile: tile, rect: rect, done: done, finished: false };
+
+  // Without createImageBitmap, a full image cannot be cropped off the main
+  // thread, so requests for different rects are not combined.
+  var key = global.createImageBitmap ? url : url + '#' + rectKey(rect);
+
+  var group = groupMap[key];
+  var isNewGroup = !group;
+  if (isNewGroup) {
+    group = groupMap[key] = {
+      url: url, stage: stage, requests: [], started: false, settled: false,
+      attempt: null, loadRect: null, cancelLoad: null, finish: null,
+      cancel: null
+    };
+  }
+
+  group.requests.push(request);
+
+  if (group.attempt && group.loadRect && !sameRect(group.loadRect, rect)) {
+    // The load in progress is cropped to a different rect; load the full image
+    // instead.
+    cancelAttempt(group);
+    scheduleLoad(group);
+  }
+
+  if (isNewGroup) {
+    var pushing = true;
+    group.cancel = this._loadPool.push(function(finish) {
+      group.started = true;
+      group.finish = finish;
+      if (pushing) {
+        // Wait for the requests made together with this one.
+        scheduleLoad(group);
+      } else {
+        startLoad(group);
+      }
+      return function suspend() {
+        suspendGroup(group);
+      };
+    }, function() {
+      if (groupMap[key] === group) {
+        delete groupMap[key];
+      }
+    }, function() {
+      return groupPriority(group);
+    });
+    pushing = false;
+  }
+
+  function cancel() {
+    if (request.finished) {
+      return;
+    }
+    request.finished = true;
+    removeRequest(group, request);
+    request.done.apply(null, arguments);
+    if (group.settled || group.requests.length) {
+      // The load has completed, or other requests are still waiting for it.
+      return;
+    }
+    if (group.started) {
+      suspendGroup(group);
+    } else {
+      // The load has not started yet; give up the slot.
+      group.cancel();
+    }
+  }
+
+  return cancel;
+};
+
+
+/**
+ * Reorders pending requests according to the current tile priorities, as
+ * given by {@link Stage#tilePriority}. Called by the {@link TextureStore} on
+ * every frame.
+ */
+ImageUrlSource.prototype.reprioritize = function() {
+  this._loadPool.reprioritize();
+};
+
+
+// Starts loading the image for a group after a zero delay. Requests made
+// together each arrive after a zero delay of their own (see loadAsset), so
+// they have joined the group by the time its rect is chosen.
+function scheduleLoad(group) {
+  var attempt = {};
+  group.attempt = attempt;
+  group.loadRect = null;
+  group.cancelLoad = delay(0, function() {
+    if (group.attempt === attempt) {
+      startLoad(group);
+    }
+  });
+}
+
+
+// Starts loading the image for a group, cropped to the rect shared by every
+// request, if any. Callbacks from loads that have since been suspended are
+// ignored.
+function startLoad(group) {
+  var attempt = {};
+  group.attempt = attempt;
+  group.loadRect = commonRect(group.requests);
+  var cancelLoad = group.stage.loadImage(group.url, group.loadRect, function(err, asset) {
+    if (group.attempt !== attempt) {
+      return;
+    }
+    group.attempt = null;
+    group.cancelLoad = null;
+    settleGroup(group, err, asset);
+  });
+  if (group.attempt === attempt) {
+    group.cancelLoad = cancelLoad;
+  }
+}
+
+
+// Hands out the result of the load to the requests in a group, and releases
+// its slot in the pool.
+function settleGroup(group, err, asset) {
+  var requests = group.requests;
+  var i;
+
+  group.settled = true;
+  group.started = false;
+  group.requests = [];
+  group.finish();
+
+  if (err) {
+    for (i = 0; i < requests.length; i++) {
+      finishRequest(requests[i], err);
+    }
+    return;
+  }
+
+  // Requests for the rect that was loaded receive the asset as is. The others
+  // are cropped from it, which is only the case when the full image was loaded.
+  var loadedRequests = [];
+  var cropRequests = [];
+  for (i = 0; i < requests.length; i++) {
+    if (sameRect(requests[i].rect, group.loadRect)) {
+      loadedRequests.push(requests[i]);
+    } else {
+      cropRequests.push(requests[i]);
+    }
+  }
+
+  // Start cropping before handing out the asset, since it may be destroyed as
+  // soon as it has been handed out. Once every rect has been cut from it, the
+  // asset is released unless it has been handed out.
+  var element = asset.element ? asset.element() : null;
+  var remaining = cropRequests.length;
+  var cropDone = function(request, err, cropped) {
+    finishRequest(request, err, cropped);
+    if (--remaining === 0 && !loadedRequests.length) {
+      releaseAsset(asset, element);
+    }
+  };
+  for (i = 0; i < cropRequests.length; i++) {
+    cropAsset(asset, cropRequests[i].rect, cropDone.bind(null, cropRequests[i]));
+  }
+
+  // Each request receives an asset of its own, as it is destroyed once the tile
+  // is unloaded.
+  for (i = 0; i < loadedRequests.length; i++) {
+    finishRequest(loadedRequests[i], null, i === 0 ? asset : cloneAsset(asset));
+  }
+
+  if (!cropRequests.length && !loadedRequests.length) {
+    releaseAsset(asset, element);
+  }
+}
+
+
+// Destroys an asset which has not been handed out, closing its image bitmap.
+function releaseAsset(asset, element) {
+  if (global.ImageBitmap && element instanceof global.ImageBitmap) {
+    element.close();
+  }
+  asset.destroy();
+}
+
+
+function finishRequest(request, err, asset) {
+  if (request.finished) {
+    // The request was cancelled while its asset was being cropped.
+    if (asset) {
+      asset.destroy();
+    }
+    return;
+  }
+  request.finished = true;
+  if (err) {
+    request.done(err);
+  } else {
+    request.done(null, asset);
+  }
+}
+
+
+function removeRequest(group, request) {
+  var index = group.requests.indexOf(request);
+  if (index >= 0) {
+    group.requests.splice(index, 1);
+  }
+}
+
+
+// Cancels the load in progress for a group, without calling back, and releases
+// its slot in the pool so that it can be restarted later.
+function suspendGroup(group) {
+  if (!group.started) {
+    return;
+  }
+  group.started = false;
+  cancelAttempt(group);
+  group.finish();
+}
+
+
+// Cancels the load in progress for a group, without calling back.
+function cancelAttempt(group) {
+  var cancelLoad = group.cancelLoad;
+  group.attempt = null;
+  group.cancelLoad = null;
+  if (cancelLoad) {
+    cancelLoad();
+  }
+}
+
+
+// Returns a rect with its defaults filled in, or null for the full image.
+function normalizeRect(rect) {
+  if (!rect) {
+    return null;
+  }
+  var x = rect.x || 0;
+  var y = rect.y || 0;
+  var width = rect.width || 1;
+  var height = rect.height || 1;
+  if (x === 0 && y === 0 && width === 1 && height === 1) {
+    return null;
+  }
+  return { x: x, y: y, width: width, height: height };
+}
+
+
+function sameRect(rect1, rect2) {
+  return rectKey(rect1) === rectKey(rect2);
+}
+
+
+function rectKey(rect) {
+  return rect ? [rect.x, rect.y, rect.width, rect.height].join(',') : '';
+}
+
+
+// Returns the rect shared by every request in a list, or null if they differ
+// or are for the full image.
+function commonRect(requests) {
+  var rect = requests.length ? requests[0].rect : null;
+  for (var i = 1; i < requests.length; i++) {
+    if (!sameRect(requests[i].rect, rect)) {
+      return null;
+    }
+  }
+  return rect;
+}
+
+
+// Returns a copy of an asset sharing the same contents. Destroying an asset
+// only clears its own properties, so the copy survives the original.
+function cloneAsset(asset) {
+  var clone = Object.create(Object.getPrototypeOf(asset));
+  for (var key in asset) {
+    if (asset.hasOwnProperty(key)) {
+      clone[key] = asset[key];
+    }
+  }
+  return clone;
+}
+
+
+// Crops an asset to a rect in normalized coordinates, off the main thread where
+// the browser allows.
+function cropAsset(asset, rect, done) {
+  var element = asset.element ? asset.element() : null;
+  if (!element) {
+    // Such an asset will never be croppable, so the request must not be
+    // retried.
+    var err = new DecodeError('Cannot crop an image without a pixel source');
+    err.permanent = true;
+    done(err);
+    return;
+  }
+
+  var fullWidth = asset.width();
+  var fullHeight = asset.height();
+  var x = rect.x * fullWidth;
+  var y = rect.y * fullHeight;
+  var width = rect.width * fullWidth;
+  var height = rect.height * fullHeight;
+
+  // Keep track of the encoded image, so that the tile may still be cached; see
+  // CachedSource.
+  var blob = asset.blob ? asset.blob() : null;
+  var assetOpts = blob ? { blob: blob, rect: subRect(asset.rect(), rect) } : null;
+
+  var cropped;
+  if (global.ImageBitmap && element instanceof global.ImageBitmap) {
+    // Image bitmaps are decoded upside down, as the orientation flip cannot be
+    // applied at texture upload time. The crop keeps the orientation, so the
+    // rect must be flipped as well.
+    y = fullHeight - y - height;
+    cropped = global.createImageBitmap(element, x, y, width, height);
+  } else {
+    cropped = global.createImageBitmap(element, x, y, width, height,
+        createImageBitmapOpts);
+  }
+
+  cropped.then(function(bitmap) {
+    done(null, new StaticAsset(bitmap, assetOpts));
+  }, function() {
+    done(new DecodeError('Failed to crop image'));
+  });
+}
+
+
+// Returns the rect of an image covered by a rect within a portion of it.
+function subRect(outer, inner) {
+  if (!outer) {
+    return inner;
+  }
+  return {
+    x: outer.x + inner.x * outer.width,
+    y: outer.y + inner.y * outer.height,
+    width: inner.width * outer.width,
+    height: inner.height * outer.height
+  };
+}
+
+
+// Returns the priority of the most urgent tile in a group. Tiles for which the
+// stage does not report a priority are the least urgent.
+function groupPriority(group) {
+  var priority = Infinity;
+  for (var i = 0; i < group.requests.length; i++) {
+    var request = group.requests[i];
+    var stage = request.stage;
+    var tilePriority = stage.tilePriority ? stage.tilePriority(request.tile) : null;
+    if (tilePriority != null && tilePriority < priority) {
+      priority = tilePriority;
+    }
+  }
+  return priority;
+}
+
+
+// Returns the time to wait before retrying a request that has failed the given
+// number of consecutive times.
+ImageUrlSource.prototype._retryDelayAfter = function(failures) {
+  var amount = this._retryDelay * Math.pow(this._retryBackoff, failures - 1);
+  amount = Math.min(amount, this._maxRetryDelay);
+  return amount * (1 - this._retryJitter * Math.random());
+};
+
+
 /**
  * Creates an ImageUrlSource from a string template.
  *
  * @param {String} url Tile URL template, which may contain the following
  *    placeholders:
- *    - `{f}` : tile face (one of `b`, `d`, `f`, `l`, `r`, `u`)
+ *    - `{f}` : tile face (one of `b`, `d`, `f`, `l`, `r`, `u`, or the
+ *      corresponding name given by the `faceNames` option)
  *    - `{z}` : tile level index (0 is the smallest level)
  *    - `{x}` : tile horizontal index
  *    - `{y}` : tile vertical index
+ *    - `{l}` : tile level name, given by the `levelNames` option
+ *    - `{s}` : one of the values of the `shards` option, chosen from the tile
+ *      coordinates so that requests are spread across several hosts while each
+ *      tile is always requested from the same one
+ *
+ *    The numeric placeholders `{x}`, `{y}` and `{z}` may be followed by an
+ *    offset and a zero-padded width. For example, `{x+1:03}` is replaced by
+ *    the 1-based horizontal index padded to three digits.
+ *
+ *    Tile properties not present in the tile, such as the face of a tile in a
+ *    {@link FlatGeometry}, are replaced by an empty string.
  * @param {Object} opts In addition to the options already supported by the
  *     {@link ImageUrlSource} constructor.
  * @param {String} opts.cubeMapPreviewUrl URL to use as the preview level.
@@ -147,27 +646,36 @@ ImageUrlSource.prototype.loadAsset = function(stage, tile, done) {
  *     vertically according to the face order parameter.
  * @param {String} [opts.cubeMapPreviewFaceOrder='bdflru'] Face order within
  *     the preview image.
+ * @param {Object} [opts.faceNames] Map from face letters to the names used in
+ *     place of `{f}`, such as `{ f: 'front', b: 'back' }`. Faces not in the
+ *     map keep their letter.
+ * @param {String[]} [opts.levelNames] Names used in place of `{l}`, indexed by
+ *     level.
+ * @param {String[]} [opts.shards] Values used in place of `{s}`, such as host
+ *     name aliases.
+ * @param {Rect} [opts.rect] Portion of each tile image to use, in normalized
+ *     coordinates. This is useful when an image holds more than one tile, such
+ *     as the two eyes of a stereo panorama. It does not apply to the cube map
+ *     preview image.
+ * @throws An error if the template is malformed or uses a placeholder whose
+ *     option is missing.
  */
 ImageUrlSource.fromString = function(url, opts) {
   opts = opts || {};
 
   var faceOrder = opts && opts.cubeMapPreviewFaceOrder || defaultCubeMapFaceOrder;
 
+  var urlFromTile = compileTemplate(url, opts);
+
   var urlFn = opts.cubeMapPreviewUrl ? withPreview : withoutPreview;
 
   return new ImageUrlSource(urlFn, opts);
 
   function withoutPreview(tile) {
-    var tileUrl = url;
-
-    for (var property in templateProperties) {
-      var templateProperty = templateProperties[property];
-      var regExp = propertyRegExp(property);
-      var valueFromTile = tile.hasOwnProperty(templateProperty) ? tile[templateProperty] : '';
-      tileUrl = tileUrl.replace(regExp, valueFromTile);
+    if (opts.rect) {
+      return { url: urlFromTile(tile), rect: opts.rect };
     }
-
-    return { url: tileUrl };
+    return { url: urlFromTile(tile) };
   }
 
   function withPreview(tile) {
@@ -188,9 +696,113 @@ ImageUrlSource.fromString = function(url, opts) {
   }
 };
 
-function propertyRegExp(property) {
-  var regExpStr = '\\{(' + property + ')\\}';
-  return new RegExp(regExpStr, 'g');
+
+// Compiles a URL template into a function from a tile into its URL.
+// Throws if the template is malformed.
+function compileTemplate(url, opts) {
+  var parts = [];
+  var regExp = /\{([^{}]*)\}/g;
+  var lastIndex = 0;
+  var match;
+
+  while ((match = regExp.exec(url))) {
+    pushLiteral(url.slice(lastIndex, match.index));
+    parts.push(compilePlaceholder(url, match[1], opts));
+    lastIndex = regExp.lastIndex;
+  }
+  pushLiteral(url.slice(lastIndex));
+
+  function pushLiteral(str) {
+    if (/[{}]/.test(str)) {
+      throw templateError(url, 'unbalanced brace');
+    }
+    if (str) {
+      parts.push(str);
+    }
+  }
+
+  return function urlFromTile(tile) {
+    var result = '';
+    for (var i = 0; i < parts.length; i++) {
+      result += typeof parts[i] === 'string' ? parts[i] : parts[i](tile);
+    }
+    return result;
+  };
+}
+
+
+// Compiles a single placeholder into a function from a tile into its value.
+function compilePlaceholder(url, placeholder, opts) {
+  var match = placeholderRegExp.exec(placeholder);
+  if (!match) {
+    throw templateError(url, 'invalid placeholder {' + placeholder + '}');
+  }
+
+  var name = match[1];
+  var offset = match[2] ? parseInt(match[2], 10) : 0;
+  var width = match[3] ? parseInt(match[3], 10) : 0;
+
+  if (!templateProperties.hasOwnProperty(name) && !templateOptions.hasOwnProperty(name)) {
+    throw templateError(url, 'unknown placeholder {' + placeholder + '}');
+  }
+  if ((match[2] || match[3]) && !numericTemplateProperties.hasOwnProperty(name)) {
+    throw templateError(url, 'placeholder {' + name + '} is not numeric');
+  }
+  if (templateOptions.hasOwnProperty(name)) {
+    var values = opts[templateOptions[name]];
+    if (!values || !values.length) {
+      throw templateError(url, 'placeholder {' + name + '} requires the ' +
+          templateOptions[name] + ' option');
+    }
+  }
+
+  switch (name) {
+    case 'f':
+      return function(tile) {
+        var face = tileProperty(tile, 'face');
+        var faceNames = opts.faceNames;
+        return faceNames && faceNames.hasOwnProperty(face) ? faceNames[face] : face;
+      };
+    case 'l':
+      return function(tile) {
+        var levelName = opts.levelNames[tile.z];
+        return levelName != null ? String(levelName) : '';
+      };
+    case 's':
+      return function(tile) {
+        // Sum the tile coordinates so that neighboring tiles are assigned to
+        // different shards.
+        var faceIndex = Math.max(0, defaultCubeMapFaceOrder.indexOf(tile.face));
+        var sum = (tile.x || 0) + (tile.y || 0) + (tile.z || 0) + faceIndex;
+        return opts.shards[sum % opts.shards.length];
+      };
+    default:
+      return function(tile) {
+        var value = tileProperty(tile, templateProperties[name]);
+        return value === '' ? value : zeroPad(Number(value) + offset, width);
+      };
+  }
+}
+
+
+// Returns a tile property as a string, or an empty string when not present.
+function tileProperty(tile, property) {
+  return tile.hasOwnProperty(property) ? String(tile[property]) : '';
 }
 
+
+function zeroPad(number, width) {
+  var str = String(number);
+  while (str.length < width) {
+    str = '0' + str;
+  }
+  return str;
+}
+
+
+function templateError(url, reason) {
+  return new Error('Malformed URL template "' + url + '": ' + reason);
+}
+
+
 module.exports = ImageUrlSource;
@@ -0,0 +1,441 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var DynamicAsset = require('../assets/Dynamic');
+var Map = require('../collections/Map');
+var proceduralWorker = require('./proceduralWorker');
+var inherits = require('../util/inherits');
+var global = require('../util/global');
+var once = require('../util/once');
+var clearOwnProperties = require('../util/clearOwnProperties');
+
+var defaultPoolSize = 16;
+
+
+// A dynamic asset holding the canvas a tile has been drawn into. The canvas is
+// replaced when the tile is redrawn, and returned into the pool when the asset
+// is destroyed.
+function ProceduralAsset(canvas, onDestroy) {
+  ProceduralAsset.super_.call(this, canvas);
+  this._onDestroy = onDestroy;
+}
+
+inherits(ProceduralAsset, DynamicAsset);
+
+
+ProceduralAsset.prototype.destroy = function() {
+  this._onDestroy(this);
+  DynamicAsset.prototype.destroy.call(this);
+};
+
+
+// Replaces the canvas and returns the previous one.
+ProceduralAsset.prototype._replaceCanvas = function(canvas) {
+  var previous = this._element;
+  this._element = canvas;
+  this.markDirty();
+  return previous;
+};
+
+
+/**
+ * @class ProceduralSource
+ * @implements Source
+ * @classdesc
+ *
+ * A {@link Source} whose tiles are drawn into a canvas by a function, such as
+ * for generated grids, debug patterns or data overlays. It may be used with
+ * any {@link Geometry}.
+ *
+ * The draw function is called with the tile and a canvas sized to the tile
+ * dimensions, into which it must draw using a 2D context. It may return a
+ * promise to signal when an asynchronous drawing is complete. If it throws or
+ * the promise is rejected, the tile is not displayed.
+ *
+ * Canvases are reused across tiles, up to the number given by the `poolSize`
+ * option. The contents of a canvas are always cleared before it is reused.
+ *
+ * A tile that has already been drawn may be redrawn with
+ * {@link ProceduralSource#invalidate} or {@link ProceduralSource#invalidateAll},
+ * after the data it depends on has changed. The previous contents keep being
+ * displayed until the redrawing is complete.
+ *
+ * If the `worker` option is set and {@link ProceduralSource.workerSupported}
+ * returns true, drawing happens in a Web Worker, into an `OffscreenCanvas`.
+ * The draw function is then run from its source text, so it must be
+ * self-contained: it may not refer to any variables outside of it. It receives
+ * a plain object describing the tile instead of the tile itself, with `face`
+ * (for cube tiles only), `x`, `y`, `z`, `width`, `height`, `levelWidth` and
+ * `levelHeight` properties. The worker is created from a `blob:` URL, which
+ * must be allowed by the Content Security Policy of the page, if any. If a
+ * worker is not supported, drawing happens on the main thread, with the same
+ * tile description.
+ *
+ * @param {function(Tile, HTMLCanvasElement): (Promise|undefined)} draw The draw
+ *     function.
+ * @param {Object} opts
+ * @param {boolean} [opts.worker=false] Whether to draw in a Web Worker.
+ * @param {number} [opts.poolSize=16] The maximum number of unused canvases to
+ *     keep for reuse.
+ */
+function ProceduralSource(draw, opts) {
+  opts = opts || {};
+
+  if (typeof draw !== 'function') {
+    throw new Error('ProceduralSource: draw function is required');
+  }
+
+  this._draw = draw;
+  this._workerRequested = !!opts.worker;
+  this._useWorker = this._workerRequested && ProceduralSource.workerSupported();
+  this._poolSize = opts.poolSize != null ? opts.poolSize : defaultPoolSize;
+
+  // Unused canvases available for reuse.
+  this._pool = [];
+
+  // Map from tile into the asset for the tiles drawn so far.
+  this._assets = new Map();
+
+  // Map from tile into an object with a `stale` property, for the tiles being
+  // drawn for the first time.
+  this._loading = new Map();
+
+  // Map from tile into the function to cancel redrawing it.
+  this._redraws = new Map();
+
+  this._worker = null;
+  this._workerUrl = null;
+
+  // Map from worker request id into the callback for pending requests.
+  this._requests = {};
+  this._nextId = 1;
+
+  this._handleMessage = this._handleMessage.bind(this);
+  this._handleError = this._handleError.bind(this);
+}
+
+
+/**
+ * Returns whether the browser APIs required to draw in a Web Worker are
+ * available.
+ * @return {boolean}
+ */
+ProceduralSource.workerSupported = function() {
+  var URL = global.URL;
+  return !!(global.Worker && global.Blob && URL && URL.createObjectURL &&
+            global.OffscreenCanvas);
+};
+
+
+/**
+ * Destructor. Stops the worker, if any.
+ */
+ProceduralSource.prototype.destroy = function() {
+  var cancels = [];
+  this._redraws.forEach(function(tile, cancel) {
+    cancels.push(cancel);
+  });
+  for (var i = 0; i < cancels.length; i++) {
+    cancels[i]();
+  }
+  if (this._worker) {
+    this._worker.terminate();
+    global.URL.revokeObjectURL(this._workerUrl);
+  }
+  clearOwnProperties(this);
+};
+
+
+ProceduralSource.prototype.loadAsset = function(stage, tile, done) {
+  var self = this;
+
+  var state = { stale: false };
+  this._loading.set(tile, state);
+
+  var canvas = this._acquireCanvas(tile);
+  var finished = false;
+
+  var cancelDraw = this._drawTile(tile, canvas, function(err) {
+    finished = true;
+    self._loading.del(tile);
+    if (err) {
+      self._releaseCanvas(canvas);
+      done(err, tile);
+      return;
+    }
+    var asset = new ProceduralAsset(canvas, function() {
+      self._assetDestroyed(tile, asset);
+    });
+    self._assets.set(tile, asset);
+    done(null, tile, asset);
+    if (state.stale) {
+      self._redraw(tile, asset);
+    }
+  });
+
+  function cancel() {
+    if (!finished) {
+      finished = true;
+      self._loading.del(tile);
+      cancelDraw();
+      self._releaseCanvas(canvas);
+    }
+    done.apply(null, arguments);
+  }
+
+  return cancel;
+};
+
+
+/**
+ * Redraws a tile. Has no effect if the tile is not currently loaded.
+ * @param {Tile} tile The tile.
+ */
+ProceduralSource.prototype.invalidate = function(tile) {
+  var asset = this._assets.get(tile);
+  if (asset) {
+    this._redraw(tile, asset);
+    return;
+  }
+  var state = this._loading.get(tile);
+  if (state) {
+    // The drawing in progress may reflect outdated data, so draw again once
+    // it is complete.
+    state.stale = true;
+  }
+};
+
+
+/**
+ * Redraws all loaded tiles, or those for which a filter function returns true.
+ * @param {function(Tile): boolean} [filter] The filter function.
+ */
+ProceduralSource.prototype.invalidateAll = function(filter) {
+  var tiles = [];
+  function collect(tile) {
+    if (!filter || filter(tile)) {
+      tiles.push(tile);
+    }
+  }
+  this._assets.forEach(collect);
+  this._loading.forEach(collect);
+  for (var i = 0; i < tiles.length; i++) {
+    this.invalidate(tiles[i]);
+  }
+};
+
+
+ProceduralSource.prototype._redraw = function(tile, asset) {
+  var self = this;
+
+  var previousCancel = this._redraws.get(tile);
+  if (previousCancel) {
+    previousCancel();
+  }
+
+  var canvas = this._acquireCanvas(tile);
+
+  var cancelDraw = this._drawTile(tile, canvas, function(err) {
+    self._redraws.del(tile);
+    if (err) {
+      // Keep displaying the previous contents.
+      self._releaseCanvas(canvas);
+      return;
+    }
+    self._releaseCanvas(asset._replaceCanvas(canvas));
+  });
+
+  this._redraws.set(tile, function() {
+    self._redraws.del(tile);
+    cancelDraw();
+    self._releaseCanvas(canvas);
+  });
+};
+
+
+ProceduralSource.prototype._assetDestroyed = function(tile, asset) {
+  if (this._assets.get(tile) === asset) {
+    this._assets.del(tile);
+    var cancel = this._redraws.get(tile);
+    if (cancel) {
+      cancel();
+    }
+  }
+  this._releaseCanvas(asset.element());
+};
+
+
+ProceduralSource.prototype._acquireCanvas = function(tile) {
+  var canvas = this._pool.pop() || global.document.createElement('canvas');
+  // Setting the dimensions also clears the contents.
+  canvas.width = tile.width();
+  canvas.height = tile.height();
+  return canvas;
+};
+
+
+ProceduralSource.prototype._releaseCanvas = function(canvas) {
+  if (this._pool.length < this._poolSize && this._pool.indexOf(canvas) < 0) {
+    this._pool.push(canvas);
+  }
+};
+
+
+// Draws a tile into a canvas, either on the main thread or in the worker.
+// Returns a function to cancel drawing, after which done is not called.
+ProceduralSource.prototype._drawTile = function(tile, canvas, done) {
+  if (this._useWorker) {
+    return this._drawInWorker(tile, canvas, done);
+  }
+
+  var draw = this._draw;
+  var arg = this._workerRequested ? describeTile(tile) : tile;
+  var cancelled = false;
+
+  var finish = once(function(err) {
+    if (!cancelled) {
+      done(err ? drawError(err) : null);
+    }
+  });
+
+  var timeout = setTimeout(function() {
+    var result;
+    try {
+      result = draw(arg, canvas);
+    } catch (err) {
+      finish(err);
+      return;
+    }
+    if (result && typeof result.then === 'function') {
+      result.then(function() {
+        finish(null);
+      }, finish);
+    } else {
+      finish(null);
+    }
+  }, 0);
+
+  return function cancel() {
+    cancelled = true;
+    clearTimeout(timeout);
+  };
+};
+
+
+ProceduralSource.prototype._drawInWorker = function(tile, canvas, done) {
+  var worker = this._ensureWorker();
+  var requests = this._requests;
+  var id = this._nextId++;
+
+  requests[id] = function(err, bitmap) {
+    if (err) {
+      done(drawError(err));
+      return;
+    }
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+    done(null);
+  };
+
+  worker.postMessage({ type: 'draw', id: id, tile: describeTile(tile) });
+
+  return function cancel() {
+    if (requests[id]) {
+      delete requests[id];
+      worker.postMessage({ type: 'cancel', id: id });
+    }
+  };
+};
+
+
+ProceduralSource.prototype._ensureWorker = function() {
+  if (!this._worker) {
+    var source = '(' + proceduralWorker.toString() + ')(self, ' +
+        this._draw.toString() + ');';
+    var blob = new global.Blob([source], { type: 'application/javascript' });
+    this._workerUrl = global.URL.createObjectURL(blob);
+    this._worker = new global.Worker(this._workerUrl);
+    this._worker.addEventListener('message', this._handleMessage);
+    this._worker.addEventListener('error', this._handleError);
+  }
+  return this._worker;
+};
+
+
+ProceduralSource.prototype._handleMessage = function(evt) {
+  var msg = evt.data;
+  var callback = this._requests[msg.id];
+
+  if (!callback) {
+    // The request has been cancelled after the worker replied.
+    if (msg.bitmap) {
+      msg.bitmap.close();
+    }
+    return;
+  }
+
+  delete this._requests[msg.id];
+
+  if (msg.bitmap) {
+    callback(null, msg.bitmap);
+  } else {
+    callback(new Error(msg.error));
+  }
+};
+
+
+ProceduralSource.prototype._handleError = function(evt) {
+  // An uncaught error in the worker, such as a failure to start it or a syntax
+  // error in the draw function, leaves the pending requests without a reply.
+  var requests = this._requests;
+  var message = evt && evt.message || 'Worker error';
+  for (var id in requests) {
+    var callback = requests[id];
+    delete requests[id];
+    callback(new Error(message));
+  }
+};
+
+
+// Returns a plain object describing a tile, which can be sent to a worker.
+function describeTile(tile) {
+  var description = {
+    x: tile.x,
+    y: tile.y,
+    z: tile.z,
+    width: tile.width(),
+    height: tile.height(),
+    levelWidth: tile.levelWidth(),
+    levelHeight: tile.levelHeight()
+  };
+  if (tile.face) {
+    description.face = tile.face;
+  }
+  return description;
+}
+
+
+// Wraps an error thrown by the draw function. Drawing is not retried, since it
+// would most likely fail again.
+function drawError(err) {
+  var result = err instanceof Error ? err : new Error(String(err));
+  result.permanent = true;
+  return result;
+}
+
+
+module.exports = ProceduralSource;
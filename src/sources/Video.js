@@ -0,0 +1,169 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var eventEmitter = require('minimal-event-emitter');
+var clearOwnProperties = require('../util/clearOwnProperties');
+
+var defaultFaceOrder = 'rludfb';
+var defaultColumns = 3;
+
+
+// An asset handed out for a single tile, forwarding to an asset shared between
+// tiles. The texture store destroys the assets it is given once a tile is
+// unloaded; destroying this one only detaches it from the shared asset.
+//
+// If a rect is given, the tile shows only that portion of the shared asset,
+// in normalized coordinates from the top left corner. The stage then uploads
+// the shared asset into a single texture for all of the tiles.
+function TileAsset(asset, rect) {
+  this._asset = asset;
+  this._rect = rect || null;
+  this._emitChange = this.emit.bind(this, 'change');
+  asset.addEventListener('change', this._emitChange);
+}
+
+eventEmitter(TileAsset);
+
+
+TileAsset.prototype.destroy = function() {
+  this._asset.removeEventListener('change', this._emitChange);
+  clearOwnProperties(this);
+};
+
+
+TileAsset.prototype.element = function() {
+  return this._asset.element();
+};
+
+
+TileAsset.prototype.width = function() {
+  return this._asset.width();
+};
+
+
+TileAsset.prototype.height = function() {
+  return this._asset.height();
+};
+
+
+TileAsset.prototype.timestamp = function() {
+  return this._asset.timestamp();
+};
+
+
+TileAsset.prototype.isDynamic = function() {
+  return true;
+};
+
+
+TileAsset.prototype.sharedAsset = function() {
+  return this._asset;
+};
+
+
+TileAsset.prototype.textureRect = function() {
+  return this._rect;
+};
+
+
+/**
+ * @class VideoSource
+ * @implements Source
+ * @classdesc
+ *
+ * A {@link Source} that provides the frames of a {@link VideoAsset}.
+ *
+ * For an {@link EquirectGeometry} with a single level, the video asset itself
+ * is provided. For a {@link CubeGeometry} with a single level, the video is
+ * expected to pack the six cube faces into a grid, in the order given by the
+ * `faceOrder` option, left to right and top to bottom. Each video frame is
+ * uploaded once into a texture shared by the six faces, and each face samples
+ * its own cell of the grid.
+ *
+ * Unloading a tile never destroys the video asset, which remains owned by the
+ * caller.
+ *
+ * @param {VideoAsset} asset The video asset.
+ * @param {Object} opts
+ * @param {string} [opts.faceOrder='rludfb'] The order of the cube faces in the
+ *     video frame, as a string of face letters.
+ * @param {number} [opts.columns=3] The number of columns in the grid of cube
+ *     faces.
+ */
+function VideoSource(asset, opts) {
+  opts = opts || {};
+
+  this._asset = asset;
+
+  this._faceOrder = opts.faceOrder || defaultFaceOrder;
+  this._columns = opts.columns || defaultColumns;
+  this._rows = Math.ceil(this._faceOrder.length / this._columns);
+
+  if (this._faceOrder.length !== 6) {
+    throw new Error('Face order must list six faces: ' + this._faceOrder);
+  }
+}
+
+
+/**
+ * Destructor.
+ */
+VideoSource.prototype.destroy = function() {
+  clearOwnProperties(this);
+};
+
+
+/**
+ * Returns the video asset.
+ * @return {VideoAsset}
+ */
+VideoSource.prototype.asset = function() {
+  return this._asset;
+};
+
+
+VideoSource.prototype.loadAsset = function(stage, tile, done) {
+  var self = this;
+
+  var timeout = setTimeout(function() {
+    var rect = tile.face ? self._faceRect(tile.face) : null;
+    done(null, tile, new TileAsset(self._asset, rect));
+  }, 0);
+
+  function cancel() {
+    clearTimeout(timeout);
+    done.apply(null, arguments);
+  }
+
+  return cancel;
+};
+
+
+// Returns the cell of the video frame holding the given face, in normalized
+// coordinates.
+VideoSource.prototype._faceRect = function(face) {
+  var index = this._faceOrder.indexOf(face);
+  return {
+    x: (index % this._columns) / this._columns,
+    y: Math.floor(index / this._columns) / this._rows,
+    width: 1 / this._columns,
+    height: 1 / this._rows
+  };
+};
+
+
+module.exports = VideoSource;
@@ -0,0 +1,454 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var ImageUrlSource = require('./ImageUrl');
+var FlatGeometry = require('../geometries/Flat');
+var loadErrors = require('../loaders/loadErrors');
+var global = require('../util/global');
+var once = require('../util/once');
+
+// Number of tiles in each Zoomify tile group directory.
+var zoomifyTileGroupSize = 256;
+
+/**
+ * Helper functions for viewing existing image pyramids in the Deep Zoom (DZI),
+ * IIIF Image API and Zoomify formats with a {@link FlatGeometry} and an
+ * {@link ImageUrlSource}, without re-tiling them.
+ *
+ * Each parser turns a descriptor into an {@link ImagePyramid}, which may then
+ * be turned into a geometry and a source with {@link imagePyramids.create}.
+ * {@link imagePyramids.load} does all of this given the descriptor URL.
+ *
+ * @namespace imagePyramids
+ */
+
+/**
+ * @typedef {Object} ImagePyramid
+ * @property {Object[]} levelList The level list for a {@link FlatGeometry}.
+ * @property {Function} sourceFromTile The tile URL function for an
+ *     {@link ImageUrlSource}.
+ */
+
+
+/**
+ * Parses a Deep Zoom image descriptor, in either the XML or the JSON format.
+ *
+ * Tiles are expected at `<name>_files/<level>/<column>_<row>.<format>`
+ * relative to the descriptor URL, unless the JSON descriptor specifies a
+ * different location. The overlap between adjacent tiles is cropped out.
+ *
+ * @param {string} descriptor The descriptor contents.
+ * @param {string} url The descriptor URL.
+ * @return {ImagePyramid}
+ * @throws An error if the descriptor is malformed.
+ * @memberof imagePyramids
+ */
+function deepZoom(descriptor, url) {
+  var image = parseDeepZoomDescriptor(descriptor);
+
+  var tileSize = image.tileSize;
+  var overlap = image.overlap;
+  var tilesUrl = image.url ? image.url.replace(/\/?$/, '/') :
+      url.replace(/\.[^.\/]*$/, '') + '_files/';
+
+  // Level n is the image scaled down by a factor of 2^(maxLevel-n), and level
+  // 0 is one pixel wide. Skip all levels smaller than the largest one that
+  // fits into a single tile.
+  var maxLevel = Math.ceil(Math.log(Math.max(image.width, image.height)) / Math.LN2);
+  var minLevel = maxLevel;
+  while (minLevel > 0 &&
+         Math.max(levelSize(image.width, maxLevel - minLevel),
+                  levelSize(image.height, maxLevel - minLevel)) > tileSize) {
+    minLevel--;
+  }
+
+  var levelList = [];
+  for (var level = minLevel; level <= maxLevel; level++) {
+    levelList.push({
+      width: levelSize(image.width, maxLevel - level),
+      height: levelSize(image.height, maxLevel - level),
+      tileWidth: tileSize,
+      tileHeight: tileSize
+    });
+  }
+
+  function sourceFromTile(tile) {
+    var tileUrl = tilesUrl + (tile.z + minLevel) + '/' + tile.x + '_' + tile.y +
+        '.' + image.format;
+
+    if (!overlap) {
+      return { url: tileUrl };
+    }
+
+    // Each tile image extends past the tile into its neighbors by the overlap.
+    var width = tile.width();
+    var height = tile.height();
+    var left = tile.x > 0 ? overlap : 0;
+    var top = tile.y > 0 ? overlap : 0;
+    var right = Math.min(overlap, tile.levelWidth() - tile.x * tileSize - width);
+    var bottom = Math.min(overlap, tile.levelHeight() - tile.y * tileSize - height);
+    var imageWidth = left + width + right;
+    var imageHeight = top + height + bottom;
+
+    return {
+      url: tileUrl,
+      rect: {
+        x: left / imageWidth,
+        y: top / imageHeight,
+        width: width / imageWidth,
+        height: height / imageHeight
+      }
+    };
+  }
+
+  return { levelList: levelList, sourceFromTile: sourceFromTile };
+}
+
+
+function parseDeepZoomDescriptor(descriptor) {
+  var image;
+  var json = parseJson(descriptor);
+  if (json) {
+    var props = json.Image || {};
+    var size = props.Size || {};
+    image = {
+      url: props.Url,
+      format: props.Format,
+      tileSize: parseInt(props.TileSize, 10),
+      overlap: parseInt(props.Overlap, 10),
+      width: parseInt(size.Width, 10),
+      height: parseInt(size.Height, 10)
+    };
+  } else {
+    image = {
+      format: xmlAttribute(descriptor, 'Image', 'Format'),
+      tileSize: parseInt(xmlAttribute(descriptor, 'Image', 'TileSize'), 10),
+      overlap: parseInt(xmlAttribute(descriptor, 'Image', 'Overlap'), 10),
+      width: parseInt(xmlAttribute(descriptor, 'Size', 'Width'), 10),
+      height: parseInt(xmlAttribute(descriptor, 'Size', 'Height'), 10)
+    };
+  }
+
+  if (!image.format || invalidSize(image.tileSize) ||
+      invalidSize(image.width) || invalidSize(image.height) ||
+      isNaN(image.overlap) || image.overlap < 0) {
+    throw new Error('Malformed Deep Zoom descriptor');
+  }
+
+  return image;
+}
+
+
+/**
+ * Parses a IIIF Image API `info.json` descriptor, in either version 2 or 3 of
+ * the API.
+ *
+ * The descriptor must specify a tile size and a list of scale factors, which
+ * must be powers of two. Tiles are requested in the format given by the
+ * `format` option or, failing that, the first preferred format in the
+ * descriptor or JPEG.
+ *
+ * @param {string|Object} info The descriptor contents, either as a string or
+ *     as an already parsed object.
+ * @param {Object} [opts]
+ * @param {string} [opts.format] The tile image format.
+ * @return {ImagePyramid}
+ * @throws An error if the descriptor is malformed.
+ * @memberof imagePyramids
+ */
+function iiif(info, opts) {
+  opts = opts || {};
+
+  if (typeof info === 'string') {
+    info = parseJson(info);
+  }
+
+  var baseUrl = info && (info.id || info['@id']);
+  var tiles = info && info.tiles && info.tiles[0];
+  if (!baseUrl || invalidSize(info.width) || invalidSize(info.height) ||
+      !tiles || invalidSize(tiles.width) || !tiles.scaleFactors) {
+    throw new Error('Malformed IIIF descriptor');
+  }
+
+  var width = info.width;
+  var height = info.height;
+  var tileWidth = tiles.width;
+  var tileHeight = tiles.height || tiles.width;
+  var isVersion3 = !info['@id'];
+  var format = opts.format ||
+      info.preferredFormats && info.preferredFormats[0] || 'jpg';
+
+  // Order the scale factors from the smallest level to the largest.
+  var scaleFactors = tiles.scaleFactors.slice().sort(function(a, b) {
+    return b - a;
+  });
+
+  var levelList = [];
+  for (var i = 0; i < scaleFactors.length; i++) {
+    levelList.push({
+      width: Math.ceil(width / scaleFactors[i]),
+      height: Math.ceil(height / scaleFactors[i]),
+      tileWidth: tileWidth,
+      tileHeight: tileHeight
+    });
+  }
+
+  function sourceFromTile(tile) {
+    var scale = scaleFactors[tile.z];
+
+    // The tile region in full resolution pixels.
+    var x = tile.x * tileWidth * scale;
+    var y = tile.y * tileHeight * scale;
+    var regionWidth = Math.min(tileWidth * scale, width - x);
+    var regionHeight = Math.min(tileHeight * scale, height - y);
+
+    var region = x === 0 && y === 0 && regionWidth === width && regionHeight === height ?
+        'full' : x + ',' + y + ',' + regionWidth + ',' + regionHeight;
+    var size = isVersion3 ? tile.width() + ',' + tile.height() : tile.width() + ',';
+
+    return {
+      url: baseUrl.replace(/\/$/, '') + '/' + region + '/' + size +
+          '/0/default.' + format
+    };
+  }
+
+  return { levelList: levelList, sourceFromTile: sourceFromTile };
+}
+
+
+/**
+ * Parses a Zoomify `ImageProperties.xml` descriptor.
+ *
+ * Tiles are expected at `TileGroup<group>/<level>-<column>-<row>.jpg` relative
+ * to the descriptor URL.
+ *
+ * @param {string} descriptor The descriptor contents.
+ * @param {string} url The descriptor URL.
+ * @return {ImagePyramid}
+ * @throws An error if the descriptor is malformed.
+ * @memberof imagePyramids
+ */
+function zoomify(descriptor, url) {
+  var width = parseInt(xmlAttribute(descriptor, 'IMAGE_PROPERTIES', 'WIDTH'), 10);
+  var height = parseInt(xmlAttribute(descriptor, 'IMAGE_PROPERTIES', 'HEIGHT'), 10);
+  var tileSize = parseInt(xmlAttribute(descriptor, 'IMAGE_PROPERTIES', 'TILESIZE'), 10);
+
+  if (invalidSize(width) || invalidSize(height) || invalidSize(tileSize)) {
+    throw new Error('Malformed Zoomify descriptor');
+  }
+
+  var baseUrl = url.replace(/[^\/]*$/, '');
+
+  // Halve the image until it fits into a single tile. Tiers are numbered from
+  // the smallest one.
+  var levelList = [];
+  var n = 0;
+  do {
+    levelList.unshift({
+      width: levelSize(width, n),
+      height: levelSize(height, n),
+      tileWidth: tileSize,
+      tileHeight: tileSize
+    });
+    n++;
+  } while (Math.max(levelList[0].width, levelList[0].height) > tileSize);
+
+  // Tiles are numbered consecutively across tiers, starting from the smallest
+  // one, and stored in groups of a fixed size.
+  var tierOffsets = [];
+  var offset = 0;
+  for (var i = 0; i < levelList.length; i++) {
+    tierOffsets.push(offset);
+    offset += numTiles(levelList[i].width, tileSize) *
+        numTiles(levelList[i].height, tileSize);
+  }
+
+  function sourceFromTile(tile) {
+    var columns = numTiles(levelList[tile.z].width, tileSize);
+    var index = tierOffsets[tile.z] + tile.y * columns + tile.x;
+    var group = Math.floor(index / zoomifyTileGroupSize);
+    return {
+      url: baseUrl + 'TileGroup' + group + '/' + tile.z + '-' + tile.x + '-' +
+          tile.y + '.jpg'
+    };
+  }
+
+  return { levelList: levelList, sourceFromTile: sourceFromTile };
+}
+
+
+/**
+ * Parses a descriptor in any of the supported formats, detected from its
+ * contents.
+ *
+ * @param {string} descriptor The descriptor contents.
+ * @param {string} url The descriptor URL.
+ * @return {ImagePyramid}
+ * @throws An error if the format is not recognized or the descriptor is
+ *     malformed.
+ * @memberof imagePyramids
+ */
+function parse(descriptor, url) {
+  var json = parseJson(descriptor);
+  if (json && json.Image) {
+    return deepZoom(descriptor, url);
+  }
+  if (json) {
+    return iiif(json);
+  }
+  if (/<IMAGE_PROPERTIES\b/.test(descriptor)) {
+    return zoomify(descriptor, url);
+  }
+  if (/<(\w+:)?Image\b/.test(descriptor)) {
+    return deepZoom(descriptor, url);
+  }
+  throw new Error('Unrecognized image pyramid descriptor: ' + url);
+}
+
+
+/**
+ * Creates the geometry and source for an image pyramid.
+ *
+ * @param {ImagePyramid} pyramid
+ * @param {Object} [opts] Options for the {@link ImageUrlSource} constructor.
+ * @return {{geometry: FlatGeometry, source: ImageUrlSource}}
+ * @memberof imagePyramids
+ */
+function create(pyramid, opts) {
+  return {
+    geometry: new FlatGeometry(pyramid.levelList),
+    source: new ImageUrlSource(pyramid.sourceFromTile, opts)
+  };
+}
+
+
+/**
+ * Fetches a descriptor in any of the supported formats and creates the
+ * geometry and source for the image pyramid it describes.
+ *
+ * The callback receives a {@link NetworkError} if the descriptor cannot be
+ * fetched, or an error thrown by {@link imagePyramids.parse} if it cannot be
+ * parsed.
+ *
+ * @param {string} url The descriptor URL.
+ * @param {Object} [opts] Options for the {@link ImageUrlSource} constructor.
+ * @param {string} [opts.credentials='same-origin'] The credentials mode for
+ *     the descriptor request.
+ * @param {function(?Error, {geometry: FlatGeometry, source: ImageUrlSource})}
+ *     done The callback.
+ * @return {function()} A function to cancel loading.
+ * @memberof imagePyramids
+ */
+function load(url, opts, done) {
+  opts = opts || {};
+
+  var controller = global.AbortController ? new global.AbortController() : null;
+  var cancelled = false;
+
+  done = once(done);
+
+  global.fetch(url, {
+    credentials: opts.credentials || 'same-origin',
+    signal: controller ? controller.signal : undefined
+  }).then(function(response) {
+    if (cancelled) {
+      return;
+    }
+    if (!response.ok) {
+      done(loadErrors.fromStatus(url, response.status));
+      return;
+    }
+    return response.text().then(function(descriptor) {
+      if (cancelled) {
+        return;
+      }
+      var result;
+      try {
+        result = create(parse(descriptor, url), opts);
+      } catch (err) {
+        done(err);
+        return;
+      }
+      done(null, result);
+    });
+  }).then(null, function() {
+    if (!cancelled) {
+      done(loadErrors.fromFailure(url));
+    }
+  });
+
+  function cancel() {
+    cancelled = true;
+    if (controller) {
+      controller.abort();
+    }
+    done.apply(null, arguments);
+  }
+
+  return cancel;
+}
+
+
+// Returns whether a value is not a positive number.
+function invalidSize(value) {
+  return isNaN(value) || value <= 0;
+}
+
+
+// Returns the size of a dimension scaled down by a factor of 2^n.
+function levelSize(size, n) {
+  return Math.ceil(size / Math.pow(2, n));
+}
+
+
+function numTiles(size, tileSize) {
+  return Math.ceil(size / tileSize);
+}
+
+
+// Returns the parsed JSON value, or null if the string is not valid JSON.
+function parseJson(str) {
+  try {
+    return JSON.parse(str);
+  } catch (e) {
+    return null;
+  }
+}
+
+
+// Returns the value of an attribute of the first element with the given name,
+// ignoring any namespace prefix, or null if not found.
+function xmlAttribute(xml, element, attribute) {
+  var elementRegExp = new RegExp('<(?:\\w+:)?' + element + '\\b[^>]*>');
+  var elementMatch = elementRegExp.exec(xml);
+  if (!elementMatch) {
+    return null;
+  }
+  var attributeRegExp = new RegExp('\\s' + attribute + '\\s*=\\s*(["\'])(.*?)\\1');
+  var attributeMatch = attributeRegExp.exec(elementMatch[0]);
+  return attributeMatch ? attributeMatch[2] : null;
+}
+
+
+module.exports = {
+  deepZoom: deepZoom,
+  iiif: iiif,
+  zoomify: zoomify,
+  parse: parse,
+  create: create,
+  load: load
+};
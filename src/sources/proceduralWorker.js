@@ -0,0 +1,84 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// The body of the worker used by ProceduralSource to draw tiles off the main
+// thread into an OffscreenCanvas.
+//
+// The worker is created from the source text of this function and of the draw
+// function, so both must be self-contained: they may not refer to any
+// variables outside of them, nor require other modules. It receives the global
+// scope of the worker and the draw function as its arguments.
+//
+// Messages received by the worker:
+//   { type: 'draw', id, tile } to draw a tile, where tile is a plain object
+//     describing it, as passed into the draw function;
+//   { type: 'cancel', id } to cancel drawing a tile.
+//
+// Messages sent by the worker, exactly once for each request not cancelled:
+//   { id, bitmap } when the tile has been drawn, transferring the bitmap;
+//   { id, error } when the draw function failed, with the error message.
+function proceduralWorker(scope, draw) {
+  // Set of ids for the requests in progress.
+  var active = {};
+
+  function reply(id, msg) {
+    if (!active[id]) {
+      // The request has been cancelled.
+      if (msg.bitmap) {
+        msg.bitmap.close();
+      }
+      return;
+    }
+    delete active[id];
+    msg.id = id;
+    scope.postMessage(msg, msg.bitmap ? [msg.bitmap] : []);
+  }
+
+  function fail(id, err) {
+    reply(id, { error: err && err.message || String(err) });
+  }
+
+  function drawTile(id, tile) {
+    active[id] = true;
+    var canvas = new scope.OffscreenCanvas(tile.width, tile.height);
+    var result;
+    try {
+      result = draw(tile, canvas);
+    } catch (err) {
+      fail(id, err);
+      return;
+    }
+    scope.Promise.resolve(result).then(function() {
+      if (active[id]) {
+        reply(id, { bitmap: canvas.transferToImageBitmap() });
+      }
+    }, function(err) {
+      fail(id, err);
+    });
+  }
+
+  scope.onmessage = function(evt) {
+    var msg = evt.data;
+    if (msg.type === 'draw') {
+      drawTile(msg.id, msg.tile);
+    } else if (msg.type === 'cancel') {
+      delete active[msg.id];
+    }
+  };
+}
+
+module.exports = proceduralWorker;
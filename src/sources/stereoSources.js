@@ -0,0 +1,156 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var ImageUrlSource = require('./ImageUrl');
+
+// Position of the left eye image within a stereo equirect, for each layout.
+var leftEyeRects = {
+  topBottom: { x: 0, y: 0, width: 1, height: 0.5 },
+  leftRight: { x: 0, y: 0, width: 0.5, height: 1 }
+};
+
+// Position of the right eye image within a stereo equirect, for each layout.
+var rightEyeRects = {
+  topBottom: { x: 0, y: 0.5, width: 1, height: 0.5 },
+  leftRight: { x: 0.5, y: 0, width: 0.5, height: 1 }
+};
+
+// Default names used in place of `{eye}` in cube map URL templates.
+var defaultEyeNames = { left: 'left', right: 'right' };
+
+/**
+ * Helper functions for creating the pairs of {@link Source sources} for a
+ * stereo panorama, to be passed into {@link Scene#createStereoLayer}.
+ *
+ * @namespace stereoSources
+ */
+
+/**
+ * @typedef {Object} StereoSources
+ * @property {Source} left The source for the left eye.
+ * @property {Source} right The source for the right eye.
+ */
+
+
+/**
+ * Creates the sources for a stereo equirect, where the images for both eyes
+ * are stacked into a single image, one on top of the other or side by side.
+ *
+ * The URL may be a template, as for {@link ImageUrlSource.fromString}, for
+ * use with a multiresolution {@link EquirectGeometry} where every image holds
+ * both eyes. The level sizes in the geometry are those of a single eye.
+ *
+ * @param {string} url The image URL.
+ * @param {Object} opts In addition to the options supported by
+ *     {@link ImageUrlSource.fromString}, except for `rect`.
+ * @param {string} [opts.layout='topBottom'] How the eyes are laid out; either
+ *     `'topBottom'`, with the left eye on top, or `'leftRight'`, with the left
+ *     eye on the left.
+ * @param {boolean} [opts.swapEyes=false] Whether the eyes are laid out the
+ *     other way around.
+ * @return {StereoSources}
+ * @throws An error if the layout is unknown.
+ * @memberof stereoSources
+ */
+function equirect(url, opts) {
+  opts = opts || {};
+
+  var layout = opts.layout || 'topBottom';
+  if (!leftEyeRects.hasOwnProperty(layout)) {
+    throw new Error('Unknown stereo layout: ' + layout);
+  }
+
+  var leftRect = leftEyeRects[layout];
+  var rightRect = rightEyeRects[layout];
+  if (opts.swapEyes) {
+    leftRect = rightEyeRects[layout];
+    rightRect = leftEyeRects[layout];
+  }
+
+  return {
+    left: ImageUrlSource.fromString(url, withOpts(opts, { rect: leftRect })),
+    right: ImageUrlSource.fromString(url, withOpts(opts, { rect: rightRect }))
+  };
+}
+
+
+/**
+ * Creates the sources for a pair of cube maps, one for each eye.
+ *
+ * The URL is a template, as for {@link ImageUrlSource.fromString}, which may
+ * additionally contain an `{eye}` placeholder, replaced by the name of each
+ * eye. The same replacement is made in the `cubeMapPreviewUrl` option.
+ *
+ * @param {string} url The tile URL template.
+ * @param {Object} opts In addition to the options supported by
+ *     {@link ImageUrlSource.fromString}.
+ * @param {Object} [opts.eyeNames={ left: 'left', right: 'right' }] The names
+ *     used in place of `{eye}`.
+ * @return {StereoSources}
+ * @throws An error if the URL does not contain an `{eye}` placeholder, as both
+ *     eyes would otherwise display the same images.
+ * @memberof stereoSources
+ */
+function cube(url, opts) {
+  opts = opts || {};
+
+  if (url.indexOf('{eye}') < 0) {
+    throw new Error('Stereo cube map URL must contain an {eye} placeholder');
+  }
+
+  var eyeNames = opts.eyeNames || defaultEyeNames;
+
+  return {
+    left: cubeSource(url, opts, eyeNames.left),
+    right: cubeSource(url, opts, eyeNames.right)
+  };
+}
+
+
+function cubeSource(url, opts, eyeName) {
+  var extraOpts = {};
+  if (opts.cubeMapPreviewUrl) {
+    extraOpts.cubeMapPreviewUrl = replaceEye(opts.cubeMapPreviewUrl, eyeName);
+  }
+  return ImageUrlSource.fromString(replaceEye(url, eyeName),
+      withOpts(opts, extraOpts));
+}
+
+
+function replaceEye(url, eyeName) {
+  return url.split('{eye}').join(eyeName);
+}
+
+
+// Returns a copy of the options with some of them replaced.
+function withOpts(opts, extraOpts) {
+  var result = {};
+  var key;
+  for (key in opts) {
+    result[key] = opts[key];
+  }
+  for (key in extraOpts) {
+    result[key] = extraOpts[key];
+  }
+  return result;
+}
+
+
+module.exports = {
+  equirect: equirect,
+  cube: cube
+};
@@ -17,10 +17,14 @@
 
 var eventEmitter = require('minimal-event-emitter');
 var WorkQueue = require('../collections/WorkQueue');
+var Map = require('../collections/Map');
 var calcRect = require('../util/calcRect');
+var stereo = require('../stereo');
 var async = require('../util/async');
 var cancelize = require('../util/cancelize');
 var clearOwnProperties = require('../util/clearOwnProperties');
+var mat4 = require('gl-matrix').mat4;
+var vec3 = require('gl-matrix').vec3;
 
 var RendererRegistry = require('./RendererRegistry');
 
@@ -40,6 +44,20 @@ function reverseTileCmp(t1, t2) {
  * @event Stage#renderComplete
  */
 
+/**
+ * Signals that the estimated amount of memory used by textures has changed.
+ *
+ * @param {number} bytes The estimated texture memory, in bytes.
+ * @event Stage#textureMemoryChange
+ */
+
+/**
+ * Signals that the stereo mode has changed.
+ *
+ * @param {string} mode The new stereo mode.
+ * @event Stage#stereoModeChange
+ */
+
 /**
  * Signals that the contents of the stage have been invalidated and must be
  * rendered again.
@@ -61,6 +79,9 @@ function reverseTileCmp(t1, t2) {
  *
  * @param {Object} opts
  * @param {boolean} [opts.progressive=false]
+ * @param {number} [opts.textureMemoryBudget=Infinity]
+ * @param {number} [opts.textureUploadDelay=0]
+ * @param {string} [opts.stereoMode='mono']
  *
  * Options listed here may be passed into the `opts` constructor argument of
  * subclasses.
@@ -69,16 +90,46 @@ function reverseTileCmp(t1, t2) {
  * order, from lowest to highest. This results in a more pleasing effect when
  * zooming past several levels in a large panoramas, but consumes additional
  * bandwidth.
+ *
+ * The `textureMemoryBudget` option sets the amount of memory, in bytes, that
+ * textures may use across all layers before the textures for tiles that are
+ * no longer visible are unloaded, least recently visible first. The memory
+ * use of each texture is estimated from its dimensions. Textures for visible
+ * and pinned tiles are never unloaded, so the budget may still be exceeded.
+ * See {@link Stage#textureMemory} and {@link Stage#setTextureMemoryBudget}.
+ *
+ * The `textureUploadDelay` option sets the minimum time, in milliseconds,
+ * between the creation of consecutive textures. Textures are otherwise created
+ * as soon as their assets are loaded, which may cause dropped frames when many
+ * tiles finish loading at once. A delay of a few milliseconds spreads their
+ * creation across frames, at the cost of tiles taking longer to appear.
+ *
+ * The `stereoMode` option sets how layers assigned to an eye with the `eye`
+ * option to {@link Layer} are rendered. See {@link stereo} for the known modes,
+ * and {@link Stage#setStereoMode} to change the mode at runtime.
  */
 function Stage(opts) {
   this._progressive = !!(opts && opts.progressive);
 
+  // The estimated memory used by textures, and the budget it should be kept
+  // under.
+  this._textureMemory = 0;
+  this._textureMemoryBudget = opts && opts.textureMemoryBudget != null ?
+      opts.textureMemoryBudget : Infinity;
+
+  // Temporary list of textures that may be evicted to meet the budget.
+  this._evictable = [];
+
   // The list of layers in display order (background to foreground).
   this._layers = [];
 
   // The list of renderers; the i-th renderer is for the i-th layer.
   this._renderers = [];
 
+  // The renderers created for rendering the layers through views other than
+  // their own. See renderViews().
+  this._viewRenderers = [];
+
   // The lists of tiles to load and render, populated during render().
   this._tilesToLoad = [];
   this._tilesToRender = [];
@@ -87,6 +138,18 @@ function Stage(opts) {
   this._tmpVisible = [];
   this._tmpChildren = [];
 
+  // Map each tile marked for loading in the most recent frame into the view
+  // it was marked for. Used to compute loading priorities.
+  this._tileViews = new Map();
+
+  // Map each tile given a priority by prioritizeTile() into the view it was
+  // given for and the number of times it was given.
+  this._prioritizedTiles = new Map();
+
+  // Temporary variables for computing loading priorities.
+  this._tmpMatrix = mat4.create();
+  this._tmpVec = vec3.create();
+
   // Cached stage dimensions.
   // Start with zero, which inhibits rendering until setSize() is called.
   this._width = 0;
@@ -98,8 +161,16 @@ function Stage(opts) {
   // Temporary variable for size.
   this._tmpSize = {};
 
+  // The stereo mode, and temporary variables for the per-eye rect and effects.
+  this._stereoMode = opts && opts.stereoMode || 'mono';
+  validateStereoMode(this._stereoMode);
+  this._tmpEyeRect = {};
+  this._tmpEyeEffects = {};
+
   // Work queue for createTexture.
-  this._createTextureWorkQueue = new WorkQueue();
+  this._createTextureWorkQueue = new WorkQueue({
+    delay: opts && opts.textureUploadDelay || 0
+  });
 
   // Function to emit event when render parameters have changed.
   this._emitRenderInvalid = this._emitRenderInvalid.bind(this);
@@ -117,6 +188,7 @@ eventEmitter(Stage);
  */
 Stage.prototype.destroy = function() {
   this.removeAllLayers();
+  this._destroyViewRenderers();
   clearOwnProperties(this);
 };
 
@@ -129,6 +201,10 @@ Stage.prototype.destroy = function() {
  * register all known renderers for a stage type into that stage. Most users
  * will not need to register renderers, as {@link Viewer} does it for them.
  *
+ * Layers with a {@link DepthStore depth map} are rendered by the renderer
+ * registered for their geometry type prefixed with `depth:`, such as
+ * `depth:cube`.
+ *
  * @param {string} geometryType The geometry type, as given by
  *     {@link Geometry#type}.
  * @param {string} viewType The view type, as given by {@link View#type}.
@@ -291,14 +367,7 @@ Stage.prototype.addLayer = function(layer, i) {
 
   this.validateLayer(layer); // must be defined by subclasses.
 
-  var geometryType = layer.geometry().type;
-  var viewType = layer.view().type;
-  var rendererClass = this._rendererRegistry.get(geometryType, viewType);
-  if (!rendererClass) {
-    throw new Error('No ' + this.type + ' renderer avaiable for ' +
-        geometryType + ' geometry and ' + viewType + ' view');
-  }
-  var renderer = this.createRenderer(rendererClass);
+  var renderer = this.createRenderer(this._rendererClass(layer));
 
   this._layers.splice(i, 0, layer);
   this._renderers.splice(i, 0, renderer);
@@ -308,11 +377,57 @@ Stage.prototype.addLayer = function(layer, i) {
   layer.addEventListener('effectsChange', this._emitRenderInvalid);
   layer.addEventListener('fixedLevelChange', this._emitRenderInvalid);
   layer.addEventListener('textureStoreChange', this._emitRenderInvalid);
+  layer.addEventListener('depthChange', this._emitRenderInvalid);
 
   this._emitRenderInvalid();
 };
 
 
+// Replaces the renderers for all layers with newly created ones. Used by
+// subclasses when the existing renderers become unusable, e.g. after the loss
+// of the underlying rendering context.
+Stage.prototype._recreateRenderers = function() {
+  var oldRenderers = this._renderers;
+  var i;
+
+  this._renderers = [];
+
+  // The renderers for other views were created in the same context.
+  this._destroyViewRenderers();
+
+  // A renderer may be shared by several layers; destroy each one only once.
+  var destroyed = [];
+  for (i = 0; i < oldRenderers.length; i++) {
+    if (destroyed.indexOf(oldRenderers[i]) < 0) {
+      destroyed.push(oldRenderers[i]);
+      this.destroyRenderer(oldRenderers[i]);
+    }
+  }
+
+  for (i = 0; i < this._layers.length; i++) {
+    var layer = this._layers[i];
+    this._renderers.push(this.createRenderer(this._rendererClass(layer)));
+  }
+};
+
+
+// Returns the renderer class for a layer. Layers with a depth map are rendered
+// by the renderer registered for the 'depth:' prefixed geometry type.
+Stage.prototype._rendererClass = function(layer) {
+  var geometryType = layer.geometry().type;
+  var viewType = layer.view().type;
+  if (layer.depthStore()) {
+    geometryType = 'depth:' + geometryType;
+  }
+  var rendererClass = this._rendererRegistry.get(geometryType, viewType);
+  if (!rendererClass) {
+    throw new Error('No ' + this.type + ' renderer avaiable for ' +
+        geometryType + ' geometry and ' + viewType + ' view');
+  }
+  return rendererClass;
+};
+
+
 /**
  * Moves a {@link Layer layer} into a different position in the display stack.
  * @param {Layer} layer The layer to move.
@@ -361,6 +476,7 @@ Stage.prototype.removeLayer = function(layer) {
   removedLayer.removeEventListener('effectsChange', this._emitRenderInvalid);
   removedLayer.removeEventListener('fixedLevelChange', this._emitRenderInvalid);
   removedLayer.removeEventListener('textureStoreChange', this._emitRenderInvalid);
+  removedLayer.removeEventListener('depthChange', this._emitRenderInvalid);
 
   this._emitRenderInvalid();
 };
@@ -403,10 +519,7 @@ Stage.prototype.endFrame = function() {
  * define the startFrame() and endFrame() methods to perform their own logic.
  */
 Stage.prototype.render = function() {
-  var i, j;
-
-  var tilesToLoad = this._tilesToLoad;
-  var tilesToRender = this._tilesToRender;
+  var i;
 
   var stableStage = true;
   var stableLayer;
@@ -416,28 +529,23 @@ Stage.prototype.render = function() {
   var height = this._height;
 
   var rect = this._tmpRect;
-  var size = this._tmpSize;
 
   if (width <= 0 || height <= 0) {
     return;
   }
 
-  this.startFrame(); // defined by subclasses
-
-  // Signal start of frame to the texture stores.
-  for (i = 0; i < this._layers.length; i++) {
-    this._layers[i].textureStore().startFrame();
-  }
+  this._startFrame();
 
   // Render layers.
   for (i = 0; i < this._layers.length; i++) {
     var layer = this._layers[i];
     var effects = layer.effects();
-    var view = layer.view();
-    var textureStore = layer.textureStore();
-    var renderer = this._renderers[i];
-    var depth = this._layers.length - i;
-    var tile, texture;
+    var eye = layer.eye();
+
+    if (!stereo.isVisible(this._stereoMode, eye)) {
+      // Skip rendering an eye not displayed in the current stereo mode.
+      continue;
+    }
 
     // Convert the rect effect into a normalized rect.
     // TODO: avoid doing this on every frame.
@@ -448,68 +556,441 @@ Stage.prototype.render = function() {
       continue;
     }
 
-    // Update the view size.
-    size.width = rect.width * this._width;
-    size.height = rect.height * this._height;
-    view.setSize(size);
-
-    // Signal start of layer to the renderer.
-    renderer.startLayer(layer, rect);
-
-    // We render with both alpha blending and depth testing enabled. Thus, when
-    // rendering a subsequent pixel at the same location than an existing one,
-    // the subsequent pixel gets discarded unless it has smaller depth, and is
-    // otherwise composited with the existing pixel.
-    //
-    // When using fallback tiles to fill a gap in the preferred resolution
-    // level, we prefer higher resolution fallbacks to lower resolution ones.
-    // However, where fallbacks overlap, we want higher resolution ones to
-    // prevail, and we don't want multiple fallbacks to be composited with each
-    // other, as that would produce a bad result when semitransparent textures
-    // are involved.
-    //
-    // In order to achieve this within the constraints of alpha blending and
-    // depth testing, the depth of a tile must be inversely proportional to its
-    // resolution, and higher-resolution tiles must be rendered before lower-
-    // resolution ones.
-
-    // Collect the lists of tiles to load and render.
-    stableLayer = this._collectTiles(layer, textureStore);
-
-    // Mark all the tiles whose textures must be loaded.
-    // This will either trigger loading (for textures not yet loaded) or
-    // prevent unloading (for textures already loaded).
-    for (j = 0; j < tilesToLoad.length; j++) {
-      tile = tilesToLoad[j];
-      textureStore.markTile(tile);
+    if (eye || !stereo.isSplit(this._stereoMode)) {
+      stableLayer = this._renderLayer(i, eye, rect);
+    } else {
+      // Layers not assigned to an eye are rendered for both eyes.
+      stableLayer = this._renderLayer(i, 'left', rect);
+      stableLayer = this._renderLayer(i, 'right', rect) && stableLayer;
     }
 
-    // Render tiles.
-    for (j = 0; j < tilesToRender.length; j++) {
-      tile = tilesToRender[j];
-      texture = textureStore.texture(tile);
-      renderer.renderTile(tile, texture, layer, depth);
+    layer.emit('renderComplete', stableLayer);
+    if (!stableLayer) {
+      stableStage = false;
+    }
+  }
+
+  this._endFrame(stableStage);
+};
+
+
+/**
+ * Renders the current frame through several views at once, in place of the
+ * views of the layers. Each view is rendered into its own region of the
+ * framebuffer. This is used to render the eyes of a WebXR device; see
+ * {@link XrSession}.
+ *
+ * Layers assigned to an eye are only rendered into views for that eye. The
+ * {@link Stage#stereoMode stereo mode} is not applied.
+ *
+ * @param {Object[]} views
+ * @param {View} views[].view The view through which to render the layers. A
+ *     renderer must be registered for its type and the geometry type of each
+ *     layer.
+ * @param {Rect} views[].rect The region of the framebuffer in which to render,
+ *     which the layer rects are relative to.
+ * @param {?string} views[].eye The eye the view is for, one of `left` or
+ *     `right`, or null if for both, in which case layers for the right eye are
+ *     not rendered.
+ * @param {Size} framebufferSize The size of the framebuffer in pixels.
+ */
+Stage.prototype.renderViews = function(views, framebufferSize) {
+  var i, j;
+
+  var stableStage = true;
+  var stableLayer;
+
+  var width = framebufferSize.width;
+  var height = framebufferSize.height;
+
+  var rect = this._tmpRect;
+  var viewRect = this._tmpEyeRect;
+
+  if (width <= 0 || height <= 0) {
+    return;
+  }
+
+  this._startFrame();
+
+  for (i = 0; i < this._layers.length; i++) {
+    var layer = this._layers[i];
+    var effects = layer.effects();
+    var layerEye = layer.eye();
+
+    calcRect(width, height, effects && effects.rect, rect);
+
+    stableLayer = true;
+
+    for (j = 0; j < views.length; j++) {
+      var view = views[j];
+      var eye = view.eye || null;
+
+      if (eye ? (layerEye && layerEye !== eye) :
+          !stereo.isVisible('mono', layerEye)) {
+        continue;
+      }
+
+      // Place the layer rect within the view rect.
+      viewRect.x = view.rect.x + rect.x * view.rect.width;
+      viewRect.y = view.rect.y + rect.y * view.rect.height;
+      viewRect.width = rect.width * view.rect.width;
+      viewRect.height = rect.height * view.rect.height;
+
+      if (viewRect.width <= 0 || viewRect.height <= 0) {
+        continue;
+      }
+
+      var viewLayer = layer._withView(view.view);
+      var renderer = this._viewRenderer(viewLayer);
+
+      stableLayer = this._drawLayer(viewLayer, renderer, this._layers.length - i,
+          viewRect, effects, framebufferSize) && stableLayer;
     }
 
     layer.emit('renderComplete', stableLayer);
     if (!stableLayer) {
       stableStage = false;
     }
+  }
+
+  this._endFrame(stableStage);
+};
+
+
+// Returns the renderer for a layer seen through a view other than its own,
+// creating it if necessary.
+Stage.prototype._viewRenderer = function(layer) {
+  var renderer = this.createRenderer(this._rendererClass(layer));
+  if (this._viewRenderers.indexOf(renderer) < 0) {
+    this._viewRenderers.push(renderer);
+  }
+  return renderer;
+};
+
+
+Stage.prototype._destroyViewRenderers = function() {
+  var viewRenderers = this._viewRenderers;
+  this._viewRenderers = [];
+  for (var i = 0; i < viewRenderers.length; i++) {
+    this.destroyRenderer(viewRenderers[i]);
+  }
+};
 
-    // Signal end of layer to the renderer.
-    renderer.endLayer(layer, rect);
+
+Stage.prototype._startFrame = function() {
+  this._tileViews.clear();
+
+  this.startFrame(); // defined by subclasses
+
+  // Signal start of frame to the texture stores.
+  for (var i = 0; i < this._layers.length; i++) {
+    this._layers[i].textureStore().startFrame();
   }
+};
+
 
+Stage.prototype._endFrame = function(stableStage) {
   // Signal end of frame to the texture stores.
-  for (i = 0; i < this._layers.length; i++) {
+  for (var i = 0; i < this._layers.length; i++) {
     this._layers[i].textureStore().endFrame();
   }
 
+  this._enforceTextureMemoryBudget();
+
   this.endFrame(); // defined by subclasses
 
   this.emit('renderComplete', stableStage);
 };
 
+
+// Renders the i-th layer for an eye, or for no eye in particular if null, into
+// the given rect for the full stage. Returns whether the layer is stable.
+Stage.prototype._renderLayer = function(i, eye, fullRect) {
+  var layer = this._layers[i];
+  var renderer = this._renderers[i];
+  var depth = this._layers.length - i;
+
+  var rect = fullRect;
+  var effects = layer.effects();
+  if (eye) {
+    rect = stereo.eyeRect(this._stereoMode, eye, fullRect, this._tmpEyeRect);
+    effects = stereo.eyeEffects(this._stereoMode, eye, effects, this._tmpEyeEffects);
+  }
+
+  return this._drawLayer(layer, renderer, depth, rect, effects, null);
+};
+
+
+// Renders a layer with the given renderer, depth, rect and effects. The rect is
+// relative to the framebuffer, whose size is that of the stage unless given.
+// Returns whether the layer is stable.
+Stage.prototype._drawLayer = function(layer, renderer, depth, rect, effects, framebufferSize) {
+  var j;
+
+  var tilesToLoad = this._tilesToLoad;
+  var tilesToRender = this._tilesToRender;
+
+  var view = layer.view();
+  var textureStore = layer.textureStore();
+  var size = this._tmpSize;
+  var tile, texture;
+
+  // Update the view size.
+  size.width = rect.width * (framebufferSize ? framebufferSize.width : this._width);
+  size.height = rect.height * (framebufferSize ? framebufferSize.height : this._height);
+  view.setSize(size);
+
+  // Signal start of layer to the renderer.
+  renderer.startLayer(layer, rect, effects, framebufferSize);
+
+  // We render with both alpha blending and depth testing enabled. Thus, when
+  // rendering a subsequent pixel at the same location than an existing one,
+  // the subsequent pixel gets discarded unless it has smaller depth, and is
+  // otherwise composited with the existing pixel.
+  //
+  // When using fallback tiles to fill a gap in the preferred resolution
+  // level, we prefer higher resolution fallbacks to lower resolution ones.
+  // However, where fallbacks overlap, we want higher resolution ones to
+  // prevail, and we don't want multiple fallbacks to be composited with each
+  // other, as that would produce a bad result when semitransparent textures
+  // are involved.
+  //
+  // In order to achieve this within the constraints of alpha blending and
+  // depth testing, the depth of a tile must be inversely proportional to its
+  // resolution, and higher-resolution tiles must be rendered before lower-
+  // resolution ones.
+
+  // Collect the lists of tiles to load and render.
+  var stableLayer = this._collectTiles(layer, textureStore);
+
+  // Mark all the tiles whose textures must be loaded.
+  // This will either trigger loading (for textures not yet loaded) or
+  // prevent unloading (for textures already loaded).
+  for (j = 0; j < tilesToLoad.length; j++) {
+    tile = tilesToLoad[j];
+    textureStore.markTile(tile);
+    if (!this._tileViews.has(tile)) {
+      this._tileViews.set(tile, view);
+    }
+  }
+
+  // Render tiles.
+  for (j = 0; j < tilesToRender.length; j++) {
+    tile = tilesToRender[j];
+    texture = textureStore.texture(tile);
+    renderer.renderTile(tile, texture, layer, depth);
+  }
+
+  // Signal end of layer to the renderer.
+  renderer.endLayer(layer, rect);
+
+  return stableLayer;
+};
+
+
+/**
+ * Returns the estimated amount of memory used by textures, in bytes.
+ * @return {number}
+ */
+Stage.prototype.textureMemory = function() {
+  return this._textureMemory;
+};
+
+
+/**
+ * Returns the texture memory budget, in bytes.
+ * @return {number}
+ */
+Stage.prototype.textureMemoryBudget = function() {
+  return this._textureMemoryBudget;
+};
+
+
+/**
+ * Sets the texture memory budget, in bytes. If the current texture memory
+ * exceeds the new budget, textures are unloaded immediately.
+ * @param {number} bytes The budget, or Infinity for no budget.
+ */
+Stage.prototype.setTextureMemoryBudget = function(bytes) {
+  this._textureMemoryBudget = bytes;
+  this._enforceTextureMemoryBudget();
+};
+
+
+/**
+ * Returns the stereo mode.
+ * @return {string}
+ */
+Stage.prototype.stereoMode = function() {
+  return this._stereoMode;
+};
+
+
+/**
+ * Sets the stereo mode. See {@link stereo} for the known modes.
+ * @param {string} mode
+ * @throws An error if the mode is unknown.
+ */
+Stage.prototype.setStereoMode = function(mode) {
+  validateStereoMode(mode);
+  if (mode === this._stereoMode) {
+    return;
+  }
+  this._stereoMode = mode;
+  this.emit('stereoModeChange', mode);
+  this._emitRenderInvalid();
+};
+
+
+function validateStereoMode(mode) {
+  if (stereo.modes.indexOf(mode) < 0) {
+    throw new Error('Unknown stereo mode: ' + mode);
+  }
+}
+
+
+/**
+ * Updates the estimated texture memory. Called by textures when they are
+ * created, resized or destroyed.
+ * @param {number} delta The change in memory, in bytes.
+ */
+Stage.prototype.updateTextureMemory = function(delta) {
+  if (!delta) {
+    return;
+  }
+  this._textureMemory += delta;
+  this.emit('textureMemoryChange', this._textureMemory);
+};
+
+
+// Unloads the textures for tiles that are no longer visible, least recently
+// visible first and across all layers, until the texture memory is within the
+// budget or there is nothing left to unload.
+Stage.prototype._enforceTextureMemoryBudget = function() {
+  if (this._textureMemory <= this._textureMemoryBudget) {
+    return;
+  }
+
+  var evictable = this._evictable;
+  var textureStores = [];
+  var i;
+
+  // Layers may share a texture store; make sure each is only visited once.
+  for (i = 0; i < this._layers.length; i++) {
+    var textureStore = this._layers[i].textureStore();
+    if (textureStores.indexOf(textureStore) < 0) {
+      textureStores.push(textureStore);
+      textureStore.collectEvictable(evictable);
+    }
+  }
+
+  evictable.sort(function(a, b) {
+    return a.lastVisible - b.lastVisible;
+  });
+
+  for (i = 0; i < evictable.length; i++) {
+    if (this._textureMemory <= this._textureMemoryBudget) {
+      break;
+    }
+    evictable[i].textureStore.evict(evictable[i].tile);
+  }
+
+  evictable.length = 0;
+};
+
+
+/**
+ * Returns the loading priority for a tile, which may be used by a
+ * {@link Source} to decide the order in which to load assets. Lower values
+ * denote a higher priority.
+ *
+ * The integer part of the priority is the tile's level, so that lower
+ * resolution levels are loaded first. The fractional part grows with the
+ * angular distance between the tile center and the center of the view, up to
+ * a maximum of 0.5, so that tiles closer to the center are loaded first within
+ * the same level.
+ *
+ * Priorities are recomputed for the current view every time this method is
+ * called, and are only available for tiles that were marked for loading in
+ * the most recently rendered frame or given a priority by
+ * {@link Stage#prioritizeTile}.
+ *
+ * @param {Tile} tile The tile.
+ * @return {?number} The priority, or null if the tile was neither marked for
+ *     loading in the most recent frame nor given a priority.
+ */
+Stage.prototype.tilePriority = function(tile) {
+  var view = this._tileViews.get(tile);
+  if (!view) {
+    var entry = this._prioritizedTiles.get(tile);
+    if (!entry) {
+      return null;
+    }
+    view = entry.view;
+  }
+  return tile.z + tileDistanceFromCenter(tile, view, this._tmpMatrix, this._tmpVec);
+};
+
+
+/**
+ * Gives a loading priority to a tile that may not be marked for loading by
+ * the rendering process, such as a tile of a scene being preloaded. Until
+ * {@link Stage#unprioritizeTile} is called, {@link Stage#tilePriority}
+ * returns the priority the tile would have if it were visible from the given
+ * view, so that it is not loaded after every visible tile. Calls may be
+ * nested; the view given first is used.
+ *
+ * @param {Tile} tile The tile.
+ * @param {View} view The view the tile is to be displayed from.
+ */
+Stage.prototype.prioritizeTile = function(tile, view) {
+  var entry = this._prioritizedTiles.get(tile);
+  if (entry) {
+    entry.count++;
+  } else {
+    this._prioritizedTiles.set(tile, { view: view, count: 1 });
+  }
+};
+
+
+/**
+ * Reverts a call to {@link Stage#prioritizeTile}.
+ *
+ * @param {Tile} tile The tile.
+ */
+Stage.prototype.unprioritizeTile = function(tile) {
+  var entry = this._prioritizedTiles.get(tile);
+  if (entry && --entry.count === 0) {
+    this._prioritizedTiles.del(tile);
+  }
+};
+
+
+// Returns a number in [0, 0.5] that grows with the angle between the view
+// direction and the direction of the tile center. Tiles on the sphere report
+// their center direction, which accounts for the geometry; flat tiles are
+// positioned the same way as by the renderers. The angle is measured in clip
+// space, which preserves the ordering of angles around the view direction.
+function tileDistanceFromCenter(tile, view, matrix, vec) {
+  mat4.copy(matrix, view.projection());
+  if (tile.direction) {
+    tile.direction(0.5, 0.5, vec);
+  } else {
+    mat4.rotateX(matrix, matrix, tile.rotX());
+    mat4.rotateY(matrix, matrix, tile.rotY());
+    vec3.set(vec, tile.centerX(), tile.centerY(), -0.5);
+  }
+
+  // Project the tile center.
+  var m = matrix;
+  var x = m[0] * vec[0] + m[4] * vec[1] + m[8] * vec[2] + m[12];
+  var y = m[1] * vec[0] + m[5] * vec[1] + m[9] * vec[2] + m[13];
+  var w = m[3] * vec[0] + m[7] * vec[1] + m[11] * vec[2] + m[15];
+
+  return Math.atan2(Math.sqrt(x * x + y * y), w) / (2 * Math.PI);
+}
+
+
 Stage.prototype._collectTiles = function(layer, textureStore) {
   var tilesToLoad = this._tilesToLoad;
   var tilesToRender = this._tilesToRender;
@@ -637,7 +1118,12 @@ Stage.prototype.createTexture = function(tile, asset, done) {
   var self = this;
 
   function makeTexture() {
-    return new self.TextureClass(self, tile, asset);
+    // An asset showing a portion of an asset shared with other tiles gets a
+    // texture sampling that portion of a texture shared between the tiles.
+    var TextureClass = self.SubTextureClass &&
+        asset.textureRect && asset.textureRect() ?
+        self.SubTextureClass : self.TextureClass;
+    return new TextureClass(self, tile, asset);
   }
 
   var fn = cancelize(async(makeTexture));
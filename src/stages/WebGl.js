@@ -17,6 +17,14 @@
 
 var Stage = require('./Stage');
 var HtmlImageLoader = require('../loaders/HtmlImage');
+var FetchImageLoader = require('../loaders/FetchImage');
+var WorkerImageLoader = require('../loaders/WorkerImage');
+var Ktx2Loader = require('../loaders/Ktx2');
+var HdrLoader = require('../loaders/Hdr');
+var CompressedAsset = require('../assets/Compressed');
+var HdrAsset = require('../assets/Hdr');
+var encodeRgbe = require('../loaders/radianceFormat').encodeRgbe;
+var toHalf = require('../util/halfFloat').toHalf;
 var browser = require('bowser');
 var inherits = require('../util/inherits');
 var pixelRatio = require('../util/pixelRatio');
@@ -24,6 +32,7 @@ var ispot = require('../util/ispot');
 var setAbsolute = require('../util/dom').setAbsolute;
 var setFullSize = require('../util/dom').setFullSize;
 var clearOwnProperties = require('../util/clearOwnProperties');
+var defaults = require('../util/defaults');
 
 // TODO(tjgq): Unify Stage and WebGlStage.
 
@@ -45,7 +54,10 @@ function initWebGlContext(canvas, opts) {
     preserveDrawingBuffer: !!(opts && opts.preserveDrawingBuffer)
   };
 
-  var gl = (canvas.getContext) && (canvas.getContext('webgl', options) || canvas.getContext('experimental-webgl', options));
+  var gl = (canvas.getContext) && (
+      (opts.webgl2 && canvas.getContext('webgl2', options)) ||
+      canvas.getContext('webgl', options) ||
+      canvas.getContext('experimental-webgl', options));
 
   if (!gl) {
     throw new Error('Could not get WebGL context');
@@ -58,6 +70,86 @@ function initWebGlContext(canvas, opts) {
   return gl;
 }
 
+// The WebGL extension providing each family of compressed texture formats.
+var compressedTextureExtensions = {
+  astc: 'WEBGL_compressed_texture_astc',
+  bc7: 'EXT_texture_compression_bptc',
+  etc2: 'WEBGL_compressed_texture_etc',
+  s3tc: 'WEBGL_compressed_texture_s3tc'
+};
+
+
+// Enables the compressed texture extensions available in a context and
+// returns the list of supported format families.
+function enableCompressedTextureFormats(gl) {
+  var formats = [];
+  for (var family in compressedTextureExtensions) {
+    if (gl.getExtension(compressedTextureExtensions[family])) {
+      formats.push(family);
+    }
+  }
+  return formats;
+}
+
+
+// Enables the extensions required for floating point textures, and returns
+// how HDR textures are to be uploaded: the name of the format, the internal
+// format and the type of the uploaded data. If floating point textures cannot
+// be linearly filtered, RGBE encoded textures are used instead.
+function enableHdrTextures(gl, isWebGl2) {
+  if (isWebGl2) {
+    // Half float textures are filterable in WebGL 2, and may be uploaded from
+    // float data.
+    return { format: 'half-float', internalFormat: gl.RGBA16F, type: gl.FLOAT };
+  }
+  var halfFloat = gl.getExtension('OES_texture_half_float');
+  if (halfFloat && gl.getExtension('OES_texture_half_float_linear')) {
+    return { format: 'half-float', internalFormat: gl.RGBA, type: halfFloat.HALF_FLOAT_OES };
+  }
+  if (gl.getExtension('OES_texture_float') && gl.getExtension('OES_texture_float_linear')) {
+    return { format: 'float', internalFormat: gl.RGBA, type: gl.FLOAT };
+  }
+  return { format: 'rgbe', internalFormat: gl.RGBA, type: gl.UNSIGNED_BYTE };
+}
+
+
+function createKtx2Loader(stage, opts) {
+  if (!Ktx2Loader.supported()) {
+    return null;
+  }
+  return new Ktx2Loader(stage, defaults({
+    transcoder: opts.ktx2Transcoder
+  }, opts.fetchOptions || {}));
+}
+
+
+function createHdrLoader(stage, opts) {
+  if (!HdrLoader.supported()) {
+    return null;
+  }
+  return new HdrLoader(stage, opts.fetchOptions);
+}
+
+
+function createImageLoader(stage, opts) {
+  var imageLoader = opts.imageLoader || 'html';
+  if (imageLoader === 'worker') {
+    if (WorkerImageLoader.supported()) {
+      return new WorkerImageLoader(stage, opts.fetchOptions);
+    }
+    if (FetchImageLoader.supported()) {
+      return new FetchImageLoader(stage, opts.fetchOptions);
+    }
+  } else if (imageLoader === 'fetch') {
+    if (FetchImageLoader.supported()) {
+      return new FetchImageLoader(stage, opts.fetchOptions);
+    }
+  } else if (imageLoader !== 'html') {
+    throw new Error('Unknown image loader: ' + imageLoader);
+  }
+  return new HtmlImageLoader(stage);
+}
+
 /**
  * @class WebGlStage
  * @extends Stage
@@ -70,6 +162,10 @@ function initWebGlContext(canvas, opts) {
  * @param {boolean} [opts.preserveDrawingBuffer=false]
  * @param {boolean} [opts.generateMipmaps=false]
  * @param {function} [opts.wrapContext]
+ * @param {string} [opts.imageLoader='html']
+ * @param {Object} [opts.fetchOptions]
+ * @param {boolean} [opts.webgl2=false]
+ * @param {function} [opts.ktx2Transcoder]
  *
  * The `antialias` and `preserveDrawingBuffer` options control the WebGL
  * context attributes of the same name. The `alpha` and `premultipliedAlpha`
@@ -89,6 +185,43 @@ function initWebGlContext(canvas, opts) {
  * This is useful when used together with WebGLDebugUtils to debug WebGL issues.
  * See https://www.khronos.org/webgl/wiki/Debugging.
  *
+ * The `imageLoader` option selects how images are loaded. The default value
+ * `'html'` uses an {@link HtmlImageLoader}; the value `'fetch'` uses a
+ * {@link FetchImageLoader}, which aborts cancelled requests and reports the
+ * HTTP status of failed ones. The value `'worker'` uses a
+ * {@link WorkerImageLoader}, which additionally fetches, decodes and crops
+ * images in a Web Worker. The `fetchOptions` option is passed to the
+ * {@link FetchImageLoader} or {@link WorkerImageLoader} constructor, and may be
+ * used to send credentials or custom headers. If the browser lacks the APIs
+ * required by the {@link WorkerImageLoader}, the {@link FetchImageLoader} is
+ * used instead, and in turn the {@link HtmlImageLoader}.
+ *
+ * The `webgl2` option requests a WebGL 2 context, falling back to WebGL 1 if
+ * unavailable. See {@link WebGlStage#isWebGl2}.
+ *
+ * Images whose URL has a `.ktx2` extension are loaded by a {@link Ktx2Loader}
+ * into a {@link CompressedAsset}, which is uploaded without decompression.
+ * This greatly reduces texture memory and upload time, but requires the
+ * texture format to be supported by the device; see
+ * {@link WebGlStage#compressedTextureFormats}. The `ktx2Transcoder` option is
+ * passed to the {@link Ktx2Loader} as the `transcoder` option, and is required
+ * to load Basis Universal textures.
+ *
+ * Images whose URL has a `.hdr` or `.exr` extension are loaded by an
+ * {@link HdrLoader} into an {@link HdrAsset}, holding high dynamic range
+ * pixels. They are uploaded into half float or float textures where
+ * supported, and RGBE encoded otherwise; see
+ * {@link WebGlStage#hdrTextureFormat}. Use the `exposure`, `gamma` and
+ * `toneMapping` {@link Effects effects} to map them into the displayable range.
+ *
+ * When the WebGL context is lost, rendering is suspended until the browser
+ * restores it. Upon restoration, the renderers are recreated, and the textures
+ * for visible and pinned tiles are rebuilt from their retained assets or
+ * reloaded from the respective {@link Source}, so that rendering may resume
+ * without further action from the application. See the
+ * {@link WebGlStage#webglcontextlost} and
+ * {@link WebGlStage#webglcontextrestored} events.
+ *
  * Also see the available {@link Stage} options.
  */
 function WebGlStage(opts) {
@@ -101,7 +234,9 @@ function WebGlStage(opts) {
   this._generateMipmaps = opts.generateMipmaps != null ?
     opts.generateMipmaps : false;
 
-  this._loader = new HtmlImageLoader(this);
+  this._loader = createImageLoader(this, opts);
+  this._ktx2Loader = createKtx2Loader(this, opts);
+  this._hdrLoader = createHdrLoader(this, opts);
 
   this._domElement = document.createElement('canvas');
 
@@ -110,18 +245,43 @@ function WebGlStage(opts) {
 
   this._gl = initWebGlContext(this._domElement, opts);
 
-  this._handleContextLoss = function() {
-    self.emit('webglcontextlost');
+  // The context remains the same object across a loss and restoration, but is
+  // only exposed while usable.
+  this._context = this._gl;
+
+  this._isWebGl2 = /WebGL 2/.test(this._gl.getParameter(this._gl.VERSION));
+  this._compressedTextureFormats = enableCompressedTextureFormats(this._gl);
+  this._hdrTextures = enableHdrTextures(this._gl, this._isWebGl2);
+
+  this._handleContextLoss = function(event) {
+    // Signal to the browser that we are able to handle restoration.
+    event.preventDefault();
     self._gl = null;
+    self._createTextureWorkQueue.pause();
+    self.emit('webglcontextlost');
+  };
+
+  this._handleContextRestored = function() {
+    self._restoreContext();
   };
 
   // Handle WebGl context loss.
   this._domElement.addEventListener('webglcontextlost', this._handleContextLoss);
+  this._domElement.addEventListener('webglcontextrestored', this._handleContextRestored);
 
   // WebGl renderers are singletons for a given stage. This list stores the
   // existing renderers so they can be reused across layers with the same
   // geometry and view type.
   this._rendererInstances = [];
+
+  // The framebuffer to render into in place of the drawing buffer of the
+  // canvas, and its size. See setFramebuffer().
+  this._framebuffer = null;
+  this._framebufferSize = null;
+
+  // Textures holding assets shared between tiles, such as a video packing all
+  // of the cube faces, along with the number of tiles using each one.
+  this._sharedTextures = [];
 }
 
 inherits(WebGlStage, Stage);
@@ -132,11 +292,67 @@ inherits(WebGlStage, Stage);
  */
 WebGlStage.prototype.destroy = function() {
   this._domElement.removeEventListener('webglcontextlost', this._handleContextLoss);
+  this._domElement.removeEventListener('webglcontextrestored', this._handleContextRestored);
+  if (this._loader.destroy) {
+    this._loader.destroy();
+  }
   // Delegate clearing own properties to the Stage destructor.
   this.constructor.super_.prototype.destroy.call(this);
 };
 
 
+/**
+ * Signals that the WebGL context has been lost. Rendering is suspended until
+ * the context is restored.
+ *
+ * @event WebGlStage#webglcontextlost
+ */
+
+/**
+ * Signals that the WebGL context has been restored, and the renderers and
+ * textures have been recreated.
+ *
+ * @event WebGlStage#webglcontextrestored
+ */
+
+
+WebGlStage.prototype._restoreContext = function() {
+  this._gl = this._context;
+
+  // Extensions must be enabled again in the restored context.
+  this._compressedTextureFormats = enableCompressedTextureFormats(this._gl);
+  this._hdrTextures = enableHdrTextures(this._gl, this._isWebGl2);
+
+  // Renderers hold shader programs and buffers created in the lost context.
+  this._recreateRenderers();
+
+  // Rebuild the textures. A texture store may be shared between layers.
+  var textureStores = [];
+  for (var i = 0; i < this._layers.length; i++) {
+    var textureStore = this._layers[i].textureStore();
+    if (textureStores.indexOf(textureStore) < 0) {
+      textureStores.push(textureStore);
+      textureStore.reloadTextures();
+    }
+  }
+
+  this._createTextureWorkQueue.resume();
+
+  this.emit('webglcontextrestored');
+  this._emitRenderInvalid();
+};
+
+
+/**
+ * Returns whether the WebGL context is currently lost.
+ *
+ * @return {boolean}
+ */
+WebGlStage.prototype.isContextLost = function() {
+  return !this._gl;
+};
+
+
 /**
  * Returns the underlying DOM element.
  *
@@ -174,10 +390,68 @@ WebGlStage.prototype.setSizeForType = function() {
 
 
 WebGlStage.prototype.loadImage = function(url, rect, done) {
+  if (this._ktx2Loader && Ktx2Loader.isKtx2Url(url)) {
+    return this._ktx2Loader.loadImage(url, rect, done);
+  }
+  if (this._hdrLoader && HdrLoader.isHdrUrl(url)) {
+    return this._hdrLoader.loadImage(url, rect, done);
+  }
   return this._loader.loadImage(url, rect, done);
 };
 
 
+/**
+ * Sets the framebuffer into which to render in place of the drawing buffer of
+ * the canvas, such as the framebuffer of a WebXR layer. Rects are then relative
+ * to the framebuffer rather than to the stage. Pass null to render into the
+ * canvas again.
+ *
+ * @param {?WebGLFramebuffer} framebuffer
+ * @param {Size} [size] The framebuffer size in pixels.
+ */
+WebGlStage.prototype.setFramebuffer = function(framebuffer, size) {
+  this._framebuffer = framebuffer;
+  this._framebufferSize = framebuffer ?
+      { width: size.width, height: size.height } : null;
+};
+
+
+/**
+ * Returns whether the stage uses a WebGL 2 context.
+ *
+ * @return {boolean}
+ */
+WebGlStage.prototype.isWebGl2 = function() {
+  return this._isWebGl2;
+};
+
+
+/**
+ * Returns the families of compressed texture formats supported by the device.
+ * The possible values are `'astc'`, `'bc7'`, `'etc2'` and `'s3tc'`, the latter
+ * denoting the BC1, BC2 and BC3 formats.
+ *
+ * @return {string[]}
+ */
+WebGlStage.prototype.compressedTextureFormats = function() {
+  return [].concat(this._compressedTextureFormats);
+};
+
+
+/**
+ * Returns how high dynamic range textures are uploaded: `'half-float'` or
+ * `'float'` for floating point textures, or `'rgbe'` when the device does not
+ * support filtering them, in which case an 8-bit mantissa is stored for each
+ * color component alongside a shared exponent. RGBE textures are not
+ * interpolated, and have lower precision.
+ *
+ * @return {string}
+ */
+WebGlStage.prototype.hdrTextureFormat = function() {
+  return this._hdrTextures.format;
+};
+
+
 WebGlStage.prototype.maxTextureSize = function() {
   return this._gl.getParameter(this._gl.MAX_TEXTURE_SIZE);
 };
@@ -207,7 +481,8 @@ WebGlStage.prototype.createRenderer = function(Renderer) {
 
 WebGlStage.prototype.destroyRenderer = function(renderer) {
   var rendererInstances = this._rendererInstances;
-  if (this._renderers.indexOf(renderer) < 0) {
+  if (this._renderers.indexOf(renderer) < 0 &&
+      this._viewRenderers.indexOf(renderer) < 0) {
     renderer.destroy();
     var index = rendererInstances.indexOf(renderer);
     if (index >= 0) {
@@ -217,6 +492,47 @@ WebGlStage.prototype.destroyRenderer = function(renderer) {
 };
 
 
+// Returns the texture holding an asset shared between tiles, creating it if no
+// other tile is using it.
+WebGlStage.prototype._acquireSharedTexture = function(tile, asset) {
+  var sharedTextures = this._sharedTextures;
+  for (var i = 0; i < sharedTextures.length; i++) {
+    if (sharedTextures[i].asset === asset) {
+      sharedTextures[i].refs++;
+      return sharedTextures[i].texture;
+    }
+  }
+  var texture = new WebGlTexture(this, tile, asset);
+  sharedTextures.push({ asset: asset, texture: texture, refs: 1 });
+  return texture;
+};
+
+
+// Destroys the texture holding an asset shared between tiles once the last
+// tile using it is gone.
+WebGlStage.prototype._releaseSharedTexture = function(asset) {
+  var sharedTextures = this._sharedTextures;
+  for (var i = 0; i < sharedTextures.length; i++) {
+    if (sharedTextures[i].asset === asset) {
+      if (--sharedTextures[i].refs === 0) {
+        sharedTextures[i].texture.destroy();
+        sharedTextures.splice(i, 1);
+      }
+      return;
+    }
+  }
+};
+
+
+WebGlStage.prototype.render = function() {
+  // Skip rendering while the context is lost.
+  if (!this._gl) {
+    return;
+  }
+  WebGlStage.super_.prototype.render.call(this);
+};
+
+
 WebGlStage.prototype.startFrame = function() {
 
   var gl = this._gl;
@@ -225,8 +541,13 @@ WebGlStage.prototype.startFrame = function() {
     throw new Error('Bad WebGL context - maybe context was lost?');
   }
 
-  // Set the WebGL viewport.
-  gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+  // Bind the framebuffer to render into, and set the WebGL viewport.
+  gl.bindFramebuffer(gl.FRAMEBUFFER, this._framebuffer);
+  if (this._framebufferSize) {
+    gl.viewport(0, 0, this._framebufferSize.width, this._framebufferSize.height);
+  } else {
+    gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+  }
 
   // Clear framebuffer.
   gl.clearColor(0.0, 0.0, 0.0, 0.0);
@@ -277,12 +598,56 @@ WebGlStage.prototype.takeSnapshot = function(options) {
 WebGlStage.type = WebGlStage.prototype.type = 'webgl';
 
 
+// Returns the estimated memory used by an RGBA texture with the given
+// dimensions. A full mipmap chain adds a third of the base level size.
+function textureMemorySize(width, height, mipmaps) {
+  var size = width * height * 4;
+  return mipmaps ? Math.ceil(size * 4 / 3) : size;
+}
+
+
+// The number of bytes per pixel of each HDR texture format.
+var hdrBytesPerPixel = {
+  'half-float': 8,
+  'float': 16,
+  'rgbe': 4
+};
+
+
+// The value of the uTextureEncoding uniform for each HDR texture format.
+// Regular textures have an encoding of zero.
+var hdrTextureEncoding = {
+  'half-float': 1,
+  'float': 1,
+  'rgbe': 2
+};
+
+
+// Converts HDR pixel data into the type uploaded for the given texture format.
+function hdrTextureData(gl, data, hdrTextures) {
+  if (hdrTextures.type === gl.UNSIGNED_BYTE) {
+    return encodeRgbe(data);
+  }
+  if (hdrTextures.type === gl.FLOAT) {
+    return data;
+  }
+  var halfData = new Uint16Array(data.length);
+  for (var i = 0; i < data.length; i++) {
+    halfData[i] = toHalf(data[i]);
+  }
+  return halfData;
+}
+
+
 function WebGlTexture(stage, tile, asset) {
   this._stage = stage;
   this._gl = stage._gl;
   this._texture = null;
   this._timestamp = null;
   this._width = this._height = null;
+  this._memorySize = 0;
+  this._flipY = false;
+  this._encoding = 0;
   this.refresh(tile, asset);
 }
 
@@ -299,6 +664,16 @@ WebGlTexture.prototype.refresh = function(tile, asset) {
     return;
   }
 
+  if (asset instanceof CompressedAsset) {
+    this._refreshCompressed(asset);
+    return;
+  }
+
+  if (asset instanceof HdrAsset) {
+    this._refreshHdr(asset);
+    return;
+  }
+
   // Get asset element.
   var element = asset.element();
 
@@ -357,7 +732,8 @@ WebGlTexture.prototype.refresh = function(tile, asset) {
 
   // Generate mipmap if the corresponding stage option is set and the texture
   // dimensions are powers of two.
-  if (stage._generateMipmaps && ispot(width) && ispot(height)) {
+  var mipmaps = stage._generateMipmaps && ispot(width) && ispot(height);
+  if (mipmaps) {
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
     gl.generateMipmap(gl.TEXTURE_2D);
@@ -377,19 +753,167 @@ WebGlTexture.prototype.refresh = function(tile, asset) {
   this._timestamp = timestamp;
   this._width = width;
   this._height = height;
+  this._flipY = false;
+  this._encoding = 0;
+
+  // Update the estimated memory use.
+  var memorySize = textureMemorySize(width, height, mipmaps);
+  stage.updateTextureMemory(memorySize - this._memorySize);
+  this._memorySize = memorySize;
 
 };
 
 
+// Uploads a compressed asset. Compressed assets are static, so this is only
+// called once per texture. The data cannot be flipped on upload, so the flip
+// is applied by the shaders instead.
+WebGlTexture.prototype._refreshCompressed = function(asset) {
+  var gl = this._gl;
+  var stage = this._stage;
+
+  var width = asset.width();
+  var height = asset.height();
+  var levels = asset.levels();
+
+  var maxSize = stage.maxTextureSize();
+  if (width > maxSize || height > maxSize) {
+    throw new Error('Texture size larger than max size (' + width + 'x' +
+                    height + ' vs. ' + maxSize + ')');
+  }
+
+  if (this._texture) {
+    gl.deleteTexture(this._texture);
+  }
+
+  var texture = this._texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  for (var i = 0; i < levels.length; i++) {
+    var level = levels[i];
+    gl.compressedTexImage2D(gl.TEXTURE_2D, i, asset.format(),
+        level.width, level.height, 0, level.data);
+  }
+
+  // Compressed textures cannot have mipmaps generated, so only use them when
+  // the file provides them.
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER,
+      levels.length > 1 ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+
+  this._timestamp = asset.timestamp();
+  this._width = width;
+  this._height = height;
+  this._flipY = asset.flipY();
+  this._encoding = 0;
+
+  var memorySize = asset.byteLength();
+  stage.updateTextureMemory(memorySize - this._memorySize);
+  this._memorySize = memorySize;
+};
+
+
+// Uploads an HDR asset, in the format supported by the device. HDR assets are
+// static, so this is only called once per texture. The rows are stored from
+// top to bottom, and the flip is applied by the shaders, as for compressed
+// textures.
+WebGlTexture.prototype._refreshHdr = function(asset) {
+  var gl = this._gl;
+  var stage = this._stage;
+  var hdrTextures = stage._hdrTextures;
+
+  var width = asset.width();
+  var height = asset.height();
+
+  var maxSize = stage.maxTextureSize();
+  if (width > maxSize || height > maxSize) {
+    throw new Error('Texture size larger than max size (' + width + 'x' +
+                    height + ' vs. ' + maxSize + ')');
+  }
+
+  if (this._texture) {
+    gl.deleteTexture(this._texture);
+  }
+
+  // The pixel data is neither flipped nor premultiplied on upload, as RGBE
+  // encoded components would be altered.
+  var texture = this._texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+  gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+  gl.texImage2D(gl.TEXTURE_2D, 0, hdrTextures.internalFormat, width, height,
+      0, gl.RGBA, hdrTextures.type, hdrTextureData(gl, asset.data(), hdrTextures));
+
+  // RGBE encoded components cannot be interpolated independently.
+  var filter = hdrTextures.format === 'rgbe' ? gl.NEAREST : gl.LINEAR;
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+
+  this._timestamp = asset.timestamp();
+  this._width = width;
+  this._height = height;
+  this._flipY = true;
+  this._encoding = hdrTextureEncoding[hdrTextures.format];
+
+  var memorySize = width * height * hdrBytesPerPixel[hdrTextures.format];
+  stage.updateTextureMemory(memorySize - this._memorySize);
+  this._memorySize = memorySize;
+};
+
+
 WebGlTexture.prototype.destroy = function() {
   if (this._texture) {
     this._gl.deleteTexture(this._texture);
   }
+  this._stage.updateTextureMemory(-this._memorySize);
+  clearOwnProperties(this);
+};
+
+
+// A texture for a tile showing a portion of an asset shared between tiles, such
+// as a single face of a video packing all of the cube faces. The shared asset
+// is uploaded once per change into a texture owned by the stage, and each tile
+// samples its own portion of it.
+function WebGlSubTexture(stage, tile, asset) {
+  this._stage = stage;
+  this._sharedAsset = asset.sharedAsset();
+  this._sharedTexture = stage._acquireSharedTexture(tile, this._sharedAsset);
+  this._rect = asset.textureRect();
+  this._update();
+}
+
+
+WebGlSubTexture.prototype.refresh = function(tile) {
+  // The shared texture skips the upload if another tile already refreshed it
+  // for the current frame of the asset.
+  this._sharedTexture.refresh(tile, this._sharedAsset);
+  this._update();
+};
+
+
+// Copies the state of the shared texture read by the renderers.
+WebGlSubTexture.prototype._update = function() {
+  var sharedTexture = this._sharedTexture;
+  this._texture = sharedTexture._texture;
+  this._width = sharedTexture._width;
+  this._height = sharedTexture._height;
+  this._flipY = sharedTexture._flipY;
+  this._encoding = sharedTexture._encoding;
+};
+
+
+WebGlSubTexture.prototype.destroy = function() {
+  this._stage._releaseSharedTexture(this._sharedAsset);
   clearOwnProperties(this);
 };
 
 
 WebGlStage.TextureClass = WebGlStage.prototype.TextureClass = WebGlTexture;
+WebGlStage.SubTextureClass = WebGlStage.prototype.SubTextureClass = WebGlSubTexture;
 
 
 module.exports = WebGlStage;
@@ -0,0 +1,243 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var mat4 = require('gl-matrix').mat4;
+var vec4 = require('gl-matrix').vec4;
+
+/**
+ * Helper functions for stereoscopic output.
+ *
+ * A {@link Stage} renders in one of the following stereo modes, set with
+ * {@link Stage#setStereoMode}:
+ *
+ *   - `mono`: only layers for the left eye, and layers not assigned to an
+ *     eye, are rendered;
+ *   - `sideBySide`: the left eye is rendered into the left half of the stage,
+ *     and the right eye into the right half;
+ *   - `overUnder`: the left eye is rendered into the top half of the stage,
+ *     and the right eye into the bottom half;
+ *   - `redCyan`: both eyes are rendered over the full stage, composited as a
+ *     red/cyan color anaglyph;
+ *   - `dubois`: as above, but using the red/cyan matrices by Eric Dubois,
+ *     which reduce ghosting and retinal rivalry.
+ *
+ * In the split modes, layers not assigned to an eye are rendered into both
+ * halves. In the anaglyph modes, they are rendered unaltered.
+ *
+ * The anaglyph modes rely on the additive composition of the two eyes, which
+ * requires the layer for the left eye to be above the one for the right eye,
+ * as arranged by {@link Scene#createStereoLayer}. Since the contribution of
+ * each eye is clamped to the displayable range before being composited, the
+ * result of the `dubois` mode is an approximation.
+ *
+ * References:
+ *
+ *   - [Anaglyph methods comparison](http://www.3dtv.at/knowhow/anaglyphcomparison_en.aspx)
+ *   - [Dubois anaglyph matrices](https://www.site.uottawa.ca/~edubois/anaglyph/)
+ *
+ * @namespace stereo
+ */
+
+/**
+ * The known stereo modes.
+ * @type {string[]}
+ * @memberof stereo
+ */
+var modes = ['mono', 'sideBySide', 'overUnder', 'redCyan', 'dubois'];
+
+// Anaglyph color matrices for each eye, as 3x3 row-major matrices on the red,
+// green and blue components.
+var anaglyphMatrices = {
+  redCyan: {
+    left: [
+      1, 0, 0,
+      0, 0, 0,
+      0, 0, 0
+    ],
+    right: [
+      0, 0, 0,
+      0, 1, 0,
+      0, 0, 1
+    ]
+  },
+  dubois: {
+    left: [
+      0.456, 0.500, 0.176,
+      -0.040, -0.038, -0.016,
+      -0.015, -0.021, -0.005
+    ],
+    right: [
+      -0.043, -0.088, -0.002,
+      0.378, 0.734, -0.018,
+      -0.072, -0.113, 1.226
+    ]
+  }
+};
+
+var identityMatrix = mat4.create();
+var zeroOffset = vec4.create();
+
+// Temporary variable for matrix composition.
+var tmpMatrix = mat4.create();
+
+
+/**
+ * Returns whether a stereo mode splits the stage between the two eyes.
+ * @param {string} mode
+ * @return {boolean}
+ * @memberof stereo
+ */
+function isSplit(mode) {
+  return mode === 'sideBySide' || mode === 'overUnder';
+}
+
+
+/**
+ * Returns whether a stereo mode composites the two eyes as an anaglyph.
+ * @param {string} mode
+ * @return {boolean}
+ * @memberof stereo
+ */
+function isAnaglyph(mode) {
+  return anaglyphMatrices.hasOwnProperty(mode);
+}
+
+
+/**
+ * Returns whether a layer for the given eye is rendered in a stereo mode.
+ * @param {string} mode
+ * @param {?string} eye The eye, one of `left` or `right`, or null for a layer
+ *     not assigned to an eye.
+ * @return {boolean}
+ * @memberof stereo
+ */
+function isVisible(mode, eye) {
+  return !(mode === 'mono' && eye === 'right');
+}
+
+
+/**
+ * Maps a {@link Rect} into the portion of the stage where an eye is rendered
+ * in a stereo mode. The rect is left unchanged for modes other than the split
+ * modes.
+ * @param {string} mode
+ * @param {string} eye One of `left` or `right`.
+ * @param {Rect} rect The rect for the full stage.
+ * @param {Rect} [result] The object to store the result in. Defaults to a
+ *     fresh object.
+ * @return {Rect}
+ * @memberof stereo
+ */
+function eyeRect(mode, eye, rect, result) {
+  result = result || {};
+  result.x = rect.x;
+  result.y = rect.y;
+  result.width = rect.width;
+  result.height = rect.height;
+  var offset = eye === 'right' ? 0.5 : 0;
+  if (mode === 'sideBySide') {
+    result.x = rect.x / 2 + offset;
+    result.width = rect.width / 2;
+  } else if (mode === 'overUnder') {
+    result.y = rect.y / 2 + offset;
+    result.height = rect.height / 2;
+  }
+  return result;
+}
+
+
+/**
+ * Computes the effects to render an eye with in an anaglyph mode, by composing
+ * the anaglyph color matrix with the color effects of the layer. The other
+ * properties of the effects are copied unchanged.
+ *
+ * For other modes, the effects are returned unchanged.
+ *
+ * @param {string} mode
+ * @param {string} eye One of `left` or `right`.
+ * @param {Effects} effects The layer effects.
+ * @param {Effects} [result] The object to store the result in, which must not
+ *     share its `colorMatrix` and `colorOffset` with another object. Defaults
+ *     to a fresh object.
+ * @return {Effects}
+ * @memberof stereo
+ */
+function eyeEffects(mode, eye, effects, result) {
+  if (!isAnaglyph(mode)) {
+    return effects;
+  }
+
+  effects = effects || {};
+  result = result || {};
+
+  var matrix = result.colorMatrix || mat4.create();
+  var offset = result.colorOffset || vec4.create();
+
+  for (var key in effects) {
+    result[key] = effects[key];
+  }
+  result.colorMatrix = matrix;
+  result.colorOffset = offset;
+
+  var anaglyph = anaglyphMatrices[mode][eye];
+  var colorMatrix = effects.colorMatrix || identityMatrix;
+  var colorOffset = effects.colorOffset || zeroOffset;
+
+  // The color matrices are stored in row-major order; see colorEffects.
+  var i, j, k;
+  for (i = 0; i < 4; i++) {
+    for (j = 0; j < 4; j++) {
+      var sum = 0;
+      for (k = 0; k < 4; k++) {
+        sum += anaglyphEntry(anaglyph, eye, i, k) * colorMatrix[4*k + j];
+      }
+      tmpMatrix[4*i + j] = sum;
+    }
+  }
+  mat4.copy(matrix, tmpMatrix);
+
+  var r = colorOffset[0], g = colorOffset[1], b = colorOffset[2], a = colorOffset[3];
+  for (i = 0; i < 4; i++) {
+    offset[i] = anaglyphEntry(anaglyph, eye, i, 0) * r +
+                anaglyphEntry(anaglyph, eye, i, 1) * g +
+                anaglyphEntry(anaglyph, eye, i, 2) * b +
+                anaglyphEntry(anaglyph, eye, i, 3) * a;
+  }
+
+  return result;
+}
+
+
+// Returns the entry at row i and column j of the 4x4 anaglyph color matrix for
+// an eye. The alpha of the left eye is zeroed so that it is added onto the
+// right eye when rendered above it.
+function anaglyphEntry(anaglyph, eye, i, j) {
+  if (i === 3 || j === 3) {
+    return (i === 3 && j === 3 && eye === 'right') ? 1 : 0;
+  }
+  return anaglyph[3*i + j];
+}
+
+
+module.exports = {
+  modes: modes,
+  isSplit: isSplit,
+  isAnaglyph: isAnaglyph,
+  isVisible: isVisible,
+  eyeRect: eyeRect,
+  eyeEffects: eyeEffects
+};
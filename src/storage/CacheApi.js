@@ -0,0 +1,170 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var global = require('../util/global');
+var once = require('../util/once');
+
+// Headers used to store entry metadata alongside the blob.
+var sizeHeader = 'X-Tile-Size';
+var timeHeader = 'X-Tile-Time';
+
+/**
+ * @class CacheApiStorage
+ * @implements TileStorage
+ * @classdesc
+ *
+ * A {@link TileStorage} backed by the Cache Storage API.
+ *
+ * Entries are stored in a cache named after the storage name and version.
+ * Opening the storage deletes the caches belonging to other versions.
+ *
+ * Entries are keyed by synthetic same-origin URLs, which are never requested
+ * from the network.
+ *
+ * Access times are not persisted, since it would require rewriting the entry;
+ * the eviction order after a page load is therefore the insertion order.
+ *
+ * @param {string} name The storage name.
+ * @param {number} version The cache version.
+ */
+function CacheApiStorage(name, version) {
+  this._prefix = name + '-v';
+  this._cacheName = this._prefix + version;
+  this._urlPrefix = '/' + encodeURIComponent(this._cacheName) + '/';
+  this._cache = null;
+}
+
+
+/**
+ * Returns whether the Cache Storage API is available.
+ * @return {boolean}
+ */
+CacheApiStorage.supported = function() {
+  return !!global.caches;
+};
+
+
+CacheApiStorage.prototype._url = function(key) {
+  return this._urlPrefix + encodeURIComponent(key);
+};
+
+
+CacheApiStorage.prototype._key = function(url) {
+  var path = url.slice(url.indexOf(this._urlPrefix) + this._urlPrefix.length);
+  return decodeURIComponent(path);
+};
+
+
+CacheApiStorage.prototype.open = function(done) {
+  var self = this;
+  var caches = global.caches;
+
+  done = once(done);
+
+  caches.keys().then(function(names) {
+    var stale = names.filter(function(name) {
+      return name.indexOf(self._prefix) === 0 && name !== self._cacheName;
+    });
+    return global.Promise.all(stale.map(function(name) {
+      return caches.delete(name);
+    }));
+  }).then(function() {
+    return caches.open(self._cacheName);
+  }).then(function(cache) {
+    self._cache = cache;
+    done(null);
+  }, done);
+};
+
+
+CacheApiStorage.prototype.list = function(done) {
+  var self = this;
+  var cache = this._cache;
+
+  done = once(done);
+
+  cache.keys().then(function(requests) {
+    return global.Promise.all(requests.map(function(request) {
+      return cache.match(request).then(function(response) {
+        return response && {
+          key: self._key(request.url),
+          size: parseInt(response.headers.get(sizeHeader), 10) || 0,
+          time: parseInt(response.headers.get(timeHeader), 10) || 0
+        };
+      });
+    }));
+  }).then(function(entries) {
+    done(null, entries.filter(Boolean));
+  }, done);
+};
+
+
+CacheApiStorage.prototype.get = function(key, done) {
+  done = once(done);
+
+  this._cache.match(this._url(key)).then(function(response) {
+    return response ? response.blob() : null;
+  }).then(function(blob) {
+    done(null, blob);
+  }, done);
+};
+
+
+CacheApiStorage.prototype.put = function(key, blob, time, done) {
+  done = once(done);
+
+  var headers = {};
+  headers[sizeHeader] = String(blob.size);
+  headers[timeHeader] = String(time);
+  var response = new global.Response(blob, { headers: headers });
+
+  this._cache.put(this._url(key), response).then(function() {
+    done(null);
+  }, done);
+};
+
+
+CacheApiStorage.prototype.touch = function(key, time, done) {
+  done(null);
+};
+
+
+CacheApiStorage.prototype.del = function(key, done) {
+  done = once(done);
+
+  this._cache.delete(this._url(key)).then(function() {
+    done(null);
+  }, done);
+};
+
+
+CacheApiStorage.prototype.clear = function(done) {
+  var self = this;
+  var caches = global.caches;
+
+  done = once(done);
+
+  caches.delete(this._cacheName).then(function() {
+    return caches.open(self._cacheName);
+  }).then(function(cache) {
+    self._cache = cache;
+    done(null);
+  }, done);
+};
+
+
+module.exports = CacheApiStorage;
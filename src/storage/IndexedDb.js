@@ -0,0 +1,188 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var global = require('../util/global');
+var once = require('../util/once');
+
+// Names of the object stores. Blobs are kept apart from their metadata so that
+// the index can be rebuilt without reading the blobs.
+var blobStoreName = 'blobs';
+var metaStoreName = 'meta';
+
+/**
+ * @class IndexedDbStorage
+ * @implements TileStorage
+ * @classdesc
+ *
+ * A {@link TileStorage} backed by an IndexedDB database.
+ *
+ * The cache version is used as the database version. Opening the database
+ * with a different version than the stored one discards all existing entries.
+ *
+ * @param {string} name The database name.
+ * @param {number} version The cache version; must be a positive integer.
+ */
+function IndexedDbStorage(name, version) {
+  this._name = name;
+  this._version = version;
+  this._db = null;
+}
+
+
+/**
+ * Returns whether IndexedDB is available.
+ * @return {boolean}
+ */
+IndexedDbStorage.supported = function() {
+  return !!global.indexedDB;
+};
+
+
+IndexedDbStorage.prototype.open = function(done) {
+  var self = this;
+  var indexedDB = global.indexedDB;
+
+  done = once(done);
+
+  var req = indexedDB.open(this._name, this._version);
+
+  req.onupgradeneeded = function() {
+    var db = req.result;
+    var existing = db.objectStoreNames;
+    for (var i = existing.length - 1; i >= 0; i--) {
+      db.deleteObjectStore(existing[i]);
+    }
+    db.createObjectStore(blobStoreName);
+    db.createObjectStore(metaStoreName, { keyPath: 'key' });
+  };
+
+  req.onsuccess = function() {
+    self._db = req.result;
+    done(null);
+  };
+
+  req.onerror = function(event) {
+    var err = req.error;
+    if (err && err.name === 'VersionError') {
+      // The stored database has a higher version. Since any version other
+      // than the current one is stale, delete it and start over.
+      event.preventDefault();
+      var delReq = indexedDB.deleteDatabase(self._name);
+      delReq.onsuccess = function() {
+        self.open(done);
+      };
+      delReq.onerror = function() {
+        done(delReq.error);
+      };
+      return;
+    }
+    done(err);
+  };
+};
+
+
+IndexedDbStorage.prototype._transaction = function(mode, fn, done) {
+  done = once(done);
+
+  var tx;
+  try {
+    tx = this._db.transaction([blobStoreName, metaStoreName], mode);
+  } catch (err) {
+    done(err);
+    return;
+  }
+
+  var result = null;
+
+  fn(tx.objectStore(blobStoreName), tx.objectStore(metaStoreName),
+      function(value) { result = value; });
+
+  tx.oncomplete = function() {
+    done(null, result);
+  };
+  tx.onerror = tx.onabort = function() {
+    done(tx.error || new Error('IndexedDB transaction failed'));
+  };
+};
+
+
+IndexedDbStorage.prototype.list = function(done) {
+  this._transaction('readonly', function(blobs, meta, setResult) {
+    var result = [];
+    var req = meta.openCursor();
+    req.onsuccess = function() {
+      var cursor = req.result;
+      if (cursor) {
+        result.push(cursor.value);
+        cursor.continue();
+      } else {
+        setResult(result);
+      }
+    };
+  }, done);
+};
+
+
+IndexedDbStorage.prototype.get = function(key, done) {
+  this._transaction('readonly', function(blobs, meta, setResult) {
+    var req = blobs.get(key);
+    req.onsuccess = function() {
+      setResult(req.result || null);
+    };
+  }, done);
+};
+
+
+IndexedDbStorage.prototype.put = function(key, blob, time, done) {
+  this._transaction('readwrite', function(blobs, meta) {
+    blobs.put(blob, key);
+    meta.put({ key: key, size: blob.size, time: time });
+  }, done);
+};
+
+
+IndexedDbStorage.prototype.touch = function(key, time, done) {
+  this._transaction('readwrite', function(blobs, meta) {
+    var req = meta.get(key);
+    req.onsuccess = function() {
+      var entry = req.result;
+      if (entry) {
+        entry.time = time;
+        meta.put(entry);
+      }
+    };
+  }, done);
+};
+
+
+IndexedDbStorage.prototype.del = function(key, done) {
+  this._transaction('readwrite', function(blobs, meta) {
+    blobs.delete(key);
+    meta.delete(key);
+  }, done);
+};
+
+
+IndexedDbStorage.prototype.clear = function(done) {
+  this._transaction('readwrite', function(blobs, meta) {
+    blobs.clear();
+    meta.clear();
+  }, done);
+};
+
+
+module.exports = IndexedDbStorage;
@@ -0,0 +1,79 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+/**
+ * @class MemoryStorage
+ * @implements TileStorage
+ * @classdesc
+ *
+ * A {@link TileStorage} that keeps entries in memory. It does not persist
+ * across page loads, and is used by {@link TileCache} when no persistent
+ * storage is available. All callbacks are called synchronously.
+ */
+function MemoryStorage() {
+  this._entries = {};
+}
+
+
+MemoryStorage.prototype.open = function(done) {
+  done(null);
+};
+
+
+MemoryStorage.prototype.list = function(done) {
+  var result = [];
+  for (var key in this._entries) {
+    var entry = this._entries[key];
+    result.push({ key: key, size: entry.size, time: entry.time });
+  }
+  done(null, result);
+};
+
+
+MemoryStorage.prototype.get = function(key, done) {
+  var entry = this._entries[key];
+  done(null, entry ? entry.blob : null);
+};
+
+
+MemoryStorage.prototype.put = function(key, blob, time, done) {
+  this._entries[key] = { blob: blob, size: blob.size, time: time };
+  done(null);
+};
+
+
+MemoryStorage.prototype.touch = function(key, time, done) {
+  if (this._entries[key]) {
+    this._entries[key].time = time;
+  }
+  done(null);
+};
+
+
+MemoryStorage.prototype.del = function(key, done) {
+  delete this._entries[key];
+  done(null);
+};
+
+
+MemoryStorage.prototype.clear = function(done) {
+  this._entries = {};
+  done(null);
+};
+
+
+module.exports = MemoryStorage;
@@ -0,0 +1,466 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var clamp = require('./util/clamp');
+var type = require('./util/type');
+
+/**
+ * Transition update functions to be passed as the `transitionUpdate` option of
+ * {@link Viewer#switchScene} and {@link Scene#switchTo}.
+ *
+ * Each function in this namespace takes an options object and returns an
+ * update function with signature `f(t, newScene, oldScene)`. The effects are
+ * applied through the {@link Effects} of the scene layers, such as `opacity`,
+ * `rect`, `mask` and `blur`, and are reset when the transition completes.
+ *
+ * The following options are common to all transitions:
+ *
+ *   - `ease`: an easing function mapping the progress in the [0, 1] interval
+ *     into the eased progress, or the name of one of the functions in
+ *     {@link transitions.easing}. Defaults to `'linear'`.
+ *   - `start` and `end`: the portion of the [0, 1] interval in which the
+ *     transition takes place. Defaults to 0 and 1. Outside of this portion,
+ *     the transition is held at its initial or final state. Together with
+ *     {@link transitions.compose}, this allows transitions to be sequenced;
+ *     for example, moving the old view toward a link hotspot before fading
+ *     into the new scene:
+ *
+ *         transitions.compose(
+ *           transitions.animateViews({
+ *             oldView: { yaw: hotspotYaw, pitch: hotspotPitch, fov: 0.4 },
+ *             end: 0.6
+ *           }),
+ *           transitions.crossfade({ start: 0.4 }));
+ *
+ * @namespace transitions
+ */
+
+/**
+ * Easing functions, mapping the [0, 1] interval into itself.
+ *
+ * @memberof transitions
+ */
+var easing = {
+  linear: function(t) {
+    return t;
+  },
+  easeIn: function(t) {
+    return t * t * t;
+  },
+  easeOut: function(t) {
+    var u = 1 - t;
+    return 1 - u * u * u;
+  },
+  easeInOut: function(t) {
+    if (t < 0.5) {
+      return 4 * t * t * t;
+    }
+    var u = 2 - 2 * t;
+    return 1 - u * u * u / 2;
+  }
+};
+
+
+// Returns a function mapping the overall progress into the eased progress of a
+// transition, according to the common options.
+function progress(opts) {
+  var ease = opts.ease || easing.linear;
+  if (type(ease) === 'string') {
+    if (!easing.hasOwnProperty(ease)) {
+      throw new Error('Unknown easing: ' + ease);
+    }
+    ease = easing[ease];
+  }
+
+  var start = opts.start != null ? opts.start : 0;
+  var end = opts.end != null ? opts.end : 1;
+  if (start >= end) {
+    throw new Error('Transition start must be lower than end');
+  }
+
+  return function(t) {
+    var local = clamp((t - start) / (end - start), 0, 1);
+    // Ensure the final state is reached exactly.
+    return local === 1 ? 1 : ease(local);
+  };
+}
+
+
+function mergeSceneEffects(scene, effects) {
+  var layers = scene.listLayers();
+  for (var i = 0; i < layers.length; i++) {
+    layers[i].mergeEffects(effects);
+  }
+}
+
+
+function setHotspotOpacity(scene, opacity) {
+  scene.hotspotContainer().domElement().style.opacity = opacity;
+}
+
+
+/**
+ * Fades in the new scene over the old one. This is the default transition.
+ *
+ * @param {Object} opts The common options.
+ * @return {function(number, Scene, Scene)}
+ *
+ * @memberof transitions
+ */
+function crossfade(opts) {
+  var eased = progress(opts || {});
+
+  return function(t, newScene) {
+    var val = eased(t);
+    mergeSceneEffects(newScene, { opacity: val });
+    setHotspotOpacity(newScene, val);
+  };
+}
+
+
+/**
+ * Zooms into the old scene while fading in the new scene, which zooms out from
+ * the same magnification into its own view.
+ *
+ * The zoom changes the `fov` parameter of a {@link RectilinearView} or the
+ * `zoom` parameter of a {@link FlatView}, subject to the view limiter. The old
+ * view is restored at the end of the overall transition, when it is no longer
+ * visible. If the transition is interrupted, both views are restored through
+ * the `cleanup` method of the update function; see {@link Viewer#switchScene}.
+ *
+ * @param {Object} opts The common options, and:
+ * @param {number} [opts.zoom=2] The magnification reached by the old view and
+ *     initially applied to the new view.
+ * @return {function(number, Scene, Scene)}
+ *
+ * @memberof transitions
+ */
+function zoomThrough(opts) {
+  opts = opts || {};
+
+  var eased = progress(opts);
+  var zoom = opts.zoom != null ? opts.zoom : 2;
+  var state = new ViewState();
+
+  function update(t, newScene, oldScene) {
+    var val = eased(t);
+    state.capture(t, newScene, oldScene);
+
+    var newParams = state.newParams;
+    var newKey = zoomKey(newParams);
+    var newTarget = {};
+    newTarget[newKey] = newParams[newKey] / (zoom - (zoom - 1) * val);
+    newScene.view().setParameters(newTarget);
+
+    if (oldScene) {
+      var oldParams = state.oldParams;
+      var oldKey = zoomKey(oldParams);
+      var oldTarget = {};
+      oldTarget[oldKey] = t < 1 ?
+          oldParams[oldKey] / (1 + (zoom - 1) * val) : oldParams[oldKey];
+      oldScene.view().setParameters(oldTarget);
+    }
+
+    mergeSceneEffects(newScene, { opacity: val });
+    setHotspotOpacity(newScene, val);
+  }
+
+  // Restores the zoom of the views, if changed by this transition.
+  update.cleanup = function(newScene, oldScene) {
+    if (newScene !== state.newScene) {
+      return;
+    }
+    newScene.view().setParameters(zoomParams(state.newParams));
+    if (oldScene && oldScene === state.oldScene) {
+      oldScene.view().setParameters(zoomParams(state.oldParams));
+    }
+  };
+
+  return update;
+}
+
+
+/**
+ * Slides the new scene over the old one from one side of the viewport.
+ *
+ * The new scene is positioned with the `rect` effect, which is cleared when
+ * the transition completes.
+ *
+ * @param {Object} opts The common options, and:
+ * @param {string} [opts.direction='left'] The direction in which the new scene
+ *     moves; one of `'left'`, `'right'`, `'up'` or `'down'`.
+ * @return {function(number, Scene, Scene)}
+ *
+ * @memberof transitions
+ */
+function wipe(opts) {
+  opts = opts || {};
+
+  var eased = progress(opts);
+  var direction = opts.direction || 'left';
+  if (!wipeOffsets.hasOwnProperty(direction)) {
+    throw new Error('Unknown wipe direction: ' + direction);
+  }
+  var offsetX = wipeOffsets[direction][0];
+  var offsetY = wipeOffsets[direction][1];
+
+  return function(t, newScene) {
+    var val = eased(t);
+    var rect = null;
+    if (val < 1) {
+      rect = {
+        relativeX: offsetX * (1 - val),
+        relativeY: offsetY * (1 - val)
+      };
+    }
+    mergeSceneEffects(newScene, { rect: rect });
+    setHotspotOpacity(newScene, val);
+  };
+}
+
+// The initial position of the new scene for each wipe direction.
+var wipeOffsets = {
+  left: [ 1, 0 ],
+  right: [ -1, 0 ],
+  up: [ 0, 1 ],
+  down: [ 0, -1 ]
+};
+
+
+/**
+ * Reveals the new scene through a circle growing from a point in the viewport.
+ *
+ * The circle is drawn with the `mask` effect, which is cleared when the
+ * transition completes.
+ *
+ * @param {Object} opts The common options, and:
+ * @param {number} [opts.x=0.5] The horizontal position of the center of the
+ *     circle, relative to the viewport width.
+ * @param {number} [opts.y=0.5] The vertical position of the center of the
+ *     circle, relative to the viewport height.
+ * @param {number} [opts.softness=0.05] The width of the circle edge, relative
+ *     to the viewport diagonal.
+ * @return {function(number, Scene, Scene)}
+ *
+ * @memberof transitions
+ */
+function iris(opts) {
+  opts = opts || {};
+
+  var eased = progress(opts);
+  var x = opts.x != null ? opts.x : 0.5;
+  var y = opts.y != null ? opts.y : 0.5;
+  var softness = opts.softness != null ? opts.softness : 0.05;
+
+  return function(t, newScene) {
+    var val = eased(t);
+    var mask = null;
+    if (val < 1) {
+      // A radius equal to the diagonal covers the viewport from any center.
+      mask = { x: x, y: y, radius: val * (1 + softness), softness: softness };
+    }
+    mergeSceneEffects(newScene, { mask: mask });
+    setHotspotOpacity(newScene, val);
+  };
+}
+
+
+/**
+ * Blurs the old scene while fading in the new scene, which comes into focus.
+ *
+ * The blur is applied with the `blur` effect; see {@link Effects}.
+ *
+ * @param {Object} opts The common options, and:
+ * @param {number} [opts.blur=4] The maximum blur.
+ * @return {function(number, Scene, Scene)}
+ *
+ * @memberof transitions
+ */
+function blurDissolve(opts) {
+  opts = opts || {};
+
+  var eased = progress(opts);
+  var blur = opts.blur != null ? opts.blur : 4;
+
+  return function(t, newScene, oldScene) {
+    var val = eased(t);
+    var done = val === 1;
+    mergeSceneEffects(newScene, {
+      opacity: val,
+      blur: done ? null : blur * (1 - val)
+    });
+    if (oldScene) {
+      mergeSceneEffects(oldScene, { blur: done ? null : blur * val });
+    }
+    setHotspotOpacity(newScene, val);
+  };
+}
+
+
+/**
+ * Animates the views of the old and new scenes, without changing their
+ * effects. Typically composed with another transition; see
+ * {@link transitions}.
+ *
+ * The old view moves from its current parameters to the given ones, and is
+ * restored at the end of the overall transition, when it is no longer visible.
+ * The new view moves from the given parameters to its current ones. Yaw angles
+ * are interpolated along the shortest path.
+ *
+ * @param {Object} opts The common options, and:
+ * @param {Object} [opts.oldView] The parameters to move the old view to, such
+ *     as {@link RectilinearViewParams}.
+ * @param {Object} [opts.newView] The parameters to move the new view from.
+ * @return {function(number, Scene, Scene)}
+ *
+ * @memberof transitions
+ */
+function animateViews(opts) {
+  opts = opts || {};
+
+  var eased = progress(opts);
+  var oldView = opts.oldView || null;
+  var newView = opts.newView || null;
+  var state = new ViewState();
+
+  return function(t, newScene, oldScene) {
+    var val = eased(t);
+    state.capture(t, newScene, oldScene);
+
+    if (newView) {
+      newScene.view().setParameters(
+          interpolateParams(newView, state.newParams, val, newView));
+    }
+    if (oldView && oldScene) {
+      oldScene.view().setParameters(t < 1 ?
+          interpolateParams(state.oldParams, oldView, val, oldView) :
+          restoredParams(state.oldParams, oldView));
+    }
+  };
+}
+
+
+/**
+ * Combines several transitions into one, which calls each of them in turn.
+ * The `cleanup` methods of the transitions are called in the same way.
+ *
+ * @param {...function(number, Scene, Scene)} transition The transitions.
+ * @return {function(number, Scene, Scene)}
+ *
+ * @memberof transitions
+ */
+function compose() {
+  var list = Array.prototype.slice.call(arguments);
+
+  function update(t, newScene, oldScene) {
+    for (var i = 0; i < list.length; i++) {
+      list[i](t, newScene, oldScene);
+    }
+  }
+
+  // Forward the cleanup to the transitions that have one.
+  update.cleanup = function(newScene, oldScene) {
+    for (var i = 0; i < list.length; i++) {
+      if (list[i].cleanup) {
+        list[i].cleanup(newScene, oldScene);
+      }
+    }
+  };
+
+  return update;
+}
+
+
+// Records the view parameters of the scenes at the start of a transition.
+// The update function is guaranteed an initial call with t=0, but the scenes
+// are also compared in case a transition was interrupted before its start.
+// The old scene is no longer passed in once it has been destroyed.
+function ViewState() {
+  this.newScene = null;
+  this.oldScene = null;
+  this.newParams = null;
+  this.oldParams = null;
+}
+
+ViewState.prototype.capture = function(t, newScene, oldScene) {
+  if (t !== 0 && newScene === this.newScene &&
+      (oldScene === this.oldScene || !oldScene)) {
+    return;
+  }
+  this.newScene = newScene;
+  this.oldScene = oldScene;
+  this.newParams = newScene.view().parameters();
+  this.oldParams = oldScene ? oldScene.view().parameters() : null;
+};
+
+
+// Returns the key of the view parameter controlling magnification, where a
+// smaller value means a larger magnification.
+function zoomKey(params) {
+  return params.fov != null ? 'fov' : 'zoom';
+}
+
+
+// Returns the parameter controlling magnification from a set of parameters.
+function zoomParams(params) {
+  var key = zoomKey(params);
+  var result = {};
+  result[key] = params[key];
+  return result;
+}
+
+
+// Interpolates the parameters named in keys between two sets of parameters.
+function interpolateParams(from, to, val, keys) {
+  var result = {};
+  for (var key in keys) {
+    if (from[key] == null || to[key] == null) {
+      continue;
+    }
+    var delta = to[key] - from[key];
+    if (key === 'yaw') {
+      // Take the shortest path around the circle.
+      delta = delta - 2 * Math.PI * Math.round(delta / (2 * Math.PI));
+    }
+    result[key] = from[key] + delta * val;
+  }
+  return result;
+}
+
+
+// Returns the original values of the parameters named in keys.
+function restoredParams(params, keys) {
+  var result = {};
+  for (var key in keys) {
+    if (params[key] != null) {
+      result[key] = params[key];
+    }
+  }
+  return result;
+}
+
+
+module.exports = {
+  easing: easing,
+  crossfade: crossfade,
+  zoomThrough: zoomThrough,
+  wipe: wipe,
+  iris: iris,
+  blurDissolve: blurDissolve,
+  animateViews: animateViews,
+  compose: compose
+};
@@ -0,0 +1,101 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Conversions between 32-bit and 16-bit (half precision) floating point values.
+
+var floatView = new Float32Array(1);
+var intView = new Uint32Array(floatView.buffer);
+
+
+/**
+ * Converts a half precision floating point value, given by its bits, into a
+ * number.
+ * @param {number} bits
+ * @return {number}
+ * @memberof util.halfFloat
+ */
+function fromHalf(bits) {
+  var sign = bits & 0x8000 ? -1 : 1;
+  var exponent = (bits >> 10) & 0x1F;
+  var fraction = bits & 0x3FF;
+  if (exponent === 0) {
+    // Zero or subnormal.
+    return sign * Math.pow(2, -14) * (fraction / 1024);
+  }
+  if (exponent === 0x1F) {
+    return fraction ? NaN : sign * Infinity;
+  }
+  return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+}
+
+
+/**
+ * Converts a number into the bits of the closest half precision floating point
+ * value. Values too large to be represented become infinite.
+ * @param {number} value
+ * @return {number}
+ * @memberof util.halfFloat
+ */
+function toHalf(value) {
+  floatView[0] = value;
+  var bits = intView[0];
+
+  var sign = (bits >> 16) & 0x8000;
+  var exponent = (bits >> 23) & 0xFF;
+  var mantissa = bits & 0x7FFFFF;
+
+  if (exponent === 0xFF) {
+    // Infinity or NaN.
+    return sign | 0x7C00 | (mantissa ? 0x200 : 0);
+  }
+
+  // Rebias the exponent.
+  exponent = exponent - 127 + 15;
+
+  if (exponent >= 0x1F) {
+    // Too large; round to infinity.
+    return sign | 0x7C00;
+  }
+
+  if (exponent <= 0) {
+    if (exponent < -10) {
+      // Too small; round to zero.
+      return sign;
+    }
+    // Subnormal; shift in the implicit leading bit and round.
+    mantissa = mantissa | 0x800000;
+    var shift = 14 - exponent;
+    var half = mantissa >> shift;
+    if ((mantissa >> (shift - 1)) & 1) {
+      half += 1;
+    }
+    return sign | half;
+  }
+
+  // Normal; round to nearest, letting a carry propagate into the exponent.
+  var result = sign | (exponent << 10) | (mantissa >> 13);
+  if (mantissa & 0x1000) {
+    result += 1;
+  }
+  return result;
+}
+
+
+module.exports = {
+  fromHalf: fromHalf,
+  toHalf: toHalf
+};
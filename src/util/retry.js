@@ -18,8 +18,9 @@
 var noop = require('./noop');
 
 // Return a cancelable function that executes fn in a loop until it returns
-// successfully.
-function retry(fn) {
+// successfully. If shouldRetry is given, it is called with each error, and the
+// loop stops with that error as soon as it returns false.
+function retry(fn, shouldRetry) {
 
   return function retried() {
 
@@ -31,7 +32,7 @@ function retry(fn) {
 
     function exec() {
       var err = arguments[0];
-      if (!err || canceled) {
+      if (!err || canceled || (shouldRetry && !shouldRetry(err))) {
         done.apply(null, arguments);
       } else {
         cfn = fn.apply(null, args);
@@ -39,7 +40,7 @@ function retry(fn) {
     }
 
     args.push(exec);
-    exec(true);
+    cfn = fn.apply(null, args);
 
     return function cancel() {
       canceled = true;
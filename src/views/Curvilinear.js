@@ -0,0 +1,579 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var mat4 = require('gl-matrix').mat4;
+var vec4 = require('gl-matrix').vec4;
+var RectilinearView = require('./Rectilinear');
+var inherits = require('../util/inherits');
+var pixelRatio = require('../util/pixelRatio');
+var clamp = require('../util/clamp');
+var decimal = require('../util/decimal');
+
+// A fov of exactly 0 or of the maximum for a projection breaks some
+// computations. See the corresponding comment in RectilinearView.
+var fovLimitEpsilon = 0.000001;
+
+// The field of view used for the rectilinear projection matrix returned by
+// CurvilinearView#projection. Its value is irrelevant, as the matrix is only
+// used to compute the direction of view rays.
+var matrixFov = Math.PI / 2;
+
+
+// The supported projections. For each projection, `forward` maps a ray in
+// camera space, pointing into the -z direction at the center of the view, into
+// a point on the projection plane, and `inverse` does the opposite. The
+// projection plane is scaled such that the point at an angle θ from the center
+// of the view, in the vertical direction, lies at a distance `radius(θ)` from
+// the origin. Near the origin, all projections agree with a rectilinear
+// projection, i.e., `radius(θ) ≈ tan(θ)`.
+//
+// The `maxFov` property is the largest vertical field of view that may be
+// displayed, and `magnification` returns the factor by which an element at the
+// given point is enlarged, relative to the center of the view.
+var projections = {
+
+  stereographic: {
+    maxFov: 5 * Math.PI / 3,
+    radius: function(theta) {
+      return 2 * Math.tan(theta / 2);
+    },
+    forward: function(ray, result) {
+      return radialForward(ray, result, this.radius);
+    },
+    inverse: function(x, y, result) {
+      return radialInverse(x, y, result, function(rho) {
+        return 2 * Math.atan(rho / 2);
+      });
+    },
+    magnification: function(ray) {
+      // The stereographic projection is conformal, with a local scale of
+      // 1/cos²(θ/2) = 2/(1+cos(θ)).
+      return 2 / (1 - ray[2]);
+    }
+  },
+
+  equisolid: {
+    maxFov: 2 * Math.PI,
+    radius: function(theta) {
+      return 2 * Math.sin(theta / 2);
+    },
+    forward: function(ray, result) {
+      return radialForward(ray, result, this.radius);
+    },
+    inverse: function(x, y, result) {
+      return radialInverse(x, y, result, function(rho) {
+        // Points outside the circle of radius 2 do not correspond to any ray;
+        // snap them to the opposite direction of the center of the view.
+        return 2 * Math.asin(Math.min(1, rho / 2));
+      });
+    },
+    magnification: function() {
+      // Use the geometric mean of the radial and tangential scales, which is
+      // constant for this equal-area projection.
+      return 1;
+    }
+  },
+
+  pannini: {
+    maxFov: Math.PI,
+    radius: function(theta) {
+      return Math.tan(theta);
+    },
+    forward: function(ray, result) {
+      // Rays are projected onto a cylinder, which is then projected onto a
+      // plane from a point on the opposite side of the cylinder. This is the
+      // Pannini projection with d = 1, which keeps vertical lines straight.
+      var c = Math.sqrt(ray[0] * ray[0] + ray[2] * ray[2]);
+      if (c === 0 || -ray[2] <= -c) {
+        // Straight up, straight down or straight behind.
+        return null;
+      }
+      var s = 2 * c / (c - ray[2]);
+      result[0] = s * ray[0] / c;
+      result[1] = s * ray[1] / c;
+      return result;
+    },
+    inverse: function(x, y, result) {
+      var phi = 2 * Math.atan(x / 2);
+      var s = 2 / (1 + Math.cos(phi));
+      vec4.set(result, Math.sin(phi), y / s, -Math.cos(phi), 0);
+      vec4.normalize(result, result);
+      return result;
+    },
+    magnification: function(ray) {
+      var c = Math.sqrt(ray[0] * ray[0] + ray[2] * ray[2]);
+      return 2 / (1 - ray[2] / c);
+    }
+  }
+
+};
+
+
+// Projects a ray for a projection that is radially symmetric around the center
+// of the view.
+function radialForward(ray, result, radius) {
+  var r = Math.sqrt(ray[0] * ray[0] + ray[1] * ray[1]);
+  var theta = Math.atan2(r, -ray[2]);
+  if (theta >= Math.PI) {
+    return null;
+  }
+  if (r === 0) {
+    result[0] = result[1] = 0;
+    return result;
+  }
+  var rho = radius(theta);
+  result[0] = rho * ray[0] / r;
+  result[1] = rho * ray[1] / r;
+  return result;
+}
+
+
+// Unprojects a point for a projection that is radially symmetric around the
+// center of the view.
+function radialInverse(x, y, result, angle) {
+  var rho = Math.sqrt(x * x + y * y);
+  if (rho === 0) {
+    vec4.set(result, 0, 0, -1, 0);
+    return result;
+  }
+  var theta = angle(rho);
+  var sin = Math.sin(theta);
+  vec4.set(result, sin * x / rho, sin * y / rho, -Math.cos(theta), 0);
+  return result;
+}
+
+
+/**
+ * @class CurvilinearView
+ * @extends RectilinearView
+ * @implements View
+ * @classdesc
+ *
+ * A {@link View} implementing a wide-angle projection for 360° images. Unlike
+ * a rectilinear projection, which stretches the image towards the edges of the
+ * viewport, these projections are able to display very wide fields of view.
+ *
+ * The following projections are supported:
+ *   - `'stereographic'`: preserves angles. At large fields of view looking
+ *     straight down, this produces the "little planet" effect. The field of
+ *     view may be up to 5π/3.
+ *   - `'equisolid'`: the projection of an equisolid fisheye lens, which
+ *     preserves areas. A field of view of 2π displays the whole sphere.
+ *   - `'pannini'`: keeps vertical lines straight and is well suited for wide
+ *     panoramic views near the horizon. The vertical field of view may be up
+ *     to π.
+ *
+ * The view parameters, limiters and methods are the same as those of a
+ * {@link RectilinearView}, except that the `projectionCenterX` and
+ * `projectionCenterY` parameters are not supported. Limiters that depend on
+ * the horizontal field of view assume a rectilinear projection, and are only
+ * accurate for narrow fields of view.
+ *
+ * Hotspots embedded in the panorama are positioned at the projected point and
+ * scaled according to the local magnification of the projection, but are not
+ * distorted by it.
+ *
+ * @param {RectilinearViewParams=} params The initial view parameters.
+ * @param {RectilinearViewLimiter=} limiter The view limiter.
+ * @param {Object} opts
+ * @param {string} [opts.projectionType='stereographic'] The projection.
+ */
+function CurvilinearView(params, limiter, opts) {
+  var projectionType = opts && opts.projectionType || 'stereographic';
+  if (!projections[projectionType]) {
+    throw new Error('Unknown projection type: ' + projectionType);
+  }
+  this._projectionType = projectionType;
+
+  // The rotation from world space into camera space, and its inverse.
+  this._rotation = mat4.create();
+  this._invRotation = mat4.create();
+
+  // The angle from the center of the view to a viewport corner.
+  this._maxAngle = 0;
+
+  // Temporary variables used for calculations.
+  this._tmpVec2 = vec4.create();
+  this._tmpPoint = [0, 0];
+
+  CurvilinearView.super_.call(this, params, limiter);
+}
+
+inherits(CurvilinearView, RectilinearView);
+
+
+/**
+ * Returns the projection type.
+ * @return {string}
+ */
+CurvilinearView.prototype.projectionType = function() {
+  return this._projectionType;
+};
+
+
+/**
+ * Sets the projection type. The field of view is constrained to the maximum
+ * allowed for the new projection.
+ * @param {string} projectionType
+ */
+CurvilinearView.prototype.setProjectionType = function(projectionType) {
+  if (!projections[projectionType]) {
+    throw new Error('Unknown projection type: ' + projectionType);
+  }
+  if (projectionType === this._projectionType) {
+    return;
+  }
+  var oldFov = this._fov;
+  this._projectionType = projectionType;
+  this._projectionChanged = true;
+  // Constrain the field of view, which emits a change event if it changes.
+  this._update();
+  if (this._fov === oldFov) {
+    this.emit('change');
+  }
+};
+
+
+/**
+ * Returns the distance from the center of the viewport to its top edge, in
+ * projection plane units. Renderers use it to scale the projection into the
+ * viewport.
+ * @return {number}
+ */
+CurvilinearView.prototype.projectionScale = function() {
+  return projections[this._projectionType].radius(this._fov / 2);
+};
+
+
+/**
+ * Returns the rotation matrix from world space into camera space.
+ * @return {mat4}
+ */
+CurvilinearView.prototype.rotation = function() {
+  this._updateProjection();
+  return this._rotation;
+};
+
+
+/**
+ * Returns the rotation matrix from camera space into world space.
+ * @return {mat4}
+ */
+CurvilinearView.prototype.inverseRotation = function() {
+  this._updateProjection();
+  return this._invRotation;
+};
+
+
+CurvilinearView.prototype._normalize = function(params) {
+  this._normalizeCoordinates(params);
+  var maxFov = projections[this._projectionType].maxFov;
+  params.fov = clamp(params.fov, fovLimitEpsilon, maxFov - fovLimitEpsilon);
+  return params;
+};
+
+
+CurvilinearView.prototype._updateProjection = function() {
+  if (!this._projectionChanged) {
+    return;
+  }
+
+  var rotation = this._rotation;
+  mat4.identity(rotation);
+  mat4.rotateZ(rotation, rotation, this._roll);
+  mat4.rotateX(rotation, rotation, this._pitch);
+  mat4.rotateY(rotation, rotation, this._yaw);
+  mat4.invert(this._invRotation, rotation);
+
+  // The projection matrix is only used to compute view rays, e.g. by the
+  // geometries to find the tile at the center of the view.
+  var projMatrix = this._projMatrix;
+  mat4.perspective(projMatrix, matrixFov, 1, -1, 1);
+  mat4.multiply(projMatrix, projMatrix, rotation);
+  mat4.invert(this._invProjMatrix, projMatrix);
+
+  // Find the angle between the center of the view and a corner of the
+  // viewport, which bounds the angle to any visible point.
+  var ray = this._tmpVec2;
+  var scale = this.projectionScale();
+  var aspect = this._height > 0 ? this._width / this._height : 1;
+  projections[this._projectionType].inverse(scale * aspect, scale, ray);
+  vec4.normalize(ray, ray);
+  this._maxAngle = Math.acos(clamp(-ray[2], -1, 1));
+
+  this._projectionChanged = false;
+};
+
+
+// Returns the angle between two vectors.
+function angleBetween(a, b) {
+  var la = Math.sqrt(a[0] * a[0] + a[1] * a[1] + a[2] * a[2]);
+  var lb = Math.sqrt(b[0] * b[0] + b[1] * b[1] + b[2] * b[2]);
+  var cos = (a[0] * b[0] + a[1] * b[1] + a[2] * b[2]) / (la * lb);
+  return Math.acos(clamp(cos, -1, 1));
+}
+
+
+/**
+ * Return whether the view may intersect the given rectangle.
+ *
+ * This function may return false positives, but never false negatives.
+ * It is used for frustum culling, i.e., excluding invisible tiles from the
+ * rendering process.
+ *
+ * @param {vec2[]} rectangle The vertices of the rectangle.
+ */
+CurvilinearView.prototype.intersects = function(rectangle) {
+  this._updateProjection();
+
+  if (this._maxAngle >= Math.PI - fovLimitEpsilon) {
+    return true;
+  }
+
+  // The rectangle is within a cone centered on the direction of its center
+  // and including its corners. Check whether that cone overlaps the cone of
+  // visible directions.
+  var center = this._tmpVec2;
+  vec4.set(center, 0, 0, 0, 0);
+  for (var i = 0; i < rectangle.length; i++) {
+    center[0] += rectangle[i][0];
+    center[1] += rectangle[i][1];
+    center[2] += rectangle[i][2];
+  }
+  var spread = 0;
+  for (var j = 0; j < rectangle.length; j++) {
+    spread = Math.max(spread, angleBetween(center, rectangle[j]));
+  }
+
+  // Get the direction of the center of the view in world space.
+  var axis = this._tmpVec;
+  vec4.set(axis, 0, 0, -1, 0);
+  vec4.transformMat4(axis, axis, this._invRotation);
+
+  return angleBetween(axis, center) <= this._maxAngle + spread;
+};
+
+
+/**
+ * Select the level that should be used to render the view. The level is chosen
+ * to match the resolution at the center of the view, where all projections
+ * agree with a rectilinear one.
+ * @param {Level[]} levelList the list of levels from which to select.
+ * @return {Level} the selected level.
+ */
+CurvilinearView.prototype.selectLevel = function(levelList) {
+  var requiredPixels = pixelRatio() * this._height;
+  var coverFactor = this.projectionScale();
+
+  for (var i = 0; i < levelList.length; i++) {
+    var level = levelList[i];
+    if (coverFactor * level.height() >= requiredPixels) {
+      return level;
+    }
+  }
+
+  return levelList[levelList.length - 1];
+};
+
+
+// Projects view coordinates into normalized device coordinates, returning
+// null if the point cannot be displayed. The ray in camera space is left in
+// this._tmpVec.
+CurvilinearView.prototype._project = function(coords) {
+  var ray = this._tmpVec;
+  var point = this._tmpPoint;
+
+  var yaw = coords.yaw;
+  var pitch = coords.pitch;
+  vec4.set(ray,
+      Math.sin(yaw) * Math.cos(pitch),
+      -Math.sin(pitch),
+      -Math.cos(yaw) * Math.cos(pitch),
+      0);
+  vec4.transformMat4(ray, ray, this.rotation());
+
+  if (!projections[this._projectionType].forward(ray, point)) {
+    return null;
+  }
+
+  var scale = this.projectionScale();
+  point[0] /= scale * this._width / this._height;
+  point[1] /= scale;
+  return point;
+};
+
+
+/**
+ * Convert view parameters into screen position. If a result argument is
+ * provided, it is filled in and returned. Otherwise, a fresh object is filled
+ * in and returned.
+ *
+ * @param {RectilinearViewCoords} coords The view coordinates.
+ * @param {Coords=} result The result argument for the screen coordinates.
+ * @return {Coords}
+ */
+CurvilinearView.prototype.coordinatesToScreen = function(coords, result) {
+  if (!result) {
+    result = {};
+  }
+
+  var width = this._width;
+  var height = this._height;
+
+  // Undefined on a null viewport.
+  if (width <= 0 || height <= 0) {
+    result.x = null;
+    result.y = null;
+    return null;
+  }
+
+  var point = this._project(coords);
+  if (!point) {
+    result.x = null;
+    result.y = null;
+    return null;
+  }
+
+  result.x = width * (point[0] + 1) / 2;
+  result.y = height * (1 - point[1]) / 2;
+  return result;
+};
+
+
+/**
+ * Convert screen coordinates into view coordinates. If a result argument is
+ * provided, it is filled in with the result and returned. Otherwise, a fresh
+ * object is filled in and returned.
+ *
+ * @param {Coords} coords The screen coordinates.
+ * @param {RectilinearViewCoords=} result The view coordinates.
+ * @return {RectilinearViewCoords}
+ */
+CurvilinearView.prototype.screenToCoordinates = function(coords, result) {
+  var ray = this._tmpVec;
+
+  if (!result) {
+    result = {};
+  }
+
+  var width = this._width;
+  var height = this._height;
+  var scale = this.projectionScale();
+
+  // Convert viewport coordinates into the projection plane.
+  var x = (2 * coords.x / width - 1) * scale * width / height;
+  var y = (1 - 2 * coords.y / height) * scale;
+  projections[this._projectionType].inverse(x, y, ray);
+
+  // Rotate back into world space.
+  vec4.transformMat4(ray, ray, this.inverseRotation());
+
+  // Convert to spherical coordinates.
+  var r = Math.sqrt(ray[0] * ray[0] + ray[1] * ray[1] + ray[2] * ray[2]);
+  result.yaw = Math.atan2(ray[0], -ray[2]);
+  result.pitch = Math.acos(ray[1] / r) - Math.PI/2;
+
+  this._normalizeCoordinates(result);
+
+  return result;
+};
+
+
+/**
+ * Calculate the transform required to position an embedded element.
+ *
+ * The element is centered on the projected point and scaled according to the
+ * magnification at that point, as if it were placed on a sphere of the given
+ * radius, but is not otherwise distorted.
+ *
+ * @param {RectilinearViewCoords} coords The view coordinates.
+ * @param {number} radius Radius of the sphere embedding the element.
+ * @param {string} extraTransforms Extra transformations to be applied after
+ *     the element is positioned. This may be used to rotate the element.
+ * @return {?string} The CSS transform to be applied to the element, or null if
+ *     the element is not visible.
+ */
+CurvilinearView.prototype.coordinatesToPerspectiveTransform = function(
+    coords, radius, extraTransforms) {
+  extraTransforms = extraTransforms || "";
+
+  var width = this._width;
+  var height = this._height;
+
+  var point = this._project(coords);
+  if (!point || width <= 0 || height <= 0) {
+    return null;
+  }
+
+  // The number of pixels per unit of the projection plane at the center of
+  // the view, where all projections are rectilinear. Unlike a perspective
+  // transform, the magnification does not account for the orientation of the
+  // element relative to the view ray.
+  var pixelsPerUnit = 0.5 * height / this.projectionScale();
+  var magnification = projections[this._projectionType].magnification(this._tmpVec);
+  var scale = pixelsPerUnit * magnification / radius;
+
+  var x = width * (point[0] + 1) / 2;
+  var y = height * (1 - point[1]) / 2;
+
+  var transform = '';
+  transform += 'translateX(' + decimal(x) + 'px) ';
+  transform += 'translateY(' + decimal(y) + 'px) ';
+  transform += 'translateX(-50%) translateY(-50%) ';
+  transform += 'rotateZ(' + decimal(-this._roll) + 'rad) ';
+  transform += 'scale(' + decimal(scale) + ') ';
+  transform += extraTransforms + ' ';
+
+  return transform;
+};
+
+
+CurvilinearView.prototype.updateWithControlParameters = function(parameters) {
+  // Use the angular extent of the center of the view, where all projections
+  // are rectilinear, so that the response to the controls is uniform.
+  var vfov = 2 * Math.atan(this.projectionScale());
+  var hfov = vfov;
+  if (this._width > 0 && this._height > 0) {
+    hfov = 2 * Math.atan(this.projectionScale() * this._width / this._height);
+  }
+
+  this.offsetYaw(parameters.axisScaledX * hfov + parameters.x * 2 * hfov + parameters.yaw);
+  this.offsetPitch(parameters.axisScaledY * vfov + parameters.y * 2 * hfov + parameters.pitch);
+  this.offsetRoll(-parameters.roll);
+  this.offsetFov(parameters.zoom * this._fov);
+};
+
+
+/**
+ * The projection types supported by {@link CurvilinearView}.
+ * @type {string[]}
+ */
+CurvilinearView.projectionTypes = Object.keys(projections);
+
+
+/**
+ * Factory functions for view limiters. These are the same as
+ * {@link RectilinearView.limit}.
+ * @namespace
+ */
+CurvilinearView.limit = RectilinearView.limit;
+
+
+CurvilinearView.type = CurvilinearView.prototype.type = 'curvilinear';
+
+
+module.exports = CurvilinearView;
@@ -75,6 +75,8 @@ var fovLimitEpsilon = 0.000001;
  *
  * @property {number} yaw The yaw angle, in the [-π, π] range.
  * @property {number} pitch The pitch angle, in the [-π, π] range.
+ * @property {number} [distance] The distance from the center of the panorama,
+ *     for points at a known depth. See {@link Layer#depthAt}.
  */
 
 
@@ -125,6 +127,11 @@ function RectilinearView(params, limiter) {
   // The initial value for the view limiter.
   this._limiter = limiter || null;
 
+  // The position of the eye relative to the center of the panorama.
+  this._eyeX = 0;
+  this._eyeY = 0;
+  this._eyeZ = 0;
+
   // The last calculated projection matrix and its inverse.
   this._projMatrix = mat4.create();
   this._invProjMatrix = mat4.create();
@@ -188,6 +195,49 @@ RectilinearView.prototype.roll = function() {
 };
 
 
+/**
+ * Get the eye offset. If an argument is supplied, it is filled in with the
+ * result and returned. Otherwise, a fresh object is filled in and returned.
+ * @param {Object=} result
+ * @return {{x: number, y: number, z: number}}
+ */
+RectilinearView.prototype.eyeOffset = function(result) {
+  result = result || {};
+  result.x = this._eyeX;
+  result.y = this._eyeY;
+  result.z = this._eyeZ;
+  return result;
+};
+
+
+/**
+ * Set the eye offset, which is the position of the eye relative to the center
+ * of the panorama, in the same units as the depth of its layers. The axes are
+ * those of the panorama: x points towards yaw π/2, y points up, and z points
+ * towards yaw π.
+ *
+ * The offset only affects layers with a depth map, which are rendered with
+ * parallax. As such layers do not occlude themselves, it should be kept small
+ * in comparison to the depth.
+ *
+ * @param {{x: number, y: number, z: number}} offset
+ */
+RectilinearView.prototype.setEyeOffset = function(offset) {
+  var x = offset.x != null ? offset.x : 0;
+  var y = offset.y != null ? offset.y : 0;
+  var z = offset.z != null ? offset.z : 0;
+  if (!real(x) || !real(y) || !real(z)) {
+    throw new Error('Bad eye offset');
+  }
+  if (x !== this._eyeX || y !== this._eyeY || z !== this._eyeZ) {
+    this._eyeX = x;
+    this._eyeY = y;
+    this._eyeZ = z;
+    this.emit('change');
+  }
+};
+
+
 RectilinearView.prototype.projectionCenterX = function() {
   return this._projectionCenterX;
 };
@@ -761,6 +811,13 @@ RectilinearView.prototype.coordinatesToScreen = function(coords, result) {
   var z = -Math.cos(yaw) * Math.cos(pitch);
   vec4.set(ray, x, y, z, 1);
 
+  // Points at a known distance are seen from the eye rather than the center.
+  if (coords.distance != null) {
+    ray[0] = x * coords.distance - this._eyeX;
+    ray[1] = y * coords.distance - this._eyeY;
+    ray[2] = z * coords.distance - this._eyeZ;
+  }
+
   // Project view ray onto clip space.
   vec4.transformMat4(ray, ray, this.projection());
 
@@ -964,6 +1021,70 @@ RectilinearView.limit = {
     };
   },
 
+  /**
+   * Returns a view limiter that keeps the whole view inside the region of the
+   * sphere covered by a partial panorama, as described by
+   * {@link EquirectGeometry#coverage}. The field of view is reduced if it
+   * does not fit inside the covered region.
+   *
+   * The roll angle is not taken into account.
+   * @param {Object} coverage
+   * @param {number} [coverage.hfov=2*Math.PI] The covered horizontal angle.
+   * @param {number} [coverage.vfov=Math.PI] The covered vertical angle.
+   * @param {number} [coverage.yawOffset=0] The yaw of the center of the
+   *     covered region.
+   * @param {number} [coverage.pitchOffset=0] The pitch of the center of the
+   *     covered region.
+   * @return {RectilinearViewLimiter}
+   */
+  coverage: function(coverage) {
+    var hfov = coverage.hfov != null ? coverage.hfov : 2 * Math.PI;
+    var vfov = coverage.vfov != null ? coverage.vfov : Math.PI;
+    var yawOffset = coverage.yawOffset || 0;
+    var pitchOffset = coverage.pitchOffset || 0;
+
+    return function limitCoverage(params) {
+      var width = params.width;
+      var height = params.height;
+
+      params.fov = clamp(params.fov, 0, vfov);
+
+      var halfFov = params.fov / 2;
+      params.pitch = clamp(params.pitch,
+          pitchOffset - vfov / 2 + halfFov, pitchOffset + vfov / 2 - halfFov);
+
+      if (hfov < 2 * Math.PI && width > 0 && height > 0) {
+        var aspect = width / height;
+        var absPitch = Math.abs(params.pitch);
+
+        // The view extends furthest in yaw at the corners closest to a pole.
+        // Reduce the field of view until their yaw is within the covered
+        // region. Beyond 180°, it suffices for the pole to stay out of view.
+        // This widens the pitch range, so the pitch need not be clamped again.
+        var maxHalfFov;
+        if (hfov < Math.PI) {
+          var tanHalfCoverage = Math.tan(hfov / 2);
+          maxHalfFov = Math.atan(tanHalfCoverage * Math.cos(absPitch) /
+              (aspect + tanHalfCoverage * Math.sin(absPitch)));
+        } else {
+          maxHalfFov = Math.PI / 2 - absPitch;
+        }
+        halfFov = Math.min(halfFov, Math.max(0, maxHalfFov));
+        params.fov = 2 * halfFov;
+
+        var tanHalfHfov = aspect * Math.tan(halfFov);
+        var elevation = absPitch + halfFov;
+        var halfYawExtent = Math.atan2(tanHalfHfov * Math.cos(halfFov),
+            Math.max(0, Math.cos(elevation)));
+        var maxYawDelta = Math.max(0, hfov / 2 - halfYawExtent);
+        var yawDelta = mod(params.yaw - yawOffset + Math.PI, 2 * Math.PI) - Math.PI;
+        params.yaw = yawOffset + clamp(yawDelta, -maxYawDelta, maxYawDelta);
+      }
+
+      return params;
+    };
+  },
+
   /**
    * Returns a view limiter that limits the horizontal and vertical field of
    * view, prevents zooming in past the image resolution, and limits the pitch
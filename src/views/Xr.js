@@ -0,0 +1,260 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var eventEmitter = require('minimal-event-emitter');
+var mat4 = require('gl-matrix').mat4;
+var vec4 = require('gl-matrix').vec4;
+var quat = require('gl-matrix').quat;
+var clearOwnProperties = require('../util/clearOwnProperties');
+
+
+/**
+ * @class XrView
+ * @implements View
+ * @classdesc
+ *
+ * A {@link View} for 360° images driven by the poses of a WebXR device, rather
+ * than by view parameters. It is used by {@link XrSession} to render each eye,
+ * and most clients will not need to create one directly.
+ *
+ * The projection is given by the projection matrix and the orientation of an
+ * `XRView`. The position is only used as the eye offset of layers with a depth
+ * map, as other layers are infinitely far away.
+ *
+ * Since it renders through the same projection as a {@link RectilinearView},
+ * it has the same type, and uses the same renderers.
+ */
+function XrView() {
+  this._width = 0;
+  this._height = 0;
+
+  // The projection matrix of the XR view, without the rotation.
+  this._xrProjMatrix = mat4.create();
+
+  // The full projection matrix and its inverse.
+  this._projMatrix = mat4.create();
+  this._invProjMatrix = mat4.create();
+
+  // The position of the eye relative to the center of the panorama.
+  this._eyeOffset = { x: 0, y: 0, z: 0 };
+
+  // The view frustum.
+  this._frustum = [
+    vec4.create(), // left
+    vec4.create(), // right
+    vec4.create(), // bottom
+    vec4.create(), // top
+    vec4.create()  // camera
+  ];
+
+  // Temporary variables used for calculations.
+  this._tmpVec = vec4.create();
+  this._tmpQuat = quat.create();
+  this._tmpMatrix = mat4.create();
+}
+
+eventEmitter(XrView);
+
+
+/**
+ * Destructor.
+ */
+XrView.prototype.destroy = function() {
+  clearOwnProperties(this);
+};
+
+
+/**
+ * Get the viewport width.
+ * @return {number}
+ */
+XrView.prototype.width = function() {
+  return this._width;
+};
+
+
+/**
+ * Get the viewport height.
+ * @return {number}
+ */
+XrView.prototype.height = function() {
+  return this._height;
+};
+
+
+/**
+ * Get the viewport dimensions. If an argument is supplied, it is filled in with
+ * the result and returned. Otherwise, a fresh object is filled in and returned.
+ * @param {Size=} size
+ * @return {Size}
+ */
+XrView.prototype.size = function(size) {
+  size = size || {};
+  size.width = this._width;
+  size.height = this._height;
+  return size;
+};
+
+
+/**
+ * Set the viewport dimensions, in device pixels.
+ * @param {Size} size
+ */
+XrView.prototype.setSize = function(size) {
+  if (size.width !== this._width || size.height !== this._height) {
+    this._width = size.width;
+    this._height = size.height;
+    this.emit('change');
+    this.emit('resize');
+  }
+};
+
+
+/**
+ * Sets the pose from which the view is seen.
+ * @param {Float32Array} projectionMatrix The projection matrix of the
+ *     `XRView`.
+ * @param {quat} orientation The orientation of the `XRView`, as a quaternion
+ *     in `[x, y, z, w]` order.
+ * @param {vec3=} position The position of the `XRView`, in meters. It is used
+ *     as the eye offset; see {@link RectilinearView#setEyeOffset}.
+ */
+XrView.prototype.setPose = function(projectionMatrix, orientation, position) {
+  var rotation = this._tmpMatrix;
+  var inverseOrientation = this._tmpQuat;
+
+  mat4.copy(this._xrProjMatrix, projectionMatrix);
+
+  // The view matrix is the inverse of the camera orientation.
+  quat.invert(inverseOrientation, orientation);
+  mat4.fromQuat(rotation, inverseOrientation);
+
+  mat4.multiply(this._projMatrix, this._xrProjMatrix, rotation);
+  mat4.invert(this._invProjMatrix, this._projMatrix);
+
+  matrixToFrustum(this._projMatrix, this._frustum);
+
+  this._eyeOffset.x = position ? position[0] : 0;
+  this._eyeOffset.y = position ? position[1] : 0;
+  this._eyeOffset.z = position ? position[2] : 0;
+
+  this.emit('change');
+};
+
+
+/**
+ * Get the eye offset. If an argument is supplied, it is filled in with the
+ * result and returned. Otherwise, a fresh object is filled in and returned.
+ * @param {Object=} result
+ * @return {{x: number, y: number, z: number}}
+ */
+XrView.prototype.eyeOffset = function(result) {
+  result = result || {};
+  result.x = this._eyeOffset.x;
+  result.y = this._eyeOffset.y;
+  result.z = this._eyeOffset.z;
+  return result;
+};
+
+
+/**
+ * Returns the projection matrix for the current pose.
+ * @returns {mat4}
+ */
+XrView.prototype.projection = function() {
+  return this._projMatrix;
+};
+
+
+/**
+ * Returns the inverse projection matrix for the current pose.
+ * @returns {mat4}
+ */
+XrView.prototype.inverseProjection = function() {
+  return this._invProjMatrix;
+};
+
+
+/**
+ * Return whether the view frustum intersects the given rectangle.
+ *
+ * This function may return false positives, but never false negatives.
+ *
+ * @param {vec2[]} rectangle The vertices of the rectangle.
+ */
+XrView.prototype.intersects = function(rectangle) {
+  var frustum = this._frustum;
+  var vertex = this._tmpVec;
+
+  // See RectilinearView#intersects.
+  for (var i = 0; i < frustum.length; i++) {
+    var plane = frustum[i];
+    var inside = false;
+    for (var j = 0; j < rectangle.length; j++) {
+      var corner = rectangle[j];
+      vec4.set(vertex, corner[0], corner[1], corner[2], 0);
+      if (vec4.dot(plane, vertex) >= 0) {
+        inside = true;
+      }
+    }
+    if (!inside) {
+      return false;
+    }
+  }
+  return true;
+};
+
+
+/**
+ * Select the level that should be used to render the view.
+ * @param {Level[]} levelList the list of levels from which to select.
+ * @return {Level} the selected level.
+ */
+XrView.prototype.selectLevel = function(levelList) {
+  // As for RectilinearView, except that the viewport is already measured in
+  // device pixels, and the field of view is given by the projection matrix.
+  // The vertical scale factor of a projection matrix is the reciprocal of half
+  // the vertical extent of the view at unit distance, even when asymmetric.
+  var requiredPixels = this._height;
+  var coverFactor = 1 / this._xrProjMatrix[5];
+
+  for (var i = 0; i < levelList.length; i++) {
+    var level = levelList[i];
+    if (coverFactor * level.height() >= requiredPixels) {
+      return level;
+    }
+  }
+
+  return levelList[levelList.length - 1];
+};
+
+
+// Extracts the frustum planes from a projection matrix.
+// http://www8.cs.umu.se/kurser/5DV051/HT12/lab/plane_extraction.pdf
+function matrixToFrustum(p, f) {
+  vec4.set(f[0], p[3] + p[0], p[7] + p[4], p[11] + p[8],  0); // left
+  vec4.set(f[1], p[3] - p[0], p[7] - p[4], p[11] - p[8],  0); // right
+  vec4.set(f[2], p[3] + p[1], p[7] + p[5], p[11] + p[9],  0); // top
+  vec4.set(f[3], p[3] - p[1], p[7] - p[5], p[11] - p[9],  0); // bottom
+  vec4.set(f[4], p[3] + p[2], p[7] + p[6], p[11] + p[10], 0); // camera
+}
+
+
+XrView.type = XrView.prototype.type = 'rectilinear';
+
+
+module.exports = XrView;
@@ -0,0 +1,313 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var eventEmitter = require('minimal-event-emitter');
+
+var DeepLink = require('../../src/DeepLink');
+var Tour = require('../../src/Tour');
+var RectilinearView = require('../../src/views/Rectilinear');
+var FlatView = require('../../src/views/Flat');
+
+// Mock window, with a location updated by the history methods.
+function MockWindow(url) {
+  var self = this;
+  this.location = {};
+  this.history = {
+    pushState: sinon.spy(function(state, title, url) { self.setUrl(url); }),
+    replaceState: sinon.spy(function(state, title, url) { self.setUrl(url); })
+  };
+  this.listeners = {};
+  this.setUrl(url || '/tour/');
+}
+
+MockWindow.prototype.setUrl = function(url) {
+  var match = url.match(/^([^?#]*)(\?[^#]*)?(#.*)?$/);
+  this.location.pathname = match[1];
+  this.location.search = match[2] || '';
+  this.location.hash = match[3] || '';
+};
+
+MockWindow.prototype.url = function() {
+  return this.location.pathname + this.location.search + this.location.hash;
+};
+
+MockWindow.prototype.addEventListener = function(name, fn) {
+  this.listeners[name] = fn;
+};
+
+MockWindow.prototype.removeEventListener = function(name) {
+  delete this.listeners[name];
+};
+
+// Mock scene.
+function MockScene(view) {
+  this.view = function() { return view; };
+  this.hotspotContainer = function() { return {}; };
+}
+
+// Mock viewer, switching scenes synchronously and forwarding the view changes
+// of the current scene. The view parameters of a scene when it is switched to
+// are recorded, as a transition animating the view would start from them.
+function MockViewer() {
+  var self = this;
+  var emitViewChange = function() {
+    self.emit('viewChange');
+  };
+  this._scene = null;
+  this.scene = function() { return this._scene; };
+  this.createScene = function(opts) { return new MockScene(opts.view); };
+  this.switchScene = sinon.spy(function(scene) {
+    if (this._scene) {
+      this._scene.view().removeEventListener('change', emitViewChange);
+    }
+    this._scene = scene;
+    this.switchedViewParams = scene.view().parameters();
+    scene.view().addEventListener('change', emitViewChange);
+    this.emit('sceneChange');
+    this.emit('viewChange');
+  });
+}
+
+eventEmitter(MockViewer);
+
+// Waits for the debounced URL update.
+function wait(done) {
+  setTimeout(done, 20);
+}
+
+suite('DeepLink', function() {
+
+  var win, viewer, scenes, deepLink;
+
+  setup(function() {
+    win = new MockWindow();
+    viewer = new MockViewer();
+    scenes = {
+      a: new MockScene(new RectilinearView({ yaw: 0, pitch: 0, fov: 1 })),
+      b: new MockScene(new RectilinearView({ yaw: 0, pitch: 0, fov: 1 })),
+      c: new MockScene(new FlatView({ x: 0.5, y: 0.5, zoom: 1, mediaAspectRatio: 1 }))
+    };
+  });
+
+  teardown(function() {
+    if (deepLink) {
+      deepLink.destroy();
+      deepLink = null;
+    }
+  });
+
+  function makeDeepLink(opts) {
+    opts = opts || {};
+    opts.window = win;
+    opts.scenes = scenes;
+    opts.delay = 1;
+    deepLink = new DeepLink(viewer, opts);
+    return deepLink;
+  }
+
+  test('writes the state into the hash', function(done) {
+    makeDeepLink();
+    viewer.switchScene(scenes.a);
+    scenes.a.view().setParameters({ yaw: 0.123456, pitch: -0.1 });
+    wait(function() {
+      assert.strictEqual(win.url(), '/tour/#scene=a&yaw=0.1235&pitch=-0.1&fov=1');
+      assert.isTrue(win.history.pushState.notCalled);
+      done();
+    });
+  });
+
+  test('debounces view changes', function(done) {
+    makeDeepLink();
+    viewer.switchScene(scenes.a);
+    wait(function() {
+      win.history.replaceState.resetHistory();
+      scenes.a.view().setYaw(0.1);
+      scenes.a.view().setYaw(0.2);
+      scenes.a.view().setYaw(0.3);
+      wait(function() {
+        assert.isTrue(win.history.replaceState.calledOnce);
+        assert.include(win.url(), 'yaw=0.3');
+        done();
+      });
+    });
+  });
+
+  test('pushes a history entry on scene change', function(done) {
+    makeDeepLink();
+    viewer.switchScene(scenes.a);
+    wait(function() {
+      scenes.a.view().setYaw(0.5);
+      // The last view of the previous scene is written before switching.
+      viewer.switchScene(scenes.b);
+      assert.isTrue(win.history.replaceState.lastCall.args[2].indexOf('yaw=0.5') >= 0);
+      wait(function() {
+        assert.isTrue(win.history.pushState.calledOnce);
+        assert.strictEqual(win.history.pushState.firstCall.args[0].scene, 'b');
+        assert.include(win.url(), 'scene=b');
+        done();
+      });
+    });
+  });
+
+  test('query mode preserves other parameters', function(done) {
+    win.setUrl('/tour/?lang=pt#top');
+    makeDeepLink({ mode: 'query' });
+    viewer.switchScene(scenes.c);
+    wait(function() {
+      assert.strictEqual(win.url(),
+          '/tour/?lang=pt&scene=c&x=0.5&y=0.5&zoom=1#top');
+      done();
+    });
+  });
+
+  test('unknown mode', function() {
+    assert.throws(function() { makeDeepLink({ mode: 'foo' }); });
+  });
+
+  test('restore', function() {
+    win.setUrl('/tour/#scene=b&yaw=0.25&pitch=0.5&fov=0.75');
+    makeDeepLink();
+    assert.isTrue(deepLink.restore());
+    assert.strictEqual(viewer.scene(), scenes.b);
+    var params = scenes.b.view().parameters();
+    assert.closeTo(params.yaw, 0.25, 1e-9);
+    assert.closeTo(params.pitch, 0.5, 1e-9);
+    assert.closeTo(params.fov, 0.75, 1e-9);
+  });
+
+  test('restore without state', function() {
+    win.setUrl('/tour/#other=1');
+    makeDeepLink();
+    assert.isFalse(deepLink.restore());
+    assert.isTrue(viewer.switchScene.notCalled);
+  });
+
+  test('restore with unknown scene', function() {
+    win.setUrl('/tour/#scene=foo');
+    makeDeepLink();
+    assert.isFalse(deepLink.restore());
+    assert.isTrue(viewer.switchScene.notCalled);
+  });
+
+  test('restore view into the current scene', function() {
+    win.setUrl('/tour/#yaw=0.4');
+    makeDeepLink();
+    viewer.switchScene(scenes.a);
+    assert.isTrue(deepLink.restore());
+    assert.closeTo(scenes.a.view().yaw(), 0.4, 1e-9);
+  });
+
+  test('restored scene does not push a history entry', function(done) {
+    win.setUrl('/tour/#scene=b&yaw=1');
+    makeDeepLink();
+    deepLink.restore();
+    wait(function() {
+      assert.isTrue(win.history.pushState.notCalled);
+      assert.include(win.url(), 'scene=b&yaw=1');
+      done();
+    });
+  });
+
+  test('back and forward', function(done) {
+    makeDeepLink();
+    viewer.switchScene(scenes.a);
+    scenes.a.view().setYaw(0.5);
+    wait(function() {
+      viewer.switchScene(scenes.b);
+      scenes.b.view().setYaw(-0.5);
+      // Simulate going back before the URL is updated; the pending state must
+      // not overwrite the entry navigated to.
+      win.setUrl('/tour/#scene=a&yaw=0.5&pitch=0&fov=1');
+      win.listeners.popstate({ state: { scene: 'a', view: { yaw: 0.5 } } });
+      assert.strictEqual(viewer.scene(), scenes.a);
+      assert.closeTo(scenes.a.view().yaw(), 0.5, 1e-9);
+      wait(function() {
+        assert.isTrue(win.history.pushState.notCalled);
+        assert.include(win.url(), 'scene=a');
+        done();
+      });
+    });
+  });
+
+  test('url', function() {
+    win.setUrl('/tour/#x=1');
+    makeDeepLink();
+    assert.strictEqual(deepLink.url('a', { yaw: 1 }), '/tour/#scene=a&yaw=1');
+  });
+
+  suite('tour', function() {
+
+    var tour;
+
+    function makeSceneData(id) {
+      return {
+        id: id,
+        levels: [{ tileSize: 512, size: 512 }],
+        faceSize: 512,
+        initialViewParameters: { yaw: 0.5, pitch: 0.1, fov: 1.2 }
+      };
+    }
+
+    setup(function() {
+      tour = new Tour(viewer, {
+        scenes: [makeSceneData('a'), makeSceneData('b')]
+      }, { createSource: function() { return {}; } });
+    });
+
+    test('restore', function() {
+      win.setUrl('/tour/#scene=b&yaw=0.2');
+      deepLink = new DeepLink(viewer, { tour: tour, window: win });
+      assert.isTrue(deepLink.restore());
+      assert.strictEqual(tour.currentSceneId(), 'b');
+      assert.strictEqual(viewer.scene(), tour.scene('b'));
+      assert.closeTo(tour.scene('b').view().yaw(), 0.2, 1e-9);
+      // The other parameters are the initial ones.
+      assert.closeTo(tour.scene('b').view().fov(), 1.2, 1e-9);
+    });
+
+    test('restore another scene than the current one', function() {
+      tour.start();
+      win.setUrl('/tour/#scene=b&yaw=0.25&pitch=0.3&fov=0.75');
+      deepLink = new DeepLink(viewer, {
+        tour: tour, window: win, switchOpts: { transitionDuration: 100 }
+      });
+      assert.isTrue(deepLink.restore());
+      assert.strictEqual(viewer.scene(), tour.scene('b'));
+      // The view is already restored when the transition starts.
+      var params = viewer.switchedViewParams;
+      assert.closeTo(params.yaw, 0.25, 1e-9);
+      assert.closeTo(params.pitch, 0.3, 1e-9);
+      assert.closeTo(params.fov, 0.75, 1e-9);
+      var switchOpts = viewer.switchScene.lastCall.args[1];
+      assert.strictEqual(switchOpts.transitionDuration, 100);
+      assert.notProperty(switchOpts, 'viewParameters');
+    });
+
+  });
+
+  test('destroy', function() {
+    makeDeepLink();
+    deepLink.destroy();
+    deepLink = null;
+    assert.isUndefined(win.listeners.popstate);
+    viewer.switchScene(scenes.a);
+  });
+
+});
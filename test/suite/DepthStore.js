@@ -0,0 +1,205 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var vec3 = require('gl-matrix').vec3;
+var defer = require('../../src/util/defer');
+var cancelize = require('../../src/util/cancelize');
+
+var DepthStore = require('../../src/DepthStore');
+var HdrAsset = require('../../src/assets/Hdr');
+var EquirectGeometry = require('../../src/geometries/Equirect');
+var FlatGeometry = require('../../src/geometries/Flat');
+
+var permanentError = new Error('Permanent error');
+permanentError.permanent = true;
+
+// Creates a depth image of the given size holding a single distance.
+function depthAsset(width, height, distance) {
+  var data = new Float32Array(width * height * 4);
+  for (var i = 0; i < data.length; i += 4) {
+    data[i] = distance;
+  }
+  return new HdrAsset({ width: width, height: height, data: data });
+}
+
+// Mock a Source. The distance for each tile is given by the distances
+// argument, as a map from the tile string to the distance; tiles without a
+// distance fail to load.
+function MockSource(distances) {
+  // The destroy spies of the loaded assets, which are cleared on destruction.
+  this.destroySpies = [];
+  this.loadAsset = sinon.spy(cancelize(function(stage, tile, done) {
+    var distance = distances[tile.str()];
+    var asset = distance != null ? depthAsset(4, 4, distance) : null;
+    if (asset) {
+      this.destroySpies.push(sinon.spy(asset, 'destroy'));
+    }
+    defer(function() {
+      if (asset) {
+        done(null, tile, asset);
+      } else {
+        done(permanentError, tile);
+      }
+    });
+  }.bind(this)));
+}
+
+var left = vec3.fromValues(-1, 0, 0);
+var right = vec3.fromValues(1, 0, 0);
+
+suite('DepthStore', function() {
+
+  var geometry;
+
+  setup(function() {
+    geometry = new EquirectGeometry([
+      { width: 8 },
+      { width: 16, tileWidth: 8 }
+    ]);
+  });
+
+  function tile(z, x) {
+    return new EquirectGeometry.Tile(z, geometry, x || 0, 0);
+  }
+
+  test('unsupported geometry', function() {
+    var flat = new FlatGeometry([{ width: 8, height: 8, tileWidth: 8, tileHeight: 8 }]);
+    assert.throws(function() {
+      new DepthStore(new MockSource({}), flat, {});
+    }, /not supported/);
+  });
+
+  test('unknown encoding', function() {
+    assert.throws(function() {
+      new DepthStore(new MockSource({}), geometry, {}, { encoding: 'log' });
+    }, /Unknown depth encoding/);
+  });
+
+  test('no depth before loading', function() {
+    var store = new DepthStore(new MockSource({}), geometry, {});
+    assert.isNull(store.depth(left));
+  });
+
+  test('load tile and its ancestors', function(done) {
+    var source = new MockSource({
+      'EquirectTile(0, 0, 0)': 10,
+      'EquirectTile(0, 0, 1)': 5
+    });
+    var store = new DepthStore(source, geometry, {});
+    var spy = sinon.spy();
+    store.addEventListener('depthLoad', spy);
+
+    store.requestTile(tile(1, 0));
+    assert.isTrue(source.loadAsset.calledTwice);
+
+    var version = store.version();
+    setTimeout(function() {
+      assert.isTrue(spy.calledTwice);
+      assert.notEqual(store.version(), version);
+      // The loaded level with the highest resolution takes precedence.
+      assert.closeTo(store.depth(left), 5, 1e-6);
+      assert.closeTo(store.depth(right), 10, 1e-6);
+      // The assets are only needed for decoding.
+      assert.lengthOf(source.destroySpies, 2);
+      source.destroySpies.forEach(function(spy) {
+        assert.isTrue(spy.calledOnce);
+      });
+      done();
+    }, 10);
+  });
+
+  test('loaded tiles are not loaded again', function(done) {
+    var source = new MockSource({ 'EquirectTile(0, 0, 0)': 10 });
+    var store = new DepthStore(source, geometry, {});
+    store.requestTile(tile(0));
+    store.requestTile(tile(0));
+    assert.isTrue(source.loadAsset.calledOnce);
+    setTimeout(function() {
+      store.requestTile(tile(0));
+      assert.isTrue(source.loadAsset.calledOnce);
+      done();
+    }, 10);
+  });
+
+  test('load error', function(done) {
+    var source = new MockSource({});
+    var store = new DepthStore(source, geometry, {});
+    var spy = sinon.spy();
+    store.addEventListener('depthError', spy);
+    store.requestTile(tile(0));
+    setTimeout(function() {
+      assert.isTrue(spy.calledOnce);
+      assert.isTrue(spy.firstCall.args[0].equals(tile(0)));
+      assert.strictEqual(spy.firstCall.args[1], permanentError);
+      // Failed tiles are not requested again.
+      store.requestTile(tile(0));
+      assert.isTrue(source.loadAsset.calledOnce);
+      assert.isNull(store.depth(left));
+      done();
+    }, 10);
+  });
+
+  test('least recently requested tiles are evicted', function(done) {
+    var source = new MockSource({
+      'EquirectTile(0, 0, 0)': 10,
+      'EquirectTile(0, 0, 1)': 5,
+      'EquirectTile(1, 0, 1)': 20
+    });
+    var store = new DepthStore(source, geometry, {}, { cacheSize: 2 });
+    store.requestTile(tile(1, 0));
+    setTimeout(function() {
+      store.requestTile(tile(1, 1));
+      setTimeout(function() {
+        // The left tile was the least recently requested.
+        assert.closeTo(store.depth(left), 10, 1e-6);
+        assert.closeTo(store.depth(right), 20, 1e-6);
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  test('destroy cancels loading', function() {
+    var source = new MockSource({ 'EquirectTile(0, 0, 0)': 10 });
+    var store = new DepthStore(source, geometry, {});
+    var spy = sinon.spy();
+    store.addEventListener('depthLoad', spy);
+    store.addEventListener('depthError', spy);
+    store.requestTile(tile(0));
+    store.destroy();
+    assert.isFalse(spy.called);
+  });
+
+  test('inverse encoding', function() {
+    var store = new DepthStore(new MockSource({}), geometry, {},
+        { near: 1, far: 100 });
+    assert.closeTo(store._distance(0), 100, 1e-9);
+    assert.closeTo(store._distance(1), 1, 1e-9);
+    assert.closeTo(store._distance(0.5), 1 / (0.5 + 0.5 / 100), 1e-9);
+  });
+
+  test('linear encoding', function() {
+    var store = new DepthStore(new MockSource({}), geometry, {},
+        { near: 2, far: 10, encoding: 'linear' });
+    assert.closeTo(store._distance(0), 10, 1e-9);
+    assert.closeTo(store._distance(1), 2, 1e-9);
+    assert.closeTo(store._distance(0.25), 8, 1e-9);
+  });
+
+});
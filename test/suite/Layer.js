@@ -21,6 +21,7 @@ var sinon = require('sinon');
 var eventEmitter = require('minimal-event-emitter');
 
 var Layer = require('../../src/Layer');
+var RectilinearView = require('../../src/views/Rectilinear');
 
 function MockStage() {}
 
@@ -47,6 +48,16 @@ function MockTextureStore() {
 }
 eventEmitter(MockTextureStore);
 
+// Mock depth store for a wall at the given distance in front of the center.
+function MockDepthStore(distance) {
+  this.depth = function(direction) {
+    var length = Math.sqrt(direction[0] * direction[0] +
+        direction[1] * direction[1] + direction[2] * direction[2]);
+    return -direction[2] > 0 ? distance * length / -direction[2] : null;
+  };
+}
+eventEmitter(MockDepthStore);
+
 suite('Layer', function() {
 
   var stage;
@@ -79,6 +90,17 @@ suite('Layer', function() {
     assert.strictEqual(textureStore, layer.textureStore());
   });
 
+  test('eye', function() {
+    assert.isNull(new Layer(source, geometry, view, textureStore).eye());
+    assert.strictEqual(new Layer(source, geometry, view, textureStore,
+        { eye: 'left' }).eye(), 'left');
+    assert.strictEqual(new Layer(source, geometry, view, textureStore,
+        { eye: 'right' }).eye(), 'right');
+    assert.throws(function() {
+      new Layer(source, geometry, view, textureStore, { eye: 'center' });
+    }, /Unknown eye/);
+  });
+
   test('visible tiles', function() {
     var layer = new Layer(source, geometry, view, textureStore);
     var tiles = [];
@@ -163,4 +185,53 @@ suite('Layer', function() {
     textureStore.emit('textureUnload');
     assert.equal(spy.callCount, 3);
   });
+
+  test('depth store events', function() {
+    var depthStore = new MockDepthStore(5);
+    var layer = new Layer(source, geometry, view, textureStore,
+        { depthStore: depthStore });
+    assert.strictEqual(layer.depthStore(), depthStore);
+    assert.isNull(new Layer(source, geometry, view, textureStore).depthStore());
+
+    var spy = sinon.spy();
+    layer.addEventListener('depthChange', spy);
+    depthStore.emit('depthLoad');
+    assert.isTrue(spy.calledOnce);
+    assert.isTrue(spy.calledWithExactly(depthStore));
+
+    layer.destroy();
+    depthStore.emit('depthLoad');
+    assert.isTrue(spy.calledOnce);
+  });
+
+  test('depth at screen position', function() {
+    var view = new RectilinearView({ width: 100, height: 100 });
+    var layer = new Layer(source, geometry, view, textureStore,
+        { depthStore: new MockDepthStore(5) });
+
+    var result = layer.depthAt({ x: 50, y: 50 });
+    assert.closeTo(result.yaw, 0, 1e-6);
+    assert.closeTo(result.pitch, 0, 1e-6);
+    assert.closeTo(result.distance, 5, 1e-6);
+
+    // The point is seen from the eye, but its angles are seen from the center.
+    view.setEyeOffset({ x: 1, y: 0, z: 0 });
+    result = layer.depthAt({ x: 50, y: 50 });
+    assert.closeTo(result.yaw, Math.atan2(1, 5), 1e-6);
+    assert.closeTo(result.pitch, 0, 1e-6);
+    assert.closeTo(result.distance, Math.sqrt(26), 1e-6);
+
+    // The point lies under the screen position.
+    var screen = view.coordinatesToScreen(result);
+    assert.closeTo(screen.x, 50, 1e-6);
+    assert.closeTo(screen.y, 50, 1e-6);
+  });
+
+  test('no depth', function() {
+    var view = new RectilinearView({ width: 100, height: 100, yaw: Math.PI });
+    assert.isNull(new Layer(source, geometry, view, textureStore).depthAt({ x: 50, y: 50 }));
+    var layer = new Layer(source, geometry, view, textureStore,
+        { depthStore: new MockDepthStore(5) });
+    assert.isNull(layer.depthAt({ x: 50, y: 50 }));
+  });
 });
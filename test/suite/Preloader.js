@@ -0,0 +1,251 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var defer = require('../../src/util/defer');
+var cancelize = require('../../src/util/cancelize');
+
+var TextureStore = require('../../src/TextureStore');
+var Preloader = require('../../src/Preloader');
+
+// Mock tile.
+// The fail parameter determines whether loading the asset fails, and the hang
+// parameter whether it never completes.
+function MockTile(opts) {
+  this.fail = opts && opts.fail;
+  this.hang = opts && opts.hang;
+  this.hash = function() { return 0; };
+  this.equals = function(that) { return this === that; };
+}
+
+// Mock asset.
+function MockAsset() {
+  this.isDynamic = sinon.stub().returns(false);
+  this.destroy = sinon.spy();
+}
+
+// Mock texture.
+function MockTexture() {
+  this.destroy = sinon.spy();
+}
+
+var loadAssetError = new Error('Asset error');
+loadAssetError.permanent = true;
+
+// Mock a Source. For these tests we only need the loadAsset() method.
+var mockSource = {
+  loadAsset: cancelize(function(stage, tile, done) {
+    if (tile.hang) {
+      return;
+    }
+    defer(function() {
+      if (tile.fail) {
+        done(loadAssetError, tile);
+      } else {
+        done(null, tile, new MockAsset());
+      }
+    });
+  })
+};
+
+// Mock a Stage. For these tests we only need the createTexture() method.
+var mockStage = {
+  createTexture: cancelize(function(tile, asset, done) {
+    defer(function() {
+      done(null, tile, asset, new MockTexture());
+    });
+  })
+};
+
+// Mock geometry with the given tiles visible at each level.
+function MockGeometry(levelTiles) {
+  this.levelList = [];
+  for (var i = 0; i < levelTiles.length; i++) {
+    this.levelList.push({ tiles: levelTiles[i] });
+  }
+  this.visibleTiles = sinon.spy(function(view, level, result) {
+    Array.prototype.push.apply(result, level.tiles);
+    return result;
+  });
+}
+
+// Mock layer with the given tiles visible at the current level and optionally
+// a geometry and a stage.
+function MockLayer(tiles, geometry, stage) {
+  var textureStore = new TextureStore(mockSource, stage || mockStage);
+  var view = {};
+  this.textureStore = function() { return textureStore; };
+  this.geometry = function() { return geometry; };
+  this.view = function() { return view; };
+  this.visibleTiles = function(result) {
+    Array.prototype.push.apply(result, tiles);
+    return result;
+  };
+}
+
+suite('Preloader', function() {
+
+  test('loads the visible tiles', function(done) {
+    var tiles = [new MockTile(), new MockTile(), new MockTile()];
+    var layers = [new MockLayer(tiles.slice(0, 2)), new MockLayer(tiles.slice(2))];
+    var preloader = new Preloader(layers);
+    var progressSpy = sinon.spy();
+    preloader.addEventListener('progress', progressSpy);
+    assert.strictEqual(preloader.total(), 3);
+    assert.strictEqual(preloader.settled(), 0);
+    assert.isFalse(preloader.isComplete());
+    assert.isTrue(layers[0].textureStore().query(tiles[0]).pinned);
+    assert.isTrue(layers[1].textureStore().query(tiles[2]).pinned);
+    preloader.addEventListener('complete', function(resident) {
+      assert.isTrue(resident);
+      assert.isTrue(preloader.isComplete());
+      assert.isTrue(preloader.isResident());
+      assert.strictEqual(preloader.settled(), 3);
+      assert.strictEqual(progressSpy.callCount, 3);
+      assert.deepEqual(progressSpy.lastCall.args, [3, 3]);
+      assert.isTrue(layers[0].textureStore().query(tiles[1]).hasTexture);
+      done();
+    });
+  });
+
+  test('complete on construction', function(done) {
+    var tile = new MockTile();
+    var layer = new MockLayer([tile]);
+    var first = new Preloader([layer]);
+    first.addEventListener('complete', function() {
+      var second = new Preloader([layer]);
+      var completeSpy = sinon.spy();
+      second.addEventListener('complete', completeSpy);
+      assert.isTrue(second.isComplete());
+      assert.isTrue(second.isResident());
+      assert.strictEqual(second.settled(), 1);
+      defer(function() {
+        assert.isTrue(completeSpy.notCalled);
+        done();
+      });
+    });
+  });
+
+  test('no visible tiles', function() {
+    var preloader = new Preloader([new MockLayer([])]);
+    assert.isTrue(preloader.isComplete());
+    assert.strictEqual(preloader.total(), 0);
+  });
+
+  test('failed tiles are settled', function(done) {
+    var tiles = [new MockTile(), new MockTile({ fail: true })];
+    var preloader = new Preloader([new MockLayer(tiles)]);
+    preloader.addEventListener('complete', function(resident) {
+      assert.isFalse(resident);
+      assert.strictEqual(preloader.settled(), 2);
+      done();
+    });
+  });
+
+  test('timeout', function(done) {
+    var tiles = [new MockTile(), new MockTile({ hang: true })];
+    var preloader = new Preloader([new MockLayer(tiles)], { timeout: 20 });
+    preloader.addEventListener('complete', function(resident) {
+      assert.isFalse(resident);
+      assert.strictEqual(preloader.settled(), 1);
+      assert.strictEqual(preloader.total(), 2);
+      done();
+    });
+  });
+
+  test('level', function() {
+    var tiles = [new MockTile(), new MockTile(), new MockTile()];
+    var geometry = new MockGeometry([[tiles[0]], [tiles[1], tiles[2]]]);
+    var layer = new MockLayer([], geometry);
+    var preloader = new Preloader([layer], { level: 0 });
+    assert.strictEqual(preloader.total(), 1);
+    assert.strictEqual(geometry.visibleTiles.lastCall.args[0], layer.view());
+    assert.strictEqual(geometry.visibleTiles.lastCall.args[1],
+        geometry.levelList[0]);
+    preloader.destroy();
+  });
+
+  test('level is capped to the last level', function() {
+    var tiles = [new MockTile(), new MockTile(), new MockTile()];
+    var geometry = new MockGeometry([[tiles[0]], [tiles[1], tiles[2]]]);
+    var preloader = new Preloader([new MockLayer([], geometry)], { level: 5 });
+    assert.strictEqual(preloader.total(), 2);
+    assert.strictEqual(geometry.visibleTiles.lastCall.args[1],
+        geometry.levelList[1]);
+    preloader.destroy();
+  });
+
+  test('release', function(done) {
+    var tile = new MockTile();
+    var layer = new MockLayer([tile]);
+    var textureStore = layer.textureStore();
+    var preloader = new Preloader([layer]);
+    preloader.addEventListener('complete', function() {
+      preloader.release();
+      assert.isFalse(textureStore.query(tile).pinned);
+      assert.isFalse(textureStore.query(tile).hasTexture);
+      // Releasing again has no effect.
+      preloader.release();
+      done();
+    });
+  });
+
+  test('tiles are given a loading priority until released', function(done) {
+    var tiles = [new MockTile(), new MockTile()];
+    var stage = Object.create(mockStage);
+    stage.prioritizeTile = sinon.spy();
+    stage.unprioritizeTile = sinon.spy();
+    var layer = new MockLayer(tiles, null, stage);
+    var loadAssetSpy = sinon.spy(mockSource, 'loadAsset');
+    var preloader;
+    try {
+      preloader = new Preloader([layer]);
+    } finally {
+      loadAssetSpy.restore();
+    }
+    assert.strictEqual(stage.prioritizeTile.callCount, 2);
+    assert.isTrue(stage.prioritizeTile.calledWith(tiles[0], layer.view()));
+    assert.isTrue(stage.prioritizeTile.calledWith(tiles[1], layer.view()));
+    assert.strictEqual(loadAssetSpy.callCount, 2);
+    assert.isTrue(stage.prioritizeTile.calledBefore(loadAssetSpy));
+    preloader.addEventListener('complete', function() {
+      assert.isTrue(stage.unprioritizeTile.notCalled);
+      preloader.release();
+      assert.strictEqual(stage.unprioritizeTile.callCount, 2);
+      assert.isTrue(stage.unprioritizeTile.calledWith(tiles[0]));
+      assert.isTrue(stage.unprioritizeTile.calledWith(tiles[1]));
+      done();
+    });
+  });
+
+  test('destroy stops loading', function(done) {
+    var tile = new MockTile();
+    var layer = new MockLayer([tile]);
+    var preloader = new Preloader([layer], { timeout: 10 });
+    var completeSpy = sinon.spy();
+    preloader.addEventListener('complete', completeSpy);
+    preloader.destroy();
+    assert.isFalse(layer.textureStore().query(tile).pinned);
+    setTimeout(function() {
+      assert.isTrue(completeSpy.notCalled);
+      done();
+    }, 20);
+  });
+
+});
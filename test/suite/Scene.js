@@ -0,0 +1,197 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var eventEmitter = require('minimal-event-emitter');
+
+var Scene = require('../../src/Scene');
+var CancelError = require('../../src/CancelError');
+var RectilinearView = require('../../src/views/Rectilinear');
+
+// Mock render loop. Movements are stepped by emitting beforeRender.
+function MockRenderLoop() {
+  this.renderOnNextFrame = sinon.spy();
+}
+
+eventEmitter(MockRenderLoop);
+
+// Mock controls.
+function MockControls() {
+  var enabled = true;
+  this.enabled = function() { return enabled; };
+  this.enable = sinon.spy(function() { enabled = true; });
+  this.disable = sinon.spy(function() { enabled = false; });
+}
+
+// Mock stage. For these tests we only need what the hotspot container uses.
+var mockStage = {
+  width: function() { return 100; },
+  height: function() { return 100; },
+  stereoMode: function() { return 'mono'; }
+};
+
+// Mock viewer, in which the scene is the current one.
+function MockViewer() {
+  var self = this;
+  this._controlContainer = document.createElement('div');
+  this.renderLoopMock = new MockRenderLoop();
+  this.controlsMock = new MockControls();
+  this.stage = function() { return mockStage; };
+  this.renderLoop = function() { return self.renderLoopMock; };
+  this.controls = function() { return self.controlsMock; };
+  this.scene = function() { return self.currentScene; };
+}
+
+eventEmitter(MockViewer);
+
+function makeScene() {
+  var viewer = new MockViewer();
+  var view = new RectilinearView({ yaw: 0, pitch: 0, fov: Math.PI/2 });
+  var scene = new Scene(viewer, view);
+  viewer.currentScene = scene;
+  return scene;
+}
+
+// Steps the movement of the scene until it finishes.
+function finishMovement(scene) {
+  var renderLoop = scene.viewer().renderLoop();
+  while (scene.movement()) {
+    renderLoop.emit('beforeRender');
+  }
+}
+
+suite('Scene', function() {
+
+  suite('lookToAsync', function() {
+
+    test('resolves when the tween finishes', function() {
+      var scene = makeScene();
+      var promise = scene.lookToAsync({ yaw: 1 }, { transitionDuration: 0 });
+      finishMovement(scene);
+      return promise.then(function(value) {
+        assert.isUndefined(value);
+        assert.closeTo(scene.view().yaw(), 1, 1e-6);
+        assert.isTrue(scene.viewer().controls().enabled());
+      });
+    });
+
+    test('rejects when interrupted by the controls', function() {
+      var scene = makeScene();
+      var promise = scene.lookToAsync({ yaw: 1 }, { controlsInterrupt: true });
+      // The viewer stops the movement when the controls are activated.
+      scene.stopMovement();
+      return promise.then(function() {
+        assert.fail('promise was resolved');
+      }, function(err) {
+        assert.instanceOf(err, CancelError);
+        assert.isNull(scene.movement());
+      });
+    });
+
+    test('rejects when superseded by another tween', function() {
+      var scene = makeScene();
+      var first = scene.lookToAsync({ yaw: 1 });
+      var second = scene.lookToAsync({ yaw: 2 }, { transitionDuration: 0 });
+      finishMovement(scene);
+      return first.then(function() {
+        assert.fail('promise was resolved');
+      }, function(err) {
+        assert.instanceOf(err, CancelError);
+        return second;
+      }).then(function() {
+        assert.closeTo(scene.view().yaw(), 2, 1e-6);
+      });
+    });
+
+    test('rejects when the scene is destroyed', function() {
+      var scene = makeScene();
+      var viewer = scene.viewer();
+      var promise = scene.lookToAsync({ yaw: 1 });
+      scene.destroy();
+      return promise.then(function() {
+        assert.fail('promise was resolved');
+      }, function(err) {
+        assert.instanceOf(err, CancelError);
+        assert.isTrue(viewer.controls().enabled());
+      });
+    });
+
+    test('rejects when the parameters are invalid', function() {
+      var scene = makeScene();
+      return scene.lookToAsync(null).then(function() {
+        assert.fail('promise was resolved');
+      }, function(err) {
+        assert.notInstanceOf(err, CancelError);
+        assert.isNull(scene.movement());
+      });
+    });
+
+  });
+
+  suite('lookTo', function() {
+
+    test('calls done without arguments when the tween finishes', function() {
+      var scene = makeScene();
+      var done = sinon.spy();
+      scene.lookTo({ yaw: 1 }, { transitionDuration: 0 }, done);
+      finishMovement(scene);
+      assert.isTrue(done.calledOnce);
+      assert.lengthOf(done.firstCall.args, 0);
+    });
+
+    test('calls done without arguments when interrupted', function() {
+      var scene = makeScene();
+      var first = sinon.spy();
+      var second = sinon.spy();
+      scene.lookTo({ yaw: 1 }, null, first);
+      scene.lookTo({ yaw: 2 }, null, second);
+      scene.stopMovement();
+      assert.isTrue(first.calledOnce);
+      assert.lengthOf(first.firstCall.args, 0);
+      assert.isTrue(second.calledOnce);
+      assert.lengthOf(second.firstCall.args, 0);
+    });
+
+    test('calls done without arguments when the scene is destroyed', function() {
+      var scene = makeScene();
+      var done = sinon.spy();
+      scene.lookTo({ yaw: 1 }, null, done);
+      scene.destroy();
+      assert.isTrue(done.calledOnce);
+      assert.lengthOf(done.firstCall.args, 0);
+    });
+
+  });
+
+  suite('startMovement', function() {
+
+    test('calls done without arguments when stopped', function() {
+      var scene = makeScene();
+      var done = sinon.spy();
+      scene.startMovement(function() {
+        return function(params) { return params; };
+      }, done);
+      scene.stopMovement();
+      assert.isTrue(done.calledOnce);
+      assert.lengthOf(done.firstCall.args, 0);
+    });
+
+  });
+
+});
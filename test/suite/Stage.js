@@ -28,6 +28,7 @@ var CubeGeometry = require('../../src/geometries/Cube');
 var CubeTile = CubeGeometry.Tile;
 var EquirectGeometry = require('../../src/geometries/Equirect');
 var EquirectTile = EquirectGeometry.Tile;
+var RectilinearView = require('../../src/views/Rectilinear');
 
 // Stage is an abstract class and cannot be instantiated directly.
 // We must stub methods and properties expected to be implemented by subclasses.
@@ -50,11 +51,18 @@ function MockLayer(mockTextureStore) {
   this.geometry = sinon.stub().returns(new MockGeometry());
   this.view = sinon.stub().returns(new MockView());
   this.effects = sinon.stub().returns({});
+  this.eye = sinon.stub().returns(null);
+  this.depthStore = sinon.stub().returns(null);
   this.isProgressive = sinon.stub();
   this.visibleTiles = sinon.stub();
   this.textureStore = function() {
     return mockTextureStore;
   };
+  this._withView = function(view) {
+    var layer = Object.create(this);
+    layer.view = sinon.stub().returns(view);
+    return layer;
+  };
 }
 
 eventEmitter(MockLayer);
@@ -181,6 +189,108 @@ suite('Stage', function() {
     assert.equal(size.height, 100);
   });
 
+  test('recreates renderers', function() {
+    var oldRenderer = new MockRenderer();
+    var newRenderer = new MockRenderer();
+    var stage = new TestStage();
+
+    var layer1 = new MockLayer(new MockTextureStore());
+    var layer2 = new MockLayer(new MockTextureStore());
+    layer1.visibleTiles.callsFake(function() {});
+    layer2.visibleTiles.callsFake(function() {});
+
+    stage.createRenderer = sinon.stub();
+    stage.createRenderer.onCall(0).returns(oldRenderer);
+    stage.createRenderer.onCall(1).returns(oldRenderer);
+    stage.createRenderer.onCall(2).returns(newRenderer);
+    stage.createRenderer.onCall(3).returns(newRenderer);
+
+    stage.addLayer(layer1);
+    stage.addLayer(layer2);
+    stage._recreateRenderers();
+
+    assert.calledOnce(stage.destroyRenderer);
+    assert.calledWith(stage.destroyRenderer, oldRenderer);
+
+    stage.setSize({width: 100, height: 100});
+    stage.render();
+    assert.notCalled(oldRenderer.startLayer);
+    assert.calledTwice(newRenderer.startLayer);
+  });
+
+  test('uses the depth renderer for layers with a depth map', function() {
+    var stage = new TestStage();
+    var layer = new MockLayer();
+    var DepthRenderer = function() {};
+
+    layer.depthStore.returns({});
+    assert.throws(function() { stage.addLayer(layer); }, /depth:fake/);
+
+    stage.registerRenderer('depth:fake', 'fake', DepthRenderer);
+    stage.createRenderer = sinon.spy();
+    stage.addLayer(layer);
+    assert.calledWith(stage.createRenderer, DepthRenderer);
+  });
+
+  test('emits invalidation event on depth change', function() {
+    var stage = new TestStage();
+    var layer = new MockLayer();
+
+    var spy = sinon.spy();
+    stage.addLayer(layer);
+    stage.addEventListener('renderInvalid', spy);
+
+    layer.emit('depthChange');
+    assert.equal(spy.callCount, 1);
+
+    stage.removeLayer(layer);
+    layer.emit('depthChange');
+    assert.equal(spy.callCount, 2);
+  });
+
+  test('spaces out texture creation', function(done) {
+    function UploadTestStage() {
+      this.constructor.super_.call(this, {textureUploadDelay: 30});
+    }
+    inherits(UploadTestStage, Stage);
+    UploadTestStage.prototype.TextureClass = sinon.spy();
+
+    var stage = new UploadTestStage();
+    var spy1 = sinon.spy();
+    var spy2 = sinon.spy();
+    stage.createTexture('tile1', 'asset1', spy1);
+    stage.createTexture('tile2', 'asset2', spy2);
+
+    assert.calledOnce(spy1);
+    assert.notCalled(spy2);
+    setTimeout(function() {
+      assert.notCalled(spy2);
+    }, 10);
+    setTimeout(function() {
+      assert.calledOnce(spy2);
+      assert.calledWith(spy2, null, 'tile2', 'asset2');
+      assert.calledTwice(UploadTestStage.prototype.TextureClass);
+      done();
+    }, 60);
+  });
+
+  test('creates sub-textures for portions of shared assets', function() {
+    var stage = new TestStage();
+    stage.TextureClass = sinon.spy();
+    stage.SubTextureClass = sinon.spy();
+
+    var rect = { x: 0, y: 0, width: 0.5, height: 0.5 };
+    var portion = { textureRect: function() { return rect; } };
+    var whole = { textureRect: function() { return null; } };
+    stage.createTexture('tile1', portion, sinon.spy());
+    stage.createTexture('tile2', whole, sinon.spy());
+
+    assert.calledOnce(stage.SubTextureClass);
+    assert.calledWith(stage.SubTextureClass, stage, 'tile1', portion);
+    assert.calledOnce(stage.TextureClass);
+    assert.calledWith(stage.TextureClass, stage, 'tile2', whole);
+  });
+
   suite('general rendering', function() {
 
     test('renders a single layer', function() {
@@ -1052,4 +1162,426 @@ suite('Stage', function() {
     });
 
   });
+
+  suite('stereo rendering', function() {
+
+    function addLayer(stage, eye) {
+      var layer = new MockLayer(new MockTextureStore());
+      layer.eye.returns(eye);
+      stage.addLayer(layer);
+      return layer;
+    }
+
+    // The rect passed into the renderer is reused across calls, so it must be
+    // copied to be inspected afterwards.
+    function recordRects(renderer) {
+      var rects = [];
+      renderer.startLayer.callsFake(function(layer, rect) {
+        rects.push({x: rect.x, y: rect.y, width: rect.width, height: rect.height});
+      });
+      return rects;
+    }
+
+    test('defaults to mono', function() {
+      var stage = new TestStage(false);
+      assert.strictEqual(stage.stereoMode(), 'mono');
+    });
+
+    test('sets the stereo mode', function() {
+      var stage = new TestStage(false);
+      var changeSpy = sinon.spy();
+      var invalidSpy = sinon.spy();
+      stage.addEventListener('stereoModeChange', changeSpy);
+      stage.addEventListener('renderInvalid', invalidSpy);
+      stage.setStereoMode('sideBySide');
+      assert.strictEqual(stage.stereoMode(), 'sideBySide');
+      assert.calledOnce(changeSpy);
+      assert.calledWith(changeSpy, 'sideBySide');
+      assert.calledOnce(invalidSpy);
+      stage.setStereoMode('sideBySide');
+      assert.calledOnce(changeSpy);
+    });
+
+    test('throws on unknown stereo mode', function() {
+      var stage = new TestStage(false);
+      assert.throws(function() {
+        stage.setStereoMode('foo');
+      }, /Unknown stereo mode/);
+      assert.strictEqual(stage.stereoMode(), 'mono');
+    });
+
+    test('renders only the left eye in mono', function() {
+      var leftRenderer = new MockRenderer();
+      var rightRenderer = new MockRenderer();
+      var stage = new TestStage(false, rightRenderer, leftRenderer);
+      addLayer(stage, 'right');
+      var leftLayer = addLayer(stage, 'left');
+      var leftRects = recordRects(leftRenderer);
+      stage.setSize({width: 100, height: 100});
+      stage.render();
+      assert.notCalled(rightRenderer.startLayer);
+      assert.calledOnce(leftRenderer.startLayer);
+      assert.strictEqual(leftRenderer.startLayer.getCall(0).args[0], leftLayer);
+      assert.deepEqual(leftRects, [{x: 0, y: 0, width: 1, height: 1}]);
+      assert.deepEqual(leftRenderer.startLayer.getCall(0).args[2], {});
+    });
+
+    test('renders each eye into its half when side by side', function() {
+      var leftRenderer = new MockRenderer();
+      var rightRenderer = new MockRenderer();
+      var stage = new TestStage(false, rightRenderer, leftRenderer);
+      var rightLayer = addLayer(stage, 'right');
+      addLayer(stage, 'left');
+      var rightRects = recordRects(rightRenderer);
+      var leftRects = recordRects(leftRenderer);
+      var view = rightLayer.view();
+      view.setSize.callsFake(function(size) {
+        assert.deepEqual(size, {width: 50, height: 100});
+      });
+      stage.setSize({width: 100, height: 100});
+      stage.setStereoMode('sideBySide');
+      stage.render();
+      assert.deepEqual(rightRects, [{x: 0.5, y: 0, width: 0.5, height: 1}]);
+      assert.deepEqual(leftRects, [{x: 0, y: 0, width: 0.5, height: 1}]);
+      assert.calledOnce(view.setSize);
+    });
+
+    test('renders a layer without an eye into both halves', function() {
+      var renderer = new MockRenderer();
+      var stage = new TestStage(false, renderer);
+      var layer = addLayer(stage, null);
+      var completeSpy = sinon.spy();
+      layer.addEventListener('renderComplete', completeSpy);
+      var rects = recordRects(renderer);
+      stage.setSize({width: 100, height: 100});
+      stage.setStereoMode('overUnder');
+      stage.render();
+      assert.deepEqual(rects, [
+        {x: 0, y: 0, width: 1, height: 0.5},
+        {x: 0, y: 0.5, width: 1, height: 0.5}
+      ]);
+      assert.calledTwice(renderer.endLayer);
+      assert.calledOnce(completeSpy);
+    });
+
+    test('renders anaglyph eyes with color effects', function() {
+      var leftRenderer = new MockRenderer();
+      var rightRenderer = new MockRenderer();
+      var stage = new TestStage(false, rightRenderer, leftRenderer);
+      addLayer(stage, 'right');
+      addLayer(stage, 'left');
+      var rightRects = recordRects(rightRenderer);
+      var leftRects = recordRects(leftRenderer);
+      stage.setSize({width: 100, height: 100});
+      stage.setStereoMode('redCyan');
+      stage.render();
+      var fullRect = {x: 0, y: 0, width: 1, height: 1};
+      assert.deepEqual(rightRects, [fullRect]);
+      assert.deepEqual(leftRects, [fullRect]);
+      assert.isOk(rightRenderer.startLayer.getCall(0).args[2].colorMatrix);
+      assert.isOk(leftRenderer.startLayer.getCall(0).args[2].colorMatrix);
+    });
+
+  });
+
+  suite('view rendering', function() {
+
+    var framebufferSize = {width: 200, height: 100};
+
+    function addLayer(stage, eye, effects) {
+      var layer = new MockLayer(new MockTextureStore());
+      layer.eye.returns(eye);
+      layer.effects.returns(effects || {});
+      stage.addLayer(layer);
+      return layer;
+    }
+
+    function eyeViews() {
+      return [
+        {view: new MockView(), rect: {x: 0, y: 0, width: 0.5, height: 1}, eye: 'left'},
+        {view: new MockView(), rect: {x: 0.5, y: 0, width: 0.5, height: 1}, eye: 'right'}
+      ];
+    }
+
+    test('renders a layer through each view', function() {
+      var renderer = new MockRenderer();
+      var stage = new TestStage(false, new MockRenderer(), renderer, renderer);
+      var layer = addLayer(stage, null);
+      var completeSpy = sinon.spy();
+      layer.addEventListener('renderComplete', completeSpy);
+      var views = eyeViews();
+      stage.renderViews(views, framebufferSize);
+      assert.calledTwice(renderer.startLayer);
+      assert.strictEqual(renderer.startLayer.getCall(0).args[0].view(), views[0].view);
+      assert.strictEqual(renderer.startLayer.getCall(1).args[0].view(), views[1].view);
+      assert.strictEqual(renderer.startLayer.getCall(0).args[3], framebufferSize);
+      assert.calledWith(views[0].view.setSize, {width: 100, height: 100});
+      assert.calledWith(views[1].view.setSize, {width: 100, height: 100});
+      assert.notCalled(layer.view().setSize);
+      assert.calledOnce(completeSpy);
+    });
+
+    test('renders eye layers only through views for that eye', function() {
+      var renderer = new MockRenderer();
+      var stage = new TestStage(false, new MockRenderer(), new MockRenderer(), renderer, renderer);
+      addLayer(stage, 'right');
+      addLayer(stage, 'left');
+      var views = eyeViews();
+      stage.renderViews(views, framebufferSize);
+      assert.calledTwice(renderer.startLayer);
+      assert.strictEqual(renderer.startLayer.getCall(0).args[0].view(), views[1].view);
+      assert.strictEqual(renderer.startLayer.getCall(1).args[0].view(), views[0].view);
+    });
+
+    test('renders only left eye layers through views for no eye', function() {
+      var renderer = new MockRenderer();
+      var stage = new TestStage(false, new MockRenderer(), new MockRenderer(), renderer);
+      addLayer(stage, 'right');
+      var leftLayer = addLayer(stage, 'left');
+      var view = new MockView();
+      stage.renderViews([{view: view, rect: {x: 0, y: 0, width: 1, height: 1}, eye: null}], framebufferSize);
+      assert.calledOnce(renderer.startLayer);
+      assert.strictEqual(Object.getPrototypeOf(renderer.startLayer.getCall(0).args[0]), leftLayer);
+    });
+
+    test('places the layer rect within the view rect', function() {
+      var renderer = new MockRenderer();
+      var stage = new TestStage(false, new MockRenderer(), renderer);
+      addLayer(stage, null, {rect: {relativeX: 0.5, relativeWidth: 0.5}});
+      var rects = [];
+      renderer.startLayer.callsFake(function(layer, rect) {
+        rects.push({x: rect.x, y: rect.y, width: rect.width, height: rect.height});
+      });
+      stage.renderViews([eyeViews()[1]], framebufferSize);
+      assert.deepEqual(rects, [{x: 0.75, y: 0, width: 0.25, height: 1}]);
+    });
+
+    test('does not render into an empty framebuffer', function() {
+      var renderer = new MockRenderer();
+      var stage = new TestStage(false, new MockRenderer(), renderer);
+      addLayer(stage, null);
+      stage.renderViews(eyeViews(), {width: 0, height: 0});
+      assert.notCalled(stage.startFrame);
+      assert.notCalled(renderer.startLayer);
+    });
+
+  });
+
+  suite('tile priorities', function() {
+
+    function renderTiles(tiles) {
+      var stage = new TestStage(false, new MockRenderer());
+
+      var rectilinearView = new RectilinearView({ yaw: 0, pitch: 0, fov: Math.PI/2 });
+      rectilinearView.setSize({ width: 100, height: 100 });
+
+      var store = new MockTextureStore();
+      var layer = new MockLayer(store);
+      layer.view().projection = function() {
+        return rectilinearView.projection();
+      };
+      layer.visibleTiles.callsFake(function(result) {
+        result.push.apply(result, tiles);
+      });
+
+      stage.addLayer(layer);
+      stage.setSize({width: 100, height: 100});
+      stage.render();
+
+      return stage;
+    }
+
+    test('lower levels have higher priority', function() {
+      var geometry = new CubeGeometry([{tileSize: 512, size: 512}, {tileSize: 512, size: 1024}]);
+      var lowTile = new CubeTile('b', 0, 0, 0, geometry);
+      var highTile = new CubeTile('f', 0, 0, 1, geometry);
+
+      var stage = renderTiles([lowTile, highTile]);
+
+      assert.isBelow(stage.tilePriority(lowTile), stage.tilePriority(highTile));
+      assert.strictEqual(Math.floor(stage.tilePriority(lowTile)), 0);
+      assert.strictEqual(Math.floor(stage.tilePriority(highTile)), 1);
+    });
+
+    test('central tiles have higher priority', function() {
+      var geometry = new CubeGeometry([{tileSize: 512, size: 512}]);
+      var frontTile = new CubeTile('f', 0, 0, 0, geometry);
+      var backTile = new CubeTile('b', 0, 0, 0, geometry);
+
+      var stage = renderTiles([frontTile, backTile]);
+
+      assert.isBelow(stage.tilePriority(frontTile), stage.tilePriority(backTile));
+    });
+
+    test('central equirect tiles have higher priority', function() {
+      // A level split into four tiles across, each covering 90 degrees of yaw
+      // and starting at a yaw of -180 degrees.
+      var geometry = new EquirectGeometry([{width: 1024, tileWidth: 256, tileHeight: 512}]);
+      var tiles = [];
+      for (var x = 0; x < 4; x++) {
+        tiles.push(new EquirectTile(0, geometry, x, 0));
+      }
+
+      var stage = renderTiles(tiles);
+      var priorities = tiles.map(function(tile) {
+        return stage.tilePriority(tile);
+      });
+
+      // The view looks at a yaw of 0, which is the boundary between the two
+      // central tiles, so they are equally distant from the view center.
+      assert.closeTo(priorities[1], priorities[2], 1e-9);
+      assert.isBelow(priorities[1], priorities[0]);
+      assert.isBelow(priorities[2], priorities[3]);
+      assert.closeTo(priorities[1], 0.125, 1e-6);
+      assert.closeTo(priorities[0], 0.375, 1e-6);
+    });
+
+    test('equirect tiles in view have higher priority than those behind', function() {
+      var geometry = new EquirectGeometry([{width: 1536, tileWidth: 512, tileHeight: 256}]);
+      var behindTile = new EquirectTile(0, geometry, 0, 1);
+      var frontTile = new EquirectTile(0, geometry, 1, 1);
+
+      var stage = renderTiles([behindTile, frontTile]);
+
+      assert.closeTo(stage.tilePriority(frontTile), 0, 1e-6);
+      assert.isAbove(stage.tilePriority(behindTile), 0.3);
+    });
+
+    test('no priority for tiles not marked for loading', function() {
+      var geometry = new CubeGeometry([{tileSize: 512, size: 512}]);
+      var frontTile = new CubeTile('f', 0, 0, 0, geometry);
+      var backTile = new CubeTile('b', 0, 0, 0, geometry);
+
+      var stage = renderTiles([frontTile]);
+
+      assert.isNull(stage.tilePriority(backTile));
+    });
+
+    test('prioritized tiles have the priority they would have if visible', function() {
+      var geometry = new CubeGeometry([{tileSize: 512, size: 512}]);
+      var frontTile = new CubeTile('f', 0, 0, 0, geometry);
+      var otherTile = new CubeTile('f', 0, 0, 0, geometry);
+      var backTile = new CubeTile('b', 0, 0, 0, geometry);
+      var view = new RectilinearView({ yaw: Math.PI, pitch: 0, fov: Math.PI/2 });
+      view.setSize({ width: 100, height: 100 });
+
+      var stage = renderTiles([frontTile]);
+      stage.prioritizeTile(backTile, view);
+      stage.prioritizeTile(backTile, view);
+
+      // Seen from the other side, the back tile is in the center.
+      assert.closeTo(stage.tilePriority(backTile), 0, 1e-6);
+      assert.closeTo(stage.tilePriority(backTile), stage.tilePriority(frontTile), 1e-6);
+
+      // Marked tiles use the view they were marked for.
+      stage.prioritizeTile(otherTile, view);
+      assert.isBelow(stage.tilePriority(frontTile), 0.25);
+
+      stage.unprioritizeTile(backTile);
+      assert.isNotNull(stage.tilePriority(backTile));
+      stage.unprioritizeTile(backTile);
+      assert.isNull(stage.tilePriority(backTile));
+    });
+
+  });
+
+  suite('texture memory', function() {
+
+    // Creates a texture store whose evictable tiles are given by the
+    // lastVisible values, and whose evictions free the given amount of
+    // memory.
+    function evictingStore(stage, lastVisibleList, size) {
+      var store = new MockTextureStore();
+      store.collectEvictable = sinon.spy(function(result) {
+        lastVisibleList.forEach(function(lastVisible) {
+          result.push({ textureStore: store, tile: lastVisible, lastVisible: lastVisible });
+        });
+        return result;
+      });
+      store.evict = sinon.spy(function() {
+        stage.updateTextureMemory(-size);
+        return true;
+      });
+      return store;
+    }
+
+    function addLayer(stage, store) {
+      var layer = new MockLayer(store);
+      layer.visibleTiles.callsFake(function() {});
+      stage.addLayer(layer);
+    }
+
+    test('tracks texture memory', function() {
+      var stage = new TestStage();
+      var spy = sinon.spy();
+      stage.addEventListener('textureMemoryChange', spy);
+
+      stage.updateTextureMemory(100);
+      assert.strictEqual(stage.textureMemory(), 100);
+      stage.updateTextureMemory(-40);
+      assert.strictEqual(stage.textureMemory(), 60);
+      stage.updateTextureMemory(0);
+
+      assert.calledTwice(spy);
+      assert.calledWithExactly(spy.getCall(0), 100);
+      assert.calledWithExactly(spy.getCall(1), 60);
+    });
+
+    test('has no budget by default', function() {
+      var stage = new TestStage();
+      assert.strictEqual(stage.textureMemoryBudget(), Infinity);
+    });
+
+    test('does not evict within budget', function() {
+      var stage = new TestStage(false, new MockRenderer());
+      var store = evictingStore(stage, [1, 2], 100);
+      addLayer(stage, store);
+      stage.setTextureMemoryBudget(200);
+      stage.updateTextureMemory(200);
+      stage.setSize({width: 100, height: 100});
+      stage.render();
+      assert.notCalled(store.collectEvictable);
+      assert.notCalled(store.evict);
+    });
+
+    test('evicts least recently visible across layers', function() {
+      var stage = new TestStage(false, new MockRenderer(), new MockRenderer());
+      var store1 = evictingStore(stage, [1, 4], 100);
+      var store2 = evictingStore(stage, [2, 3], 100);
+      addLayer(stage, store1);
+      addLayer(stage, store2);
+      stage.updateTextureMemory(450);
+      stage.setTextureMemoryBudget(200);
+
+      assert.strictEqual(stage.textureMemory(), 150);
+      assert.calledOnce(store1.evict);
+      assert.calledWithExactly(store1.evict, 1);
+      assert.calledTwice(store2.evict);
+      assert.calledWithExactly(store2.evict.getCall(0), 2);
+      assert.calledWithExactly(store2.evict.getCall(1), 3);
+    });
+
+    test('evicts on render when over budget', function() {
+      var stage = new TestStage(false, new MockRenderer());
+      var store = evictingStore(stage, [1, 2], 100);
+      addLayer(stage, store);
+      stage.setTextureMemoryBudget(200);
+      stage.updateTextureMemory(250);
+      stage.setSize({width: 100, height: 100});
+      stage.render();
+      assert.calledOnce(store.evict);
+      assert.strictEqual(stage.textureMemory(), 150);
+    });
+
+    test('visits a shared texture store once', function() {
+      var stage = new TestStage(false, new MockRenderer(), new MockRenderer());
+      var store = evictingStore(stage, [], 100);
+      addLayer(stage, store);
+      addLayer(stage, store);
+      stage.updateTextureMemory(100);
+      stage.setTextureMemoryBudget(0);
+      assert.calledOnce(store.collectEvictable);
+    });
+
+  });
 });
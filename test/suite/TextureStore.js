@@ -31,12 +31,14 @@ var nextId = 0;
 // The dynamicAsset parameter determines whether the asset will be dynamic.
 // The assetFailures and textureFailures parameters determine how many times
 // in a row loading the respective asset or creating the respective texture
-// will fail.
+// will fail. The permanentAssetFailure parameter determines whether loading
+// the asset fails with an error the source does not want retried.
 function MockTile(opts) {
   this.id = nextId++;
   this.dynamicAsset = opts && opts.dynamicAsset;
   this.assetFailures = opts && opts.assetFailures || 0;
   this.textureFailures = opts && opts.textureFailures || 0;
+  this.permanentAssetFailure = opts && opts.permanentAssetFailure;
   this.hash = function() { return 0; };
   this.equals = function(that) { return this === that; };
 }
@@ -59,11 +61,18 @@ function MockTexture(asset) {
 
 var loadAssetError = new Error('Asset error');
 var createTextureError = new Error('Create texture');
+var permanentLoadAssetError = new Error('Permanent asset error');
+permanentLoadAssetError.permanent = true;
 
 // Mock a Source. For these tests we only need the loadAsset() method.
 var mockSource = {
   loadAsset: cancelize(function(stage, tile, done) {
-    if (tile.assetFailures) {
+    if (tile.permanentAssetFailure) {
+      // Fail without retrying
+      defer(function() {
+        done(permanentLoadAssetError, tile);
+      });
+    } else if (tile.assetFailures) {
       // Fail
       tile.assetFailures--;
       defer(function() {
@@ -132,6 +141,19 @@ suite('TextureStore', function() {
 
   suite('state machine', function() {
 
+    test('reprioritize source on frame end', function() {
+      var source = {
+        loadAsset: mockSource.loadAsset,
+        reprioritize: sinon.spy()
+      };
+      var store = new TextureStore(source, mockStage);
+      store.startFrame();
+      store.markTile(new MockTile());
+      assert.isTrue(source.reprioritize.notCalled);
+      store.endFrame();
+      assert.isTrue(source.reprioritize.calledOnce);
+    });
+
     test('nested frames', function() {
       var store = makeTextureStore();
       var tile = new MockTile();
@@ -244,6 +266,21 @@ suite('TextureStore', function() {
       store.endFrame();
     });
 
+    test('error on permanent loadAsset failure', function(done) {
+      var store = makeTextureStore();
+      var tile = new MockTile({ permanentAssetFailure: true });
+      store.addEventListener('textureError', function(eventTile, err) {
+        assert.strictEqual(eventTile, tile);
+        assert.strictEqual(err, permanentLoadAssetError);
+        assert.isFalse(store.query(tile).hasAsset);
+        assert.isFalse(store.query(tile).hasTexture);
+        done();
+      });
+      store.startFrame();
+      store.markTile(tile);
+      store.endFrame();
+    });
+
     test('error on createTexture failure', function(done) {
       var store = makeTextureStore();
       var tile = new MockTile({ textureFailures: 1 });
@@ -431,6 +468,180 @@ suite('TextureStore', function() {
 
   });
 
+  suite('eviction', function() {
+
+    // Loads the given tiles one by one, then makes them all invisible.
+    function loadThenHide(store, tiles, done) {
+      var i = 0;
+      var next = function() {
+        if (i === tiles.length) {
+          store.startFrame();
+          store.endFrame();
+          done();
+          return;
+        }
+        var tile = tiles[i++];
+        store.startFrame();
+        store.markTile(tile);
+        store.endFrame();
+        store.addEventListener('textureLoad', function handler(loadedTile) {
+          if (loadedTile === tile) {
+            store.removeEventListener('textureLoad', handler);
+            next();
+          }
+        });
+      };
+      next();
+    }
+
+    test('collect previously visible tiles in visibility order', function(done) {
+      var store = makeTextureStore();
+      var tiles = [ new MockTile(), new MockTile() ];
+      loadThenHide(store, tiles, function() {
+        var result = store.collectEvictable([]);
+        assert.lengthOf(result, 2);
+        result.sort(function(a, b) { return a.lastVisible - b.lastVisible; });
+        assert.strictEqual(result[0].textureStore, store);
+        assert.strictEqual(result[0].tile, tiles[0]);
+        assert.strictEqual(result[1].tile, tiles[1]);
+        done();
+      });
+    });
+
+    test('do not collect visible or pinned tiles', function(done) {
+      var store = makeTextureStore();
+      var tiles = [ new MockTile(), new MockTile(), new MockTile() ];
+      loadThenHide(store, tiles, function() {
+        store.pin(tiles[0]);
+        store.startFrame();
+        store.markTile(tiles[1]);
+        store.endFrame();
+        var result = store.collectEvictable([]);
+        assert.lengthOf(result, 1);
+        assert.strictEqual(result[0].tile, tiles[2]);
+        done();
+      });
+    });
+
+    test('evict previously visible tile', function(done) {
+      var store = makeTextureStore();
+      var tile = new MockTile();
+      loadThenHide(store, [ tile ], function() {
+        assert.isTrue(store.evict(tile));
+        assert.isFalse(store.query(tile).previouslyVisible);
+        assert.isFalse(store.query(tile).hasTexture);
+        done();
+      });
+    });
+
+    test('do not evict pinned tile', function(done) {
+      var store = makeTextureStore();
+      var tile = new MockTile();
+      loadThenHide(store, [ tile ], function() {
+        store.pin(tile);
+        assert.isFalse(store.evict(tile));
+        assert.isTrue(store.query(tile).hasTexture);
+        done();
+      });
+    });
+
+    test('do not evict visible tile', function(done) {
+      var store = makeTextureStore();
+      var tile = new MockTile();
+      store.startFrame();
+      store.markTile(tile);
+      store.endFrame();
+      store.addEventListener('textureLoad', function() {
+        assert.isFalse(store.evict(tile));
+        assert.isTrue(store.query(tile).hasTexture);
+        done();
+      });
+    });
+
+  });
+
+  suite('reload', function() {
+
+    // Marks the tiles as visible and waits for their textures to load.
+    function showAndLoad(store, tiles, done) {
+      var pending = tiles.length;
+      store.addEventListener('textureLoad', function handler() {
+        if (--pending === 0) {
+          store.removeEventListener('textureLoad', handler);
+          done();
+        }
+      });
+      store.startFrame();
+      tiles.forEach(function(tile) {
+        store.markTile(tile);
+      });
+      store.endFrame();
+    }
+
+    test('reload texture for static asset from source', function(done) {
+      var store = makeTextureStore();
+      var tile = new MockTile();
+      showAndLoad(store, [ tile ], function() {
+        var oldTexture = store.texture(tile);
+        var unloadSpy = sinon.spy();
+        store.addEventListener('textureUnload', unloadSpy);
+        store.addEventListener('textureLoad', function() {
+          assert.isTrue(unloadSpy.calledWith(tile));
+          assert.isTrue(oldTexture.destroy.calledOnce);
+          assert.isNotNull(store.texture(tile));
+          assert.notStrictEqual(store.texture(tile), oldTexture);
+          done();
+        });
+        store.reloadTextures();
+      });
+    });
+
+    test('recreate texture for dynamic asset', function(done) {
+      var store = makeTextureStore();
+      var tile = new MockTile({ dynamicAsset: true });
+      showAndLoad(store, [ tile ], function() {
+        var oldTexture = store.texture(tile);
+        var asset = store.asset(tile);
+        var unloadSpy = sinon.spy();
+        var loadAssetSpy = sinon.spy(mockSource, 'loadAsset');
+        store.addEventListener('textureUnload', unloadSpy);
+        store.addEventListener('textureLoad', function() {
+          loadAssetSpy.restore();
+          assert.isTrue(loadAssetSpy.notCalled);
+          assert.isTrue(unloadSpy.notCalled);
+          assert.isTrue(oldTexture.destroy.calledOnce);
+          assert.isTrue(asset.destroy.notCalled);
+          assert.strictEqual(store.asset(tile), asset);
+          assert.isNotNull(store.texture(tile));
+          assert.notStrictEqual(store.texture(tile), oldTexture);
+          done();
+        });
+        store.reloadTextures();
+        assert.isNull(store.texture(tile));
+      });
+    });
+
+    test('discard previously visible tiles', function(done) {
+      var store = makeTextureStore();
+      var tile = new MockTile();
+      var pinnedTile = new MockTile();
+      showAndLoad(store, [ tile, pinnedTile ], function() {
+        store.pin(pinnedTile);
+        store.startFrame();
+        store.endFrame();
+        store.addEventListener('textureLoad', function(loadedTile) {
+          assert.strictEqual(loadedTile, pinnedTile);
+          assert.isFalse(store.query(tile).hasTexture);
+          assert.isFalse(store.query(tile).previouslyVisible);
+          assert.isTrue(store.query(pinnedTile).hasTexture);
+          done();
+        });
+        store.reloadTextures();
+      });
+    });
+
+  });
+
   suite('pinning', function() {
 
     test('pinning is reference-counted', function() {
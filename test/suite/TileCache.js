@@ -0,0 +1,360 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var TileCache = require('../../src/TileCache');
+var MemoryStorage = require('../../src/storage/Memory');
+
+function blob(size) {
+  return { size: size };
+}
+
+function storedKeys(storage) {
+  var keys;
+  storage.list(function(err, entries) {
+    keys = entries.map(function(entry) { return entry.key; }).sort();
+  });
+  return keys;
+}
+
+function MockSource(cache) {
+  this._cache = cache;
+  this.prefetchTile = sinon.spy(function(stage, tile, done) {
+    cache.put(tile.key, blob(1));
+    done(tile.error || null);
+    return function() {};
+  });
+}
+
+MockSource.prototype.cache = function() {
+  return this._cache;
+};
+
+function mockScene(layers) {
+  var stage = {};
+  return {
+    viewer: function() { return { stage: function() { return stage; } }; },
+    listLayers: function() {
+      return layers.map(function(layer) {
+        return {
+          source: function() { return layer.source; },
+          geometry: function() { return layer.geometry; }
+        };
+      });
+    }
+  };
+}
+
+function mockGeometry(name, tilesPerLevel) {
+  var levelList = tilesPerLevel.map(function(count, z) {
+    return { z: z, count: count };
+  });
+  return {
+    levelList: levelList,
+    levelTiles: function(level) {
+      var result = [];
+      for (var i = 0; i < level.count; i++) {
+        result.push({ key: name + '/' + level.z + '/' + i });
+      }
+      return result;
+    }
+  };
+}
+
+suite('TileCache', function() {
+
+  test('get missing entry', function(done) {
+    var cache = new TileCache({ storage: new MemoryStorage() });
+    cache.get('foo', function(err, result) {
+      assert.isNull(err);
+      assert.isNull(result);
+      done();
+    });
+  });
+
+  test('put and get', function(done) {
+    var cache = new TileCache({ storage: new MemoryStorage() });
+    var b = blob(10);
+    cache.put('foo', b, function(err) {
+      assert.isNull(err);
+      assert.strictEqual(cache.entryCount(), 1);
+      assert.strictEqual(cache.byteSize(), 10);
+      cache.get('foo', function(err, result) {
+        assert.isNull(err);
+        assert.strictEqual(result, b);
+        done();
+      });
+    });
+  });
+
+  test('replace entry', function() {
+    var cache = new TileCache({ storage: new MemoryStorage() });
+    cache.put('foo', blob(10));
+    cache.put('foo', blob(20));
+    assert.strictEqual(cache.entryCount(), 1);
+    assert.strictEqual(cache.byteSize(), 20);
+  });
+
+  test('evict when exceeding the maximum number of entries', function() {
+    var storage = new MemoryStorage();
+    var cache = new TileCache({ storage: storage, maxEntries: 2 });
+    cache.put('a', blob(1));
+    cache.put('b', blob(1));
+    cache.put('c', blob(1));
+    assert.strictEqual(cache.entryCount(), 2);
+    assert.deepEqual(storedKeys(storage), ['b', 'c']);
+  });
+
+  test('evict when exceeding the maximum size', function() {
+    var storage = new MemoryStorage();
+    var cache = new TileCache({ storage: storage, maxSize: 10 });
+    cache.put('a', blob(4));
+    cache.put('b', blob(4));
+    cache.put('c', blob(4));
+    assert.strictEqual(cache.byteSize(), 8);
+    assert.deepEqual(storedKeys(storage), ['b', 'c']);
+  });
+
+  test('evict least recently used', function() {
+    var storage = new MemoryStorage();
+    var cache = new TileCache({ storage: storage, maxEntries: 2 });
+    cache.put('a', blob(1));
+    cache.put('b', blob(1));
+    cache.get('a', function() {});
+    cache.put('c', blob(1));
+    assert.deepEqual(storedKeys(storage), ['a', 'c']);
+  });
+
+  test('drop entry larger than the maximum size', function(done) {
+    var storage = new MemoryStorage();
+    var cache = new TileCache({ storage: storage, maxSize: 10 });
+    cache.put('a', blob(4));
+    cache.put('b', blob(11), function(err) {
+      assert.isNull(err);
+      assert.deepEqual(storedKeys(storage), ['a']);
+      assert.strictEqual(cache.byteSize(), 4);
+      done();
+    });
+  });
+
+  test('rebuild index from storage', function() {
+    var storage = new MemoryStorage();
+    storage.put('a', blob(4), 300, function() {});
+    storage.put('b', blob(4), 100, function() {});
+    storage.put('c', blob(4), 200, function() {});
+    var cache = new TileCache({ storage: storage, maxSize: 10 });
+    // The least recently used entry does not fit and is removed.
+    assert.deepEqual(storedKeys(storage), ['a', 'c']);
+    assert.strictEqual(cache.byteSize(), 8);
+    cache.put('d', blob(4));
+    assert.deepEqual(storedKeys(storage), ['a', 'd']);
+  });
+
+  test('queue operations until opened', function() {
+    var storage = new MemoryStorage();
+    var open = sinon.stub(storage, 'open');
+    var cache = new TileCache({ storage: storage });
+    var spy = sinon.spy();
+    cache.put('a', blob(1));
+    cache.has('a', spy);
+    assert.isTrue(spy.notCalled);
+    open.yield(null);
+    assert.isTrue(spy.calledWithExactly(null, true));
+  });
+
+  test('open error', function(done) {
+    var storage = new MemoryStorage();
+    var error = new Error('error');
+    sinon.stub(storage, 'open').yields(error);
+    var cache = new TileCache({ storage: storage });
+    cache.get('a', function(err) {
+      assert.strictEqual(err, error);
+      done();
+    });
+  });
+
+  test('put error', function(done) {
+    var storage = new MemoryStorage();
+    var error = new Error('quota exceeded');
+    sinon.stub(storage, 'put').yields(error);
+    var cache = new TileCache({ storage: storage });
+    cache.put('a', blob(1), function(err) {
+      assert.strictEqual(err, error);
+      assert.strictEqual(cache.entryCount(), 0);
+      assert.strictEqual(cache.byteSize(), 0);
+      done();
+    });
+  });
+
+  test('entry removed from storage', function(done) {
+    var storage = new MemoryStorage();
+    var cache = new TileCache({ storage: storage });
+    cache.put('a', blob(1));
+    storage.del('a', function() {});
+    cache.get('a', function(err, result) {
+      assert.isNull(err);
+      assert.isNull(result);
+      assert.strictEqual(cache.entryCount(), 0);
+      done();
+    });
+  });
+
+  test('del', function() {
+    var storage = new MemoryStorage();
+    var cache = new TileCache({ storage: storage });
+    cache.put('a', blob(1));
+    cache.put('b', blob(2));
+    cache.del('a');
+    assert.strictEqual(cache.byteSize(), 2);
+    assert.deepEqual(storedKeys(storage), ['b']);
+  });
+
+  test('clear', function() {
+    var storage = new MemoryStorage();
+    var cache = new TileCache({ storage: storage });
+    cache.put('a', blob(1));
+    cache.put('b', blob(2));
+    cache.clear();
+    assert.strictEqual(cache.entryCount(), 0);
+    assert.strictEqual(cache.byteSize(), 0);
+    assert.deepEqual(storedKeys(storage), []);
+  });
+
+  test('cancel get', function() {
+    var storage = new MemoryStorage();
+    sinon.stub(storage, 'open');
+    var cache = new TileCache({ storage: storage });
+    var spy = sinon.spy();
+    var cancel = cache.get('a', spy);
+    cancel('err');
+    storage.open.yield(null);
+    assert.isTrue(spy.calledOnce);
+    assert.isTrue(spy.calledWithExactly('err'));
+  });
+
+  test('invalid version', function() {
+    assert.throws(function() {
+      new TileCache({ storage: new MemoryStorage(), version: 1.5 });
+    });
+  });
+
+  test('unknown storage', function() {
+    assert.throws(function() {
+      new TileCache({ storage: 'foo' });
+    });
+  });
+
+  suite('prefetchScene', function() {
+
+    test('all levels', function(done) {
+      var cache = new TileCache({ storage: new MemoryStorage() });
+      var source = new MockSource(cache);
+      var scene = mockScene([
+        { source: source, geometry: mockGeometry('g', [1, 4]) }
+      ]);
+      var progress = sinon.spy();
+      cache.prefetchScene(scene, null, { progress: progress }, function(err) {
+        assert.isNull(err);
+        assert.strictEqual(source.prefetchTile.callCount, 5);
+        assert.strictEqual(cache.entryCount(), 5);
+        assert.strictEqual(progress.callCount, 5);
+        assert.isTrue(progress.lastCall.calledWithExactly(5, 5));
+        done();
+      });
+    });
+
+    test('some levels', function(done) {
+      var cache = new TileCache({ storage: new MemoryStorage() });
+      var source = new MockSource(cache);
+      var scene = mockScene([
+        { source: source, geometry: mockGeometry('g', [1, 4, 16]) }
+      ]);
+      cache.prefetchScene(scene, 2, null, function(err) {
+        assert.isNull(err);
+        assert.strictEqual(source.prefetchTile.callCount, 5);
+        done();
+      });
+    });
+
+    test('skip layers not backed by the cache', function(done) {
+      var cache = new TileCache({ storage: new MemoryStorage() });
+      var otherCache = new TileCache({ storage: new MemoryStorage() });
+      var source = new MockSource(cache);
+      var otherSource = new MockSource(otherCache);
+      var scene = mockScene([
+        { source: source, geometry: mockGeometry('a', [1]) },
+        { source: otherSource, geometry: mockGeometry('b', [1]) },
+        { source: { loadAsset: function() {} }, geometry: mockGeometry('c', [1]) }
+      ]);
+      cache.prefetchScene(scene, null, null, function(err) {
+        assert.isNull(err);
+        assert.isTrue(source.prefetchTile.calledOnce);
+        assert.isTrue(otherSource.prefetchTile.notCalled);
+        done();
+      });
+    });
+
+    test('continue after error', function(done) {
+      var cache = new TileCache({ storage: new MemoryStorage() });
+      var source = new MockSource(cache);
+      var error = new Error('error');
+      var geometry = mockGeometry('g', [3]);
+      var levelTiles = geometry.levelTiles;
+      geometry.levelTiles = function(level) {
+        var tiles = levelTiles(level);
+        tiles[0].error = error;
+        return tiles;
+      };
+      var scene = mockScene([ { source: source, geometry: geometry } ]);
+      cache.prefetchScene(scene, null, null, function(err) {
+        assert.strictEqual(err, error);
+        assert.strictEqual(source.prefetchTile.callCount, 3);
+        done();
+      });
+    });
+
+    test('cancel', function() {
+      var cache = new TileCache({ storage: new MemoryStorage() });
+      var source = new MockSource(cache);
+      var cancelSpy = sinon.spy();
+      source.prefetchTile = sinon.spy(function(stage, tile, done) {
+        return function() {
+          cancelSpy();
+          done.apply(null, arguments);
+        };
+      });
+      var scene = mockScene([
+        { source: source, geometry: mockGeometry('g', [8]) }
+      ]);
+      var progress = sinon.spy();
+      var spy = sinon.spy();
+      var cancel = cache.prefetchScene(scene, null,
+          { concurrency: 2, progress: progress }, spy);
+      assert.strictEqual(source.prefetchTile.callCount, 2);
+      cancel('err');
+      assert.strictEqual(source.prefetchTile.callCount, 2);
+      assert.strictEqual(cancelSpy.callCount, 2);
+      assert.isTrue(progress.notCalled);
+      assert.isTrue(spy.calledOnce);
+      assert.isTrue(spy.calledWithExactly('err'));
+    });
+
+  });
+
+});
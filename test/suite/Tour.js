@@ -0,0 +1,409 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var Tour = require('../../src/Tour');
+var TourDataError = require('../../src/TourDataError');
+
+// Mock DOM element, recording its event listeners.
+function MockElement() {
+  var listeners = {};
+  this.addEventListener = function(name, fn) {
+    listeners[name] = fn;
+  };
+  this.trigger = function(name) {
+    listeners[name]();
+  };
+}
+
+// Mock scene, as created by the mock viewer.
+function MockScene(opts) {
+  this.opts = opts;
+  this.hotspots = [];
+  var self = this;
+  var container = {
+    createHotspot: function(element, coords) {
+      self.hotspots.push({ element: element, coords: coords });
+    }
+  };
+  this.view = function() { return opts.view; };
+  this.hotspotContainer = function() { return container; };
+}
+
+// Mock viewer.
+function MockViewer() {
+  this.createScene = sinon.spy(function(opts) {
+    return new MockScene(opts);
+  });
+  this.destroyScene = sinon.spy();
+  this.switchScene = sinon.spy();
+  this.startMovement = sinon.spy();
+  this.stopMovement = sinon.spy();
+  this.setIdleMovement = sinon.spy();
+}
+
+function makeSceneData(id, linkTargets) {
+  return {
+    id: id,
+    name: id.toUpperCase(),
+    levels: [
+      { tileSize: 256, size: 256, fallbackOnly: true },
+      { tileSize: 512, size: 512 }
+    ],
+    faceSize: 512,
+    initialViewParameters: { yaw: 0.5, pitch: 0.1, fov: 1.2 },
+    linkHotspots: (linkTargets || []).map(function(target) {
+      return { yaw: 1, pitch: 0.2, rotation: 0, target: target };
+    }),
+    infoHotspots: [
+      { yaw: -1, pitch: 0, title: 'Title', text: 'Text' }
+    ]
+  };
+}
+
+function makeData() {
+  return {
+    scenes: [ makeSceneData('a', ['b']), makeSceneData('b', ['a']) ],
+    settings: {
+      mouseViewMode: 'drag',
+      autorotateEnabled: false,
+      fullscreenButton: true,
+      viewControlButtons: true
+    }
+  };
+}
+
+function makeTour(viewer, data, opts) {
+  opts = opts || {};
+  opts.createSource = opts.createSource || function() { return {}; };
+  opts.createLinkHotspotElement = function() { return new MockElement(); };
+  opts.createInfoHotspotElement = function() { return new MockElement(); };
+  return new Tour(viewer, data || makeData(), opts);
+}
+
+function assertInvalid(data, path) {
+  var err;
+  try {
+    Tour.validate(data);
+  } catch (e) {
+    err = e;
+  }
+  assert.instanceOf(err, TourDataError);
+  assert.strictEqual(err.path, path);
+  assert.include(err.message, path);
+}
+
+suite('Tour', function() {
+
+  suite('validate', function() {
+
+    test('fills in defaults', function() {
+      var result = Tour.validate({
+        scenes: [{ id: 'a', levels: [{ tileSize: 512, size: 512 }], faceSize: 512 }]
+      });
+      assert.strictEqual(result.version, 1);
+      var scene = result.scenes[0];
+      assert.strictEqual(scene.name, 'a');
+      assert.deepEqual(scene.initialViewParameters,
+          { yaw: 0, pitch: 0, fov: Math.PI / 2 });
+      assert.deepEqual(scene.linkHotspots, []);
+      assert.deepEqual(scene.infoHotspots, []);
+      assert.closeTo(scene.limits.maxVFov, 100 * Math.PI / 180, 1e-9);
+      assert.closeTo(scene.limits.maxHFov, 120 * Math.PI / 180, 1e-9);
+      assert.strictEqual(result.settings.mouseViewMode, 'drag');
+      assert.isFalse(result.settings.autorotateEnabled);
+      assert.strictEqual(result.settings.autorotate.idleTimeout, 3000);
+    });
+
+    test('does not modify the input', function() {
+      var data = makeData();
+      var copy = JSON.parse(JSON.stringify(data));
+      Tour.validate(data);
+      assert.deepEqual(data, copy);
+    });
+
+    test('not an object', function() {
+      assertInvalid(null, '');
+    });
+
+    test('unsupported version', function() {
+      var data = makeData();
+      data.version = 2;
+      assertInvalid(data, 'version');
+    });
+
+    test('no scenes', function() {
+      assertInvalid({ scenes: [] }, 'scenes');
+    });
+
+    test('missing id', function() {
+      var data = makeData();
+      delete data.scenes[1].id;
+      assertInvalid(data, 'scenes[1].id');
+    });
+
+    test('duplicate id', function() {
+      var data = makeData();
+      data.scenes[1].id = 'a';
+      assertInvalid(data, 'scenes[1].id');
+    });
+
+    test('invalid level', function() {
+      var data = makeData();
+      data.scenes[0].levels[1].size = -1;
+      assertInvalid(data, 'scenes[0].levels[1].size');
+    });
+
+    test('invalid face size', function() {
+      var data = makeData();
+      data.scenes[0].faceSize = '512';
+      assertInvalid(data, 'scenes[0].faceSize');
+    });
+
+    test('invalid hotspot', function() {
+      var data = makeData();
+      data.scenes[1].infoHotspots[0].yaw = NaN;
+      assertInvalid(data, 'scenes[1].infoHotspots[0].yaw');
+    });
+
+    test('unknown link target', function() {
+      var data = makeData();
+      data.scenes[0].linkHotspots[0].target = 'c';
+      assertInvalid(data, 'scenes[0].linkHotspots[0].target');
+    });
+
+    test('unknown initial scene', function() {
+      var data = makeData();
+      data.initialScene = 'c';
+      assertInvalid(data, 'initialScene');
+    });
+
+    test('invalid view parameters', function() {
+      var data = makeData();
+      data.viewParameters = { fov: 0 };
+      assertInvalid(data, 'viewParameters.fov');
+    });
+
+    test('unknown mouse view mode', function() {
+      var data = makeData();
+      data.settings.mouseViewMode = 'foo';
+      assertInvalid(data, 'settings.mouseViewMode');
+    });
+
+    test('constructor throws', function() {
+      assert.throws(function() {
+        makeTour(new MockViewer(), { scenes: [] });
+      }, TourDataError);
+    });
+
+  });
+
+  suite('scenes', function() {
+
+    test('created lazily', function() {
+      var viewer = new MockViewer();
+      var tour = makeTour(viewer);
+      assert.deepEqual(tour.sceneIds(), ['a', 'b']);
+      assert.strictEqual(tour.sceneName('b'), 'B');
+      assert.isTrue(viewer.createScene.notCalled);
+      var scene = tour.scene('b');
+      assert.isTrue(viewer.createScene.calledOnce);
+      assert.strictEqual(tour.scene('b'), scene);
+      assert.isTrue(viewer.createScene.calledOnce);
+    });
+
+    test('creation options', function() {
+      var viewer = new MockViewer();
+      var source = {};
+      var createSource = sinon.stub().returns(source);
+      var tour = makeTour(viewer, null, { createSource: createSource });
+      var scene = tour.scene('a');
+      assert.strictEqual(createSource.firstCall.args[0].id, 'a');
+      assert.strictEqual(scene.opts.source, source);
+      assert.lengthOf(scene.opts.geometry.levelList, 2);
+      assert.closeTo(scene.view().yaw(), 0.5, 1e-9);
+      assert.closeTo(scene.view().pitch(), 0.1, 1e-9);
+      assert.isTrue(scene.opts.pinFirstLevel);
+    });
+
+    test('unknown scene', function() {
+      var tour = makeTour(new MockViewer());
+      assert.throws(function() { tour.scene('c'); });
+    });
+
+    test('hotspots', function() {
+      var tour = makeTour(new MockViewer());
+      var scene = tour.scene('a');
+      assert.lengthOf(scene.hotspots, 2);
+      assert.deepEqual(scene.hotspots[0].coords, { yaw: 1, pitch: 0.2 });
+      assert.deepEqual(scene.hotspots[1].coords, { yaw: -1, pitch: 0 });
+    });
+
+    test('link hotspots switch scenes', function() {
+      var viewer = new MockViewer();
+      var tour = makeTour(viewer);
+      tour.start();
+      tour.scene('a').hotspots[0].element.trigger('click');
+      assert.strictEqual(tour.currentSceneId(), 'b');
+      assert.strictEqual(viewer.switchScene.lastCall.args[0], tour.scene('b'));
+    });
+
+    test('destroy', function() {
+      var viewer = new MockViewer();
+      var tour = makeTour(viewer);
+      var scene = tour.scene('a');
+      tour.destroy();
+      assert.isTrue(viewer.destroyScene.calledOnce);
+      assert.isTrue(viewer.destroyScene.calledWith(scene));
+    });
+
+  });
+
+  suite('navigation', function() {
+
+    test('start with the first scene', function() {
+      var viewer = new MockViewer();
+      var tour = makeTour(viewer);
+      tour.start();
+      assert.strictEqual(tour.currentSceneId(), 'a');
+      assert.strictEqual(viewer.switchScene.firstCall.args[1].transitionDuration, 0);
+    });
+
+    test('start with the initial scene', function() {
+      var data = makeData();
+      data.initialScene = 'b';
+      var tour = makeTour(new MockViewer(), data);
+      tour.start();
+      assert.strictEqual(tour.currentSceneId(), 'b');
+    });
+
+    test('switch scene', function() {
+      var viewer = new MockViewer();
+      var transitionUpdate = function() {};
+      var tour = makeTour(viewer, null, {
+        switchOpts: { transitionUpdate: transitionUpdate, transitionDuration: 500 }
+      });
+      var spy = sinon.spy();
+      tour.addEventListener('sceneChange', spy);
+      var scene = tour.scene('b');
+      scene.view().setYaw(2);
+      var done = function() {};
+      tour.switchScene('b', { transitionDuration: 100 }, done);
+      // The view is reset to the initial parameters.
+      assert.closeTo(scene.view().yaw(), 0.5, 1e-9);
+      var args = viewer.switchScene.firstCall.args;
+      assert.strictEqual(args[0], scene);
+      assert.strictEqual(args[1].transitionUpdate, transitionUpdate);
+      assert.strictEqual(args[1].transitionDuration, 100);
+      assert.strictEqual(args[2], done);
+      assert.isTrue(spy.calledOnceWith('b'));
+    });
+
+    test('switch scene with view parameters', function() {
+      var viewer = new MockViewer();
+      var tour = makeTour(viewer);
+      var scene = tour.scene('b');
+      tour.switchScene('b', { viewParameters: { yaw: 1, fov: 0.8 } });
+      assert.closeTo(scene.view().yaw(), 1, 1e-9);
+      assert.closeTo(scene.view().pitch(), 0.1, 1e-9);
+      assert.closeTo(scene.view().fov(), 0.8, 1e-9);
+      assert.notProperty(viewer.switchScene.firstCall.args[1], 'viewParameters');
+    });
+
+    test('autorotate', function() {
+      var data = makeData();
+      data.settings.autorotateEnabled = true;
+      data.settings.autorotate = { idleTimeout: 5000 };
+      var viewer = new MockViewer();
+      var tour = makeTour(viewer, data);
+      tour.start();
+      assert.isTrue(viewer.startMovement.calledOnce);
+      assert.strictEqual(viewer.setIdleMovement.lastCall.args[0], 5000);
+      tour.setAutorotateEnabled(false);
+      assert.isFalse(tour.autorotateEnabled());
+      assert.isTrue(viewer.stopMovement.called);
+      assert.strictEqual(viewer.setIdleMovement.lastCall.args[0], Infinity);
+      viewer.startMovement.resetHistory();
+      tour.switchScene('b');
+      assert.isTrue(viewer.startMovement.notCalled);
+    });
+
+  });
+
+  suite('serialization', function() {
+
+    test('round trip', function() {
+      var tour = makeTour(new MockViewer());
+      var json = tour.toJSON();
+      assert.deepEqual(Tour.validate(json), json);
+      var copy = makeTour(new MockViewer(), json);
+      assert.deepEqual(copy.toJSON(), json);
+    });
+
+    test('current state', function() {
+      var tour = makeTour(new MockViewer());
+      tour.start();
+      tour.switchScene('b');
+      tour.setAutorotateEnabled(true);
+      var json = tour.toJSON();
+      assert.strictEqual(json.initialScene, 'b');
+      assert.isTrue(json.settings.autorotateEnabled);
+      assert.isTrue(json.settings.fullscreenButton);
+    });
+
+    test('current view parameters', function() {
+      var tour = makeTour(new MockViewer());
+      tour.start();
+      tour.switchScene('b');
+      var view = tour.scene('b').view();
+      view.setYaw(-0.7);
+      view.setPitch(0.3);
+      view.setFov(0.9);
+
+      var json = tour.toJSON();
+      // The initial view parameters of the scene are unchanged.
+      assert.deepEqual(json.scenes[1].initialViewParameters,
+          { yaw: 0.5, pitch: 0.1, fov: 1.2 });
+
+      var copy = makeTour(new MockViewer(), json);
+      copy.start();
+      var copyView = copy.scene('b').view();
+      assert.strictEqual(copy.currentSceneId(), 'b');
+      assert.closeTo(copyView.yaw(), -0.7, 1e-9);
+      assert.closeTo(copyView.pitch(), 0.3, 1e-9);
+      assert.closeTo(copyView.fov(), 0.9, 1e-9);
+    });
+
+    test('initial view parameters', function() {
+      var tour = makeTour(new MockViewer());
+      var view = tour.scene('a').view();
+      view.setYaw(-0.5);
+      tour.setInitialViewParameters('a');
+      assert.closeTo(tour.toJSON().scenes[0].initialViewParameters.yaw, -0.5, 1e-9);
+      tour.setInitialViewParameters('b', { yaw: 1, pitch: 0, fov: 1 });
+      assert.deepEqual(tour.toJSON().scenes[1].initialViewParameters,
+          { yaw: 1, pitch: 0, fov: 1 });
+      assert.throws(function() {
+        tour.setInitialViewParameters('b', { fov: -1 });
+      }, TourDataError);
+    });
+
+  });
+
+});
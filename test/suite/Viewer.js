@@ -0,0 +1,500 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var eventEmitter = require('minimal-event-emitter');
+
+var Viewer = require('../../src/Viewer');
+var Stage = require('../../src/stages/Stage');
+var TextureStore = require('../../src/TextureStore');
+var ImageUrlSource = require('../../src/sources/ImageUrl');
+var CancelError = require('../../src/CancelError');
+var CubeGeometry = require('../../src/geometries/Cube');
+var CubeTile = CubeGeometry.Tile;
+var RectilinearView = require('../../src/views/Rectilinear');
+var transitions = require('../../src/transitions');
+var StaticAsset = require('../../src/assets/Static');
+var cancelize = require('../../src/util/cancelize');
+var inherits = require('../../src/util/inherits');
+var global = require('../../src/util/global');
+
+// Mock source, whose assets never load.
+var mockSource = {
+  loadAsset: cancelize(function() {})
+};
+
+// Mock stage for the texture stores.
+var mockTextureStage = {
+  createTexture: cancelize(function() {})
+};
+
+// Mock tile.
+function MockTile() {
+  this.hash = function() { return 0; };
+  this.equals = function(that) { return this === that; };
+}
+
+// Mock layer with the given tiles visible. Their textures are never loaded
+// unless a textureLoad event is emitted on the texture store.
+function MockLayer(tiles) {
+  var textureStore = new TextureStore(mockSource, mockTextureStage);
+  this.textureStore = function() { return textureStore; };
+  this.visibleTiles = function(result) {
+    Array.prototype.push.apply(result, tiles || []);
+    return result;
+  };
+  this.mergeEffects = sinon.spy();
+  this.pinFirstLevel = sinon.spy();
+  this.unpinFirstLevel = sinon.spy();
+}
+
+// Mock scene with the given layers.
+function MockScene(layers) {
+  var view = {
+    size: function() { return { width: 100, height: 100 }; },
+    setSize: sinon.spy()
+  };
+  var hotspotContainer = {
+    domElement: function() { return { style: {} }; }
+  };
+  this.view = function() { return view; };
+  this.hotspotContainer = function() { return hotspotContainer; };
+  this.listLayers = function() { return layers || []; };
+  this.destroy = sinon.spy();
+}
+
+eventEmitter(MockScene);
+
+// Mock stage.
+function MockStage() {
+  var layers = [];
+  this.listLayers = function() { return layers.slice(); };
+  this.addLayer = function(layer) { layers.push(layer); };
+  this.removeLayer = function(layer) { layers.splice(layers.indexOf(layer), 1); };
+  this.size = function() { return { width: 100, height: 100 }; };
+  this.domElement = function() { return null; };
+  this.destroy = sinon.spy();
+}
+
+eventEmitter(MockStage);
+
+// Stage whose images are loaded when the test says so. Stage is an abstract
+// class; see the Stage tests.
+function TestStage() {
+  var self = this;
+  this.constructor.super_.call(this, {});
+  this.validateLayer = sinon.stub();
+  this.setSizeForType = sinon.stub();
+  this.startFrame = sinon.stub();
+  this.endFrame = sinon.stub();
+  this.createRenderer = function() {
+    return { startLayer: noop, renderTile: noop, endLayer: noop };
+  };
+  this.destroyRenderer = sinon.stub();
+  this.registerRenderer('cube', 'rectilinear', function() {});
+  this.requestedUrls = [];
+  this._pendingImages = {};
+  this.loadImage = function(url, rect, done) {
+    self.requestedUrls.push(url);
+    self._pendingImages[url] = done;
+    return noop;
+  };
+  this.createTexture = cancelize(function(tile, asset, done) {
+    done(null, tile, asset, { destroy: noop });
+  });
+}
+
+inherits(TestStage, Stage);
+
+TestStage.prototype.finishImage = function(url) {
+  var done = this._pendingImages[url];
+  delete this._pendingImages[url];
+  done(null, new StaticAsset(document.createElement('canvas')));
+};
+
+function noop() {}
+
+// Layer displaying the given cube tiles, as a Stage expects it.
+function StageLayer(stage, source, view, tiles) {
+  var textureStore = new TextureStore(source, stage);
+  this.geometry = function() { return { type: 'cube' }; };
+  this.view = function() { return view; };
+  this.effects = function() { return {}; };
+  this.eye = function() { return null; };
+  this.depthStore = function() { return null; };
+  this.isProgressive = function() { return false; };
+  this.textureStore = function() { return textureStore; };
+  this.visibleTiles = function(result) {
+    Array.prototype.push.apply(result, tiles);
+    return result;
+  };
+  this.mergeEffects = noop;
+  this.pinFirstLevel = noop;
+  this.unpinFirstLevel = noop;
+}
+
+eventEmitter(StageLayer);
+
+// Creates a viewer with mock scenes and without a WebGL stage, which the test
+// environment may not provide. Only the state used by scene switching and by
+// the destructor is set up.
+function makeViewer(scenes) {
+  var viewer = Object.create(Viewer.prototype);
+  var noop = function() {};
+  viewer._domElement = { removeChild: noop };
+  viewer._stage = new MockStage();
+  viewer._renderLoop = { destroy: noop };
+  viewer._controls = { destroy: noop };
+  viewer._controlMethods = {};
+  viewer._dragCursor = { destroy: noop };
+  viewer._xrSession = null;
+  viewer._scenes = scenes.slice();
+  viewer._currentScene = null;
+  viewer._replacedScene = null;
+  viewer._cancelCurrentTween = null;
+  viewer._cancelPendingSwitch = null;
+  viewer._preloads = [];
+  viewer._layerChangeHandler = noop;
+  viewer._viewChangeHandler = noop;
+  viewer._updateSizeListener = noop;
+  viewer._releasePreloadsHandler = noop;
+  return viewer;
+}
+
+// Returns a promise resolved after pending timeouts have fired.
+function wait() {
+  return new global.Promise(function(resolve) {
+    setTimeout(resolve, 0);
+  });
+}
+
+function assertCancelled(promise) {
+  return promise.then(function() {
+    assert.fail('promise was resolved');
+  }, function(err) {
+    assert.instanceOf(err, CancelError);
+  });
+}
+
+suite('Viewer', function() {
+
+  // Replace requestAnimationFrame() with a fake, so that the transitions only
+  // progress when a frame is ticked. See the RenderLoop tests.
+  var realRequestAnimationFrame = window.requestAnimationFrame;
+
+  var frameCallbacks = [];
+
+  function tickFrame() {
+    var callbacks = frameCallbacks;
+    frameCallbacks = [];
+    for (var i = 0; i < callbacks.length; i++) {
+      callbacks[i]();
+    }
+  }
+
+  setup(function() {
+    frameCallbacks = [];
+    window.requestAnimationFrame = function(fn) {
+      frameCallbacks.push(fn);
+    };
+  });
+
+  teardown(function() {
+    window.requestAnimationFrame = realRequestAnimationFrame;
+  });
+
+  suite('switchSceneAsync', function() {
+
+    test('resolves when the transition finishes', function() {
+      var scene = new MockScene([new MockLayer()]);
+      var viewer = makeViewer([scene]);
+      var promise = viewer.switchSceneAsync(scene, { transitionDuration: 0 });
+      assert.strictEqual(viewer.scene(), scene);
+      tickFrame();
+      return promise.then(function(value) {
+        assert.isUndefined(value);
+        assert.lengthOf(viewer._stage.listLayers(), 1);
+      });
+    });
+
+    test('resolves after the scene is preloaded', function() {
+      var tile = new MockTile();
+      var layer = new MockLayer([tile]);
+      var scene = new MockScene([layer]);
+      var viewer = makeViewer([scene]);
+      var promise = viewer.switchSceneAsync(scene, {
+        transitionDuration: 0, waitForLevel: true
+      });
+      assert.isNull(viewer.scene());
+      layer.textureStore().emit('textureLoad', tile);
+      assert.strictEqual(viewer.scene(), scene);
+      tickFrame();
+      return promise;
+    });
+
+    test('rejects when superseded during the transition', function() {
+      var scene1 = new MockScene();
+      var scene2 = new MockScene();
+      var viewer = makeViewer([scene1, scene2]);
+      var first = viewer.switchSceneAsync(scene1);
+      var second = viewer.switchSceneAsync(scene2, { transitionDuration: 0 });
+      tickFrame();
+      return assertCancelled(first).then(function() {
+        return second;
+      }).then(function() {
+        assert.strictEqual(viewer.scene(), scene2);
+      });
+    });
+
+    test('rejects when superseded during the preload', function() {
+      var tile = new MockTile();
+      var layer = new MockLayer([tile]);
+      var scene1 = new MockScene([layer]);
+      var scene2 = new MockScene();
+      var viewer = makeViewer([scene1, scene2]);
+      var first = viewer.switchSceneAsync(scene1, { waitForLevel: true });
+      assert.isTrue(layer.textureStore().query(tile).pinned);
+      var second = viewer.switchSceneAsync(scene2, { transitionDuration: 0 });
+      assert.isFalse(layer.textureStore().query(tile).pinned);
+      tickFrame();
+      return assertCancelled(first).then(function() {
+        return second;
+      }).then(function() {
+        assert.strictEqual(viewer.scene(), scene2);
+      });
+    });
+
+    test('rejects when the scene is destroyed during the transition', function() {
+      var scene = new MockScene();
+      var viewer = makeViewer([scene]);
+      var promise = viewer.switchSceneAsync(scene);
+      viewer.destroyScene(scene);
+      return assertCancelled(promise);
+    });
+
+    test('rejects when the scene is destroyed during the preload', function() {
+      var scene = new MockScene([new MockLayer([new MockTile()])]);
+      var viewer = makeViewer([scene]);
+      var promise = viewer.switchSceneAsync(scene, { waitForLevel: true });
+      viewer.destroyScene(scene);
+      return assertCancelled(promise).then(function() {
+        assert.isNull(viewer.scene());
+      });
+    });
+
+    test('rejects when the viewer is destroyed during the preload', function() {
+      var scene = new MockScene([new MockLayer([new MockTile()])]);
+      var viewer = makeViewer([scene]);
+      var promise = viewer.switchSceneAsync(scene, { waitForLevel: true });
+      viewer.destroy();
+      return assertCancelled(promise);
+    });
+
+    test('rejects when the scene cannot be preloaded', function() {
+      var scene = new MockScene();
+      var viewer = makeViewer([]);
+      var promise = viewer.switchSceneAsync(scene, { waitForLevel: true });
+      return promise.then(function() {
+        assert.fail('promise was resolved');
+      }, function(err) {
+        assert.notInstanceOf(err, CancelError);
+        assert.isNull(viewer.scene());
+        assert.lengthOf(viewer._preloads, 0);
+      });
+    });
+
+    test('preloads ahead of less central tiles of the current scene', function() {
+      var stage = new TestStage();
+      stage.setSize({ width: 100, height: 100 });
+      var source = new ImageUrlSource(function(tile) {
+        return { url: tile.face };
+      }, { concurrency: 1 });
+      var geometry = new CubeGeometry([{ tileSize: 512, size: 512 }]);
+      function tile(face) {
+        return new CubeTile(face, 0, 0, 0, geometry);
+      }
+
+      // The current scene loads the tiles around its view.
+      var view1 = new RectilinearView({ yaw: 0, pitch: 0, fov: Math.PI/2 });
+      view1.setSize({ width: 100, height: 100 });
+      var scene1 = new MockScene([
+        new StageLayer(stage, source, view1, [tile('l'), tile('r'), tile('f')])
+      ]);
+
+      // The other scene is preloaded while looking up.
+      var view2 = new RectilinearView({ yaw: 0, pitch: -Math.PI/2, fov: Math.PI/2 });
+      view2.setSize({ width: 100, height: 100 });
+      var layer2 = new StageLayer(stage, source, view2, [tile('u')]);
+      var scene2 = new MockScene([layer2]);
+
+      var viewer = makeViewer([scene1, scene2]);
+      viewer._stage = stage;
+
+      viewer.switchScene(scene1, { transitionDuration: 0 });
+      tickFrame();
+      stage.render();
+
+      var promise;
+
+      // Loads start asynchronously, after the delay of each request and that
+      // of the group of requests for the same URL.
+      return wait().then(wait).then(function() {
+        assert.lengthOf(stage.requestedUrls, 1);
+        promise = viewer.switchSceneAsync(scene2, {
+          transitionDuration: 0, waitForLevel: true
+        });
+        assert.isNotNull(stage.tilePriority(tile('u')));
+        return wait();
+      }).then(function() {
+        // The preloaded tile is loaded before the side tiles of the current
+        // scene.
+        stage.finishImage(stage.requestedUrls[0]);
+        assert.lengthOf(stage.requestedUrls, 2);
+        assert.strictEqual(stage.requestedUrls[1], 'u');
+        stage.finishImage('u');
+        tickFrame();
+        return promise;
+      }).then(function() {
+        assert.strictEqual(viewer.scene(), scene2);
+      });
+    });
+
+  });
+
+  suite('switchScene', function() {
+
+    test('calls done without arguments when the transition finishes', function() {
+      var scene = new MockScene();
+      var viewer = makeViewer([scene]);
+      var done = sinon.spy();
+      viewer.switchScene(scene, { transitionDuration: 0 }, done);
+      tickFrame();
+      assert.isTrue(done.calledOnce);
+      assert.lengthOf(done.firstCall.args, 0);
+    });
+
+    test('calls done without arguments when superseded', function() {
+      var scene1 = new MockScene([new MockLayer([new MockTile()])]);
+      var scene2 = new MockScene();
+      var viewer = makeViewer([scene1, scene2]);
+      var first = sinon.spy();
+      var second = sinon.spy();
+      viewer.switchScene(scene1, { waitForLevel: true }, first);
+      viewer.switchScene(scene2, null, second);
+      viewer.switchScene(scene1, { transitionDuration: 0 });
+      tickFrame();
+      assert.isTrue(first.calledOnce);
+      assert.lengthOf(first.firstCall.args, 0);
+      assert.isTrue(second.calledOnce);
+      assert.lengthOf(second.firstCall.args, 0);
+    });
+
+    test('restores the views when a zoomThrough transition is interrupted', function() {
+      var clock = sinon.useFakeTimers({ toFake: ['performance', 'Date'] });
+      try {
+        var scene1 = new MockScene();
+        var scene2 = new MockScene();
+        var scene3 = new MockScene();
+        var view1 = new RectilinearView({ yaw: 0, pitch: 0, fov: 1.2 });
+        var view2 = new RectilinearView({ yaw: 0, pitch: 0, fov: 1 });
+        scene1.view = function() { return view1; };
+        scene2.view = function() { return view2; };
+        var viewer = makeViewer([scene1, scene2, scene3]);
+
+        viewer.switchScene(scene1, { transitionDuration: 0 });
+        tickFrame();
+
+        viewer.switchScene(scene2, {
+          transitionDuration: 1000,
+          transitionUpdate: transitions.zoomThrough({ zoom: 2 })
+        });
+        clock.tick(500);
+        tickFrame();
+        assert.closeTo(view1.fov(), 1.2 / 1.5, 1e-9);
+        assert.closeTo(view2.fov(), 1 / 1.5, 1e-9);
+
+        viewer.switchScene(scene3, { transitionDuration: 0 });
+        assert.closeTo(view1.fov(), 1.2, 1e-9);
+        assert.closeTo(view2.fov(), 1, 1e-9);
+      } finally {
+        clock.restore();
+      }
+    });
+
+    test('calls the cleanup of an interrupted transition', function() {
+      var scene1 = new MockScene();
+      var scene2 = new MockScene();
+      var scene3 = new MockScene();
+      var viewer = makeViewer([scene1, scene2, scene3]);
+
+      viewer.switchScene(scene1, { transitionDuration: 0 });
+      tickFrame();
+
+      var update = sinon.spy();
+      update.cleanup = sinon.spy();
+      viewer.switchScene(scene2, {
+        transitionDuration: 1000, transitionUpdate: update
+      });
+      assert.isTrue(update.calledOnceWith(0, scene2, scene1));
+
+      viewer.switchScene(scene3, { transitionDuration: 0 });
+      // The update function is not called with t=1 on interruption.
+      assert.isTrue(update.calledOnce);
+      assert.isTrue(update.cleanup.calledOnceWith(scene2, scene1));
+    });
+
+    test('interrupts a transition without cleanup', function() {
+      var scene1 = new MockScene();
+      var scene2 = new MockScene();
+      var viewer = makeViewer([scene1, scene2]);
+
+      var update = sinon.spy();
+      viewer.switchScene(scene1, {
+        transitionDuration: 1000, transitionUpdate: update
+      });
+      viewer.switchScene(scene2, { transitionDuration: 0 });
+      assert.isTrue(update.calledOnceWith(0, scene1));
+    });
+
+    test('calls done without arguments when the scene is destroyed', function() {
+      var scene = new MockScene([new MockLayer([new MockTile()])]);
+      var viewer = makeViewer([scene]);
+      var done = sinon.spy();
+      viewer.switchScene(scene, { waitForLevel: true }, done);
+      viewer.destroyScene(scene);
+      assert.isTrue(done.calledOnce);
+      assert.lengthOf(done.firstCall.args, 0);
+    });
+
+  });
+
+  suite('lookToAsync', function() {
+
+    test('rejects when there is no current scene', function() {
+      var viewer = makeViewer([]);
+      return viewer.lookToAsync({ yaw: 1 }).then(function() {
+        assert.fail('promise was resolved');
+      }, function(err) {
+        assert.notInstanceOf(err, CancelError);
+      });
+    });
+
+  });
+
+});
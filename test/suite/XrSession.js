@@ -0,0 +1,390 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+sinon.assert.expose(assert, {prefix: ''});
+
+var eventEmitter = require('minimal-event-emitter');
+var quat = require('gl-matrix').quat;
+
+var XrSession = require('../../src/XrSession');
+var XrView = require('../../src/views/Xr');
+var global = require('../../src/util/global');
+
+// A minimal implementation of the parts of WebXR used by XrSession, in the
+// manner of a WebXR emulator.
+
+function MockXrSystem() {
+  this.session = new MockXrSession();
+  this.isSessionSupported = sinon.stub().resolves(true);
+  this.requestSession = sinon.stub().resolves(this.session);
+}
+
+function MockXrSession() {
+  var self = this;
+  this.renderState = {};
+  this.inputSources = [];
+  this.referenceSpace = {};
+  this.updateRenderState = sinon.spy(function(state) {
+    self.renderState = state;
+  });
+  this.requestReferenceSpace = sinon.stub().resolves(this.referenceSpace);
+  this.requestAnimationFrame = sinon.spy(function(callback) {
+    self.frameCallback = callback;
+    return 1;
+  });
+  this.cancelAnimationFrame = sinon.spy();
+  this.end = sinon.spy(function() {
+    self.emit('end');
+  });
+}
+
+eventEmitter(MockXrSession);
+
+function MockXrWebGlLayer(session, gl) {
+  this.session = session;
+  this.gl = gl;
+  this.framebuffer = {};
+  this.framebufferWidth = 200;
+  this.framebufferHeight = 100;
+}
+
+MockXrWebGlLayer.prototype.getViewport = function(xrView) {
+  return xrView.eye === 'right' ?
+      { x: 100, y: 0, width: 100, height: 100 } :
+      { x: 0, y: 0, width: 100, height: 100 };
+};
+
+function orientation(yaw, pitch) {
+  var q = quat.create();
+  quat.rotateY(q, q, -yaw);
+  quat.rotateX(q, q, -pitch);
+  return { x: q[0], y: q[1], z: q[2], w: q[3] };
+}
+
+function mockFrame(yaw, pitch, position) {
+  var transform = {
+    orientation: orientation(yaw, pitch),
+    position: position || { x: 0, y: 0, z: 0 }
+  };
+  var projectionMatrix = new Float32Array([1,0,0,0, 0,1,0,0, 0,0,-1,-1, 0,0,-0.2,0]);
+  return {
+    getViewerPose: function() {
+      return {
+        transform: transform,
+        views: [
+          { eye: 'left', projectionMatrix: projectionMatrix, transform: transform },
+          { eye: 'right', projectionMatrix: projectionMatrix, transform: transform }
+        ]
+      };
+    },
+    getPose: function(space) {
+      var coords = space.coords;
+      return coords ? { transform: { orientation: orientation(coords.yaw, coords.pitch) } } : null;
+    }
+  };
+}
+
+function MockViewer(yaw, hotspots) {
+  var view = {
+    yaw: sinon.stub().returns(yaw),
+    setParameters: sinon.spy()
+  };
+  var stage = {
+    gl: { makeXRCompatible: sinon.stub().resolves() },
+    webGlContext: function() { return this.gl; },
+    setFramebuffer: sinon.spy(),
+    renderViews: sinon.spy()
+  };
+  var renderLoop = {
+    start: sinon.spy(),
+    stop: sinon.spy()
+  };
+  var scene = {
+    hotspotContainer: function() {
+      return { listHotspots: function() { return hotspots || []; } };
+    }
+  };
+  this.view = function() { return view; };
+  this.stage = function() { return stage; };
+  this.renderLoop = function() { return renderLoop; };
+  this.scene = function() { return scene; };
+}
+
+function mockHotspot(yaw, pitch) {
+  return {
+    _visible: true,
+    position: function() { return { yaw: yaw, pitch: pitch }; }
+  };
+}
+
+suite('XrSession', function() {
+
+  var originalXrWebGlLayer;
+
+  setup(function() {
+    originalXrWebGlLayer = global.XRWebGLLayer;
+    global.XRWebGLLayer = MockXrWebGlLayer;
+  });
+
+  teardown(function() {
+    if (originalXrWebGlLayer) {
+      global.XRWebGLLayer = originalXrWebGlLayer;
+    } else {
+      delete global.XRWebGLLayer;
+    }
+  });
+
+  function start(viewer, opts, done) {
+    var xr = new MockXrSystem();
+    opts = opts || {};
+    opts.xr = xr;
+    XrSession.start(viewer, opts, function(err, xrSession) {
+      assert.isNull(err);
+      done(xrSession, xr.session);
+    });
+  }
+
+  suite('start', function() {
+
+    test('starts a session', function(done) {
+      var viewer = new MockViewer(0);
+      var xr = new MockXrSystem();
+      XrSession.start(viewer, { xr: xr }, function(err, xrSession) {
+        assert.isNull(err);
+        assert.instanceOf(xrSession, XrSession);
+        assert.calledWith(xr.requestSession, 'immersive-vr');
+        assert.calledOnce(viewer.stage().gl.makeXRCompatible);
+        assert.instanceOf(xr.session.renderState.baseLayer, MockXrWebGlLayer);
+        assert.calledWith(xr.session.requestReferenceSpace, 'local');
+        assert.calledOnce(viewer.renderLoop().stop);
+        assert.calledOnce(xr.session.requestAnimationFrame);
+        done();
+      });
+    });
+
+    test('fails without WebXR', function() {
+      var viewer = new MockViewer(0);
+      var spy = sinon.spy();
+      XrSession.start(viewer, { xr: null }, spy);
+      assert.calledOnce(spy);
+      assert.instanceOf(spy.firstCall.args[0], Error);
+    });
+
+    test('fails when the session is refused', function(done) {
+      var viewer = new MockViewer(0);
+      var xr = new MockXrSystem();
+      var error = new Error('refused');
+      xr.requestSession.rejects(error);
+      XrSession.start(viewer, { xr: xr }, function(err, xrSession) {
+        assert.strictEqual(err, error);
+        assert.isUndefined(xrSession);
+        assert.notCalled(viewer.renderLoop().stop);
+        done();
+      });
+    });
+
+    test('ends the session when cancelled', function(done) {
+      var viewer = new MockViewer(0);
+      var xr = new MockXrSystem();
+      var spy = sinon.spy();
+      var cancel = XrSession.start(viewer, { xr: xr }, spy);
+      cancel('err');
+      assert.calledOnce(spy);
+      assert.calledWithExactly(spy, 'err');
+      setTimeout(function() {
+        assert.calledOnce(xr.session.end);
+        assert.calledOnce(spy);
+        assert.notCalled(viewer.renderLoop().stop);
+        done();
+      }, 10);
+    });
+
+  });
+
+  test('isSupported', function(done) {
+    var xr = new MockXrSystem();
+    XrSession.isSupported({ xr: xr }, function(err, supported) {
+      assert.isNull(err);
+      assert.isTrue(supported);
+      assert.calledWith(xr.isSessionSupported, 'immersive-vr');
+      done();
+    });
+  });
+
+  suite('rendering', function() {
+
+    test('renders each eye into its viewport', function(done) {
+      var viewer = new MockViewer(0);
+      start(viewer, {}, function(xrSession, session) {
+        var stage = viewer.stage();
+        session.frameCallback(0, mockFrame(0, 0));
+        assert.calledWith(stage.setFramebuffer, session.renderState.baseLayer.framebuffer,
+            { width: 200, height: 100 });
+        assert.calledOnce(stage.renderViews);
+        var passes = stage.renderViews.firstCall.args[0];
+        assert.lengthOf(passes, 2);
+        assert.instanceOf(passes[0].view, XrView);
+        assert.strictEqual(passes[0].eye, 'left');
+        assert.deepEqual(passes[0].rect, { x: 0, y: 0, width: 0.5, height: 1 });
+        assert.strictEqual(passes[1].eye, 'right');
+        assert.deepEqual(passes[1].rect, { x: 0.5, y: 0, width: 0.5, height: 1 });
+        assert.deepEqual(stage.renderViews.firstCall.args[1], { width: 200, height: 100 });
+        assert.calledTwice(session.requestAnimationFrame);
+        done();
+      });
+    });
+
+    test('does not render without a viewer pose', function(done) {
+      var viewer = new MockViewer(0);
+      start(viewer, {}, function(xrSession, session) {
+        session.frameCallback(0, { getViewerPose: function() { return null; } });
+        assert.notCalled(viewer.stage().renderViews);
+        assert.calledTwice(session.requestAnimationFrame);
+        done();
+      });
+    });
+
+    test('offsets the device yaw by the initial view yaw', function(done) {
+      var viewer = new MockViewer(1);
+      start(viewer, {}, function(xrSession, session) {
+        session.frameCallback(0, mockFrame(0.2, 0.3));
+        var gaze = xrSession.gaze();
+        assert.closeTo(gaze.yaw, 1.2, 1e-6);
+        assert.closeTo(gaze.pitch, 0.3, 1e-6);
+        done();
+      });
+    });
+
+    test('offsets the eyes by the device position', function(done) {
+      var viewer = new MockViewer(Math.PI/2);
+      start(viewer, {}, function(xrSession, session) {
+        // Moving forward on the device moves towards the initial view yaw.
+        session.frameCallback(0, mockFrame(0, 0, { x: 0, y: 0.5, z: -1 }));
+        var passes = viewer.stage().renderViews.firstCall.args[0];
+        var offset = passes[0].view.eyeOffset();
+        assert.closeTo(offset.x, 1, 1e-6);
+        assert.closeTo(offset.y, 0.5, 1e-6);
+        assert.closeTo(offset.z, 0, 1e-6);
+        done();
+      });
+    });
+
+  });
+
+  suite('hotspots', function() {
+
+    test('emits hover for the hotspot in the gaze', function(done) {
+      var hotspot = mockHotspot(1.5, 0.1);
+      var viewer = new MockViewer(1, [mockHotspot(0, 0), hotspot]);
+      start(viewer, {}, function(xrSession, session) {
+        var spy = sinon.spy();
+        xrSession.addEventListener('hotspotHover', spy);
+        session.frameCallback(0, mockFrame(0.5, 0.1));
+        assert.calledOnce(spy);
+        assert.calledWith(spy, hotspot);
+        assert.strictEqual(xrSession.hoveredHotspot(), hotspot);
+        session.frameCallback(0, mockFrame(0.51, 0.1));
+        assert.calledOnce(spy);
+        session.frameCallback(0, mockFrame(-0.5, 0));
+        assert.calledTwice(spy);
+        assert.calledWith(spy, null);
+        done();
+      });
+    });
+
+    test('ignores hidden hotspots', function(done) {
+      var hotspot = mockHotspot(0, 0);
+      hotspot._visible = false;
+      var viewer = new MockViewer(0, [hotspot]);
+      start(viewer, {}, function(xrSession, session) {
+        session.frameCallback(0, mockFrame(0, 0));
+        assert.isNull(xrSession.hoveredHotspot());
+        done();
+      });
+    });
+
+    test('prefers the controller ray over the gaze', function(done) {
+      var hotspot = mockHotspot(-1, 0);
+      var viewer = new MockViewer(0, [mockHotspot(0, 0), hotspot]);
+      start(viewer, {}, function(xrSession, session) {
+        var inputSource = { targetRayMode: 'tracked-pointer', targetRaySpace: { coords: { yaw: -1, pitch: 0 } } };
+        session.inputSources = [inputSource];
+        session.frameCallback(0, mockFrame(0, 0));
+        assert.strictEqual(xrSession.hoveredHotspot(), hotspot);
+        done();
+      });
+    });
+
+    test('emits select for the hotspot hit by the input ray', function(done) {
+      var hotspot = mockHotspot(0.5, 0);
+      var viewer = new MockViewer(0, [hotspot]);
+      start(viewer, { hotspotRadius: 0.1 }, function(xrSession, session) {
+        var spy = sinon.spy();
+        xrSession.addEventListener('hotspotSelect', spy);
+        var inputSource = { targetRayMode: 'tracked-pointer', targetRaySpace: { coords: { yaw: 0.55, pitch: 0 } } };
+        session.emit('select', { frame: mockFrame(0, 0), inputSource: inputSource });
+        assert.calledOnce(spy);
+        assert.calledWithExactly(spy, hotspot, inputSource);
+        inputSource.targetRaySpace.coords = { yaw: 0.7, pitch: 0 };
+        session.emit('select', { frame: mockFrame(0, 0), inputSource: inputSource });
+        assert.calledOnce(spy);
+        done();
+      });
+    });
+
+  });
+
+  suite('end', function() {
+
+    test('returns to rendering into the page', function(done) {
+      var viewer = new MockViewer(1);
+      start(viewer, {}, function(xrSession, session) {
+        var spy = sinon.spy();
+        xrSession.addEventListener('end', spy);
+        session.frameCallback(0, mockFrame(0.5, 0.2));
+        xrSession.end();
+        assert.calledOnce(session.end);
+        assert.calledOnce(spy);
+        assert.isTrue(xrSession.ended());
+        assert.calledWith(viewer.stage().setFramebuffer, null);
+        assert.calledWith(session.cancelAnimationFrame, 1);
+        assert.calledOnce(viewer.renderLoop().start);
+        var params = viewer.view().setParameters.firstCall.args[0];
+        assert.closeTo(params.yaw, 1.5, 1e-6);
+        assert.closeTo(params.pitch, 0.2, 1e-6);
+        done();
+      });
+    });
+
+    test('handles the session being ended by the device', function(done) {
+      var viewer = new MockViewer(0);
+      start(viewer, { syncView: false }, function(xrSession, session) {
+        var spy = sinon.spy();
+        xrSession.addEventListener('end', spy);
+        session.emit('end');
+        assert.calledOnce(spy);
+        assert.calledOnce(viewer.renderLoop().start);
+        assert.notCalled(viewer.view().setParameters);
+        done();
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,57 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+
+var HdrAsset = require('../../../src/assets/Hdr');
+
+function makeAsset(width, height) {
+  var data = new Float32Array(width * height * 4);
+  for (var i = 0; i < data.length; i++) {
+    data[i] = i;
+  }
+  return new HdrAsset({ width: width, height: height, data: data });
+}
+
+suite('HdrAsset', function() {
+
+  test('properties', function() {
+    var asset = makeAsset(4, 2);
+    assert.isNull(asset.element());
+    assert.strictEqual(asset.width(), 4);
+    assert.strictEqual(asset.height(), 2);
+    assert.strictEqual(asset.timestamp(), 0);
+    assert.isFalse(asset.isDynamic());
+    assert.lengthOf(asset.data(), 32);
+  });
+
+  test('invalid data', function() {
+    assert.throws(function() {
+      new HdrAsset({ width: 4, height: 2, data: new Float32Array(24) });
+    });
+  });
+
+  test('crop', function() {
+    var asset = makeAsset(4, 2);
+    var cropped = asset.crop({ x: 0.25, y: 0.5, width: 0.5, height: 0.5 });
+    assert.strictEqual(cropped.width(), 2);
+    assert.strictEqual(cropped.height(), 1);
+    assert.deepEqual(Array.prototype.slice.call(cropped.data()),
+        [20, 21, 22, 23, 24, 25, 26, 27]);
+  });
+
+});
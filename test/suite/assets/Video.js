@@ -0,0 +1,393 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+sinon.assert.expose(assert, {prefix: ''});
+
+var eventEmitter = require('minimal-event-emitter');
+
+var VideoAsset = require('../../../src/assets/Video');
+var global = require('../../../src/util/global');
+
+// A mock video element, whose frames are presented by calling presentFrame().
+function MockVideo(opts) {
+  opts = opts || {};
+  this.readyState = opts.readyState != null ? opts.readyState : 4;
+  this.videoWidth = opts.videoWidth || 200;
+  this.videoHeight = opts.videoHeight || 100;
+  this.currentTime = opts.currentTime || 0;
+  this.duration = opts.duration || 60;
+  this.paused = opts.paused != null ? opts.paused : true;
+  this.playbackRate = 1;
+  this.volume = 1;
+  this.muted = false;
+  this.error = null;
+  this._frameCallbacks = {};
+  this._nextHandle = 1;
+}
+
+eventEmitter(MockVideo);
+
+MockVideo.prototype.play = function() {
+  this.paused = false;
+  this.emit('play');
+  this.emit('playing');
+};
+
+MockVideo.prototype.pause = function() {
+  this.paused = true;
+  this.emit('pause');
+};
+
+MockVideo.prototype.requestVideoFrameCallback = function(fn) {
+  var handle = this._nextHandle++;
+  this._frameCallbacks[handle] = fn;
+  return handle;
+};
+
+MockVideo.prototype.cancelVideoFrameCallback = function(handle) {
+  delete this._frameCallbacks[handle];
+};
+
+MockVideo.prototype.presentFrame = function() {
+  var callbacks = this._frameCallbacks;
+  this._frameCallbacks = {};
+  for (var handle in callbacks) {
+    callbacks[handle]();
+  }
+};
+
+MockVideo.prototype.pendingFrameCallbacks = function() {
+  return Object.keys(this._frameCallbacks).length;
+};
+
+suite('VideoAsset', function() {
+
+  test('element', function() {
+    var video = new MockVideo();
+    var asset = new VideoAsset(video);
+    assert.strictEqual(asset.video(), video);
+    assert.strictEqual(asset.element(), video);
+  });
+
+  test('empty canvas until a frame is available', function() {
+    var video = new MockVideo({ readyState: 1 });
+    var asset = new VideoAsset(video);
+    assert.strictEqual(asset.element().width, 1);
+    assert.strictEqual(asset.element().height, 1);
+    assert.strictEqual(asset.width(), 1);
+    assert.strictEqual(asset.height(), 1);
+    video.readyState = 2;
+    assert.strictEqual(asset.element(), video);
+  });
+
+  test('width and height', function() {
+    var asset = new VideoAsset(new MockVideo({ videoWidth: 12, videoHeight: 34 }));
+    assert.strictEqual(asset.width(), 12);
+    assert.strictEqual(asset.height(), 34);
+  });
+
+  test('isDynamic', function() {
+    assert.isTrue(new VideoAsset().isDynamic());
+  });
+
+  test('timestamp changes only on new frames', function() {
+    var video = new MockVideo();
+    var asset = new VideoAsset(video);
+    var spy = sinon.spy();
+    asset.addEventListener('change', spy);
+
+    var timestamp = asset.timestamp();
+    assert.strictEqual(asset.timestamp(), timestamp);
+    assert.notCalled(spy);
+
+    video.presentFrame();
+    assert.strictEqual(asset.timestamp(), timestamp + 1);
+    assert.calledOnce(spy);
+
+    video.presentFrame();
+    assert.strictEqual(asset.timestamp(), timestamp + 2);
+    assert.calledTwice(spy);
+  });
+
+  suite('without requestVideoFrameCallback', function() {
+
+    var originalRequest;
+    var originalCancel;
+    var callbacks;
+
+    setup(function() {
+      originalRequest = global.requestAnimationFrame;
+      originalCancel = global.cancelAnimationFrame;
+      callbacks = [];
+      global.requestAnimationFrame = function(fn) {
+        callbacks.push(fn);
+        return callbacks.length;
+      };
+      global.cancelAnimationFrame = function(handle) {
+        callbacks[handle - 1] = null;
+      };
+    });
+
+    teardown(function() {
+      global.requestAnimationFrame = originalRequest;
+      global.cancelAnimationFrame = originalCancel;
+    });
+
+    function nextAnimationFrame() {
+      var fn = callbacks[callbacks.length - 1];
+      callbacks[callbacks.length - 1] = null;
+      if (fn) {
+        fn();
+      }
+    }
+
+    function createVideo() {
+      var video = new MockVideo();
+      video.requestVideoFrameCallback = null;
+      return video;
+    }
+
+    test('timestamp changes with the playback position', function() {
+      var video = createVideo();
+      var asset = new VideoAsset(video);
+      var timestamp = asset.timestamp();
+
+      nextAnimationFrame();
+      assert.strictEqual(asset.timestamp(), timestamp);
+
+      video.currentTime = 1;
+      nextAnimationFrame();
+      assert.strictEqual(asset.timestamp(), timestamp + 1);
+
+      nextAnimationFrame();
+      assert.strictEqual(asset.timestamp(), timestamp + 1);
+    });
+
+    test('timestamp changes when the first frame becomes available', function() {
+      var video = createVideo();
+      video.readyState = 1;
+      var asset = new VideoAsset(video);
+      var timestamp = asset.timestamp();
+
+      video.readyState = 2;
+      nextAnimationFrame();
+      assert.strictEqual(asset.timestamp(), timestamp + 1);
+    });
+
+    test('stops polling when destroyed', function() {
+      var asset = new VideoAsset(createVideo());
+      asset.destroy();
+      assert.isNull(callbacks[callbacks.length - 1]);
+    });
+
+  });
+
+  test('forwards video events', function() {
+    var video = new MockVideo();
+    var asset = new VideoAsset(video);
+    var spies = {};
+    ['play', 'pause', 'seek', 'timeUpdate', 'ended'].forEach(function(name) {
+      spies[name] = sinon.spy();
+      asset.addEventListener(name, spies[name]);
+    });
+
+    video.emit('play');
+    video.emit('pause');
+    video.emit('seeked');
+    video.emit('timeupdate');
+    video.emit('ended');
+
+    for (var name in spies) {
+      assert.calledOnce(spies[name]);
+    }
+  });
+
+  test('playback controls', function() {
+    var video = new MockVideo({ currentTime: 3, duration: 10 });
+    var asset = new VideoAsset(video);
+
+    assert.isTrue(asset.paused());
+    asset.play();
+    assert.isFalse(asset.paused());
+    asset.pause();
+    assert.isTrue(video.paused);
+
+    assert.strictEqual(asset.currentTime(), 3);
+    asset.seek(5);
+    assert.strictEqual(video.currentTime, 5);
+    assert.strictEqual(asset.duration(), 10);
+  });
+
+  test('set video', function() {
+    var video1 = new MockVideo();
+    var video2 = new MockVideo();
+    var asset = new VideoAsset(video1);
+    var changeSpy = sinon.spy();
+    var videoChangeSpy = sinon.spy();
+    var playSpy = sinon.spy();
+    asset.addEventListener('change', changeSpy);
+    asset.addEventListener('videoChange', videoChangeSpy);
+    asset.addEventListener('play', playSpy);
+
+    asset.setVideo(video2);
+
+    assert.strictEqual(asset.video(), video2);
+    assert.calledOnce(changeSpy);
+    assert.calledWith(videoChangeSpy, video2);
+
+    // The previous video is no longer being listened to.
+    assert.strictEqual(video1.pendingFrameCallbacks(), 0);
+    video1.emit('play');
+    assert.notCalled(playSpy);
+    video2.emit('play');
+    assert.calledOnce(playSpy);
+  });
+
+  suite('switch video', function() {
+
+    test('without a current video', function() {
+      var asset = new VideoAsset();
+      var video = new MockVideo();
+      var done = sinon.spy();
+      asset.switchVideo(video, done);
+      assert.strictEqual(asset.video(), video);
+      assert.calledWith(done, null);
+    });
+
+    test('while paused', function() {
+      var previous = new MockVideo({ currentTime: 7 });
+      var video = new MockVideo({ readyState: 0 });
+      var asset = new VideoAsset(previous);
+      var done = sinon.spy();
+
+      asset.switchVideo(video, done);
+
+      // The current video is displayed until the new one is ready.
+      video.readyState = 2;
+      video.emit('loadeddata');
+      assert.strictEqual(video.currentTime, 7);
+      assert.strictEqual(asset.video(), previous);
+
+      video.readyState = 3;
+      video.emit('seeked');
+      assert.strictEqual(asset.video(), video);
+      assert.isTrue(video.paused);
+      assert.calledOnce(done);
+      assert.calledWith(done, null);
+    });
+
+    test('while playing', function() {
+      var previous = new MockVideo({ currentTime: 7, paused: false });
+      previous.playbackRate = 2;
+      previous.muted = true;
+      var video = new MockVideo({ readyState: 2 });
+      var asset = new VideoAsset(previous, { syncLead: 0 });
+      var done = sinon.spy();
+
+      asset.switchVideo(video, done);
+
+      assert.strictEqual(video.currentTime, 7);
+      assert.strictEqual(video.playbackRate, 2);
+      assert.isTrue(video.muted);
+      assert.strictEqual(asset.video(), previous);
+
+      video.readyState = 3;
+      video.emit('seeked');
+      assert.strictEqual(asset.video(), video);
+      assert.isFalse(video.paused);
+      assert.isTrue(previous.paused);
+      assert.calledWith(done, null);
+    });
+
+    test('starts ahead of the current video', function() {
+      var clock = sinon.useFakeTimers();
+      try {
+        var previous = new MockVideo({ currentTime: 7, paused: false });
+        var video = new MockVideo({ readyState: 3 });
+        var asset = new VideoAsset(previous, { syncLead: 2 });
+        var done = sinon.spy();
+
+        asset.switchVideo(video, done);
+        assert.strictEqual(video.currentTime, 9);
+
+        previous.currentTime = 8;
+        video.emit('seeked');
+        assert.isTrue(video.paused);
+        assert.strictEqual(asset.video(), previous);
+
+        clock.tick(1000);
+        assert.isFalse(video.paused);
+        assert.strictEqual(asset.video(), video);
+        assert.calledWith(done, null);
+      } finally {
+        clock.restore();
+      }
+    });
+
+    test('error', function() {
+      var previous = new MockVideo();
+      var video = new MockVideo({ readyState: 0 });
+      var asset = new VideoAsset(previous);
+      var done = sinon.spy();
+
+      asset.switchVideo(video, done);
+      video.error = new Error('bad video');
+      video.emit('error');
+
+      assert.calledWith(done, video.error);
+      assert.strictEqual(asset.video(), previous);
+    });
+
+    test('cancel', function() {
+      var previous = new MockVideo();
+      var video = new MockVideo({ readyState: 0 });
+      var asset = new VideoAsset(previous);
+      var done = sinon.spy();
+
+      var cancel = asset.switchVideo(video, done);
+      cancel('err');
+      assert.calledWith(done, 'err');
+
+      video.readyState = 3;
+      video.emit('loadeddata');
+      video.emit('seeked');
+      assert.calledOnce(done);
+      assert.strictEqual(asset.video(), previous);
+    });
+
+    test('set video cancels switch', function() {
+      var video1 = new MockVideo();
+      var video2 = new MockVideo({ readyState: 0 });
+      var video3 = new MockVideo();
+      var asset = new VideoAsset(video1);
+      var done = sinon.spy();
+
+      asset.switchVideo(video2, done);
+      asset.setVideo(video3);
+      assert.calledOnce(done);
+
+      video2.readyState = 3;
+      video2.emit('loadeddata');
+      video2.emit('seeked');
+      assert.strictEqual(asset.video(), video3);
+    });
+
+  });
+
+});
@@ -277,6 +277,37 @@ suite('LruMap', function() {
 
   });
 
+  suite('oldestKey', function() {
+
+    test('empty', function() {
+      var map = new LruMap(4);
+      assert.isNull(map.oldestKey());
+    });
+
+    test('nonempty', function() {
+      var map = new LruMap(4);
+      var key1 = new Key(1);
+      var key2 = new Key(2);
+      map.set(key1, 'abc');
+      map.set(key2, 'xyz');
+      assert.strictEqual(map.oldestKey(), key1);
+      map.set(key1, 'def');
+      assert.strictEqual(map.oldestKey(), key2);
+    });
+
+    test('after wraparound', function() {
+      var map = new LruMap(2);
+      var key1 = new Key(1);
+      var key2 = new Key(2);
+      var key3 = new Key(3);
+      map.set(key1, 'abc');
+      map.set(key2, 'def');
+      map.set(key3, 'ghi');
+      assert.strictEqual(map.oldestKey(), key2);
+    });
+
+  });
+
   suite('clear', function() {
 
     test('clear', function() {
@@ -0,0 +1,159 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var PriorityWorkPool = require('../../../src/collections/PriorityWorkPool');
+
+var runTests = require('./WorkCommon');
+
+runTests('PriorityWorkPool', PriorityWorkPool);
+
+// A task that stays running until finished or cancelled by the test.
+function PendingTask(name, log) {
+  var self = this;
+  this.finish = null;
+  this.fn = function(done) {
+    log.push('start ' + name);
+    self.finish = done;
+    return function cancel() {
+      log.push('cancel ' + name);
+      done.apply(null, arguments);
+    };
+  };
+}
+
+function constant(value) {
+  return function() { return value; };
+}
+
+suite('PriorityWorkPool priorities', function() {
+
+  test('start tasks in priority order', function() {
+    var log = [];
+    var pool = new PriorityWorkPool({ concurrency: 1 });
+    var a = new PendingTask('a', log);
+    var b = new PendingTask('b', log);
+    var c = new PendingTask('c', log);
+    pool.push(a.fn, sinon.spy(), constant(0));
+    pool.push(b.fn, sinon.spy(), constant(0.5));
+    pool.push(c.fn, sinon.spy(), constant(0.2));
+    a.finish();
+    c.finish();
+    assert.deepEqual(log, ['start a', 'start c', 'start b']);
+  });
+
+  test('start tasks with equal priority in insertion order', function() {
+    var log = [];
+    var pool = new PriorityWorkPool({ concurrency: 1 });
+    var a = new PendingTask('a', log);
+    var b = new PendingTask('b', log);
+    var c = new PendingTask('c', log);
+    pool.push(a.fn, sinon.spy(), constant(1));
+    pool.push(b.fn, sinon.spy(), constant(1));
+    pool.push(c.fn, sinon.spy(), constant(1));
+    a.finish();
+    b.finish();
+    assert.deepEqual(log, ['start a', 'start b', 'start c']);
+  });
+
+  test('evaluate priorities when starting a task', function() {
+    var log = [];
+    var pool = new PriorityWorkPool({ concurrency: 1 });
+    var a = new PendingTask('a', log);
+    var b = new PendingTask('b', log);
+    var c = new PendingTask('c', log);
+    var priorityB = 0.1;
+    pool.push(a.fn, sinon.spy(), constant(0));
+    pool.push(b.fn, sinon.spy(), function() { return priorityB; });
+    pool.push(c.fn, sinon.spy(), constant(0.5));
+    priorityB = 0.9;
+    a.finish();
+    assert.deepEqual(log, ['start a', 'start c']);
+  });
+
+  test('demote outranked running task', function() {
+    var log = [];
+    var pool = new PriorityWorkPool({ concurrency: 1 });
+    var a = new PendingTask('a', log);
+    var b = new PendingTask('b', log);
+    var spyA = sinon.spy();
+    var spyB = sinon.spy();
+    pool.push(a.fn, spyA, constant(2));
+    pool.push(b.fn, spyB, constant(0));
+    assert.deepEqual(log, ['start a', 'cancel a', 'start b']);
+    assert.isTrue(spyA.notCalled);
+
+    b.finish('b');
+    assert.isTrue(spyB.calledWithExactly('b'));
+    assert.deepEqual(log, ['start a', 'cancel a', 'start b', 'start a']);
+
+    a.finish('a');
+    assert.isTrue(spyA.calledOnce);
+    assert.isTrue(spyA.calledWithExactly('a'));
+  });
+
+  test('do not demote within preemption threshold', function() {
+    var log = [];
+    var pool = new PriorityWorkPool({ concurrency: 1 });
+    var a = new PendingTask('a', log);
+    var b = new PendingTask('b', log);
+    pool.push(a.fn, sinon.spy(), constant(0.9));
+    pool.push(b.fn, sinon.spy(), constant(0.1));
+    assert.deepEqual(log, ['start a']);
+  });
+
+  test('demote upon reprioritization', function() {
+    var log = [];
+    var pool = new PriorityWorkPool({ concurrency: 1 });
+    var a = new PendingTask('a', log);
+    var b = new PendingTask('b', log);
+    var priorityA = 0;
+    pool.push(a.fn, sinon.spy(), function() { return priorityA; });
+    pool.push(b.fn, sinon.spy(), constant(1));
+    assert.deepEqual(log, ['start a']);
+    priorityA = Infinity;
+    pool.reprioritize();
+    assert.deepEqual(log, ['start a', 'cancel a', 'start b']);
+  });
+
+  test('do not demote tasks with infinite priority', function() {
+    var log = [];
+    var pool = new PriorityWorkPool({ concurrency: 1 });
+    var a = new PendingTask('a', log);
+    var b = new PendingTask('b', log);
+    pool.push(a.fn, sinon.spy(), constant(Infinity));
+    pool.push(b.fn, sinon.spy(), constant(Infinity));
+    assert.deepEqual(log, ['start a']);
+  });
+
+  test('cancel demoted task', function() {
+    var log = [];
+    var pool = new PriorityWorkPool({ concurrency: 1 });
+    var a = new PendingTask('a', log);
+    var b = new PendingTask('b', log);
+    var spyA = sinon.spy();
+    var cancelA = pool.push(a.fn, spyA, constant(2));
+    pool.push(b.fn, sinon.spy(), constant(0));
+    cancelA('err');
+    assert.isTrue(spyA.calledWithExactly('err'));
+    b.finish();
+    assert.deepEqual(log, ['start a', 'cancel a', 'start b']);
+  });
+
+});
@@ -16,6 +16,7 @@
 'use strict';
 
 var assert = require('chai').assert;
+var vec3 = require('gl-matrix').vec3;
 
 var Cube = require('../../../src/geometries/Cube');
 var CubeTile = Cube.Tile;
@@ -199,4 +200,43 @@ suite('CubeGeometry', function() {
 
   });
 
+
+  suite('tileAt', function() {
+
+    var cube = null;
+
+    setup(function() {
+      cube = new Cube([{ tileSize: 256, size: 256 }, { tileSize: 256, size: 1024 }]);
+    });
+
+    test('front face center', function() {
+      var result = cube.tileAt(vec3.fromValues(0, 0, -1), cube.levelList[1]);
+      assert.isTrue(result.tile.equals(new CubeTile('f', 2, 2, 1, cube)));
+      assert.closeTo(result.s, 0, 1e-6);
+      assert.closeTo(result.t, 0, 1e-6);
+    });
+
+    test('faces', function() {
+      var level = cube.levelList[0];
+      assert.strictEqual(cube.tileAt(vec3.fromValues(1, 0.2, 0.1), level).tile.face, 'r');
+      assert.strictEqual(cube.tileAt(vec3.fromValues(0.1, 1, 0.2), level).tile.face, 'u');
+      assert.strictEqual(cube.tileAt(vec3.fromValues(0.2, -0.1, 1), level).tile.face, 'b');
+    });
+
+    test('round trip through tile direction', function() {
+      var directions = [[0.3, 0.2, -0.9], [0.9, -0.4, 0.1], [-0.2, 0.95, 0.3], [0.1, -0.8, 0.6]];
+      for (var i = 0; i < directions.length; i++) {
+        var direction = vec3.normalize(vec3.create(), directions[i]);
+        var result = cube.tileAt(direction, cube.levelList[1]);
+        assert.isAtLeast(result.s, 0);
+        assert.isAtMost(result.s, 1);
+        assert.isAtLeast(result.t, 0);
+        assert.isAtMost(result.t, 1);
+        var back = result.tile.direction(result.s, result.t);
+        assert.closeTo(vec3.distance(back, direction), 0, 1e-6);
+      }
+    });
+
+  });
+
 });
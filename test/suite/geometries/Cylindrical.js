@@ -0,0 +1,66 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+
+var Cylindrical = require('../../../src/geometries/Cylindrical');
+var EquirectTile = Cylindrical.Tile;
+
+suite('CylindricalGeometry', function() {
+
+  test('type', function() {
+    var cylindrical = new Cylindrical([{ width: 1024 }]);
+    assert.strictEqual(cylindrical.type, 'cylindrical');
+  });
+
+  test('default coverage', function() {
+    var cylindrical = new Cylindrical([{ width: 1024 }]);
+    assert.deepEqual(cylindrical.coverage(), {
+      hfov: 2*Math.PI, vfov: Math.PI/2, yawOffset: 0, pitchOffset: 0
+    });
+  });
+
+  test('default level height', function() {
+    var cylindrical = new Cylindrical([{ width: 1024 }]);
+    // The image spans from -1 to 1 along a cylinder of unit radius.
+    assert.closeTo(cylindrical.levelList[0].height(), 1024 * 2 / (2*Math.PI), 1e-9);
+  });
+
+  test('coverage must not reach the poles', function() {
+    assert.throws(function() {
+      new Cylindrical([{ width: 1024 }], { vfov: Math.PI });
+    });
+    assert.throws(function() {
+      new Cylindrical([{ width: 1024 }], { vfov: Math.PI/2, pitchOffset: Math.PI/4 });
+    });
+  });
+
+  test('vertices are linear in the tangent of the pitch', function() {
+    var cylindrical = new Cylindrical([{ width: 4096, tileWidth: 1024, tileHeight: 326 }]);
+    var level = cylindrical.levelList[0];
+    var tile = new EquirectTile(0, cylindrical, 0, 0);
+    // The bottom edge of the top row of tiles.
+    var expectedTan = 1 - 2 * tile.height() / level.height();
+    var vertices = tile.vertices();
+    var last = vertices[vertices.length - 1];
+    var pitch = Math.asin(-last[1]);
+    assert.closeTo(Math.tan(-pitch), expectedTan, 1e-6);
+    // The top edge is at the top of the covered region.
+    assert.closeTo(Math.asin(vertices[0][1]), Math.PI/4, 1e-6);
+  });
+
+});
@@ -0,0 +1,289 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var vec3 = require('gl-matrix').vec3;
+
+var Equirect = require('../../../src/geometries/Equirect');
+var EquirectTile = Equirect.Tile;
+var RectilinearView = require('../../../src/views/Rectilinear');
+
+suite('EquirectGeometry', function() {
+
+  function containsTile(tileList, tile) {
+    for (var i = 0; i < tileList.length; i++) {
+      if (tileList[i].equals(tile)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  suite('single tile levels', function() {
+
+    var equirect = null;
+
+    setup(function() {
+      equirect = new Equirect([{ width: 1024 }, { width: 2048 }]);
+    });
+
+    test('tile covers the whole level', function() {
+      var tile = new EquirectTile(1, equirect);
+      assert.strictEqual(tile.x, 0);
+      assert.strictEqual(tile.y, 0);
+      assert.strictEqual(tile.width(), 2048);
+      assert.strictEqual(tile.height(), 1024);
+      assert.strictEqual(tile.centerX(), 0.5);
+      assert.strictEqual(tile.centerY(), 0.5);
+      assert.strictEqual(tile.scaleX(), 1);
+      assert.strictEqual(tile.scaleY(), 1);
+    });
+
+    test('parent and children', function() {
+      var tile = new EquirectTile(0, equirect);
+      assert.isNull(tile.parent());
+      var children = tile.children();
+      assert.lengthOf(children, 1);
+      assert.isTrue(children[0].equals(new EquirectTile(1, equirect)));
+      assert.isTrue(children[0].parent().equals(tile));
+    });
+
+    test('no neighbors', function() {
+      assert.lengthOf(new EquirectTile(0, equirect).neighbors(), 0);
+    });
+
+    test('visible tiles', function() {
+      var view = new RectilinearView({ width: 100, height: 100 });
+      var result = equirect.visibleTiles(view, equirect.levelList[1]);
+      assert.lengthOf(result, 1);
+      assert.isTrue(result[0].equals(new EquirectTile(1, equirect)));
+    });
+
+  });
+
+  suite('partial coverage', function() {
+
+    test('default coverage', function() {
+      var equirect = new Equirect([{ width: 1024 }]);
+      assert.deepEqual(equirect.coverage(), {
+        hfov: 2*Math.PI, vfov: Math.PI, yawOffset: 0, pitchOffset: 0
+      });
+      assert.strictEqual(equirect.levelList[0].height(), 512);
+    });
+
+    test('default level height', function() {
+      var equirect = new Equirect([{ width: 3000 }],
+          { hfov: 2*Math.PI, vfov: 2*Math.PI/3 });
+      assert.closeTo(equirect.levelList[0].height(), 1000, 1e-9);
+    });
+
+    test('explicit level height', function() {
+      var equirect = new Equirect([{ width: 3000, height: 1200 }],
+          { vfov: 2*Math.PI/3 });
+      assert.strictEqual(equirect.levelList[0].height(), 1200);
+    });
+
+    test('coverage must not extend past the poles', function() {
+      assert.throws(function() {
+        new Equirect([{ width: 1024 }], { vfov: Math.PI/2, pitchOffset: -Math.PI/3 });
+      });
+      assert.throws(function() {
+        new Equirect([{ width: 1024 }], { hfov: 3*Math.PI });
+      });
+    });
+
+    test('vertices lie inside the covered region', function() {
+      var equirect = new Equirect([{ width: 2048, tileWidth: 512 }],
+          { hfov: Math.PI, vfov: Math.PI/2, yawOffset: Math.PI/2, pitchOffset: -0.2 });
+      var tile = new EquirectTile(0, equirect, 0, 0);
+      tile.vertices().forEach(function(v) {
+        var yaw = Math.atan2(v[0], -v[2]);
+        var pitch = Math.asin(-v[1]);
+        assert.isAtLeast(yaw, -1e-6);
+        assert.isAtMost(yaw, Math.PI/2 + 1e-6);
+        assert.isAtLeast(pitch, -0.2 - Math.PI/4 - 1e-6);
+        assert.isAtMost(pitch, -0.2 + 1e-6);
+      });
+    });
+
+    test('visible tiles', function() {
+      var equirect = new Equirect([{ width: 2048, tileWidth: 512 }],
+          { hfov: Math.PI, vfov: Math.PI/2, yawOffset: Math.PI/2 });
+      var view = new RectilinearView({
+        width: 100, height: 100, yaw: 3*Math.PI/4 + 0.3, pitch: 0.3, fov: Math.PI/8
+      });
+      var result = equirect.visibleTiles(view, equirect.levelList[0]);
+      assert.lengthOf(result, 1);
+      assert.isTrue(result[0].equals(new EquirectTile(0, equirect, 3, 1)));
+    });
+
+  });
+
+  suite('tiled levels', function() {
+
+    var equirect = null;
+
+    setup(function() {
+      equirect = new Equirect([
+        { width: 1024 },
+        { width: 2048, tileWidth: 512 },
+        { width: 5000, tileWidth: 1024, tileHeight: 512 }
+      ]);
+    });
+
+    test('tile grid', function() {
+      var level = equirect.levelList[1];
+      assert.strictEqual(level.numHorizontalTiles(), 4);
+      assert.strictEqual(level.numVerticalTiles(), 2);
+      assert.lengthOf(equirect.levelTiles(level), 8);
+    });
+
+    test('tile position', function() {
+      var tile = new EquirectTile(1, equirect, 1, 0);
+      assert.strictEqual(tile.centerX(), 0.375);
+      assert.strictEqual(tile.centerY(), 0.75);
+      assert.strictEqual(tile.scaleX(), 0.25);
+      assert.strictEqual(tile.scaleY(), 0.5);
+    });
+
+    test('last row and column are smaller', function() {
+      var tile = new EquirectTile(2, equirect, 4, 4);
+      assert.strictEqual(tile.width(), 5000 - 4 * 1024);
+      assert.strictEqual(tile.height(), 2500 - 4 * 512);
+      assert.closeTo(tile.centerX() + tile.scaleX() / 2, 1, 1e-9);
+      assert.closeTo(tile.centerY() - tile.scaleY() / 2, 0, 1e-9);
+    });
+
+    test('distinct tiles', function() {
+      var tile1 = new EquirectTile(1, equirect, 1, 0);
+      var tile2 = new EquirectTile(1, equirect, 0, 1);
+      assert.isFalse(tile1.equals(tile2));
+      assert.isTrue(tile1.equals(new EquirectTile(1, equirect, 1, 0)));
+    });
+
+    test('parent', function() {
+      var tile = new EquirectTile(2, equirect, 3, 2);
+      assert.isTrue(tile.parent().equals(new EquirectTile(1, equirect, 2, 1)));
+      assert.isTrue(new EquirectTile(1, equirect, 3, 1).parent().equals(
+          new EquirectTile(0, equirect)));
+    });
+
+    test('children', function() {
+      var children = new EquirectTile(1, equirect, 1, 1).children();
+      assert.lengthOf(children, 6);
+      for (var x = 1; x <= 2; x++) {
+        for (var y = 2; y <= 4; y++) {
+          assert.isTrue(containsTile(children, new EquirectTile(2, equirect, x, y)));
+        }
+      }
+    });
+
+    test('neighbors wrap around horizontally', function() {
+      var neighbors = new EquirectTile(1, equirect, 0, 0).neighbors();
+      assert.lengthOf(neighbors, 3);
+      assert.isTrue(containsTile(neighbors, new EquirectTile(1, equirect, 1, 0)));
+      assert.isTrue(containsTile(neighbors, new EquirectTile(1, equirect, 3, 0)));
+      assert.isTrue(containsTile(neighbors, new EquirectTile(1, equirect, 0, 1)));
+    });
+
+    test('vertices lie on the tile boundary', function() {
+      var vertices = new EquirectTile(1, equirect, 2, 0).vertices();
+      // The tile spans from the front to the right and from the top pole to
+      // the horizon.
+      var found = { front: false, right: false, pole: false };
+      vertices.forEach(function(v) {
+        assert.closeTo(v[0] * v[0] + v[1] * v[1] + v[2] * v[2], 1, 1e-6);
+        assert.isAtLeast(v[0], -1e-6);
+        assert.isAtLeast(v[1], -1e-6);
+        if (Math.abs(v[2] + 1) < 1e-6) { found.front = true; }
+        if (Math.abs(v[0] - 1) < 1e-6) { found.right = true; }
+        if (Math.abs(v[1] - 1) < 1e-6) { found.pole = true; }
+      });
+      assert.deepEqual(found, { front: true, right: true, pole: true });
+    });
+
+    test('visible tiles looking forward', function() {
+      var view = new RectilinearView({
+        width: 100, height: 100, yaw: 0.5, pitch: -0.5, fov: Math.PI / 8
+      });
+      var result = equirect.visibleTiles(view, equirect.levelList[1]);
+      assert.isTrue(containsTile(result, new EquirectTile(1, equirect, 2, 0)));
+      assert.isFalse(containsTile(result, new EquirectTile(1, equirect, 0, 0)));
+      for (var x = 0; x < 4; x++) {
+        assert.isFalse(containsTile(result, new EquirectTile(1, equirect, x, 1)));
+      }
+    });
+
+    test('visible tiles across the seam', function() {
+      var view = new RectilinearView({
+        width: 100, height: 100, yaw: Math.PI, pitch: 0, fov: Math.PI / 4
+      });
+      var result = equirect.visibleTiles(view, equirect.levelList[1]);
+      assert.lengthOf(result, 4);
+      assert.isTrue(containsTile(result, new EquirectTile(1, equirect, 0, 0)));
+      assert.isTrue(containsTile(result, new EquirectTile(1, equirect, 3, 0)));
+      assert.isTrue(containsTile(result, new EquirectTile(1, equirect, 0, 1)));
+      assert.isTrue(containsTile(result, new EquirectTile(1, equirect, 3, 1)));
+    });
+
+    test('no visible tiles for empty viewport', function() {
+      var view = new RectilinearView({ width: 0, height: 0 });
+      assert.lengthOf(equirect.visibleTiles(view, equirect.levelList[1]), 0);
+    });
+
+  });
+
+
+  suite('tileAt', function() {
+
+    test('round trip through tile direction', function() {
+      var equirect = new Equirect([{ width: 2048, tileWidth: 512 }]);
+      var directions = [[0.3, 0.2, -0.9], [0.9, -0.4, 0.1], [-0.2, 0.95, 0.3], [-0.1, -0.8, 0.6]];
+      for (var i = 0; i < directions.length; i++) {
+        var direction = vec3.normalize(vec3.create(), directions[i]);
+        var result = equirect.tileAt(direction, equirect.levelList[0]);
+        assert.isAtLeast(result.s, 0);
+        assert.isAtMost(result.s, 1);
+        assert.isAtLeast(result.t, 0);
+        assert.isAtMost(result.t, 1);
+        var back = result.tile.direction(result.s, result.t);
+        assert.closeTo(vec3.distance(back, direction), 0, 1e-6);
+      }
+    });
+
+    test('tile and position', function() {
+      var equirect = new Equirect([{ width: 2048, tileWidth: 512 }]);
+      // Yaw π/4 and pitch π/4 point into the center of the third tile in the
+      // bottom row.
+      var direction = vec3.fromValues(0.5, -Math.SQRT1_2, -0.5);
+      var result = equirect.tileAt(direction, equirect.levelList[0]);
+      assert.isTrue(result.tile.equals(new EquirectTile(0, equirect, 2, 1)));
+      assert.closeTo(result.s, 0.5, 1e-6);
+      assert.closeTo(result.t, 0.5, 1e-6);
+    });
+
+    test('outside the covered region', function() {
+      var equirect = new Equirect([{ width: 2048, tileWidth: 512 }],
+          { hfov: Math.PI, vfov: Math.PI/2 });
+      assert.isNull(equirect.tileAt(vec3.fromValues(0, 0, 1), equirect.levelList[0]));
+      assert.isNull(equirect.tileAt(vec3.fromValues(0, 1, 0), equirect.levelList[0]));
+      assert.isNotNull(equirect.tileAt(vec3.fromValues(0, 0, -1), equirect.levelList[0]));
+    });
+
+  });
+
+});
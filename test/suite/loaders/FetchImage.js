@@ -0,0 +1,217 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var FetchImageLoader = require('../../../src/loaders/FetchImage');
+var NetworkError = require('../../../src/NetworkError');
+var NotFoundError = require('../../../src/NotFoundError');
+var ForbiddenError = require('../../../src/ForbiddenError');
+var ServerError = require('../../../src/ServerError');
+var global = require('../../../src/util/global');
+
+function createTestImageData(width, height, pixels) {
+  var data = [];
+  for (var i = 0; i < pixels.length; i++) {
+    for (var j = 0; j < pixels[i].length; j++) {
+      data.push(pixels[i][j]);
+    }
+  }
+  return new ImageData(new Uint8ClampedArray(data), width, height);
+}
+
+function imageDataToUrl(imageData) {
+  var canvas = document.createElement('canvas');
+  canvas.width = imageData.width;
+  canvas.height = imageData.height;
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  return canvas.toDataURL('image/png');
+}
+
+function assetToImageData(asset) {
+  var canvas = document.createElement('canvas');
+  canvas.width = asset.width();
+  canvas.height = asset.height();
+  var ctx = canvas.getContext('2d');
+  // Undo the y-flip done by createImageBitmap.
+  ctx.scale(1, -1);
+  ctx.drawImage(asset.element(), 0, -canvas.height, canvas.width, canvas.height);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+var R = [255, 0, 0, 255];
+var G = [0, 255, 0, 255];
+var B = [0, 0, 255, 255];
+var Y = [255, 255, 0, 255];
+
+function testLoad(inputPixels, rect, outputPixels, done) {
+  var inputImageData = createTestImageData(4, 4, inputPixels);
+  var outputImageData = createTestImageData(
+      4 * (rect ? rect.width : 1), 4 * (rect ? rect.height : 1), outputPixels);
+
+  var loader = new FetchImageLoader();
+
+  loader.loadImage(imageDataToUrl(inputImageData), rect, function(err, asset) {
+    assert.isNull(err);
+    assert.deepEqual(assetToImageData(asset), outputImageData);
+    done();
+  });
+}
+
+var fullPixels = [R, R, G, G, R, R, G, G, B, B, Y, Y, B, B, Y, Y];
+
+suite('FetchImageLoader', function() {
+
+  suite('decoding', function() {
+
+    test('no rect', function(done) {
+      testLoad(fullPixels, null, fullPixels, done);
+    });
+
+    test('bottom half rect', function(done) {
+      testLoad(fullPixels, {x: 0, y: 0.5, width: 1, height: 0.5},
+          [B, B, Y, Y, B, B, Y, Y], done);
+    });
+
+    test('quarter rect', function(done) {
+      testLoad(fullPixels, {x: 0.25, y: 0.25, width: 0.5, height: 0.5},
+          [R, G, B, Y], done);
+    });
+
+  });
+
+  suite('requests', function() {
+
+    var fetch;
+
+    setup(function() {
+      fetch = sinon.stub(global, 'fetch');
+    });
+
+    teardown(function() {
+      fetch.restore();
+    });
+
+    test('request options', function() {
+      fetch.returns(new global.Promise(function() {}));
+
+      var loader = new FetchImageLoader(null, {
+        credentials: 'include',
+        headers: { 'X-Foo': 'bar' }
+      });
+      loader.loadImage('url', null, function() {});
+
+      assert.isTrue(fetch.calledOnce);
+      assert.strictEqual(fetch.firstCall.args[0], 'url');
+      var init = fetch.firstCall.args[1];
+      assert.strictEqual(init.credentials, 'include');
+      assert.deepEqual(init.headers, { 'X-Foo': 'bar' });
+    });
+
+    test('keeps response body', function(done) {
+      var blob = { size: 1 };
+      var bitmap = { width: 4, height: 4, close: sinon.spy() };
+      fetch.resolves({ ok: true, blob: sinon.stub().resolves(blob) });
+
+      var originalImageBitmap = global.ImageBitmap;
+      var originalCreateImageBitmap = global.createImageBitmap;
+      global.ImageBitmap = bitmap.constructor;
+      global.createImageBitmap = sinon.stub().resolves(bitmap);
+
+      var loader = new FetchImageLoader();
+      loader.loadImage('url', { x: 0, y: 0.5, width: 1, height: 0.5 }, function(err, asset) {
+        global.ImageBitmap = originalImageBitmap;
+        global.createImageBitmap = originalCreateImageBitmap;
+        assert.isNull(err);
+        assert.strictEqual(asset.blob(), blob);
+        assert.deepEqual(asset.rect(), { x: 0, y: 0.5, width: 1, height: 0.5 });
+        done();
+      });
+    });
+
+    function testHttpError(status, ErrorClass, done) {
+      fetch.resolves({ ok: false, status: status });
+
+      var loader = new FetchImageLoader();
+      loader.loadImage('url', null, function(err, asset) {
+        assert.instanceOf(err, ErrorClass);
+        assert.instanceOf(err, NetworkError);
+        assert.strictEqual(err.status, status);
+        assert.isUndefined(asset);
+        done();
+      });
+    }
+
+    test('not found', function(done) {
+      testHttpError(404, NotFoundError, done);
+    });
+
+    test('forbidden', function(done) {
+      testHttpError(403, ForbiddenError, done);
+    });
+
+    test('server error', function(done) {
+      testHttpError(503, ServerError, done);
+    });
+
+    test('other http error', function(done) {
+      testHttpError(429, NetworkError, done);
+    });
+
+    test('network error', function(done) {
+      fetch.rejects(new TypeError('Failed to fetch'));
+
+      var loader = new FetchImageLoader();
+      loader.loadImage('url', null, function(err, asset) {
+        assert.instanceOf(err, NetworkError);
+        assert.isNull(err.status);
+        assert.isUndefined(asset);
+        done();
+      });
+    });
+
+    test('cancel', function(done) {
+      var signal;
+      fetch.callsFake(function(url, init) {
+        signal = init.signal;
+        return new global.Promise(function(resolve, reject) {
+          signal.addEventListener('abort', function() {
+            reject(new Error('aborted'));
+          });
+        });
+      });
+
+      var loader = new FetchImageLoader();
+      var spy = sinon.spy();
+      var cancel = loader.loadImage('url', null, spy);
+      cancel('err', 'foo');
+
+      assert.isTrue(signal.aborted);
+      assert.isTrue(spy.calledOnce);
+      assert.isTrue(spy.calledWithExactly('err', 'foo'));
+
+      // Make sure the aborted request does not call back again.
+      setTimeout(function() {
+        assert.isTrue(spy.calledOnce);
+        done();
+      }, 10);
+    });
+
+  });
+
+});
@@ -0,0 +1,528 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var HdrLoader = require('../../../src/loaders/Hdr');
+var radianceFormat = require('../../../src/loaders/radianceFormat');
+var exrFormat = require('../../../src/loaders/exrFormat');
+var HdrAsset = require('../../../src/assets/Hdr');
+var DecodeError = require('../../../src/DecodeError');
+var toHalf = require('../../../src/util/halfFloat').toHalf;
+var global = require('../../../src/util/global');
+
+function stringBytes(str) {
+  var bytes = [];
+  for (var i = 0; i < str.length; i++) {
+    bytes.push(str.charCodeAt(i));
+  }
+  return bytes;
+}
+
+function toBuffer(bytes) {
+  return new Uint8Array(bytes).buffer;
+}
+
+// Builds a Radiance file from a list of RGBE pixels for each row, from top to
+// bottom. Scanlines are run-length encoded if requested.
+function makeRadiance(rows, opts) {
+  opts = opts || {};
+  var height = rows.length;
+  var width = rows[0].length;
+  var bytes = stringBytes('#?RADIANCE\nFORMAT=' +
+      (opts.format || '32-bit_rle_rgbe') + '\n\n' +
+      (opts.bottomToTop ? '+Y ' : '-Y ') + height + ' +X ' + width + '\n');
+
+  var order = rows.slice();
+  if (opts.bottomToTop) {
+    order.reverse();
+  }
+
+  order.forEach(function(row) {
+    if (!opts.rle) {
+      row.forEach(function(pixel) {
+        bytes.push.apply(bytes, pixel);
+      });
+      return;
+    }
+    bytes.push(2, 2, width >> 8, width & 0xff);
+    for (var c = 0; c < 4; c++) {
+      // Encode the first value as a run of its own, and the rest literally.
+      bytes.push(129, row[0][c], width - 1);
+      for (var x = 1; x < width; x++) {
+        bytes.push(row[x][c]);
+      }
+    }
+  });
+
+  return toBuffer(bytes);
+}
+
+var HALF = 1;
+var FLOAT = 2;
+
+// Applies the transformations undone by the decoder before RLE and ZIP
+// compression: the separation of the odd and even bytes, and a delta encoding.
+function predict(bytes) {
+  var half = (bytes.length + 1) >> 1;
+  var result = new Uint8Array(bytes.length);
+  for (var i = 0; i < bytes.length; i++) {
+    result[i % 2 ? half + (i >> 1) : i >> 1] = bytes[i];
+  }
+  for (var j = result.length - 1; j > 0; j--) {
+    result[j] = (result[j] - result[j - 1] + 128) & 0xff;
+  }
+  return result;
+}
+
+// A simple RLE encoder, using runs for repeated values and literal sequences
+// otherwise.
+function encodeRle(bytes) {
+  var result = [];
+  var i = 0;
+  while (i < bytes.length) {
+    var run = 1;
+    while (i + run < bytes.length && bytes[i + run] === bytes[i] && run < 128) {
+      run++;
+    }
+    if (run > 2) {
+      result.push(run - 1, bytes[i]);
+      i += run;
+    } else {
+      var count = Math.min(run, 127);
+      result.push(256 - count);
+      for (var k = 0; k < count; k++) {
+        result.push(bytes[i + k]);
+      }
+      i += count;
+    }
+  }
+  return new Uint8Array(result);
+}
+
+function deflate(bytes) {
+  var stream = new global.Blob([bytes]).stream()
+      .pipeThrough(new global.CompressionStream('deflate'));
+  return new global.Response(stream).arrayBuffer().then(function(buffer) {
+    return new Uint8Array(buffer);
+  });
+}
+
+function attribute(name, type, value) {
+  return stringBytes(name + '\0' + type + '\0')
+      .concat(int32(value.length), value);
+}
+
+function int32(value) {
+  var bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setInt32(0, value, true);
+  return Array.prototype.slice.call(bytes);
+}
+
+// Builds an OpenEXR file. The pixel callback returns the value of a channel at
+// the given position. Chunks are compressed with the given function, returning
+// a promise if asynchronous, and stored uncompressed when no smaller.
+function makeExr(opts, done) {
+  var width = opts.width;
+  var height = opts.height;
+  var channels = opts.channels;
+  var compression = opts.compression || 0;
+  var linesPerChunk = compression === 3 ? 16 : 1;
+
+  // Channels are stored in alphabetical order.
+  var sortedChannels = channels.slice().sort(function(a, b) {
+    return a.name < b.name ? -1 : 1;
+  });
+  var channelBytes = [];
+  sortedChannels.forEach(function(channel) {
+    channelBytes = channelBytes.concat(stringBytes(channel.name + '\0'),
+        int32(channel.type), [0, 0, 0, 0], int32(1), int32(1));
+  });
+  channelBytes.push(0);
+
+  var header = [0x76, 0x2f, 0x31, 0x01].concat(int32(opts.version || 2),
+      attribute('channels', 'chlist', channelBytes),
+      attribute('compression', 'compression', [compression]),
+      attribute('dataWindow', 'box2i',
+          int32(0).concat(int32(0), int32(width - 1), int32(height - 1))),
+      [0]);
+
+  var chunkCount = Math.ceil(height / linesPerChunk);
+  var chunks = [];
+  for (var chunk = 0; chunk < chunkCount; chunk++) {
+    var firstLine = chunk * linesPerChunk;
+    var lineCount = Math.min(linesPerChunk, height - firstLine);
+    var raw = [];
+    for (var y = firstLine; y < firstLine + lineCount; y++) {
+      for (var c = 0; c < sortedChannels.length; c++) {
+        var channel = sortedChannels[c];
+        for (var x = 0; x < width; x++) {
+          var value = opts.pixel(channel.name, x, y);
+          var sample = new Uint8Array(channel.type === HALF ? 2 : 4);
+          var view = new DataView(sample.buffer);
+          if (channel.type === HALF) {
+            view.setUint16(0, toHalf(value), true);
+          } else if (channel.type === FLOAT) {
+            view.setFloat32(0, value, true);
+          } else {
+            view.setUint32(0, value, true);
+          }
+          raw.push.apply(raw, sample);
+        }
+      }
+    }
+    chunks.push(new Uint8Array(raw));
+  }
+
+  var compress = opts.compress || function(bytes) { return bytes; };
+  global.Promise.all(chunks.map(function(raw) {
+    return global.Promise.resolve(compress(raw)).then(function(compressed) {
+      return compressed.length < raw.length ? compressed : raw;
+    });
+  })).then(function(compressedChunks) {
+    var bytes = header.slice();
+    var offset = header.length + 8 * chunkCount;
+    var table = [];
+    var data = [];
+    compressedChunks.forEach(function(compressed, i) {
+      table = table.concat(int32(offset), int32(0));
+      data = data.concat(int32(i * linesPerChunk), int32(compressed.length),
+          Array.prototype.slice.call(compressed));
+      offset += 8 + compressed.length;
+    });
+    done(toBuffer(bytes.concat(table, data)));
+  });
+}
+
+// Returns the pixel values of a test image, with channels holding distinct
+// values that can be exactly represented as half floats.
+function testPixel(channel, x, y) {
+  var base = { R: 0.5, G: 2, B: 4, A: 0.25, Y: 8 }[channel];
+  return base * (y + 1) + x / 4;
+}
+
+function assertTestPixels(image, channels) {
+  for (var y = 0; y < image.height; y++) {
+    for (var x = 0; x < image.width; x++) {
+      var index = (y * image.width + x) * 4;
+      var actual = Array.prototype.slice.call(image.data, index, index + 4);
+      var expected;
+      if (channels === 'Y') {
+        var lum = testPixel('Y', x, y);
+        expected = [lum, lum, lum, 1];
+      } else {
+        expected = [testPixel('R', x, y), testPixel('G', x, y),
+                    testPixel('B', x, y),
+                    channels === 'RGBA' ? testPixel('A', x, y) : 1];
+      }
+      assert.deepEqual(actual, expected, 'pixel ' + x + ',' + y);
+    }
+  }
+}
+
+var rgbChannels = [
+  { name: 'R', type: HALF }, { name: 'G', type: HALF }, { name: 'B', type: HALF }
+];
+
+suite('radianceFormat', function() {
+
+  var rows = [
+    [[128, 64, 32, 129], [0, 0, 0, 0], [255, 255, 255, 128],
+     [128, 128, 128, 130], [1, 2, 3, 136], [128, 0, 0, 129],
+     [0, 128, 0, 129], [0, 0, 128, 129]],
+    [[64, 64, 64, 128], [128, 64, 32, 129], [0, 0, 0, 0],
+     [255, 0, 255, 120], [1, 1, 1, 136], [128, 0, 0, 129],
+     [0, 128, 0, 129], [0, 0, 128, 129]]
+  ];
+
+  function decoded(rgbe) {
+    if (!rgbe[3]) {
+      return [0, 0, 0, 1];
+    }
+    var scale = Math.pow(2, rgbe[3] - 136);
+    return [(rgbe[0] + 0.5) * scale, (rgbe[1] + 0.5) * scale,
+            (rgbe[2] + 0.5) * scale, 1];
+  }
+
+  function assertRows(image) {
+    assert.strictEqual(image.width, 8);
+    assert.strictEqual(image.height, 2);
+    for (var y = 0; y < 2; y++) {
+      for (var x = 0; x < 8; x++) {
+        var index = (y * 8 + x) * 4;
+        assert.deepEqual(
+            Array.prototype.slice.call(image.data, index, index + 4),
+            decoded(rows[y][x]));
+      }
+    }
+  }
+
+  test('isRadiance', function() {
+    assert.isTrue(radianceFormat.isRadiance(makeRadiance(rows)));
+    assert.isFalse(radianceFormat.isRadiance(toBuffer([0x23])));
+    assert.isFalse(radianceFormat.isRadiance(toBuffer([0x76, 0x2f, 0x31, 0x01])));
+  });
+
+  test('flat scanlines', function() {
+    assertRows(radianceFormat.parse(makeRadiance(rows)));
+  });
+
+  test('run-length encoded scanlines', function() {
+    assertRows(radianceFormat.parse(makeRadiance(rows, {rle: true})));
+  });
+
+  test('bottom to top', function() {
+    assertRows(radianceFormat.parse(makeRadiance(rows, {bottomToTop: true})));
+  });
+
+  test('unsupported pixel format', function() {
+    assert.throws(function() {
+      radianceFormat.parse(makeRadiance(rows, {format: '32-bit_rle_xyze'}));
+    }, /Unsupported Radiance pixel format/);
+  });
+
+  test('truncated', function() {
+    var buffer = makeRadiance(rows);
+    assert.throws(function() {
+      radianceFormat.parse(buffer.slice(0, buffer.byteLength - 1));
+    }, /Truncated/);
+  });
+
+  test('encodeRgbe', function() {
+    var data = new Float32Array([
+      1, 0.5, 0.25, 1,
+      0, 0, 0, 1,
+      100, 3, 0, 1
+    ]);
+    var result = radianceFormat.encodeRgbe(data);
+    assert.deepEqual(Array.prototype.slice.call(result), [
+      128, 64, 32, 129,
+      0, 0, 0, 0,
+      200, 6, 0, 135
+    ]);
+  });
+
+});
+
+suite('exrFormat', function() {
+
+  function testParse(opts, channels, done) {
+    makeExr(opts, function(buffer) {
+      assert.isTrue(exrFormat.isExr(buffer));
+      exrFormat.parse(buffer, function(err, image) {
+        assert.isNull(err);
+        assert.strictEqual(image.width, opts.width);
+        assert.strictEqual(image.height, opts.height);
+        assertTestPixels(image, channels);
+        done();
+      });
+    });
+  }
+
+  test('isExr', function() {
+    assert.isFalse(exrFormat.isExr(makeRadiance([[[0, 0, 0, 0]]])));
+    assert.isFalse(exrFormat.isExr(toBuffer([0x76, 0x2f])));
+  });
+
+  test('uncompressed half float', function(done) {
+    testParse({width: 3, height: 2, channels: rgbChannels, pixel: testPixel},
+        'RGB', done);
+  });
+
+  test('float and alpha channels', function(done) {
+    testParse({width: 2, height: 3, pixel: testPixel, channels: [
+      { name: 'R', type: FLOAT }, { name: 'G', type: HALF },
+      { name: 'B', type: FLOAT }, { name: 'A', type: HALF }
+    ]}, 'RGBA', done);
+  });
+
+  test('luminance channel', function(done) {
+    testParse({width: 2, height: 2, pixel: testPixel,
+               channels: [{ name: 'Y', type: HALF }]}, 'Y', done);
+  });
+
+  test('other channels are ignored', function(done) {
+    testParse({width: 2, height: 2, pixel: testPixel,
+               channels: rgbChannels.concat([{ name: 'Z', type: FLOAT }])},
+        'RGB', done);
+  });
+
+  test('RLE compression', function(done) {
+    // Use constant rows, so that compression is effective.
+    var pixel = function(channel, x, y) { return testPixel(channel, 0, y); };
+    makeExr({width: 16, height: 2, channels: rgbChannels, compression: 1,
+             pixel: pixel, compress: function(bytes) {
+               return encodeRle(predict(bytes));
+             }}, function(buffer) {
+      exrFormat.parse(buffer, function(err, image) {
+        assert.isNull(err);
+        for (var y = 0; y < 2; y++) {
+          for (var x = 0; x < 16; x++) {
+            var index = (y * 16 + x) * 4;
+            assert.deepEqual(
+                Array.prototype.slice.call(image.data, index, index + 4),
+                [pixel('R', x, y), pixel('G', x, y), pixel('B', x, y), 1]);
+          }
+        }
+        done();
+      });
+    });
+  });
+
+  test('ZIP compression', function(done) {
+    if (!global.CompressionStream) {
+      this.skip();
+    }
+    testParse({width: 8, height: 20, channels: rgbChannels, compression: 3,
+               pixel: testPixel, compress: function(bytes) {
+                 return deflate(predict(bytes));
+               }}, 'RGB', done);
+  });
+
+  test('tiled files are not supported', function(done) {
+    makeExr({width: 1, height: 1, channels: rgbChannels, pixel: testPixel,
+             version: 0x202}, function(buffer) {
+      exrFormat.parse(buffer, function(err) {
+        assert.match(err.message, /Only single-part scanline/);
+        done();
+      });
+    });
+  });
+
+  test('unsupported compression', function(done) {
+    makeExr({width: 1, height: 1, channels: rgbChannels, pixel: testPixel,
+             compression: 4}, function(buffer) {
+      exrFormat.parse(buffer, function(err) {
+        assert.match(err.message, /Unsupported OpenEXR compression/);
+        done();
+      });
+    });
+  });
+
+  test('truncated', function(done) {
+    makeExr({width: 2, height: 2, channels: rgbChannels, pixel: testPixel},
+        function(buffer) {
+      exrFormat.parse(buffer.slice(0, buffer.byteLength - 4), function(err) {
+        assert.instanceOf(err, Error);
+        done();
+      });
+    });
+  });
+
+});
+
+suite('HdrLoader', function() {
+
+  test('isHdrUrl', function() {
+    assert.isTrue(HdrLoader.isHdrUrl('tiles/0/0.hdr'));
+    assert.isTrue(HdrLoader.isHdrUrl('tiles/0/0.EXR?v=1'));
+    assert.isTrue(HdrLoader.isHdrUrl('tiles/0/0.exr#x'));
+    assert.isFalse(HdrLoader.isHdrUrl('tiles/0/0.jpg'));
+    assert.isFalse(HdrLoader.isHdrUrl('tiles/0/0.hdr.jpg'));
+  });
+
+  suite('loadImage', function() {
+
+    var fetch;
+
+    setup(function() {
+      fetch = sinon.stub(global, 'fetch');
+    });
+
+    teardown(function() {
+      fetch.restore();
+    });
+
+    function respondWith(buffer) {
+      fetch.resolves({
+        ok: true,
+        status: 200,
+        arrayBuffer: function() { return global.Promise.resolve(buffer); }
+      });
+    }
+
+    test('radiance', function(done) {
+      respondWith(makeRadiance([[[128, 64, 32, 129], [0, 0, 0, 0]]]));
+      var loader = new HdrLoader();
+      loader.loadImage('a.hdr', null, function(err, asset) {
+        assert.isNull(err);
+        assert.instanceOf(asset, HdrAsset);
+        assert.strictEqual(asset.width(), 2);
+        assert.strictEqual(asset.height(), 1);
+        assert.deepEqual(Array.prototype.slice.call(asset.data()),
+            [1.00390625, 0.50390625, 0.25390625, 1, 0, 0, 0, 1]);
+        done();
+      });
+    });
+
+    test('openexr with rect', function(done) {
+      makeExr({width: 4, height: 4, channels: rgbChannels, pixel: testPixel},
+          function(buffer) {
+        respondWith(buffer);
+        var loader = new HdrLoader();
+        var rect = {x: 0.5, y: 0.25, width: 0.25, height: 0.5};
+        loader.loadImage('a.exr', rect, function(err, asset) {
+          assert.isNull(err);
+          assert.strictEqual(asset.width(), 1);
+          assert.strictEqual(asset.height(), 2);
+          assert.deepEqual(Array.prototype.slice.call(asset.data()), [
+            testPixel('R', 2, 1), testPixel('G', 2, 1), testPixel('B', 2, 1), 1,
+            testPixel('R', 2, 2), testPixel('G', 2, 2), testPixel('B', 2, 2), 1
+          ]);
+          done();
+        });
+      });
+    });
+
+    test('invalid file', function(done) {
+      respondWith(toBuffer([1, 2, 3, 4]));
+      var loader = new HdrLoader();
+      loader.loadImage('a.hdr', null, function(err, asset) {
+        assert.instanceOf(err, DecodeError);
+        assert.match(err.message, /Not a Radiance or OpenEXR file/);
+        assert.isUndefined(asset);
+        done();
+      });
+    });
+
+    test('invalid radiance file', function(done) {
+      respondWith(toBuffer(stringBytes('#?RADIANCE\n')));
+      var loader = new HdrLoader();
+      loader.loadImage('a.hdr', null, function(err) {
+        assert.instanceOf(err, DecodeError);
+        assert.match(err.message, /Truncated/);
+        done();
+      });
+    });
+
+    test('cancel', function(done) {
+      respondWith(makeRadiance([[[128, 64, 32, 129]]]));
+      var loader = new HdrLoader();
+      var spy = sinon.spy();
+      var cancel = loader.loadImage('a.hdr', null, spy);
+      cancel('err');
+      setTimeout(function() {
+        assert.isTrue(spy.calledOnce);
+        assert.isTrue(spy.calledWithExactly('err'));
+        done();
+      }, 10);
+    });
+
+  });
+
+});
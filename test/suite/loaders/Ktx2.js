@@ -0,0 +1,291 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var Ktx2Loader = require('../../../src/loaders/Ktx2');
+var ktx2Format = require('../../../src/loaders/ktx2Format');
+var CompressedAsset = require('../../../src/assets/Compressed');
+var DecodeError = require('../../../src/DecodeError');
+var global = require('../../../src/util/global');
+
+var identifier = [
+  0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB, 0x0D, 0x0A, 0x1A, 0x0A
+];
+
+// Builds a KTX2 file with the given header fields. Each level is filled with
+// its index, so that levels can be told apart.
+function makeKtx2(opts) {
+  var levelLengths = opts.levelLengths || [16];
+  var kvd = [];
+  if (opts.orientation) {
+    var str = 'KTXorientation\0' + opts.orientation + '\0';
+    kvd.push(str.length & 0xff, 0, 0, 0);
+    for (var i = 0; i < str.length; i++) {
+      kvd.push(str.charCodeAt(i));
+    }
+    while (kvd.length % 4) {
+      kvd.push(0);
+    }
+  }
+
+  var kvdOffset = 80 + 24 * levelLengths.length;
+  var dataOffset = kvdOffset + kvd.length;
+  var totalLength = dataOffset;
+  for (var j = 0; j < levelLengths.length; j++) {
+    totalLength += levelLengths[j];
+  }
+
+  var buffer = new ArrayBuffer(totalLength);
+  var bytes = new Uint8Array(buffer);
+  var view = new DataView(buffer);
+
+  bytes.set(identifier, 0);
+  view.setUint32(12, opts.vkFormat != null ? opts.vkFormat : 131, true);
+  view.setUint32(20, opts.width || 4, true);
+  view.setUint32(24, opts.height || 4, true);
+  view.setUint32(28, opts.depth || 0, true);
+  view.setUint32(32, opts.layerCount || 0, true);
+  view.setUint32(36, opts.faceCount || 1, true);
+  view.setUint32(40, levelLengths.length, true);
+  view.setUint32(44, opts.supercompressionScheme || 0, true);
+  view.setUint32(56, kvd.length ? kvdOffset : 0, true);
+  view.setUint32(60, kvd.length, true);
+  bytes.set(kvd, kvdOffset);
+
+  var offset = dataOffset;
+  for (var k = 0; k < levelLengths.length; k++) {
+    var entry = 80 + 24 * k;
+    view.setUint32(entry, offset, true);
+    view.setUint32(entry + 8, levelLengths[k], true);
+    view.setUint32(entry + 16, levelLengths[k], true);
+    for (var b = 0; b < levelLengths[k]; b++) {
+      bytes[offset + b] = k;
+    }
+    offset += levelLengths[k];
+  }
+
+  return buffer;
+}
+
+function mockStage(formats) {
+  return {
+    compressedTextureFormats: function() { return formats; }
+  };
+}
+
+suite('ktx2Format', function() {
+
+  suite('parse', function() {
+
+    test('header and levels', function() {
+      var result = ktx2Format.parse(makeKtx2({
+        vkFormat: 157, width: 8, height: 4, levelLengths: [32, 16, 16, 16]
+      }));
+      assert.strictEqual(result.vkFormat, 157);
+      assert.strictEqual(result.width, 8);
+      assert.strictEqual(result.height, 4);
+      assert.strictEqual(result.supercompressionScheme, 0);
+      assert.lengthOf(result.levels, 4);
+      assert.deepEqual(result.levels.map(function(level) {
+        return [level.width, level.height, level.data.length, level.data[0]];
+      }), [[8, 4, 32, 0], [4, 2, 16, 1], [2, 1, 16, 2], [1, 1, 16, 3]]);
+    });
+
+    test('orientation', function() {
+      assert.isTrue(ktx2Format.parse(makeKtx2({})).flipY);
+      assert.isTrue(ktx2Format.parse(makeKtx2({orientation: 'rd'})).flipY);
+      assert.isFalse(ktx2Format.parse(makeKtx2({orientation: 'ru'})).flipY);
+    });
+
+    test('invalid identifier', function() {
+      var buffer = makeKtx2({});
+      new Uint8Array(buffer)[1] = 0;
+      assert.throws(function() { ktx2Format.parse(buffer); }, /Not a KTX2 file/);
+    });
+
+    test('too short', function() {
+      assert.throws(function() {
+        ktx2Format.parse(new ArrayBuffer(20));
+      }, /Not a KTX2 file/);
+    });
+
+    test('truncated level data', function() {
+      var buffer = makeKtx2({levelLengths: [64]}).slice(0, 120);
+      assert.throws(function() { ktx2Format.parse(buffer); }, /Truncated/);
+    });
+
+    test('unsupported texture type', function() {
+      assert.throws(function() {
+        ktx2Format.parse(makeKtx2({faceCount: 6}));
+      }, /Only 2D/);
+      assert.throws(function() {
+        ktx2Format.parse(makeKtx2({layerCount: 2}));
+      }, /Only 2D/);
+      assert.throws(function() {
+        ktx2Format.parse(makeKtx2({depth: 2}));
+      }, /Only 2D/);
+    });
+
+  });
+
+  test('formatInfo', function() {
+    assert.deepEqual(ktx2Format.formatInfo(131), {family: 's3tc', glFormat: 0x83F0});
+    assert.deepEqual(ktx2Format.formatInfo(145), {family: 'bc7', glFormat: 0x8E8C});
+    assert.deepEqual(ktx2Format.formatInfo(147), {family: 'etc2', glFormat: 0x9274});
+    assert.deepEqual(ktx2Format.formatInfo(157), {family: 'astc', glFormat: 0x93B0});
+    assert.isNull(ktx2Format.formatInfo(37));
+  });
+
+  test('isBasis', function() {
+    assert.isTrue(ktx2Format.isBasis(0));
+    assert.isFalse(ktx2Format.isBasis(131));
+  });
+
+});
+
+suite('Ktx2Loader', function() {
+
+  test('isKtx2Url', function() {
+    assert.isTrue(Ktx2Loader.isKtx2Url('tiles/0/0.ktx2'));
+    assert.isTrue(Ktx2Loader.isKtx2Url('tiles/0/0.KTX2?v=1'));
+    assert.isTrue(Ktx2Loader.isKtx2Url('tiles/0/0.ktx2#x'));
+    assert.isFalse(Ktx2Loader.isKtx2Url('tiles/0/0.jpg'));
+    assert.isFalse(Ktx2Loader.isKtx2Url('tiles/0/0.ktx2.jpg'));
+  });
+
+  suite('loadImage', function() {
+
+    var fetch;
+
+    setup(function() {
+      fetch = sinon.stub(global, 'fetch');
+    });
+
+    teardown(function() {
+      fetch.restore();
+    });
+
+    function respondWith(buffer) {
+      fetch.resolves({
+        ok: true,
+        status: 200,
+        arrayBuffer: function() { return global.Promise.resolve(buffer); }
+      });
+    }
+
+    test('supported format', function(done) {
+      respondWith(makeKtx2({vkFormat: 131, width: 8, height: 8,
+                            levelLengths: [32, 8], orientation: 'ru'}));
+      var loader = new Ktx2Loader(mockStage(['s3tc']));
+      loader.loadImage('a.ktx2', null, function(err, asset) {
+        assert.isNull(err);
+        assert.instanceOf(asset, CompressedAsset);
+        assert.strictEqual(asset.format(), 0x83F0);
+        assert.strictEqual(asset.width(), 8);
+        assert.strictEqual(asset.height(), 8);
+        assert.lengthOf(asset.levels(), 2);
+        assert.strictEqual(asset.byteLength(), 40);
+        assert.isFalse(asset.flipY());
+        assert.isNull(asset.element());
+        done();
+      });
+    });
+
+    test('format not supported by the device', function(done) {
+      respondWith(makeKtx2({vkFormat: 157}));
+      var loader = new Ktx2Loader(mockStage(['s3tc', 'etc2']));
+      loader.loadImage('a.ktx2', null, function(err, asset) {
+        assert.instanceOf(err, DecodeError);
+        assert.match(err.message, /astc/);
+        assert.isUndefined(asset);
+        done();
+      });
+    });
+
+    test('unknown format', function(done) {
+      respondWith(makeKtx2({vkFormat: 37}));
+      var loader = new Ktx2Loader(mockStage(['s3tc']));
+      loader.loadImage('a.ktx2', null, function(err) {
+        assert.instanceOf(err, DecodeError);
+        done();
+      });
+    });
+
+    test('invalid file', function(done) {
+      respondWith(new ArrayBuffer(100));
+      var loader = new Ktx2Loader(mockStage(['s3tc']));
+      loader.loadImage('a.ktx2', null, function(err) {
+        assert.instanceOf(err, DecodeError);
+        done();
+      });
+    });
+
+    test('crop rect', function(done) {
+      respondWith(makeKtx2({}));
+      var loader = new Ktx2Loader(mockStage(['s3tc']));
+      var rect = {x: 0, y: 0, width: 0.5, height: 0.5};
+      loader.loadImage('a.ktx2', rect, function(err) {
+        assert.instanceOf(err, DecodeError);
+        done();
+      });
+    });
+
+    test('basis without transcoder', function(done) {
+      respondWith(makeKtx2({vkFormat: 0, supercompressionScheme: 1}));
+      var loader = new Ktx2Loader(mockStage(['s3tc']));
+      loader.loadImage('a.ktx2', null, function(err) {
+        assert.instanceOf(err, DecodeError);
+        done();
+      });
+    });
+
+    test('basis with transcoder', function(done) {
+      var buffer = makeKtx2({vkFormat: 0, supercompressionScheme: 1});
+      var level = {width: 4, height: 4, data: new Uint8Array(16)};
+      var transcoder = sinon.spy(function(data, formats, cb) {
+        cb(null, {format: 0x9274, levels: [level]});
+      });
+      respondWith(buffer);
+      var loader = new Ktx2Loader(mockStage(['etc2']), {transcoder: transcoder});
+      loader.loadImage('a.ktx2', null, function(err, asset) {
+        assert.isNull(err);
+        assert.isTrue(transcoder.calledOnce);
+        assert.strictEqual(transcoder.firstCall.args[0], buffer);
+        assert.deepEqual(transcoder.firstCall.args[1], ['etc2']);
+        assert.strictEqual(asset.format(), 0x9274);
+        assert.deepEqual(asset.levels(), [level]);
+        assert.isTrue(asset.flipY());
+        done();
+      });
+    });
+
+    test('basis transcoding failure', function(done) {
+      respondWith(makeKtx2({vkFormat: 0, supercompressionScheme: 1}));
+      var loader = new Ktx2Loader(mockStage(['etc2']), {
+        transcoder: function(data, formats, cb) { cb(new Error('failed')); }
+      });
+      loader.loadImage('a.ktx2', null, function(err) {
+        assert.instanceOf(err, DecodeError);
+        done();
+      });
+    });
+
+  });
+
+});
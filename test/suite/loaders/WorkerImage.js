@@ -0,0 +1,317 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var WorkerImageLoader = require('../../../src/loaders/WorkerImage');
+var imageWorker = require('../../../src/loaders/imageWorker');
+var StaticAsset = require('../../../src/assets/Static');
+var NetworkError = require('../../../src/NetworkError');
+var NotFoundError = require('../../../src/NotFoundError');
+var DecodeError = require('../../../src/DecodeError');
+var global = require('../../../src/util/global');
+
+function MockBitmap(width, height) {
+  this.width = width;
+  this.height = height;
+  this.close = sinon.spy();
+}
+
+// A fake worker global scope, running the worker body on the main thread.
+function createScope() {
+  var scope = {
+    fetch: sinon.stub(),
+    createImageBitmap: sinon.stub(),
+    AbortController: global.AbortController,
+    postMessage: sinon.spy()
+  };
+  imageWorker(scope);
+  scope.send = function(data) {
+    scope.onmessage({ data: data });
+  };
+  return scope;
+}
+
+// A fake Worker that records the messages posted to it.
+function MockWorker(url) {
+  this.url = url;
+  this.messages = [];
+  this.listeners = {};
+  this.terminate = sinon.spy();
+  MockWorker.instances.push(this);
+}
+
+MockWorker.prototype.postMessage = function(data) {
+  this.messages.push(data);
+};
+
+MockWorker.prototype.addEventListener = function(type, fn) {
+  this.listeners[type] = fn;
+};
+
+MockWorker.prototype.reply = function(data) {
+  this.listeners.message({ data: data });
+};
+
+suite('imageWorker', function() {
+
+  function load(scope, rect) {
+    scope.send({
+      type: 'load', id: 1, url: 'url', rect: rect || null,
+      init: { credentials: 'include', mode: 'cors', headers: {} }
+    });
+  }
+
+  function lastMessage(scope, done) {
+    setTimeout(function() {
+      assert.isTrue(scope.postMessage.calledOnce);
+      done(scope.postMessage.firstCall.args[0], scope.postMessage.firstCall.args[1]);
+    }, 10);
+  }
+
+  test('loads full image', function(done) {
+    var scope = createScope();
+    var bitmap = new MockBitmap(4, 4);
+    scope.fetch.resolves({ ok: true, blob: sinon.stub().resolves('blob') });
+    scope.createImageBitmap.resolves(bitmap);
+
+    load(scope);
+
+    assert.strictEqual(scope.fetch.firstCall.args[0], 'url');
+    assert.strictEqual(scope.fetch.firstCall.args[1].credentials, 'include');
+    lastMessage(scope, function(msg, transfer) {
+      assert.deepEqual(msg, { id: 1, bitmap: bitmap, blob: 'blob' });
+      assert.deepEqual(transfer, [bitmap]);
+      assert.isTrue(scope.createImageBitmap.calledOnce);
+      assert.strictEqual(scope.createImageBitmap.firstCall.args[0], 'blob');
+      assert.strictEqual(
+          scope.createImageBitmap.firstCall.args[1].imageOrientation, 'flipY');
+      done();
+    });
+  });
+
+  test('crops image', function(done) {
+    var scope = createScope();
+    var full = new MockBitmap(8, 4);
+    var cropped = new MockBitmap(4, 2);
+    scope.fetch.resolves({ ok: true, blob: sinon.stub().resolves('blob') });
+    scope.createImageBitmap.onFirstCall().resolves(full);
+    scope.createImageBitmap.onSecondCall().resolves(cropped);
+
+    load(scope, { x: 0.5, y: 0.5, width: 0.5, height: 0.5 });
+
+    lastMessage(scope, function(msg) {
+      assert.strictEqual(msg.bitmap, cropped);
+      var args = scope.createImageBitmap.secondCall.args;
+      assert.strictEqual(args[0], full);
+      assert.deepEqual(args.slice(1, 5), [4, 2, 4, 2]);
+      assert.isTrue(full.close.calledOnce);
+      done();
+    });
+  });
+
+  test('http error', function(done) {
+    var scope = createScope();
+    scope.fetch.resolves({ ok: false, status: 404 });
+    load(scope);
+    lastMessage(scope, function(msg) {
+      assert.deepEqual(msg, { id: 1, error: 'status', status: 404 });
+      done();
+    });
+  });
+
+  test('network error', function(done) {
+    var scope = createScope();
+    scope.fetch.rejects(new TypeError('Failed to fetch'));
+    load(scope);
+    lastMessage(scope, function(msg) {
+      assert.deepEqual(msg, { id: 1, error: 'failure' });
+      done();
+    });
+  });
+
+  test('decode error', function(done) {
+    var scope = createScope();
+    scope.fetch.resolves({ ok: true, blob: sinon.stub().resolves('blob') });
+    scope.createImageBitmap.rejects(new Error('bad image'));
+    load(scope);
+    lastMessage(scope, function(msg) {
+      assert.deepEqual(msg, { id: 1, error: 'decode' });
+      done();
+    });
+  });
+
+  test('cancel', function(done) {
+    var scope = createScope();
+    var bitmap = new MockBitmap(4, 4);
+    scope.fetch.resolves({ ok: true, blob: sinon.stub().resolves('blob') });
+    scope.createImageBitmap.resolves(bitmap);
+
+    load(scope);
+    var signal = scope.fetch.firstCall.args[1].signal;
+    scope.send({ type: 'cancel', id: 1 });
+
+    assert.isTrue(signal.aborted);
+    setTimeout(function() {
+      assert.isTrue(scope.postMessage.notCalled);
+      done();
+    }, 10);
+  });
+
+});
+
+suite('WorkerImageLoader', function() {
+
+  var originalWorker;
+  var originalImageBitmap;
+  var createObjectURL;
+
+  setup(function() {
+    MockWorker.instances = [];
+    originalWorker = global.Worker;
+    originalImageBitmap = global.ImageBitmap;
+    global.Worker = MockWorker;
+    global.ImageBitmap = MockBitmap;
+    createObjectURL = sinon.stub(global.URL, 'createObjectURL').returns('blob:worker');
+  });
+
+  teardown(function() {
+    global.Worker = originalWorker;
+    global.ImageBitmap = originalImageBitmap;
+    createObjectURL.restore();
+  });
+
+  test('starts a single worker lazily', function() {
+    var loader = new WorkerImageLoader(null, { credentials: 'include' });
+    assert.lengthOf(MockWorker.instances, 0);
+
+    loader.loadImage('url1', null, function() {});
+    loader.loadImage('url2', { x: 0, y: 0.5, width: 1, height: 0.5 }, function() {});
+
+    assert.lengthOf(MockWorker.instances, 1);
+    var worker = MockWorker.instances[0];
+    assert.strictEqual(worker.url, 'blob:worker');
+    assert.lengthOf(worker.messages, 2);
+    assert.strictEqual(worker.messages[0].type, 'load');
+    assert.strictEqual(worker.messages[0].url, 'url1');
+    assert.isNull(worker.messages[0].rect);
+    assert.strictEqual(worker.messages[0].init.credentials, 'include');
+    assert.deepEqual(worker.messages[1].rect,
+        { x: 0, y: 0.5, width: 1, height: 0.5 });
+    assert.notEqual(worker.messages[0].id, worker.messages[1].id);
+  });
+
+  test('resolves relative urls against the document', function() {
+    var originalDocument = global.document;
+    global.document = { baseURI: 'https://example.com/pano/index.html' };
+    try {
+      var loader = new WorkerImageLoader();
+      var spy = sinon.spy();
+      loader.loadImage('tiles/0/f/0/0.jpg', null, spy);
+      loader.loadImage('//cdn.example.com/preview.jpg', null, function() {});
+      var worker = MockWorker.instances[0];
+      assert.strictEqual(worker.messages[0].url,
+          'https://example.com/pano/tiles/0/f/0/0.jpg');
+      assert.strictEqual(worker.messages[1].url,
+          'https://cdn.example.com/preview.jpg');
+
+      // Errors still name the URL as given.
+      worker.reply({ id: worker.messages[0].id, error: 'status', status: 404 });
+      assert.include(spy.firstCall.args[0].message, 'tiles/0/f/0/0.jpg');
+    } finally {
+      global.document = originalDocument;
+    }
+  });
+
+    test('delivers bitmap', function() {
+    var loader = new WorkerImageLoader();
+    var spy = sinon.spy();
+    loader.loadImage('url', null, spy);
+    var worker = MockWorker.instances[0];
+    var bitmap = new MockBitmap(4, 4);
+
+    worker.reply({ id: worker.messages[0].id, bitmap: bitmap, blob: 'blob' });
+
+    assert.isTrue(spy.calledOnce);
+    assert.isNull(spy.firstCall.args[0]);
+    assert.instanceOf(spy.firstCall.args[1], StaticAsset);
+    assert.strictEqual(spy.firstCall.args[1].element(), bitmap);
+    assert.strictEqual(spy.firstCall.args[1].blob(), 'blob');
+    assert.isNull(spy.firstCall.args[1].rect());
+  });
+
+  test('classifies errors', function() {
+    var loader = new WorkerImageLoader();
+    var spy1 = sinon.spy();
+    var spy2 = sinon.spy();
+    var spy3 = sinon.spy();
+    loader.loadImage('url1', null, spy1);
+    loader.loadImage('url2', null, spy2);
+    loader.loadImage('url3', null, spy3);
+    var worker = MockWorker.instances[0];
+
+    worker.reply({ id: worker.messages[0].id, error: 'status', status: 404 });
+    worker.reply({ id: worker.messages[1].id, error: 'decode' });
+    worker.reply({ id: worker.messages[2].id, error: 'failure' });
+
+    assert.instanceOf(spy1.firstCall.args[0], NotFoundError);
+    assert.strictEqual(spy1.firstCall.args[0].status, 404);
+    assert.instanceOf(spy2.firstCall.args[0], DecodeError);
+    assert.instanceOf(spy3.firstCall.args[0], NetworkError);
+  });
+
+  test('cancel', function() {
+    var loader = new WorkerImageLoader();
+    var spy = sinon.spy();
+    var cancel = loader.loadImage('url', null, spy);
+    var worker = MockWorker.instances[0];
+    var id = worker.messages[0].id;
+
+    cancel('err', 'foo');
+
+    assert.isTrue(spy.calledOnce);
+    assert.isTrue(spy.calledWithExactly('err', 'foo'));
+    assert.deepEqual(worker.messages[1], { type: 'cancel', id: id });
+
+    // A late reply is discarded.
+    var bitmap = new MockBitmap(4, 4);
+    worker.reply({ id: id, bitmap: bitmap });
+    assert.isTrue(spy.calledOnce);
+    assert.isTrue(bitmap.close.calledOnce);
+  });
+
+  test('fails pending requests on worker error', function() {
+    var loader = new WorkerImageLoader();
+    var spy = sinon.spy();
+    loader.loadImage('url', null, spy);
+    MockWorker.instances[0].listeners.error({});
+    assert.isTrue(spy.calledOnce);
+    assert.instanceOf(spy.firstCall.args[0], NetworkError);
+  });
+
+  test('destroy terminates worker', function() {
+    var revokeObjectURL = sinon.stub(global.URL, 'revokeObjectURL');
+    var loader = new WorkerImageLoader();
+    loader.loadImage('url', null, function() {});
+    loader.destroy();
+    revokeObjectURL.restore();
+    assert.isTrue(MockWorker.instances[0].terminate.calledOnce);
+    assert.isTrue(revokeObjectURL.calledWith('blob:worker'));
+  });
+
+});
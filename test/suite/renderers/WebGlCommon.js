@@ -0,0 +1,175 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+var vec4 = require('gl-matrix').vec4;
+
+var WebGlCommon = require('../../../src/renderers/WebGlCommon');
+var setupTileBoundsUniform = WebGlCommon.setupTileBoundsUniform;
+var setTexture = WebGlCommon.setTexture;
+
+var EquirectGeometry = require('../../../src/geometries/Equirect');
+var EquirectTile = EquirectGeometry.Tile;
+var RectilinearView = require('../../../src/views/Rectilinear');
+
+// Projects a direction into normalized device coordinates.
+function projector(view) {
+  return function(vertex, result) {
+    vec4.set(result, vertex[0], vertex[1], vertex[2], 1);
+    vec4.transformMat4(result, result, view.projection());
+    if (result[3] <= 0) {
+      return false;
+    }
+    result[0] /= result[3];
+    result[1] /= result[3];
+    return true;
+  };
+}
+
+// Returns the view coordinates of the center of a tile.
+function tileCenter(tile) {
+  var direction = tile.direction(0.5, 0.5);
+  return {
+    yaw: Math.atan2(direction[0], -direction[2]),
+    pitch: Math.asin(-direction[1])
+  };
+}
+
+function tileBounds(tile, view) {
+  var gl = { uniform4f: sinon.spy() };
+  var shaderProgram = { uTileBounds: {} };
+  setupTileBoundsUniform(gl, shaderProgram, tile, projector(view));
+  assert.isTrue(gl.uniform4f.calledOnce);
+  assert.strictEqual(gl.uniform4f.firstCall.args[0], shaderProgram.uTileBounds);
+  return gl.uniform4f.firstCall.args.slice(1);
+}
+
+suite('WebGlCommon', function() {
+
+  suite('setupTileBoundsUniform', function() {
+
+    var geometry = new EquirectGeometry([{width: 4096, tileWidth: 256}]);
+
+    test('tile in the center of the view', function() {
+      var tile = new EquirectTile(0, geometry, 8, 4);
+      var center = tileCenter(tile);
+      var view = new RectilinearView({
+        yaw: center.yaw, pitch: center.pitch, fov: Math.PI/2,
+        width: 100, height: 100
+      });
+      var bounds = tileBounds(tile, view);
+      assert.isAbove(bounds[0], -1);
+      assert.isAbove(bounds[1], -1);
+      assert.isBelow(bounds[2], 1);
+      assert.isBelow(bounds[3], 1);
+      assert.isBelow(bounds[0], 0);
+      assert.isBelow(bounds[1], 0);
+      assert.isAbove(bounds[2], 0);
+      assert.isAbove(bounds[3], 0);
+    });
+
+    test('tile covers every point it samples', function() {
+      var tile = new EquirectTile(0, geometry, 9, 2);
+      var center = tileCenter(tile);
+      var view = new RectilinearView({
+        yaw: center.yaw - 0.3, pitch: center.pitch + 0.2, fov: Math.PI/6,
+        width: 100, height: 100
+      });
+      var bounds = tileBounds(tile, view);
+      var project = projector(view);
+      var direction = [];
+      var point = vec4.create();
+      for (var i = 0; i <= 20; i++) {
+        for (var j = 0; j <= 20; j++) {
+          tile.direction(i / 20, j / 20, direction);
+          assert.isTrue(project(direction, point));
+          if (point[0] >= -1 && point[0] <= 1 && point[1] >= -1 && point[1] <= 1) {
+            assert.isAtLeast(point[0], bounds[0]);
+            assert.isAtLeast(point[1], bounds[1]);
+            assert.isAtMost(point[0], bounds[2]);
+            assert.isAtMost(point[1], bounds[3]);
+          }
+        }
+      }
+    });
+
+    test('tile outside the view is clamped to an edge', function() {
+      var tile = new EquirectTile(0, geometry, 8, 4);
+      var center = tileCenter(tile);
+      var view = new RectilinearView({
+        yaw: center.yaw + Math.PI/4, pitch: center.pitch, fov: Math.PI/8,
+        width: 100, height: 100
+      });
+      var bounds = tileBounds(tile, view);
+      assert.strictEqual(bounds[0], -1);
+      assert.strictEqual(bounds[2], -1);
+    });
+
+    test('tile partly behind the camera covers the whole viewport', function() {
+      var tile = new EquirectTile(0, geometry, 8, 4);
+      var center = tileCenter(tile);
+      var view = new RectilinearView({
+        yaw: center.yaw + Math.PI/2, pitch: center.pitch, fov: Math.PI/2,
+        width: 100, height: 100
+      });
+      assert.deepEqual(tileBounds(tile, view), [-1, -1, 1, 1]);
+    });
+
+  });
+
+  suite('setTexture', function() {
+
+    test('texel size', function() {
+      var gl = {
+        activeTexture: sinon.spy(),
+        bindTexture: sinon.spy(),
+        uniform1i: sinon.spy(),
+        uniform1f: sinon.spy(),
+        uniform2f: sinon.spy(),
+        uniform4f: sinon.spy()
+      };
+      var shaderProgram = { uTexelSize: {} };
+      setTexture(gl, shaderProgram, { _texture: {}, _width: 256, _height: 512 });
+      assert.isTrue(gl.uniform2f.calledOnceWith(shaderProgram.uTexelSize, 1/256, 1/512));
+    });
+
+    test('texture rect', function() {
+      var gl = {
+        activeTexture: sinon.spy(),
+        bindTexture: sinon.spy(),
+        uniform1i: sinon.spy(),
+        uniform1f: sinon.spy(),
+        uniform2f: sinon.spy(),
+        uniform4f: sinon.spy()
+      };
+      var shaderProgram = { uTextureRect: {} };
+      var rect = { x: 0.25, y: 0, width: 0.25, height: 0.5 };
+
+      setTexture(gl, shaderProgram, { _texture: {}, _width: 4, _height: 2 });
+      assert.isTrue(gl.uniform4f.calledWith(shaderProgram.uTextureRect, 0, 0, 1, 1));
+
+      // Texture coordinates start at the bottom unless the texture is flipped.
+      setTexture(gl, shaderProgram, { _texture: {}, _rect: rect });
+      assert.isTrue(gl.uniform4f.calledWith(shaderProgram.uTextureRect, 0.25, 0.5, 0.25, 0.5));
+      setTexture(gl, shaderProgram, { _texture: {}, _rect: rect, _flipY: true });
+      assert.isTrue(gl.uniform4f.calledWith(shaderProgram.uTextureRect, 0.25, 0, 0.25, 0.5));
+    });
+
+  });
+
+});
@@ -0,0 +1,347 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var eventEmitter = require('minimal-event-emitter');
+
+var CachedSource = require('../../../src/sources/Cached');
+var TileCache = require('../../../src/TileCache');
+var MemoryStorage = require('../../../src/storage/Memory');
+var global = require('../../../src/util/global');
+
+function MockAsset(name, dynamic, blob, rect) {
+  this.name = name;
+  this.dynamic = !!dynamic;
+  this._blob = blob !== undefined ? blob : { size: 1, asset: name };
+  this._rect = rect || null;
+  this.destroy = sinon.spy();
+}
+
+MockAsset.prototype.isDynamic = function() {
+  return this.dynamic;
+};
+
+MockAsset.prototype.blob = function() {
+  return this._blob;
+};
+
+MockAsset.prototype.rect = function() {
+  return this._rect;
+};
+
+function MockBitmap(width, height) {
+  this.width = width;
+  this.height = height;
+  this.close = sinon.spy();
+}
+
+function MockSource() {
+  var self = this;
+  this.assets = [];
+  this.loadAsset = sinon.spy(function(stage, tile, done) {
+    var asset = null;
+    if (!tile.error) {
+      asset = new MockAsset('source', tile.dynamic, tile.blob, tile.rect);
+      self.assets.push(asset);
+    }
+    done(tile.error || null, tile, asset);
+    return function() {};
+  });
+}
+
+eventEmitter(MockSource);
+
+function createSource(cache, source) {
+  var cachedSource = new CachedSource(source, cache, { prefix: 'p/' });
+  cachedSource._decode = sinon.spy(function(blob, done) {
+    done(null, new MockAsset('cache-' + blob.asset));
+  });
+  return cachedSource;
+}
+
+var tile = { face: 'f', z: 1, x: 2, y: 3 };
+
+suite('CachedSource', function() {
+
+  setup(function() {
+    sinon.stub(CachedSource, 'supported').returns(true);
+  });
+
+  teardown(function() {
+    CachedSource.supported.restore();
+  });
+
+  test('default key', function(done) {
+    var cache = new TileCache({ storage: new MemoryStorage() });
+    var source = createSource(cache, new MockSource());
+    source.loadAsset({}, tile, function() {
+      cache.has('p/f/1/2/3', function(err, has) {
+        assert.isTrue(has);
+        done();
+      });
+    });
+  });
+
+  test('custom key', function(done) {
+    var cache = new TileCache({ storage: new MemoryStorage() });
+    var source = new CachedSource(new MockSource(), cache, {
+      keyFromTile: function(tile) { return 'tile-' + tile.z; }
+    });
+    source.loadAsset({}, tile, function() {
+      cache.has('tile-1', function(err, has) {
+        assert.isTrue(has);
+        done();
+      });
+    });
+  });
+
+  test('key is required', function() {
+    assert.throws(function() {
+      new CachedSource(new MockSource(), new TileCache({ storage: new MemoryStorage() }));
+    });
+  });
+
+  test('load from source and store', function(done) {
+    var cache = new TileCache({ storage: new MemoryStorage() });
+    var inner = new MockSource();
+    var source = createSource(cache, inner);
+    var stage = {};
+    source.loadAsset(stage, tile, function(err, resultTile, asset) {
+      assert.isNull(err);
+      assert.strictEqual(resultTile, tile);
+      assert.strictEqual(asset.name, 'source');
+      assert.isTrue(inner.loadAsset.calledWith(stage, tile));
+      assert.strictEqual(cache.entryCount(), 1);
+      cache.get('p/f/1/2/3', function(err, blob) {
+        // The original image data is stored.
+        assert.strictEqual(blob, asset.blob());
+        done();
+      });
+    });
+  });
+
+  test('do not cache tiles without image data', function(done) {
+    var cache = new TileCache({ storage: new MemoryStorage() });
+    var source = createSource(cache, new MockSource());
+    var htmlTile = { z: 0, x: 0, y: 0, blob: null };
+    source.loadAsset({}, htmlTile, function(err, resultTile, asset) {
+      assert.isNull(err);
+      assert.strictEqual(asset.name, 'source');
+      assert.strictEqual(cache.entryCount(), 0);
+      done();
+    });
+  });
+
+  test('record the rect of a cropped tile', function(done) {
+    var cache = new TileCache({ storage: new MemoryStorage() });
+    var source = createSource(cache, new MockSource());
+    var image = new Blob([ 'image' ], { type: 'image/jpeg' });
+    var rect = { x: 0, y: 0.5, width: 1, height: 0.25 };
+    var croppedTile = { z: 0, x: 0, y: 0, blob: image, rect: rect };
+    source.loadAsset({}, croppedTile, function() {
+      cache.get('p/0/0/0', function(err, blob) {
+        assert.strictEqual(blob.size, image.size);
+        assert.match(blob.type, /^image\/jpeg;/);
+
+        // Decoding the entry crops the image again.
+        var full = new MockBitmap(8, 8);
+        var cropped = new MockBitmap(8, 2);
+        var originalImageBitmap = global.ImageBitmap;
+        var originalCreateImageBitmap = global.createImageBitmap;
+        global.ImageBitmap = MockBitmap;
+        var createImageBitmap = global.createImageBitmap = sinon.stub();
+        createImageBitmap.onFirstCall().resolves(full);
+        createImageBitmap.onSecondCall().resolves(cropped);
+        CachedSource.prototype._decode.call(source, blob, function(err, asset) {
+          global.ImageBitmap = originalImageBitmap;
+          global.createImageBitmap = originalCreateImageBitmap;
+          assert.isNull(err);
+          assert.strictEqual(asset.element(), cropped);
+          assert.strictEqual(createImageBitmap.firstCall.args[0], blob);
+          assert.deepEqual(createImageBitmap.secondCall.args.slice(0, 5),
+              [ full, 0, 4, 8, 2 ]);
+          assert.isTrue(full.close.calledOnce);
+          done();
+        });
+      });
+    });
+  });
+
+  test('load from cache', function(done) {
+    var cache = new TileCache({ storage: new MemoryStorage() });
+    var inner = new MockSource();
+    var source = createSource(cache, inner);
+    source.loadAsset({}, tile, function() {
+      source.loadAsset({}, tile, function(err, resultTile, asset) {
+        assert.isNull(err);
+        assert.strictEqual(resultTile, tile);
+        assert.strictEqual(asset.name, 'cache-source');
+        assert.isTrue(inner.loadAsset.calledOnce);
+        done();
+      });
+    });
+  });
+
+  test('fall back to source when decoding fails', function(done) {
+    var cache = new TileCache({ storage: new MemoryStorage() });
+    var inner = new MockSource();
+    var source = createSource(cache, inner);
+    source._decode = function(blob, done) {
+      done(new Error('decode error'));
+    };
+    source.loadAsset({}, tile, function() {
+      source.loadAsset({}, tile, function(err, resultTile, asset) {
+        assert.isNull(err);
+        assert.strictEqual(asset.name, 'source');
+        assert.isTrue(inner.loadAsset.calledTwice);
+        done();
+      });
+    });
+  });
+
+  test('do not cache dynamic assets', function(done) {
+    var cache = new TileCache({ storage: new MemoryStorage() });
+    var source = createSource(cache, new MockSource());
+    var dynamicTile = { z: 0, x: 0, y: 0, dynamic: true };
+    source.loadAsset({}, dynamicTile, function(err, resultTile, asset) {
+      assert.isNull(err);
+      assert.isTrue(asset.isDynamic());
+      assert.strictEqual(cache.entryCount(), 0);
+      done();
+    });
+  });
+
+  test('forward errors', function(done) {
+    var cache = new TileCache({ storage: new MemoryStorage() });
+    var source = createSource(cache, new MockSource());
+    var error = new Error('error');
+    error.permanent = true;
+    var errorTile = { z: 0, x: 0, y: 0, error: error };
+    source.loadAsset({}, errorTile, function(err, resultTile) {
+      assert.strictEqual(err, error);
+      assert.strictEqual(resultTile, errorTile);
+      assert.strictEqual(cache.entryCount(), 0);
+      done();
+    });
+  });
+
+  test('forward network errors', function() {
+    var inner = new MockSource();
+    var source = createSource(new TileCache({ storage: new MemoryStorage() }), inner);
+    var spy = sinon.spy();
+    source.addEventListener('networkError', spy);
+    inner.emit('networkError', 'err', tile);
+    assert.isTrue(spy.calledWithExactly('err', tile));
+  });
+
+  test('cancel', function() {
+    var cache = new TileCache({ storage: new MemoryStorage() });
+    var inner = new MockSource();
+    var innerCancel = sinon.spy();
+    inner.loadAsset = sinon.stub().returns(innerCancel);
+    var source = createSource(cache, inner);
+    var spy = sinon.spy();
+    var cancel = source.loadAsset({}, tile, spy);
+    cancel('err', 'foo');
+    assert.isTrue(innerCancel.calledOnce);
+    assert.isTrue(spy.calledOnce);
+    assert.isTrue(spy.calledWithExactly('err', 'foo'));
+    // The late result of the wrapped source is ignored.
+    inner.loadAsset.firstCall.args[2](null, tile, new MockAsset('late'));
+    assert.isTrue(spy.calledOnce);
+    assert.strictEqual(cache.entryCount(), 0);
+  });
+
+  test('pass through when unsupported', function() {
+    CachedSource.supported.returns(false);
+    var cache = new TileCache({ storage: new MemoryStorage() });
+    var inner = new MockSource();
+    var source = createSource(cache, inner);
+    var spy = sinon.spy();
+    source.loadAsset({}, tile, spy);
+    assert.isTrue(inner.loadAsset.calledOnce);
+    assert.isTrue(spy.calledWith(null, tile));
+    assert.strictEqual(cache.entryCount(), 0);
+  });
+
+  test('reprioritize', function() {
+    var inner = new MockSource();
+    inner.reprioritize = sinon.spy();
+    var source = createSource(new TileCache({ storage: new MemoryStorage() }), inner);
+    source.reprioritize();
+    assert.isTrue(inner.reprioritize.calledOnce);
+  });
+
+  suite('prefetchTile', function() {
+
+    test('missing tile', function(done) {
+      var cache = new TileCache({ storage: new MemoryStorage() });
+      var inner = new MockSource();
+      var source = createSource(cache, inner);
+      source.prefetchTile({}, tile, function(err) {
+        assert.isNull(err);
+        assert.isTrue(inner.loadAsset.calledOnce);
+        assert.strictEqual(cache.entryCount(), 1);
+        var asset = inner.assets[0];
+        setTimeout(function() {
+          assert.isTrue(asset.destroy.calledOnce);
+          done();
+        }, 0);
+      });
+    });
+
+    test('cached tile', function(done) {
+      var cache = new TileCache({ storage: new MemoryStorage() });
+      var inner = new MockSource();
+      var source = createSource(cache, inner);
+      cache.put('p/f/1/2/3', { size: 1 });
+      source.prefetchTile({}, tile, function(err) {
+        assert.isNull(err);
+        assert.isTrue(inner.loadAsset.notCalled);
+        done();
+      });
+    });
+
+    test('tile without image data', function(done) {
+      var cache = new TileCache({ storage: new MemoryStorage() });
+      var inner = new MockSource();
+      var source = createSource(cache, inner);
+      source.prefetchTile({}, { z: 0, x: 0, y: 0, blob: null }, function(err) {
+        assert.instanceOf(err, Error);
+        assert.strictEqual(cache.entryCount(), 0);
+        setTimeout(function() {
+          assert.isTrue(inner.assets[0].destroy.calledOnce);
+          done();
+        }, 0);
+      });
+    });
+
+    test('error', function(done) {
+      var cache = new TileCache({ storage: new MemoryStorage() });
+      var source = createSource(cache, new MockSource());
+      var error = new Error('error');
+      source.prefetchTile({}, { z: 0, x: 0, y: 0, error: error }, function(err) {
+        assert.strictEqual(err, error);
+        done();
+      });
+    });
+
+  });
+
+});
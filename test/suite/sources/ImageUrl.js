@@ -21,14 +21,34 @@ var sinon = require('sinon');
 var wait = require('../../wait');
 
 var ImageUrlSource = require('../../../src/sources/ImageUrl');
+var StaticAsset = require('../../../src/assets/Static');
+var NotFoundError = require('../../../src/NotFoundError');
+var DecodeError = require('../../../src/DecodeError');
+var ServerError = require('../../../src/ServerError');
+var now = require('../../../src/util/now');
+var global = require('../../../src/util/global');
+
+// Returns an asset for a canvas of the given size.
+function canvasAsset(width, height) {
+  var canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return new StaticAsset(canvas);
+}
+
+function MockBitmap(width, height) {
+  this.width = width;
+  this.height = height;
+  this.close = sinon.spy();
+}
 
 function MockStage() {}
 
 MockStage.prototype.loadImage = function(url, rect, done) {
   if (url === "url" && rect == null) {
     done(null, "asset");
-  } else if (url === "url-rect" && rect === "rect") {
-    done(null, "asset-rect");
+  } else if (url === "url-rect" && rect != null) {
+    done(null, canvasAsset(2, 2));
   } else if (url === "url-error") {
     done(new Error("error"));
   }
@@ -37,6 +57,35 @@ MockStage.prototype.loadImage = function(url, rect, done) {
 
 suite('ImageUrlSource', function() {
 
+  var originalImageBitmap = global.ImageBitmap;
+  var originalCreateImageBitmap = global.createImageBitmap;
+
+  var createImageBitmap;
+
+  setup(function() {
+    // Capture the crops, which produce bitmaps of the cropped size.
+    createImageBitmap = sinon.spy(function(element, sx, sy, width, height) {
+      return global.Promise.resolve(new MockBitmap(width, height));
+    });
+    global.ImageBitmap = MockBitmap;
+    global.createImageBitmap = createImageBitmap;
+  });
+
+  teardown(function() {
+    global.ImageBitmap = originalImageBitmap;
+    global.createImageBitmap = originalCreateImageBitmap;
+  });
+
+  // Asserts that an image has been cropped into a bitmap of the given size.
+  function assertCropped(call, element, sx, sy, width, height) {
+    var args = call.args;
+    assert.strictEqual(args[0], element);
+    assert.closeTo(args[1], sx, 1e-9);
+    assert.closeTo(args[2], sy, 1e-9);
+    assert.closeTo(args[3], width, 1e-9);
+    assert.closeTo(args[4], height, 1e-9);
+  }
+
   test('template url', function(done) {
     var source = new ImageUrlSource.fromString(
         "http://localhost/img?f={f}&z={z}&x={x}&y={y}");
@@ -49,9 +98,9 @@ suite('ImageUrlSource', function() {
 
     wait.until(function() { return spy.callCount === 2; }, function() {
       assert.strictEqual(spy.getCall(0).args[0], "http://localhost/img?f=l&z=0&x=1&y=2");
-      assert.strictEqual(spy.getCall(0).args[1], undefined);
+      assert.isNull(spy.getCall(0).args[1]);
       assert.strictEqual(spy.getCall(1).args[0], "http://localhost/img?f=r&z=3&x=4&y=5");
-      assert.strictEqual(spy.getCall(1).args[1], undefined);
+      assert.isNull(spy.getCall(1).args[1]);
       done();
     });
   });
@@ -66,19 +115,37 @@ suite('ImageUrlSource', function() {
     var spy = sinon.stub().returns(function() {});
     var stage = { loadImage: spy };
 
+    var faceSpies = [];
     for (var i = 0; i < 6; i++) {
-      source.loadAsset(stage, { face: defaultOrder[i], z: 0, x: 0, y: 0});
+      faceSpies.push(sinon.spy());
+      source.loadAsset(stage, { face: defaultOrder[i], z: 0, x: 0, y: 0}, faceSpies[i]);
     }
     source.loadAsset(stage, { face: "l", z: 1, x: 2, y: 3});
 
-    wait.until(function() { return stage.loadImage.callCount === 7; }, function() {
-      for (var i = 0; i < 6; i++) {
-        assert.strictEqual(spy.getCall(i).args[0], "http://localhost/preview");
-        assert.deepEqual(spy.getCall(i).args[1], {x: 0, y: i/6, width: 1, height: 1/6});
-      }
-      assert.strictEqual(spy.getCall(6).args[0], "http://localhost/img?f=l&z=1&x=2&y=3");
-      assert.strictEqual(spy.getCall(6).args[1], undefined);
-      done();
+    wait.until(function() { return stage.loadImage.callCount === 2; }, function() {
+      // The preview image is loaded once for every face.
+      assert.strictEqual(spy.getCall(0).args[0], "http://localhost/preview");
+      assert.isNull(spy.getCall(0).args[1]);
+      assert.strictEqual(spy.getCall(1).args[0], "http://localhost/img?f=l&z=1&x=2&y=3");
+      assert.isNull(spy.getCall(1).args[1]);
+
+      var preview = canvasAsset(100, 600);
+      var element = preview.element();
+      spy.getCall(0).args[2](null, preview);
+
+      assert.strictEqual(createImageBitmap.callCount, 6);
+      wait.until(function() {
+        return faceSpies.every(function(faceSpy) { return faceSpy.called; });
+      }, function() {
+        for (var i = 0; i < 6; i++) {
+          assert.isTrue(faceSpies[i].calledOnce);
+          var asset = faceSpies[i].firstCall.args[2];
+          assert.closeTo(asset.width(), 100, 1e-9);
+          assert.closeTo(asset.height(), 100, 1e-9);
+          assertCropped(createImageBitmap.getCall(i), element, 0, i * 100, 100, 100);
+        }
+        done();
+      });
     });
   });
 
@@ -92,22 +159,144 @@ suite('ImageUrlSource', function() {
     var spy = sinon.stub().returns(function() {});
     var stage = { loadImage: spy };
 
+    var faceSpies = [];
     for (var i = 0; i < 6; i++) {
-      source.loadAsset(stage, { face: customOrder[i], z: 0, x: 0, y: 0});
+      faceSpies.push(sinon.spy());
+      source.loadAsset(stage, { face: customOrder[i], z: 0, x: 0, y: 0}, faceSpies[i]);
     }
     source.loadAsset(stage, { face: "l", z: 1, x: 2, y: 3});
 
-    wait.until(function() { return stage.loadImage.callCount === 7; }, function() {
-      for (var i = 0; i < 6; i++) {
-        assert.strictEqual(spy.getCall(i).args[0], "http://localhost/preview");
-        assert.deepEqual(spy.getCall(i).args[1], {x: 0, y: i/6, width: 1, height: 1/6});
-      }
-      assert.strictEqual(spy.getCall(6).args[0], "http://localhost/img?f=l&z=1&x=2&y=3");
-      assert.strictEqual(spy.getCall(6).args[1], undefined);
+    wait.until(function() { return stage.loadImage.callCount === 2; }, function() {
+      // The preview image is loaded once for every face.
+      assert.strictEqual(spy.getCall(0).args[0], "http://localhost/preview");
+      assert.isNull(spy.getCall(0).args[1]);
+      assert.strictEqual(spy.getCall(1).args[0], "http://localhost/img?f=l&z=1&x=2&y=3");
+      assert.isNull(spy.getCall(1).args[1]);
+
+      var preview = canvasAsset(100, 600);
+      var element = preview.element();
+      spy.getCall(0).args[2](null, preview);
+
+      assert.strictEqual(createImageBitmap.callCount, 6);
+      wait.until(function() {
+        return faceSpies.every(function(faceSpy) { return faceSpy.called; });
+      }, function() {
+        for (var i = 0; i < 6; i++) {
+          assert.isTrue(faceSpies[i].calledOnce);
+          var asset = faceSpies[i].firstCall.args[2];
+          assert.closeTo(asset.width(), 100, 1e-9);
+          assert.closeTo(asset.height(), 100, 1e-9);
+          assertCropped(createImageBitmap.getCall(i), element, 0, i * 100, 100, 100);
+        }
+        done();
+      });
+    });
+  });
+
+  test('template url with rect', function(done) {
+    var rect = {x: 0, y: 0.5, width: 1, height: 0.5};
+
+    var source = new ImageUrlSource.fromString(
+        "http://localhost/img?z={z}", {rect: rect});
+
+    var spy = sinon.stub().returns(function() {});
+    var stage = { loadImage: spy };
+
+    var doneSpy = sinon.spy();
+    source.loadAsset(stage, { z: 0, x: 0, y: 0}, doneSpy);
+
+    wait.until(function() { return spy.callCount === 1; }, function() {
+      // The loader crops the image.
+      assert.strictEqual(spy.getCall(0).args[0], "http://localhost/img?z=0");
+      assert.deepEqual(spy.getCall(0).args[1], rect);
+
+      var image = canvasAsset(200, 50);
+      spy.getCall(0).args[2](null, image);
+      assert.isTrue(createImageBitmap.notCalled);
+      assert.strictEqual(doneSpy.firstCall.args[2], image);
       done();
     });
   });
 
+  suite('template language', function() {
+
+    function urlFor(template, tile, opts) {
+      return ImageUrlSource.fromString(template, opts)._sourceFromTile(tile).url;
+    }
+
+    var tile = { face: 'l', z: 2, x: 3, y: 14 };
+
+    test('offset', function() {
+      assert.strictEqual(urlFor('{z+1}/{x-1}/{y+10}', tile), '3/2/24');
+    });
+
+    test('zero padding', function() {
+      assert.strictEqual(urlFor('{x:03}_{y:1}_{z+1:02}', tile), '003_14_03');
+    });
+
+    test('face names', function() {
+      var opts = { faceNames: { l: 'left', r: 'right' } };
+      assert.strictEqual(urlFor('{f}.jpg', tile, opts), 'left.jpg');
+      assert.strictEqual(urlFor('{f}.jpg', { face: 'u' }, opts), 'u.jpg');
+    });
+
+    test('level names', function() {
+      var opts = { levelNames: ['preview', 'low', 'high'] };
+      assert.strictEqual(urlFor('{l}/{x}', tile, opts), 'high/3');
+    });
+
+    test('shards', function() {
+      var opts = { shards: ['a', 'b', 'c'] };
+      var url1 = urlFor('http://{s}.host/{x}', { x: 0, y: 0, z: 0 }, opts);
+      var url2 = urlFor('http://{s}.host/{x}', { x: 1, y: 0, z: 0 }, opts);
+      var url3 = urlFor('http://{s}.host/{x}', { x: 1, y: 0, z: 0 }, opts);
+      assert.strictEqual(url1, 'http://a.host/0');
+      assert.strictEqual(url2, 'http://b.host/1');
+      assert.strictEqual(url3, url2);
+    });
+
+    test('missing tile properties', function() {
+      assert.strictEqual(urlFor('{f}{z}/{x:02}', { z: 1, x: 2 }), '1/02');
+    });
+
+    test('unbalanced brace', function() {
+      assert.throws(function() {
+        ImageUrlSource.fromString('{z}/{x');
+      }, /unbalanced brace/);
+      assert.throws(function() {
+        ImageUrlSource.fromString('{z}/x}');
+      }, /unbalanced brace/);
+    });
+
+    test('unknown placeholder', function() {
+      assert.throws(function() {
+        ImageUrlSource.fromString('{w}/{x}');
+      }, /unknown placeholder \{w\}/);
+    });
+
+    test('invalid placeholder', function() {
+      assert.throws(function() {
+        ImageUrlSource.fromString('{x:abc}');
+      }, /invalid placeholder/);
+    });
+
+    test('modifier on non-numeric placeholder', function() {
+      assert.throws(function() {
+        ImageUrlSource.fromString('{f+1}');
+      }, /not numeric/);
+    });
+
+    test('missing option', function() {
+      assert.throws(function() {
+        ImageUrlSource.fromString('{l}/{x}');
+      }, /levelNames/);
+      assert.throws(function() {
+        ImageUrlSource.fromString('{s}/{x}', { shards: [] });
+      }, /shards/);
+    });
+
+  });
+
   test('full rect', function(done) {
     var stage = new MockStage();
 
@@ -125,13 +314,120 @@ suite('ImageUrlSource', function() {
   test('partial rect', function(done) {
     var stage = new MockStage();
 
-    var tileToUrl = sinon.stub().withArgs("tile").returns({ url: "url-rect", rect: "rect" });
+    var rect = { x: 0.5, y: 0.25, width: 0.5, height: 0.5 };
+    var tileToUrl = sinon.stub().withArgs("tile").returns({ url: "url-rect", rect: rect });
 
     var source = new ImageUrlSource(tileToUrl);
     source.loadAsset(stage, "tile", function(err, tile, asset) {
       assert.isNull(err);
       assert.strictEqual(tile, "tile");
-      assert.strictEqual(asset, "asset-rect");
+      assert.instanceOf(asset, StaticAsset);
+      assert.strictEqual(asset.width(), 2);
+      assert.strictEqual(asset.height(), 2);
+      assert.isTrue(createImageBitmap.notCalled);
+      done();
+    });
+  });
+
+  test('partial rects of image bitmap', function(done) {
+    var full = new MockBitmap(4, 8);
+
+    var stage = {
+      loadImage: sinon.spy(function(url, rect, done) {
+        setTimeout(function() {
+          done(null, new StaticAsset(full, { blob: "blob" }));
+        }, 0);
+        return function() {};
+      })
+    };
+
+    var rect1 = { x: 0.5, y: 0.25, width: 0.5, height: 0.25 };
+    var rect2 = { x: 0, y: 0, width: 0.5, height: 0.25 };
+    var source = new ImageUrlSource(function(tile) {
+      return { url: "url", rect: tile.rect };
+    });
+    var spy1 = sinon.spy();
+    var spy2 = sinon.spy();
+    source.loadAsset(stage, { rect: rect1 }, spy1);
+    source.loadAsset(stage, { rect: rect2 }, spy2);
+
+    wait.until(function() { return spy1.called && spy2.called; }, function() {
+      assert.isTrue(stage.loadImage.calledOnce);
+      assert.isNull(stage.loadImage.firstCall.args[1]);
+
+      var asset = spy1.firstCall.args[2];
+      // Bitmaps are stored upside down, so the rect is flipped vertically, and
+      // the crop keeps their orientation.
+      assert.deepEqual(createImageBitmap.firstCall.args, [full, 2, 4, 2, 2]);
+      assert.deepEqual(createImageBitmap.secondCall.args, [full, 0, 6, 2, 2]);
+      assert.strictEqual(asset.width(), 2);
+      // The encoded image is kept for caching.
+      assert.strictEqual(asset.blob(), "blob");
+      assert.deepEqual(asset.rect(), rect1);
+      // The full bitmap is closed once every rect has been cut from it.
+      assert.isTrue(full.close.calledOnce);
+      done();
+    });
+  });
+
+  test('full bitmap handed out is not closed', function(done) {
+    var full = new MockBitmap(4, 8);
+
+    var stage = {
+      loadImage: function(url, rect, done) {
+        setTimeout(function() {
+          done(null, new StaticAsset(full));
+        }, 0);
+        return function() {};
+      }
+    };
+
+    var source = new ImageUrlSource(function(tile) {
+      return { url: "url", rect: tile.rect };
+    });
+    var spy1 = sinon.spy();
+    var spy2 = sinon.spy();
+    source.loadAsset(stage, { rect: { x: 0, y: 0, width: 0.5, height: 1 } }, spy1);
+    source.loadAsset(stage, {}, spy2);
+
+    wait.until(function() { return spy1.called && spy2.called; }, function() {
+      assert.strictEqual(spy2.firstCall.args[2].element(), full);
+      assert.isTrue(full.close.notCalled);
+      done();
+    });
+  });
+
+  test('non-croppable asset fails once', function(done) {
+    var asset = { element: function() { return null; }, destroy: sinon.spy() };
+
+    var stage = {
+      loadImage: sinon.spy(function(url, rect, done) {
+        setTimeout(function() {
+          done(null, asset);
+        }, 0);
+        return function() {};
+      })
+    };
+
+    // Even when the source is told to retry failed decodes, a crop that can
+    // never succeed is given up on.
+    var source = new ImageUrlSource(function(tile) {
+      return { url: "url.ktx2", rect: tile.rect };
+    }, { shouldRetry: function() { return true; } });
+    var spy1 = sinon.spy();
+    var spy2 = sinon.spy();
+    source.loadAsset(stage, { rect: { x: 0, y: 0, width: 0.5, height: 1 } }, spy1);
+    source.loadAsset(stage, { rect: { x: 0.5, y: 0, width: 0.5, height: 1 } }, spy2);
+
+    wait.until(function() { return spy1.called && spy2.called; }, function() {
+      assert.isTrue(stage.loadImage.calledOnce);
+      [spy1, spy2].forEach(function(spy) {
+        assert.isTrue(spy.calledOnce);
+        var err = spy.firstCall.args[0];
+        assert.instanceOf(err, DecodeError);
+        assert.isTrue(err.permanent);
+      });
+      assert.isTrue(asset.destroy.calledOnce);
       done();
     });
   });
@@ -150,5 +446,384 @@ suite('ImageUrlSource', function() {
     });
   });
 
-  // TODO: Test retry ratelimiting.
+  suite('coalescing', function() {
+
+    // Mock stage whose image loads stay pending until completed by the test.
+    function makePendingStage() {
+      var stage = {
+        pending: [],
+        loadImage: sinon.spy(function(url, rect, done) {
+          var cancel = sinon.spy(function() {
+            done.apply(null, arguments);
+          });
+          stage.pending.push({ url: url, rect: rect, done: done, cancel: cancel });
+          return cancel;
+        })
+      };
+      return stage;
+    }
+
+    function makeSource() {
+      return new ImageUrlSource(function(tile) {
+        return { url: tile.url, rect: tile.rect };
+      }, { concurrency: 1 });
+    }
+
+    test('requests for the same url share a slot', function(done) {
+      var stage = makePendingStage();
+      var source = makeSource();
+
+      var rect1 = { x: 0, y: 0, width: 0.5, height: 1 };
+      var rect2 = { x: 0.5, y: 0, width: 0.5, height: 1 };
+      var spy1 = sinon.spy();
+      var spy2 = sinon.spy();
+      var spy3 = sinon.spy();
+      source.loadAsset(stage, { url: "a", rect: rect1 }, spy1);
+      source.loadAsset(stage, { url: "a", rect: rect2 }, spy2);
+      source.loadAsset(stage, { url: "a" }, spy3);
+      source.loadAsset(stage, { url: "b" }, sinon.spy());
+
+      wait.until(function() { return stage.loadImage.callCount === 1; }, function() {
+        assert.strictEqual(stage.pending[0].url, "a");
+        assert.isNull(stage.pending[0].rect);
+
+        var image = canvasAsset(4, 2);
+        var element = image.element();
+        stage.pending[0].done(null, image);
+
+        assert.isTrue(spy3.calledWith(null, { url: "a" }, image));
+        assertCropped(createImageBitmap.getCall(0), element, 0, 0, 2, 2);
+        assertCropped(createImageBitmap.getCall(1), element, 2, 0, 2, 2);
+        assert.strictEqual(stage.loadImage.callCount, 2);
+        assert.strictEqual(stage.pending[1].url, "b");
+
+        wait.until(function() { return spy1.called && spy2.called; }, function() {
+          assert.isTrue(spy1.calledOnce);
+          assert.isTrue(spy2.calledOnce);
+          assert.strictEqual(spy1.firstCall.args[2].width(), 2);
+          assert.strictEqual(spy2.firstCall.args[2].width(), 2);
+          done();
+        });
+      });
+    });
+
+    test('requests for the same rect are cropped by the loader', function(done) {
+      var stage = makePendingStage();
+      var source = makeSource();
+
+      var rect = { x: 0, y: 0, width: 0.5, height: 1 };
+      var spy1 = sinon.spy();
+      var spy2 = sinon.spy();
+      source.loadAsset(stage, { url: "a", rect: rect }, spy1);
+      source.loadAsset(stage, { url: "a", rect: rect }, spy2);
+
+      wait.until(function() { return stage.loadImage.callCount === 1; }, function() {
+        assert.deepEqual(stage.pending[0].rect, rect);
+        var image = canvasAsset(2, 2);
+        stage.pending[0].done(null, image);
+        assert.isTrue(createImageBitmap.notCalled);
+        assert.strictEqual(spy1.firstCall.args[2].element(), image.element());
+        assert.strictEqual(spy2.firstCall.args[2].element(), image.element());
+        done();
+      });
+    });
+
+    test('late request for another rect loads the full image', function(done) {
+      var stage = makePendingStage();
+      var source = makeSource();
+
+      var rect1 = { x: 0, y: 0, width: 0.5, height: 1 };
+      var rect2 = { x: 0.5, y: 0, width: 0.5, height: 1 };
+      var spy1 = sinon.spy();
+      var spy2 = sinon.spy();
+      source.loadAsset(stage, { url: "a", rect: rect1 }, spy1);
+
+      wait.until(function() { return stage.loadImage.callCount === 1; }, function() {
+        assert.deepEqual(stage.pending[0].rect, rect1);
+        source.loadAsset(stage, { url: "a", rect: rect2 }, spy2);
+        wait.until(function() { return stage.loadImage.callCount === 2; }, function() {
+          assert.isTrue(stage.pending[0].cancel.calledOnce);
+          assert.isTrue(spy1.notCalled);
+          assert.isNull(stage.pending[1].rect);
+          stage.pending[1].done(null, canvasAsset(4, 2));
+          assert.strictEqual(createImageBitmap.callCount, 2);
+          wait.until(function() { return spy1.called && spy2.called; }, done);
+        });
+      });
+    });
+
+    test('requests for different rects are not combined without createImageBitmap', function(done) {
+      global.createImageBitmap = undefined;
+
+      var stage = makePendingStage();
+      var source = new ImageUrlSource(function(tile) {
+        return { url: tile.url, rect: tile.rect };
+      }, { concurrency: 2 });
+
+      var rect1 = { x: 0, y: 0, width: 0.5, height: 1 };
+      var rect2 = { x: 0.5, y: 0, width: 0.5, height: 1 };
+      source.loadAsset(stage, { url: "a", rect: rect1 }, sinon.spy());
+      source.loadAsset(stage, { url: "a", rect: rect2 }, sinon.spy());
+
+      wait.until(function() { return stage.loadImage.callCount === 2; }, function() {
+        assert.deepEqual(stage.pending[0].rect, rect1);
+        assert.deepEqual(stage.pending[1].rect, rect2);
+        done();
+      });
+    });
+
+    test('late request joins a started group', function(done) {
+      var stage = makePendingStage();
+      var source = makeSource();
+
+      var spy1 = sinon.spy();
+      var spy2 = sinon.spy();
+      source.loadAsset(stage, { url: "a" }, spy1);
+      source.loadAsset(stage, { url: "b" }, sinon.spy());
+
+      wait.until(function() { return stage.loadImage.callCount === 1; }, function() {
+        source.loadAsset(stage, { url: "a" }, spy2);
+        wait.until(function() { return stage.pending.length === 1 && spy2.notCalled; }, function() {
+          var image = canvasAsset(4, 4);
+          stage.pending[0].done(null, image);
+          assert.strictEqual(stage.loadImage.callCount, 2);
+          assert.strictEqual(stage.pending[1].url, "b");
+
+          // Each request receives an asset of its own for the same image.
+          var asset1 = spy1.firstCall.args[2];
+          var asset2 = spy2.firstCall.args[2];
+          assert.notStrictEqual(asset1, asset2);
+          assert.strictEqual(asset1.element(), asset2.element());
+          asset1.destroy();
+          assert.strictEqual(asset2.width(), 4);
+          done();
+        });
+      });
+    });
+
+    test('cancellation is reference-counted', function(done) {
+      var stage = makePendingStage();
+      var source = makeSource();
+
+      var spy1 = sinon.spy();
+      var spy2 = sinon.spy();
+      var cancel1 = source.loadAsset(stage, { url: "a" }, spy1);
+      var cancel2 = source.loadAsset(stage, { url: "a" }, spy2);
+      source.loadAsset(stage, { url: "b" }, sinon.spy());
+
+      wait.until(function() { return stage.loadImage.callCount === 1; }, function() {
+        cancel1('err1');
+        assert.isTrue(spy1.calledWith('err1'));
+        assert.isFalse(stage.pending[0].cancel.called);
+        assert.strictEqual(stage.loadImage.callCount, 1);
+
+        cancel2('err2');
+        assert.isTrue(stage.pending[0].cancel.calledOnce);
+        assert.isTrue(spy2.calledWith('err2'));
+        assert.isTrue(spy2.calledOnce);
+        assert.strictEqual(stage.loadImage.callCount, 2);
+        assert.strictEqual(stage.pending[1].url, "b");
+        done();
+      });
+    });
+
+    test('cancel queued group', function(done) {
+      var stage = makePendingStage();
+      var source = makeSource();
+
+      source.loadAsset(stage, { url: "a" }, sinon.spy());
+      var spy1 = sinon.spy();
+      var spy2 = sinon.spy();
+      var cancel1 = source.loadAsset(stage, { url: "b" }, spy1);
+      var cancel2 = source.loadAsset(stage, { url: "b" }, spy2);
+
+      wait.until(function() { return stage.loadImage.callCount === 1; }, function() {
+        cancel1('err1');
+        cancel2('err2');
+        assert.isTrue(spy1.calledWith('err1'));
+        assert.isTrue(spy2.calledWith('err2'));
+
+        stage.pending[0].done(null, "asset");
+        assert.strictEqual(stage.loadImage.callCount, 1);
+
+        // A new request for the same URL must not join the cancelled group.
+        source.loadAsset(stage, { url: "b" }, sinon.spy());
+        wait.until(function() { return stage.loadImage.callCount === 2; }, function() {
+          assert.strictEqual(stage.pending[1].url, "b");
+          done();
+        });
+      });
+    });
+
+  });
+
+  suite('priorities', function() {
+
+    // Mock stage whose image loads stay pending until completed by the test,
+    // and which reports tile priorities from a map.
+    function makePrioritizedStage(priorities) {
+      var stage = {
+        log: [],
+        pending: {},
+        tilePriority: function(tile) {
+          return priorities[tile.url];
+        },
+        loadImage: function(url, rect, done) {
+          stage.log.push('load ' + url);
+          stage.pending[url] = done;
+          return function() {
+            stage.log.push('cancel ' + url);
+            delete stage.pending[url];
+            done.apply(null, arguments);
+          };
+        }
+      };
+      return stage;
+    }
+
+    function makeSource() {
+      return new ImageUrlSource(function(tile) {
+        return { url: tile.url };
+      }, { concurrency: 1 });
+    }
+
+    test('load in priority order', function(done) {
+      var stage = makePrioritizedStage({ a: 0, b: 0.3, c: 0.1 });
+      var source = makeSource();
+
+      source.loadAsset(stage, { url: "a" }, sinon.spy());
+      source.loadAsset(stage, { url: "b" }, sinon.spy());
+      source.loadAsset(stage, { url: "c" }, sinon.spy());
+
+      wait.until(function() { return stage.log.length === 1; }, function() {
+        stage.pending.a(null, "asset");
+        assert.deepEqual(stage.log, ['load a', 'load c']);
+        stage.pending.c(null, "asset");
+        assert.deepEqual(stage.log, ['load a', 'load c', 'load b']);
+        done();
+      });
+    });
+
+    test('demote outranked request', function(done) {
+      var priorities = { a: 0.1, b: 0.2 };
+      var stage = makePrioritizedStage(priorities);
+      var source = makeSource();
+
+      var spyA = sinon.spy();
+      var spyB = sinon.spy();
+      source.loadAsset(stage, { url: "a" }, spyA);
+      source.loadAsset(stage, { url: "b" }, spyB);
+
+      wait.until(function() { return stage.log.length === 1; }, function() {
+        // The view moves, so that the request in progress is no longer urgent.
+        priorities.a = 2.1;
+        source.reprioritize();
+        assert.deepEqual(stage.log, ['load a', 'cancel a', 'load b']);
+        assert.isTrue(spyA.notCalled);
+
+        stage.pending.b(null, "asset-b");
+        assert.isTrue(spyB.calledWith(null, { url: "b" }, "asset-b"));
+        assert.deepEqual(stage.log, ['load a', 'cancel a', 'load b', 'load a']);
+
+        stage.pending.a(null, "asset-a");
+        assert.isTrue(spyA.calledOnce);
+        assert.isTrue(spyA.calledWith(null, { url: "a" }, "asset-a"));
+        done();
+      });
+    });
+
+  });
+
+  test('give up on not found', function(done) {
+    var stage = {
+      loadImage: function(url, rect, done) {
+        done(new NotFoundError('not found', 404));
+        return function() {};
+      }
+    };
+
+    var source = new ImageUrlSource(function() { return { url: "url" }; });
+    var networkErrorSpy = sinon.spy();
+    source.addEventListener('networkError', networkErrorSpy);
+
+    source.loadAsset(stage, "tile", function(err, tile) {
+      assert.instanceOf(err, NotFoundError);
+      assert.isTrue(err.permanent);
+      assert.strictEqual(tile, "tile");
+      assert.isTrue(networkErrorSpy.calledOnce);
+      assert.isTrue(networkErrorSpy.calledWithExactly(err, "tile"));
+      done();
+    });
+  });
+
+  test('wait before retrying', function(done) {
+    var failTime = null;
+    var stage = {
+      loadImage: sinon.spy(function(url, rect, done) {
+        if (failTime == null) {
+          failTime = now();
+          done(new ServerError('server error', 503));
+        } else {
+          done(null, "asset");
+        }
+        return function() {};
+      })
+    };
+
+    var source = new ImageUrlSource(function() { return { url: "url" }; },
+        { retryDelay: 50 });
+
+    source.loadAsset(stage, "tile", function(err) {
+      assert.instanceOf(err, ServerError);
+      assert.isNotOk(err.permanent);
+      source.loadAsset(stage, "tile", function(err, tile, asset) {
+        assert.isNull(err);
+        assert.strictEqual(asset, "asset");
+        assert.isTrue(stage.loadImage.calledTwice);
+        assert.isAtLeast(now() - failTime, 40);
+        done();
+      });
+    });
+  });
+
+  test('give up after max attempts', function(done) {
+    var stage = {
+      loadImage: function(url, rect, done) {
+        done(new ServerError('server error', 503));
+        return function() {};
+      }
+    };
+
+    var source = new ImageUrlSource(function() { return { url: "url" }; },
+        { retryDelay: 1, maxAttempts: 2 });
+
+    source.loadAsset(stage, "tile", function(err) {
+      assert.isNotOk(err.permanent);
+      source.loadAsset(stage, "tile", function(err) {
+        assert.instanceOf(err, ServerError);
+        assert.isTrue(err.permanent);
+        done();
+      });
+    });
+  });
+
+  test('retry delay backoff', function() {
+    var source = new ImageUrlSource(function() {},
+        { retryDelay: 100, retryBackoff: 2, maxRetryDelay: 500 });
+    assert.strictEqual(source._retryDelayAfter(1), 100);
+    assert.strictEqual(source._retryDelayAfter(2), 200);
+    assert.strictEqual(source._retryDelayAfter(3), 400);
+    assert.strictEqual(source._retryDelayAfter(4), 500);
+  });
+
+  test('retry delay jitter', function() {
+    var random = sinon.stub(Math, 'random').returns(0.5);
+    try {
+      var source = new ImageUrlSource(function() {},
+          { retryDelay: 100, retryJitter: 0.5 });
+      assert.strictEqual(source._retryDelayAfter(1), 75);
+    } finally {
+      random.restore();
+    }
+  });
 });
@@ -0,0 +1,516 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+sinon.assert.expose(assert, {prefix: ''});
+
+var ProceduralSource = require('../../../src/sources/Procedural');
+var proceduralWorker = require('../../../src/sources/proceduralWorker');
+var FlatGeometry = require('../../../src/geometries/Flat');
+var global = require('../../../src/util/global');
+
+function MockBitmap(width, height) {
+  this.width = width;
+  this.height = height;
+  this.close = sinon.spy();
+}
+
+function MockOffscreenCanvas(width, height) {
+  this.width = width;
+  this.height = height;
+  this.bitmap = new MockBitmap(width, height);
+}
+
+MockOffscreenCanvas.prototype.transferToImageBitmap = function() {
+  return this.bitmap;
+};
+
+// A fake worker global scope, running the worker body on the main thread.
+function createScope(draw) {
+  var scope = {
+    OffscreenCanvas: MockOffscreenCanvas,
+    Promise: global.Promise,
+    postMessage: sinon.spy()
+  };
+  proceduralWorker(scope, draw);
+  scope.send = function(data) {
+    scope.onmessage({ data: data });
+  };
+  return scope;
+}
+
+// A fake Worker that records the messages posted to it.
+function MockWorker(url) {
+  this.url = url;
+  this.messages = [];
+  this.listeners = {};
+  this.terminate = sinon.spy();
+  MockWorker.instances.push(this);
+}
+
+MockWorker.prototype.postMessage = function(data) {
+  this.messages.push(data);
+};
+
+MockWorker.prototype.addEventListener = function(type, fn) {
+  this.listeners[type] = fn;
+};
+
+MockWorker.prototype.reply = function(data) {
+  this.listeners.message({ data: data });
+};
+
+var geometry = new FlatGeometry([
+  { width: 512, height: 384, tileWidth: 256, tileHeight: 256 }
+]);
+
+function getTile(x, y) {
+  return new FlatGeometry.Tile(x, y, 0, geometry);
+}
+
+function load(source, tile, done) {
+  return source.loadAsset(null, tile, done);
+}
+
+suite('proceduralWorker', function() {
+
+  function lastMessage(scope, done) {
+    setTimeout(function() {
+      assert.isTrue(scope.postMessage.calledOnce);
+      done(scope.postMessage.firstCall.args[0], scope.postMessage.firstCall.args[1]);
+    }, 10);
+  }
+
+  var tile = { x: 1, y: 0, z: 0, width: 256, height: 128 };
+
+  test('draws tile', function(done) {
+    var draw = sinon.spy();
+    var scope = createScope(draw);
+    scope.send({ type: 'draw', id: 1, tile: tile });
+    lastMessage(scope, function(msg, transfer) {
+      var canvas = draw.firstCall.args[1];
+      assert.strictEqual(draw.firstCall.args[0], tile);
+      assert.strictEqual(canvas.width, 256);
+      assert.strictEqual(canvas.height, 128);
+      assert.deepEqual(msg, { id: 1, bitmap: canvas.bitmap });
+      assert.deepEqual(transfer, [canvas.bitmap]);
+      done();
+    });
+  });
+
+  test('waits for promise', function(done) {
+    var resolve;
+    var scope = createScope(function() {
+      return new global.Promise(function(r) { resolve = r; });
+    });
+    scope.send({ type: 'draw', id: 1, tile: tile });
+    setTimeout(function() {
+      assert.isTrue(scope.postMessage.notCalled);
+      resolve();
+      lastMessage(scope, function(msg) {
+        assert.property(msg, 'bitmap');
+        done();
+      });
+    }, 10);
+  });
+
+  test('draw error', function(done) {
+    var scope = createScope(function() {
+      throw new Error('oops');
+    });
+    scope.send({ type: 'draw', id: 1, tile: tile });
+    lastMessage(scope, function(msg) {
+      assert.deepEqual(msg, { id: 1, error: 'oops' });
+      done();
+    });
+  });
+
+  test('cancel', function(done) {
+    var resolve;
+    var canvas;
+    var scope = createScope(function(tile, c) {
+      canvas = c;
+      return new global.Promise(function(r) { resolve = r; });
+    });
+    scope.send({ type: 'draw', id: 1, tile: tile });
+    scope.send({ type: 'cancel', id: 1 });
+    resolve();
+    setTimeout(function() {
+      assert.isTrue(scope.postMessage.notCalled);
+      assert.isTrue(canvas.bitmap.close.notCalled);
+      done();
+    }, 10);
+  });
+
+});
+
+suite('ProceduralSource', function() {
+
+  test('draw function is required', function() {
+    assert.throws(function() {
+      new ProceduralSource();
+    });
+  });
+
+  test('draws tile', function(done) {
+    var draw = sinon.spy();
+    var source = new ProceduralSource(draw);
+    var tile = getTile(1, 1);
+    load(source, tile, function(err, loadedTile, asset) {
+      assert.isNull(err);
+      assert.strictEqual(loadedTile, tile);
+      assert.isTrue(asset.isDynamic());
+      assert.calledOnce(draw);
+      assert.strictEqual(draw.firstCall.args[0], tile);
+      assert.strictEqual(draw.firstCall.args[1], asset.element());
+      assert.strictEqual(asset.width(), 256);
+      assert.strictEqual(asset.height(), 128);
+      done();
+    });
+  });
+
+  test('waits for promise', function(done) {
+    var resolve;
+    var source = new ProceduralSource(function() {
+      return new global.Promise(function(r) { resolve = r; });
+    });
+    var spy = sinon.spy();
+    load(source, getTile(0, 0), spy);
+    setTimeout(function() {
+      assert.notCalled(spy);
+      resolve();
+      setTimeout(function() {
+        assert.calledOnce(spy);
+        assert.isNull(spy.firstCall.args[0]);
+        done();
+      }, 10);
+    }, 10);
+  });
+
+  test('draw error is permanent', function(done) {
+    var source = new ProceduralSource(function() {
+      throw new Error('oops');
+    });
+    load(source, getTile(0, 0), function(err, tile, asset) {
+      assert.strictEqual(err.message, 'oops');
+      assert.isTrue(err.permanent);
+      assert.isUndefined(asset);
+      done();
+    });
+  });
+
+  test('rejected promise is permanent', function(done) {
+    var source = new ProceduralSource(function() {
+      return global.Promise.reject('oops');
+    });
+    load(source, getTile(0, 0), function(err) {
+      assert.instanceOf(err, Error);
+      assert.isTrue(err.permanent);
+      done();
+    });
+  });
+
+  test('cancel', function(done) {
+    var draw = sinon.spy();
+    var source = new ProceduralSource(draw);
+    var spy = sinon.spy();
+    var cancel = load(source, getTile(0, 0), spy);
+    cancel('err');
+    assert.calledOnce(spy);
+    assert.calledWithExactly(spy, 'err');
+    setTimeout(function() {
+      assert.notCalled(draw);
+      assert.calledOnce(spy);
+      done();
+    }, 10);
+  });
+
+  test('reuses canvases', function(done) {
+    var source = new ProceduralSource(function() {});
+    load(source, getTile(0, 0), function(err, tile, asset1) {
+      var canvas = asset1.element();
+      asset1.destroy();
+      load(source, getTile(1, 1), function(err, tile, asset2) {
+        assert.strictEqual(asset2.element(), canvas);
+        assert.strictEqual(canvas.width, 256);
+        assert.strictEqual(canvas.height, 128);
+        done();
+      });
+    });
+  });
+
+  test('pool size', function(done) {
+    var source = new ProceduralSource(function() {}, { poolSize: 0 });
+    load(source, getTile(0, 0), function(err, tile, asset1) {
+      var canvas = asset1.element();
+      asset1.destroy();
+      load(source, getTile(0, 0), function(err, tile, asset2) {
+        assert.notStrictEqual(asset2.element(), canvas);
+        done();
+      });
+    });
+  });
+
+  test('invalidate', function(done) {
+    var draw = sinon.spy();
+    var source = new ProceduralSource(draw);
+    var tile = getTile(0, 0);
+    load(source, tile, function(err, loadedTile, asset) {
+      var canvas = asset.element();
+      var timestamp = asset.timestamp();
+      var changeSpy = sinon.spy();
+      asset.addEventListener('change', changeSpy);
+
+      // Invalidate with a different but equal tile object.
+      source.invalidate(getTile(0, 0));
+
+      // The previous contents are kept until the redrawing is complete.
+      assert.strictEqual(asset.element(), canvas);
+      setTimeout(function() {
+        assert.calledTwice(draw);
+        assert.notStrictEqual(asset.element(), canvas);
+        assert.strictEqual(draw.secondCall.args[1], asset.element());
+        assert.strictEqual(asset.timestamp(), timestamp + 1);
+        assert.calledOnce(changeSpy);
+        done();
+      }, 10);
+    });
+  });
+
+  test('invalidate keeps previous contents on error', function(done) {
+    var fail = false;
+    var source = new ProceduralSource(function() {
+      if (fail) {
+        throw new Error('oops');
+      }
+    });
+    var tile = getTile(0, 0);
+    load(source, tile, function(err, loadedTile, asset) {
+      var canvas = asset.element();
+      var timestamp = asset.timestamp();
+      fail = true;
+      source.invalidate(tile);
+      setTimeout(function() {
+        assert.strictEqual(asset.element(), canvas);
+        assert.strictEqual(asset.timestamp(), timestamp);
+        done();
+      }, 10);
+    });
+  });
+
+  test('invalidate while loading', function(done) {
+    var draw = sinon.spy();
+    var source = new ProceduralSource(draw);
+    var tile = getTile(0, 0);
+    load(source, tile, function(err, loadedTile, asset) {
+      var timestamp = asset.timestamp();
+      setTimeout(function() {
+        assert.calledTwice(draw);
+        assert.strictEqual(asset.timestamp(), timestamp + 1);
+        done();
+      }, 10);
+    });
+    source.invalidate(tile);
+  });
+
+  test('invalidate unloaded tile', function(done) {
+    var draw = sinon.spy();
+    var source = new ProceduralSource(draw);
+    source.invalidate(getTile(0, 0));
+    setTimeout(function() {
+      assert.notCalled(draw);
+      done();
+    }, 10);
+  });
+
+  test('invalidate destroyed tile', function(done) {
+    var draw = sinon.spy();
+    var source = new ProceduralSource(draw);
+    var tile = getTile(0, 0);
+    load(source, tile, function(err, loadedTile, asset) {
+      asset.destroy();
+      source.invalidate(tile);
+      setTimeout(function() {
+        assert.calledOnce(draw);
+        done();
+      }, 10);
+    });
+  });
+
+  test('invalidate all', function(done) {
+    var draw = sinon.spy();
+    var source = new ProceduralSource(draw);
+    load(source, getTile(0, 0), function() {
+      load(source, getTile(1, 0), function() {
+        draw.resetHistory();
+        source.invalidateAll(function(tile) {
+          return tile.x === 1;
+        });
+        setTimeout(function() {
+          assert.calledOnce(draw);
+          assert.strictEqual(draw.firstCall.args[0].x, 1);
+          source.invalidateAll();
+          setTimeout(function() {
+            assert.calledThrice(draw);
+            done();
+          }, 10);
+        }, 10);
+      });
+    });
+  });
+
+  test('falls back to the main thread when workers are unsupported', function(done) {
+    var originalWorker = global.Worker;
+    global.Worker = undefined;
+    var draw = sinon.spy();
+    var source;
+    try {
+      source = new ProceduralSource(draw, { worker: true });
+    } finally {
+      global.Worker = originalWorker;
+    }
+    load(source, getTile(1, 1), function(err) {
+      assert.isNull(err);
+      assert.deepEqual(draw.firstCall.args[0], {
+        x: 1, y: 1, z: 0, width: 256, height: 128,
+        levelWidth: 512, levelHeight: 384
+      });
+      done();
+    });
+  });
+
+  suite('worker', function() {
+
+    var originalWorker;
+    var originalOffscreenCanvas;
+    var createObjectURL;
+    var revokeObjectURL;
+    var drawImage;
+
+    setup(function() {
+      MockWorker.instances = [];
+      originalWorker = global.Worker;
+      originalOffscreenCanvas = global.OffscreenCanvas;
+      global.Worker = MockWorker;
+      global.OffscreenCanvas = MockOffscreenCanvas;
+      createObjectURL = sinon.stub(global.URL, 'createObjectURL').returns('blob:worker');
+      revokeObjectURL = sinon.stub(global.URL, 'revokeObjectURL');
+
+      // Capture the copies made into the tile canvases.
+      drawImage = sinon.spy();
+      var createElement = document.createElement;
+      sinon.stub(document, 'createElement').callsFake(function(tagName) {
+        var element = createElement.call(document, tagName);
+        element.getContext = function() {
+          return { drawImage: drawImage };
+        };
+        return element;
+      });
+    });
+
+    teardown(function() {
+      global.Worker = originalWorker;
+      global.OffscreenCanvas = originalOffscreenCanvas;
+      createObjectURL.restore();
+      revokeObjectURL.restore();
+      document.createElement.restore();
+    });
+
+    function draw(tile, canvas) {
+      canvas.getContext('2d').fillRect(0, 0, tile.width, tile.height);
+    }
+
+    test('draws in worker', function(done) {
+      var source = new ProceduralSource(draw, { worker: true });
+      assert.lengthOf(MockWorker.instances, 0);
+
+      load(source, getTile(1, 1), function(err, tile, asset) {
+        assert.isNull(err);
+        assert.calledWith(drawImage, bitmap, 0, 0);
+        assert.calledOnce(bitmap.close);
+        assert.strictEqual(asset.width(), 256);
+        assert.strictEqual(asset.height(), 128);
+        done();
+      });
+
+      assert.lengthOf(MockWorker.instances, 1);
+      var worker = MockWorker.instances[0];
+      assert.strictEqual(worker.url, 'blob:worker');
+      var blob = createObjectURL.firstCall.args[0];
+      assert.strictEqual(blob.type, 'application/javascript');
+
+      var msg = worker.messages[0];
+      assert.strictEqual(msg.type, 'draw');
+      assert.deepEqual(msg.tile, {
+        x: 1, y: 1, z: 0, width: 256, height: 128,
+        levelWidth: 512, levelHeight: 384
+      });
+      var bitmap = new MockBitmap(256, 128);
+      worker.reply({ id: msg.id, bitmap: bitmap });
+    });
+
+    test('draw error', function(done) {
+      var source = new ProceduralSource(draw, { worker: true });
+      load(source, getTile(0, 0), function(err) {
+        assert.strictEqual(err.message, 'oops');
+        assert.isTrue(err.permanent);
+        done();
+      });
+      var worker = MockWorker.instances[0];
+      worker.reply({ id: worker.messages[0].id, error: 'oops' });
+    });
+
+    test('cancel', function() {
+      var source = new ProceduralSource(draw, { worker: true });
+      var spy = sinon.spy();
+      var cancel = load(source, getTile(0, 0), spy);
+      var worker = MockWorker.instances[0];
+      var id = worker.messages[0].id;
+      cancel('err');
+
+      assert.deepEqual(worker.messages[1], { type: 'cancel', id: id });
+      assert.calledWithExactly(spy, 'err');
+
+      // A late reply is discarded.
+      var bitmap = new MockBitmap(256, 256);
+      worker.reply({ id: id, bitmap: bitmap });
+      assert.calledOnce(bitmap.close);
+      assert.calledOnce(spy);
+    });
+
+    test('worker failure', function(done) {
+      var source = new ProceduralSource(draw, { worker: true });
+      load(source, getTile(0, 0), function(err) {
+        assert.instanceOf(err, Error);
+        done();
+      });
+      MockWorker.instances[0].listeners.error({ message: 'syntax error' });
+    });
+
+    test('destroy', function() {
+      var source = new ProceduralSource(draw, { worker: true });
+      load(source, getTile(0, 0), function() {});
+      var worker = MockWorker.instances[0];
+      source.destroy();
+      assert.calledOnce(worker.terminate);
+      assert.calledWith(revokeObjectURL, 'blob:worker');
+    });
+
+  });
+
+});
@@ -0,0 +1,161 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+sinon.assert.expose(assert, {prefix: ''});
+
+var eventEmitter = require('minimal-event-emitter');
+
+var VideoSource = require('../../../src/sources/Video');
+
+// A mock video asset with the given frame size.
+function MockVideoAsset(width, height) {
+  this._width = width;
+  this._height = height;
+  this._element = {};
+  this.destroy = sinon.spy();
+}
+
+eventEmitter(MockVideoAsset);
+
+MockVideoAsset.prototype.element = function() {
+  return this._element;
+};
+
+MockVideoAsset.prototype.width = function() {
+  return this._width;
+};
+
+MockVideoAsset.prototype.height = function() {
+  return this._height;
+};
+
+MockVideoAsset.prototype.timestamp = function() {
+  return 0;
+};
+
+suite('VideoSource', function() {
+
+  function loadAsset(source, tile, done) {
+    source.loadAsset(null, tile, function(err, loadedTile, asset) {
+      assert.isNull(err);
+      assert.strictEqual(loadedTile, tile);
+      done(asset);
+    });
+  }
+
+  test('equirect tile', function(done) {
+    var videoAsset = new MockVideoAsset(300, 200);
+    var source = new VideoSource(videoAsset);
+    loadAsset(source, { z: 0 }, function(asset) {
+      assert.isTrue(asset.isDynamic());
+      assert.strictEqual(asset.element(), videoAsset.element());
+      assert.strictEqual(asset.width(), 300);
+      assert.strictEqual(asset.height(), 200);
+      assert.isNull(asset.textureRect());
+
+      var spy = sinon.spy();
+      asset.addEventListener('change', spy);
+      videoAsset.emit('change');
+      assert.calledOnce(spy);
+      done();
+    });
+  });
+
+  test('cube face', function(done) {
+    var videoAsset = new MockVideoAsset(300, 200);
+    var source = new VideoSource(videoAsset);
+    loadAsset(source, { face: 'd', z: 0 }, function(asset) {
+      assert.isTrue(asset.isDynamic());
+      assert.strictEqual(asset.sharedAsset(), videoAsset);
+      assert.strictEqual(asset.element(), videoAsset.element());
+      // The default face order is 'rludfb' in three columns, so the bottom
+      // face is the first one in the second row.
+      assert.deepEqual(asset.textureRect(),
+          { x: 0, y: 0.5, width: 1/3, height: 0.5 });
+      done();
+    });
+  });
+
+  test('custom face layout', function(done) {
+    var videoAsset = new MockVideoAsset(600, 100);
+    var source = new VideoSource(videoAsset, { faceOrder: 'fudlrb', columns: 6 });
+    loadAsset(source, { face: 'l', z: 0 }, function(asset) {
+      assert.deepEqual(asset.textureRect(),
+          { x: 0.5, y: 0, width: 1/6, height: 1 });
+      done();
+    });
+  });
+
+  test('cube faces change with the video', function(done) {
+    var videoAsset = new MockVideoAsset(300, 200);
+    var source = new VideoSource(videoAsset);
+    loadAsset(source, { face: 'f', z: 0 }, function(asset) {
+      var spy = sinon.spy();
+      asset.addEventListener('change', spy);
+      videoAsset.emit('change');
+      assert.calledOnce(spy);
+      done();
+    });
+  });
+
+  test('cube faces share the video', function(done) {
+    var videoAsset = new MockVideoAsset(300, 200);
+    var source = new VideoSource(videoAsset);
+    loadAsset(source, { face: 'u', z: 0 }, function(asset1) {
+      loadAsset(source, { face: 'f', z: 0 }, function(asset2) {
+        assert.notStrictEqual(asset1, asset2);
+        assert.strictEqual(asset1.sharedAsset(), videoAsset);
+        assert.strictEqual(asset2.sharedAsset(), videoAsset);
+        assert.notDeepEqual(asset1.textureRect(), asset2.textureRect());
+        done();
+      });
+    });
+  });
+
+  test('unloading a tile does not destroy the video', function(done) {
+    var videoAsset = new MockVideoAsset(300, 200);
+    var source = new VideoSource(videoAsset);
+    loadAsset(source, { face: 'f', z: 0 }, function(asset) {
+      var spy = sinon.spy();
+      asset.addEventListener('change', spy);
+      asset.destroy();
+      assert.notCalled(videoAsset.destroy);
+      videoAsset.emit('change');
+      assert.notCalled(spy);
+      done();
+    });
+  });
+
+  test('invalid face order', function() {
+    assert.throws(function() {
+      new VideoSource(new MockVideoAsset(300, 200), { faceOrder: 'fudl' });
+    });
+  });
+
+  test('destroy does not destroy the video', function(done) {
+    var videoAsset = new MockVideoAsset(300, 200);
+    var source = new VideoSource(videoAsset);
+    loadAsset(source, { face: 'f', z: 0 }, function() {
+      source.destroy();
+      assert.notCalled(videoAsset.destroy);
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,271 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var imagePyramids = require('../../../src/sources/imagePyramids');
+var FlatGeometry = require('../../../src/geometries/Flat');
+var ImageUrlSource = require('../../../src/sources/ImageUrl');
+var NotFoundError = require('../../../src/NotFoundError');
+var global = require('../../../src/util/global');
+
+var dziXml =
+  '<?xml version="1.0" encoding="UTF-8"?>' +
+  '<Image xmlns="http://schemas.microsoft.com/deepzoom/2008"' +
+  ' Format="jpg" Overlap="1" TileSize="254">' +
+  '<Size Width="1000" Height="600"/>' +
+  '</Image>';
+
+var zoomifyXml =
+  '<IMAGE_PROPERTIES WIDTH="6000" HEIGHT="4000" NUMTILES="513"' +
+  ' NUMIMAGES="1" VERSION="1.8" TILESIZE="256" />';
+
+var iiifInfo = {
+  '@context': 'http://iiif.io/api/image/2/context.json',
+  '@id': 'https://example.org/iiif/abc',
+  width: 6000,
+  height: 4000,
+  tiles: [{ width: 512, scaleFactors: [1, 2, 4, 8, 16] }]
+};
+
+function tileUrl(pyramid, x, y, z) {
+  var geometry = new FlatGeometry(pyramid.levelList);
+  return pyramid.sourceFromTile(new FlatGeometry.Tile(x, y, z, geometry));
+}
+
+suite('imagePyramids', function() {
+
+  suite('deepZoom', function() {
+
+    test('levels', function() {
+      var pyramid = imagePyramids.deepZoom(dziXml, 'http://host/path/image.dzi');
+      assert.deepEqual(pyramid.levelList, [
+        { width: 250, height: 150, tileWidth: 254, tileHeight: 254 },
+        { width: 500, height: 300, tileWidth: 254, tileHeight: 254 },
+        { width: 1000, height: 600, tileWidth: 254, tileHeight: 254 }
+      ]);
+    });
+
+    test('interior tile', function() {
+      var pyramid = imagePyramids.deepZoom(dziXml, 'http://host/path/image.dzi');
+      var result = tileUrl(pyramid, 1, 0, 2);
+      assert.strictEqual(result.url, 'http://host/path/image_files/10/1_0.jpg');
+      assert.deepEqual(result.rect,
+          { x: 1/256, y: 0, width: 254/256, height: 254/255 });
+    });
+
+    test('edge tile', function() {
+      var pyramid = imagePyramids.deepZoom(dziXml, 'http://host/path/image.dzi');
+      var result = tileUrl(pyramid, 3, 2, 2);
+      assert.strictEqual(result.url, 'http://host/path/image_files/10/3_2.jpg');
+      assert.deepEqual(result.rect,
+          { x: 1/239, y: 1/93, width: 238/239, height: 92/93 });
+    });
+
+    test('no overlap', function() {
+      var xml = dziXml.replace('Overlap="1"', 'Overlap="0"');
+      var pyramid = imagePyramids.deepZoom(xml, 'image.dzi');
+      assert.deepEqual(tileUrl(pyramid, 0, 0, 0), { url: 'image_files/8/0_0.jpg' });
+    });
+
+    test('json descriptor', function() {
+      var json = JSON.stringify({
+        Image: {
+          Url: 'http://tiles/image_files',
+          Format: 'png',
+          Overlap: '0',
+          TileSize: '256',
+          Size: { Width: '512', Height: '256' }
+        }
+      });
+      var pyramid = imagePyramids.deepZoom(json, 'http://host/image.js');
+      assert.lengthOf(pyramid.levelList, 2);
+      assert.strictEqual(tileUrl(pyramid, 1, 0, 1).url,
+          'http://tiles/image_files/9/1_0.png');
+    });
+
+    test('malformed descriptor', function() {
+      assert.throws(function() {
+        imagePyramids.deepZoom('<Image Format="jpg"/>', 'image.dzi');
+      }, /Malformed/);
+    });
+
+  });
+
+  suite('iiif', function() {
+
+    test('levels', function() {
+      var pyramid = imagePyramids.iiif(iiifInfo);
+      assert.lengthOf(pyramid.levelList, 5);
+      assert.deepEqual(pyramid.levelList[0],
+          { width: 375, height: 250, tileWidth: 512, tileHeight: 512 });
+      assert.deepEqual(pyramid.levelList[4],
+          { width: 6000, height: 4000, tileWidth: 512, tileHeight: 512 });
+    });
+
+    test('full region', function() {
+      var pyramid = imagePyramids.iiif(JSON.stringify(iiifInfo));
+      assert.strictEqual(tileUrl(pyramid, 0, 0, 0).url,
+          'https://example.org/iiif/abc/full/375,/0/default.jpg');
+    });
+
+    test('scaled tile', function() {
+      var pyramid = imagePyramids.iiif(iiifInfo);
+      assert.strictEqual(tileUrl(pyramid, 1, 0, 3).url,
+          'https://example.org/iiif/abc/1024,0,1024,1024/512,/0/default.jpg');
+    });
+
+    test('edge tile', function() {
+      var pyramid = imagePyramids.iiif(iiifInfo);
+      assert.strictEqual(tileUrl(pyramid, 11, 7, 4).url,
+          'https://example.org/iiif/abc/5632,3584,368,416/368,/0/default.jpg');
+    });
+
+    test('version 3', function() {
+      var pyramid = imagePyramids.iiif({
+        '@context': 'http://iiif.io/api/image/3/context.json',
+        id: 'https://example.org/iiif/abc/',
+        width: 6000,
+        height: 4000,
+        preferredFormats: ['webp'],
+        tiles: [{ width: 512, height: 256, scaleFactors: [1, 2] }]
+      });
+      assert.strictEqual(tileUrl(pyramid, 11, 15, 1).url,
+          'https://example.org/iiif/abc/5632,3840,368,160/368,160/0/default.webp');
+    });
+
+    test('format option', function() {
+      var pyramid = imagePyramids.iiif(iiifInfo, { format: 'png' });
+      assert.match(tileUrl(pyramid, 0, 0, 0).url, /default\.png$/);
+    });
+
+    test('malformed descriptor', function() {
+      assert.throws(function() {
+        imagePyramids.iiif({ '@id': 'x', width: 100, height: 100 });
+      }, /Malformed/);
+    });
+
+  });
+
+  suite('zoomify', function() {
+
+    test('levels', function() {
+      var pyramid = imagePyramids.zoomify(zoomifyXml, 'http://host/image/ImageProperties.xml');
+      assert.lengthOf(pyramid.levelList, 6);
+      assert.deepEqual(pyramid.levelList[0],
+          { width: 188, height: 125, tileWidth: 256, tileHeight: 256 });
+      assert.deepEqual(pyramid.levelList[5],
+          { width: 6000, height: 4000, tileWidth: 256, tileHeight: 256 });
+    });
+
+    test('tile groups', function() {
+      var pyramid = imagePyramids.zoomify(zoomifyXml, 'http://host/image/ImageProperties.xml');
+      assert.strictEqual(tileUrl(pyramid, 0, 0, 0).url,
+          'http://host/image/TileGroup0/0-0-0.jpg');
+      assert.strictEqual(tileUrl(pyramid, 6, 5, 5).url,
+          'http://host/image/TileGroup0/5-6-5.jpg');
+      assert.strictEqual(tileUrl(pyramid, 7, 5, 5).url,
+          'http://host/image/TileGroup1/5-7-5.jpg');
+      assert.strictEqual(tileUrl(pyramid, 23, 15, 5).url,
+          'http://host/image/TileGroup2/5-23-15.jpg');
+    });
+
+    test('malformed descriptor', function() {
+      assert.throws(function() {
+        imagePyramids.zoomify('<IMAGE_PROPERTIES WIDTH="100" />', 'x');
+      }, /Malformed/);
+    });
+
+  });
+
+  suite('parse', function() {
+
+    test('detects the format', function() {
+      var url = 'http://host/image/ImageProperties.xml';
+      assert.deepEqual(imagePyramids.parse(dziXml, url).levelList,
+          imagePyramids.deepZoom(dziXml, url).levelList);
+      assert.deepEqual(imagePyramids.parse(zoomifyXml, url).levelList,
+          imagePyramids.zoomify(zoomifyXml, url).levelList);
+      assert.deepEqual(imagePyramids.parse(JSON.stringify(iiifInfo), url).levelList,
+          imagePyramids.iiif(iiifInfo).levelList);
+    });
+
+    test('unrecognized format', function() {
+      assert.throws(function() {
+        imagePyramids.parse('<html></html>', 'x');
+      }, /Unrecognized/);
+    });
+
+  });
+
+  suite('load', function() {
+
+    var fetch;
+
+    setup(function() {
+      fetch = sinon.stub(global, 'fetch');
+    });
+
+    teardown(function() {
+      fetch.restore();
+    });
+
+    test('creates geometry and source', function(done) {
+      fetch.resolves({ ok: true, text: sinon.stub().resolves(dziXml) });
+      imagePyramids.load('http://host/image.dzi', null, function(err, result) {
+        assert.isNull(err);
+        assert.instanceOf(result.geometry, FlatGeometry);
+        assert.instanceOf(result.source, ImageUrlSource);
+        assert.lengthOf(result.geometry.levelList, 3);
+        done();
+      });
+    });
+
+    test('http error', function(done) {
+      fetch.resolves({ ok: false, status: 404 });
+      imagePyramids.load('http://host/image.dzi', null, function(err, result) {
+        assert.instanceOf(err, NotFoundError);
+        assert.isUndefined(result);
+        done();
+      });
+    });
+
+    test('parse error', function(done) {
+      fetch.resolves({ ok: true, text: sinon.stub().resolves('garbage') });
+      imagePyramids.load('http://host/image.dzi', null, function(err) {
+        assert.match(err.message, /Unrecognized/);
+        done();
+      });
+    });
+
+    test('cancel', function(done) {
+      fetch.resolves({ ok: true, text: sinon.stub().resolves(dziXml) });
+      var spy = sinon.spy();
+      var cancel = imagePyramids.load('http://host/image.dzi', null, spy);
+      cancel('err');
+      assert.isTrue(spy.calledOnce);
+      assert.isTrue(spy.calledWithExactly('err'));
+      setTimeout(function() {
+        assert.isTrue(spy.calledOnce);
+        done();
+      }, 10);
+    });
+
+  });
+
+});
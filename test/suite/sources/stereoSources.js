@@ -0,0 +1,100 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+
+var stereoSources = require('../../../src/sources/stereoSources');
+
+function sourceFor(source, tile) {
+  return source._sourceFromTile(tile);
+}
+
+suite('stereoSources', function() {
+
+  suite('equirect', function() {
+
+    var tile = { z: 0, x: 0, y: 0 };
+
+    test('top bottom', function() {
+      var sources = stereoSources.equirect('pano.jpg');
+      assert.deepEqual(sourceFor(sources.left, tile), {
+        url: 'pano.jpg', rect: { x: 0, y: 0, width: 1, height: 0.5 }
+      });
+      assert.deepEqual(sourceFor(sources.right, tile), {
+        url: 'pano.jpg', rect: { x: 0, y: 0.5, width: 1, height: 0.5 }
+      });
+    });
+
+    test('left right', function() {
+      var sources = stereoSources.equirect('pano.jpg', { layout: 'leftRight' });
+      assert.deepEqual(sourceFor(sources.left, tile).rect,
+          { x: 0, y: 0, width: 0.5, height: 1 });
+      assert.deepEqual(sourceFor(sources.right, tile).rect,
+          { x: 0.5, y: 0, width: 0.5, height: 1 });
+    });
+
+    test('swap eyes', function() {
+      var sources = stereoSources.equirect('pano.jpg', { swapEyes: true });
+      assert.deepEqual(sourceFor(sources.left, tile).rect,
+          { x: 0, y: 0.5, width: 1, height: 0.5 });
+      assert.deepEqual(sourceFor(sources.right, tile).rect,
+          { x: 0, y: 0, width: 1, height: 0.5 });
+    });
+
+    test('template url', function() {
+      var sources = stereoSources.equirect('{z}/{x}_{y}.jpg');
+      assert.strictEqual(sourceFor(sources.left, { z: 1, x: 2, y: 0 }).url, '1/2_0.jpg');
+    });
+
+    test('unknown layout', function() {
+      assert.throws(function() {
+        stereoSources.equirect('pano.jpg', { layout: 'diagonal' });
+      }, /Unknown stereo layout/);
+    });
+
+  });
+
+  suite('cube', function() {
+
+    test('eye placeholder', function() {
+      var sources = stereoSources.cube('{eye}/{f}/{z}/{x}_{y}.jpg');
+      var tile = { face: 'f', z: 1, x: 0, y: 1 };
+      assert.strictEqual(sourceFor(sources.left, tile).url, 'left/f/1/0_1.jpg');
+      assert.strictEqual(sourceFor(sources.right, tile).url, 'right/f/1/0_1.jpg');
+    });
+
+    test('eye names and preview', function() {
+      var sources = stereoSources.cube('{eye}/{f}/{z}.jpg', {
+        eyeNames: { left: 'L', right: 'R' },
+        cubeMapPreviewUrl: '{eye}/preview.jpg'
+      });
+      var previewTile = { face: 'b', z: 0, x: 0, y: 0 };
+      var tile = { face: 'b', z: 1, x: 0, y: 0 };
+      assert.strictEqual(sourceFor(sources.left, previewTile).url, 'L/preview.jpg');
+      assert.strictEqual(sourceFor(sources.right, previewTile).url, 'R/preview.jpg');
+      assert.strictEqual(sourceFor(sources.right, tile).url, 'R/b/1.jpg');
+    });
+
+    test('missing eye placeholder', function() {
+      assert.throws(function() {
+        stereoSources.cube('{f}/{z}/{x}_{y}.jpg');
+      }, /\{eye\} placeholder/);
+    });
+
+  });
+
+});
@@ -0,0 +1,137 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+sinon.assert.expose(assert, {prefix: ''});
+
+var WebGlStage = require('../../../src/stages/WebGl');
+
+// A mock WebGL context recording texture uploads.
+function mockGl() {
+  var gl = {
+    MAX_TEXTURE_SIZE: 'MAX_TEXTURE_SIZE',
+    getParameter: function() { return 4096; }
+  };
+  ['createTexture', 'deleteTexture', 'bindTexture', 'pixelStorei',
+   'texImage2D', 'texSubImage2D', 'texParameteri'].forEach(function(name) {
+    gl[name] = sinon.spy();
+  });
+  gl.createTexture = sinon.spy(function() { return {}; });
+  return gl;
+}
+
+// A stage with just enough state to create textures, without the canvas and
+// context set up by the constructor.
+function mockStage() {
+  var stage = Object.create(WebGlStage.prototype);
+  stage._gl = mockGl();
+  stage._generateMipmaps = false;
+  stage._sharedTextures = [];
+  stage.updateTextureMemory = sinon.spy();
+  return stage;
+}
+
+// A mock asset showing a portion of a shared asset.
+function MockTileAsset(sharedAsset, rect) {
+  this._sharedAsset = sharedAsset;
+  this._rect = rect;
+}
+
+MockTileAsset.prototype.sharedAsset = function() {
+  return this._sharedAsset;
+};
+
+MockTileAsset.prototype.textureRect = function() {
+  return this._rect;
+};
+
+function mockSharedAsset() {
+  var timestamp = 0;
+  return {
+    element: function() { return {}; },
+    width: function() { return 300; },
+    height: function() { return 200; },
+    timestamp: function() { return timestamp; },
+    markDirty: function() { timestamp++; }
+  };
+}
+
+suite('WebGlStage', function() {
+
+  suite('sub-textures', function() {
+
+    var rect1 = { x: 0, y: 0, width: 0.5, height: 1 };
+    var rect2 = { x: 0.5, y: 0, width: 0.5, height: 1 };
+
+    test('share a single texture', function() {
+      var stage = mockStage();
+      var sharedAsset = mockSharedAsset();
+      var asset1 = new MockTileAsset(sharedAsset, rect1);
+      var asset2 = new MockTileAsset(sharedAsset, rect2);
+
+      var texture1 = new WebGlStage.SubTextureClass(stage, 'tile1', asset1);
+      var texture2 = new WebGlStage.SubTextureClass(stage, 'tile2', asset2);
+
+      assert.calledOnce(stage._gl.createTexture);
+      assert.calledOnce(stage._gl.texImage2D);
+      assert.strictEqual(texture1._texture, texture2._texture);
+      assert.strictEqual(texture1._width, 300);
+      assert.strictEqual(texture1._height, 200);
+      assert.strictEqual(texture1._rect, rect1);
+      assert.strictEqual(texture2._rect, rect2);
+      assert.calledOnce(stage.updateTextureMemory);
+      assert.calledWith(stage.updateTextureMemory, 300 * 200 * 4);
+    });
+
+    test('upload each change once', function() {
+      var stage = mockStage();
+      var sharedAsset = mockSharedAsset();
+      var asset1 = new MockTileAsset(sharedAsset, rect1);
+      var asset2 = new MockTileAsset(sharedAsset, rect2);
+      var texture1 = new WebGlStage.SubTextureClass(stage, 'tile1', asset1);
+      var texture2 = new WebGlStage.SubTextureClass(stage, 'tile2', asset2);
+
+      sharedAsset.markDirty();
+      texture1.refresh('tile1', asset1);
+      texture2.refresh('tile2', asset2);
+
+      assert.calledOnce(stage._gl.texSubImage2D);
+    });
+
+    test('destroy the shared texture with the last tile', function() {
+      var stage = mockStage();
+      var sharedAsset = mockSharedAsset();
+      var texture1 = new WebGlStage.SubTextureClass(stage, 'tile1',
+          new MockTileAsset(sharedAsset, rect1));
+      var texture2 = new WebGlStage.SubTextureClass(stage, 'tile2',
+          new MockTileAsset(sharedAsset, rect2));
+      var glTexture = texture1._texture;
+
+      texture1.destroy();
+      assert.notCalled(stage._gl.deleteTexture);
+
+      texture2.destroy();
+      assert.calledOnce(stage._gl.deleteTexture);
+      assert.calledWith(stage._gl.deleteTexture, glTexture);
+      assert.calledWith(stage.updateTextureMemory, -300 * 200 * 4);
+      assert.lengthOf(stage._sharedTextures, 0);
+    });
+
+  });
+
+});
@@ -0,0 +1,149 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+
+var stereo = require('../../src/stereo');
+
+// Applies a row-major color matrix and offset to a color.
+function applyColorEffects(effects, color) {
+  var result = [];
+  for (var i = 0; i < 4; i++) {
+    var sum = effects.colorOffset[i];
+    for (var j = 0; j < 4; j++) {
+      sum += effects.colorMatrix[4*i + j] * color[j];
+    }
+    result.push(sum);
+  }
+  return result;
+}
+
+function assertColorsClose(actual, expected) {
+  for (var i = 0; i < 4; i++) {
+    assert.closeTo(actual[i], expected[i], 1e-6);
+  }
+}
+
+suite('stereo', function() {
+
+  suite('isVisible', function() {
+
+    test('mono', function() {
+      assert.isTrue(stereo.isVisible('mono', 'left'));
+      assert.isFalse(stereo.isVisible('mono', 'right'));
+      assert.isTrue(stereo.isVisible('mono', null));
+    });
+
+    test('stereo', function() {
+      assert.isTrue(stereo.isVisible('sideBySide', 'right'));
+      assert.isTrue(stereo.isVisible('dubois', 'right'));
+    });
+
+  });
+
+  suite('eyeRect', function() {
+
+    var rect = { x: 0.2, y: 0.4, width: 0.6, height: 0.5 };
+
+    test('side by side', function() {
+      assert.deepEqual(stereo.eyeRect('sideBySide', 'left', rect),
+          { x: 0.1, y: 0.4, width: 0.3, height: 0.5 });
+      assert.deepEqual(stereo.eyeRect('sideBySide', 'right', rect),
+          { x: 0.6, y: 0.4, width: 0.3, height: 0.5 });
+    });
+
+    test('over under', function() {
+      assert.deepEqual(stereo.eyeRect('overUnder', 'left', rect),
+          { x: 0.2, y: 0.2, width: 0.6, height: 0.25 });
+      assert.deepEqual(stereo.eyeRect('overUnder', 'right', rect),
+          { x: 0.2, y: 0.7, width: 0.6, height: 0.25 });
+    });
+
+    test('other modes', function() {
+      assert.deepEqual(stereo.eyeRect('mono', 'left', rect), rect);
+      assert.deepEqual(stereo.eyeRect('redCyan', 'right', rect), rect);
+    });
+
+    test('result', function() {
+      var result = {};
+      assert.strictEqual(stereo.eyeRect('sideBySide', 'left', rect, result), result);
+    });
+
+  });
+
+  suite('eyeEffects', function() {
+
+    test('non-anaglyph modes', function() {
+      var effects = { opacity: 0.5 };
+      assert.strictEqual(stereo.eyeEffects('mono', 'left', effects), effects);
+      assert.strictEqual(stereo.eyeEffects('sideBySide', 'right', effects), effects);
+    });
+
+    test('red/cyan', function() {
+      var color = [0.2, 0.4, 0.6, 1];
+      var left = stereo.eyeEffects('redCyan', 'left', {});
+      var right = stereo.eyeEffects('redCyan', 'right', {});
+      assertColorsClose(applyColorEffects(left, color), [0.2, 0, 0, 0]);
+      assertColorsClose(applyColorEffects(right, color), [0, 0.4, 0.6, 1]);
+    });
+
+    test('composes with layer color effects', function() {
+      // Swap the red and blue channels and brighten.
+      var effects = {
+        opacity: 0.5,
+        colorMatrix: [
+          0, 0, 1, 0,
+          0, 1, 0, 0,
+          1, 0, 0, 0,
+          0, 0, 0, 1
+        ],
+        colorOffset: [0.1, 0.1, 0.1, 0]
+      };
+      var color = [0.2, 0.4, 0.6, 1];
+      var left = stereo.eyeEffects('redCyan', 'left', effects);
+      var right = stereo.eyeEffects('redCyan', 'right', effects);
+      assert.strictEqual(left.opacity, 0.5);
+      assertColorsClose(applyColorEffects(left, color), [0.7, 0, 0, 0]);
+      assertColorsClose(applyColorEffects(right, color), [0, 0.5, 0.3, 1]);
+    });
+
+    test('reuses the result matrices', function() {
+      var result = {};
+      stereo.eyeEffects('dubois', 'left', {}, result);
+      var matrix = result.colorMatrix;
+      var offset = result.colorOffset;
+      stereo.eyeEffects('dubois', 'right', {}, result);
+      assert.strictEqual(result.colorMatrix, matrix);
+      assert.strictEqual(result.colorOffset, offset);
+    });
+
+    test('does not alias the layer effects', function() {
+      var colorMatrix = [
+        1, 0, 0, 0,
+        0, 1, 0, 0,
+        0, 0, 1, 0,
+        0, 0, 0, 1
+      ];
+      var effects = { colorMatrix: colorMatrix };
+      var result = stereo.eyeEffects('redCyan', 'left', effects);
+      assert.notStrictEqual(result.colorMatrix, colorMatrix);
+      assert.strictEqual(colorMatrix[5], 1);
+    });
+
+  });
+
+});
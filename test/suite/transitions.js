@@ -0,0 +1,300 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var extend = require('../../src/util/extend');
+var transitions = require('../../src/transitions');
+
+// Mock view with a set of parameters.
+function MockView(params) {
+  this._params = extend({}, params);
+}
+
+MockView.prototype.parameters = function() {
+  return extend({}, this._params);
+};
+
+MockView.prototype.setParameters = function(params) {
+  for (var key in params) {
+    if (params[key] != null) {
+      this._params[key] = params[key];
+    }
+  }
+};
+
+// Mock layer keeping track of its effects.
+function MockLayer() {
+  this.effects = {};
+}
+
+MockLayer.prototype.mergeEffects = function(effects) {
+  extend(this.effects, effects);
+};
+
+// Mock scene with two layers.
+function MockScene(params) {
+  var view = new MockView(params || { yaw: 0, pitch: 0, fov: 1 });
+  var layers = [new MockLayer(), new MockLayer()];
+  var style = {};
+  this.view = function() { return view; };
+  this.listLayers = function() { return layers; };
+  this.hotspotContainer = function() {
+    return { domElement: function() { return { style: style }; } };
+  };
+  this.hotspotOpacity = function() { return style.opacity; };
+}
+
+suite('transitions', function() {
+
+  suite('easing', function() {
+
+    test('endpoints', function() {
+      for (var name in transitions.easing) {
+        assert.strictEqual(transitions.easing[name](0), 0, name);
+        assert.closeTo(transitions.easing[name](1), 1, 1e-9, name);
+      }
+    });
+
+    test('ease in and out', function() {
+      assert.isBelow(transitions.easing.easeIn(0.5), 0.5);
+      assert.isAbove(transitions.easing.easeOut(0.5), 0.5);
+      assert.closeTo(transitions.easing.easeInOut(0.5), 0.5, 1e-9);
+    });
+
+  });
+
+  suite('crossfade', function() {
+
+    test('fades in the new scene', function() {
+      var newScene = new MockScene();
+      var update = transitions.crossfade();
+      update(0.25, newScene, new MockScene());
+      assert.strictEqual(newScene.listLayers()[0].effects.opacity, 0.25);
+      assert.strictEqual(newScene.listLayers()[1].effects.opacity, 0.25);
+      assert.strictEqual(newScene.hotspotOpacity(), 0.25);
+    });
+
+    test('easing by name', function() {
+      var newScene = new MockScene();
+      var update = transitions.crossfade({ ease: 'easeIn' });
+      update(0.5, newScene, null);
+      assert.strictEqual(newScene.listLayers()[0].effects.opacity, 0.125);
+    });
+
+    test('unknown easing', function() {
+      assert.throws(function() { transitions.crossfade({ ease: 'foo' }); });
+    });
+
+    test('start and end', function() {
+      var newScene = new MockScene();
+      var update = transitions.crossfade({ start: 0.5, end: 0.75 });
+      update(0.25, newScene, null);
+      assert.strictEqual(newScene.listLayers()[0].effects.opacity, 0);
+      update(0.625, newScene, null);
+      assert.strictEqual(newScene.listLayers()[0].effects.opacity, 0.5);
+      update(0.9, newScene, null);
+      assert.strictEqual(newScene.listLayers()[0].effects.opacity, 1);
+    });
+
+    test('invalid range', function() {
+      assert.throws(function() {
+        transitions.crossfade({ start: 0.5, end: 0.5 });
+      });
+    });
+
+  });
+
+  suite('zoomThrough', function() {
+
+    test('zooms the views', function() {
+      var newScene = new MockScene({ fov: 1 });
+      var oldScene = new MockScene({ fov: 1.2 });
+      var update = transitions.zoomThrough({ zoom: 2 });
+
+      update(0, newScene, oldScene);
+      assert.closeTo(newScene.view().parameters().fov, 0.5, 1e-9);
+      assert.closeTo(oldScene.view().parameters().fov, 1.2, 1e-9);
+      assert.strictEqual(newScene.listLayers()[0].effects.opacity, 0);
+
+      update(0.5, newScene, oldScene);
+      assert.closeTo(newScene.view().parameters().fov, 1 / 1.5, 1e-9);
+      assert.closeTo(oldScene.view().parameters().fov, 1.2 / 1.5, 1e-9);
+
+      update(1, newScene, oldScene);
+      assert.closeTo(newScene.view().parameters().fov, 1, 1e-9);
+      // The old view is restored.
+      assert.closeTo(oldScene.view().parameters().fov, 1.2, 1e-9);
+      assert.strictEqual(newScene.listLayers()[0].effects.opacity, 1);
+    });
+
+    test('cleanup restores the views', function() {
+      var newScene = new MockScene({ fov: 1 });
+      var oldScene = new MockScene({ fov: 1.2 });
+      var update = transitions.zoomThrough({ zoom: 2 });
+
+      update(0, newScene, oldScene);
+      update(0.5, newScene, oldScene);
+      update.cleanup(newScene, oldScene);
+      assert.closeTo(newScene.view().parameters().fov, 1, 1e-9);
+      assert.closeTo(oldScene.view().parameters().fov, 1.2, 1e-9);
+    });
+
+    test('cleanup ignores other scenes', function() {
+      var newScene = new MockScene({ fov: 1 });
+      var otherScene = new MockScene({ fov: 0.8 });
+      var update = transitions.zoomThrough({ zoom: 2 });
+
+      update(0, newScene, null);
+      update.cleanup(otherScene, null);
+      assert.closeTo(otherScene.view().parameters().fov, 0.8, 1e-9);
+    });
+
+    test('flat views', function() {
+      var newScene = new MockScene({ x: 0.5, y: 0.5, zoom: 1 });
+      var update = transitions.zoomThrough({ zoom: 4 });
+      update(0, newScene, null);
+      assert.closeTo(newScene.view().parameters().zoom, 0.25, 1e-9);
+    });
+
+  });
+
+  suite('wipe', function() {
+
+    test('slides in the new scene', function() {
+      var newScene = new MockScene();
+      var update = transitions.wipe({ direction: 'up' });
+      update(0, newScene, null);
+      assert.deepEqual(newScene.listLayers()[0].effects.rect,
+          { relativeX: 0, relativeY: 1 });
+      update(0.75, newScene, null);
+      assert.deepEqual(newScene.listLayers()[0].effects.rect,
+          { relativeX: 0, relativeY: 0.25 });
+      update(1, newScene, null);
+      assert.isNull(newScene.listLayers()[0].effects.rect);
+    });
+
+    test('default direction', function() {
+      var newScene = new MockScene();
+      transitions.wipe()(0.5, newScene, null);
+      assert.deepEqual(newScene.listLayers()[0].effects.rect,
+          { relativeX: 0.5, relativeY: 0 });
+    });
+
+    test('unknown direction', function() {
+      assert.throws(function() { transitions.wipe({ direction: 'foo' }); });
+    });
+
+  });
+
+  suite('iris', function() {
+
+    test('grows a mask', function() {
+      var newScene = new MockScene();
+      var update = transitions.iris({ x: 0.2, y: 0.3, softness: 0 });
+      update(0, newScene, null);
+      assert.deepEqual(newScene.listLayers()[0].effects.mask,
+          { x: 0.2, y: 0.3, radius: 0, softness: 0 });
+      update(0.5, newScene, null);
+      assert.strictEqual(newScene.listLayers()[0].effects.mask.radius, 0.5);
+      update(1, newScene, null);
+      assert.isNull(newScene.listLayers()[0].effects.mask);
+    });
+
+  });
+
+  suite('blurDissolve', function() {
+
+    test('blurs the old scene and focuses the new scene', function() {
+      var newScene = new MockScene();
+      var oldScene = new MockScene();
+      var update = transitions.blurDissolve({ blur: 2 });
+      update(0.25, newScene, oldScene);
+      assert.strictEqual(newScene.listLayers()[0].effects.opacity, 0.25);
+      assert.strictEqual(newScene.listLayers()[0].effects.blur, 1.5);
+      assert.strictEqual(oldScene.listLayers()[0].effects.blur, 0.5);
+      update(1, newScene, oldScene);
+      assert.strictEqual(newScene.listLayers()[0].effects.opacity, 1);
+      assert.isNull(newScene.listLayers()[0].effects.blur);
+      assert.isNull(oldScene.listLayers()[0].effects.blur);
+    });
+
+  });
+
+  suite('animateViews', function() {
+
+    test('moves the old view and restores it', function() {
+      var newScene = new MockScene();
+      var oldScene = new MockScene({ yaw: 3, pitch: 0, fov: 1 });
+      var update = transitions.animateViews({
+        oldView: { yaw: -3, fov: 0.5 }
+      });
+      update(0, newScene, oldScene);
+      update(0.5, newScene, oldScene);
+      var params = oldScene.view().parameters();
+      // The yaw takes the shortest path across the discontinuity.
+      assert.closeTo(params.yaw, Math.PI, 1e-9);
+      assert.closeTo(params.fov, 0.75, 1e-9);
+      assert.strictEqual(params.pitch, 0);
+      update(1, newScene, oldScene);
+      assert.deepEqual(oldScene.view().parameters(),
+          { yaw: 3, pitch: 0, fov: 1 });
+    });
+
+    test('moves the new view into place', function() {
+      var newScene = new MockScene({ yaw: 0, pitch: 0, fov: 1 });
+      var update = transitions.animateViews({ newView: { pitch: 0.4 } });
+      update(0, newScene, null);
+      assert.closeTo(newScene.view().parameters().pitch, 0.4, 1e-9);
+      update(0.5, newScene, null);
+      assert.closeTo(newScene.view().parameters().pitch, 0.2, 1e-9);
+      update(1, newScene, null);
+      assert.closeTo(newScene.view().parameters().pitch, 0, 1e-9);
+    });
+
+  });
+
+  suite('compose', function() {
+
+    test('calls each transition', function() {
+      var newScene = new MockScene();
+      var oldScene = new MockScene({ yaw: 0, pitch: 0, fov: 1 });
+      var update = transitions.compose(
+          transitions.animateViews({ oldView: { fov: 0.5 }, end: 0.5 }),
+          transitions.crossfade({ start: 0.5 }));
+      update(0, newScene, oldScene);
+      update(0.5, newScene, oldScene);
+      assert.closeTo(oldScene.view().parameters().fov, 0.5, 1e-9);
+      assert.strictEqual(newScene.listLayers()[0].effects.opacity, 0);
+      update(0.75, newScene, oldScene);
+      assert.strictEqual(newScene.listLayers()[0].effects.opacity, 0.5);
+    });
+
+    test('forwards the cleanup', function() {
+      var newScene = new MockScene();
+      var oldScene = new MockScene();
+      var first = function() {};
+      var second = function() {};
+      second.cleanup = sinon.spy();
+      transitions.compose(first, second).cleanup(newScene, oldScene);
+      assert.isTrue(second.cleanup.calledOnceWith(newScene, oldScene));
+    });
+
+  });
+
+});
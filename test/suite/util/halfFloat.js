@@ -0,0 +1,58 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+
+var halfFloat = require('../../../src/util/halfFloat');
+var fromHalf = halfFloat.fromHalf;
+var toHalf = halfFloat.toHalf;
+
+suite('halfFloat', function() {
+
+  test('fromHalf', function() {
+    assert.strictEqual(fromHalf(0x0000), 0);
+    assert.strictEqual(fromHalf(0x3C00), 1);
+    assert.strictEqual(fromHalf(0xC000), -2);
+    assert.strictEqual(fromHalf(0x3555), 0.333251953125);
+    assert.strictEqual(fromHalf(0x7BFF), 65504);
+    assert.strictEqual(fromHalf(0x0001), Math.pow(2, -24));
+    assert.strictEqual(fromHalf(0x7C00), Infinity);
+    assert.strictEqual(fromHalf(0xFC00), -Infinity);
+    assert.isNaN(fromHalf(0x7E00));
+  });
+
+  test('toHalf', function() {
+    assert.strictEqual(toHalf(0), 0x0000);
+    assert.strictEqual(toHalf(1), 0x3C00);
+    assert.strictEqual(toHalf(-2), 0xC000);
+    assert.strictEqual(toHalf(1 / 3), 0x3555);
+    assert.strictEqual(toHalf(65504), 0x7BFF);
+    assert.strictEqual(toHalf(Math.pow(2, -24)), 0x0001);
+    assert.strictEqual(toHalf(1e6), 0x7C00);
+    assert.strictEqual(toHalf(-Infinity), 0xFC00);
+    assert.strictEqual(toHalf(1e-10), 0x0000);
+    assert.strictEqual(toHalf(NaN) & 0x7C00, 0x7C00);
+    assert.notStrictEqual(toHalf(NaN) & 0x3FF, 0);
+  });
+
+  test('round trip', function() {
+    for (var bits = 0; bits < 0x7C00; bits += 7) {
+      assert.strictEqual(toHalf(fromHalf(bits)), bits);
+    }
+  });
+
+});
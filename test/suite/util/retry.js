@@ -74,6 +74,20 @@ suite('retry', function() {
     });
   });
 
+  test('stop retrying', function(done) {
+    var spy = sinon.spy();
+    var shouldRetry = sinon.stub().returns(false);
+    var fn = retry(cancelize(flaky(2)), shouldRetry);
+    fn(2, spy);
+    wait.untilSpyCalled(spy, function() {
+      assert.isTrue(shouldRetry.calledOnce);
+      assert.isTrue(shouldRetry.calledWithExactly(true));
+      assert.isTrue(spy.calledOnce);
+      assert.isTrue(spy.calledWithExactly(true));
+      done();
+    });
+  });
+
   test('cancel', function(done) {
     var spy = sinon.spy();
     var fn = retry(cancelize(flaky(0)));
@@ -0,0 +1,233 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var CurvilinearView = require('../../../src/views/Curvilinear');
+var RectilinearView = require('../../../src/views/Rectilinear');
+var CubeGeometry = require('../../../src/geometries/Cube');
+
+var radialTypes = ['stereographic', 'equisolid'];
+
+function view(projectionType, params) {
+  return new CurvilinearView(params, null, { projectionType: projectionType });
+}
+
+suite('CurvilinearView', function() {
+
+  suite('constructor', function() {
+
+    test('sets default parameters', function() {
+      var v = new CurvilinearView();
+      assert.strictEqual(v.projectionType(), 'stereographic');
+      assert.strictEqual(v.yaw(), 0);
+      assert.strictEqual(v.pitch(), 0);
+      assert.strictEqual(v.fov(), Math.PI/4);
+      assert.strictEqual(v.type, 'curvilinear');
+    });
+
+    test('rejects unknown projection type', function() {
+      assert.throws(function() { view('mercator'); }, /Unknown projection type/);
+    });
+
+  });
+
+  suite('projection type', function() {
+
+    test('set', function() {
+      var v = view('stereographic');
+      var spy = sinon.spy();
+      v.addEventListener('change', spy);
+      v.setProjectionType('pannini');
+      assert.strictEqual(v.projectionType(), 'pannini');
+      assert.isTrue(spy.calledOnce);
+      v.setProjectionType('pannini');
+      assert.isTrue(spy.calledOnce);
+    });
+
+    test('constrains fov', function() {
+      var v = view('equisolid', { fov: 1.9 * Math.PI });
+      assert.closeTo(v.fov(), 1.9 * Math.PI, 1e-9);
+      var spy = sinon.spy();
+      v.addEventListener('change', spy);
+      v.setProjectionType('pannini');
+      assert.closeTo(v.fov(), Math.PI, 1e-5);
+      assert.isTrue(spy.calledOnce);
+    });
+
+    test('maximum fov', function() {
+      assert.closeTo(view('stereographic', { fov: 10 }).fov(), 5 * Math.PI / 3, 1e-5);
+      assert.closeTo(view('equisolid', { fov: 10 }).fov(), 2 * Math.PI, 1e-5);
+      assert.closeTo(view('pannini', { fov: 10 }).fov(), Math.PI, 1e-5);
+    });
+
+    test('rejects unknown projection type', function() {
+      var v = view('stereographic');
+      assert.throws(function() { v.setProjectionType('mercator'); });
+      assert.strictEqual(v.projectionType(), 'stereographic');
+    });
+
+  });
+
+  suite('coordinatesToScreen', function() {
+
+    test('center of view', function() {
+      CurvilinearView.projectionTypes.forEach(function(type) {
+        var v = view(type, { width: 200, height: 100, yaw: 0.3, pitch: -0.2, fov: 2 });
+        var result = v.coordinatesToScreen({ yaw: 0.3, pitch: -0.2 });
+        assert.closeTo(result.x, 100, 1e-4, type);
+        assert.closeTo(result.y, 50, 1e-4, type);
+      });
+    });
+
+    test('edge of view', function() {
+      radialTypes.forEach(function(type) {
+        var v = view(type, { width: 100, height: 100, fov: 3 });
+        var right = v.coordinatesToScreen({ yaw: 1.5, pitch: 0 });
+        assert.closeTo(right.x, 100, 1e-4, type);
+        assert.closeTo(right.y, 50, 1e-4, type);
+        var top = v.coordinatesToScreen({ yaw: 0, pitch: -1.5 });
+        assert.closeTo(top.x, 50, 1e-4, type);
+        assert.closeTo(top.y, 0, 1e-4, type);
+      });
+    });
+
+    test('approximately rectilinear near the center', function() {
+      var params = { width: 100, height: 100, fov: 0.01 };
+      var rectilinear = new RectilinearView(params);
+      CurvilinearView.projectionTypes.forEach(function(type) {
+        var v = view(type, params);
+        var coords = { yaw: 0.002, pitch: 0.003 };
+        var expected = rectilinear.coordinatesToScreen(coords);
+        var result = v.coordinatesToScreen(coords);
+        assert.closeTo(result.x, expected.x, 0.01, type);
+        assert.closeTo(result.y, expected.y, 0.01, type);
+      });
+    });
+
+    test('behind the camera', function() {
+      var coords = { yaw: Math.PI, pitch: 0 };
+      assert.isNull(view('stereographic', { width: 100, height: 100 }).coordinatesToScreen(coords));
+      assert.isNull(view('pannini', { width: 100, height: 100 }).coordinatesToScreen(coords));
+      var result = view('equisolid', { width: 100, height: 100 }).coordinatesToScreen({ yaw: 3, pitch: 0 });
+      assert.isNotNull(result);
+      assert.isAbove(result.x, 100);
+    });
+
+    test('pannini keeps vertical lines straight', function() {
+      var v = view('pannini', { width: 300, height: 100, fov: 2 });
+      var a = v.coordinatesToScreen({ yaw: 1.2, pitch: 0 });
+      var b = v.coordinatesToScreen({ yaw: 1.2, pitch: 0.5 });
+      var c = v.coordinatesToScreen({ yaw: 1.2, pitch: -0.7 });
+      assert.closeTo(a.x, b.x, 1e-4);
+      assert.closeTo(a.x, c.x, 1e-4);
+      assert.isAbove(b.y, a.y);
+      assert.isBelow(c.y, a.y);
+    });
+
+    test('null viewport', function() {
+      assert.isNull(view('stereographic').coordinatesToScreen({ yaw: 0, pitch: 0 }));
+    });
+
+  });
+
+  suite('screenToCoordinates', function() {
+
+    test('inverse of coordinatesToScreen', function() {
+      var coordsList = [
+        { yaw: 0.5, pitch: 0.3 }, { yaw: -1.2, pitch: -0.4 },
+        { yaw: 2, pitch: 0.1 }, { yaw: 0.1, pitch: 1.2 }
+      ];
+      CurvilinearView.projectionTypes.forEach(function(type) {
+        var v = view(type, { width: 300, height: 200, yaw: 0.2, pitch: 0.1, roll: 0.3, fov: 2.5 });
+        coordsList.forEach(function(coords) {
+          var screen = v.coordinatesToScreen(coords);
+          var result = v.screenToCoordinates(screen);
+          assert.closeTo(result.yaw, coords.yaw, 1e-6, type);
+          assert.closeTo(result.pitch, coords.pitch, 1e-6, type);
+        });
+      });
+    });
+
+  });
+
+  suite('intersects', function() {
+
+    var front = [ [-0.5, 0.5, -0.5], [0.5, 0.5, -0.5], [0.5, -0.5, -0.5], [-0.5, -0.5, -0.5] ];
+    var back = [ [-0.5, 0.5, 0.5], [0.5, 0.5, 0.5], [0.5, -0.5, 0.5], [-0.5, -0.5, 0.5] ];
+    var side = [ [0.5, 0.5, -0.5], [0.5, 0.5, 0.5], [0.5, -0.5, 0.5], [0.5, -0.5, -0.5] ];
+
+    test('narrow view', function() {
+      var v = view('stereographic', { width: 100, height: 100, fov: Math.PI/8 });
+      assert.isTrue(v.intersects(front));
+      assert.isFalse(v.intersects(back));
+      assert.isFalse(v.intersects(side));
+    });
+
+    test('wide view', function() {
+      var v = view('stereographic', { width: 100, height: 100, fov: Math.PI });
+      assert.isTrue(v.intersects(front));
+      assert.isTrue(v.intersects(side));
+      assert.isFalse(v.intersects(back));
+    });
+
+    test('whole sphere', function() {
+      var v = view('equisolid', { width: 100, height: 100, fov: 2 * Math.PI });
+      assert.isTrue(v.intersects(back));
+    });
+
+    test('rotated view', function() {
+      var v = view('stereographic', { width: 100, height: 100, yaw: Math.PI, fov: Math.PI/8 });
+      assert.isFalse(v.intersects(front));
+      assert.isTrue(v.intersects(back));
+    });
+
+  });
+
+  suite('selectLevel', function() {
+
+    test('matches rectilinear view for narrow fov', function() {
+      var geometry = new CubeGeometry([512, 1024, 2048, 4096].map(function(size) {
+        return { size: size, tileSize: 512 };
+      }));
+      var params = { width: 512, height: 512, fov: 0.3 };
+      var expected = new RectilinearView(params).selectLevel(geometry.levelList);
+      CurvilinearView.projectionTypes.forEach(function(type) {
+        assert.strictEqual(view(type, params).selectLevel(geometry.levelList), expected, type);
+      });
+    });
+
+  });
+
+  suite('coordinatesToPerspectiveTransform', function() {
+
+    test('visible point', function() {
+      var v = view('stereographic', { width: 100, height: 100, fov: 2 });
+      var transform = v.coordinatesToPerspectiveTransform({ yaw: 0, pitch: 0 }, 1000, 'rotateX(1rad)');
+      assert.match(transform, /^translateX\(50(\.0*)?px\) translateY\(50(\.0*)?px\)/);
+      assert.include(transform, 'rotateX(1rad)');
+    });
+
+    test('hidden point', function() {
+      var v = view('stereographic', { width: 100, height: 100, fov: 2 });
+      assert.isNull(v.coordinatesToPerspectiveTransform({ yaw: Math.PI, pitch: 0 }, 1000));
+    });
+
+  });
+
+});
@@ -16,6 +16,7 @@
 'use strict';
 
 var assert = require('chai').assert;
+var sinon = require('sinon');
 
 var RectilinearView = require('../../../src/views/Rectilinear');
 var CubeGeometry = require('../../../src/geometries/Cube');
@@ -68,6 +69,19 @@ suite('RectilinearView', function() {
       assert.strictEqual(retObj.height, 456);
     });
 
+    test('eye offset', function() {
+      var view = new RectilinearView();
+      assert.deepEqual(view.eyeOffset(), { x: 0, y: 0, z: 0 });
+      var spy = sinon.spy();
+      view.addEventListener('change', spy);
+      view.setEyeOffset({ x: 0.1, y: -0.2, z: 0.3 });
+      assert.deepEqual(view.eyeOffset(), { x: 0.1, y: -0.2, z: 0.3 });
+      assert.isTrue(spy.calledOnce);
+      view.setEyeOffset({ x: 0.1, y: -0.2, z: 0.3 });
+      assert.isTrue(spy.calledOnce);
+      assert.throws(function() { view.setEyeOffset({ x: NaN }); });
+    });
+
   });
 
   suite('parameter normalization', function() {
@@ -144,6 +158,92 @@ suite('RectilinearView', function() {
       assert.strictEqual(view.fov(), minFov);
     });
 
+    test('coverage field of view', function() {
+      var view = new RectilinearView(
+        { width: 100, height: 100 },
+        RectilinearView.limit.coverage({ hfov: Math.PI/2, vfov: Math.PI/3 }));
+      view.setFov(Math.PI/2);
+      assert.strictEqual(view.fov(), Math.PI/3);
+      view.setSize({ width: 400, height: 100 });
+      assert.closeTo(view.fov(), htov(Math.PI/2, 400, 100), 0.000001);
+    });
+
+    test('coverage pitch', function() {
+      var view = new RectilinearView(
+        { width: 100, height: 100, fov: Math.PI/6 },
+        RectilinearView.limit.coverage({ vfov: Math.PI/3, pitchOffset: 0.1 }));
+      view.setPitch(1);
+      assert.closeTo(view.pitch(), 0.1 + Math.PI/12, 0.000001);
+      view.setPitch(-1);
+      assert.closeTo(view.pitch(), 0.1 - Math.PI/12, 0.000001);
+    });
+
+    test('coverage yaw', function() {
+      var view = new RectilinearView(
+        { width: 100, height: 100, fov: Math.PI/6 },
+        RectilinearView.limit.coverage({
+          hfov: 2*Math.PI/3, vfov: Math.PI/3, yawOffset: Math.PI/2
+        }));
+      view.setYaw(Math.PI);
+      assert.closeTo(view.yaw(), 3*Math.PI/4, 0.000001);
+      view.setYaw(0);
+      assert.closeTo(view.yaw(), Math.PI/4, 0.000001);
+      view.setYaw(1);
+      assert.closeTo(view.yaw(), 1, 0.000001);
+    });
+
+    test('coverage keeps the view corners inside', function() {
+      var coverage = {
+        hfov: Math.PI, vfov: Math.PI/2, yawOffset: 0, pitchOffset: -Math.PI/8
+      };
+      var view = new RectilinearView(
+        { width: 200, height: 100, fov: Math.PI/3 },
+        RectilinearView.limit.coverage(coverage));
+      view.setParameters({ yaw: 2, pitch: -1 });
+      var corners = [[0, 0], [200, 0], [0, 100], [200, 100]];
+      corners.forEach(function(corner) {
+        var coords = view.screenToCoordinates({ x: corner[0], y: corner[1] });
+        assert.isAtMost(Math.abs(coords.yaw), Math.PI/2 + 0.000001);
+        assert.isAtLeast(coords.pitch, -5*Math.PI/8 - 0.000001);
+        assert.isAtMost(coords.pitch, 3*Math.PI/8 + 0.000001);
+      });
+      // The limit is tight for the corners closest to the pole.
+      var topRight = view.screenToCoordinates({ x: 200, y: 0 });
+      assert.closeTo(topRight.yaw, Math.PI/2, 0.00001);
+    });
+
+    test('coverage narrower than 180 degrees looking up', function() {
+      var view = new RectilinearView(
+        { width: 200, height: 100, fov: Math.PI/2 },
+        RectilinearView.limit.coverage({ hfov: 2*Math.PI/3 }));
+      view.setParameters({ yaw: 1, pitch: -1 });
+      assert.isBelow(view.fov(), htov(2*Math.PI/3, 200, 100));
+      var corners = [[0, 0], [200, 0], [0, 100], [200, 100]];
+      corners.forEach(function(corner) {
+        var coords = view.screenToCoordinates({ x: corner[0], y: corner[1] });
+        assert.isAtMost(Math.abs(coords.yaw), Math.PI/3 + 0.000001);
+      });
+    });
+
+    test('coverage wider than 180 degrees', function() {
+      var view = new RectilinearView(
+        { width: 200, height: 100, fov: Math.PI/2 },
+        RectilinearView.limit.coverage({ hfov: 3*Math.PI/2 }));
+      view.setParameters({ yaw: 3, pitch: 0 });
+      assert.closeTo(view.yaw(), 3*Math.PI/4 - Math.atan(2), 0.000001);
+      // Looking down as far as possible, the view reaches the pole, but its
+      // yaw can still change within the covered region.
+      view.setParameters({ yaw: 1, pitch: 1.5 });
+      assert.closeTo(view.pitch(), Math.PI/4, 0.000001);
+      assert.closeTo(view.fov(), Math.PI/2, 0.000001);
+      assert.closeTo(view.yaw(), Math.PI/4, 0.000001);
+      var corners = [[0, 0], [200, 0], [0, 100], [200, 100]];
+      corners.forEach(function(corner) {
+        var coords = view.screenToCoordinates({ x: corner[0], y: corner[1] });
+        assert.isAtMost(Math.abs(coords.yaw), 3*Math.PI/4 + 0.000001);
+      });
+    });
+
     test('enforced on initial parameters', function() {
       var view = new RectilinearView(
         { width: 100, height: 100, yaw: 0, pitch: 0, fov: Math.PI/16 },
@@ -431,6 +531,33 @@ suite('RectilinearView', function() {
 
     });
 
+    suite('points at a distance', function() {
+
+      test('without eye offset', function() {
+        var view = new RectilinearView({ width: 100, height: 100, yaw: 0, pitch: 0, fov: Math.PI/8 });
+        var coords = view.coordinatesToScreen({ yaw: Math.PI/16, pitch: Math.PI/16, distance: 5 });
+        assert.closeTo(coords.x, 100, 1.0);
+        assert.closeTo(coords.y, 100, 1.0);
+      });
+
+      test('with eye offset', function() {
+        var view = new RectilinearView({ width: 100, height: 100, yaw: 0, pitch: 0, fov: Math.PI/8 });
+        view.setEyeOffset({ x: 1, y: 0, z: 0 });
+        // Seen from the eye, a point ahead of the center moves to the left.
+        var near = view.coordinatesToScreen({ yaw: 0, pitch: 0, distance: 10 });
+        assert.isBelow(near.x, 50);
+        assert.closeTo(near.y, 50, 0.001);
+        // A point ahead of the eye is seen in the center.
+        var ahead = view.coordinatesToScreen({ yaw: Math.atan2(1, 10), pitch: 0, distance: Math.sqrt(101) });
+        assert.closeTo(ahead.x, 50, 0.001);
+        assert.closeTo(ahead.y, 50, 0.001);
+        // Points without a distance are infinitely far away.
+        var far = view.coordinatesToScreen({ yaw: 0, pitch: 0 });
+        assert.closeTo(far.x, 50, 0.001);
+      });
+
+    });
+
     suite('view looking ahead', function() {
 
       test('center', function() {
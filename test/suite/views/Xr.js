@@ -0,0 +1,173 @@
+/*
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+var XrView = require('../../../src/views/Xr');
+var RectilinearView = require('../../../src/views/Rectilinear');
+var CubeGeometry = require('../../../src/geometries/Cube');
+var mat4 = require('gl-matrix').mat4;
+var vec4 = require('gl-matrix').vec4;
+var quat = require('gl-matrix').quat;
+
+function perspective(fov) {
+  return mat4.perspective(mat4.create(), fov, 1, 0.1, 100);
+}
+
+function yawOrientation(yaw) {
+  return quat.setAxisAngle(quat.create(), [0, 1, 0], -yaw);
+}
+
+// Projects the point in the given direction, returning its normalized device
+// coordinates.
+function project(projection, yaw, pitch) {
+  var v = vec4.fromValues(
+      Math.sin(yaw) * Math.cos(pitch), -Math.sin(pitch),
+      -Math.cos(yaw) * Math.cos(pitch), 1);
+  vec4.transformMat4(v, v, projection);
+  return [v[0] / v[3], v[1] / v[3]];
+}
+
+suite('XrView', function() {
+
+  suite('size', function() {
+
+    test('sets the size', function() {
+      var view = new XrView();
+      view.setSize({ width: 123, height: 456 });
+      assert.strictEqual(view.width(), 123);
+      assert.strictEqual(view.height(), 456);
+      assert.deepEqual(view.size(), { width: 123, height: 456 });
+    });
+
+    test('emits change and resize only when the size changes', function() {
+      var view = new XrView();
+      var changeSpy = sinon.spy();
+      var resizeSpy = sinon.spy();
+      view.addEventListener('change', changeSpy);
+      view.addEventListener('resize', resizeSpy);
+      view.setSize({ width: 100, height: 100 });
+      view.setSize({ width: 100, height: 100 });
+      assert.isTrue(changeSpy.calledOnce);
+      assert.isTrue(resizeSpy.calledOnce);
+    });
+
+  });
+
+  suite('setPose', function() {
+
+    test('emits change', function() {
+      var view = new XrView();
+      var spy = sinon.spy();
+      view.addEventListener('change', spy);
+      view.setPose(perspective(Math.PI/2), quat.create());
+      assert.isTrue(spy.calledOnce);
+    });
+
+    test('projects like a rectilinear view', function() {
+      var yaw = 0.5;
+      var xrView = new XrView();
+      xrView.setPose(perspective(Math.PI/2), yawOrientation(yaw));
+      var rectilinearView = new RectilinearView(
+          { yaw: yaw, pitch: 0, fov: Math.PI/2, width: 100, height: 100 });
+      [[yaw, 0], [yaw + 0.3, 0.2], [yaw - 0.2, -0.4]].forEach(function(coords) {
+        var expected = project(rectilinearView.projection(), coords[0], coords[1]);
+        var actual = project(xrView.projection(), coords[0], coords[1]);
+        assert.closeTo(actual[0], expected[0], 1e-6);
+        assert.closeTo(actual[1], expected[1], 1e-6);
+      });
+    });
+
+    test('computes the inverse projection', function() {
+      var view = new XrView();
+      view.setPose(perspective(Math.PI/2), yawOrientation(1));
+      var product = mat4.multiply(mat4.create(), view.projection(), view.inverseProjection());
+      for (var i = 0; i < 16; i++) {
+        assert.closeTo(product[i], mat4.create()[i], 1e-6);
+      }
+    });
+
+    test('sets the eye offset from the position', function() {
+      var view = new XrView();
+      view.setPose(perspective(Math.PI/2), quat.create());
+      assert.deepEqual(view.eyeOffset(), { x: 0, y: 0, z: 0 });
+      var projection = mat4.clone(view.projection());
+      view.setPose(perspective(Math.PI/2), quat.create(), [0.1, 0.2, 0.3]);
+      var offset = view.eyeOffset();
+      assert.closeTo(offset.x, 0.1, 1e-6);
+      assert.closeTo(offset.y, 0.2, 1e-6);
+      assert.closeTo(offset.z, 0.3, 1e-6);
+      // The projection remains centered, as for images without depth.
+      assert.deepEqual(view.projection(), projection);
+    });
+
+  });
+
+  suite('intersects', function() {
+
+    var view = new XrView();
+    view.setSize({ width: 100, height: 100 });
+    view.setPose(perspective(Math.PI/8), quat.create());
+
+    test('visible in front', function() {
+      var rect = [ [-0.5, 0.5, -0.5], [0.5, 0.5, -0.5], [0.5, -0.5, -0.5], [-0.5, -0.5, -0.5] ];
+      assert.isTrue(view.intersects(rect));
+    });
+
+    test('invisible behind', function() {
+      var rect = [ [-0.5, 0.5, 0.5], [0.5, 0.5, 0.5], [0.5, -0.5, 0.5], [-0.5, -0.5, 0.5] ];
+      assert.isFalse(view.intersects(rect));
+    });
+
+    test('invisible to the side', function() {
+      var rect = [ [-0.5, 1.5, -0.5], [0.5, 1.5, -0.5], [0.5, 1, -0.5], [-0.5, 1, -0.5] ];
+      assert.isFalse(view.intersects(rect));
+    });
+
+  });
+
+  suite('selectLevel', function() {
+
+    var geometry = new CubeGeometry([512, 1024, 2048].map(function(size) {
+      return { size: size, tileSize: 512 };
+    }));
+
+    test('selects the level covering the viewport', function() {
+      var view = new XrView();
+      view.setSize({ width: 1000, height: 1000 });
+      view.setPose(perspective(Math.PI/2), quat.create());
+      assert.strictEqual(view.selectLevel(geometry.levelList), geometry.levelList[1]);
+    });
+
+    test('selects a higher level for a narrower field of view', function() {
+      var view = new XrView();
+      view.setSize({ width: 1000, height: 1000 });
+      view.setPose(perspective(Math.PI/4), quat.create());
+      assert.strictEqual(view.selectLevel(geometry.levelList), geometry.levelList[2]);
+    });
+
+    test('selects the last level if none is large enough', function() {
+      var view = new XrView();
+      view.setSize({ width: 10000, height: 10000 });
+      view.setPose(perspective(Math.PI/2), quat.create());
+      assert.strictEqual(view.selectLevel(geometry.levelList), geometry.levelList[2]);
+    });
+
+  });
+
+});